@@ -0,0 +1,107 @@
+/**
+ * GET /api/cron/qa-due-reminders
+ *
+ * Vercel Cron — runs daily. Finds open Q&A items whose due date is within
+ * two days or already past and, per assigned participant, sends one
+ * reminder listing their items (deal-qa-reminders webhook, same surface
+ * as deal invites). Each item is reminded once when it comes due and once
+ * when it goes overdue: reminder_stage on the row records what was sent,
+ * and moving the due date clears it (lib/dealQaSheet.js selectQaReminders).
+ *
+ * Items without an assigned participant, or whose participant has no
+ * email, show as overdue in the workspace but can't be chased from here.
+ */
+
+import { NextResponse } from 'next/server';
+import {
+  getSupabaseHeaders, getSupabaseWriteHeaders, fetchWithTimeout, requireSupabase,
+} from '@/lib/api-helpers';
+import { withCron } from '@/lib/cronWrapper';
+import { triggerWebhook } from '@/lib/triggerWebhook';
+import { logger } from '@/lib/logger';
+import { DUE_SOON_DAYS, selectQaReminders } from '@/lib/dealQaSheet';
+
+const MAX_ITEMS = 2000;
+
+export const GET = withCron('qa-due-reminders', async (request) => {
+  const sb = requireSupabase();
+  if (!sb) return NextResponse.json({ error: 'Storage not configured.' }, { status: 503 });
+  const headers = getSupabaseHeaders(sb.key);
+
+  const horizon = new Date(Date.now() + DUE_SOON_DAYS * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+  const itemsResp = await fetchWithTimeout(
+    `${sb.url}/rest/v1/deal_qa_items?status=eq.open&due_date=lte.${horizon}&assigned_participant_id=not.is.null`
+      + '&select=id,deal_id,reference,question,priority,due_date,status,assigned_participant_id,reminder_stage'
+      + `&order=due_date.asc&limit=${MAX_ITEMS}`,
+    { method: 'GET', headers },
+  );
+  if (!itemsResp.ok) throw new Error(`deal_qa_items read failed (${itemsResp.status})`);
+  const items = await itemsResp.json();
+
+  const participantIds = [...new Set(items.map((q) => q.assigned_participant_id))];
+  const participants = [];
+  for (let i = 0; i < participantIds.length; i += 200) {
+    const resp = await fetchWithTimeout(
+      `${sb.url}/rest/v1/deal_participants?id=in.(${participantIds.slice(i, i + 200).join(',')})`
+        + '&select=id,deal_id,role,company_name,participant_name,participant_email',
+      { method: 'GET', headers },
+    );
+    if (resp.ok) participants.push(...await resp.json());
+  }
+
+  const groups = selectQaReminders(items, participants);
+  const dealIds = [...new Set(groups.map((g) => g.participant.deal_id))];
+  const dealsById = new Map();
+  if (dealIds.length) {
+    const resp = await fetchWithTimeout(
+      `${sb.url}/rest/v1/deals?id=in.(${dealIds.join(',')})&select=id,name,deal_code,owner_email`,
+      { method: 'GET', headers },
+    );
+    for (const d of resp.ok ? await resp.json() : []) dealsById.set(d.id, d);
+  }
+
+  const baseUrl = (process.env.NEXT_PUBLIC_APP_URL || new URL(request.url).origin).replace(/\/$/, '');
+  let reminded = 0;
+  let itemsReminded = 0;
+  for (const { participant, items: due } of groups) {
+    const deal = dealsById.get(participant.deal_id) || {};
+    triggerWebhook(
+      {
+        requestType: 'deal-qa-reminders',
+        dealId: participant.deal_id,
+        dealCode: deal.deal_code,
+        dealName: deal.name,
+        ownerEmail: deal.owner_email,
+        participantId: participant.id,
+        participantEmail: participant.participant_email,
+        participantName: participant.participant_name,
+        companyName: participant.company_name,
+        portalUrl: `${baseUrl}/deals/${participant.deal_id}/workspace`,
+        items: due.map((q) => ({
+          id: q.id, reference: q.reference, question: q.question, priority: q.priority,
+          dueDate: q.due_date, stage: q.stage,
+        })),
+      },
+      { envSuffix: 'DEAL_QA_REMINDER', requestId: 'cron:qa-due-reminders' },
+    ).catch(() => {});
+
+    const now = new Date().toISOString();
+    for (const stage of ['due_soon', 'overdue']) {
+      const ids = due.filter((q) => q.stage === stage).map((q) => q.id);
+      if (!ids.length) continue;
+      await fetchWithTimeout(
+        `${sb.url}/rest/v1/deal_qa_items?id=in.(${ids.join(',')})`,
+        {
+          method: 'PATCH',
+          headers: getSupabaseWriteHeaders(sb.key),
+          body: JSON.stringify({ reminder_stage: stage, reminder_sent_at: now }),
+        },
+      );
+    }
+    reminded += 1;
+    itemsReminded += due.length;
+  }
+
+  logger.info('Q&A due reminder cron complete', { reminded, items: itemsReminded, candidates: items.length });
+  return NextResponse.json({ ok: true, reminded, items: itemsReminded, candidates: items.length });
+});
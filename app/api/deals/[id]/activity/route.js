@@ -6,7 +6,11 @@
  *     access events, GDPR exports, etc.)
  *   • deal_qa_items lifecycle (asked, answered, skipped)
  *   • deal_finding_comments posts
+ *   • deal_milestones created / completed (rescheduling, starting,
+ *     reopening and deleting arrive as `milestone.*` audit rows)
  *   • deal_documents inserts (covered by audit_logs but de-duped here)
+ *   • document views / blocked downloads and clean-team changes, which
+ *     only exist as audit rows
  *
  * Open to any deal viewer. Each item shape:
  *   { id, kind, at, actor, summary, details? }
@@ -40,7 +44,7 @@ export async function GET(request, { params }) {
   const sb = requireSupabase();
   if (!sb) return NextResponse.json({ error: 'Storage not configured.' }, { status: 503 });
 
-  const [auditR, qaR, commentsR] = await Promise.all([
+  const [auditR, qaR, commentsR, milestonesR] = await Promise.all([
     fetchWithTimeout(
       `${sb.url}/rest/v1/audit_logs?deal_id=eq.${id}&select=id,actor_email,actor_kind,action,target_type,target_id,outcome,details,created_at&order=created_at.desc&limit=${limit}`,
       { method: 'GET', headers: getSupabaseHeaders(sb.key) },
@@ -53,18 +57,23 @@ export async function GET(request, { params }) {
       `${sb.url}/rest/v1/deal_finding_comments?deal_id=eq.${id}&select=id,finding_key,author_email,body,created_at&order=created_at.desc&limit=${limit}`,
       { method: 'GET', headers: getSupabaseHeaders(sb.key) },
     ),
+    fetchWithTimeout(
+      `${sb.url}/rest/v1/deal_milestones?deal_id=eq.${id}&select=id,title,phase,due_date,created_by_email,created_at,completed_by_email,completed_at&order=created_at.desc&limit=${limit}`,
+      { method: 'GET', headers: getSupabaseHeaders(sb.key) },
+    ),
   ]);
 
   const audit    = auditR.ok    ? await auditR.json()    : [];
   const qa       = qaR.ok       ? await qaR.json()       : [];
   const comments = commentsR.ok ? await commentsR.json() : [];
+  const milestones = milestonesR.ok ? await milestonesR.json() : [];
 
   const items = [];
 
   for (const a of audit) {
     items.push({
       id: `audit:${a.id}`,
-      kind: 'audit',
+      kind: (a.action || '').startsWith('milestone.') ? 'milestone_changed' : 'audit',
       action: a.action,
       at: a.created_at,
       actor: a.actor_email || a.actor_kind || 'system',
@@ -103,6 +112,27 @@ export async function GET(request, { params }) {
     });
   }
 
+  for (const m of milestones) {
+    items.push({
+      id: `milestone-created:${m.id}`,
+      kind: 'milestone_created',
+      at: m.created_at,
+      actor: m.created_by_email,
+      summary: `Milestone added: ${m.title}${m.due_date ? ` (due ${m.due_date})` : ''}`,
+      details: { milestone_id: m.id, phase: m.phase },
+    });
+    if (m.completed_at) {
+      items.push({
+        id: `milestone-done:${m.id}`,
+        kind: 'milestone_done',
+        at: m.completed_at,
+        actor: m.completed_by_email,
+        summary: `Milestone done: ${m.title}`,
+        details: { milestone_id: m.id, phase: m.phase },
+      });
+    }
+  }
+
   items.sort((a, b) => new Date(b.at) - new Date(a.at));
   return NextResponse.json({ items: items.slice(0, limit) });
 }
@@ -110,9 +140,31 @@ export async function GET(request, { params }) {
 function humaniseAudit(a) {
   const action = a.action || 'event';
   const target = a.target_type ? `${a.target_type}` : '';
+  if (action === 'document.viewed') {
+    const how = { original: 'opened', excerpt: 'excerpt viewed', text: 'viewed (watermarked)' }[a.details?.mode] || 'viewed';
+    return `Document ${how}${a.details?.filename ? `: ${a.details.filename}` : ''}`;
+  }
+  if (action === 'document.download_blocked') return `Download blocked (view-only)${a.details?.filename ? `: ${a.details.filename}` : ''}`;
+  if (action === 'document.access_changed') return `Document access changed${a.details?.filename ? `: ${a.details.filename}` : ''}`;
   if (action.startsWith('document.')) return `${action.replace('document.', 'Document ')}${target ? ' · ' + target : ''}`;
   if (action.startsWith('participant.')) return action.replace('participant.', 'Participant ').replace(/_/g, ' ');
   if (action.startsWith('finding.')) return action.replace('finding.', 'Finding ').replace(/_/g, ' ');
+  if (action.startsWith('milestone.')) {
+    const title = a.details?.title ? `: ${a.details.title}` : '';
+    if (action === 'milestone.rescheduled') {
+      return `Milestone rescheduled${title}${a.details?.to ? ` → due ${a.details.to}` : ' (no due date)'}`;
+    }
+    return `${action.replace('milestone.', 'Milestone ').replace(/_/g, ' ')}${title}`;
+  }
+  if (action.startsWith('integration_plan.')) {
+    if (action === 'integration_plan.drafted') return `Integration plan drafted · ${a.details?.count ?? 0} initiatives`;
+    const title = a.details?.title ? `: ${a.details.title}` : '';
+    return `${action.replace('integration_plan.', 'Integration plan ').replace(/_/g, ' ')}${title}`;
+  }
+  if (action.startsWith('clean_team.')) {
+    const who = a.details?.email ? ` · ${a.details.email}` : '';
+    return `${action.replace('clean_team.', 'Clean team ').replace(/_/g, ' ')}${a.details?.name ? `: ${a.details.name}` : ''}${who}`;
+  }
   if (action.startsWith('deal.')) return action.replace('deal.', 'Deal ').replace(/_/g, ' ');
   return action.replace(/[._]/g, ' ');
 }
@@ -0,0 +1,117 @@
+/**
+ * PATCH /api/deals/[id]/checklist/items/[itemId]
+ *
+ * Mark one checklist item by hand (owner / collaborator). Body, any of:
+ *   { status: 'satisfied' | 'waived' | null }  waiving needs a note
+ *   { note: string | null }
+ *   { document_ids: uuid[] }                  link documents to the item;
+ *                                             replaces the current links
+ *   { accept_suggestion: uuid }               link a suggested document
+ *   { dismiss_suggestion: uuid }              drop a suggestion
+ *
+ * Linked documents must belong to the deal. A linked document satisfies
+ * the item on its own; status 'satisfied' covers evidence that isn't in
+ * the data room (seen on site, confirmed on a call).
+ *
+ * Returns: { item, summary } — the resolved item and the new counts.
+ */
+
+import { NextResponse } from 'next/server';
+import {
+  getSupabaseHeaders, fetchWithTimeout, requireSupabase, isValidUUID, checkOrigin, getRequestId,
+} from '@/lib/api-helpers';
+import { requireAuth } from '@/lib/auth';
+import { requireDealEditor } from '@/lib/dealAuth';
+import { loadDealChecklistView, upsertChecklistMark } from '@/lib/dealChecklistStore';
+import { MARK_STATUSES } from '@/lib/dealDocumentChecklist';
+import { logger } from '@/lib/logger';
+
+export const maxDuration = 10;
+
+const MAX_LINKS = 50;
+
+export async function PATCH(request, { params }) {
+  const originErr = checkOrigin(request);
+  if (originErr) return NextResponse.json({ error: originErr.error }, { status: originErr.status });
+
+  const auth = await requireAuth(request);
+  if (auth.error) return NextResponse.json(auth.error.body, { status: auth.error.status });
+
+  const { id, itemId } = await params;
+  if (!isValidUUID(id) || !itemId || itemId.length > 80) {
+    return NextResponse.json({ error: 'Valid deal and item ids required.' }, { status: 400 });
+  }
+
+  const gate = await requireDealEditor({ dealId: id, email: auth.email, userId: auth.userId });
+  if (gate.error) return NextResponse.json(gate.error, { status: gate.status });
+  const { access } = gate;
+
+  let body;
+  try { body = await request.json(); } catch { return NextResponse.json({ error: 'Invalid JSON.' }, { status: 400 }); }
+
+  const view = await loadDealChecklistView(access);
+  if (!view.items.some((i) => i.id === itemId)) {
+    return NextResponse.json({ error: 'Item is not on this deal\'s checklist.' }, { status: 404 });
+  }
+  const current = view.marks.find((m) => m.item_id === itemId) || {};
+  const patch = {};
+
+  if ('status' in (body || {})) {
+    const status = body.status || null;
+    if (status !== null && !MARK_STATUSES.includes(status)) {
+      return NextResponse.json({ error: `status must be one of ${MARK_STATUSES.join(', ')} or null.` }, { status: 400 });
+    }
+    patch.status = status;
+    patch.marked_by_email = status ? auth.email : null;
+    patch.marked_at = status ? new Date().toISOString() : null;
+  }
+  if ('note' in (body || {})) patch.note = String(body.note ?? '').trim().slice(0, 2000) || null;
+  const note = 'note' in patch ? patch.note : current.note;
+  if (patch.status === 'waived' && !note) {
+    return NextResponse.json({ error: 'Say why the item is waived.' }, { status: 400 });
+  }
+
+  let links = null;
+  if (Array.isArray(body?.document_ids)) links = body.document_ids;
+  const suggestions = Array.isArray(current.suggestions) ? current.suggestions : [];
+  for (const key of ['accept_suggestion', 'dismiss_suggestion']) {
+    if (body?.[key] === undefined) continue;
+    if (!isValidUUID(body[key])) return NextResponse.json({ error: `${key} must be a document id.` }, { status: 400 });
+    patch.suggestions = suggestions.filter((s) => s.document_id !== body[key]);
+    if (key === 'accept_suggestion') links = [...(links || current.document_ids || []), body[key]];
+  }
+
+  if (links) {
+    links = [...new Set(links)];
+    if (links.length > MAX_LINKS || !links.every(isValidUUID)) {
+      return NextResponse.json({ error: `document_ids must be up to ${MAX_LINKS} document ids.` }, { status: 400 });
+    }
+    if (links.length) {
+      const sb = requireSupabase();
+      if (!sb) return NextResponse.json({ error: 'Storage not configured.' }, { status: 503 });
+      const resp = await fetchWithTimeout(
+        `${sb.url}/rest/v1/deal_documents?deal_id=eq.${id}&id=in.(${links.join(',')})&select=id`,
+        { method: 'GET', headers: getSupabaseHeaders(sb.key) },
+      );
+      const found = resp.ok ? (await resp.json()).length : 0;
+      if (found !== links.length) return NextResponse.json({ error: 'Some documents are not in this deal.' }, { status: 400 });
+    }
+    patch.document_ids = links;
+  }
+
+  if (!Object.keys(patch).length) {
+    return NextResponse.json({ error: 'Nothing to update.' }, { status: 400 });
+  }
+
+  const mark = await upsertChecklistMark(id, itemId, patch);
+  if (!mark) {
+    logger.warn('Checklist mark save failed', { requestId: getRequestId(request), dealId: id, itemId });
+    return NextResponse.json({ error: 'Failed to save the item.' }, { status: 502 });
+  }
+
+  const after = await loadDealChecklistView(access);
+  return NextResponse.json({
+    item: after.checklist.find((i) => i.id === itemId) || null,
+    summary: after.summary,
+  });
+}
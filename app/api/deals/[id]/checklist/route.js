@@ -1,27 +1,60 @@
 /**
- * GET /api/deals/[id]/checklist
+ * /api/deals/[id]/checklist
  *
- * Returns the per-deal-type expected-documents checklist with each item
- * matched against the documents already in the data room. The dataroom UI
- * uses this to render a "received vs missing" panel that guides users
- * through the diligence bundle.
+ * GET    — the deal's expected-documents checklist, each item resolved
+ *          against the documents the caller can see (visibility-filtered
+ *          just like /documents) and the item marks: status missing /
+ *          received / satisfied / waived, matched and linked documents,
+ *          note, and — for the deal team — the AI matcher's pending
+ *          suggestions. Open to anyone with deal access.
+ * PUT    — give the deal its own checklist (owner / collaborator). Body:
+ *            { templateId }  clone an org template (uuid) or a built-in
+ *                            list ('builtin:ma', …)
+ *            { items }       replace the items (normaliseChecklistItems)
+ * DELETE — drop the deal's own copy and follow the org default again.
  *
- * Open to anyone with deal access (visibility-filtered just like /documents).
+ * Where the items come from is lib/dealChecklistStore.js. Marks are kept
+ * by item id, so they carry over when the checklist is re-cloned.
  *
- * Returns: { dealType, checklist: [{ id, label, categories, matched: doc[] }] }
+ * Returns: { dealType, checklist, summary, source, canEdit, templates?, template }
+ *   templates (deal team only) are the clone-from choices: the built-in
+ *   lists plus the owner's org templates.
  */
 
 import { NextResponse } from 'next/server';
-import {
-  getSupabaseHeaders, fetchWithTimeout, requireSupabase, isValidUUID,
-} from '@/lib/api-helpers';
+import { isValidUUID, checkOrigin, getRequestId } from '@/lib/api-helpers';
 import { requireAuth } from '@/lib/auth';
-import { resolveDealAccess } from '@/lib/dealAuth';
-import { canSeeDocument } from '@/lib/dealDocumentVisibility';
-import { matchChecklist, getChecklistForDealType } from '@/lib/dealDocumentChecklist';
+import { resolveDealAccess, requireDealEditor } from '@/lib/dealAuth';
+import {
+  loadDealChecklistView, listChecklistTemplates, getChecklistTemplate,
+  saveDealChecklist, clearDealChecklist,
+} from '@/lib/dealChecklistStore';
+import {
+  listBuiltinTemplates, getBuiltinTemplate, normaliseChecklistItems,
+} from '@/lib/dealDocumentChecklist';
+import { logger } from '@/lib/logger';
 
 export const maxDuration = 10;
 
+async function respond(access) {
+  const view = await loadDealChecklistView(access);
+  const templates = access.canEdit
+    ? [
+      ...listBuiltinTemplates().map(({ items, ...t }) => ({ ...t, itemCount: items.length })),
+      ...await listChecklistTemplates(view.orgId),
+    ]
+    : undefined;
+  return NextResponse.json({
+    dealType: access.deal.type || null,
+    checklist: view.checklist,
+    summary: view.summary,
+    source: view.source,
+    canEdit: Boolean(access.canEdit),
+    templates,
+    template: view.items.map((c) => c.id), // ids only, for cache busting
+  });
+}
+
 export async function GET(request, { params }) {
   const auth = await requireAuth(request);
   if (auth.error) return NextResponse.json(auth.error.body, { status: auth.error.status });
@@ -34,42 +67,74 @@ export async function GET(request, { params }) {
   const access = await resolveDealAccess({ dealId: id, email: auth.email, userId: auth.userId });
   if (!access) return NextResponse.json({ error: 'Deal not found or access denied.' }, { status: 404 });
 
-  const sb = requireSupabase();
-  if (!sb) return NextResponse.json({ error: 'Storage not configured.' }, { status: 503 });
-
-  // Fetch the deal type alongside the documents so we can pick the right
-  // template. Single round-trip — both selects are bounded.
-  const [dealResp, docsResp] = await Promise.all([
-    fetchWithTimeout(
-      `${sb.url}/rest/v1/deals?id=eq.${id}&select=id,type`,
-      { method: 'GET', headers: getSupabaseHeaders(sb.key) },
-    ),
-    fetchWithTimeout(
-      `${sb.url}/rest/v1/deal_documents?deal_id=eq.${id}&select=id,filename,label,category,visibility,source_party,status&order=created_at.desc`,
-      { method: 'GET', headers: getSupabaseHeaders(sb.key) },
-    ),
-  ]);
-  const [deal] = dealResp.ok ? await dealResp.json() : [];
-  const docs = docsResp.ok ? await docsResp.json() : [];
-  const dealType = deal?.type || null;
-
-  // Same visibility filter as /documents — participants only see what they
-  // would see in the doc list, so the checklist matches their view.
-  const isOwner = access.mode === 'owner';
-  const isCollaborator = access.mode === 'collaborator';
-  const viewerRole = access.participantRole || null;
-  const visible = docs.filter((doc) =>
-    canSeeDocument({ document: doc, viewerRole, isOwner, isCollaborator }),
-  );
-
-  const checklist = matchChecklist(visible, dealType);
-  const total = checklist.length;
-  const received = checklist.filter((c) => c.matched.length > 0).length;
+  return respond(access);
+}
 
-  return NextResponse.json({
-    dealType,
-    checklist,
-    summary: { total, received, missing: total - received },
-    template: getChecklistForDealType(dealType).map((c) => c.id), // ids only, for cache busting
-  });
+export async function PUT(request, { params }) {
+  const originErr = checkOrigin(request);
+  if (originErr) return NextResponse.json({ error: originErr.error }, { status: originErr.status });
+
+  const auth = await requireAuth(request);
+  if (auth.error) return NextResponse.json(auth.error.body, { status: auth.error.status });
+
+  const { id } = await params;
+  if (!isValidUUID(id)) return NextResponse.json({ error: 'Valid deal id required.' }, { status: 400 });
+
+  const gate = await requireDealEditor({ dealId: id, email: auth.email, userId: auth.userId });
+  if (gate.error) return NextResponse.json(gate.error, { status: gate.status });
+  const { access } = gate;
+
+  let body;
+  try { body = await request.json(); } catch { return NextResponse.json({ error: 'Invalid JSON.' }, { status: 400 }); }
+
+  let checklist;
+  if (typeof body?.templateId === 'string') {
+    let template = getBuiltinTemplate(body.templateId);
+    if (!template && isValidUUID(body.templateId)) {
+      const view = await loadDealChecklistView(access);
+      template = await getChecklistTemplate(view.orgId, body.templateId);
+    }
+    if (!template) return NextResponse.json({ error: 'Template not found.' }, { status: 404 });
+    checklist = {
+      items: template.items,
+      sourceTemplateId: template.builtin ? null : template.id,
+      sourceName: template.name,
+    };
+  } else if (Array.isArray(body?.items)) {
+    const { items, errors } = normaliseChecklistItems(body.items);
+    if (errors.length) return NextResponse.json({ error: errors.slice(0, 5).join(' ') }, { status: 400 });
+    const current = await loadDealChecklistView(access);
+    checklist = {
+      items,
+      sourceTemplateId: current.source.templateId,
+      sourceName: current.source.name,
+    };
+  } else {
+    return NextResponse.json({ error: 'Provide `templateId` or `items`.' }, { status: 400 });
+  }
+
+  const row = await saveDealChecklist(id, checklist, { email: auth.email });
+  if (!row) {
+    logger.warn('Deal checklist save failed', { requestId: getRequestId(request), dealId: id });
+    return NextResponse.json({ error: 'Failed to save the checklist.' }, { status: 502 });
+  }
+  return respond(access);
+}
+
+export async function DELETE(request, { params }) {
+  const originErr = checkOrigin(request);
+  if (originErr) return NextResponse.json({ error: originErr.error }, { status: originErr.status });
+
+  const auth = await requireAuth(request);
+  if (auth.error) return NextResponse.json(auth.error.body, { status: auth.error.status });
+
+  const { id } = await params;
+  if (!isValidUUID(id)) return NextResponse.json({ error: 'Valid deal id required.' }, { status: 400 });
+
+  const gate = await requireDealEditor({ dealId: id, email: auth.email, userId: auth.userId });
+  if (gate.error) return NextResponse.json(gate.error, { status: gate.status });
+
+  const result = await clearDealChecklist(id);
+  if (!result.ok) return NextResponse.json({ error: 'Failed to reset the checklist.' }, { status: 502 });
+  return respond(gate.access);
 }
@@ -0,0 +1,122 @@
+/**
+ * POST /api/deals/[id]/checklist/suggest
+ *
+ * Ask the AI matcher (lib/dealChecklistMatcher.js) which documents satisfy
+ * the checklist items that are still missing. Suggestions are saved on
+ * each item's mark, replacing the previous run's, and shown to the deal
+ * team to accept or dismiss; they never count on their own.
+ *
+ * Owner / collaborator only. Billed to the caller's org like chat: trial
+ * gate and org budget checked first, usage recorded after.
+ *
+ * Returns: { suggested: number, items: number } — matches found and items
+ * that have at least one.
+ */
+
+import { NextResponse } from 'next/server';
+import {
+  getSupabaseHeaders, fetchWithTimeout, requireSupabase, isValidUUID, checkOrigin, getRequestId,
+} from '@/lib/api-helpers';
+import { requireAuth } from '@/lib/auth';
+import { checkRateLimit, getRateLimitKey } from '@/lib/rate-limit';
+import { requireDealEditor } from '@/lib/dealAuth';
+import { loadDealChecklistView, upsertChecklistMark } from '@/lib/dealChecklistStore';
+import { suggestChecklistMatches, MAX_MATCHER_DOCS } from '@/lib/dealChecklistMatcher';
+import { resolveActiveKey } from '@/lib/customerKey';
+import { getOrgIdForUser, preflightTokenBudget, recordTokenUsage } from '@/lib/costGuard';
+import { requireBudgetClearance } from '@/lib/trialBudget';
+import { logger } from '@/lib/logger';
+
+export const maxDuration = 60;
+
+const ESTIMATED_TOKENS = 20000;
+
+export async function POST(request, { params }) {
+  const originErr = checkOrigin(request);
+  if (originErr) return NextResponse.json({ error: originErr.error }, { status: originErr.status });
+
+  const rl = await checkRateLimit(getRateLimitKey(request));
+  if (!rl.allowed) {
+    return NextResponse.json({ error: 'Too many requests.' }, { status: 429, headers: { 'Retry-After': String(rl.retryAfter || 60) } });
+  }
+
+  const auth = await requireAuth(request);
+  if (auth.error) return NextResponse.json(auth.error.body, { status: auth.error.status });
+
+  const { id } = await params;
+  if (!isValidUUID(id)) return NextResponse.json({ error: 'Valid deal id required.' }, { status: 400 });
+
+  const gate = await requireDealEditor({ dealId: id, email: auth.email, userId: auth.userId });
+  if (gate.error) return NextResponse.json(gate.error, { status: gate.status });
+
+  const sb = requireSupabase();
+  if (!sb) return NextResponse.json({ error: 'Storage not configured.' }, { status: 503 });
+
+  const view = await loadDealChecklistView(gate.access);
+  const missing = view.checklist.filter((i) => i.status === 'missing');
+  if (!missing.length || !view.documents.length) {
+    return NextResponse.json({ suggested: 0, items: 0, message: missing.length ? 'No documents to match yet.' : 'Nothing is missing.' });
+  }
+
+  const clearance = await requireBudgetClearance({ email: auth.email, userId: auth.userId }).catch(() => ({ allowed: true }));
+  if (!clearance.allowed) {
+    return NextResponse.json({ error: clearance.message, gateAction: clearance.gateAction, reason: clearance.reason }, { status: 402 });
+  }
+  const orgId = await getOrgIdForUser({ email: auth.email, userId: auth.userId }).catch(() => null);
+  const budget = await preflightTokenBudget({ orgId, estimatedTokens: ESTIMATED_TOKENS });
+  if (!budget.allowed) {
+    return NextResponse.json({ error: 'Your organisation has used its token budget.', reason: budget.reason }, { status: 402 });
+  }
+
+  // The opening chunk of each document tells the model what it is.
+  const documents = view.documents.slice(0, MAX_MATCHER_DOCS);
+  const excerpts = new Map();
+  const chunkResp = await fetchWithTimeout(
+    `${sb.url}/rest/v1/deal_document_chunks?document_id=in.(${documents.map((d) => d.id).join(',')})&chunk_index=eq.0&select=document_id,content`,
+    { method: 'GET', headers: getSupabaseHeaders(sb.key) },
+  );
+  for (const c of chunkResp.ok ? await chunkResp.json() : []) excerpts.set(c.document_id, c.content);
+
+  const requestId = getRequestId(request);
+  const { key } = await resolveActiveKey({ orgId, vendor: 'anthropic' });
+  const result = await suggestChecklistMatches({
+    items: missing,
+    documents: documents.map((d) => ({ ...d, excerpt: excerpts.get(d.id) || '' })),
+    apiKey: key,
+  });
+  if (!result) return NextResponse.json({ error: 'Could not suggest matches right now.' }, { status: 502 });
+
+  try {
+    await recordTokenUsage({
+      orgId,
+      vendor: 'anthropic',
+      model: result.model,
+      surface: 'checklist_match',
+      refId: id,
+      inputTokens: result.usage.inputTokens,
+      outputTokens: result.usage.outputTokens,
+      userEmail: auth.email,
+      userId: auth.userId,
+    });
+  } catch (e) {
+    logger.warn('Checklist matcher token-usage record failed (non-fatal)', { requestId, error: e.message });
+  }
+
+  // Replace every missing item's suggestions, so a stale one from an earlier
+  // run doesn't outlive a document that no longer fits.
+  const byItem = new Map(missing.map((i) => [i.id, []]));
+  for (const s of result.suggestions) {
+    byItem.get(s.item_id)?.push({ document_id: s.document_id, confidence: s.confidence, reason: s.reason });
+  }
+  const now = new Date().toISOString();
+  const writes = [...byItem.entries()]
+    .filter(([itemId, list]) => list.length || view.marks.some((m) => m.item_id === itemId && m.suggestions?.length))
+    .map(([itemId, list]) => upsertChecklistMark(id, itemId, { suggestions: list, suggested_at: now }));
+  const saved = await Promise.all(writes);
+  if (saved.some((r) => !r)) logger.warn('Some checklist suggestions failed to save', { requestId, dealId: id });
+
+  return NextResponse.json({
+    suggested: result.suggestions.length,
+    items: [...byItem.values()].filter((l) => l.length).length,
+  });
+}
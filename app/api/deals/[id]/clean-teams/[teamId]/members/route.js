@@ -0,0 +1,103 @@
+/**
+ * /api/deals/[id]/clean-teams/[teamId]/members
+ *
+ * POST   — owner only. { email, access_expires_at? } adds a member, or
+ *          moves an existing member's expiry. A member whose access has
+ *          expired no longer sees the team's documents.
+ * DELETE — owner only. ?email= removes a member.
+ *
+ * Members are addressed by email: they don't have to be on the deal yet,
+ * but see nothing until they are (as a collaborator or participant).
+ *
+ * Returns: { teams, canManage }, as GET /api/deals/[id]/clean-teams.
+ */
+
+import { NextResponse } from 'next/server';
+import { isValidUUID, isValidEmail, checkOrigin, getRequestId } from '@/lib/api-helpers';
+import { requireAuth } from '@/lib/auth';
+import { requireDealOwner } from '@/lib/dealAuth';
+import { auditLog, requestContext } from '@/lib/auditLog';
+import { normaliseExpiry } from '@/lib/dealDocumentVisibility';
+import {
+  listCleanTeams, upsertCleanTeamMember, removeCleanTeamMember,
+} from '@/lib/dealCleanTeamStore';
+
+export const maxDuration = 10;
+
+async function respond(access) {
+  return NextResponse.json({ teams: await listCleanTeams(access.deal.id), canManage: true });
+}
+
+async function gateRequest(request, params) {
+  const originErr = checkOrigin(request);
+  if (originErr) return { response: NextResponse.json({ error: originErr.error }, { status: originErr.status }) };
+
+  const auth = await requireAuth(request);
+  if (auth.error) return { response: NextResponse.json(auth.error.body, { status: auth.error.status }) };
+
+  const { id, teamId } = await params;
+  if (!isValidUUID(id) || !isValidUUID(teamId)) {
+    return { response: NextResponse.json({ error: 'Valid deal and team ids required.' }, { status: 400 }) };
+  }
+
+  const gate = await requireDealOwner({ dealId: id, email: auth.email, userId: auth.userId });
+  if (gate.error) return { response: NextResponse.json(gate.error, { status: gate.status }) };
+
+  const team = (await listCleanTeams(id)).find((t) => t.id === teamId);
+  if (!team) return { response: NextResponse.json({ error: 'Clean team not found.' }, { status: 404 }) };
+
+  return { auth, access: gate.access, id, teamId, team };
+}
+
+export async function POST(request, { params }) {
+  const ctx = await gateRequest(request, params);
+  if (ctx.response) return ctx.response;
+  const { auth, access, id, teamId, team } = ctx;
+
+  let body;
+  try { body = await request.json(); } catch { return NextResponse.json({ error: 'Invalid JSON.' }, { status: 400 }); }
+
+  const email = String(body?.email || '').trim().toLowerCase();
+  if (!isValidEmail(email)) return NextResponse.json({ error: 'A valid email is required.' }, { status: 400 });
+  let accessExpiresAt;
+  try { accessExpiresAt = normaliseExpiry(body?.access_expires_at ?? null); } catch (e) {
+    return NextResponse.json({ error: e.message }, { status: 400 });
+  }
+
+  const existing = team.members.find((m) => m.email.toLowerCase() === email);
+  const row = await upsertCleanTeamMember(id, teamId, { email, access_expires_at: accessExpiresAt }, { addedBy: auth.email });
+  if (!row || row.conflict) return NextResponse.json({ error: 'Failed to save the member.' }, { status: 502 });
+
+  auditLog({
+    action: existing ? 'clean_team.member_updated' : 'clean_team.member_added',
+    actorEmail: auth.email, actorUserId: auth.userId,
+    dealId: id, targetType: 'clean_team', targetId: teamId, requestId: getRequestId(request),
+    ...requestContext(request),
+    details: { name: team.name, email, access_expires_at: accessExpiresAt },
+  });
+
+  return respond(access);
+}
+
+export async function DELETE(request, { params }) {
+  const ctx = await gateRequest(request, params);
+  if (ctx.response) return ctx.response;
+  const { auth, access, id, teamId, team } = ctx;
+
+  const email = String(request.nextUrl.searchParams.get('email') || '').trim().toLowerCase();
+  const member = team.members.find((m) => m.email.toLowerCase() === email);
+  if (!member) return NextResponse.json({ error: 'Not a member of this clean team.' }, { status: 404 });
+
+  const result = await removeCleanTeamMember(id, teamId, member.email);
+  if (!result.ok) return NextResponse.json({ error: 'Failed to remove the member.' }, { status: 502 });
+
+  auditLog({
+    action: 'clean_team.member_removed',
+    actorEmail: auth.email, actorUserId: auth.userId,
+    dealId: id, targetType: 'clean_team', targetId: teamId, requestId: getRequestId(request),
+    ...requestContext(request),
+    details: { name: team.name, email: member.email },
+  });
+
+  return respond(access);
+}
@@ -0,0 +1,103 @@
+/**
+ * /api/deals/[id]/clean-teams/[teamId]
+ *
+ * PATCH  — owner only. { name?, description? }
+ * DELETE — owner only. Refused (409) while documents are still ring-fenced
+ *          to the team: deleting it would open them up to every viewer
+ *          the visibility rule allows.
+ *
+ * Returns: { teams, canManage }, as GET /api/deals/[id]/clean-teams.
+ */
+
+import { NextResponse } from 'next/server';
+import { isValidUUID, checkOrigin, getRequestId } from '@/lib/api-helpers';
+import { requireAuth } from '@/lib/auth';
+import { requireDealOwner } from '@/lib/dealAuth';
+import { auditLog, requestContext } from '@/lib/auditLog';
+import { listCleanTeams, updateCleanTeam, deleteCleanTeam } from '@/lib/dealCleanTeamStore';
+
+export const maxDuration = 10;
+
+async function respond(access) {
+  return NextResponse.json({ teams: await listCleanTeams(access.deal.id), canManage: true });
+}
+
+async function gateRequest(request, params) {
+  const originErr = checkOrigin(request);
+  if (originErr) return { response: NextResponse.json({ error: originErr.error }, { status: originErr.status }) };
+
+  const auth = await requireAuth(request);
+  if (auth.error) return { response: NextResponse.json(auth.error.body, { status: auth.error.status }) };
+
+  const { id, teamId } = await params;
+  if (!isValidUUID(id) || !isValidUUID(teamId)) {
+    return { response: NextResponse.json({ error: 'Valid deal and team ids required.' }, { status: 400 }) };
+  }
+
+  const gate = await requireDealOwner({ dealId: id, email: auth.email, userId: auth.userId });
+  if (gate.error) return { response: NextResponse.json(gate.error, { status: gate.status }) };
+
+  const team = (await listCleanTeams(id)).find((t) => t.id === teamId);
+  if (!team) return { response: NextResponse.json({ error: 'Clean team not found.' }, { status: 404 }) };
+
+  return { auth, access: gate.access, id, teamId, team };
+}
+
+export async function PATCH(request, { params }) {
+  const ctx = await gateRequest(request, params);
+  if (ctx.response) return ctx.response;
+  const { auth, access, id, teamId, team } = ctx;
+
+  let body;
+  try { body = await request.json(); } catch { return NextResponse.json({ error: 'Invalid JSON.' }, { status: 400 }); }
+
+  const patch = {};
+  if (body?.name !== undefined) {
+    patch.name = String(body.name || '').trim().slice(0, 80);
+    if (!patch.name) return NextResponse.json({ error: 'A clean team needs a name.' }, { status: 400 });
+  }
+  if (body?.description !== undefined) {
+    patch.description = body.description ? String(body.description).trim().slice(0, 500) : null;
+  }
+  if (!Object.keys(patch).length) return NextResponse.json({ error: 'Nothing to update.' }, { status: 400 });
+
+  const row = await updateCleanTeam(id, teamId, patch);
+  if (row?.conflict) return NextResponse.json({ error: `There is already a clean team called "${patch.name}".` }, { status: 409 });
+  if (!row) return NextResponse.json({ error: 'Failed to save the clean team.' }, { status: 502 });
+
+  auditLog({
+    action: 'clean_team.updated',
+    actorEmail: auth.email, actorUserId: auth.userId,
+    dealId: id, targetType: 'clean_team', targetId: teamId, requestId: getRequestId(request),
+    ...requestContext(request),
+    details: { name: row.name, ...(patch.name && patch.name !== team.name ? { from: team.name } : {}) },
+  });
+
+  return respond(access);
+}
+
+export async function DELETE(request, { params }) {
+  const ctx = await gateRequest(request, params);
+  if (ctx.response) return ctx.response;
+  const { auth, access, id, teamId, team } = ctx;
+
+  if (team.document_count > 0) {
+    return NextResponse.json({
+      error: `${team.document_count} document${team.document_count === 1 ? ' is' : 's are'} still ring-fenced to this team. Move them first.`,
+    }, { status: 409 });
+  }
+
+  const result = await deleteCleanTeam(id, teamId);
+  if (result.fenced) return NextResponse.json({ error: 'Documents are still ring-fenced to this team. Move them first.' }, { status: 409 });
+  if (!result.ok) return NextResponse.json({ error: 'Failed to delete the clean team.' }, { status: 502 });
+
+  auditLog({
+    action: 'clean_team.deleted',
+    actorEmail: auth.email, actorUserId: auth.userId,
+    dealId: id, targetType: 'clean_team', targetId: teamId, requestId: getRequestId(request),
+    ...requestContext(request),
+    details: { name: team.name, members: team.members.length },
+  });
+
+  return respond(access);
+}
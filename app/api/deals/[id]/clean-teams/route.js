@@ -0,0 +1,77 @@
+/**
+ * /api/deals/[id]/clean-teams
+ *
+ * GET  — owner / collaborator. The deal's clean teams with their members
+ *        and how many documents each ring-fences.
+ * POST — owner only. { name, description? } creates a team.
+ *
+ * Clean teams ring-fence competition-sensitive documents: a document with
+ * a `clean_team_id` is only visible to current members of that team (and
+ * the owner). See lib/dealDocumentVisibility.js.
+ *
+ * Returns: { teams, canManage }
+ */
+
+import { NextResponse } from 'next/server';
+import { isValidUUID, checkOrigin, getRequestId } from '@/lib/api-helpers';
+import { requireAuth } from '@/lib/auth';
+import { requireDealEditor, requireDealOwner } from '@/lib/dealAuth';
+import { auditLog, requestContext } from '@/lib/auditLog';
+import { listCleanTeams, createCleanTeam } from '@/lib/dealCleanTeamStore';
+
+export const maxDuration = 10;
+
+async function respond(access) {
+  return NextResponse.json({
+    teams: await listCleanTeams(access.deal.id),
+    canManage: access.mode === 'owner',
+  });
+}
+
+export async function GET(request, { params }) {
+  const auth = await requireAuth(request);
+  if (auth.error) return NextResponse.json(auth.error.body, { status: auth.error.status });
+
+  const { id } = await params;
+  if (!isValidUUID(id)) return NextResponse.json({ error: 'Valid deal id required.' }, { status: 400 });
+
+  const gate = await requireDealEditor({ dealId: id, email: auth.email, userId: auth.userId });
+  if (gate.error) return NextResponse.json(gate.error, { status: gate.status });
+
+  return respond(gate.access);
+}
+
+export async function POST(request, { params }) {
+  const originErr = checkOrigin(request);
+  if (originErr) return NextResponse.json({ error: originErr.error }, { status: originErr.status });
+
+  const auth = await requireAuth(request);
+  if (auth.error) return NextResponse.json(auth.error.body, { status: auth.error.status });
+
+  const { id } = await params;
+  if (!isValidUUID(id)) return NextResponse.json({ error: 'Valid deal id required.' }, { status: 400 });
+
+  const gate = await requireDealOwner({ dealId: id, email: auth.email, userId: auth.userId });
+  if (gate.error) return NextResponse.json(gate.error, { status: gate.status });
+
+  let body;
+  try { body = await request.json(); } catch { return NextResponse.json({ error: 'Invalid JSON.' }, { status: 400 }); }
+
+  const name = String(body?.name || '').trim().slice(0, 80);
+  if (!name) return NextResponse.json({ error: 'A clean team needs a name.' }, { status: 400 });
+  const description = body?.description ? String(body.description).trim().slice(0, 500) : null;
+
+  const team = await createCleanTeam(id, { name, description }, { email: auth.email });
+  if (team?.conflict) return NextResponse.json({ error: `There is already a clean team called "${name}".` }, { status: 409 });
+  if (!team) return NextResponse.json({ error: 'Failed to create the clean team.' }, { status: 502 });
+
+  auditLog({
+    action: 'clean_team.created',
+    actorEmail: auth.email, actorUserId: auth.userId,
+    dealId: id, targetType: 'clean_team', targetId: team.id, requestId: getRequestId(request),
+    ...requestContext(request),
+    details: { name },
+  });
+
+  return respond(gate.access);
+}
@@ -3,6 +3,10 @@
  *
  * Force an immediate sync for a single binding by emitting the Inngest
  * event the sync worker subscribes to. Editor-only. No body.
+ *
+ * `?full=1` re-lists the whole source folder instead of reading the
+ * delta feed and tombstones documents that are no longer there — the
+ * manual escape hatch when a binding looks out of step with its source.
  */
 
 import { NextResponse } from 'next/server';
@@ -43,7 +47,11 @@ export async function POST(request, { params }) {
   if (!row) return NextResponse.json({ error: 'Binding not found.' }, { status: 404 });
 
   try {
-    const result = await sendEvent({ name: 'connector-binding.sync-requested', data: { binding_id: bindingId } });
+    const full = new URL(request.url).searchParams.get('full') === '1';
+    const result = await sendEvent({
+      name: 'connector-binding.sync-requested',
+      data: { binding_id: bindingId, ...(full ? { full: true } : {}) },
+    });
     return NextResponse.json({ ok: true, enqueued: !result?.skipped });
   } catch (e) {
     return NextResponse.json({ error: e?.message || 'Failed to enqueue sync.' }, { status: 502 });
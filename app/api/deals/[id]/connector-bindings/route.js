@@ -20,7 +20,8 @@ export const maxDuration = 15;
 
 const SELECT_COLS =
   'id,deal_id,integration_id,source_ref,display_path,source_party,visibility,'
-  + 'sync_status,last_sync_at,last_sync_error,next_sync_after,created_by_email,created_at,updated_at,'
+  + 'sync_status,last_sync_at,last_sync_error,last_sync_stats,last_full_sync_at,next_sync_after,'
+  + 'created_by_email,created_at,updated_at,'
   + 'org_integrations(provider,account_email,display_name,status)';
 
 export async function GET(request, { params }) {
@@ -0,0 +1,68 @@
+/**
+ * GET /api/deals/[id]/contracts
+ *
+ * The deal's contract register: every scanned contract with the clauses
+ * the red-flag scan tagged (change of control, exclusivity, MFN,
+ * liability, auto-renewal), the worst risk and the red-flag count.
+ * Built from deal_contract_clauses by buildContractRegister(); the scan
+ * itself runs in processDealDocument.
+ *
+ * Open to anyone with deal access (visibility-filtered just like /documents).
+ *
+ * Returns: { contracts: [{ document_id, filename, clauses: { [type]: {...} },
+ *            red_flags, worst_risk }], summary, clauseTypes }
+ */
+
+import { NextResponse } from 'next/server';
+import {
+  getSupabaseHeaders, fetchWithTimeout, requireSupabase, isValidUUID,
+} from '@/lib/api-helpers';
+import { requireAuth } from '@/lib/auth';
+import { resolveDealAccess } from '@/lib/dealAuth';
+import { canSeeDocument, DOCUMENT_ACCESS_COLUMNS } from '@/lib/dealDocumentVisibility';
+import { loadDocumentViewer } from '@/lib/dealCleanTeamStore';
+import { buildContractRegister, CLAUSE_TYPES, CLAUSE_TYPE_KEYS } from '@/lib/deal-analysis/contractClauses';
+
+export const maxDuration = 10;
+
+export async function GET(request, { params }) {
+  const auth = await requireAuth(request);
+  if (auth.error) return NextResponse.json(auth.error.body, { status: auth.error.status });
+
+  const { id } = await params;
+  if (!isValidUUID(id)) {
+    return NextResponse.json({ error: 'Valid deal id required.' }, { status: 400 });
+  }
+
+  const access = await resolveDealAccess({ dealId: id, email: auth.email, userId: auth.userId });
+  if (!access) return NextResponse.json({ error: 'Deal not found or access denied.' }, { status: 404 });
+
+  const sb = requireSupabase();
+  if (!sb) return NextResponse.json({ error: 'Storage not configured.' }, { status: 503 });
+
+  const [docsResp, clausesResp] = await Promise.all([
+    fetchWithTimeout(
+      `${sb.url}/rest/v1/deal_documents?deal_id=eq.${id}&select=id,filename,label,category,source_party,${DOCUMENT_ACCESS_COLUMNS}`,
+      { method: 'GET', headers: getSupabaseHeaders(sb.key) },
+    ),
+    fetchWithTimeout(
+      `${sb.url}/rest/v1/deal_contract_clauses?deal_id=eq.${id}`
+        + '&select=document_id,chunk_id,clause_type,risk,flags,excerpt,page_number&limit=5000',
+      { method: 'GET', headers: getSupabaseHeaders(sb.key) },
+    ),
+  ]);
+  if (!docsResp.ok || !clausesResp.ok) {
+    return NextResponse.json({ error: 'Failed to load the contract register.' }, { status: 502 });
+  }
+  const docs = await docsResp.json();
+  const clauses = await clausesResp.json();
+
+  // A participant only sees contracts they could open in the data room.
+  const viewer = await loadDocumentViewer(access, auth.email);
+  const visible = docs.filter((doc) => canSeeDocument({ document: doc, ...viewer }));
+
+  return NextResponse.json({
+    ...buildContractRegister(clauses, visible),
+    clauseTypes: CLAUSE_TYPE_KEYS.map((key) => ({ key, label: CLAUSE_TYPES[key].label })),
+  });
+}
@@ -10,16 +10,26 @@
  * Also: GET /api/deals/[id]/documents/[docId]/preview?raw=1
  *   Returns a signed Supabase Storage URL pointing at the original bytes
  *   so the browser can render the source file (PDF in <iframe>, etc).
+ *   View-only documents answer 403 `{ view_only: true }` instead, as
+ *   /signed-url does.
+ *
+ * Chunk previews of ring-fenced or view-only documents carry a
+ * `watermark` ({ text, issued_at }) the client overlays on the excerpt.
+ * Every view, and every refused download, is audited.
  */
 
 import { NextResponse } from 'next/server';
 import {
   getSupabaseHeaders, getSupabaseWriteHeaders, fetchWithTimeout, requireSupabase,
-  isValidUUID,
+  isValidUUID, getRequestId,
 } from '@/lib/api-helpers';
 import { requireAuth } from '@/lib/auth';
 import { resolveDealAccess } from '@/lib/dealAuth';
-import { canSeeDocument } from '@/lib/dealDocumentVisibility';
+import {
+  canSeeDocument, documentRestrictions, watermarkText, DOCUMENT_ACCESS_COLUMNS,
+} from '@/lib/dealDocumentVisibility';
+import { loadDocumentViewer } from '@/lib/dealCleanTeamStore';
+import { auditLog, requestContext } from '@/lib/auditLog';
 import { logger } from '@/lib/logger';
 
 const SIGNED_URL_TTL = 60 * 5; // 5 minutes
@@ -46,7 +56,7 @@ export async function GET(request, { params }) {
   // (for raw mode) get the storage_path. Includes visibility/source_party
   // so canSeeDocument() can apply the per-role filter below.
   const docResp = await fetchWithTimeout(
-    `${sb.url}/rest/v1/deal_documents?id=eq.${encodeURIComponent(docId)}&deal_id=eq.${encodeURIComponent(id)}&select=id,filename,mime_type,byte_size,storage_path,page_count,status,visibility,source_party`,
+    `${sb.url}/rest/v1/deal_documents?id=eq.${encodeURIComponent(docId)}&deal_id=eq.${encodeURIComponent(id)}&select=id,filename,mime_type,byte_size,storage_path,page_count,status,source_party,${DOCUMENT_ACCESS_COLUMNS}`,
     { method: 'GET', headers: getSupabaseHeaders(sb.key) },
   );
   if (!docResp.ok) return NextResponse.json({ error: 'Failed to load document.' }, { status: 502 });
@@ -55,15 +65,31 @@ export async function GET(request, { params }) {
 
   // Visibility check — return 404 (not 403) so participants don't learn
   // about docs they shouldn't see.
-  const isOwner = access.mode === 'owner';
-  const isCollaborator = access.mode === 'collaborator';
-  const viewerRole = access.participantRole || null;
-  if (!canSeeDocument({ document: doc, viewerRole, isOwner, isCollaborator })) {
+  const viewer = await loadDocumentViewer(access, auth.email);
+  if (!canSeeDocument({ document: doc, ...viewer })) {
     return NextResponse.json({ error: 'Document not found.' }, { status: 404 });
   }
+  const restrictions = documentRestrictions({ document: doc, isOwner: viewer.isOwner });
+  const audit = {
+    actorEmail: auth.email, actorUserId: auth.userId,
+    dealId: id, targetType: 'deal_document', targetId: docId, requestId: getRequestId(request),
+    ...requestContext(request),
+  };
 
   // ── Raw bytes mode: signed storage URL ─────────────────────────
   if (wantRaw) {
+    if (!restrictions.canDownload) {
+      auditLog({
+        ...audit,
+        action: 'document.download_blocked',
+        outcome: 'denied',
+        details: { filename: doc.filename, reason: 'view_only' },
+      });
+      return NextResponse.json(
+        { error: 'This document is view-only — open it in the watermarked viewer.', view_only: true },
+        { status: 403 },
+      );
+    }
     if (!doc.storage_path) return NextResponse.json({ error: 'Document has no storage path.' }, { status: 404 });
     const signResp = await fetchWithTimeout(
       `${sb.url}/storage/v1/object/sign/deal-documents/${doc.storage_path}`,
@@ -83,6 +109,11 @@ export async function GET(request, { params }) {
     const fullUrl = signedURL.startsWith('http')
       ? signedURL
       : `${sb.url}/storage/v1${signedURL.startsWith('/') ? '' : '/'}${signedURL}`;
+    auditLog({
+      ...audit,
+      action: 'document.viewed',
+      details: { filename: doc.filename, mode: 'original', ring_fenced: restrictions.ringFenced },
+    });
     return NextResponse.json({
       url: fullUrl,
       filename: doc.filename,
@@ -126,14 +157,24 @@ export async function GET(request, { params }) {
   // it's noise.
   const wireChunks = safeChunks.map(({ document_id, ...rest }) => rest);
 
+  const issuedAt = new Date().toISOString();
+  auditLog({
+    ...audit,
+    action: 'document.viewed',
+    details: { filename: doc.filename, mode: 'excerpt', chunk_id: target.id, ring_fenced: restrictions.ringFenced },
+  });
+
   return NextResponse.json({
     document: {
       id: doc.id,
       filename: doc.filename,
       mime_type: doc.mime_type,
       page_count: doc.page_count,
+      view_only: restrictions.viewOnly,
+      ring_fenced: restrictions.ringFenced,
     },
     target_chunk_id: target.id,
     chunks: wireChunks,
+    watermark: restrictions.watermark ? { text: watermarkText(auth.email, issuedAt), issued_at: issuedAt } : null,
   });
 }
@@ -6,19 +6,35 @@
  * category, retag, relabel, or change visibility. Doesn't touch storage,
  * chunks, or the processing lifecycle.
  *
- * Accepts: { category?, label?, source_party?, tags?, visibility? }
+ * The access fields — clean_team_id (ring-fence to a clean team),
+ * view_only and access_expires_at — are owner-only and audited as
+ * `document.access_changed`.
+ *
+ * Documents unpacked from an archive inherit its visibility and access
+ * (processDealDocument expandArchiveDocument), so changing either on an
+ * archive carries down to every file expanded from it.
+ *
+ * Accepts: { category?, label?, source_party?, tags?, visibility?,
+ *            clean_team_id?, view_only?, access_expires_at? }
  * Returns: { document }
  */
 
 import { NextResponse } from 'next/server';
 import {
   getSupabaseHeaders, getSupabaseWriteHeaders, fetchWithTimeout, requireSupabase,
-  isValidUUID, checkOrigin,
+  isValidUUID, checkOrigin, getRequestId,
 } from '@/lib/api-helpers';
 import { requireAuth } from '@/lib/auth';
 import { requireDealEditor } from '@/lib/dealAuth';
-import { validateVisibilityForDealType } from '@/lib/dealDocumentVisibility';
+import {
+  validateVisibilityForDealType, normaliseDocumentAccess, DOCUMENT_ACCESS_COLUMNS,
+} from '@/lib/dealDocumentVisibility';
+import { listCleanTeams } from '@/lib/dealCleanTeamStore';
+import { auditLog, requestContext } from '@/lib/auditLog';
 import { DOC_CATEGORIES } from '@/lib/ai/categorizeDoc';
+import { ARCHIVE_LIMITS } from '@/lib/inngest/functions/archive';
+import { logger } from '@/lib/logger';
+import { sendEvent } from '@/lib/inngest/client';
 
 export const maxDuration = 10;
 
@@ -71,6 +87,19 @@ export async function PATCH(request, { params }) {
     patch.visibility = vis;
   }
 
+  const accessFields = ['clean_team_id', 'view_only', 'access_expires_at'].filter((k) => body[k] !== undefined);
+  let accessPatch = {};
+  if (accessFields.length) {
+    if (editor.access.mode !== 'owner') {
+      return NextResponse.json({ error: 'Only the deal owner can change clean-team access.' }, { status: 403 });
+    }
+    const teams = body.clean_team_id ? await listCleanTeams(dealId) : [];
+    try { accessPatch = normaliseDocumentAccess(body, teams.map((t) => t.id)); } catch (e) {
+      return NextResponse.json({ error: e.message }, { status: 400 });
+    }
+    Object.assign(patch, accessPatch);
+  }
+
   if (Object.keys(patch).length === 0) {
     return NextResponse.json({ error: 'No editable fields provided.' }, { status: 400 });
   }
@@ -80,7 +109,7 @@ export async function PATCH(request, { params }) {
   if (!sb) return NextResponse.json({ error: 'Storage not configured.' }, { status: 503 });
 
   const resp = await fetchWithTimeout(
-    `${sb.url}/rest/v1/deal_documents?id=eq.${docId}&deal_id=eq.${dealId}&select=id,filename,mime_type,byte_size,status,processing_error,label,source_party,tags,visibility,category,page_count,uploaded_by_email,created_at,updated_at`,
+    `${sb.url}/rest/v1/deal_documents?id=eq.${docId}&deal_id=eq.${dealId}&select=id,filename,mime_type,byte_size,status,processing_error,label,source_party,tags,category,page_count,uploaded_by_email,created_at,updated_at,${DOCUMENT_ACCESS_COLUMNS}`,
     {
       method: 'PATCH',
       headers: { ...getSupabaseWriteHeaders(sb.key), Prefer: 'return=representation' },
@@ -93,5 +122,51 @@ export async function PATCH(request, { params }) {
   const [document] = await resp.json();
   if (!document) return NextResponse.json({ error: 'Document not found.' }, { status: 404 });
 
+  const inherited = {};
+  if (patch.visibility !== undefined) inherited.visibility = patch.visibility;
+  Object.assign(inherited, accessPatch);
+  if (Object.keys(inherited).length) {
+    await cascadeToArchiveMembers(sb, { dealId, docId, patch: { ...inherited, updated_at: patch.updated_at } });
+    try {
+      await sendEvent({ name: 'deal.facts-updated', data: { deal_id: dealId } });
+    } catch (e) {
+      logger.warn('Failed to queue contradiction check after access change', { dealId, docId, error: e.message });
+    }
+  }
+
+  if (accessFields.length) {
+    auditLog({
+      action: 'document.access_changed',
+      actorEmail: auth.email, actorUserId: auth.userId,
+      dealId, targetType: 'deal_document', targetId: docId, requestId: getRequestId(request),
+      ...requestContext(request),
+      details: { filename: document.filename, ...accessPatch },
+    });
+  }
+
   return NextResponse.json({ document });
 }
+
+/**
+ * Apply `patch` to every document expanded from `docId`, level by level
+ * down to the deepest nesting an archive is expanded to. Best effort: a
+ * failure is logged and the parent's update still stands.
+ */
+async function cascadeToArchiveMembers(sb, { dealId, docId, patch }) {
+  let parents = [docId];
+  for (let level = 0; level < ARCHIVE_LIMITS.maxNesting && parents.length; level += 1) {
+    const resp = await fetchWithTimeout(
+      `${sb.url}/rest/v1/deal_documents?deal_id=eq.${dealId}&parent_document_id=in.(${parents.join(',')})&select=id`,
+      {
+        method: 'PATCH',
+        headers: { ...getSupabaseWriteHeaders(sb.key), Prefer: 'return=representation' },
+        body: JSON.stringify(patch),
+      },
+    );
+    if (!resp.ok) {
+      logger.error('Failed to carry document access to archive members', { dealId, docId, status: resp.status });
+      return;
+    }
+    parents = (await resp.json()).map((r) => r.id);
+  }
+}
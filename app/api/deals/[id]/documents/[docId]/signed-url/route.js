@@ -9,17 +9,26 @@
  * shape: this route relaxes the access tier to any verified viewer because
  * the cards are exposed in chat, where participants legitimately work.
  *
+ * Visibility and clean-team ring-fences apply as on the list endpoint.
+ * View-only documents never get a URL (except for the owner): the call
+ * returns 403 `{ error, view_only: true }` and the client falls back to
+ * the watermarked /view. Issued URLs and blocked downloads are both
+ * written to the audit log.
+ *
  * Returns: { url, filename, mime_type, byte_size, expires_in }
  */
 
 import { NextResponse } from 'next/server';
 import {
   getSupabaseHeaders, getSupabaseWriteHeaders, fetchWithTimeout, requireSupabase,
-  isValidUUID,
+  isValidUUID, getRequestId,
 } from '@/lib/api-helpers';
 import { requireAuth } from '@/lib/auth';
 import { resolveDealAccess } from '@/lib/dealAuth';
 import { logger } from '@/lib/logger';
+import { auditLog, requestContext } from '@/lib/auditLog';
+import { canSeeDocument, documentRestrictions, DOCUMENT_ACCESS_COLUMNS } from '@/lib/dealDocumentVisibility';
+import { loadDocumentViewer } from '@/lib/dealCleanTeamStore';
 
 const SIGNED_URL_TTL = 60 * 5; // 5 minutes
 
@@ -41,12 +50,35 @@ export async function GET(request, { params }) {
   if (!sb) return NextResponse.json({ error: 'Storage not configured.' }, { status: 503 });
 
   const docResp = await fetchWithTimeout(
-    `${sb.url}/rest/v1/deal_documents?id=eq.${encodeURIComponent(docId)}&deal_id=eq.${encodeURIComponent(dealId)}&select=id,filename,mime_type,byte_size,storage_path`,
+    `${sb.url}/rest/v1/deal_documents?id=eq.${encodeURIComponent(docId)}&deal_id=eq.${encodeURIComponent(dealId)}&select=id,filename,mime_type,byte_size,storage_path,${DOCUMENT_ACCESS_COLUMNS}`,
     { method: 'GET', headers: getSupabaseHeaders(sb.key) },
   );
   if (!docResp.ok) return NextResponse.json({ error: 'Failed to load document.' }, { status: 502 });
   const [doc] = await docResp.json();
   if (!doc) return NextResponse.json({ error: 'Document not found.' }, { status: 404 });
+
+  const viewer = await loadDocumentViewer(access, auth.email);
+  if (!canSeeDocument({ document: doc, ...viewer })) {
+    return NextResponse.json({ error: 'Document not found.' }, { status: 404 });
+  }
+  const audit = {
+    actorEmail: auth.email, actorUserId: auth.userId,
+    dealId, targetType: 'deal_document', targetId: docId, requestId: getRequestId(request),
+    ...requestContext(request),
+  };
+  const restrictions = documentRestrictions({ document: doc, isOwner: viewer.isOwner });
+  if (!restrictions.canDownload) {
+    auditLog({
+      ...audit,
+      action: 'document.download_blocked',
+      outcome: 'denied',
+      details: { filename: doc.filename, reason: 'view_only' },
+    });
+    return NextResponse.json(
+      { error: 'This document is view-only — open it in the watermarked viewer.', view_only: true },
+      { status: 403 },
+    );
+  }
   if (!doc.storage_path) return NextResponse.json({ error: 'Document has no storage path.' }, { status: 404 });
 
   const signResp = await fetchWithTimeout(
@@ -67,6 +99,12 @@ export async function GET(request, { params }) {
     ? signedURL
     : `${sb.url}/storage/v1${signedURL.startsWith('/') ? '' : '/'}${signedURL}`;
 
+  auditLog({
+    ...audit,
+    action: 'document.viewed',
+    details: { filename: doc.filename, mode: 'original', ring_fenced: restrictions.ringFenced },
+  });
+
   return NextResponse.json({
     url: fullUrl,
     filename: doc.filename,
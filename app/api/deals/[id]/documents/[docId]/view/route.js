@@ -0,0 +1,107 @@
+/**
+ * GET /api/deals/[id]/documents/[docId]/view
+ *
+ * Watermarked, view-only reading of a document: its extracted text,
+ * grouped by page / slide / sheet, with a watermark naming the viewer and
+ * the time the view was issued. This is how view-only documents are read
+ * (they never get a signed URL), and how ring-fenced ones open by default.
+ *
+ * Open to any deal viewer who passes canSeeDocument() — visibility,
+ * clean-team membership and access expiry. Every view is audited as
+ * `document.viewed` with mode 'text'.
+ *
+ * Returns: { document, sections: [{ label, text }], watermark: { text, issued_at } }
+ */
+
+import { NextResponse } from 'next/server';
+import {
+  getSupabaseHeaders, fetchWithTimeout, requireSupabase, isValidUUID, getRequestId,
+} from '@/lib/api-helpers';
+import { requireAuth } from '@/lib/auth';
+import { resolveDealAccess } from '@/lib/dealAuth';
+import {
+  canSeeDocument, documentRestrictions, watermarkText, DOCUMENT_ACCESS_COLUMNS,
+} from '@/lib/dealDocumentVisibility';
+import { loadDocumentViewer } from '@/lib/dealCleanTeamStore';
+import { auditLog, requestContext } from '@/lib/auditLog';
+
+export const maxDuration = 15;
+
+const MAX_CHUNKS = 2000;
+
+function sectionLabel(chunk) {
+  if (chunk.page_number != null) return `Page ${chunk.page_number}`;
+  if (chunk.slide_number != null) return `Slide ${chunk.slide_number}`;
+  if (chunk.sheet_name) return `Sheet ${chunk.sheet_name}`;
+  return '';
+}
+
+export async function GET(request, { params }) {
+  const auth = await requireAuth(request);
+  if (auth.error) return NextResponse.json(auth.error.body, { status: auth.error.status });
+
+  const { id: dealId, docId } = await params;
+  if (!isValidUUID(dealId) || !isValidUUID(docId)) {
+    return NextResponse.json({ error: 'Valid deal id and doc id required.' }, { status: 400 });
+  }
+
+  const access = await resolveDealAccess({ dealId, email: auth.email, userId: auth.userId });
+  if (!access) return NextResponse.json({ error: 'Deal not found or access denied.' }, { status: 404 });
+
+  const sb = requireSupabase();
+  if (!sb) return NextResponse.json({ error: 'Storage not configured.' }, { status: 503 });
+
+  const docResp = await fetchWithTimeout(
+    `${sb.url}/rest/v1/deal_documents?id=eq.${encodeURIComponent(docId)}&deal_id=eq.${encodeURIComponent(dealId)}&select=id,filename,mime_type,page_count,status,${DOCUMENT_ACCESS_COLUMNS}`,
+    { method: 'GET', headers: getSupabaseHeaders(sb.key) },
+  );
+  if (!docResp.ok) return NextResponse.json({ error: 'Failed to load document.' }, { status: 502 });
+  const [doc] = await docResp.json();
+  if (!doc) return NextResponse.json({ error: 'Document not found.' }, { status: 404 });
+
+  const viewer = await loadDocumentViewer(access, auth.email);
+  if (!canSeeDocument({ document: doc, ...viewer })) {
+    return NextResponse.json({ error: 'Document not found.' }, { status: 404 });
+  }
+
+  const chunksResp = await fetchWithTimeout(
+    `${sb.url}/rest/v1/deal_document_chunks?document_id=eq.${encodeURIComponent(docId)}&select=chunk_index,page_number,slide_number,sheet_name,content&order=chunk_index.asc&limit=${MAX_CHUNKS}`,
+    { method: 'GET', headers: getSupabaseHeaders(sb.key) },
+  );
+  if (!chunksResp.ok) return NextResponse.json({ error: 'Failed to load document text.' }, { status: 502 });
+  const chunks = await chunksResp.json();
+
+  // Consecutive chunks from the same page / slide / sheet read as one section.
+  const sections = [];
+  for (const c of chunks) {
+    const label = sectionLabel(c);
+    const last = sections[sections.length - 1];
+    if (last && last.label === label) last.text += `\n\n${c.content || ''}`;
+    else sections.push({ label, text: c.content || '' });
+  }
+
+  const restrictions = documentRestrictions({ document: doc, isOwner: viewer.isOwner });
+  const issuedAt = new Date().toISOString();
+  auditLog({
+    action: 'document.viewed',
+    actorEmail: auth.email, actorUserId: auth.userId,
+    dealId, targetType: 'deal_document', targetId: docId, requestId: getRequestId(request),
+    ...requestContext(request),
+    details: { filename: doc.filename, mode: 'text', ring_fenced: restrictions.ringFenced },
+  });
+
+  return NextResponse.json({
+    document: {
+      id: doc.id,
+      filename: doc.filename,
+      mime_type: doc.mime_type,
+      page_count: doc.page_count,
+      status: doc.status,
+      view_only: restrictions.viewOnly,
+      ring_fenced: restrictions.ringFenced,
+      can_download: restrictions.canDownload,
+    },
+    sections,
+    watermark: { text: watermarkText(auth.email, issuedAt), issued_at: issuedAt },
+  });
+}
@@ -21,8 +21,9 @@ import { requireDealEditor, resolveDealAccess } from '@/lib/dealAuth';
 import { logger } from '@/lib/logger';
 import { sendEvent } from '@/lib/inngest/client';
 import {
-  validateVisibilityForDealType, canSeeDocument,
+  validateVisibilityForDealType, canSeeDocument, documentRestrictions, DOCUMENT_ACCESS_COLUMNS,
 } from '@/lib/dealDocumentVisibility';
+import { loadDocumentViewer } from '@/lib/dealCleanTeamStore';
 
 export const maxDuration = 60;
 
@@ -49,7 +50,7 @@ export async function GET(request, { params }) {
   if (!sb) return NextResponse.json({ error: 'Storage not configured.' }, { status: 503 });
 
   const resp = await fetchWithTimeout(
-    `${sb.url}/rest/v1/deal_documents?deal_id=eq.${encodeURIComponent(id)}&select=id,filename,mime_type,byte_size,status,processing_error,label,source_party,tags,visibility,category,page_count,uploaded_by_email,created_at,updated_at&order=created_at.desc`,
+    `${sb.url}/rest/v1/deal_documents?deal_id=eq.${encodeURIComponent(id)}&select=id,filename,mime_type,byte_size,status,processing_error,label,source_party,tags,category,page_count,uploaded_by_email,created_at,updated_at,${DOCUMENT_ACCESS_COLUMNS}&order=created_at.desc`,
     { method: 'GET', headers: getSupabaseHeaders(sb.key) },
   );
   if (!resp.ok) return NextResponse.json({ error: 'Failed to list documents.' }, { status: 502 });
@@ -58,12 +59,12 @@ export async function GET(request, { params }) {
   // Defence in depth: RLS would catch a leak, but the API uses the service-
   // role key, so we filter here too. (RLS only kicks in when callers use a
   // user-bound JWT against PostgREST.)
-  const isOwner = access.mode === 'owner';
-  const isCollaborator = access.mode === 'collaborator';
-  const viewerRole = access.participantRole || null;
-  const visible = rows.filter((doc) =>
-    canSeeDocument({ document: doc, viewerRole, isOwner, isCollaborator }),
-  );
+  // Clean-team ring-fences and expiry are checked here too; `can_download`
+  // tells the client whether to offer the original or the watermarked view.
+  const viewer = await loadDocumentViewer(access, auth.email);
+  const visible = rows
+    .filter((doc) => canSeeDocument({ document: doc, ...viewer }))
+    .map((doc) => ({ ...doc, can_download: documentRestrictions({ document: doc, isOwner: viewer.isOwner }).canDownload }));
 
   return NextResponse.json({ documents: visible });
 }
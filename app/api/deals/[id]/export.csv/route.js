@@ -1,15 +1,15 @@
 /**
  * /api/deals/[id]/export.csv — DISABLED.
  *
- * Living-workspace migration: no CSV snapshot exports. Filter and copy
- * the live tables in the workspace if you need a spreadsheet.
+ * Living-workspace migration: no CSV snapshot exports. The offline pack
+ * is the XLSX workbook at /api/deals/[id]/export.xlsx.
  */
 
 import { NextResponse } from 'next/server';
 
 export async function GET() {
   return NextResponse.json(
-    { error: 'CSV exports are gone. The workspace tables are the live source.' },
+    { error: 'CSV exports are gone. Use /api/deals/<id>/export.xlsx for the offline pack.' },
     { status: 410 },
   );
 }
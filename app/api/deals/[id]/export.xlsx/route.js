@@ -0,0 +1,142 @@
+/**
+ * GET /api/deals/[id]/export.xlsx
+ *
+ * Offline pack for investment committees: one XLSX workbook with the
+ * deal's findings (severity, tags, reviews), Q&A, expected-documents
+ * checklist, participants and change log. Layout and visibility rules
+ * live in lib/dealExportPack.js; this route only gathers the rows.
+ *
+ * Open to anyone with deal access. What lands in the workbook is what
+ * the viewer could see in the workspace: documents go through
+ * canSeeDocument(), unapproved findings are editor-only, participant
+ * emails are owner / collaborator only.
+ *
+ * Every export writes a `deal.export` audit row.
+ */
+
+import { NextResponse } from 'next/server';
+import {
+  getSupabaseHeaders, fetchWithTimeout, requireSupabase, isValidUUID, getRequestId,
+} from '@/lib/api-helpers';
+import { requireAuth } from '@/lib/auth';
+import { checkRateLimit, getRateLimitKey } from '@/lib/rate-limit';
+import { resolveDealAccess } from '@/lib/dealAuth';
+import { loadChanges } from '@/lib/changes/repo';
+import { auditLog, requestContext } from '@/lib/auditLog';
+import { logger } from '@/lib/logger';
+import { buildDealExportWorkbook } from '@/lib/dealExportPack';
+import { loadDealChecklist } from '@/lib/dealChecklistStore';
+import { loadDocumentViewer } from '@/lib/dealCleanTeamStore';
+import { DOCUMENT_ACCESS_COLUMNS } from '@/lib/dealDocumentVisibility';
+
+export const maxDuration = 30;
+
+const FINDING_COLS = 'finding_key,section,order_index,title,body,category,severity,confidence,impact,evidence,recommendations,tags,stale';
+const REVIEW_COLS = 'finding_key,status,reviewer_note,edited_title,edited_body,decided_by_email,decided_at';
+const QA_COLS = 'question,asked_by_email,asked_at,assigned_company,status,answer_text,answered_by_email,answered_at,evidence_chunk_ids,evidence_document_ids,related_finding_key';
+const DOC_COLS = `id,filename,label,category,source_party,status,${DOCUMENT_ACCESS_COLUMNS}`;
+const PARTICIPANT_COLS = 'role,company_name,participant_name,participant_email,status,invited_at,completed_at';
+
+function fileSlug(name) {
+  return String(name || 'deal').replace(/[^A-Za-z0-9_-]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 80) || 'deal';
+}
+
+export async function GET(request, { params }) {
+  const auth = await requireAuth(request);
+  if (auth.error) return NextResponse.json(auth.error.body, { status: auth.error.status });
+
+  const rl = await checkRateLimit(getRateLimitKey(request));
+  if (!rl.allowed) return NextResponse.json({ error: 'Too many requests.' }, { status: 429, headers: { 'Retry-After': String(rl.retryAfter || 60) } });
+
+  const { id } = await params;
+  if (!isValidUUID(id)) return NextResponse.json({ error: 'Valid deal id required.' }, { status: 400 });
+
+  const access = await resolveDealAccess({ dealId: id, email: auth.email, userId: auth.userId });
+  if (!access) return NextResponse.json({ error: 'Deal not found or access denied.' }, { status: 404 });
+
+  const sb = requireSupabase();
+  if (!sb) return NextResponse.json({ error: 'Storage not configured.' }, { status: 503 });
+  const requestId = getRequestId(request);
+  const headers = getSupabaseHeaders(sb.key);
+  const get = async (path) => {
+    const resp = await fetchWithTimeout(`${sb.url}/rest/v1/${path}`, { method: 'GET', headers });
+    if (!resp.ok) throw new Error(`${path.split('?')[0]} read failed (${resp.status})`);
+    return resp.json();
+  };
+
+  let findings, reviews, qaItems, documents, participants, changes, checklist;
+  try {
+    [findings, reviews, qaItems, documents, participants, changes, checklist] = await Promise.all([
+      get(`deal_findings?deal_id=eq.${id}&select=${FINDING_COLS}&order=section.asc,order_index.asc&limit=2000`),
+      get(`deal_finding_reviews?deal_id=eq.${id}&select=${REVIEW_COLS}`),
+      get(`deal_qa_items?deal_id=eq.${id}&select=${QA_COLS}&order=asked_at.asc&limit=2000`),
+      get(`deal_documents?deal_id=eq.${id}&select=${DOC_COLS}&order=created_at.asc`),
+      get(`deal_participants?deal_id=eq.${id}&select=${PARTICIPANT_COLS}&order=created_at.asc`),
+      loadChanges({ dealId: id, limit: 500 }),
+      loadDealChecklist(access.deal),
+    ]);
+  } catch (e) {
+    logger.error('Deal export read failed', { requestId, dealId: id, error: e.message });
+    auditLog({
+      action: 'deal.export',
+      actorEmail: auth.email, actorUserId: auth.userId,
+      dealId: id, targetType: 'deal', targetId: id, requestId, outcome: 'error',
+      ...requestContext(request),
+      details: { format: 'xlsx', error: e.message },
+    });
+    return NextResponse.json({ error: 'Failed to build export.' }, { status: 502 });
+  }
+
+  // Evidence pointers name chunks; resolve them to documents so the
+  // visibility filter can decide whether to show the filename.
+  const chunkIds = new Set();
+  for (const f of findings) {
+    for (const ev of Array.isArray(f.evidence) ? f.evidence : []) {
+      if (ev?.ref?.chunk_id && isValidUUID(ev.ref.chunk_id)) chunkIds.add(ev.ref.chunk_id);
+    }
+  }
+  for (const q of qaItems) (q.evidence_chunk_ids || []).forEach((c) => chunkIds.add(c));
+  const chunkDocuments = {};
+  const chunkList = [...chunkIds].slice(0, 1000);
+  for (let i = 0; i < chunkList.length; i += 200) {
+    const rows = await get(`deal_document_chunks?id=in.(${chunkList.slice(i, i + 200).join(',')})&select=id,document_id`).catch(() => []);
+    for (const r of rows) chunkDocuments[r.id] = r.document_id;
+  }
+
+  const viewer = {
+    email: auth.email,
+    ...(await loadDocumentViewer(access, auth.email)),
+    canEdit: access.canEdit,
+    canManage: access.canManage,
+  };
+  const buf = buildDealExportWorkbook({
+    deal: access.deal, viewer, findings, reviews, qaItems, documents, chunkDocuments, participants, changes, checklist,
+  });
+
+  auditLog({
+    action: 'deal.export',
+    actorEmail: auth.email, actorUserId: auth.userId,
+    dealId: id, targetType: 'deal', targetId: id, requestId,
+    ...requestContext(request),
+    details: {
+      format: 'xlsx',
+      mode: access.mode,
+      findings: findings.length,
+      qa_items: qaItems.length,
+      documents: documents.length,
+      participants: participants.length,
+      changes: changes.length,
+      bytes: buf.length,
+    },
+  });
+
+  const stamp = new Date().toISOString().slice(0, 10);
+  return new NextResponse(buf, {
+    status: 200,
+    headers: {
+      'Content-Type': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+      'Content-Disposition': `attachment; filename="${fileSlug(access.deal?.name)}-${stamp}.xlsx"`,
+      'Cache-Control': 'no-store',
+    },
+  });
+}
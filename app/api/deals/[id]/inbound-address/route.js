@@ -0,0 +1,119 @@
+/**
+ * /api/deals/[id]/inbound-address
+ *
+ * GET     - the deal's active inbound email address + recent messages (editor)
+ * POST    - issue a new address, retiring the current one (editor)
+ *           body: { visibility?, allowed_senders? }
+ * PATCH   - update the active address (editor) — body: { visibility?, allowed_senders? }
+ * DELETE  - disable the address; mail to it is refused (editor)
+ *
+ * Mail to the address is received by /api/inbound-email. Editor-only
+ * throughout: the address is itself the credential for filing into the
+ * data room.
+ */
+
+import { NextResponse } from 'next/server';
+import { isValidUUID, checkOrigin } from '@/lib/api-helpers';
+import { requireAuth } from '@/lib/auth';
+import { requireDealEditor } from '@/lib/dealAuth';
+import { validateVisibilityForDealType } from '@/lib/dealDocumentVisibility';
+import { normaliseAllowedSenders } from '@/lib/inbound/plan';
+import {
+  getInboundAddress, rotateInboundAddress, updateInboundAddress, disableInboundAddress,
+  listInboundMessages, presentInboundAddress, inboundDomain,
+} from '@/lib/inbound/ingest';
+
+export const maxDuration = 15;
+
+async function guard(request, params, { write }) {
+  if (write) {
+    const originErr = checkOrigin(request);
+    if (originErr) return { response: NextResponse.json({ error: originErr.error }, { status: originErr.status }) };
+  }
+  const auth = await requireAuth(request);
+  if (auth.error) return { response: NextResponse.json(auth.error.body, { status: auth.error.status }) };
+
+  const { id } = await params;
+  if (!isValidUUID(id)) return { response: NextResponse.json({ error: 'Valid deal id required.' }, { status: 400 }) };
+
+  const editor = await requireDealEditor({ dealId: id, email: auth.email, userId: auth.userId });
+  if (editor.error) return { response: NextResponse.json(editor.error, { status: editor.status }) };
+  return { id, auth, editor };
+}
+
+/** Validate { visibility, allowed_senders } → patch for the lib, or { error }. */
+function readSettings(body, dealType) {
+  const out = {};
+  if (body?.visibility !== undefined) {
+    const visibility = String(body.visibility || '').trim();
+    const visCheck = validateVisibilityForDealType(visibility, dealType);
+    if (!visCheck.ok) return { error: visCheck.error };
+    out.visibility = visibility;
+  }
+  if (body?.allowed_senders !== undefined) {
+    try { out.allowedSenders = normaliseAllowedSenders(body.allowed_senders); }
+    catch (e) { return { error: e.message }; }
+  }
+  return { settings: out };
+}
+
+async function payload(dealId, row) {
+  return {
+    configured: !!inboundDomain(),
+    address: presentInboundAddress(row),
+    messages: row ? await listInboundMessages(dealId) : [],
+  };
+}
+
+export async function GET(request, { params }) {
+  const g = await guard(request, params, { write: false });
+  if (g.response) return g.response;
+  return NextResponse.json(await payload(g.id, await getInboundAddress(g.id)));
+}
+
+export async function POST(request, { params }) {
+  const g = await guard(request, params, { write: true });
+  if (g.response) return g.response;
+  if (!inboundDomain()) {
+    return NextResponse.json({ error: 'Inbound email is not configured (INBOUND_EMAIL_DOMAIN).' }, { status: 503 });
+  }
+
+  let body = {};
+  try { body = await request.json(); } catch { /* empty body: keep current settings */ }
+  const { settings, error } = readSettings(body, g.editor.access?.deal?.type);
+  if (error) return NextResponse.json({ error }, { status: 400 });
+
+  // Rotating keeps the current settings unless new ones were sent.
+  const current = await getInboundAddress(g.id);
+  const row = await rotateInboundAddress(g.id, {
+    visibility: settings.visibility ?? current?.visibility ?? 'all_editors',
+    allowedSenders: settings.allowedSenders ?? current?.allowed_senders ?? [],
+    email: g.auth.email,
+  });
+  if (!row) return NextResponse.json({ error: 'Failed to create inbound address.' }, { status: 502 });
+  return NextResponse.json(await payload(g.id, row), { status: 201 });
+}
+
+export async function PATCH(request, { params }) {
+  const g = await guard(request, params, { write: true });
+  if (g.response) return g.response;
+
+  let body;
+  try { body = await request.json(); }
+  catch { return NextResponse.json({ error: 'JSON body required.' }, { status: 400 }); }
+  const { settings, error } = readSettings(body, g.editor.access?.deal?.type);
+  if (error) return NextResponse.json({ error }, { status: 400 });
+  if (!Object.keys(settings).length) return NextResponse.json({ error: 'Nothing to update.' }, { status: 400 });
+
+  const row = await updateInboundAddress(g.id, settings);
+  if (!row) return NextResponse.json({ error: 'No active inbound address.' }, { status: 404 });
+  return NextResponse.json(await payload(g.id, row));
+}
+
+export async function DELETE(request, { params }) {
+  const g = await guard(request, params, { write: true });
+  if (g.response) return g.response;
+  const { ok } = await disableInboundAddress(g.id);
+  if (!ok) return NextResponse.json({ error: 'Failed to disable inbound address.' }, { status: 502 });
+  return NextResponse.json({ ok: true });
+}
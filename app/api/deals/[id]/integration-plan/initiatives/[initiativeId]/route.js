@@ -0,0 +1,125 @@
+/**
+ * /api/deals/[id]/integration-plan/initiatives/[initiativeId]
+ *
+ * PATCH  — owner / collaborator. Any field POST takes, plus status
+ *          not_started / in_progress / done. Linking changes is how
+ *          progress reaches the burndown; marking it done counts it in
+ *          full from that day.
+ * DELETE — owner / collaborator.
+ *
+ * Completing, reopening and deleting write `integration_plan.*` audit
+ * rows for the activity feed.
+ *
+ * Returns: the plan view, as GET /api/deals/[id]/integration-plan.
+ */
+
+import { NextResponse } from 'next/server';
+import { isValidUUID, checkOrigin, getRequestId } from '@/lib/api-helpers';
+import { requireAuth } from '@/lib/auth';
+import { requireDealEditor } from '@/lib/dealAuth';
+import { auditLog, requestContext } from '@/lib/auditLog';
+import {
+  loadIntegrationPlanView, updateIntegrationInitiative, deleteIntegrationInitiative,
+} from '@/lib/dealIntegrationPlanStore';
+import { INTEGRATION_DEADLINES, normaliseInitiativeInput, checkInitiativeLinks } from '@/lib/dealIntegrationPlan';
+import { logger } from '@/lib/logger';
+
+export const maxDuration = 10;
+
+async function respond(access) {
+  const view = await loadIntegrationPlanView(access);
+  return NextResponse.json({
+    plan: view.plan,
+    workstreams: view.workstreams,
+    dayOne: view.dayOne,
+    dayOneSource: view.dayOneSource,
+    initiatives: view.initiatives,
+    burndown: view.burndown,
+    deadlines: INTEGRATION_DEADLINES,
+    canEdit: Boolean(access.canEdit),
+    options: view.options,
+  });
+}
+
+async function gateRequest(request, params) {
+  const originErr = checkOrigin(request);
+  if (originErr) return { response: NextResponse.json({ error: originErr.error }, { status: originErr.status }) };
+
+  const auth = await requireAuth(request);
+  if (auth.error) return { response: NextResponse.json(auth.error.body, { status: auth.error.status }) };
+
+  const { id, initiativeId } = await params;
+  if (!isValidUUID(id) || !isValidUUID(initiativeId)) {
+    return { response: NextResponse.json({ error: 'Valid deal and initiative ids required.' }, { status: 400 }) };
+  }
+
+  const gate = await requireDealEditor({ dealId: id, email: auth.email, userId: auth.userId });
+  if (gate.error) return { response: NextResponse.json(gate.error, { status: gate.status }) };
+
+  const view = await loadIntegrationPlanView(gate.access);
+  const initiative = view.rows.find((i) => i.id === initiativeId);
+  if (!initiative) return { response: NextResponse.json({ error: 'Initiative not found.' }, { status: 404 }) };
+
+  return { auth, access: gate.access, id, initiativeId, view, initiative };
+}
+
+export async function PATCH(request, { params }) {
+  const ctx = await gateRequest(request, params);
+  if (ctx.response) return ctx.response;
+  const { auth, access, id, initiativeId, view, initiative } = ctx;
+
+  let body;
+  try { body = await request.json(); } catch { return NextResponse.json({ error: 'Invalid JSON.' }, { status: 400 }); }
+
+  let clean;
+  try { clean = normaliseInitiativeInput(body, { partial: true }); } catch (e) {
+    return NextResponse.json({ error: e.message }, { status: 400 });
+  }
+  if (!Object.keys(clean).length) return NextResponse.json({ error: 'Nothing to update.' }, { status: 400 });
+
+  const linkErr = checkInitiativeLinks(clean, view.workstreams, view.options);
+  if (linkErr) return NextResponse.json({ error: linkErr }, { status: 400 });
+
+  if (clean.status === 'done' && initiative.status !== 'done') clean.completed_at = new Date().toISOString();
+  else if (clean.status && clean.status !== 'done') clean.completed_at = null;
+
+  const row = await updateIntegrationInitiative(id, initiativeId, clean);
+  if (!row) {
+    logger.warn('Integration initiative update failed', { requestId: getRequestId(request), dealId: id, initiativeId });
+    return NextResponse.json({ error: 'Failed to save the initiative.' }, { status: 502 });
+  }
+
+  let action = null;
+  if (clean.status === 'done' && initiative.status !== 'done') action = 'integration_plan.initiative_done';
+  else if (clean.status && clean.status !== 'done' && initiative.status === 'done') action = 'integration_plan.initiative_reopened';
+  if (action) {
+    auditLog({
+      action,
+      actorEmail: auth.email, actorUserId: auth.userId,
+      dealId: id, targetType: 'integration_initiative', targetId: initiativeId, requestId: getRequestId(request),
+      ...requestContext(request),
+      details: { title: row.title, deadline: row.deadline, workstream: row.workstream },
+    });
+  }
+
+  return respond(access);
+}
+
+export async function DELETE(request, { params }) {
+  const ctx = await gateRequest(request, params);
+  if (ctx.response) return ctx.response;
+  const { auth, access, id, initiativeId, initiative } = ctx;
+
+  const result = await deleteIntegrationInitiative(id, initiativeId);
+  if (!result.ok) return NextResponse.json({ error: 'Failed to delete the initiative.' }, { status: 502 });
+
+  auditLog({
+    action: 'integration_plan.initiative_deleted',
+    actorEmail: auth.email, actorUserId: auth.userId,
+    dealId: id, targetType: 'integration_initiative', targetId: initiativeId, requestId: getRequestId(request),
+    ...requestContext(request),
+    details: { title: initiative.title, deadline: initiative.deadline, workstream: initiative.workstream },
+  });
+
+  return respond(access);
+}
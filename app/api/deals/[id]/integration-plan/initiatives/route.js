@@ -0,0 +1,119 @@
+/**
+ * /api/deals/[id]/integration-plan/initiatives
+ *
+ * POST — owner / collaborator. Body is either one initiative
+ *          { workstream, title, description?, owner_email?, deadline,
+ *            status?, change_ids?, finding_keys?, process_ids? }
+ *        or a draft, as staged by the deal agent's propose_integration_plan:
+ *          { workstreams?: [{ name, owner_email? }], initiatives: [...], origin: 'agent' }
+ *        Draft workstreams the plan doesn't have yet are added to it; the
+ *        plan itself is created on first use.
+ *
+ * Returns: the plan view, as GET /api/deals/[id]/integration-plan.
+ */
+
+import { NextResponse } from 'next/server';
+import { isValidUUID, checkOrigin, getRequestId } from '@/lib/api-helpers';
+import { requireAuth } from '@/lib/auth';
+import { requireDealEditor } from '@/lib/dealAuth';
+import { auditLog, requestContext } from '@/lib/auditLog';
+import {
+  loadIntegrationPlanView, saveIntegrationPlan, insertIntegrationInitiatives,
+} from '@/lib/dealIntegrationPlanStore';
+import {
+  INTEGRATION_DEADLINES, PLAN_DEAL_TYPES, MAX_INITIATIVES,
+  normaliseInitiativeInput, normaliseWorkstreams, mergeWorkstreams, checkInitiativeLinks,
+} from '@/lib/dealIntegrationPlan';
+import { logger } from '@/lib/logger';
+
+export const maxDuration = 10;
+
+async function respond(access) {
+  const view = await loadIntegrationPlanView(access);
+  return NextResponse.json({
+    plan: view.plan,
+    workstreams: view.workstreams,
+    dayOne: view.dayOne,
+    dayOneSource: view.dayOneSource,
+    initiatives: view.initiatives,
+    burndown: view.burndown,
+    deadlines: INTEGRATION_DEADLINES,
+    canEdit: Boolean(access.canEdit),
+    options: view.options,
+  });
+}
+
+export async function POST(request, { params }) {
+  const originErr = checkOrigin(request);
+  if (originErr) return NextResponse.json({ error: originErr.error }, { status: originErr.status });
+
+  const auth = await requireAuth(request);
+  if (auth.error) return NextResponse.json(auth.error.body, { status: auth.error.status });
+
+  const { id } = await params;
+  if (!isValidUUID(id)) return NextResponse.json({ error: 'Valid deal id required.' }, { status: 400 });
+
+  const gate = await requireDealEditor({ dealId: id, email: auth.email, userId: auth.userId });
+  if (gate.error) return NextResponse.json(gate.error, { status: gate.status });
+  const { access } = gate;
+  if (!PLAN_DEAL_TYPES.includes(access.deal.type)) {
+    return NextResponse.json({ error: 'Integration plans are for M&A and PE roll-up deals.' }, { status: 400 });
+  }
+
+  let body;
+  try { body = await request.json(); } catch { return NextResponse.json({ error: 'Invalid JSON.' }, { status: 400 }); }
+
+  const draft = Array.isArray(body?.initiatives);
+  const origin = draft && body.origin === 'agent' ? 'agent' : 'user';
+  const view = await loadIntegrationPlanView(access);
+
+  let workstreams;
+  let cleaned;
+  try {
+    workstreams = mergeWorkstreams(view.workstreams, draft && body.workstreams ? normaliseWorkstreams(body.workstreams) : []);
+    const inputs = draft ? body.initiatives : [body];
+    if (!inputs.length) throw new Error('initiatives is empty.');
+    cleaned = inputs.map((i) => normaliseInitiativeInput(i));
+  } catch (e) {
+    return NextResponse.json({ error: e.message }, { status: 400 });
+  }
+  for (const clean of cleaned) {
+    const linkErr = checkInitiativeLinks(clean, workstreams, view.options);
+    if (linkErr) return NextResponse.json({ error: `"${clean.title}": ${linkErr}` }, { status: 400 });
+  }
+  if (view.rows.length + cleaned.length > MAX_INITIATIVES) {
+    return NextResponse.json({ error: `A plan can have at most ${MAX_INITIATIVES} initiatives.` }, { status: 400 });
+  }
+
+  let plan = view.plan;
+  if (!plan || workstreams.length !== view.plan.workstreams?.length) {
+    plan = await saveIntegrationPlan(id, { workstreams }, { email: auth.email, existing: view.plan });
+    if (!plan) {
+      logger.warn('Integration plan save failed', { requestId: getRequestId(request), dealId: id });
+      return NextResponse.json({ error: 'Failed to save the integration plan.' }, { status: 502 });
+    }
+  }
+
+  const maxOrder = view.rows.reduce((n, i) => Math.max(n, i.order_index || 0), 0);
+  const rows = cleaned.map((clean, n) => ({
+    order_index: maxOrder + n + 1,
+    ...clean,
+    origin,
+    completed_at: clean.status === 'done' ? new Date().toISOString() : null,
+  }));
+  const saved = await insertIntegrationInitiatives(id, plan.id, rows, { email: auth.email });
+  if (!saved) {
+    logger.warn('Integration initiative create failed', { requestId: getRequestId(request), dealId: id });
+    return NextResponse.json({ error: 'Failed to save the initiative.' }, { status: 502 });
+  }
+
+  auditLog({
+    action: draft ? 'integration_plan.drafted' : 'integration_plan.initiative_added',
+    actorEmail: auth.email, actorUserId: auth.userId,
+    dealId: id, targetType: 'integration_plan', targetId: plan.id, requestId: getRequestId(request),
+    ...requestContext(request),
+    details: draft ? { count: saved.length, origin } : { title: saved[0]?.title, deadline: saved[0]?.deadline },
+  });
+
+  return respond(access);
+}
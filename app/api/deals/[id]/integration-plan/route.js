@@ -0,0 +1,112 @@
+/**
+ * /api/deals/[id]/integration-plan
+ *
+ * The deal's 100-day integration plan — M&A and PE roll-up deals only.
+ *
+ * GET — the plan (null until first saved), its workstreams (the defaults
+ *       for the deal type until then), initiatives resolved against their
+ *       linked changes (progress, due date, state) and the burndown
+ *       (lib/dealIntegrationPlan.js). Open to anyone with deal access; the
+ *       deal team also gets the link options.
+ * PUT — owner / collaborator. { title?, status?, day_one_date?, workstreams? }.
+ *       Dropping a workstream that still has initiatives is refused (409).
+ *
+ * Returns: { plan, workstreams, dayOne, dayOneSource, initiatives, burndown,
+ *            deadlines, canEdit, options? }
+ */
+
+import { NextResponse } from 'next/server';
+import { isValidUUID, checkOrigin, getRequestId } from '@/lib/api-helpers';
+import { requireAuth } from '@/lib/auth';
+import { resolveDealAccess, requireDealEditor } from '@/lib/dealAuth';
+import { auditLog, requestContext } from '@/lib/auditLog';
+import { loadIntegrationPlanView, saveIntegrationPlan } from '@/lib/dealIntegrationPlanStore';
+import { INTEGRATION_DEADLINES, PLAN_DEAL_TYPES, normalisePlanInput } from '@/lib/dealIntegrationPlan';
+import { logger } from '@/lib/logger';
+
+export const maxDuration = 10;
+
+const NOT_APPLICABLE = 'Integration plans are for M&A and PE roll-up deals.';
+
+async function respond(access) {
+  const view = await loadIntegrationPlanView(access);
+  return NextResponse.json({
+    plan: view.plan,
+    workstreams: view.workstreams,
+    dayOne: view.dayOne,
+    dayOneSource: view.dayOneSource,
+    initiatives: view.initiatives,
+    burndown: view.burndown,
+    deadlines: INTEGRATION_DEADLINES,
+    canEdit: Boolean(access.canEdit),
+    options: view.options,
+  });
+}
+
+export async function GET(request, { params }) {
+  const auth = await requireAuth(request);
+  if (auth.error) return NextResponse.json(auth.error.body, { status: auth.error.status });
+
+  const { id } = await params;
+  if (!isValidUUID(id)) return NextResponse.json({ error: 'Valid deal id required.' }, { status: 400 });
+
+  const access = await resolveDealAccess({ dealId: id, email: auth.email, userId: auth.userId });
+  if (!access) return NextResponse.json({ error: 'Deal not found or access denied.' }, { status: 404 });
+  if (!PLAN_DEAL_TYPES.includes(access.deal.type)) return NextResponse.json({ error: NOT_APPLICABLE }, { status: 400 });
+
+  return respond(access);
+}
+
+export async function PUT(request, { params }) {
+  const originErr = checkOrigin(request);
+  if (originErr) return NextResponse.json({ error: originErr.error }, { status: originErr.status });
+
+  const auth = await requireAuth(request);
+  if (auth.error) return NextResponse.json(auth.error.body, { status: auth.error.status });
+
+  const { id } = await params;
+  if (!isValidUUID(id)) return NextResponse.json({ error: 'Valid deal id required.' }, { status: 400 });
+
+  const gate = await requireDealEditor({ dealId: id, email: auth.email, userId: auth.userId });
+  if (gate.error) return NextResponse.json(gate.error, { status: gate.status });
+  const { access } = gate;
+  if (!PLAN_DEAL_TYPES.includes(access.deal.type)) return NextResponse.json({ error: NOT_APPLICABLE }, { status: 400 });
+
+  let body;
+  try { body = await request.json(); } catch { return NextResponse.json({ error: 'Invalid JSON.' }, { status: 400 }); }
+
+  let clean;
+  try { clean = normalisePlanInput(body); } catch (e) {
+    return NextResponse.json({ error: e.message }, { status: 400 });
+  }
+  if (!Object.keys(clean).length) return NextResponse.json({ error: 'Nothing to update.' }, { status: 400 });
+
+  const view = await loadIntegrationPlanView(access);
+  if (clean.workstreams) {
+    const keys = new Set(clean.workstreams.map((w) => w.key));
+    const orphaned = view.rows.filter((i) => !keys.has(i.workstream));
+    if (orphaned.length) {
+      return NextResponse.json({
+        error: `${orphaned.length} initiative${orphaned.length === 1 ? ' is' : 's are'} still in a workstream you removed. Move or delete ${orphaned.length === 1 ? 'it' : 'them'} first.`,
+      }, { status: 409 });
+    }
+  } else if (!view.plan) {
+    clean.workstreams = view.workstreams;
+  }
+
+  const saved = await saveIntegrationPlan(id, clean, { email: auth.email, existing: view.plan });
+  if (!saved) {
+    logger.warn('Integration plan save failed', { requestId: getRequestId(request), dealId: id });
+    return NextResponse.json({ error: 'Failed to save the integration plan.' }, { status: 502 });
+  }
+
+  auditLog({
+    action: view.plan ? 'integration_plan.updated' : 'integration_plan.created',
+    actorEmail: auth.email, actorUserId: auth.userId,
+    dealId: id, targetType: 'integration_plan', targetId: saved.id, requestId: getRequestId(request),
+    ...requestContext(request),
+    details: { fields: Object.keys(clean) },
+  });
+
+  return respond(access);
+}
@@ -0,0 +1,151 @@
+/**
+ * /api/deals/[id]/milestones/[milestoneId]
+ *
+ * PATCH  — owner / collaborator. Any field POST takes, plus status
+ *          planned / in_progress / done. Marking a milestone done is
+ *          refused (409, with the blockers) while anything it is gated on
+ *          is still open: an unfinished dependency, an open linked Q&A
+ *          item, a missing checklist document or an unresolved finding —
+ *          including, for signing, every open deal_breaker.
+ * DELETE — owner / collaborator. Later milestones stop depending on it.
+ *
+ * Rescheduling, starting, reopening and deleting write `milestone.*`
+ * audit rows for the activity feed; completion is read from the row.
+ *
+ * Returns: { milestones, gantt, phases, canEdit, options? } — the whole timeline,
+ * since one change can unblock others.
+ */
+
+import { NextResponse } from 'next/server';
+import { isValidUUID, checkOrigin, getRequestId } from '@/lib/api-helpers';
+import { requireAuth } from '@/lib/auth';
+import { requireDealEditor } from '@/lib/dealAuth';
+import { auditLog, requestContext } from '@/lib/auditLog';
+import { loadMilestoneView, updateDealMilestone, deleteDealMilestone } from '@/lib/dealMilestoneStore';
+import {
+  MILESTONE_PHASES, ganttLayout, normaliseMilestoneInput, checkMilestoneLinks, hasDependencyCycle, resolveMilestones,
+} from '@/lib/dealMilestones';
+import { logger } from '@/lib/logger';
+
+export const maxDuration = 10;
+
+async function respond(access) {
+  const view = await loadMilestoneView(access);
+  return NextResponse.json({
+    milestones: view.milestones,
+    gantt: ganttLayout(view.milestones),
+    phases: MILESTONE_PHASES.map(({ key, label }) => ({ key, label })),
+    canEdit: Boolean(access.canEdit),
+    options: view.options,
+  });
+}
+
+async function gateRequest(request, params) {
+  const originErr = checkOrigin(request);
+  if (originErr) return { response: NextResponse.json({ error: originErr.error }, { status: originErr.status }) };
+
+  const auth = await requireAuth(request);
+  if (auth.error) return { response: NextResponse.json(auth.error.body, { status: auth.error.status }) };
+
+  const { id, milestoneId } = await params;
+  if (!isValidUUID(id) || !isValidUUID(milestoneId)) {
+    return { response: NextResponse.json({ error: 'Valid deal and milestone ids required.' }, { status: 400 }) };
+  }
+
+  const gate = await requireDealEditor({ dealId: id, email: auth.email, userId: auth.userId });
+  if (gate.error) return { response: NextResponse.json(gate.error, { status: gate.status }) };
+
+  const view = await loadMilestoneView(gate.access);
+  const milestone = view.milestones.find((m) => m.id === milestoneId);
+  if (!milestone) return { response: NextResponse.json({ error: 'Milestone not found.' }, { status: 404 }) };
+
+  return { auth, access: gate.access, id, milestoneId, view, milestone };
+}
+
+export async function PATCH(request, { params }) {
+  const ctx = await gateRequest(request, params);
+  if (ctx.response) return ctx.response;
+  const { auth, access, id, milestoneId, view, milestone } = ctx;
+
+  let body;
+  try { body = await request.json(); } catch { return NextResponse.json({ error: 'Invalid JSON.' }, { status: 400 }); }
+
+  let clean;
+  try { clean = normaliseMilestoneInput(body, { partial: true }); } catch (e) {
+    return NextResponse.json({ error: e.message }, { status: 400 });
+  }
+  if (!Object.keys(clean).length) return NextResponse.json({ error: 'Nothing to update.' }, { status: 400 });
+
+  const linkErr = checkMilestoneLinks(clean, view.rows, view.options);
+  if (linkErr) return NextResponse.json({ error: linkErr }, { status: 400 });
+  if (clean.depends_on && hasDependencyCycle(view.rows, milestoneId, clean.depends_on)) {
+    return NextResponse.json({ error: 'That dependency would make the milestones wait on each other.' }, { status: 400 });
+  }
+
+  // Dates are checked together: one side may come from the stored row.
+  const start = clean.start_date !== undefined ? clean.start_date : milestone.start_date;
+  const due = clean.due_date !== undefined ? clean.due_date : milestone.due_date;
+  if (start && due && due < start) return NextResponse.json({ error: 'due_date cannot be before start_date.' }, { status: 400 });
+
+  if (clean.status === 'done' && milestone.status !== 'done') {
+    // Re-check against the links being saved with it, not the stored ones.
+    const pending = resolveMilestones({
+      ...view.context,
+      milestones: view.rows.map((m) => (m.id === milestoneId ? { ...m, ...clean, status: 'planned' } : m)),
+    }).find((m) => m.id === milestoneId).blockers;
+    if (pending.length) {
+      return NextResponse.json({
+        error: `"${milestone.title}" can't be marked done yet: ${pending.length} blocker${pending.length === 1 ? '' : 's'} still open.`,
+        blockers: pending,
+      }, { status: 409 });
+    }
+    clean.completed_at = new Date().toISOString();
+    clean.completed_by_email = auth.email;
+  } else if (clean.status && clean.status !== 'done') {
+    clean.completed_at = null;
+    clean.completed_by_email = null;
+  }
+
+  const row = await updateDealMilestone(id, milestoneId, clean);
+  if (!row) {
+    logger.warn('Deal milestone update failed', { requestId: getRequestId(request), dealId: id, milestoneId });
+    return NextResponse.json({ error: 'Failed to save the milestone.' }, { status: 502 });
+  }
+
+  const events = [];
+  if ('due_date' in clean && clean.due_date !== milestone.due_date) {
+    events.push(['milestone.rescheduled', { from: milestone.due_date, to: clean.due_date }]);
+  }
+  if (clean.status === 'in_progress' && milestone.status === 'planned') events.push(['milestone.started', {}]);
+  if (clean.status && clean.status !== 'done' && milestone.status === 'done') events.push(['milestone.reopened', {}]);
+  for (const [action, details] of events) {
+    auditLog({
+      action,
+      actorEmail: auth.email, actorUserId: auth.userId,
+      dealId: id, targetType: 'milestone', targetId: milestoneId, requestId: getRequestId(request),
+      ...requestContext(request),
+      details: { title: row.title, phase: row.phase, ...details },
+    });
+  }
+
+  return respond(access);
+}
+
+export async function DELETE(request, { params }) {
+  const ctx = await gateRequest(request, params);
+  if (ctx.response) return ctx.response;
+  const { auth, access, id, milestoneId, milestone } = ctx;
+
+  const result = await deleteDealMilestone(id, milestoneId);
+  if (!result.ok) return NextResponse.json({ error: 'Failed to delete the milestone.' }, { status: 502 });
+
+  auditLog({
+    action: 'milestone.deleted',
+    actorEmail: auth.email, actorUserId: auth.userId,
+    dealId: id, targetType: 'milestone', targetId: milestoneId, requestId: getRequestId(request),
+    ...requestContext(request),
+    details: { title: milestone.title, phase: milestone.phase },
+  });
+
+  return respond(access);
+}
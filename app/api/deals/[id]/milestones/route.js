@@ -0,0 +1,108 @@
+/**
+ * /api/deals/[id]/milestones
+ *
+ * GET  — the deal timeline: milestones in start order, each resolved
+ *        against the deal's Q&A, checklist and findings (blockers,
+ *        warnings, state — lib/dealMilestones.js). Open to anyone with
+ *        deal access; the deal team also gets the link options.
+ * POST — owner / collaborator. Body is either
+ *          { seed: true, start? }   add the standard phases (NDA … Day 100)
+ *                                   the deal doesn't have yet, end to end
+ *                                   from `start` (default today)
+ *          { phase, title, owner_email, start_date, due_date, depends_on,
+ *            qa_item_ids, checklist_item_ids, finding_keys,
+ *            gate_deal_breakers, note }
+ *
+ * Creating and completing a milestone show up in the activity feed from
+ * the rows themselves; other changes write `milestone.*` audit rows.
+ *
+ * Returns: { milestones, gantt, phases, canEdit, options? }
+ */
+
+import { NextResponse } from 'next/server';
+import { isValidUUID, checkOrigin, getRequestId } from '@/lib/api-helpers';
+import { requireAuth } from '@/lib/auth';
+import { resolveDealAccess, requireDealEditor } from '@/lib/dealAuth';
+import { loadMilestoneView, insertDealMilestones } from '@/lib/dealMilestoneStore';
+import {
+  MILESTONE_PHASES, ganttLayout, MAX_MILESTONES, defaultMilestonePlan, normaliseMilestoneInput, checkMilestoneLinks,
+} from '@/lib/dealMilestones';
+import { logger } from '@/lib/logger';
+
+export const maxDuration = 10;
+
+async function respond(access) {
+  const view = await loadMilestoneView(access);
+  return NextResponse.json({
+    milestones: view.milestones,
+    gantt: ganttLayout(view.milestones),
+    phases: MILESTONE_PHASES.map(({ key, label }) => ({ key, label })),
+    canEdit: Boolean(access.canEdit),
+    options: view.options,
+  });
+}
+
+export async function GET(request, { params }) {
+  const auth = await requireAuth(request);
+  if (auth.error) return NextResponse.json(auth.error.body, { status: auth.error.status });
+
+  const { id } = await params;
+  if (!isValidUUID(id)) return NextResponse.json({ error: 'Valid deal id required.' }, { status: 400 });
+
+  const access = await resolveDealAccess({ dealId: id, email: auth.email, userId: auth.userId });
+  if (!access) return NextResponse.json({ error: 'Deal not found or access denied.' }, { status: 404 });
+
+  return respond(access);
+}
+
+export async function POST(request, { params }) {
+  const originErr = checkOrigin(request);
+  if (originErr) return NextResponse.json({ error: originErr.error }, { status: originErr.status });
+
+  const auth = await requireAuth(request);
+  if (auth.error) return NextResponse.json(auth.error.body, { status: auth.error.status });
+
+  const { id } = await params;
+  if (!isValidUUID(id)) return NextResponse.json({ error: 'Valid deal id required.' }, { status: 400 });
+
+  const gate = await requireDealEditor({ dealId: id, email: auth.email, userId: auth.userId });
+  if (gate.error) return NextResponse.json(gate.error, { status: gate.status });
+  const { access } = gate;
+
+  let body;
+  try { body = await request.json(); } catch { return NextResponse.json({ error: 'Invalid JSON.' }, { status: 400 }); }
+
+  const view = await loadMilestoneView(access);
+  let rows;
+  if (body?.seed) {
+    try {
+      rows = defaultMilestonePlan({
+        start: body.start || new Date().toISOString().slice(0, 10),
+        existing: view.rows,
+        newId: () => crypto.randomUUID(),
+      });
+    } catch (e) {
+      return NextResponse.json({ error: e.message }, { status: 400 });
+    }
+    if (!rows.length) return NextResponse.json({ error: 'The deal already has every standard phase.' }, { status: 409 });
+  } else {
+    let clean;
+    try { clean = normaliseMilestoneInput(body); } catch (e) {
+      return NextResponse.json({ error: e.message }, { status: 400 });
+    }
+    const linkErr = checkMilestoneLinks(clean, view.rows, view.options);
+    if (linkErr) return NextResponse.json({ error: linkErr }, { status: 400 });
+    const maxOrder = view.rows.reduce((n, m) => Math.max(n, m.order_index || 0), 0);
+    rows = [{ order_index: maxOrder + 1, ...clean }];
+  }
+  if (view.rows.length + rows.length > MAX_MILESTONES) {
+    return NextResponse.json({ error: `A deal can have at most ${MAX_MILESTONES} milestones.` }, { status: 400 });
+  }
+
+  const saved = await insertDealMilestones(id, rows, { email: auth.email });
+  if (!saved) {
+    logger.warn('Deal milestone create failed', { requestId: getRequestId(request), dealId: id });
+    return NextResponse.json({ error: 'Failed to save the milestone.' }, { status: 502 });
+  }
+  return respond(access);
+}
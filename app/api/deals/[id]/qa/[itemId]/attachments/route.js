@@ -0,0 +1,153 @@
+/**
+ * POST /api/deals/[id]/qa/[itemId]/attachments
+ *
+ * Attach files to a Q&A answer. Each file (multipart, one or more `file`
+ * fields) goes straight into the data room through storeDealDocument —
+ * same dedupe, parsing, chunking and embedding as any upload — and its
+ * document id is appended to the item's evidence_document_ids.
+ *
+ * Open to the deal team and to the participant the question is assigned
+ * to. A participant's files are tagged with their role as source_party and
+ * shared with all editors: they were asked for. Editors may pick another
+ * visibility, validated against the deal type like the upload form.
+ *
+ * Up to 10 files per request, 50 MB each and 100 MB in total; an item
+ * links at most 50 documents. middleware.js exempts this route from the
+ * 2 MB API body cap, so the caps here are the only ones — which is why a
+ * request must declare its Content-Length: the multipart body is buffered
+ * whole by formData().
+ */
+
+import { NextResponse } from 'next/server';
+import {
+  getSupabaseHeaders, getSupabaseWriteHeaders, fetchWithTimeout, requireSupabase,
+  isValidUUID, checkOrigin, getRequestId,
+} from '@/lib/api-helpers';
+import { requireAuth } from '@/lib/auth';
+import { checkRateLimit, getRateLimitKey } from '@/lib/rate-limit';
+import { resolveDealAccess } from '@/lib/dealAuth';
+import { validateVisibilityForDealType } from '@/lib/dealDocumentVisibility';
+import { storeDealDocument } from '@/lib/dealDocumentStore';
+import { logger } from '@/lib/logger';
+
+export const maxDuration = 60;
+
+const MAX_BYTES = 50 * 1024 * 1024; // 50 MB, same as the data-room upload
+const MAX_FILES = 10;
+const MAX_EVIDENCE_DOCS = 50;
+// Two files at the cap, plus room for the multipart framing: what one
+// 60-second function can buffer and hand to storeDealDocument.
+const MAX_REQUEST_BYTES = 2 * MAX_BYTES + 1024 * 1024;
+
+export async function POST(request, { params }) {
+  const originErr = checkOrigin(request);
+  if (originErr) return NextResponse.json({ error: originErr.error }, { status: originErr.status });
+
+  const rl = await checkRateLimit(getRateLimitKey(request));
+  if (!rl.allowed) {
+    return NextResponse.json({ error: 'Too many requests.' }, { status: 429, headers: { 'Retry-After': String(rl.retryAfter || 60) } });
+  }
+
+  const auth = await requireAuth(request);
+  if (auth.error) return NextResponse.json(auth.error.body, { status: auth.error.status });
+
+  const { id, itemId } = await params;
+  if (!isValidUUID(id) || !isValidUUID(itemId)) return NextResponse.json({ error: 'Valid deal and item ids required.' }, { status: 400 });
+
+  const access = await resolveDealAccess({ dealId: id, email: auth.email, userId: auth.userId });
+  if (!access) return NextResponse.json({ error: 'Deal not found or access denied.' }, { status: 404 });
+
+  const sb = requireSupabase();
+  if (!sb) return NextResponse.json({ error: 'Storage not configured.' }, { status: 503 });
+
+  const cur = await fetchWithTimeout(
+    `${sb.url}/rest/v1/deal_qa_items?id=eq.${itemId}&deal_id=eq.${id}&select=id,reference,assigned_participant_id,evidence_document_ids`,
+    { method: 'GET', headers: getSupabaseHeaders(sb.key) },
+  );
+  const [row] = cur.ok ? await cur.json() : [];
+  if (!row) return NextResponse.json({ error: 'Item not found.' }, { status: 404 });
+
+  const isEditor = access.mode === 'owner' || access.mode === 'collaborator';
+  const isAssignedParticipant = access.mode === 'participant'
+    && row.assigned_participant_id
+    && access.participantId === row.assigned_participant_id;
+  if (!isEditor && !isAssignedParticipant) {
+    return NextResponse.json({ error: 'Not allowed to attach files to this item.' }, { status: 403 });
+  }
+
+  const contentLength = parseInt(request.headers.get('content-length') || '', 10);
+  if (!Number.isFinite(contentLength)) return NextResponse.json({ error: 'Content-Length required.' }, { status: 411 });
+  if (contentLength > MAX_REQUEST_BYTES) {
+    return NextResponse.json({ error: `Request body too large (max ${(2 * MAX_BYTES) / 1024 / 1024} MB per request).` }, { status: 413 });
+  }
+
+  let formData;
+  try {
+    formData = await request.formData();
+  } catch {
+    return NextResponse.json({ error: 'Expected multipart/form-data.' }, { status: 400 });
+  }
+  const files = formData.getAll('file').filter((f) => f && typeof f !== 'string');
+  if (!files.length) return NextResponse.json({ error: 'file field is required.' }, { status: 400 });
+  if (files.length > MAX_FILES) return NextResponse.json({ error: `Attach at most ${MAX_FILES} files at a time.` }, { status: 400 });
+  const tooBig = files.find((f) => f.size > MAX_BYTES);
+  if (tooBig) {
+    return NextResponse.json({ error: `${tooBig.name || 'File'} is too large (max ${MAX_BYTES / 1024 / 1024} MB).` }, { status: 413 });
+  }
+  const linked = (row.evidence_document_ids || []).length;
+  if (linked + files.length > MAX_EVIDENCE_DOCS) {
+    return NextResponse.json({
+      error: `This item already links ${linked} of ${MAX_EVIDENCE_DOCS} documents; attach at most ${Math.max(0, MAX_EVIDENCE_DOCS - linked)} more.`,
+    }, { status: 400 });
+  }
+
+  let visibility = 'all_editors';
+  if (isEditor && formData.get('visibility')) {
+    visibility = String(formData.get('visibility')).trim();
+    const visCheck = validateVisibilityForDealType(visibility, access.deal?.type);
+    if (!visCheck.ok) return NextResponse.json({ error: visCheck.error }, { status: 400 });
+  }
+  const sourceParty = isEditor
+    ? (String(formData.get('source_party') || '').slice(0, 50) || null)
+    : (access.participantRole || null);
+
+  const requestId = getRequestId(request);
+  const stored = [];
+  for (const file of files) {
+    try {
+      const { id: documentId, deduped } = await storeDealDocument(sb, {
+        dealId: id,
+        filename: file.name || 'attachment',
+        mimeType: file.type || null,
+        content: Buffer.from(await file.arrayBuffer()),
+        fields: {
+          label: row.reference ? `Q&A ${row.reference}` : null,
+          source_party: sourceParty,
+          tags: ['qa'],
+          visibility,
+          uploaded_by_email: auth.email,
+        },
+      });
+      stored.push({ id: documentId, filename: file.name || 'attachment', deduped });
+    } catch (e) {
+      logger.error('Q&A attachment store failed', { requestId, dealId: id, itemId, error: e.message });
+      return NextResponse.json({
+        error: `Failed to store ${file.name || 'attachment'}.`,
+        documents: stored,
+      }, { status: 502 });
+    }
+  }
+
+  const evidence = [...new Set([...(row.evidence_document_ids || []), ...stored.map((d) => d.id)])];
+  const resp = await fetchWithTimeout(
+    `${sb.url}/rest/v1/deal_qa_items?id=eq.${itemId}&deal_id=eq.${id}&select=id,evidence_document_ids,updated_at`,
+    {
+      method: 'PATCH',
+      headers: { ...getSupabaseWriteHeaders(sb.key), Prefer: 'return=representation' },
+      body: JSON.stringify({ evidence_document_ids: evidence, updated_at: new Date().toISOString() }),
+    },
+  );
+  if (!resp.ok) return NextResponse.json({ error: 'Files stored but not linked to the item.', documents: stored }, { status: 502 });
+  const [item] = await resp.json();
+  return NextResponse.json({ item, documents: stored }, { status: 201 });
+}
@@ -0,0 +1,154 @@
+/**
+ * POST /api/deals/[id]/qa/[itemId]/draft
+ *
+ * Propose an answer to a Q&A item from the data room. Searches the deal's
+ * chunks for the question (searchDealChunks), has the model answer from
+ * the top excerpts with [n] citations (lib/dealQaDraft.js) and stores the
+ * result as draft_answer / draft_citations. Nothing is answered until a
+ * person accepts the draft (PATCH /qa with accept_draft) or writes their
+ * own.
+ *
+ * Open to the deal team and to the assigned participant. A draft is read
+ * by both sides, so it only cites documents every editor can see
+ * (all_editors) — never a role-scoped or owner-only file — on top of the
+ * caller's own visibility.
+ *
+ * Billed to the caller's org like chat: trial gate and org budget checked
+ * first, usage recorded after.
+ */
+
+import { NextResponse } from 'next/server';
+import {
+  getSupabaseHeaders, getSupabaseWriteHeaders, fetchWithTimeout, requireSupabase,
+  isValidUUID, checkOrigin, getRequestId,
+} from '@/lib/api-helpers';
+import { requireAuth } from '@/lib/auth';
+import { checkRateLimit, getRateLimitKey } from '@/lib/rate-limit';
+import { resolveDealAccess } from '@/lib/dealAuth';
+import { canSeeDocument, DOCUMENT_ACCESS_COLUMNS } from '@/lib/dealDocumentVisibility';
+import { loadDocumentViewer } from '@/lib/dealCleanTeamStore';
+import { searchDealChunks } from '@/lib/deal-analysis/chunkSearch';
+import { draftQaAnswer } from '@/lib/dealQaDraft';
+import { resolveActiveKey } from '@/lib/customerKey';
+import { getOrgIdForUser, preflightTokenBudget, recordTokenUsage } from '@/lib/costGuard';
+import { requireBudgetClearance } from '@/lib/trialBudget';
+import { logger } from '@/lib/logger';
+
+export const maxDuration = 60;
+
+const SEARCH_LIMIT = 16;
+const MAX_EXCERPTS = 8;
+const ESTIMATED_TOKENS = 6000;
+
+export async function POST(request, { params }) {
+  const originErr = checkOrigin(request);
+  if (originErr) return NextResponse.json({ error: originErr.error }, { status: originErr.status });
+
+  const rl = await checkRateLimit(getRateLimitKey(request));
+  if (!rl.allowed) {
+    return NextResponse.json({ error: 'Too many requests.' }, { status: 429, headers: { 'Retry-After': String(rl.retryAfter || 60) } });
+  }
+
+  const auth = await requireAuth(request);
+  if (auth.error) return NextResponse.json(auth.error.body, { status: auth.error.status });
+
+  const { id, itemId } = await params;
+  if (!isValidUUID(id) || !isValidUUID(itemId)) return NextResponse.json({ error: 'Valid deal and item ids required.' }, { status: 400 });
+
+  const access = await resolveDealAccess({ dealId: id, email: auth.email, userId: auth.userId });
+  if (!access) return NextResponse.json({ error: 'Deal not found or access denied.' }, { status: 404 });
+
+  const sb = requireSupabase();
+  if (!sb) return NextResponse.json({ error: 'Storage not configured.' }, { status: 503 });
+  const headers = getSupabaseHeaders(sb.key);
+
+  const cur = await fetchWithTimeout(
+    `${sb.url}/rest/v1/deal_qa_items?id=eq.${itemId}&deal_id=eq.${id}&select=id,question,assigned_participant_id,status`,
+    { method: 'GET', headers },
+  );
+  const [row] = cur.ok ? await cur.json() : [];
+  if (!row) return NextResponse.json({ error: 'Item not found.' }, { status: 404 });
+
+  const isEditor = access.mode === 'owner' || access.mode === 'collaborator';
+  const isAssignedParticipant = access.mode === 'participant'
+    && row.assigned_participant_id
+    && access.participantId === row.assigned_participant_id;
+  if (!isEditor && !isAssignedParticipant) {
+    return NextResponse.json({ error: 'Not allowed to draft an answer for this item.' }, { status: 403 });
+  }
+
+  const gate = await requireBudgetClearance({ email: auth.email, userId: auth.userId }).catch(() => ({ allowed: true }));
+  if (!gate.allowed) {
+    return NextResponse.json({ error: gate.message, gateAction: gate.gateAction, reason: gate.reason }, { status: 402 });
+  }
+  const orgId = await getOrgIdForUser({ email: auth.email, userId: auth.userId }).catch(() => null);
+  const budget = await preflightTokenBudget({ orgId, estimatedTokens: ESTIMATED_TOKENS });
+  if (!budget.allowed) {
+    return NextResponse.json({ error: 'Your organisation has used its token budget.', reason: budget.reason }, { status: 402 });
+  }
+
+  const hits = await searchDealChunks({
+    supabaseUrl: sb.url, supabaseKey: sb.key, dealId: id, queryText: row.question, limit: SEARCH_LIMIT,
+  });
+  const docIds = [...new Set(hits.map((c) => c.document_id).filter(Boolean))];
+  const docsById = new Map();
+  if (docIds.length) {
+    const docResp = await fetchWithTimeout(
+      `${sb.url}/rest/v1/deal_documents?id=in.(${docIds.join(',')})&select=id,filename,status,${DOCUMENT_ACCESS_COLUMNS}`,
+      { method: 'GET', headers },
+    );
+    for (const d of docResp.ok ? await docResp.json() : []) docsById.set(d.id, d);
+  }
+  const viewer = await loadDocumentViewer(access, auth.email);
+  const chunks = hits.filter((c) => {
+    const document = docsById.get(c.document_id);
+    if (!document || document.status === 'archived') return false;
+    return canSeeDocument({ document, ...viewer })
+      && canSeeDocument({ document, viewerRole: null, isOwner: false, isCollaborator: true });
+  }).slice(0, MAX_EXCERPTS);
+
+  if (!chunks.length) {
+    return NextResponse.json({ draft: null, found: false, message: 'Nothing in the shared data room matches this question yet.' });
+  }
+
+  const requestId = getRequestId(request);
+  const { key } = await resolveActiveKey({ orgId, vendor: 'anthropic' });
+  const draft = await draftQaAnswer({ question: row.question, chunks, apiKey: key });
+  if (!draft) return NextResponse.json({ error: 'Could not draft an answer right now.' }, { status: 502 });
+
+  try {
+    await recordTokenUsage({
+      orgId,
+      vendor: 'anthropic',
+      model: draft.model,
+      surface: 'qa_draft',
+      refId: itemId,
+      inputTokens: draft.usage.inputTokens,
+      outputTokens: draft.usage.outputTokens,
+      userEmail: auth.email,
+      userId: auth.userId,
+    });
+  } catch (e) {
+    logger.warn('Q&A draft token-usage record failed (non-fatal)', { requestId, error: e.message });
+  }
+
+  if (!draft.found) {
+    return NextResponse.json({ draft: null, found: false, message: draft.answer });
+  }
+
+  const resp = await fetchWithTimeout(
+    `${sb.url}/rest/v1/deal_qa_items?id=eq.${itemId}&deal_id=eq.${id}&select=id,draft_answer,draft_citations,draft_generated_at`,
+    {
+      method: 'PATCH',
+      headers: { ...getSupabaseWriteHeaders(sb.key), Prefer: 'return=representation' },
+      body: JSON.stringify({
+        draft_answer: draft.answer,
+        draft_citations: draft.citations,
+        draft_generated_at: new Date().toISOString(),
+      }),
+    },
+  );
+  if (!resp.ok) return NextResponse.json({ error: 'Failed to save the draft.' }, { status: 502 });
+  const [item] = await resp.json();
+  return NextResponse.json({ draft: item, found: true });
+}
@@ -0,0 +1,112 @@
+/**
+ * GET /api/deals/[id]/qa/export[?format=csv][&mine=1]
+ *
+ * The Q&A list as a spreadsheet (XLSX by default, CSV on request) in the
+ * layout the importer reads back: ID, ref, category, priority, due date,
+ * question, assignee, status, answer and attachments. Editing it offline
+ * and re-importing updates the same items.
+ *
+ * Open to any deal viewer, same as the list. Attachment names go through
+ * canSeeDocument(); assignee emails are owner / collaborator only
+ * (lib/dealQaSheet.js). `mine=1` narrows a participant's export to the
+ * questions assigned to them.
+ */
+
+import { NextResponse } from 'next/server';
+import {
+  getSupabaseHeaders, fetchWithTimeout, requireSupabase, isValidUUID, getRequestId,
+} from '@/lib/api-helpers';
+import { requireAuth } from '@/lib/auth';
+import { checkRateLimit, getRateLimitKey } from '@/lib/rate-limit';
+import { resolveDealAccess } from '@/lib/dealAuth';
+import { auditLog, requestContext } from '@/lib/auditLog';
+import { buildQaWorkbook, buildQaCsv } from '@/lib/dealQaSheet';
+import { loadDocumentViewer } from '@/lib/dealCleanTeamStore';
+import { DOCUMENT_ACCESS_COLUMNS } from '@/lib/dealDocumentVisibility';
+
+export const maxDuration = 30;
+
+const QA_COLS = 'id,reference,category,priority,due_date,question,assigned_participant_id,assigned_company,'
+  + 'status,answer_text,answered_by_email,answered_at,evidence_document_ids';
+
+function fileSlug(name) {
+  return String(name || 'deal').replace(/[^A-Za-z0-9_-]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 80) || 'deal';
+}
+
+export async function GET(request, { params }) {
+  const auth = await requireAuth(request);
+  if (auth.error) return NextResponse.json(auth.error.body, { status: auth.error.status });
+
+  const rl = await checkRateLimit(getRateLimitKey(request));
+  if (!rl.allowed) return NextResponse.json({ error: 'Too many requests.' }, { status: 429, headers: { 'Retry-After': String(rl.retryAfter || 60) } });
+
+  const { id } = await params;
+  if (!isValidUUID(id)) return NextResponse.json({ error: 'Valid deal id required.' }, { status: 400 });
+
+  const access = await resolveDealAccess({ dealId: id, email: auth.email, userId: auth.userId });
+  if (!access) return NextResponse.json({ error: 'Deal not found or access denied.' }, { status: 404 });
+
+  const sb = requireSupabase();
+  if (!sb) return NextResponse.json({ error: 'Storage not configured.' }, { status: 503 });
+
+  const sp = request.nextUrl.searchParams;
+  const format = sp.get('format') === 'csv' ? 'csv' : 'xlsx';
+  const mine = sp.get('mine') === '1' && access.participantId;
+
+  const headers = getSupabaseHeaders(sb.key);
+  const get = async (path) => {
+    const resp = await fetchWithTimeout(`${sb.url}/rest/v1/${path}`, { method: 'GET', headers });
+    if (!resp.ok) throw new Error(`${path.split('?')[0]} read failed (${resp.status})`);
+    return resp.json();
+  };
+
+  let items, participants, documents;
+  try {
+    [items, participants, documents] = await Promise.all([
+      get(`deal_qa_items?deal_id=eq.${id}&select=${QA_COLS}${mine ? `&assigned_participant_id=eq.${access.participantId}` : ''}`
+        + '&order=reference.asc.nullslast,asked_at.asc&limit=5000'),
+      get(`deal_participants?deal_id=eq.${id}&select=id,role,company_name,participant_name,participant_email`),
+      get(`deal_documents?deal_id=eq.${id}&select=id,filename,label,${DOCUMENT_ACCESS_COLUMNS}`),
+    ]);
+  } catch {
+    return NextResponse.json({ error: 'Failed to build export.' }, { status: 502 });
+  }
+
+  const input = {
+    items, participants, documents,
+    viewer: {
+      ...(await loadDocumentViewer(access, auth.email)),
+      canManage: access.canManage,
+    },
+  };
+
+  auditLog({
+    action: 'deal.export',
+    actorEmail: auth.email, actorUserId: auth.userId,
+    dealId: id, targetType: 'deal', targetId: id, requestId: getRequestId(request),
+    ...requestContext(request),
+    details: { format, scope: 'qa', mode: access.mode, qa_items: items.length },
+  });
+
+  const stamp = new Date().toISOString().slice(0, 10);
+  const base = `${fileSlug(access.deal?.name)}-qa-${stamp}`;
+  if (format === 'csv') {
+    // BOM so Excel opens the UTF-8 (£, €, accented names) correctly.
+    return new NextResponse(`\uFEFF${buildQaCsv(input)}`, {
+      status: 200,
+      headers: {
+        'Content-Type': 'text/csv; charset=utf-8',
+        'Content-Disposition': `attachment; filename="${base}.csv"`,
+        'Cache-Control': 'no-store',
+      },
+    });
+  }
+  return new NextResponse(buildQaWorkbook(input), {
+    status: 200,
+    headers: {
+      'Content-Type': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+      'Content-Disposition': `attachment; filename="${base}.xlsx"`,
+      'Cache-Control': 'no-store',
+    },
+  });
+}
@@ -0,0 +1,160 @@
+/**
+ * POST /api/deals/[id]/qa/import[?preview=1]
+ *
+ * Bulk-load a request list (XLSX or CSV, multipart field `file`) into the
+ * deal's Q&A queue. Parsing and matching live in lib/dealQaSheet.js:
+ * rows carrying an exported ID or a reference already on the deal update
+ * that item; everything else becomes a new open question. Rows that don't
+ * parse are reported by sheet row and skipped — the rest still land.
+ *
+ * `?preview=1` returns the plan (counts, per-row errors, what would change)
+ * without writing, so the UI can show "180 new · 12 updated · 3 errors"
+ * before the user commits.
+ *
+ * Sheets up to 5 MB are accepted. middleware.js exempts this route from
+ * the 2 MB API body cap, so the caps here are the only ones.
+ *
+ * Editor-only, like single-question POST. Writes a `deal.qa_import` audit row.
+ */
+
+import { NextResponse } from 'next/server';
+import {
+  getSupabaseHeaders, getSupabaseWriteHeaders, fetchWithTimeout, requireSupabase,
+  isValidUUID, checkOrigin, getRequestId,
+} from '@/lib/api-helpers';
+import { requireAuth } from '@/lib/auth';
+import { checkRateLimit, getRateLimitKey } from '@/lib/rate-limit';
+import { requireDealEditor } from '@/lib/dealAuth';
+import { auditLog, requestContext } from '@/lib/auditLog';
+import { logger } from '@/lib/logger';
+import { parseQaSheet, planQaImport } from '@/lib/dealQaSheet';
+
+export const maxDuration = 60;
+
+const MAX_BYTES = 5 * 1024 * 1024;
+// Room for the multipart boundaries and headers around the one file.
+const MAX_REQUEST_BYTES = MAX_BYTES + 64 * 1024;
+const INSERT_BATCH = 200;
+const EXISTING_COLS = 'id,reference,question,category,priority,due_date,assigned_participant_id,assigned_company';
+
+export async function POST(request, { params }) {
+  const originErr = checkOrigin(request);
+  if (originErr) return NextResponse.json({ error: originErr.error }, { status: originErr.status });
+
+  const rl = await checkRateLimit(getRateLimitKey(request));
+  if (!rl.allowed) {
+    return NextResponse.json({ error: 'Too many requests.' }, { status: 429, headers: { 'Retry-After': String(rl.retryAfter || 60) } });
+  }
+
+  const auth = await requireAuth(request);
+  if (auth.error) return NextResponse.json(auth.error.body, { status: auth.error.status });
+
+  const { id } = await params;
+  if (!isValidUUID(id)) return NextResponse.json({ error: 'Valid deal id required.' }, { status: 400 });
+
+  const editor = await requireDealEditor({ dealId: id, email: auth.email, userId: auth.userId });
+  if (editor.error) return NextResponse.json(editor.error, { status: editor.status });
+
+  // Exempt from the middleware cap, and formData() buffers the whole
+  // body: without a declared length there is nothing to check it against.
+  const contentLength = parseInt(request.headers.get('content-length') || '', 10);
+  if (!Number.isFinite(contentLength)) return NextResponse.json({ error: 'Content-Length required.' }, { status: 411 });
+  if (contentLength > MAX_REQUEST_BYTES) {
+    return NextResponse.json({ error: `File too large (max ${MAX_BYTES / 1024 / 1024} MB).` }, { status: 413 });
+  }
+
+  let formData;
+  try {
+    formData = await request.formData();
+  } catch {
+    return NextResponse.json({ error: 'Expected multipart/form-data.' }, { status: 400 });
+  }
+  const file = formData.get('file');
+  if (!file || typeof file === 'string') {
+    return NextResponse.json({ error: 'file field is required.' }, { status: 400 });
+  }
+  if (file.size > MAX_BYTES) {
+    return NextResponse.json({ error: `File too large (max ${MAX_BYTES / 1024 / 1024} MB).` }, { status: 413 });
+  }
+
+  let parsed;
+  try {
+    parsed = parseQaSheet(Buffer.from(await file.arrayBuffer()), { filename: file.name || '' });
+  } catch (e) {
+    return NextResponse.json({ error: e.message }, { status: 400 });
+  }
+
+  const sb = requireSupabase();
+  if (!sb) return NextResponse.json({ error: 'Storage not configured.' }, { status: 503 });
+  const requestId = getRequestId(request);
+  const headers = getSupabaseHeaders(sb.key);
+  const write = getSupabaseWriteHeaders(sb.key);
+
+  const [existingResp, partResp] = await Promise.all([
+    fetchWithTimeout(`${sb.url}/rest/v1/deal_qa_items?deal_id=eq.${id}&select=${EXISTING_COLS}&limit=5000`, { method: 'GET', headers }),
+    fetchWithTimeout(`${sb.url}/rest/v1/deal_participants?deal_id=eq.${id}&select=id,role,company_name,participant_name,participant_email`, { method: 'GET', headers }),
+  ]);
+  if (!existingResp.ok || !partResp.ok) return NextResponse.json({ error: 'Failed to read the Q&A list.' }, { status: 502 });
+
+  const plan = planQaImport({
+    rows: parsed.rows,
+    existing: await existingResp.json(),
+    participants: await partResp.json(),
+  });
+  const counts = {
+    new: plan.inserts.length, updated: plan.updates.length, unchanged: plan.unchanged,
+    unassigned: plan.unassigned, errors: parsed.errors.length,
+  };
+
+  if (request.nextUrl.searchParams.get('preview') === '1') {
+    return NextResponse.json({
+      preview: true,
+      columns: parsed.fields,
+      counts,
+      errors: parsed.errors,
+      inserts: plan.inserts.slice(0, 50).map((r) => ({ line: r.line, reference: r.reference || null, question: r.question })),
+      updates: plan.updates.slice(0, 50).map((u) => ({ line: u.line, id: u.id, fields: Object.keys(u.patch) })),
+    });
+  }
+
+  const now = new Date().toISOString();
+  let created = 0;
+  let updated = 0;
+  try {
+    for (let i = 0; i < plan.inserts.length; i += INSERT_BATCH) {
+      const batch = plan.inserts.slice(i, i + INSERT_BATCH).map(({ line: _line, ...row }) => ({
+        ...row, deal_id: id, asked_by_email: auth.email,
+      }));
+      const resp = await fetchWithTimeout(
+        `${sb.url}/rest/v1/deal_qa_items`,
+        { method: 'POST', headers: { ...write, Prefer: 'return=minimal' }, body: JSON.stringify(batch) },
+      );
+      if (!resp.ok) throw new Error(`insert failed (${resp.status}): ${(await resp.text().catch(() => '')).slice(0, 200)}`);
+      created += batch.length;
+    }
+    for (const u of plan.updates) {
+      const resp = await fetchWithTimeout(
+        `${sb.url}/rest/v1/deal_qa_items?id=eq.${u.id}&deal_id=eq.${id}`,
+        { method: 'PATCH', headers: write, body: JSON.stringify({ ...u.patch, updated_at: now }) },
+      );
+      if (!resp.ok) throw new Error(`update failed (${resp.status})`);
+      updated += 1;
+    }
+  } catch (e) {
+    logger.error('Q&A import failed part-way', { requestId, dealId: id, created, updated, error: e.message });
+    return NextResponse.json({
+      error: `Import stopped part-way: ${created} created, ${updated} updated before the failure. Re-importing the same file is safe.`,
+      counts: { ...counts, created, updated_done: updated },
+    }, { status: 502 });
+  }
+
+  auditLog({
+    action: 'deal.qa_import',
+    actorEmail: auth.email, actorUserId: auth.userId,
+    dealId: id, targetType: 'deal', targetId: id, requestId,
+    ...requestContext(request),
+    details: { filename: file.name || null, ...counts },
+  });
+
+  return NextResponse.json({ ok: true, counts: { ...counts, created }, errors: parsed.errors });
+}
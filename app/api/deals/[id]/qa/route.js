@@ -12,6 +12,12 @@
  * Visibility: open to any deal viewer so participants can see what they're
  * being asked. Editors can write; participants can answer their own
  * assigned items (PATCH allowed when assigned_participant_id matches).
+ * `?mine=1` narrows the list to the caller's assigned items — the
+ * seller-facing view.
+ *
+ * Request lists come in and out as spreadsheets (./import, ./export);
+ * attachments and answer drafts live under ./[itemId]. Due dates feed the
+ * overdue counts in the summary and the qa-due-reminders cron.
  */
 
 import { NextResponse } from 'next/server';
@@ -21,6 +27,7 @@ import {
 } from '@/lib/api-helpers';
 import { requireAuth } from '@/lib/auth';
 import { resolveDealAccess, requireDealEditor } from '@/lib/dealAuth';
+import { QA_PRIORITIES, parseDueDate, qaDueSummary } from '@/lib/dealQaSheet';
 
 export const maxDuration = 15;
 
@@ -28,10 +35,32 @@ const STATUSES = new Set(['open', 'answered', 'skipped', 'obsolete']);
 
 const SELECT_COLS =
   'id,question,asked_by_email,asked_at,assigned_participant_id,assigned_company,'
+  + 'reference,category,priority,due_date,'
   + 'status,answer_text,answered_by_email,answered_at,'
   + 'evidence_chunk_ids,evidence_document_ids,related_finding_key,'
+  + 'draft_answer,draft_citations,draft_generated_at,'
   + 'created_at,updated_at';
 
+/**
+ * Validate the list-management fields shared by POST and PATCH.
+ * @returns {{ fields: object } | { error: string }}
+ */
+function planningFields(body) {
+  const fields = {};
+  if (body.reference !== undefined) fields.reference = body.reference ? String(body.reference).trim().slice(0, 100) || null : null;
+  if (body.category !== undefined) fields.category = body.category ? String(body.category).trim().slice(0, 100) || null : null;
+  if (body.priority !== undefined) {
+    if (!QA_PRIORITIES.includes(body.priority)) return { error: `priority must be one of ${QA_PRIORITIES.join(', ')}.` };
+    fields.priority = body.priority;
+  }
+  if (body.due_date !== undefined) {
+    const due = body.due_date ? parseDueDate({ t: 's', v: String(body.due_date) }) : null;
+    if (due === undefined) return { error: 'due_date must be a date (YYYY-MM-DD).' };
+    fields.due_date = due;
+  }
+  return { fields };
+}
+
 export async function GET(request, { params }) {
   const auth = await requireAuth(request);
   if (auth.error) return NextResponse.json(auth.error.body, { status: auth.error.status });
@@ -48,10 +77,16 @@ export async function GET(request, { params }) {
   const sp = request.nextUrl.searchParams;
   const statusFilter = sp.get('status');
   const findingFilter = sp.get('finding_key');
+  const mine = sp.get('mine') === '1';
+  // Only participants are assigned items; the deal team has no "mine".
+  if (mine && !access.participantId) {
+    return NextResponse.json({ items: [], summary: { open: 0, answered: 0, skipped: 0, obsolete: 0, overdue: 0, due_soon: 0 } });
+  }
 
   let query = `${sb.url}/rest/v1/deal_qa_items?deal_id=eq.${id}&select=${SELECT_COLS}&order=asked_at.desc&limit=500`;
   if (statusFilter) query += `&status=eq.${encodeURIComponent(statusFilter)}`;
   if (findingFilter) query += `&related_finding_key=eq.${encodeURIComponent(findingFilter)}`;
+  if (mine) query += `&assigned_participant_id=eq.${access.participantId}`;
 
   const resp = await fetchWithTimeout(query, { method: 'GET', headers: getSupabaseHeaders(sb.key) });
   if (!resp.ok) return NextResponse.json({ error: 'Failed to list Q&A.' }, { status: 502 });
@@ -63,6 +98,7 @@ export async function GET(request, { params }) {
     acc[q.status] = (acc[q.status] || 0) + 1;
     return acc;
   }, { open: 0, answered: 0, skipped: 0, obsolete: 0 });
+  Object.assign(summary, qaDueSummary(items));
 
   return NextResponse.json({ items, summary });
 }
@@ -89,8 +125,11 @@ export async function POST(request, { params }) {
   const question = String(body?.question || '').trim();
   if (!question) return NextResponse.json({ error: 'question is required.' }, { status: 400 });
   if (question.length > 2000) return NextResponse.json({ error: 'question too long (max 2000 chars).' }, { status: 400 });
+  const planning = planningFields(body);
+  if (planning.error) return NextResponse.json({ error: planning.error }, { status: 400 });
 
   const insert = {
+    ...planning.fields,
     deal_id: id,
     question,
     asked_by_email: auth.email,
@@ -141,7 +180,7 @@ export async function PATCH(request, { params }) {
 
   // Load current row to enforce per-mode write rights.
   const cur = await fetchWithTimeout(
-    `${sb.url}/rest/v1/deal_qa_items?id=eq.${itemId}&deal_id=eq.${id}&select=id,assigned_participant_id,status`,
+    `${sb.url}/rest/v1/deal_qa_items?id=eq.${itemId}&deal_id=eq.${id}&select=id,assigned_participant_id,status,draft_answer,draft_citations`,
     { method: 'GET', headers: getSupabaseHeaders(sb.key) },
   );
   const [row] = cur.ok ? await cur.json() : [];
@@ -174,6 +213,25 @@ export async function PATCH(request, { params }) {
     patch.answered_at = new Date().toISOString();
     if (patch.answer_text && !patch.status) patch.status = 'answered';
   }
+  // Accepting the model's draft makes it the answer, with its citations
+  // as evidence. A person still has to do it — drafts never self-publish.
+  if (body.accept_draft === true) {
+    if (!row.draft_answer) return NextResponse.json({ error: 'No draft to accept.' }, { status: 409 });
+    const cites = Array.isArray(row.draft_citations) ? row.draft_citations : [];
+    const text = body.answer_text ? patch.answer_text : row.draft_answer;
+    patch.answer_text = String(text).slice(0, 8000);
+    patch.answered_by_email = auth.email;
+    patch.answered_at = new Date().toISOString();
+    patch.status = 'answered';
+    patch.evidence_chunk_ids = [...new Set(cites.map((c) => c.chunk_id).filter(isValidUUID))].slice(0, 50);
+    patch.draft_answer = null;
+    patch.draft_citations = null;
+    patch.draft_generated_at = null;
+  } else if (body.discard_draft === true) {
+    patch.draft_answer = null;
+    patch.draft_citations = null;
+    patch.draft_generated_at = null;
+  }
   // Editor-only fields below.
   if (isEditor) {
     if (body.question !== undefined) patch.question = String(body.question).slice(0, 2000);
@@ -187,6 +245,11 @@ export async function PATCH(request, { params }) {
     if (body.related_finding_key !== undefined) {
       patch.related_finding_key = body.related_finding_key ? String(body.related_finding_key).slice(0, 200) : null;
     }
+    const planning = planningFields(body);
+    if (planning.error) return NextResponse.json({ error: planning.error }, { status: 400 });
+    Object.assign(patch, planning.fields);
+    // A moved deadline earns fresh reminders.
+    if ('due_date' in planning.fields) patch.reminder_stage = null;
     if (Array.isArray(body.evidence_chunk_ids)) {
       patch.evidence_chunk_ids = body.evidence_chunk_ids.filter(isValidUUID).slice(0, 50);
     }
@@ -198,6 +198,7 @@ export async function GET(request, { params }) {
         collaboratorEmails: canSeePII ? (deal.collaborator_emails || []) : undefined,
         isOwner,
         accessMode: access.mode,
+        participantId: access.participantId || null,
         canEdit: !!access.canEdit,
         canManage: !!access.canManage,
         canDelete: !!access.canDelete,
@@ -16,7 +16,8 @@ import {
 } from '@/lib/api-helpers';
 import { requireAuth } from '@/lib/auth';
 import { resolveDealAccess } from '@/lib/dealAuth';
-import { canSeeDocument } from '@/lib/dealDocumentVisibility';
+import { canSeeDocument, DOCUMENT_ACCESS_COLUMNS } from '@/lib/dealDocumentVisibility';
+import { loadDocumentViewer } from '@/lib/dealCleanTeamStore';
 import { searchDealChunks } from '@/lib/deal-analysis/chunkSearch';
 
 export const maxDuration = 20;
@@ -70,22 +71,20 @@ export async function GET(request, { params }) {
   if (docIds.length > 0) {
     const idCsv = docIds.map(encodeURIComponent).join(',');
     const docResp = await fetchWithTimeout(
-      `${sb.url}/rest/v1/deal_documents?id=in.(${idCsv})&select=id,filename,visibility,source_party,category,status`,
+      `${sb.url}/rest/v1/deal_documents?id=in.(${idCsv})&select=id,filename,source_party,category,status,${DOCUMENT_ACCESS_COLUMNS}`,
       { method: 'GET', headers: getSupabaseHeaders(sb.key) },
     );
     const docs = docResp.ok ? await docResp.json() : [];
     for (const d of docs) docMetaById.set(d.id, d);
   }
 
-  const isOwner = access.mode === 'owner';
-  const isCollaborator = access.mode === 'collaborator';
-  const viewerRole = access.participantRole || null;
+  const viewer = await loadDocumentViewer(access, auth.email);
 
   const results = chunks
     .filter((c) => {
       const doc = docMetaById.get(c.document_id);
       if (!doc) return false;
-      return canSeeDocument({ document: doc, viewerRole, isOwner, isCollaborator });
+      return canSeeDocument({ document: doc, ...viewer });
     })
     .map((c) => {
       const doc = docMetaById.get(c.document_id) || {};
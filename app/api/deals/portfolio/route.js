@@ -0,0 +1,117 @@
+/**
+ * GET /api/deals/portfolio
+ *
+ * Deal-to-deal benchmark for the signed-in user's own diligence work:
+ * finding severity / category mix, checklist completeness, process cost
+ * per FTE and automation grade, and Q&A time-to-close, with portfolio
+ * medians (lib/dealPortfolio.js).
+ *
+ * Only deals the caller runs — owner or collaborator, confirmed per deal
+ * through resolveDealAccess. Deals they're merely a participant on belong
+ * to the other side and are left out, as are their findings and data.
+ *
+ * Returns: { deals: [...], benchmark: {...}, categories: string[] }
+ */
+
+import { NextResponse } from 'next/server';
+import {
+  getSupabaseHeaders, fetchWithTimeout, requireSupabase, getRequestId,
+} from '@/lib/api-helpers';
+import { requireAuth } from '@/lib/auth';
+import { checkRateLimit, getRateLimitKey } from '@/lib/rate-limit';
+import { resolveDealAccess } from '@/lib/dealAuth';
+import { buildPortfolioBenchmark } from '@/lib/dealPortfolio';
+import { loadDealChecklists } from '@/lib/dealChecklistStore';
+import { logger } from '@/lib/logger';
+
+export const maxDuration = 30;
+
+const MAX_DEALS = 100;
+const PROCESS_BATCH = 50;
+const DEAL_COLS = 'id,deal_code,type,name,status,owner_email,owner_user_id,created_at,updated_at';
+
+export async function GET(request) {
+  const rl = await checkRateLimit(getRateLimitKey(request));
+  if (!rl.allowed) return NextResponse.json({ error: 'Too many requests.' }, { status: 429, headers: { 'Retry-After': String(rl.retryAfter || 60) } });
+
+  const auth = await requireAuth(request);
+  if (auth.error) return NextResponse.json(auth.error.body, { status: auth.error.status });
+
+  const sb = requireSupabase();
+  if (!sb) return NextResponse.json({ error: 'Storage not configured.' }, { status: 503 });
+  const headers = getSupabaseHeaders(sb.key);
+  const get = async (path) => {
+    const resp = await fetchWithTimeout(`${sb.url}/rest/v1/${path}`, { method: 'GET', headers });
+    if (!resp.ok) throw new Error(`${path.split('?')[0]} read failed (${resp.status})`);
+    return resp.json();
+  };
+
+  try {
+    const emailEnc = encodeURIComponent(auth.email);
+    const [owned, collaborated] = await Promise.all([
+      get(`deals?owner_email=eq.${emailEnc}&select=${DEAL_COLS}&order=updated_at.desc&limit=${MAX_DEALS}`),
+      // Tolerated: collaborator_emails is missing before its migration.
+      get(`deals?collaborator_emails=cs.%7B${emailEnc}%7D&select=${DEAL_COLS}&order=updated_at.desc&limit=${MAX_DEALS}`).catch(() => []),
+    ]);
+    const candidates = [...new Map([...owned, ...collaborated].map((d) => [d.id, d])).values()].slice(0, MAX_DEALS);
+
+    const accesses = await Promise.all(candidates.map((d) =>
+      resolveDealAccess({ dealId: d.id, email: auth.email, userId: auth.userId }).catch(() => null)));
+    const deals = candidates
+      .map((d, i) => ({ ...d, accessMode: accesses[i]?.mode || null }))
+      .filter((d) => d.accessMode === 'owner' || d.accessMode === 'collaborator');
+
+    if (!deals.length) {
+      return NextResponse.json(buildPortfolioBenchmark([]));
+    }
+
+    const idCsv = deals.map((d) => d.id).join(',');
+    const [findings, documents, qaItems, participants, flows, checklists] = await Promise.all([
+      get(`deal_findings?deal_id=in.(${idCsv})&select=deal_id,analysis_id,section,severity,category,created_at&limit=20000`),
+      get(`deal_documents?deal_id=in.(${idCsv})&select=deal_id,id,filename,label,category,status&limit=20000`),
+      get(`deal_qa_items?deal_id=in.(${idCsv})&select=deal_id,status,asked_at,answered_at,due_date&limit=20000`),
+      get(`deal_participants?deal_id=in.(${idCsv})&process_id=not.is.null&select=deal_id,process_id`),
+      get(`deal_flows?deal_id=in.(${idCsv})&process_id=not.is.null&select=deal_id,process_id`),
+      loadDealChecklists(deals),
+    ]);
+
+    // Processes are shared by id between participants and flows; fetch each
+    // once and hand it to every deal that references it.
+    const processIdsByDeal = new Map();
+    for (const row of [...participants, ...flows]) {
+      if (!processIdsByDeal.has(row.deal_id)) processIdsByDeal.set(row.deal_id, new Set());
+      processIdsByDeal.get(row.deal_id).add(row.process_id);
+    }
+    const processIds = [...new Set([...processIdsByDeal.values()].flatMap((s) => [...s]))];
+    const processesById = new Map();
+    for (let i = 0; i < processIds.length; i += PROCESS_BATCH) {
+      const rows = await get(`processes?id=in.(${processIds.slice(i, i + PROCESS_BATCH).join(',')})&select=id,currency,flow_data`);
+      for (const r of rows) processesById.set(r.id, r);
+    }
+
+    const groupBy = (rows) => {
+      const m = new Map();
+      for (const r of rows) {
+        if (!m.has(r.deal_id)) m.set(r.deal_id, []);
+        m.get(r.deal_id).push(r);
+      }
+      return m;
+    };
+    const findingsByDeal = groupBy(findings);
+    const docsByDeal = groupBy(documents);
+    const qaByDeal = groupBy(qaItems);
+
+    const result = buildPortfolioBenchmark(deals.map((deal) => ({
+      deal,
+      findings: findingsByDeal.get(deal.id) || [],
+      documents: docsByDeal.get(deal.id) || [],
+      qaItems: qaByDeal.get(deal.id) || [],
+      checklist: checklists.get(deal.id) || null,
+      processes: [...(processIdsByDeal.get(deal.id) || [])].map((pid) => processesById.get(pid)).filter(Boolean),
+    })));
+    return NextResponse.json(result);
+  } catch (err) {
+    logger.error('Portfolio benchmark error', { requestId: getRequestId(request), error: err.message });
+    return NextResponse.json({ error: 'Failed to build the portfolio benchmark.' }, { status: 502 });
+  }
+}
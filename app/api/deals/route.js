@@ -4,6 +4,7 @@ import { requireAuth } from '@/lib/auth';
 import { checkRateLimit, getRateLimitKey } from '@/lib/rate-limit';
 import { triggerWebhook } from '@/lib/triggerWebhook';
 import { logger } from '@/lib/logger';
+import { latestAnalysisFindings } from '@/lib/dealPortfolio';
 
 const MAX_PAYLOAD_BYTES = 512 * 1024;
 
@@ -286,26 +287,9 @@ export async function GET(request) {
           d.criticalFindings = 0;
           continue;
         }
-        // Latest analysis: rank by max(created_at) across each analysis_id.
-        // Falls back to the row-count proxy when timestamps are missing
-        // (legacy rows). Either way the picker is deterministic.
-        const byAnalysis = new Map();
-        for (const f of arr) {
-          const cur = byAnalysis.get(f.analysis_id) || { count: 0, latest: 0 };
-          cur.count += 1;
-          const ts = f.created_at ? new Date(f.created_at).getTime() : 0;
-          if (ts > cur.latest) cur.latest = ts;
-          byAnalysis.set(f.analysis_id, cur);
-        }
-        let bestId = null; let bestLatest = -1; let bestCount = -1;
-        for (const [id, info] of byAnalysis) {
-          if (info.latest > bestLatest
-            || (info.latest === bestLatest && info.count > bestCount)) {
-            bestId = id; bestLatest = info.latest; bestCount = info.count;
-          }
-        }
-        const latest = arr.filter((f) => f.analysis_id === bestId
-          && f.section !== 'executiveSummary' && f.section !== 'keyFindings');
+        // Latest analysis only, summary sections dropped — same pick as
+        // the portfolio benchmark.
+        const latest = latestAnalysisFindings(arr);
         let score = 0;
         let critical = 0;
         for (const f of latest) {
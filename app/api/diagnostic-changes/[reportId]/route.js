@@ -1,20 +1,31 @@
 /**
- * GET /api/diagnostic-changes/[reportId]
+ * GET  /api/diagnostic-changes/[reportId]
+ * POST /api/diagnostic-changes/[reportId]
  *
- * Report-side mirror of /api/deals/[id]/changes. Returns the changes
+ * Report-side mirror of /api/deals/[id]/changes. GET returns the changes
  * timeline for a single diagnostic report (one row per redesign change,
  * plus any future report-scoped propose_* additions).
  *
- * Auth: contact_email ownership of the report (same gate the rest of
- * the diagnostic-* routes use). Service-role read after auth gate.
+ * POST records concurrent-edit collisions from the collaborative canvas
+ * (useFlowCollab): body `{ conflicts: [...] }`, one 'merged' row each —
+ * see conflictChangeRows in lib/flows/collab.js. Only the collaborator
+ * whose edit lost reports a collision, so each is recorded once.
+ *
+ * Auth: GET is contact_email ownership of the report (same gate the rest
+ * of the diagnostic-* routes use). POST admits whoever can open the
+ * process, since that's who edits it together: the owner, the deal team,
+ * and only the participants linked to this process — the same gate as
+ * comments (loadCommentProcess). Service-role read/write after the gate.
  */
 
 import { NextResponse } from 'next/server';
 import {
-  getSupabaseHeaders, fetchWithTimeout, requireSupabase,
+  getSupabaseHeaders, fetchWithTimeout, requireSupabase, checkOrigin,
 } from '@/lib/api-helpers';
 import { requireAuth } from '@/lib/auth';
-import { loadChanges } from '@/lib/changes/repo';
+import { loadCommentProcess } from '@/lib/processCommentStore';
+import { loadChanges, recordChanges } from '@/lib/changes/repo';
+import { conflictChangeRows } from '@/lib/flows/collab';
 
 export const maxDuration = 10;
 
@@ -45,3 +56,34 @@ export async function GET(request, { params }) {
   const changes = await loadChanges({ reportId, limit });
   return NextResponse.json({ changes });
 }
+
+export async function POST(request, { params }) {
+  const originErr = checkOrigin(request);
+  if (originErr) return NextResponse.json({ error: originErr.error }, { status: originErr.status });
+
+  const auth = await requireAuth(request);
+  if (auth.error) return NextResponse.json(auth.error.body, { status: auth.error.status });
+
+  const { reportId } = await params;
+  if (!reportId || typeof reportId !== 'string' || reportId.length > 64) {
+    return NextResponse.json({ error: 'Valid report id required.' }, { status: 400 });
+  }
+
+  let body;
+  try { body = await request.json(); } catch { return NextResponse.json({ error: 'Invalid JSON.' }, { status: 400 }); }
+  if (!Array.isArray(body?.conflicts) || body.conflicts.length === 0) {
+    return NextResponse.json({ error: 'conflicts must be a non-empty array.' }, { status: 400 });
+  }
+
+  const loaded = await loadCommentProcess(reportId, { email: auth.email, userId: auth.userId });
+  if (loaded.error) return NextResponse.json({ error: loaded.error }, { status: loaded.status });
+  const proc = loaded.process;
+
+  const rows = conflictChangeRows(body.conflicts, { processId: reportId, actorEmail: auth.email })
+    .map((r) => ({ ...r, deal_id: proc.deal_id || null }));
+  if (!rows.length) return NextResponse.json({ error: 'No valid conflicts.' }, { status: 400 });
+
+  const { ids, errors } = await recordChanges(rows);
+  if (!ids.length && errors) return NextResponse.json({ error: 'Failed to record conflicts.' }, { status: 502 });
+  return NextResponse.json({ recorded: ids.length, ids });
+}
@@ -131,6 +131,7 @@ export async function POST(request) {
   let dealName = null;
   let activeParticipant = null;
   let availableParticipants = null;
+  let documentViewer = null;
   if (dealId) {
     if (!sessionInfo) {
       logger.warn('Anonymous user attempted to use dealId in diagnostic-chat', { requestId: getRequestId(request), dealId });
@@ -142,6 +143,10 @@ export async function POST(request) {
         if (access) {
           verifiedDealId = dealId;
           dealAccessVerified = true;
+          // Document tools read with the service-role key; this is what
+          // they filter by (visibility, clean teams, expiry).
+          const { loadDocumentViewer } = await import('@/lib/dealCleanTeamStore');
+          documentViewer = await loadDocumentViewer(access, sessionInfo.email);
           // Hydrate deal name + participants for the prompt's flow-scope
           // block. Non-fatal — if any of these fail the chat still runs,
           // just without flow disambiguation context.
@@ -203,7 +208,7 @@ export async function POST(request) {
         const { reply, actions } = await runChatAgent({
           message, currentSteps, currentHandoffs, processName, history, incompleteInfo, phaseState, attachments,
           editingReportId, viewOnlyProcessId,
-          dealId: verifiedDealId, dealAccessVerified,
+          dealId: verifiedDealId, dealAccessVerified, documentViewer,
           dealName, activeParticipant, availableParticipants,
           sessionContext, session: sessionInfo,
           apiKey: resolvedApiKey,
@@ -4,6 +4,7 @@ import { GetDiagnosticPatchSchema } from '@/lib/ai-schemas';
 import { verifySupabaseSession, requireAuth } from '@/lib/auth';
 import { checkRateLimit, getRateLimitKey } from '@/lib/rate-limit';
 import { logger } from '@/lib/logger';
+import { versionBeforeWrite } from '@/lib/processVersionStore';
 
 export async function GET(request) {
   try {
@@ -161,7 +162,7 @@ export async function PATCH(request) {
     if (!sbConfig) return NextResponse.json({ error: 'Storage not configured.' }, { status: 503 });
     const { url: supabaseUrl, key: supabaseKey } = sbConfig;
 
-    const readResp = await fetchWithTimeout(`${supabaseUrl}/rest/v1/processes?id=eq.${id}&select=id,contact_email,flow_data`, { method: 'GET', headers: getSupabaseHeaders(supabaseKey) });
+    const readResp = await fetchWithTimeout(`${supabaseUrl}/rest/v1/processes?id=eq.${id}&select=id,contact_email,flow_data,updated_at`, { method: 'GET', headers: getSupabaseHeaders(supabaseKey) });
     if (!readResp.ok) return NextResponse.json({ error: 'Failed to read report.' }, { status: 502 });
     let rows;
     try { rows = await readResp.json(); } catch (e) { logger.error('PATCH diagnostic: Supabase parse error', { requestId: getRequestId(request), error: e.message }); return NextResponse.json({ error: 'Failed to read report.' }, { status: 502 }); }
@@ -173,6 +174,9 @@ export async function PATCH(request) {
       return NextResponse.json({ error: 'You do not have permission to edit this report.' }, { status: 403 });
     }
 
+    // The PATCH replaces a whole process's steps; keep the old ones restorable.
+    await versionBeforeWrite({ processId: id, flowData: row.flow_data, updatedAt: row.updated_at, email: auth.email });
+
     const dd = row.flow_data || {};
     const pi = processIndex || 0;
 
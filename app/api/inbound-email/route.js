@@ -0,0 +1,74 @@
+/**
+ * POST /api/inbound-email
+ *
+ * Webhook for mail sent to a deal's inbound address
+ * (deal-<token>@<INBOUND_EMAIL_DOMAIN>). Point the mail provider's
+ * inbound route here:
+ *
+ *   ?provider=mime  raw RFC 5322 body (default; `.eml` replay, SES raw)
+ *   ?provider=form  multipart with the raw message in `email` / `body-mime`
+ *                   (SendGrid Inbound Parse raw mode, Mailgun MIME)
+ *   ?to=<address>   envelope recipient, when the provider doesn't put it
+ *                   in Delivered-To / the form
+ *
+ * Auth: INBOUND_EMAIL_SECRET (Bearer, Basic password or ?key=). See
+ * lib/inbound/handlers.js. Attachments and the email body are filed into
+ * the deal data room by lib/inbound/ingest.js; parsing + embedding then
+ * runs on the usual `deal-document.uploaded` pipeline.
+ *
+ * Responds 200 for anything the provider shouldn't retry (unknown
+ * address, rejected sender, duplicate), 5xx only when a retry could help.
+ */
+
+import { NextResponse } from 'next/server';
+import { getRequestId } from '@/lib/api-helpers';
+import { logger } from '@/lib/logger';
+import { getInboundHandler, isAuthorisedInbound } from '@/lib/inbound/handlers';
+import { ingestInboundEmail } from '@/lib/inbound/ingest';
+import { MAX_INBOUND_BYTES } from '@/lib/inbound/plan';
+
+export const maxDuration = 60;
+
+// Attachments arrive base64-encoded: ~4/3 of the file size on the wire.
+const MAX_REQUEST_BYTES = Math.ceil(MAX_INBOUND_BYTES * 1.4);
+
+export async function POST(request) {
+  if (!isAuthorisedInbound(request)) {
+    return NextResponse.json({ error: 'Unauthorized.' }, { status: 401 });
+  }
+  const reqId = getRequestId(request);
+  const query = request.nextUrl.searchParams;
+  const contentType = request.headers.get('content-type') || '';
+  const length = parseInt(request.headers.get('content-length') || '0', 10);
+  if (length > MAX_REQUEST_BYTES) {
+    return NextResponse.json({ error: 'Message too large.' }, { status: 413 });
+  }
+
+  const providerId = query.get('provider') || (contentType.startsWith('multipart/form-data') ? 'form' : 'mime');
+  const handler = getInboundHandler(providerId);
+  if (!handler) return NextResponse.json({ error: `Unknown provider: ${providerId}` }, { status: 400 });
+
+  let parsed;
+  try {
+    const isForm = contentType.startsWith('multipart/form-data') || contentType.startsWith('application/x-www-form-urlencoded');
+    const form = isForm ? await request.formData() : null;
+    const body = form ? null : Buffer.from(await request.arrayBuffer());
+    if (body && body.length > MAX_REQUEST_BYTES) {
+      return NextResponse.json({ error: 'Message too large.' }, { status: 413 });
+    }
+    parsed = await handler.parse({ contentType, body, form, query, headers: request.headers });
+  } catch (e) {
+    logger.warn('Inbound email: parse failed', { requestId: reqId, provider: providerId, error: e.message });
+    return NextResponse.json({ error: 'Could not parse the message.' }, { status: 400 });
+  }
+
+  try {
+    const result = await ingestInboundEmail(parsed);
+    logger.info('Inbound email', { requestId: reqId, provider: providerId, ...result, skipped: result.skipped?.length });
+    const status = result.status === 'error' ? 502 : 200;
+    return NextResponse.json(result, { status });
+  } catch (e) {
+    logger.error('Inbound email: ingest failed', { requestId: reqId, error: e.message });
+    return NextResponse.json({ status: 'error', error: 'Ingest failed.' }, { status: 502 });
+  }
+}
@@ -10,6 +10,7 @@ import { serve } from 'inngest/next';
 import { inngest } from '@/lib/inngest/client';
 import { processDealDocument } from '@/lib/inngest/functions/processDealDocument';
 import { syncConnectorBinding } from '@/lib/inngest/functions/syncConnectorBinding';
+import { detectDealContradictions } from '@/lib/inngest/functions/detectDealContradictions';
 
 export const maxDuration = 60;
 
@@ -18,5 +19,6 @@ export const { GET, POST, PUT } = serve({
   functions: [
     processDealDocument,
     syncConnectorBinding,
+    detectDealContradictions,
   ],
 });
@@ -6,6 +6,7 @@
  *
  * Query: provider-specific. SharePoint: kind=sites|drives|items, plus
  * site_id/drive_id/item_id. Drive: kind=folders, parent_id=<id|root>.
+ * Box: kind=folders, parent_id=<id|0>. Dropbox: kind=folders, path=<id|"">.
  */
 
 import { NextResponse } from 'next/server';
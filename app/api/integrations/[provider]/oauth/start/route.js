@@ -26,6 +26,8 @@ const STATE_TTL_S = 600;
 const REQUIRED_ENV = {
   google_drive: ['GOOGLE_DRIVE_CLIENT_ID', 'GOOGLE_DRIVE_CLIENT_SECRET', 'NEXT_PUBLIC_APP_URL'],
   sharepoint:   ['SHAREPOINT_CLIENT_ID', 'SHAREPOINT_CLIENT_SECRET', 'NEXT_PUBLIC_APP_URL'],
+  box:          ['BOX_CLIENT_ID', 'BOX_CLIENT_SECRET', 'NEXT_PUBLIC_APP_URL'],
+  dropbox:      ['DROPBOX_CLIENT_ID', 'DROPBOX_CLIENT_SECRET', 'NEXT_PUBLIC_APP_URL'],
 };
 
 export async function GET(request, { params }) {
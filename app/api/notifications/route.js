@@ -0,0 +1,47 @@
+/**
+ * The caller's notifications — `GET / PATCH /api/notifications`.
+ *
+ *   GET  ?unread=1 → { notifications, unread }
+ *          newest first; `unread` is the count of unread ones listed.
+ *   PATCH { ids: [uuid] } | { all: true } → { updated }
+ *          marks them read.
+ *
+ * Entries are written by the features that raise them — today, comment
+ * @mentions and replies (lib/processCommentStore.js).
+ */
+
+import { NextResponse } from 'next/server';
+import { isValidUUID, checkOrigin } from '@/lib/api-helpers';
+import { requireAuth } from '@/lib/auth';
+import { listNotifications, markNotificationsRead } from '@/lib/processCommentStore';
+
+export async function GET(request) {
+  const auth = await requireAuth(request);
+  if (auth.error) return NextResponse.json(auth.error.body, { status: auth.error.status });
+
+  const unreadOnly = new URL(request.url).searchParams.get('unread') === '1';
+  const notifications = await listNotifications(auth.email, { unreadOnly });
+  return NextResponse.json({ notifications, unread: notifications.filter((n) => !n.read_at).length });
+}
+
+export async function PATCH(request) {
+  const originErr = checkOrigin(request);
+  if (originErr) return NextResponse.json({ error: originErr.error }, { status: originErr.status });
+  const auth = await requireAuth(request);
+  if (auth.error) return NextResponse.json(auth.error.body, { status: auth.error.status });
+
+  let body;
+  try { body = await request.json(); } catch { return NextResponse.json({ error: 'Invalid JSON.' }, { status: 400 }); }
+
+  let ids = null;
+  if (body?.all !== true) {
+    if (!Array.isArray(body?.ids) || !body.ids.length || body.ids.length > 200 || !body.ids.every((i) => isValidUUID(String(i)))) {
+      return NextResponse.json({ error: 'ids must be a non-empty array of notification ids, or pass all: true.' }, { status: 400 });
+    }
+    ids = body.ids.map(String);
+  }
+
+  const updated = await markNotificationsRead(auth.email, ids);
+  if (updated == null) return NextResponse.json({ error: 'Failed to update notifications.' }, { status: 502 });
+  return NextResponse.json({ updated });
+}
@@ -4,6 +4,10 @@
  * Model-level rollup of process-report findings: recommendations,
  * bottlenecks, automation pipeline, risk hotspots, cost concentration,
  * and the redesign roadmap. Powers the workspace's Analysis tab.
+ *
+ * Money is in the model's reporting currency; `currency` lists the FX
+ * rates used and any process currencies with no rate. Optional
+ * ?asOf=YYYY-MM-DD picks the rates effective on that date.
  */
 
 import { NextResponse } from 'next/server';
@@ -11,6 +15,7 @@ import { isValidUUID } from '@/lib/api-helpers';
 import { requireAuth } from '@/lib/auth';
 import { resolveModelAccess } from '@/lib/operatingModel/auth';
 import { loadAnalysis } from '@/lib/operatingModel/analysis';
+import { isIsoDate } from '@/lib/currency';
 
 export const maxDuration = 15;
 
@@ -24,12 +29,17 @@ export async function GET(request, { params }) {
   const access = await resolveModelAccess({ modelId: id, email: auth.email, userId: auth.userId });
   if (access.error) return NextResponse.json({ error: access.error }, { status: access.status });
 
-  const analysis = await loadAnalysis(id);
+  // ?asOf=YYYY-MM-DD reports at the FX rates effective on that date.
+  const asOf = new URL(request.url).searchParams.get('asOf') || undefined;
+  if (asOf && !isIsoDate(asOf)) return NextResponse.json({ error: 'asOf must be YYYY-MM-DD.' }, { status: 400 });
+
+  const analysis = await loadAnalysis(id, { asOf });
   return NextResponse.json(analysis || {
     topRecommendations: [], bottlenecks: [], automationPipeline: [],
-    riskHotspots: { manualNoSystem: [], sopFailures: [], shadowSteps: [] },
-    costConcentration: { topProcesses: [], topSteps: [] },
+    riskHotspots: { manualNoSystem: [], sopFailures: [], shadowSteps: [], slaBreaches: [] },
+    costConcentration: { topProcesses: [], topSteps: [], unconverted: [] },
     roadmap: null,
     counts: { reports: 0 },
+    currency: null,
   });
 }
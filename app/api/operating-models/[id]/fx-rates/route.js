@@ -0,0 +1,102 @@
+/**
+ * GET    /api/operating-models/[id]/fx-rates              — the org's FX table
+ * POST   /api/operating-models/[id]/fx-rates              — add / replace a rate (admin)
+ * DELETE /api/operating-models/[id]/fx-rates?rateId=uuid  — remove a rate (admin)
+ *
+ * Rates belong to the model's organization, so every model in the org
+ * shares them. POST body:
+ *   { base_currency, quote_currency, rate, effective_date: 'YYYY-MM-DD' }
+ * meaning 1 base = rate quote from that date; posting the same pair and
+ * date again replaces the rate.
+ *
+ * GET returns { reportingCurrency, currencies, rates } so the settings
+ * panel can render in one round-trip.
+ */
+
+import { NextResponse } from 'next/server';
+import { checkOrigin, isValidUUID, getRequestId } from '@/lib/api-helpers';
+import { requireAuth } from '@/lib/auth';
+import { resolveModelAccess } from '@/lib/operatingModel/auth';
+import { listFxRates, upsertFxRate, deleteFxRate } from '@/lib/operatingModel/fxRates';
+import { loadOperatingModel } from '@/lib/operatingModel/repo';
+import { SUPPORTED_CURRENCIES, DEFAULT_CURRENCY } from '@/lib/currency';
+import { logger } from '@/lib/logger';
+
+export const maxDuration = 10;
+
+export async function GET(request, { params }) {
+  const auth = await requireAuth(request);
+  if (auth.error) return NextResponse.json(auth.error.body, { status: auth.error.status });
+
+  const { id } = await params;
+  if (!isValidUUID(id)) return NextResponse.json({ error: 'Valid model id required.' }, { status: 400 });
+
+  const access = await resolveModelAccess({ modelId: id, email: auth.email, userId: auth.userId });
+  if (access.error) return NextResponse.json({ error: access.error }, { status: access.status });
+
+  const [loaded, rates] = await Promise.all([
+    loadOperatingModel(id),
+    listFxRates(access.model.organization_id),
+  ]);
+  return NextResponse.json({
+    reportingCurrency: loaded?.model?.reporting_currency || DEFAULT_CURRENCY,
+    currencies: SUPPORTED_CURRENCIES,
+    rates,
+    isAdmin: access.isAdmin,
+  });
+}
+
+export async function POST(request, { params }) {
+  const originErr = checkOrigin(request);
+  if (originErr) return NextResponse.json({ error: originErr.error }, { status: originErr.status });
+
+  const auth = await requireAuth(request);
+  if (auth.error) return NextResponse.json(auth.error.body, { status: auth.error.status });
+
+  const { id } = await params;
+  if (!isValidUUID(id)) return NextResponse.json({ error: 'Valid model id required.' }, { status: 400 });
+
+  const access = await resolveModelAccess({ modelId: id, email: auth.email, userId: auth.userId });
+  if (access.error)    return NextResponse.json({ error: access.error }, { status: access.status });
+  if (!access.isAdmin) return NextResponse.json({ error: 'Only org admins can edit FX rates.' }, { status: 403 });
+
+  let body;
+  try { body = await request.json(); } catch { return NextResponse.json({ error: 'Invalid JSON.' }, { status: 400 }); }
+
+  let row;
+  try {
+    row = await upsertFxRate(access.model.organization_id, body, { email: auth.email || null });
+  } catch (e) {
+    return NextResponse.json({ error: e.message }, { status: 400 });
+  }
+  if (!row) {
+    logger.warn('FX rate upsert failed', { requestId: getRequestId(request), modelId: id });
+    return NextResponse.json({ error: 'Failed to save rate.' }, { status: 502 });
+  }
+  return NextResponse.json({ rate: row });
+}
+
+export async function DELETE(request, { params }) {
+  const originErr = checkOrigin(request);
+  if (originErr) return NextResponse.json({ error: originErr.error }, { status: originErr.status });
+
+  const auth = await requireAuth(request);
+  if (auth.error) return NextResponse.json(auth.error.body, { status: auth.error.status });
+
+  const { id } = await params;
+  if (!isValidUUID(id)) return NextResponse.json({ error: 'Valid model id required.' }, { status: 400 });
+
+  const rateId = new URL(request.url).searchParams.get('rateId');
+  if (!isValidUUID(rateId)) return NextResponse.json({ error: 'Valid rateId required.' }, { status: 400 });
+
+  const access = await resolveModelAccess({ modelId: id, email: auth.email, userId: auth.userId });
+  if (access.error)    return NextResponse.json({ error: access.error }, { status: access.status });
+  if (!access.isAdmin) return NextResponse.json({ error: 'Only org admins can edit FX rates.' }, { status: 403 });
+
+  const result = await deleteFxRate(access.model.organization_id, rateId);
+  if (!result.ok) {
+    logger.warn('FX rate delete failed', { requestId: getRequestId(request), modelId: id, rateId });
+    return NextResponse.json({ error: 'Failed to delete rate.' }, { status: 502 });
+  }
+  return NextResponse.json({ ok: true });
+}
@@ -3,9 +3,13 @@
  *
  * Bundle of cross-process aggregates that power the workspace's
  * Insights section. Returned as one payload so the client paints the
- * three cards in a single round-trip:
+ * cards in a single round-trip:
  *
- *   { systemInventory, functionHeatmap, changeRoi }
+ *   { systemInventory, functionHeatmap, changeRoi, slaBreaches, currency }
+ *
+ * Heatmap money is in the model's reporting currency; `currency` lists
+ * the FX rates used and any process currencies with no rate. Optional
+ * ?asOf=YYYY-MM-DD picks the rates effective on that date.
  *
  * Read-only; any org member of the model's org can see this.
  */
@@ -15,8 +19,10 @@ import { isValidUUID } from '@/lib/api-helpers';
 import { requireAuth } from '@/lib/auth';
 import { resolveModelAccess } from '@/lib/operatingModel/auth';
 import {
-  loadSystemInventory, loadFunctionHeatmap, loadChangeRoiSummary,
+  loadSystemInventory, loadFunctionHeatmap, loadChangeRoiSummary, loadSlaBreaches,
 } from '@/lib/operatingModel/crossProcess';
+import { loadModelFx } from '@/lib/operatingModel/fxRates';
+import { isIsoDate } from '@/lib/currency';
 
 export const maxDuration = 15;
 
@@ -30,16 +36,24 @@ export async function GET(request, { params }) {
   const access = await resolveModelAccess({ modelId: id, email: auth.email, userId: auth.userId });
   if (access.error) return NextResponse.json({ error: access.error }, { status: access.status });
 
-  // All three queries are independent — fire in parallel.
-  const [systemInventory, functionHeatmap, changeRoi] = await Promise.all([
+  // ?asOf=YYYY-MM-DD reports at the FX rates effective on that date.
+  const asOf = new URL(request.url).searchParams.get('asOf') || undefined;
+  if (asOf && !isIsoDate(asOf)) return NextResponse.json({ error: 'asOf must be YYYY-MM-DD.' }, { status: 400 });
+
+  const fx = await loadModelFx(id, { asOf });
+  // The queries are independent — fire in parallel.
+  const [systemInventory, functionHeatmap, changeRoi, slaBreaches] = await Promise.all([
     loadSystemInventory(id),
-    loadFunctionHeatmap(id),
+    loadFunctionHeatmap(id, { fx }),
     loadChangeRoiSummary(id),
+    loadSlaBreaches(id),
   ]);
 
   return NextResponse.json({
     systemInventory,
     functionHeatmap,
     changeRoi: changeRoi || { totals: {}, predicted: {}, realised: [], coverage: { withOutcomes: 0, withoutOutcomes: 0 } },
+    slaBreaches: slaBreaches || { summary: { processesWithSla: 0, runsChecked: 0, breaches: 0, high: 0 }, rows: [] },
+    currency: fx.summary(),
   });
 }
@@ -1,10 +1,11 @@
 /**
  * PATCH /api/operating-models/[id]/processes/[processId]
  *
- * File a process under a capability (or unfile by passing function_id=null).
+ * File a process under a capability (or unfile by passing function_id=null)
+ * and/or set the process's native currency (null = legacy default, GBP).
  * Optional: set design_owner_email.
  *
- * Body: { function_id: uuid|null, design_owner_email?: string|null }
+ * Body: { function_id?: uuid|null, currency?: string|null, design_owner_email?: string|null }
  *
  * Auth: any org member of the model's org. The diagnostic_report itself
  * may have a separate ownership (contact_email); for now we trust org
@@ -18,6 +19,7 @@ import { requireAuth } from '@/lib/auth';
 import { resolveModelAccess } from '@/lib/operatingModel/auth';
 import { attachProcessToModel } from '@/lib/operatingModel/repo';
 import { logger } from '@/lib/logger';
+import { normaliseCurrency, SUPPORTED_CURRENCIES } from '@/lib/currency';
 
 export const maxDuration = 10;
 
@@ -63,8 +65,15 @@ export async function PATCH(request, { params }) {
     }
     patch.function_id = cap;
   }
+  if (Object.prototype.hasOwnProperty.call(body || {}, 'currency')) {
+    const cur = body.currency == null ? null : normaliseCurrency(body.currency);
+    if (body.currency != null && !cur) {
+      return NextResponse.json({ error: `currency must be one of ${SUPPORTED_CURRENCIES.join(', ')} or null.` }, { status: 400 });
+    }
+    patch.currency = cur;
+  }
   if (Object.keys(patch).length === 0) {
-    return NextResponse.json({ error: 'Provide function_id.' }, { status: 400 });
+    return NextResponse.json({ error: 'Provide function_id or currency.' }, { status: 400 });
   }
 
   // attachProcessToModel expects { reportId, ... } — historical naming.
@@ -44,7 +44,7 @@ export async function GET(request, { params }) {
   // derivation still walks the JSONB to populate the spans-multiple-functions
   // badge.
   const select = 'id,company,contact_name,contact_email,' +
-                 'function_id,' +
+                 'function_id,currency,' +
                  'created_at,updated_at,flow_data';
 
   try {
@@ -94,6 +94,9 @@ export async function GET(request, { params }) {
         potential_savings: m.potential_savings,
         automation_percentage: m.automation_percentage,
         automation_grade: m.automation_grade,
+        // Effective native currency (column, else legacy costAnalysis,
+        // else GBP). Cost fields on this row are in it, not converted.
+        currency: m.currency,
         cost_by_function,
       };
     });
@@ -2,7 +2,10 @@
  * GET /api/operating-models/[id]/rollup
  *
  * Aggregated stats for a model:
- *   { totals: {...}, byFunction: [...], unfiledProcesses: number }
+ *   { totals: {...}, byFunction: [...], unfiledProcesses: number, currency }
+ *
+ * Money is in the model's reporting currency; optional ?asOf=YYYY-MM-DD
+ * picks the FX rates effective on that date.
  *
  * Powers the workspace home's top stats strip + capability-tree counts.
  * Read-only for any org member.
@@ -13,6 +16,7 @@ import { isValidUUID } from '@/lib/api-helpers';
 import { requireAuth } from '@/lib/auth';
 import { resolveModelAccess } from '@/lib/operatingModel/auth';
 import { loadModelRollup } from '@/lib/operatingModel/repo';
+import { isIsoDate } from '@/lib/currency';
 
 export const maxDuration = 10;
 
@@ -26,6 +30,10 @@ export async function GET(request, { params }) {
   const access = await resolveModelAccess({ modelId: id, email: auth.email, userId: auth.userId });
   if (access.error) return NextResponse.json({ error: access.error }, { status: access.status });
 
-  const rollup = await loadModelRollup(id);
-  return NextResponse.json(rollup || { totals: {}, byFunction: [], unfiledProcesses: 0 });
+  // ?asOf=YYYY-MM-DD reports at the FX rates effective on that date.
+  const asOf = new URL(request.url).searchParams.get('asOf') || undefined;
+  if (asOf && !isIsoDate(asOf)) return NextResponse.json({ error: 'asOf must be YYYY-MM-DD.' }, { status: 400 });
+
+  const rollup = await loadModelRollup(id, { asOf });
+  return NextResponse.json(rollup || { totals: {}, byFunction: [], unfiledProcesses: 0, currency: null });
 }
@@ -1,8 +1,8 @@
 /**
  * GET   /api/operating-models/[id]   — full model load (model + functions
  *                                       tree + roles + systems + processCount)
- * PATCH /api/operating-models/[id]   — update name/description/settings/kind
- *                                       (admin only)
+ * PATCH /api/operating-models/[id]   — update name/description/settings/kind/
+ *                                       reporting_currency (admin only)
  */
 
 import { NextResponse } from 'next/server';
@@ -12,6 +12,7 @@ import { resolveModelAccess } from '@/lib/operatingModel/auth';
 import { loadOperatingModel } from '@/lib/operatingModel/repo';
 import { getSupabaseWriteHeaders, fetchWithTimeout, requireSupabase } from '@/lib/api-helpers';
 import { logger } from '@/lib/logger';
+import { normaliseCurrency, SUPPORTED_CURRENCIES } from '@/lib/currency';
 
 export const maxDuration = 10;
 
@@ -31,7 +32,7 @@ export async function GET(request, { params }) {
   return NextResponse.json({ ...data, isAdmin: access.isAdmin });
 }
 
-const PATCH_FIELDS = ['name', 'kind', 'status', 'description', 'settings'];
+const PATCH_FIELDS = ['name', 'kind', 'status', 'description', 'settings', 'reporting_currency'];
 
 export async function PATCH(request, { params }) {
   const originErr = checkOrigin(request);
@@ -60,6 +61,12 @@ export async function PATCH(request, { params }) {
 
   if (patch.name != null) patch.name = String(patch.name).trim().slice(0, 200);
   if (patch.description != null) patch.description = String(patch.description).slice(0, 4000);
+  if (Object.prototype.hasOwnProperty.call(patch, 'reporting_currency')) {
+    patch.reporting_currency = normaliseCurrency(patch.reporting_currency);
+    if (!patch.reporting_currency) {
+      return NextResponse.json({ error: `reporting_currency must be one of ${SUPPORTED_CURRENCIES.join(', ')}.` }, { status: 400 });
+    }
+  }
 
   const sb = requireSupabase();
   if (!sb) return NextResponse.json({ error: 'Storage not configured.' }, { status: 503 });
@@ -0,0 +1,82 @@
+/**
+ * /api/organizations/[orgId]/checklists/[templateId]
+ *
+ * Admin-only. One checklist template with its items.
+ *
+ * GET    - { template }
+ * PATCH  - any of { name, description, deal_type, sector, is_default, items };
+ *          items replace the whole list (normaliseChecklistItems).
+ * DELETE - remove it. Deals that cloned it keep their copy.
+ */
+
+import { NextResponse } from 'next/server';
+import { checkOrigin, getRequestId, isValidUUID } from '@/lib/api-helpers';
+import { requireAuth } from '@/lib/auth';
+import { getSupabaseAdmin } from '@/lib/supabase';
+import { requireOrgAdminOrPlatformAdmin } from '@/lib/orgAdmin';
+import {
+  getChecklistTemplate, saveChecklistTemplate, deleteChecklistTemplate,
+} from '@/lib/dealChecklistStore';
+import { logger } from '@/lib/logger';
+
+export const maxDuration = 15;
+
+async function gate(request, orgId, templateId) {
+  const auth = await requireAuth(request);
+  if (auth.error) return { error: NextResponse.json(auth.error.body, { status: auth.error.status }) };
+  if (!isValidUUID(orgId) || !isValidUUID(templateId)) {
+    return { error: NextResponse.json({ error: 'Valid organization and template ids required.' }, { status: 400 }) };
+  }
+  const sb = getSupabaseAdmin();
+  if (!sb) return { error: NextResponse.json({ error: 'Storage not configured.' }, { status: 503 }) };
+  const g = await requireOrgAdminOrPlatformAdmin(sb, orgId, auth.userId, auth.email);
+  if (g.error) return { error: NextResponse.json({ error: g.error }, { status: g.status }) };
+  return { auth };
+}
+
+export async function GET(request, { params }) {
+  const { orgId, templateId } = await params;
+  const g = await gate(request, orgId, templateId);
+  if (g.error) return g.error;
+
+  const template = await getChecklistTemplate(orgId, templateId);
+  if (!template) return NextResponse.json({ error: 'Template not found.' }, { status: 404 });
+  return NextResponse.json({ template });
+}
+
+export async function PATCH(request, { params }) {
+  const originErr = checkOrigin(request);
+  if (originErr) return NextResponse.json({ error: originErr.error }, { status: originErr.status });
+
+  const { orgId, templateId } = await params;
+  const g = await gate(request, orgId, templateId);
+  if (g.error) return g.error;
+
+  let body;
+  try { body = await request.json(); } catch { return NextResponse.json({ error: 'Invalid JSON.' }, { status: 400 }); }
+
+  let template;
+  try {
+    template = await saveChecklistTemplate(orgId, body, { templateId, email: g.auth.email || null });
+  } catch (e) {
+    return NextResponse.json({ error: e.message }, { status: 400 });
+  }
+  if (!template) {
+    logger.warn('Checklist template update failed', { orgId, templateId, requestId: getRequestId(request) });
+    return NextResponse.json({ error: 'Failed to save the template.' }, { status: 502 });
+  }
+  return NextResponse.json({ template });
+}
+
+export async function DELETE(request, { params }) {
+  const originErr = checkOrigin(request);
+  if (originErr) return NextResponse.json({ error: originErr.error }, { status: originErr.status });
+
+  const { orgId, templateId } = await params;
+  const g = await gate(request, orgId, templateId);
+  if (g.error) return g.error;
+
+  const result = await deleteChecklistTemplate(orgId, templateId);
+  if (!result.ok) return NextResponse.json({ error: 'Failed to delete the template.' }, { status: 502 });
+  return NextResponse.json({ ok: true });
+}
@@ -0,0 +1,89 @@
+/**
+ * /api/organizations/[orgId]/checklists
+ *
+ * Admin-only management of the org's expected-documents checklist
+ * templates (lib/dealChecklistStore.js).
+ *
+ * GET  - { templates, builtins, categories }: the org's templates (item
+ *        counts, not items), the built-in starter lists to clone from, and
+ *        the data-room categories items can match on.
+ * POST - create a template. Body: { name, description?, deal_type?,
+ *        sector?, is_default?, items? } or { cloneFrom, name? } where
+ *        cloneFrom is a template id of this org or 'builtin:<dealType>'.
+ */
+
+import { NextResponse } from 'next/server';
+import { checkOrigin, getRequestId, isValidUUID } from '@/lib/api-helpers';
+import { requireAuth } from '@/lib/auth';
+import { getSupabaseAdmin } from '@/lib/supabase';
+import { requireOrgAdminOrPlatformAdmin } from '@/lib/orgAdmin';
+import {
+  listChecklistTemplates, getChecklistTemplate, saveChecklistTemplate,
+} from '@/lib/dealChecklistStore';
+import { listBuiltinTemplates, getBuiltinTemplate } from '@/lib/dealDocumentChecklist';
+import { DOC_CATEGORIES } from '@/lib/ai/categorizeDoc';
+import { logger } from '@/lib/logger';
+
+export const maxDuration = 15;
+
+async function gate(request, orgId) {
+  const auth = await requireAuth(request);
+  if (auth.error) return { error: NextResponse.json(auth.error.body, { status: auth.error.status }) };
+  if (!isValidUUID(orgId)) return { error: NextResponse.json({ error: 'Valid organization id required.' }, { status: 400 }) };
+  const sb = getSupabaseAdmin();
+  if (!sb) return { error: NextResponse.json({ error: 'Storage not configured.' }, { status: 503 }) };
+  const g = await requireOrgAdminOrPlatformAdmin(sb, orgId, auth.userId, auth.email);
+  if (g.error) return { error: NextResponse.json({ error: g.error }, { status: g.status }) };
+  return { auth };
+}
+
+export async function GET(request, { params }) {
+  const { orgId } = await params;
+  const g = await gate(request, orgId);
+  if (g.error) return g.error;
+
+  const templates = await listChecklistTemplates(orgId);
+  return NextResponse.json({
+    templates,
+    builtins: listBuiltinTemplates().map(({ items, ...t }) => ({ ...t, itemCount: items.length })),
+    categories: DOC_CATEGORIES,
+  });
+}
+
+export async function POST(request, { params }) {
+  const originErr = checkOrigin(request);
+  if (originErr) return NextResponse.json({ error: originErr.error }, { status: originErr.status });
+
+  const { orgId } = await params;
+  const g = await gate(request, orgId);
+  if (g.error) return g.error;
+
+  let body;
+  try { body = await request.json(); } catch { return NextResponse.json({ error: 'Invalid JSON.' }, { status: 400 }); }
+
+  let input = body || {};
+  if (typeof input.cloneFrom === 'string') {
+    const source = getBuiltinTemplate(input.cloneFrom)
+      || (isValidUUID(input.cloneFrom) ? await getChecklistTemplate(orgId, input.cloneFrom) : null);
+    if (!source) return NextResponse.json({ error: 'Template to clone not found.' }, { status: 404 });
+    input = {
+      name: input.name || `${source.name.replace(/^Built-in: /, '')} (copy)`,
+      description: source.description || null,
+      deal_type: source.deal_type || null,
+      sector: source.sector || null,
+      items: source.items,
+    };
+  }
+
+  let template;
+  try {
+    template = await saveChecklistTemplate(orgId, input, { email: g.auth.email || null });
+  } catch (e) {
+    return NextResponse.json({ error: e.message }, { status: 400 });
+  }
+  if (!template) {
+    logger.warn('Checklist template create failed', { orgId, requestId: getRequestId(request) });
+    return NextResponse.json({ error: 'Failed to save the template.' }, { status: 502 });
+  }
+  return NextResponse.json({ template });
+}
@@ -5,6 +5,21 @@ import { ProcessInstanceInputSchema } from '@/lib/ai-schemas';
 import { checkRateLimit, getRateLimitKey } from '@/lib/rate-limit';
 import { requireAuth } from '@/lib/auth';
 import { logger } from '@/lib/logger';
+import { checkInstanceConformance, buildInstanceOutcomes } from '@/lib/flows/instanceConformance';
+import { loadChanges, recordOutcome } from '@/lib/changes/repo';
+
+/**
+ * Pick the rawProcesses[] entry a run belongs to: explicit processIndex,
+ * else a case-insensitive processName match, else the only process.
+ */
+function findMappedProcess(rawProcesses, processIndex, processName) {
+  const list = Array.isArray(rawProcesses) ? rawProcesses : [];
+  if (processIndex != null) return list[processIndex] ? processIndex : -1;
+  const key = processName.trim().toLowerCase();
+  const byName = list.findIndex((p) => (p?.processName || '').trim().toLowerCase() === key);
+  if (byName >= 0) return byName;
+  return list.length === 1 ? 0 : -1;
+}
 
 export async function POST(request) {
   const originErr = checkOrigin(request);
@@ -26,12 +41,33 @@ export async function POST(request) {
     let body;
     try { body = await request.json(); } catch { return NextResponse.json({ error: 'Invalid JSON.' }, { status: 400 }); }
     const parsed = ProcessInstanceInputSchema.safeParse(body);
-    if (!parsed.success) return NextResponse.json({ error: 'Invalid input. processName (max 200 chars) and status are required.' }, { status: 400 });
-    const { reportId, processName, instanceName, status, notes, email } = parsed.data;
+    if (!parsed.success) return NextResponse.json({ error: 'Invalid input. processName (max 200 chars) and status are required; executedSteps entries need a stepNumber or name.' }, { status: 400 });
+    const { reportId, processName, instanceName, status, notes, email, processIndex, executedSteps } = parsed.data;
 
     const userEmail = auth.email.toLowerCase();
     const payloadEmail = (email || userEmail).toString().toLowerCase();
     if (payloadEmail !== userEmail) return NextResponse.json({ error: 'You can only log instances for your own email.' }, { status: 403 });
+    if (executedSteps?.length && !reportId) return NextResponse.json({ error: 'reportId is required with executedSteps.' }, { status: 400 });
+
+    // Replay the executed path over the mapped flow. The run is still
+    // logged when the process can't be matched — just without a check.
+    let conformance = null;
+    let mapped = null;
+    let mappedIndex = -1;
+    if (executedSteps?.length) {
+      const procResp = await fetchWithTimeout(`${supabaseUrl}/rest/v1/processes?id=eq.${reportId}&select=contact_email,flow_data`, { method: 'GET', headers: getSupabaseHeaders(supabaseKey) });
+      if (!procResp.ok) return NextResponse.json({ error: 'Failed to verify process.' }, { status: 502 });
+      const [procRow] = await procResp.json().catch(() => []);
+      if (!procRow || (procRow.contact_email || '').toString().toLowerCase() !== userEmail) {
+        return NextResponse.json({ error: 'You do not have permission to access this process.' }, { status: 403 });
+      }
+      mappedIndex = findMappedProcess(procRow.flow_data?.rawProcesses, processIndex, processName);
+      if (processIndex != null && mappedIndex < 0) return NextResponse.json({ error: 'processIndex out of range.' }, { status: 400 });
+      if (mappedIndex >= 0) {
+        mapped = procRow.flow_data.rawProcesses[mappedIndex];
+        conformance = checkInstanceConformance(mapped, executedSteps, { completed: status === 'completed' });
+      }
+    }
 
     // Living-workspace migration: process_instances.report_id renamed to process_id.
     const payload = {
@@ -39,6 +75,11 @@ export async function POST(request) {
       process_name: processName, instance_name: instanceName || null,
       status, notes: notes || null, logged_at: new Date().toISOString(),
       user_id: auth.userId || null,
+      ...(executedSteps?.length ? {
+        executed_steps: executedSteps,
+        process_index: mappedIndex >= 0 ? mappedIndex : null,
+        conformance,
+      } : {}),
     };
 
     const sbResp = await fetchWithTimeout(`${supabaseUrl}/rest/v1/process_instances`, {
@@ -48,7 +89,24 @@ export async function POST(request) {
     });
 
     if (!sbResp.ok) return NextResponse.json({ error: 'Failed to log instance.' }, { status: 502 });
-    return NextResponse.json({ success: true, instanceId: payload.id });
+
+    // Feed measured work / wait back onto the changes that touched these steps.
+    let outcomesRecorded = 0;
+    if (conformance) {
+      const changes = await loadChanges({ reportId, limit: 200 });
+      const outcomes = buildInstanceOutcomes({ changes, process: mapped, processIndex: mappedIndex, result: conformance, instanceId: payload.id });
+      const results = await Promise.all(outcomes.map((o) => recordOutcome(o).catch(() => ({ ok: false }))));
+      outcomesRecorded = results.filter((r) => r.ok).length;
+      if (outcomesRecorded < outcomes.length) {
+        logger.warn('Log instance: some outcomes failed to record', { requestId: getRequestId(request), instanceId: payload.id, failed: outcomes.length - outcomesRecorded });
+      }
+    }
+
+    return NextResponse.json({
+      success: true,
+      instanceId: payload.id,
+      ...(executedSteps?.length ? { conformance, outcomesRecorded } : {}),
+    });
   } catch (error) {
     logger.error('Log instance error', { requestId: getRequestId(request), error: error.message, stack: error.stack });
     return NextResponse.json({ error: 'Failed to log instance.' }, { status: 500 });
@@ -134,6 +192,17 @@ export async function GET(request) {
         ? Math.round(completionTimes.reduce((a, b) => a + b, 0) / completionTimes.length * 10) / 10
         : null;
       byProcess[proc].totalInstances = instances.length;
+
+      const checked = instances.filter(i => i.conformance);
+      if (checked.length) {
+        const deviations = {};
+        checked.forEach(i => (i.conformance.deviations || []).forEach(d => { deviations[d.kind] = (deviations[d.kind] || 0) + 1; }));
+        byProcess[proc].conformance = {
+          checked: checked.length,
+          conformant: checked.filter(i => i.conformance.conformant).length,
+          deviations,
+        };
+      }
     });
 
     return NextResponse.json({ success: true, totalEvents: rows.length, processes: byProcess, recentEvents: rows.slice(0, 20) });
@@ -0,0 +1,205 @@
+/**
+ * BPMN 2.0 import / export for a process — `GET` / `POST /api/processes/[id]/bpmn`.
+ *
+ *   GET  /api/processes/[id]/bpmn?processIndex=0
+ *        → BPMN 2.0 XML (attachment) for rawProcesses[processIndex]
+ *
+ *   POST /api/processes/[id]/bpmn[?processIndex=N][&dryRun=1]
+ *        body: raw XML (application/xml | text/xml) or JSON { xml }
+ *        → parses with lib/flows/bpmn.js (repairFlow + validateFlow run
+ *          inside the importer) and:
+ *            * processIndex set → replaces that process's steps
+ *            * processIndex absent → appends every imported process
+ *            * dryRun=1 → returns the parsed processes, writes nothing
+ *
+ * Documents up to 5 MB are accepted. middleware.js exempts this route
+ * from the 2 MB API body cap, so the cap here is the only one.
+ *
+ * Auth: contact_email ownership of the process row — same gate as
+ * PATCH /api/get-diagnostic. Writes go straight to flow_data and record
+ * one applied `changes` row per imported process so the import shows on
+ * the timeline; the flow it replaces is kept as a version first.
+ */
+
+import { NextResponse } from 'next/server';
+import {
+  getSupabaseHeaders, getSupabaseWriteHeaders, fetchWithTimeout, requireSupabase,
+  isValidUUID, checkOrigin, getRequestId,
+} from '@/lib/api-helpers';
+import { requireAuth } from '@/lib/auth';
+import { checkRateLimit, getRateLimitKey } from '@/lib/rate-limit';
+import { logger } from '@/lib/logger';
+import { exportProcessToBpmn, importBpmn, BpmnParseError } from '@/lib/flows/bpmn';
+import { recordChanges } from '@/lib/changes/repo';
+import { versionBeforeWrite } from '@/lib/processVersionStore';
+
+export const maxDuration = 30;
+
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+
+async function loadOwnedProcess(id, email) {
+  const sb = requireSupabase();
+  if (!sb) return { error: 'Storage not configured.', status: 503 };
+  const resp = await fetchWithTimeout(
+    `${sb.url}/rest/v1/processes?id=eq.${encodeURIComponent(id)}&select=id,contact_email,flow_data,updated_at&limit=1`,
+    { method: 'GET', headers: getSupabaseHeaders(sb.key) },
+  );
+  if (!resp.ok) return { error: 'Failed to read process.', status: 502 };
+  const [row] = await resp.json().catch(() => []);
+  if (!row) return { error: 'Process not found.', status: 404 };
+  if ((row.contact_email || '').toLowerCase() !== email.toLowerCase()) {
+    return { error: 'Process not found.', status: 404 };
+  }
+  return { sb, row };
+}
+
+function parseProcessIndex(sp) {
+  const raw = sp.get('processIndex');
+  if (raw == null || raw === '') return null;
+  const n = Number(raw);
+  return Number.isInteger(n) && n >= 0 && n < 100 ? n : NaN;
+}
+
+function fileSlug(name) {
+  return String(name || 'process').replace(/[^A-Za-z0-9_-]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 80) || 'process';
+}
+
+export async function GET(request, { params }) {
+  const auth = await requireAuth(request);
+  if (auth.error) return NextResponse.json(auth.error.body, { status: auth.error.status });
+
+  const { id } = await params;
+  if (!id || !isValidUUID(id)) return NextResponse.json({ error: 'Valid process id required.' }, { status: 400 });
+
+  const processIndex = parseProcessIndex(request.nextUrl.searchParams) ?? 0;
+  if (Number.isNaN(processIndex)) return NextResponse.json({ error: 'Invalid processIndex.' }, { status: 400 });
+
+  const loaded = await loadOwnedProcess(id, auth.email);
+  if (loaded.error) return NextResponse.json({ error: loaded.error }, { status: loaded.status });
+
+  const proc = (loaded.row.flow_data?.rawProcesses || [])[processIndex];
+  if (!proc || !(proc.steps || []).length) {
+    return NextResponse.json({ error: 'Process has no steps to export.' }, { status: 404 });
+  }
+
+  const xml = exportProcessToBpmn(proc, { processId: `${processIndex + 1}` });
+  return new NextResponse(xml, {
+    status: 200,
+    headers: {
+      'Content-Type': 'application/xml; charset=utf-8',
+      'Content-Disposition': `attachment; filename="${fileSlug(proc.processName)}.bpmn"`,
+      'Cache-Control': 'no-store',
+    },
+  });
+}
+
+export async function POST(request, { params }) {
+  const originErr = checkOrigin(request);
+  if (originErr) return NextResponse.json({ error: originErr.error }, { status: originErr.status });
+  const auth = await requireAuth(request);
+  if (auth.error) return NextResponse.json(auth.error.body, { status: auth.error.status });
+
+  const rl = await checkRateLimit(getRateLimitKey(request));
+  if (!rl.allowed) return NextResponse.json({ error: 'Too many requests. Please try again later.' }, { status: 429, headers: { 'Retry-After': String(rl.retryAfter || 60) } });
+
+  const { id } = await params;
+  if (!id || !isValidUUID(id)) return NextResponse.json({ error: 'Valid process id required.' }, { status: 400 });
+
+  const sp = request.nextUrl.searchParams;
+  const processIndex = parseProcessIndex(sp);
+  if (Number.isNaN(processIndex)) return NextResponse.json({ error: 'Invalid processIndex.' }, { status: 400 });
+  const dryRun = sp.get('dryRun') === '1' || sp.get('dryRun') === 'true';
+
+  // The middleware leaves this route to enforce its own cap, and text()
+  // buffers the whole body — so a chunked upload with no declared length
+  // is refused rather than read.
+  const contentLength = parseInt(request.headers.get('content-length') || '', 10);
+  if (!Number.isFinite(contentLength)) return NextResponse.json({ error: 'Content-Length required.' }, { status: 411 });
+  if (contentLength > MAX_BODY_BYTES) return NextResponse.json({ error: 'Request body too large.' }, { status: 413 });
+
+  let xml = await request.text().catch(() => '');
+  if ((request.headers.get('content-type') || '').includes('application/json')) {
+    try { xml = JSON.parse(xml)?.xml; } catch { return NextResponse.json({ error: 'Invalid JSON.' }, { status: 400 }); }
+  }
+
+  let imported;
+  try {
+    imported = importBpmn(xml);
+  } catch (e) {
+    if (e instanceof BpmnParseError) return NextResponse.json({ error: e.message }, { status: e.status });
+    logger.error('BPMN import failed', { requestId: getRequestId(request), processId: id, error: e.message });
+    return NextResponse.json({ error: 'Failed to parse BPMN document.' }, { status: 500 });
+  }
+
+  if (processIndex != null && imported.processes.length !== 1) {
+    return NextResponse.json({
+      error: `Document contains ${imported.processes.length} processes; omit processIndex to append them all.`,
+    }, { status: 400 });
+  }
+
+  if (dryRun) return NextResponse.json({ success: true, dryRun: true, processes: imported.processes });
+
+  const loaded = await loadOwnedProcess(id, auth.email);
+  if (loaded.error) return NextResponse.json({ error: loaded.error }, { status: loaded.status });
+  const { sb, row } = loaded;
+
+  // Build the new flow on a copy: row.flow_data is what gets versioned.
+  const dd = { ...(row.flow_data || {}) };
+  dd.rawProcesses = Array.isArray(dd.rawProcesses) ? [...dd.rawProcesses] : [];
+  const written = [];
+  if (processIndex != null) {
+    if (processIndex > dd.rawProcesses.length) {
+      return NextResponse.json({ error: 'processIndex out of range.' }, { status: 400 });
+    }
+    const incoming = imported.processes[0].process;
+    const existing = dd.rawProcesses[processIndex];
+    // Replace the flow, keep everything else the user captured (costs,
+    // frequency, definition text). Saved canvas positions are keyed to
+    // the old step layout, so they go.
+    dd.rawProcesses[processIndex] = existing
+      ? { ...existing, steps: incoming.steps, flowCustomEdges: incoming.flowCustomEdges, flowDeletedEdges: [], flowNodePositions: {} }
+      : incoming;
+    written.push(processIndex);
+  } else {
+    for (const r of imported.processes) {
+      dd.rawProcesses.push(r.process);
+      written.push(dd.rawProcesses.length - 1);
+    }
+  }
+
+  await versionBeforeWrite({ processId: id, flowData: row.flow_data, updatedAt: row.updated_at, email: auth.email });
+  const writeResp = await fetchWithTimeout(`${sb.url}/rest/v1/processes?id=eq.${encodeURIComponent(id)}`, {
+    method: 'PATCH',
+    headers: getSupabaseWriteHeaders(sb.key),
+    body: JSON.stringify({ flow_data: dd, updated_at: new Date().toISOString() }),
+  });
+  if (!writeResp.ok) {
+    const t = await writeResp.text().catch(() => '');
+    logger.error('BPMN import write failed', { requestId: getRequestId(request), processId: id, status: writeResp.status, body: t.slice(0, 300) });
+    return NextResponse.json({ error: 'Failed to save imported process.' }, { status: 502 });
+  }
+
+  await recordChanges(written.map((pi) => ({
+    process_id: id,
+    subject_type: 'process',
+    subject_ref: { action: 'bpmn_import', processIndex: pi, processName: dd.rawProcesses[pi]?.processName || null },
+    kind: processIndex != null ? 'modified' : 'added',
+    state: 'applied',
+    actor_kind: 'user',
+    actor_email: auth.email,
+    agent_name: 'bpmn_import',
+    rationale: `Imported ${dd.rawProcesses[pi]?.steps?.length || 0} steps from BPMN.`,
+  }))).catch((e) => logger.warn('BPMN import: recordChanges failed', { processId: id, error: e.message }));
+
+  return NextResponse.json({
+    success: true,
+    processIndexes: written,
+    processes: imported.processes.map((r) => ({
+      processName: r.process.processName,
+      stepsCount: r.process.steps.length,
+      repairs: r.repairs,
+      issues: r.issues,
+      warnings: r.warnings,
+    })),
+  });
+}
@@ -0,0 +1,34 @@
+/**
+ * Mark a comment thread read for the caller —
+ * `POST /api/processes/[id]/comments/[commentId]/read` → { ok: true }.
+ *
+ * Clears the thread's unread count (and the canvas badge) for this
+ * person; `commentId` is the thread's root comment.
+ */
+
+import { NextResponse } from 'next/server';
+import { isValidUUID, checkOrigin } from '@/lib/api-helpers';
+import { requireAuth } from '@/lib/auth';
+import { loadCommentProcess, getComment, markThreadRead } from '@/lib/processCommentStore';
+
+export async function POST(request, { params }) {
+  const originErr = checkOrigin(request);
+  if (originErr) return NextResponse.json({ error: originErr.error }, { status: originErr.status });
+  const auth = await requireAuth(request);
+  if (auth.error) return NextResponse.json(auth.error.body, { status: auth.error.status });
+
+  const { id, commentId } = await params;
+  if (!id || !isValidUUID(id) || !commentId || !isValidUUID(commentId)) {
+    return NextResponse.json({ error: 'Valid process and comment ids required.' }, { status: 400 });
+  }
+
+  const ctx = await loadCommentProcess(id, { email: auth.email, userId: auth.userId });
+  if (ctx.error) return NextResponse.json({ error: ctx.error }, { status: ctx.status });
+
+  const thread = await getComment(id, commentId);
+  if (!thread || thread.thread_id) return NextResponse.json({ error: 'Thread not found.' }, { status: 404 });
+
+  const ok = await markThreadRead(thread.id, auth.email);
+  if (!ok) return NextResponse.json({ error: 'Failed to mark the thread read.' }, { status: 502 });
+  return NextResponse.json({ ok: true });
+}
@@ -0,0 +1,43 @@
+/**
+ * Resolve / reopen a comment thread —
+ * `PATCH /api/processes/[id]/comments/[commentId]`.
+ *
+ *   PATCH { resolved: boolean } → { thread }
+ *
+ * `commentId` is the thread's root comment. Anyone who can comment on the
+ * process can resolve or reopen.
+ */
+
+import { NextResponse } from 'next/server';
+import { isValidUUID, checkOrigin } from '@/lib/api-helpers';
+import { requireAuth } from '@/lib/auth';
+import { loadCommentProcess, getComment, setThreadResolved } from '@/lib/processCommentStore';
+
+export async function PATCH(request, { params }) {
+  const originErr = checkOrigin(request);
+  if (originErr) return NextResponse.json({ error: originErr.error }, { status: originErr.status });
+  const auth = await requireAuth(request);
+  if (auth.error) return NextResponse.json(auth.error.body, { status: auth.error.status });
+
+  const { id, commentId } = await params;
+  if (!id || !isValidUUID(id) || !commentId || !isValidUUID(commentId)) {
+    return NextResponse.json({ error: 'Valid process and comment ids required.' }, { status: 400 });
+  }
+
+  let body;
+  try { body = await request.json(); } catch { return NextResponse.json({ error: 'Invalid JSON.' }, { status: 400 }); }
+  if (typeof body?.resolved !== 'boolean') {
+    return NextResponse.json({ error: 'resolved must be true or false.' }, { status: 400 });
+  }
+
+  const ctx = await loadCommentProcess(id, { email: auth.email, userId: auth.userId });
+  if (ctx.error) return NextResponse.json({ error: ctx.error }, { status: ctx.status });
+
+  const thread = await getComment(id, commentId);
+  if (!thread) return NextResponse.json({ error: 'Thread not found.' }, { status: 404 });
+  if (thread.thread_id) return NextResponse.json({ error: 'Resolve the thread, not a reply.' }, { status: 400 });
+
+  const updated = await setThreadResolved({ processId: id, thread, resolved: body.resolved, email: auth.email });
+  if (!updated) return NextResponse.json({ error: 'Failed to update the thread.' }, { status: 502 });
+  return NextResponse.json({ thread: updated });
+}
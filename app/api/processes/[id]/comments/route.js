@@ -0,0 +1,76 @@
+/**
+ * Step / handoff comments — `GET / POST /api/processes/[id]/comments`.
+ *
+ *   GET  → { threads, people, me }
+ *          every thread on the process with per-caller `unread` counts
+ *          (lib/flows/comments.js buildThreads), and the people who can be
+ *          @mentioned.
+ *   POST { body, anchor_type, anchor_id, anchor_label? } → 201 { comment, notified }
+ *          starts a thread on a step (anchor_id = step id) or a handoff
+ *          (anchor_id = "<from id>><to id>").
+ *   POST { body, thread_id } → 201 { comment, notified }
+ *          replies; replying to a resolved thread reopens it.
+ *
+ * Open to the process owner and, for a deal's process, anyone with deal
+ * access — comments are how clients give feedback on a step.
+ */
+
+import { NextResponse } from 'next/server';
+import { isValidUUID, checkOrigin, getRequestId } from '@/lib/api-helpers';
+import { requireAuth } from '@/lib/auth';
+import { logger } from '@/lib/logger';
+import {
+  loadCommentProcess, listComments, listThreadReads, createComment,
+} from '@/lib/processCommentStore';
+import { buildThreads } from '@/lib/flows/comments';
+
+export async function GET(request, { params }) {
+  const auth = await requireAuth(request);
+  if (auth.error) return NextResponse.json(auth.error.body, { status: auth.error.status });
+
+  const { id } = await params;
+  if (!id || !isValidUUID(id)) return NextResponse.json({ error: 'Valid process id required.' }, { status: 400 });
+
+  const ctx = await loadCommentProcess(id, { email: auth.email, userId: auth.userId });
+  if (ctx.error) return NextResponse.json({ error: ctx.error }, { status: ctx.status });
+
+  const rows = await listComments(id);
+  const rootIds = rows.filter((r) => !r.thread_id).map((r) => r.id);
+  const reads = await listThreadReads(auth.email, rootIds);
+  return NextResponse.json({
+    threads: buildThreads(rows, reads, auth.email),
+    people: ctx.people,
+    me: auth.email.toLowerCase(),
+  });
+}
+
+export async function POST(request, { params }) {
+  const originErr = checkOrigin(request);
+  if (originErr) return NextResponse.json({ error: originErr.error }, { status: originErr.status });
+  const auth = await requireAuth(request);
+  if (auth.error) return NextResponse.json(auth.error.body, { status: auth.error.status });
+
+  const { id } = await params;
+  if (!id || !isValidUUID(id)) return NextResponse.json({ error: 'Valid process id required.' }, { status: 400 });
+
+  let body;
+  try { body = await request.json(); } catch { return NextResponse.json({ error: 'Invalid JSON.' }, { status: 400 }); }
+  if (body?.thread_id && !isValidUUID(String(body.thread_id))) {
+    return NextResponse.json({ error: 'Valid thread id required.' }, { status: 400 });
+  }
+
+  const ctx = await loadCommentProcess(id, { email: auth.email, userId: auth.userId });
+  if (ctx.error) return NextResponse.json({ error: ctx.error }, { status: ctx.status });
+
+  let result;
+  try {
+    result = await createComment({ ctx, input: body, email: auth.email });
+  } catch (e) {
+    return NextResponse.json({ error: e.message }, { status: 400 });
+  }
+  if (result.error) {
+    if (result.status >= 500) logger.error('Comment create failed', { requestId: getRequestId(request), processId: id });
+    return NextResponse.json({ error: result.error }, { status: result.status });
+  }
+  return NextResponse.json({ comment: result.comment, notified: result.notified }, { status: 201 });
+}
@@ -0,0 +1,223 @@
+/**
+ * Event-log process mining for a process — `POST /api/processes/[id]/event-log`.
+ *
+ *   POST /api/processes/[id]/event-log[?processIndex=N][&mode=compare|replace][&dryRun=1]
+ *        body: raw CSV (text/csv) or XES (application/xml), or JSON
+ *              { content, format?, columns?, processName?, minEdgeShare? }
+ *        → parses + discovers with lib/flows/processMining.js and:
+ *            * processIndex absent → appends the discovered process
+ *            * mode=compare (default with processIndex) → keeps the drawn
+ *              steps, stores the log summary on the process so conformance
+ *              deltas show up in buildMapObservations, returns the deltas
+ *            * mode=replace → replaces that process's steps with the
+ *              discovered flow
+ *            * dryRun=1 → returns the discovered process (and deltas
+ *              against processIndex when given), writes nothing
+ *
+ * Logs up to 20 MB are accepted, with a declared Content-Length.
+ * middleware.js exempts this route from the 2 MB API body cap, so the cap
+ * here is the only one.
+ *
+ * Only the log summary (directly-follows counts, median timings) is
+ * stored — never the raw events. Auth and the `changes` row mirror the
+ * BPMN import route next door.
+ */
+
+import { NextResponse } from 'next/server';
+import {
+  getSupabaseHeaders, getSupabaseWriteHeaders, fetchWithTimeout, requireSupabase,
+  isValidUUID, checkOrigin, getRequestId,
+} from '@/lib/api-helpers';
+import { requireAuth } from '@/lib/auth';
+import { checkRateLimit, getRateLimitKey } from '@/lib/rate-limit';
+import { logger } from '@/lib/logger';
+import {
+  parseEventLog, summariseEventLog, discoverProcess, checkConformance, EventLogParseError,
+} from '@/lib/flows/processMining';
+import { buildMapObservations } from '@/lib/diagnostic/buildMapObservations';
+import { recordChanges } from '@/lib/changes/repo';
+import { versionBeforeWrite } from '@/lib/processVersionStore';
+
+export const maxDuration = 60;
+
+const MAX_BODY_BYTES = 20 * 1024 * 1024;
+const MODES = new Set(['compare', 'replace']);
+
+async function loadOwnedProcess(id, email) {
+  const sb = requireSupabase();
+  if (!sb) return { error: 'Storage not configured.', status: 503 };
+  const resp = await fetchWithTimeout(
+    `${sb.url}/rest/v1/processes?id=eq.${encodeURIComponent(id)}&select=id,contact_email,flow_data,updated_at&limit=1`,
+    { method: 'GET', headers: getSupabaseHeaders(sb.key) },
+  );
+  if (!resp.ok) return { error: 'Failed to read process.', status: 502 };
+  const [row] = await resp.json().catch(() => []);
+  if (!row) return { error: 'Process not found.', status: 404 };
+  if ((row.contact_email || '').toLowerCase() !== email.toLowerCase()) {
+    return { error: 'Process not found.', status: 404 };
+  }
+  return { sb, row };
+}
+
+function parseProcessIndex(sp) {
+  const raw = sp.get('processIndex');
+  if (raw == null || raw === '') return null;
+  const n = Number(raw);
+  return Number.isInteger(n) && n >= 0 && n < 100 ? n : NaN;
+}
+
+export async function POST(request, { params }) {
+  const originErr = checkOrigin(request);
+  if (originErr) return NextResponse.json({ error: originErr.error }, { status: originErr.status });
+  const auth = await requireAuth(request);
+  if (auth.error) return NextResponse.json(auth.error.body, { status: auth.error.status });
+
+  const rl = await checkRateLimit(getRateLimitKey(request));
+  if (!rl.allowed) return NextResponse.json({ error: 'Too many requests. Please try again later.' }, { status: 429, headers: { 'Retry-After': String(rl.retryAfter || 60) } });
+
+  const { id } = await params;
+  if (!id || !isValidUUID(id)) return NextResponse.json({ error: 'Valid process id required.' }, { status: 400 });
+
+  const sp = request.nextUrl.searchParams;
+  const processIndex = parseProcessIndex(sp);
+  if (Number.isNaN(processIndex)) return NextResponse.json({ error: 'Invalid processIndex.' }, { status: 400 });
+  const mode = sp.get('mode') || 'compare';
+  if (!MODES.has(mode)) return NextResponse.json({ error: 'mode must be compare or replace.' }, { status: 400 });
+  const dryRun = sp.get('dryRun') === '1' || sp.get('dryRun') === 'true';
+
+  // text() reads the whole body before anything can be measured, and the
+  // middleware doesn't cap this route — so the declared length is the
+  // limit, and a chunked upload without one is refused.
+  const contentLength = parseInt(request.headers.get('content-length') || '', 10);
+  if (!Number.isFinite(contentLength)) return NextResponse.json({ error: 'Content-Length required.' }, { status: 411 });
+  if (contentLength > MAX_BODY_BYTES) return NextResponse.json({ error: 'Request body too large.' }, { status: 413 });
+
+  let content = await request.text().catch(() => '');
+  let opts = { format: sp.get('format') || undefined, processName: sp.get('processName') || undefined };
+  if ((request.headers.get('content-type') || '').includes('application/json')) {
+    let body;
+    try { body = JSON.parse(content); } catch { return NextResponse.json({ error: 'Invalid JSON.' }, { status: 400 }); }
+    content = body?.content;
+    opts = {
+      format: body?.format || opts.format,
+      columns: body?.columns && typeof body.columns === 'object' ? body.columns : undefined,
+      processName: typeof body?.processName === 'string' ? body.processName.trim().slice(0, 200) : opts.processName,
+      minEdgeShare: body?.minEdgeShare,
+    };
+  }
+
+  let summary;
+  let discovered;
+  let parsed;
+  try {
+    parsed = parseEventLog(content, { format: opts.format, columns: opts.columns });
+    summary = summariseEventLog(parsed.events);
+    discovered = discoverProcess(summary, { processName: opts.processName, minEdgeShare: opts.minEdgeShare });
+  } catch (e) {
+    if (e instanceof EventLogParseError) return NextResponse.json({ error: e.message }, { status: e.status });
+    logger.error('Event log import failed', { requestId: getRequestId(request), processId: id, error: e.message });
+    return NextResponse.json({ error: 'Failed to parse event log.' }, { status: 500 });
+  }
+
+  const logInfo = {
+    format: parsed.format,
+    cases: summary.cases,
+    events: summary.events,
+    variants: summary.variants,
+    skippedRows: parsed.skipped,
+  };
+  const discoveredOut = {
+    process: discovered.process,
+    repairs: discovered.repairs,
+    issues: discovered.issues,
+    warnings: discovered.warnings,
+  };
+
+  if (dryRun && processIndex == null) {
+    return NextResponse.json({ success: true, dryRun: true, log: logInfo, discovered: discoveredOut });
+  }
+
+  const loaded = await loadOwnedProcess(id, auth.email);
+  if (loaded.error) return NextResponse.json({ error: loaded.error }, { status: loaded.status });
+  const { sb, row } = loaded;
+
+  // Work on a copy so row.flow_data is still the pre-import flow when it
+  // is versioned below.
+  const dd = { ...(row.flow_data || {}) };
+  dd.rawProcesses = Array.isArray(dd.rawProcesses) ? [...dd.rawProcesses] : [];
+  const existing = processIndex != null ? dd.rawProcesses[processIndex] : null;
+  if (processIndex != null && !existing) {
+    return NextResponse.json({ error: 'processIndex out of range.' }, { status: 400 });
+  }
+
+  const eventLog = { ...summary, format: parsed.format, importedAt: new Date().toISOString() };
+  let targetIndex;
+  let kind;
+  if (processIndex == null) {
+    dd.rawProcesses.push({ ...discovered.process, eventLog });
+    targetIndex = dd.rawProcesses.length - 1;
+    kind = 'added';
+  } else if (mode === 'replace') {
+    dd.rawProcesses[processIndex] = {
+      ...existing,
+      steps: discovered.process.steps,
+      flowCustomEdges: discovered.process.flowCustomEdges,
+      flowDeletedEdges: discovered.process.flowDeletedEdges,
+      flowNodePositions: {},
+      eventLog,
+    };
+    targetIndex = processIndex;
+    kind = 'modified';
+  } else {
+    dd.rawProcesses[processIndex] = { ...existing, eventLog };
+    targetIndex = processIndex;
+    kind = 'modified';
+  }
+
+  const target = dd.rawProcesses[targetIndex];
+  const conformance = checkConformance(target, summary);
+  const observations = buildMapObservations([target]).filter((o) => o.type === 'conformance');
+
+  if (dryRun) {
+    return NextResponse.json({ success: true, dryRun: true, log: logInfo, discovered: discoveredOut, conformance, observations });
+  }
+
+  // Every write rewrites flow_data and `replace` swaps the mapped steps
+  // out, so keep the flow as it was restorable.
+  await versionBeforeWrite({ processId: id, flowData: row.flow_data, updatedAt: row.updated_at, email: auth.email });
+  const writeResp = await fetchWithTimeout(`${sb.url}/rest/v1/processes?id=eq.${encodeURIComponent(id)}`, {
+    method: 'PATCH',
+    headers: getSupabaseWriteHeaders(sb.key),
+    body: JSON.stringify({ flow_data: dd, updated_at: new Date().toISOString() }),
+  });
+  if (!writeResp.ok) {
+    const t = await writeResp.text().catch(() => '');
+    logger.error('Event log import write failed', { requestId: getRequestId(request), processId: id, status: writeResp.status, body: t.slice(0, 300) });
+    return NextResponse.json({ error: 'Failed to save event log import.' }, { status: 502 });
+  }
+
+  await recordChanges([{
+    process_id: id,
+    subject_type: 'process',
+    subject_ref: { action: 'event_log_import', mode: processIndex == null ? 'append' : mode, processIndex: targetIndex, processName: target?.processName || null },
+    kind,
+    state: 'applied',
+    actor_kind: 'user',
+    actor_email: auth.email,
+    agent_name: 'event_log_import',
+    rationale: mode === 'compare' && processIndex != null
+      ? `Compared the map with ${summary.cases} logged cases: ${conformance.length} difference${conformance.length === 1 ? '' : 's'}.`
+      : `Discovered ${target?.steps?.length || 0} steps from ${summary.cases} logged cases.`,
+  }]).catch((e) => logger.warn('Event log import: recordChanges failed', { processId: id, error: e.message }));
+
+  return NextResponse.json({
+    success: true,
+    processIndex: targetIndex,
+    log: logInfo,
+    repairs: discovered.repairs,
+    issues: discovered.issues,
+    warnings: discovered.warnings,
+    conformance,
+    observations,
+  });
+}
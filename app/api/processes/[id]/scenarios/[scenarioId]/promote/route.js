@@ -0,0 +1,55 @@
+/**
+ * Promote a scenario — `POST /api/processes/[id]/scenarios/[scenarioId]/promote`.
+ *
+ * Writes the scenario's steps and cost inputs into the live process and
+ * records the difference as a batch of `changes` rows (state 'applied',
+ * agent_name 'scenario'). Body: { force? }.
+ *
+ *   200 { ok, changes, changeIds }
+ *   409 { stale: true } — the live process was saved after the scenario
+ *       was forked; promoting would overwrite those edits. Re-send with
+ *       { force: true } to promote anyway.
+ */
+
+import { NextResponse } from 'next/server';
+import { isValidUUID, checkOrigin, getRequestId } from '@/lib/api-helpers';
+import { requireAuth } from '@/lib/auth';
+import { logger } from '@/lib/logger';
+import { loadScenarioProcess, getScenario, promoteScenario } from '@/lib/processScenarios';
+
+export async function POST(request, { params }) {
+  const originErr = checkOrigin(request);
+  if (originErr) return NextResponse.json({ error: originErr.error }, { status: originErr.status });
+  const auth = await requireAuth(request);
+  if (auth.error) return NextResponse.json(auth.error.body, { status: auth.error.status });
+
+  const { id, scenarioId } = await params;
+  if (!id || !isValidUUID(id) || !isValidUUID(scenarioId)) {
+    return NextResponse.json({ error: 'Valid process and scenario ids required.' }, { status: 400 });
+  }
+
+  const body = await request.json().catch(() => ({}));
+
+  const loaded = await loadScenarioProcess(id, auth.email);
+  if (loaded.error) return NextResponse.json({ error: loaded.error }, { status: loaded.status });
+  const scenario = await getScenario(id, scenarioId);
+  if (!scenario) return NextResponse.json({ error: 'Scenario not found.' }, { status: 404 });
+
+  const result = await promoteScenario({
+    process: loaded.row,
+    scenario,
+    email: auth.email,
+    force: body?.force === true,
+  });
+  if (result.stale) {
+    return NextResponse.json({
+      error: 'The live process changed after this scenario was created. Promote anyway to overwrite those edits.',
+      stale: true,
+    }, { status: 409 });
+  }
+  if (!result.ok) {
+    logger.warn('Scenario promote failed', { requestId: getRequestId(request), processId: id, scenarioId, error: result.error });
+    return NextResponse.json({ error: result.error || 'Failed to promote scenario.' }, { status: result.error?.startsWith('This scenario') ? 400 : 502 });
+  }
+  return NextResponse.json({ ok: true, changes: result.changes, changeIds: result.changeIds });
+}
@@ -0,0 +1,68 @@
+/**
+ * One process scenario — `PATCH / DELETE /api/processes/[id]/scenarios/[scenarioId]`.
+ *
+ *   PATCH { name?, description?, flow_data?, edits?, status? }
+ *         flow_data replaces the scenario's rawProcesses + costAnalysis;
+ *         edits apply on top (see applyScenarioEdits); status moves it
+ *         between draft / proposed / archived. Promoted scenarios are
+ *         read-only (400).
+ *   DELETE
+ *
+ * Owner of the process only.
+ */
+
+import { NextResponse } from 'next/server';
+import { isValidUUID, checkOrigin, getRequestId } from '@/lib/api-helpers';
+import { requireAuth } from '@/lib/auth';
+import { logger } from '@/lib/logger';
+import { loadScenarioProcess, updateScenario, deleteScenario } from '@/lib/processScenarios';
+
+async function resolve(request, params) {
+  const originErr = checkOrigin(request);
+  if (originErr) return { res: NextResponse.json({ error: originErr.error }, { status: originErr.status }) };
+  const auth = await requireAuth(request);
+  if (auth.error) return { res: NextResponse.json(auth.error.body, { status: auth.error.status }) };
+
+  const { id, scenarioId } = await params;
+  if (!id || !isValidUUID(id) || !isValidUUID(scenarioId)) {
+    return { res: NextResponse.json({ error: 'Valid process and scenario ids required.' }, { status: 400 }) };
+  }
+  const loaded = await loadScenarioProcess(id, auth.email);
+  if (loaded.error) return { res: NextResponse.json({ error: loaded.error }, { status: loaded.status }) };
+  return { id, scenarioId };
+}
+
+export async function PATCH(request, { params }) {
+  const r = await resolve(request, params);
+  if (r.res) return r.res;
+
+  let body;
+  try { body = await request.json(); } catch { return NextResponse.json({ error: 'Invalid JSON.' }, { status: 400 }); }
+  if (!body || typeof body !== 'object') return NextResponse.json({ error: 'Invalid request body.' }, { status: 400 });
+
+  let scenario;
+  try {
+    scenario = await updateScenario(r.id, r.scenarioId, {
+      name: body.name,
+      description: body.description,
+      flow_data: body.flow_data && typeof body.flow_data === 'object' ? body.flow_data : undefined,
+      edits: body.edits && typeof body.edits === 'object' ? body.edits : null,
+      status: body.status,
+    });
+  } catch (e) {
+    return NextResponse.json({ error: e.message }, { status: 400 });
+  }
+  if (!scenario) {
+    logger.warn('Scenario update failed', { requestId: getRequestId(request), processId: r.id, scenarioId: r.scenarioId });
+    return NextResponse.json({ error: 'Scenario not found.' }, { status: 404 });
+  }
+  return NextResponse.json({ scenario });
+}
+
+export async function DELETE(request, { params }) {
+  const r = await resolve(request, params);
+  if (r.res) return r.res;
+  const { ok } = await deleteScenario(r.id, r.scenarioId);
+  if (!ok) return NextResponse.json({ error: 'Failed to delete scenario.' }, { status: 502 });
+  return NextResponse.json({ ok: true });
+}
@@ -0,0 +1,93 @@
+/**
+ * Process scenarios — `GET / POST /api/processes/[id]/scenarios`.
+ *
+ *   GET  → { currency, baseline, scenarios: [...] }
+ *          every non-archived scenario (pass ?archived=1 for all) with its
+ *          metrics and deltas against the live process: annual cost,
+ *          cycle time (work + wait per run), automation %, potential
+ *          savings. Each entry also carries the scenario's flow_data so
+ *          the panel can edit it.
+ *   POST { name, description?, edits? } → 201 { scenario }
+ *          forks the live process; `edits` as in applyScenarioEdits.
+ *
+ * Owner only, like the rest of /api/processes/[id]. Money is in the
+ * process's native currency.
+ */
+
+import { NextResponse } from 'next/server';
+import { isValidUUID, checkOrigin, getRequestId } from '@/lib/api-helpers';
+import { requireAuth } from '@/lib/auth';
+import { logger } from '@/lib/logger';
+import { loadScenarioProcess, listScenarios, createScenario } from '@/lib/processScenarios';
+import { compareScenarios } from '@/lib/flows/scenarios';
+import { processCurrency } from '@/lib/currency';
+
+export async function GET(request, { params }) {
+  const auth = await requireAuth(request);
+  if (auth.error) return NextResponse.json(auth.error.body, { status: auth.error.status });
+
+  const { id } = await params;
+  if (!id || !isValidUUID(id)) return NextResponse.json({ error: 'Valid process id required.' }, { status: 400 });
+
+  const loaded = await loadScenarioProcess(id, auth.email);
+  if (loaded.error) return NextResponse.json({ error: loaded.error }, { status: loaded.status });
+
+  const includeArchived = request.nextUrl.searchParams.get('archived') === '1';
+  const rows = (await listScenarios(id)).filter((s) => includeArchived || s.status !== 'archived');
+  const comparison = compareScenarios({
+    live: loaded.row.flow_data,
+    scenarios: rows,
+    currency: processCurrency(loaded.row),
+  });
+  const byId = new Map(rows.map((r) => [r.id, r]));
+  return NextResponse.json({
+    ...comparison,
+    scenarios: comparison.scenarios.map((c) => {
+      const r = byId.get(c.id);
+      return {
+        ...c,
+        description: r.description,
+        createdByKind: r.created_by_kind,
+        createdAt: r.created_at,
+        promotedAt: r.promoted_at,
+        stale: !!(r.base_updated_at && loaded.row.updated_at
+          && Date.parse(loaded.row.updated_at) > Date.parse(r.base_updated_at)),
+        flow_data: r.flow_data,
+      };
+    }),
+  });
+}
+
+export async function POST(request, { params }) {
+  const originErr = checkOrigin(request);
+  if (originErr) return NextResponse.json({ error: originErr.error }, { status: originErr.status });
+  const auth = await requireAuth(request);
+  if (auth.error) return NextResponse.json(auth.error.body, { status: auth.error.status });
+
+  const { id } = await params;
+  if (!id || !isValidUUID(id)) return NextResponse.json({ error: 'Valid process id required.' }, { status: 400 });
+
+  let body;
+  try { body = await request.json(); } catch { return NextResponse.json({ error: 'Invalid JSON.' }, { status: 400 }); }
+
+  const loaded = await loadScenarioProcess(id, auth.email);
+  if (loaded.error) return NextResponse.json({ error: loaded.error }, { status: loaded.status });
+
+  let scenario;
+  try {
+    scenario = await createScenario({
+      process: loaded.row,
+      name: body?.name,
+      description: body?.description ?? null,
+      edits: body?.edits && typeof body.edits === 'object' ? body.edits : null,
+      email: auth.email,
+    });
+  } catch (e) {
+    return NextResponse.json({ error: e.message }, { status: 400 });
+  }
+  if (!scenario) {
+    logger.error('Scenario create failed', { requestId: getRequestId(request), processId: id });
+    return NextResponse.json({ error: 'Failed to create scenario.' }, { status: 502 });
+  }
+  return NextResponse.json({ scenario }, { status: 201 });
+}
@@ -0,0 +1,55 @@
+/**
+ * Restore a version — `POST /api/processes/[id]/versions/[versionId]/restore`.
+ *
+ * Writes the version's steps, layout and cost inputs back over the live
+ * process. The live state is kept as a version first, the restore is
+ * recorded as one `changes` row (kind 'reverted', state 'applied') and
+ * the result becomes a new 'restore' version — history is never
+ * rewritten.
+ *
+ *   200 { ok, version, previousVersionId, changeId }
+ *   409 { stale: true } — the process was saved while the restore ran;
+ *       nothing was written. Try again.
+ */
+
+import { NextResponse } from 'next/server';
+import { isValidUUID, checkOrigin, getRequestId } from '@/lib/api-helpers';
+import { requireAuth } from '@/lib/auth';
+import { logger } from '@/lib/logger';
+import { loadScenarioProcess } from '@/lib/processScenarios';
+import { getVersion, restoreVersion } from '@/lib/processVersionStore';
+
+export async function POST(request, { params }) {
+  const originErr = checkOrigin(request);
+  if (originErr) return NextResponse.json({ error: originErr.error }, { status: originErr.status });
+  const auth = await requireAuth(request);
+  if (auth.error) return NextResponse.json(auth.error.body, { status: auth.error.status });
+
+  const { id, versionId } = await params;
+  if (!id || !isValidUUID(id) || !isValidUUID(versionId)) {
+    return NextResponse.json({ error: 'Valid process and version ids required.' }, { status: 400 });
+  }
+
+  const loaded = await loadScenarioProcess(id, auth.email);
+  if (loaded.error) return NextResponse.json({ error: loaded.error }, { status: loaded.status });
+  const version = await getVersion(id, versionId);
+  if (!version) return NextResponse.json({ error: 'Version not found.' }, { status: 404 });
+
+  const result = await restoreVersion({ process: loaded.row, version, email: auth.email });
+  if (result.stale) {
+    return NextResponse.json({
+      error: 'The process was saved while restoring, so nothing was changed. Try again.',
+      stale: true,
+    }, { status: 409 });
+  }
+  if (!result.ok) {
+    logger.warn('Version restore failed', { requestId: getRequestId(request), processId: id, versionId, error: result.error });
+    return NextResponse.json({ error: result.error || 'Failed to restore the version.' }, { status: 502 });
+  }
+  return NextResponse.json({
+    ok: true,
+    version: result.version,
+    previousVersionId: result.previousVersionId,
+    changeId: result.changeId,
+  });
+}
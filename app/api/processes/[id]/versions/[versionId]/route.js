@@ -0,0 +1,32 @@
+/**
+ * One process version — `GET /api/processes/[id]/versions/[versionId]`.
+ *
+ *   GET → { version } including its flow_data ({ rawProcesses, costAnalysis }),
+ *         for the version browser's canvas and diff.
+ *
+ * Versions are immutable; there is no PATCH or DELETE. Owner of the
+ * process only.
+ */
+
+import { NextResponse } from 'next/server';
+import { isValidUUID } from '@/lib/api-helpers';
+import { requireAuth } from '@/lib/auth';
+import { loadScenarioProcess } from '@/lib/processScenarios';
+import { getVersion } from '@/lib/processVersionStore';
+
+export async function GET(request, { params }) {
+  const auth = await requireAuth(request);
+  if (auth.error) return NextResponse.json(auth.error.body, { status: auth.error.status });
+
+  const { id, versionId } = await params;
+  if (!id || !isValidUUID(id) || !isValidUUID(versionId)) {
+    return NextResponse.json({ error: 'Valid process and version ids required.' }, { status: 400 });
+  }
+
+  const loaded = await loadScenarioProcess(id, auth.email);
+  if (loaded.error) return NextResponse.json({ error: loaded.error }, { status: loaded.status });
+
+  const version = await getVersion(id, versionId);
+  if (!version) return NextResponse.json({ error: 'Version not found.' }, { status: 404 });
+  return NextResponse.json({ version });
+}
@@ -0,0 +1,72 @@
+/**
+ * Process version history — `GET / POST /api/processes/[id]/versions`.
+ *
+ *   GET  → { liveUpdatedAt, versions: [...] }
+ *          newest first, without flow_data (fetch one version for that).
+ *          Auto versions are taken by the save routes; see
+ *          lib/flows/versions.js for the debounce.
+ *   POST { name, note? } → 201 { version }
+ *          names a checkpoint of the saved live process.
+ *
+ * Owner only, like the rest of /api/processes/[id].
+ */
+
+import { NextResponse } from 'next/server';
+import { isValidUUID, checkOrigin, getRequestId } from '@/lib/api-helpers';
+import { requireAuth } from '@/lib/auth';
+import { logger } from '@/lib/logger';
+import { loadScenarioProcess } from '@/lib/processScenarios';
+import { listVersions, createVersion } from '@/lib/processVersionStore';
+import { normaliseCheckpointInput } from '@/lib/flows/versions';
+
+export async function GET(request, { params }) {
+  const auth = await requireAuth(request);
+  if (auth.error) return NextResponse.json(auth.error.body, { status: auth.error.status });
+
+  const { id } = await params;
+  if (!id || !isValidUUID(id)) return NextResponse.json({ error: 'Valid process id required.' }, { status: 400 });
+
+  const loaded = await loadScenarioProcess(id, auth.email);
+  if (loaded.error) return NextResponse.json({ error: loaded.error }, { status: loaded.status });
+
+  const versions = await listVersions(id);
+  return NextResponse.json({ liveUpdatedAt: loaded.row.updated_at || null, versions });
+}
+
+export async function POST(request, { params }) {
+  const originErr = checkOrigin(request);
+  if (originErr) return NextResponse.json({ error: originErr.error }, { status: originErr.status });
+  const auth = await requireAuth(request);
+  if (auth.error) return NextResponse.json(auth.error.body, { status: auth.error.status });
+
+  const { id } = await params;
+  if (!id || !isValidUUID(id)) return NextResponse.json({ error: 'Valid process id required.' }, { status: 400 });
+
+  let body;
+  try { body = await request.json(); } catch { return NextResponse.json({ error: 'Invalid JSON.' }, { status: 400 }); }
+
+  let input;
+  try {
+    input = normaliseCheckpointInput(body);
+  } catch (e) {
+    return NextResponse.json({ error: e.message }, { status: 400 });
+  }
+
+  const loaded = await loadScenarioProcess(id, auth.email);
+  if (loaded.error) return NextResponse.json({ error: loaded.error }, { status: loaded.status });
+
+  const version = await createVersion({
+    processId: id,
+    flowData: loaded.row.flow_data,
+    kind: 'checkpoint',
+    name: input.name,
+    note: input.note,
+    email: auth.email,
+    baseUpdatedAt: loaded.row.updated_at,
+  });
+  if (!version) {
+    logger.error('Checkpoint create failed', { requestId: getRequestId(request), processId: id });
+    return NextResponse.json({ error: 'Failed to save the checkpoint.' }, { status: 502 });
+  }
+  return NextResponse.json({ version }, { status: 201 });
+}
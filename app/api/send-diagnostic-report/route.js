@@ -5,6 +5,7 @@ import { verifySupabaseSession } from '@/lib/auth';
 import { SendDiagnosticReportInputSchema } from '@/lib/ai-schemas';
 import { checkRateLimit, getRateLimitKey } from '@/lib/rate-limit';
 import { logger } from '@/lib/logger';
+import { recordAutoVersion, readVersionBase } from '@/lib/processVersionStore';
 
 export async function POST(request) {
   const originErr = checkOrigin(request);
@@ -293,6 +294,10 @@ export async function POST(request) {
           return fetchWithTimeout(`${supabaseUrl}/rest/v1/processes`, { method: 'POST', headers: getSupabaseWriteHeaders(supabaseKey), body: JSON.stringify(payload) });
         }
 
+        // The live row this save replaces — an auto version may keep it as
+        // where the previous burst of edits ended.
+        const previousForVersion = isUpdate && Array.isArray(rawProcesses) ? await readVersionBase(reportId) : null;
+
         let sbResp;
         let workingPayload = reportPayload;
         let lastBody = '';
@@ -324,6 +329,19 @@ export async function POST(request) {
         // 'complete' terminal state — the participant keeps editing on
         // the live canvas. `maybeCompleteDeal` is also gone; deals
         // don't have a derived-complete state anymore.
+        // Version history: the first save is version 1, later ones are
+        // debounced and keep where each burst of edits ended
+        // (lib/flows/versions.js). Never fails the save.
+        if (storedInSupabase && Array.isArray(rawProcesses)) {
+          await recordAutoVersion({
+            processId: reportId,
+            flowData: reportPayload.flow_data,
+            previous: previousForVersion,
+            email: resolvedEmailLower,
+            baseUpdatedAt: now,
+          });
+        }
+
         if (storedInSupabase && !isUpdate && dealLink) {
           const dealReqId = getRequestId(request);
           (async () => {
@@ -7,6 +7,8 @@ import { logger } from '@/lib/logger';
 import { transitionChangesForRedesign, recordChanges } from '@/lib/changes/repo';
 import { diffStepsForChangelog } from '@/lib/changes/serverDiff';
 import { syncProcessSystemsForReport } from '@/lib/operatingModel/processSystems';
+import { recordAutoVersion } from '@/lib/processVersionStore';
+import { versionSnapshot } from '@/lib/flows/versions';
 
 /** Sanitize for JSON: remove undefined, avoid circular refs */
 function sanitizeForJson(obj) {
@@ -65,7 +67,7 @@ export async function PUT(request) {
     // an earlier migration but nothing reads it. Skipped here so we don't
     // accidentally read-modify-write a frozen "checklist of stuff you
     // said you'd do" — that surface was deleted with the report-gen UI.
-    const readUrl = `${supabaseUrl}/rest/v1/processes?id=eq.${reportIdTrimmed}&select=id,contact_email,flow_data,operating_model_id,function_id`;
+    const readUrl = `${supabaseUrl}/rest/v1/processes?id=eq.${reportIdTrimmed}&select=id,contact_email,flow_data,operating_model_id,function_id,updated_at`;
     const readResp = await fetchWithTimeout(readUrl, { method: 'GET', headers: getSupabaseHeaders(supabaseKey) });
     if (!readResp.ok)
       return NextResponse.json({ error: 'Failed to read report.' }, { status: 502 });
@@ -123,6 +125,11 @@ export async function PUT(request) {
     const oldRawForDiff = Array.isArray(dd.rawProcesses)
       ? JSON.parse(JSON.stringify(dd.rawProcesses))
       : [];
+    // ...and the versionable part of it, which an auto version may keep
+    // as where the previous burst of edits ended.
+    const previousForVersion = Array.isArray(dd.rawProcesses)
+      ? { flow_data: versionSnapshot(dd), updated_at: existing.updated_at || null }
+      : null;
 
     const topLevelPatch = { updated_at: new Date().toISOString() };
     if (updates.contactName) topLevelPatch.contact_name = updates.contactName;
@@ -221,6 +228,19 @@ export async function PUT(request) {
       }
     }
 
+    // Version history: a debounced point-in-time copy of the process —
+    // where the last burst of edits ended, or as saved
+    // (lib/flows/versions.js). Never fails the save.
+    if (Array.isArray(updates.rawProcesses)) {
+      await recordAutoVersion({
+        processId: reportIdTrimmed,
+        flowData: dd,
+        previous: previousForVersion,
+        email,
+        baseUpdatedAt: topLevelPatch.updated_at,
+      });
+    }
+
     // If this report is linked to a deal_flow, bump its updated_at so
     // recent-activity surfaces show the edit. Non-fatal.
     try {
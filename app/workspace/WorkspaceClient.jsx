@@ -26,15 +26,14 @@ import WorkspaceInventory from '@/components/workspace/WorkspaceInventory';
 import WorkspaceMap from '@/components/workspace/WorkspaceMap';
 import WorkspaceGraph from '@/components/workspace/WorkspaceGraph';
 import WorkspaceDealsTab from '@/components/workspace/WorkspaceDealsTab';
+import WorkspacePortfolioTab from '@/components/workspace/WorkspacePortfolioTab';
 import WorkspaceAnalyticsTab from '@/components/workspace/WorkspaceAnalyticsTab';
 import WorkspaceScopeNav from '@/components/workspace/WorkspaceScopeNav';
 import { useSearchParams } from 'next/navigation';
+import { formatMoneyCompact } from '@/lib/currency';
 
-function Money(n) {
-  if (n == null) return '—';
-  if (Math.abs(n) >= 1_000_000) return `£${(n / 1_000_000).toFixed(1)}M`;
-  if (Math.abs(n) >= 1_000)     return `£${(n / 1_000).toFixed(0)}k`;
-  return `£${Math.round(n)}`;
+function Money(n, currency) {
+  return formatMoneyCompact(n, currency);
 }
 
 // Suppress the auto-generated description from migration 37's backfill
@@ -65,17 +64,17 @@ export default function WorkspaceClient({ embedded = false, modelId: modelIdOver
   const [loading, setLoading]           = useState(true);
   const [error, setError]               = useState(null);
   const [selectedFuncId, setSelectedFuncId] = useState(null);
-  // ?view=deals or ?view=analytics promote the top-level scopes;
+  // ?view=deals, ?view=portfolio or ?view=analytics promote the top-level scopes;
   // otherwise this is the per-context tab id (list/map/graph/...).
   const searchParams = useSearchParams();
   const initialView = (() => {
     const v = searchParams.get('view');
-    if (v === 'deals' || v === 'analytics') return v;
+    if (v === 'deals' || v === 'portfolio' || v === 'analytics') return v;
     if (['list', 'map', 'graph', 'fte', 'inventory', 'insights', 'analysis'].includes(v)) return v;
     return 'graph';
   })();
   const [view, setView] = useState(initialView);
-  const isScopeView = view === 'deals' || view === 'analytics';
+  const isScopeView = view === 'deals' || view === 'portfolio' || view === 'analytics';
 
   // Step 1: resolve user → default model. When `modelId` is passed
   // explicitly (canvas overlay drilling into a non-default model), use
@@ -228,7 +227,7 @@ export default function WorkspaceClient({ embedded = false, modelId: modelIdOver
   // (no route change). New-tab clicks fall through to the Link href.
   const onScopeSelect = (scope) => setView(scope === 'standard' ? 'graph' : scope);
 
-  // Scope-views (Deals / Analytics) take over the full surface and
+  // Scope-views (Deals / Portfolio / Analytics) take over the full surface and
   // hide the per-context header + tabs + stats. The scope nav stays
   // visible at the top so the user can switch back to Standard.
   if (isScopeView) {
@@ -236,6 +235,7 @@ export default function WorkspaceClient({ embedded = false, modelId: modelIdOver
       <div className="ws-shell">
         {!embedded && <WorkspaceScopeNav active={view} onSelect={onScopeSelect} />}
         {view === 'deals' && <WorkspaceDealsTab accessToken={accessToken} />}
+        {view === 'portfolio' && <WorkspacePortfolioTab accessToken={accessToken} />}
         {view === 'analytics' && <WorkspaceAnalyticsTab />}
       </div>
     );
@@ -323,8 +323,8 @@ export default function WorkspaceClient({ embedded = false, modelId: modelIdOver
           sub={rollup?.unfiledProcesses ? `${rollup.unfiledProcesses} unfiled` : null}
         />
         <StatTile label="FTE (modelled)" value={rollup?.totals?.fte ?? '—'} />
-        <StatTile label="Annual cost"     value={Money(rollup?.totals?.annualCost)} />
-        <StatTile label="Potential savings" value={Money(rollup?.totals?.potentialSavings)} />
+        <StatTile label="Annual cost"     value={Money(rollup?.totals?.annualCost, rollup?.currency?.reportingCurrency)} />
+        <StatTile label="Potential savings" value={Money(rollup?.totals?.potentialSavings, rollup?.currency?.reportingCurrency)} />
         <StatTile
           label="Avg automation"
           value={rollup?.totals?.avgAutomationPct != null ? `${rollup.totals.avgAutomationPct}%` : '—'}
@@ -11,14 +11,20 @@
  *
  * 2. Source view: a signed Storage URL pointing at the original bytes.
  *    Renders inline for browser-supported types (PDF), falls back to a
- *    download link otherwise.
+ *    download link otherwise. View-only documents have no source URL; they
+ *    open in the watermarked viewer instead, and their cited passages
+ *    carry the same watermark.
  *
  * Only renders for `kind: 'document_chunk'` evidence — other kinds (chat,
  * process_step, metric) are click-through-only inside their own surfaces.
+ * The evidence snippet sits under the locator: for a contradiction
+ * finding it is the figure this side states, so opening each side in turn
+ * shows what they disagree on.
  */
 
 import { useEffect, useState } from 'react';
 import { apiFetch } from '@/lib/api-fetch';
+import DealWatermarkedViewer, { WatermarkOverlay } from '@/components/diagnostic/chat/DealWatermarkedViewer';
 
 function buildLocator(meta) {
   if (!meta) return '';
@@ -46,6 +52,7 @@ export default function EvidenceModal({ dealId, evidence, accessToken, onClose }
   const [error, setError] = useState(null);
   const [rawUrl, setRawUrl] = useState(null);
   const [rawLoading, setRawLoading] = useState(false);
+  const [watermarked, setWatermarked] = useState(false);
 
   const ref = evidence?.ref || {};
   const docId   = ref.document_id;
@@ -85,6 +92,8 @@ export default function EvidenceModal({ dealId, evidence, accessToken, onClose }
       if (resp.ok) {
         setRawUrl(json);
         setView('source');
+      } else if (json.view_only) {
+        setWatermarked(true);
       } else {
         setError(json.error || 'Failed to load source file.');
       }
@@ -115,6 +124,7 @@ export default function EvidenceModal({ dealId, evidence, accessToken, onClose }
           <div className="evmodal-title-block">
             <h3 className="evmodal-title">{filename || 'Source evidence'}</h3>
             <p className="evmodal-locator">{buildLocator({ filename, ...ref })}</p>
+            {evidence.snippet && <p className="evmodal-snippet">"{evidence.snippet}"</p>}
           </div>
           <div className="evmodal-tabs" role="tablist">
             <button
@@ -143,7 +153,8 @@ export default function EvidenceModal({ dealId, evidence, accessToken, onClose }
             loading ? (
               <p className="evmodal-loading">Loading…</p>
             ) : data ? (
-              <div className="evmodal-chunks">
+              <div className={`evmodal-chunks${data.watermark ? ' is-watermarked' : ''}`}>
+                {data.watermark && <WatermarkOverlay text={data.watermark.text} />}
                 {(data.chunks || []).map((c) => {
                   const isTarget = c.id === targetChunkId;
                   return (
@@ -185,6 +196,12 @@ export default function EvidenceModal({ dealId, evidence, accessToken, onClose }
           <button type="button" className="deal-btn" onClick={onClose}>Close</button>
         </footer>
       </div>
+      {watermarked && (
+        <DealWatermarkedViewer
+          dealId={dealId} documentId={docId} filename={filename}
+          accessToken={accessToken} onClose={() => setWatermarked(false)}
+        />
+      )}
     </div>
   );
 }
@@ -854,6 +854,8 @@ function DiagnosticContent() {
           lastExample: raw.lastExample || { name: '', startDate: '', endDate: '', elapsedDays: 0 },
           userTime: raw.userTime || { meetings: 0, emails: 0, execution: 0, waiting: 0, rework: 0, total: 0 },
           steps: (raw.steps || []).map((s, i) => ({
+            // Stable id — comments and collaboration anchor to it.
+            id: s.id || undefined,
             number: s.number || i + 1,
             name: s.name || '',
             department: s.department || '',
@@ -868,6 +870,7 @@ function DiagnosticContent() {
             waitExternal: s.waitExternal,
             capacity: s.capacity,
             durationUnit: s.durationUnit,
+            sla: s.sla,
             // Workspace anchors needed by the swimlane Sub-function /
             // Function toggle. Without these, the toggle has no data to
             // resolve from and silently falls back to the role label.
@@ -897,6 +900,7 @@ function DiagnosticContent() {
           flowCustomEdges: raw.flowCustomEdges || [],
           flowDeletedEdges: raw.flowDeletedEdges || [],
           flowNodePositions: raw.flowNodePositions || {},
+          sla: raw.sla || null,
         };
 
         // In view-only mode we keep editingReportId null so the edit chrome
@@ -944,6 +948,7 @@ function DiagnosticContent() {
             processName: rp.processName,
             processType: rp.processType,
             steps: (rp.steps || []).map((s, si) => ({
+              id: s.id || undefined,
               number: s.number || si + 1,
               name: s.name || '',
               department: s.department || '',
@@ -958,11 +963,13 @@ function DiagnosticContent() {
               waitExternal: s.waitExternal,
               capacity: s.capacity,
               durationUnit: s.durationUnit,
+              sla: s.sla,
               roleId:       s.roleId       ?? null,
               functionId:   s.functionId   ?? s.function_id   ?? null,
               capabilityId: s.capabilityId ?? s.capability_id ?? null,
             })),
             handoffs: rp.handoffs || [],
+            sla: rp.sla || null,
           })),
           customDepartments: [...new Set([...(dd.customDepartments || []), ...extractCustomDepts(r.rawProcesses || dd.rawProcesses || [])])],
           stepCount: processData.steps.length,
@@ -166,7 +166,7 @@ export default function FloatingFlowViewer({ proc, onClose, initialViewMode = 'g
                 darkTheme={darkTheme}
                 onStepClick={onStepClick}
                 className="ffv-flow-canvas"
-                storedPositions={resolveStoredPositions(flowNodePositions, stepsLength ?? proc?.steps?.length ?? 0, viewMode)}
+                storedPositions={resolveStoredPositions(flowNodePositions, stepsLength ?? proc?.steps?.length ?? 0, viewMode, { steps: proc?.steps })}
                 onPositionsChange={onPositionsChange}
                 customEdges={customEdges}
                 onCustomEdgesChange={onCustomEdgesChange}
@@ -2,7 +2,8 @@
 
 /**
  * Per-deal activity timeline — chronological feed of doc uploads, finding
- * state changes, Q&A asks/answers, comments, analyses, audit events.
+ * state changes, Q&A asks/answers, comments, analyses, milestones, audit
+ * events.
  * Lazy-loaded on first expand so the workspace modal doesn't pay for it
  * upfront.
  */
@@ -18,6 +19,9 @@ const KIND_META = {
   qa_asked:            { icon: '?', cls: 'qa' },
   qa_answered:         { icon: '!', cls: 'qa-ok' },
   finding_comment:     { icon: '💬', cls: 'comment' },
+  milestone_created:   { icon: '◆', cls: 'milestone' },
+  milestone_changed:   { icon: '◆', cls: 'milestone' },
+  milestone_done:      { icon: '✓', cls: 'milestone-ok' },
 };
 
 function fmtRelative(d) {
@@ -55,6 +59,7 @@ export default function DealActivityTimeline({ dealId, accessToken }) {
     if (filter === 'analyses') return i.kind.startsWith('analysis_');
     if (filter === 'documents') return i.kind === 'audit' && (i.details?.target_type === 'document' || (i.action || '').startsWith('document.'));
     if (filter === 'discussion') return i.kind === 'finding_comment';
+    if (filter === 'milestones') return i.kind.startsWith('milestone_');
     return true;
   });
 
@@ -72,7 +77,7 @@ export default function DealActivityTimeline({ dealId, accessToken }) {
       {open && (
         <>
           <div className="deal-activity-filters">
-            {['all', 'documents', 'analyses', 'qa', 'discussion'].map((k) => (
+            {['all', 'documents', 'analyses', 'qa', 'discussion', 'milestones'].map((k) => (
               <button
                 key={k}
                 type="button"
@@ -0,0 +1,327 @@
+'use client';
+
+/**
+ * Expected-documents checklist — sits in the data-room section of
+ * DealWorkspaceModal. Collapsed by default; the header counts what has
+ * arrived out of what is still expected (waived items drop out).
+ *
+ * Items come from the deal's own checklist, the org's default template or
+ * the built-in list (GET /api/deals/[id]/checklist), grouped by section.
+ * Each item is received (keyword + category match), satisfied (marked by
+ * hand or a document linked to it), waived (with a note) or missing.
+ *
+ * The deal team can also:
+ *   * mark an item satisfied / waived with a note, and link documents
+ *   * accept or dismiss the AI matcher's suggestions ("Suggest matches")
+ *   * clone a different template onto the deal, add or remove items, or
+ *     go back to the org default
+ */
+
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import { apiFetch } from '@/lib/api-fetch';
+
+const STATUS_MARK = { received: '✓', satisfied: '✓', waived: '–', missing: '○' };
+const ITEM_FIELDS = ['id', 'section', 'label', 'description', 'required', 'categories', 'keywords'];
+
+function shortName(name, max = 32) {
+  const s = String(name || '');
+  return s.length > max ? `${s.slice(0, max - 2)}…` : s;
+}
+
+function sourceLabel(source) {
+  if (!source) return null;
+  if (source.kind === 'deal') return source.name ? `Deal checklist (from ${source.name})` : 'Deal checklist';
+  if (source.kind === 'template') return `Org default: ${source.name}`;
+  return 'Built-in list';
+}
+
+export default function DealChecklistPanel({ dealId, accessToken, documents = [], onOpenDoc, refreshKey }) {
+  const [data, setData] = useState(null);
+  const [open, setOpen] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState(null);
+  const [editingId, setEditingId] = useState(null);
+  const [note, setNote] = useState('');
+  const [linkDoc, setLinkDoc] = useState('');
+  const [newItem, setNewItem] = useState({ label: '', section: '' });
+
+  const load = useCallback(async () => {
+    if (!dealId || !accessToken) return;
+    try {
+      const r = await apiFetch(`/api/deals/${dealId}/checklist`, { dedupe: false }, accessToken);
+      const j = r.ok ? await r.json() : null;
+      if (j?.checklist) setData(j);
+    } catch { /* swallow — the panel just stays hidden */ }
+  }, [dealId, accessToken]);
+
+  useEffect(() => { load(); }, [load, refreshKey]);
+
+  const sections = useMemo(() => {
+    const out = new Map();
+    for (const item of data?.checklist || []) {
+      const key = item.section || 'General';
+      if (!out.has(key)) out.set(key, []);
+      out.get(key).push(item);
+    }
+    return [...out.entries()];
+  }, [data]);
+
+  if (!data?.checklist) return null;
+  const { summary, canEdit, templates = [], source } = data;
+
+  const send = async (url, method, body) => {
+    setBusy(true);
+    setMessage(null);
+    try {
+      const r = await apiFetch(url, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: body ? JSON.stringify(body) : undefined,
+      }, accessToken);
+      const j = await r.json().catch(() => ({}));
+      if (!r.ok) {
+        setMessage(j.error || 'Something went wrong.');
+        return null;
+      }
+      return j;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const patchItem = async (itemId, body) => {
+    const j = await send(`/api/deals/${dealId}/checklist/items/${encodeURIComponent(itemId)}`, 'PATCH', body);
+    if (!j?.item) return false;
+    setData((d) => ({
+      ...d,
+      summary: j.summary,
+      checklist: d.checklist.map((i) => (i.id === itemId ? j.item : i)),
+    }));
+    return true;
+  };
+
+  const replaceChecklist = async (method, body) => {
+    const j = await send(`/api/deals/${dealId}/checklist`, method, body);
+    if (j?.checklist) setData(j);
+  };
+
+  const startEdit = (item) => {
+    setEditingId(editingId === item.id ? null : item.id);
+    setNote(item.note || '');
+    setLinkDoc('');
+  };
+
+  const saveNote = async (item, status) => {
+    const ok = await patchItem(item.id, { ...(status !== undefined ? { status } : {}), note });
+    if (ok) setEditingId(null);
+  };
+
+  const suggest = async () => {
+    const j = await send(`/api/deals/${dealId}/checklist/suggest`, 'POST');
+    if (!j) return;
+    setMessage(j.message || (j.suggested
+      ? `${j.suggested} suggestion${j.suggested === 1 ? '' : 's'} across ${j.items} item${j.items === 1 ? '' : 's'} — review them below.`
+      : 'No likely matches among the uploaded documents.'));
+    await load();
+  };
+
+  const bareItems = () => data.checklist.map((i) => Object.fromEntries(ITEM_FIELDS.map((k) => [k, i[k]])));
+
+  const addItem = async () => {
+    if (!newItem.label.trim()) return;
+    await replaceChecklist('PUT', { items: [...bareItems(), { ...newItem, required: true }] });
+    setNewItem({ label: '', section: newItem.section });
+  };
+
+  const removeItem = async (item) => {
+    if (!window.confirm(`Remove "${item.label}" from this deal's checklist?`)) return;
+    await replaceChecklist('PUT', { items: bareItems().filter((i) => i.id !== item.id) });
+  };
+
+  const openById = (docId) => {
+    const full = documents.find((d) => d.id === docId);
+    if (full) onOpenDoc?.(full);
+  };
+
+  const received = summary.received + summary.satisfied;
+  const expected = summary.total - summary.waived;
+
+  return (
+    <div className={`deal-workspace-checklist${open ? ' is-open' : ''}`}>
+      <button
+        type="button"
+        className="deal-workspace-checklist-toggle"
+        onClick={() => setOpen((v) => !v)}
+        aria-expanded={open}
+      >
+        <span aria-hidden>{open ? '−' : '+'}</span>
+        <span>Expected documents</span>
+        <span className="deal-workspace-checklist-count">
+          {received} / {expected} received{summary.waived ? ` · ${summary.waived} waived` : ''}
+        </span>
+      </button>
+      {open && (
+        <div className="deal-checklist-body">
+          <div className="deal-checklist-toolbar">
+            <span className="deal-checklist-source">{sourceLabel(source)}</span>
+            {canEdit && (
+              <span className="deal-checklist-actions">
+                <select
+                  className="deal-checklist-field"
+                  value=""
+                  disabled={busy}
+                  aria-label="Apply a template"
+                  onChange={(e) => {
+                    const t = templates.find((x) => x.id === e.target.value);
+                    if (t && window.confirm(`Replace this deal's checklist with "${t.name}"? Marks on items with the same id are kept.`)) {
+                      replaceChecklist('PUT', { templateId: t.id });
+                    }
+                  }}
+                >
+                  <option value="">Apply template…</option>
+                  {templates.map((t) => (
+                    <option key={t.id} value={t.id}>{t.name} ({t.itemCount})</option>
+                  ))}
+                </select>
+                {source?.kind === 'deal' && (
+                  <button type="button" className="deal-checklist-btn" disabled={busy} onClick={() => replaceChecklist('DELETE')} title="Drop this deal's own checklist and follow the org default again">
+                    Use org default
+                  </button>
+                )}
+                <button type="button" className="deal-checklist-btn deal-checklist-btn--primary" disabled={busy || !summary.missing} onClick={suggest} title="Ask the AI which uploaded documents satisfy the missing items">
+                  {busy ? 'Working…' : 'Suggest matches'}
+                </button>
+              </span>
+            )}
+          </div>
+          {message && <p className="deal-checklist-message" role="status">{message}</p>}
+
+          {sections.map(([section, items]) => (
+            <div key={section} className="deal-checklist-section">
+              {sections.length > 1 && <div className="deal-checklist-section-title">{section}</div>}
+              <ul className="deal-workspace-checklist-list">
+                {items.map((item) => {
+                  const docs = [...item.linked, ...item.matched.filter((m) => !item.linked.some((l) => l.id === m.id))];
+                  const done = item.status !== 'missing';
+                  return (
+                    <li key={item.id} className={`deal-workspace-checklist-item deal-checklist-item--${item.status}${done ? ' is-matched' : ' is-missing'}`}>
+                      <div className="deal-checklist-row">
+                        <span className="deal-workspace-checklist-mark" aria-hidden>{STATUS_MARK[item.status]}</span>
+                        <span className="deal-workspace-checklist-label" title={item.description || undefined}>
+                          {item.label}
+                          {item.required === false && <span className="deal-checklist-optional"> optional</span>}
+                          {item.status === 'waived' && <span className="deal-checklist-optional"> waived</span>}
+                          {item.status === 'satisfied' && !item.linked.length && <span className="deal-checklist-optional"> marked satisfied</span>}
+                        </span>
+                        {docs.length > 0 && (
+                          <span className="deal-workspace-checklist-matched">
+                            {docs.slice(0, 2).map((m, i) => (
+                              <button
+                                key={m.id}
+                                type="button"
+                                className="deal-workspace-checklist-doclink"
+                                onClick={() => openById(m.id)}
+                                title={m.filename}
+                              >{shortName(m.filename)}{i < Math.min(docs.length, 2) - 1 ? ', ' : ''}</button>
+                            ))}
+                            {docs.length > 2 && <span className="deal-workspace-checklist-more"> +{docs.length - 2}</span>}
+                          </span>
+                        )}
+                        {canEdit && (
+                          <button type="button" className="deal-checklist-edit" onClick={() => startEdit(item)} aria-expanded={editingId === item.id}>
+                            {editingId === item.id ? 'Close' : 'Mark'}
+                          </button>
+                        )}
+                      </div>
+                      {item.note && editingId !== item.id && <div className="deal-checklist-note">{item.note}</div>}
+                      {canEdit && item.suggestions?.length > 0 && (
+                        <ul className="deal-checklist-suggestions">
+                          {item.suggestions.map((s) => (
+                            <li key={s.document_id} className={`deal-checklist-suggestion deal-checklist-suggestion--${s.confidence}`}>
+                              <span className="deal-checklist-suggestion-label">Suggested:</span>
+                              <button type="button" className="deal-workspace-checklist-doclink" onClick={() => openById(s.document_id)} title={s.reason || s.document.filename}>
+                                {shortName(s.document.filename, 40)}
+                              </button>
+                              <span className="deal-checklist-confidence">{s.confidence}</span>
+                              {s.reason && <span className="deal-checklist-reason">{s.reason}</span>}
+                              <button type="button" className="deal-checklist-btn" disabled={busy} onClick={() => patchItem(item.id, { accept_suggestion: s.document_id })}>Accept</button>
+                              <button type="button" className="deal-checklist-btn" disabled={busy} onClick={() => patchItem(item.id, { dismiss_suggestion: s.document_id })} aria-label="Dismiss suggestion">×</button>
+                            </li>
+                          ))}
+                        </ul>
+                      )}
+                      {canEdit && editingId === item.id && (
+                        <div className="deal-checklist-editor">
+                          <textarea
+                            className="deal-checklist-note-input"
+                            value={note}
+                            onChange={(e) => setNote(e.target.value)}
+                            placeholder="Note — why it's satisfied or waived, where the evidence is"
+                            rows={2}
+                            disabled={busy}
+                          />
+                          <div className="deal-checklist-editor-row">
+                            {item.status !== 'satisfied' || !item.markedAt
+                              ? <button type="button" className="deal-checklist-btn deal-checklist-btn--primary" disabled={busy} onClick={() => saveNote(item, 'satisfied')}>Mark satisfied</button>
+                              : <button type="button" className="deal-checklist-btn" disabled={busy} onClick={() => saveNote(item, null)}>Clear satisfied</button>}
+                            {item.status !== 'waived'
+                              ? <button type="button" className="deal-checklist-btn" disabled={busy || !note.trim()} onClick={() => saveNote(item, 'waived')} title={note.trim() ? undefined : 'Add a note saying why'}>Waive</button>
+                              : <button type="button" className="deal-checklist-btn" disabled={busy} onClick={() => saveNote(item, null)}>Un-waive</button>}
+                            <button type="button" className="deal-checklist-btn" disabled={busy || note === (item.note || '')} onClick={() => saveNote(item)}>Save note</button>
+                          </div>
+                          <div className="deal-checklist-editor-row">
+                            <select className="deal-checklist-field" value={linkDoc} onChange={(e) => setLinkDoc(e.target.value)} disabled={busy} aria-label="Document to link">
+                              <option value="">Link a document…</option>
+                              {documents.filter((d) => d.status !== 'archived' && !item.linked.some((l) => l.id === d.id)).map((d) => (
+                                <option key={d.id} value={d.id}>{shortName(d.label || d.filename, 60)}</option>
+                              ))}
+                            </select>
+                            <button
+                              type="button"
+                              className="deal-checklist-btn"
+                              disabled={busy || !linkDoc}
+                              onClick={async () => {
+                                if (await patchItem(item.id, { document_ids: [...item.linked.map((l) => l.id), linkDoc] })) setLinkDoc('');
+                              }}
+                            >Link</button>
+                          </div>
+                          {item.linked.length > 0 && (
+                            <ul className="deal-checklist-links">
+                              {item.linked.map((l) => (
+                                <li key={l.id}>
+                                  {shortName(l.filename, 48)}
+                                  <button type="button" className="deal-checklist-btn" disabled={busy} onClick={() => patchItem(item.id, { document_ids: item.linked.filter((x) => x.id !== l.id).map((x) => x.id) })} aria-label={`Unlink ${l.filename}`}>×</button>
+                                </li>
+                              ))}
+                            </ul>
+                          )}
+                          {item.markedBy && <div className="deal-checklist-meta">Marked by {item.markedBy}{item.markedAt ? ` · ${new Date(item.markedAt).toLocaleDateString()}` : ''}</div>}
+                          <button type="button" className="deal-checklist-remove" disabled={busy} onClick={() => removeItem(item)}>Remove item from this deal</button>
+                        </div>
+                      )}
+                    </li>
+                  );
+                })}
+              </ul>
+            </div>
+          ))}
+
+          {canEdit && (
+            <div className="deal-checklist-add">
+              <input className="deal-checklist-field" value={newItem.section} onChange={(e) => setNewItem((n) => ({ ...n, section: e.target.value }))} placeholder="Section" disabled={busy} />
+              <input
+                className="deal-checklist-field deal-checklist-field--grow"
+                value={newItem.label}
+                onChange={(e) => setNewItem((n) => ({ ...n, label: e.target.value }))}
+                onKeyDown={(e) => { if (e.key === 'Enter') addItem(); }}
+                placeholder="Add an expected document to this deal"
+                disabled={busy}
+              />
+              <button type="button" className="deal-checklist-btn" disabled={busy || !newItem.label.trim()} onClick={addItem}>Add</button>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,199 @@
+'use client';
+
+/**
+ * Clean teams in DealWorkspaceModal's data room. A clean team is a named
+ * group that competition-sensitive documents are ring-fenced to: only its
+ * current members (and the deal owner) see them, on top of the usual
+ * per-party visibility. Members can be given an access expiry.
+ *
+ * The owner also sets each document's access here — which clean team it
+ * is fenced to, whether it is view-only (watermarked viewer, no download)
+ * and when access to it ends. Collaborators see the teams read-only;
+ * participants don't see the section.
+ *
+ * Backed by /api/deals/[id]/clean-teams and PATCH
+ * /api/deals/[id]/documents/[docId]; every change is audited server-side.
+ */
+
+import { useCallback, useEffect, useState } from 'react';
+import { apiFetch } from '@/lib/api-fetch';
+
+const day = (iso) => (iso ? String(iso).slice(0, 10) : '');
+
+function isExpired(iso) {
+  return Boolean(iso) && Date.parse(iso) <= Date.now();
+}
+
+export default function DealCleanTeamsPanel({ dealId, accessToken, documents = [], onDocumentsChanged }) {
+  const [data, setData] = useState(null);
+  const [open, setOpen] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState(null);
+  const [teamName, setTeamName] = useState('');
+  const [memberDraft, setMemberDraft] = useState({}); // { [teamId]: { email, access_expires_at } }
+
+  const load = useCallback(async () => {
+    if (!dealId || !accessToken) return;
+    try {
+      const r = await apiFetch(`/api/deals/${dealId}/clean-teams`, { dedupe: false }, accessToken);
+      const j = r.ok ? await r.json() : null;
+      if (j?.teams) setData(j);
+    } catch { /* swallow — the section just stays hidden */ }
+  }, [dealId, accessToken]);
+
+  useEffect(() => { load(); }, [load, documents.length]);
+
+  if (!data) return null;
+  const { teams, canManage } = data;
+  if (!teams.length && !canManage) return null;
+
+  const restricted = documents.filter((d) => d.clean_team_id || d.view_only || d.access_expires_at);
+
+  const send = async (url, method, body) => {
+    setBusy(true);
+    setMessage(null);
+    try {
+      const r = await apiFetch(url, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: body ? JSON.stringify(body) : undefined,
+      }, accessToken);
+      const j = await r.json().catch(() => ({}));
+      if (!r.ok) {
+        setMessage(j.error || 'Something went wrong.');
+        return null;
+      }
+      if (j.teams) setData(j);
+      return j;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const base = `/api/deals/${dealId}/clean-teams`;
+
+  const addTeam = async () => {
+    if (await send(base, 'POST', { name: teamName })) setTeamName('');
+  };
+  const removeTeam = async (t) => {
+    if (!window.confirm(`Delete the "${t.name}" clean team?`)) return;
+    await send(`${base}/${t.id}`, 'DELETE');
+  };
+  const draftFor = (teamId) => memberDraft[teamId] || { email: '', access_expires_at: '' };
+  const setDraft = (teamId, field) => (e) => setMemberDraft((m) => ({ ...m, [teamId]: { ...draftFor(teamId), [field]: e.target.value } }));
+  const addMember = async (t) => {
+    const d = draftFor(t.id);
+    const j = await send(`${base}/${t.id}/members`, 'POST', { email: d.email, access_expires_at: d.access_expires_at || null });
+    if (j) setMemberDraft((m) => ({ ...m, [t.id]: undefined }));
+  };
+  const removeMember = (t, email) => send(`${base}/${t.id}/members?email=${encodeURIComponent(email)}`, 'DELETE');
+
+  const setDocAccess = async (doc, patch) => {
+    const j = await send(`/api/deals/${dealId}/documents/${doc.id}`, 'PATCH', patch);
+    if (j) {
+      await load();
+      onDocumentsChanged?.();
+    }
+  };
+
+  return (
+    <div className={`deal-workspace-checklist deal-cleanteam${open ? ' is-open' : ''}`}>
+      <button type="button" className="deal-workspace-checklist-toggle" onClick={() => setOpen((o) => !o)} aria-expanded={open}>
+        <span aria-hidden>{open ? '−' : '+'}</span>
+        <span>Clean teams</span>
+        <span className="deal-workspace-checklist-count">
+          {teams.length} team{teams.length === 1 ? '' : 's'}{restricted.length ? ` · ${restricted.length} restricted document${restricted.length === 1 ? '' : 's'}` : ''}
+        </span>
+      </button>
+
+      {open && (
+        <div className="deal-cleanteam-body">
+          {message && <p className="deal-checklist-message">{message}</p>}
+          <p className="deal-checklist-note">
+            Ring-fenced documents are only visible to current members of their clean team. View-only documents open in a
+            watermarked viewer and can&apos;t be downloaded. Every view and blocked download is logged in the activity feed.
+          </p>
+
+          {teams.map((t) => (
+            <div key={t.id} className="deal-cleanteam-team">
+              <div className="deal-cleanteam-team-head">
+                <strong>{t.name}</strong>
+                <span className="deal-gantt-meta">
+                  {t.members.length} member{t.members.length === 1 ? '' : 's'} · {t.document_count} document{t.document_count === 1 ? '' : 's'}
+                </span>
+                {canManage && (
+                  <button type="button" className="deal-checklist-btn deal-milestone-delete" disabled={busy} onClick={() => removeTeam(t)}>Delete</button>
+                )}
+              </div>
+              <ul className="deal-cleanteam-members">
+                {t.members.map((m) => (
+                  <li key={m.id} className={isExpired(m.access_expires_at) ? 'deal-cleanteam-member--expired' : undefined}>
+                    <span>{m.email}</span>
+                    <span className="deal-gantt-meta">
+                      {m.access_expires_at ? `${isExpired(m.access_expires_at) ? 'expired' : 'until'} ${day(m.access_expires_at)}` : 'no expiry'}
+                    </span>
+                    {canManage && (
+                      <button type="button" className="deal-checklist-btn" aria-label={`Remove ${m.email}`} disabled={busy}
+                        onClick={() => removeMember(t, m.email)}>×</button>
+                    )}
+                  </li>
+                ))}
+              </ul>
+              {canManage && (
+                <div className="deal-milestone-editor-row">
+                  <input className="deal-checklist-field deal-checklist-field--grow" type="email" placeholder="Member email"
+                    value={draftFor(t.id).email} onChange={setDraft(t.id, 'email')} aria-label={`Add a member to ${t.name}`} />
+                  <input className="deal-checklist-field" type="date" value={draftFor(t.id).access_expires_at}
+                    onChange={setDraft(t.id, 'access_expires_at')} aria-label="Access expires" title="Access expires (optional)" />
+                  <button type="button" className="deal-checklist-btn" disabled={busy || !draftFor(t.id).email.trim()} onClick={() => addMember(t)}>
+                    Add
+                  </button>
+                </div>
+              )}
+            </div>
+          ))}
+
+          {canManage && (
+            <div className="deal-milestone-editor-row">
+              <input className="deal-checklist-field deal-checklist-field--grow" placeholder="New clean team, e.g. Pricing clean team"
+                value={teamName} onChange={(e) => setTeamName(e.target.value)} aria-label="Clean team name" />
+              <button type="button" className="deal-checklist-btn deal-checklist-btn--primary" disabled={busy || !teamName.trim()} onClick={addTeam}>
+                + Clean team
+              </button>
+            </div>
+          )}
+
+          {canManage && documents.length > 0 && (
+            <table className="deal-cleanteam-docs">
+              <thead>
+                <tr><th>Document</th><th>Clean team</th><th>View only</th><th>Access ends</th></tr>
+              </thead>
+              <tbody>
+                {documents.map((d) => (
+                  <tr key={d.id} className={isExpired(d.access_expires_at) ? 'deal-cleanteam-doc--expired' : undefined}>
+                    <td className="deal-cleanteam-doc-name" title={d.filename}>{d.filename}</td>
+                    <td>
+                      <select className="deal-checklist-field" value={d.clean_team_id || ''} disabled={busy}
+                        onChange={(e) => setDocAccess(d, { clean_team_id: e.target.value || null })} aria-label={`Clean team for ${d.filename}`}>
+                        <option value="">Not ring-fenced</option>
+                        {teams.map((t) => <option key={t.id} value={t.id}>{t.name}</option>)}
+                      </select>
+                    </td>
+                    <td>
+                      <input type="checkbox" checked={Boolean(d.view_only)} disabled={busy}
+                        onChange={(e) => setDocAccess(d, { view_only: e.target.checked })} aria-label={`${d.filename} is view-only`} />
+                    </td>
+                    <td>
+                      <input className="deal-checklist-field" type="date" value={day(d.access_expires_at)} disabled={busy}
+                        onChange={(e) => setDocAccess(d, { access_expires_at: e.target.value || null })} aria-label={`Access to ${d.filename} ends`} />
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -14,7 +14,7 @@
  * to /org-admin → Integrations.
  *
  * The folder picker is a small breadcrumb-driven tree (sites → drives →
- * folders for SharePoint; folders for Drive). Picking a leaf submits the
+ * folders for SharePoint; folders for Drive, Box and Dropbox). Picking a leaf submits the
  * binding via POST and an immediate sync fires server-side.
  */
 
@@ -26,6 +26,17 @@ const PROVIDER_LABEL = {
   google_drive: 'Google Drive',
   datasite:     'Datasite',
   box:          'Box',
+  dropbox:      'Dropbox',
+  fake:         'Local fake',
+};
+
+// Providers whose picker is a plain folder tree: root crumb label, the
+// query param naming the parent, and the root value.
+const FOLDER_TREE = {
+  google_drive: { root: 'My Drive', param: 'parent_id', rootValue: 'root' },
+  box:          { root: 'All Files', param: 'parent_id', rootValue: '0' },
+  dropbox:      { root: 'Dropbox', param: 'path', rootValue: '' },
+  fake:         { root: 'Root', param: 'parent_id', rootValue: 'root' },
 };
 
 function fmtRelative(d) {
@@ -37,6 +48,32 @@ function fmtRelative(d) {
   return `${Math.floor(ms / 86_400_000)}d ago`;
 }
 
+const SYNC_STAT_LABELS = [
+  ['added', (n) => `+${n} new`],
+  ['updated', (n) => `${n} updated`],
+  ['restored', (n) => `${n} restored`],
+  ['renamed', (n) => `${n} renamed`],
+  ['moved', (n) => `${n} moved`],
+  ['archived', (n) => `${n} removed`],
+  ['errored', (n) => `${n} failed`],
+  ['backlog', (n) => `${n} queued`],
+];
+
+/** "+3 new · 1 renamed · 2 removed" from last_sync_stats; "no changes" when all zero. */
+function fmtSyncStats(stats) {
+  const parts = SYNC_STAT_LABELS.filter(([k]) => stats[k] > 0).map(([k, fmt]) => fmt(stats[k]));
+  return parts.length ? parts.join(' · ') : 'no changes';
+}
+
+function syncStatsTitle(b) {
+  const s = b.last_sync_stats;
+  const mode = s.mode === 'delta' ? 'Incremental sync' : s.mode === 'initial' ? 'Initial sync' : 'Full resync';
+  const lines = [`${mode} — ${s.listed ?? 0} change${s.listed === 1 ? '' : 's'} read, ${s.unchanged ?? 0} unchanged`];
+  if (typeof s.durationMs === 'number') lines.push(`Took ${Math.max(1, Math.round(s.durationMs / 1000))}s`);
+  if (b.last_full_sync_at) lines.push(`Last full resync ${fmtRelative(b.last_full_sync_at)}`);
+  return lines.join('\n');
+}
+
 export default function DealConnectorBindings({ dealId, accessToken, editable }) {
   const [bindings, setBindings] = useState([]);
   const [availableProviders, setAvailableProviders] = useState([]); // ids of integrations active for this org
@@ -60,7 +97,10 @@ export default function DealConnectorBindings({ dealId, accessToken, editable })
   // the deal route; for now, expose the union of providers the user could
   // pick. The picker call itself returns 400 if the integration is missing.
   useEffect(() => {
-    setAvailableProviders(['sharepoint', 'google_drive']);
+    setAvailableProviders([
+      'sharepoint', 'google_drive', 'box', 'dropbox',
+      ...(process.env.NEXT_PUBLIC_CONNECTOR_FAKE_PROVIDER === '1' ? ['fake'] : []),
+    ]);
   }, []);
 
   useEffect(() => { load(); }, [load]);
@@ -78,12 +118,13 @@ export default function DealConnectorBindings({ dealId, accessToken, editable })
     } finally { setBusy(false); }
   };
 
-  const triggerSync = async (bindingId) => {
+  const triggerSync = async (bindingId, { full = false } = {}) => {
+    if (full && !confirm('Re-list the whole folder? Documents no longer in it will be archived.')) return;
     setBusy(true); setErr(null);
     try {
       // Use a no-body POST to a sub-route; backend triggers the event.
       const r = await apiFetch(
-        `/api/deals/${dealId}/connector-bindings/${encodeURIComponent(bindingId)}/sync`,
+        `/api/deals/${dealId}/connector-bindings/${encodeURIComponent(bindingId)}/sync${full ? '?full=1' : ''}`,
         { method: 'POST' }, accessToken,
       );
       if (r.ok) {
@@ -154,6 +195,11 @@ export default function DealConnectorBindings({ dealId, accessToken, editable })
                 <span className="deal-connector-binding-meta">
                   Last sync {fmtRelative(b.last_sync_at)}
                   {b.last_sync_error && <span className="deal-connector-binding-err" title={b.last_sync_error}> · error</span>}
+                  {b.last_sync_stats && (
+                    <span className="deal-connector-binding-stats" title={syncStatsTitle(b)}>
+                      {' · '}{fmtSyncStats(b.last_sync_stats)}
+                    </span>
+                  )}
                 </span>
                 {editable && (
                   <span className="deal-connector-binding-actions">
@@ -161,6 +207,9 @@ export default function DealConnectorBindings({ dealId, accessToken, editable })
                       onClick={() => triggerSync(b.id)} disabled={busy || b.sync_status === 'syncing'}>
                       {b.sync_status === 'syncing' ? 'Syncing…' : 'Sync now'}
                     </button>
+                    <button type="button" className="deal-connector-action-btn"
+                      onClick={() => triggerSync(b.id, { full: true })} disabled={busy || b.sync_status === 'syncing'}
+                      title="Re-list the whole folder and archive documents that are gone">Full resync</button>
                     <button type="button" className="deal-connector-action-btn deal-connector-action-btn--danger"
                       onClick={() => removeBinding(b.id)} disabled={busy}>Remove</button>
                   </span>
@@ -184,8 +233,8 @@ export default function DealConnectorBindings({ dealId, accessToken, editable })
 }
 
 /**
- * Two-stage browser: SharePoint walks sites → drives → folders. Drive jumps
- * straight to folders rooted at "My Drive". Each click into a folder
+ * Two-stage browser: SharePoint walks sites → drives → folders. Drive, Box
+ * and Dropbox jump straight to a folder tree (FOLDER_TREE). Each click into a folder
  * pushes a breadcrumb; the bottom Pick button binds whatever the cursor
  * is currently on.
  */
@@ -282,7 +331,8 @@ function FolderPicker({ provider, accessToken, onCancel, onPick }) {
 
 function initialCrumbs(provider) {
   if (provider === 'sharepoint') return [{ label: 'Sites', query: { kind: 'sites' } }];
-  if (provider === 'google_drive') return [{ label: 'My Drive', query: { kind: 'folders', parent_id: 'root' } }];
+  const tree = FOLDER_TREE[provider];
+  if (tree) return [{ label: tree.root, query: { kind: 'folders', [tree.param]: tree.rootValue } }];
   return [];
 }
 
@@ -292,9 +342,8 @@ function nextCrumb(provider, cur, item) {
     if (cur.query.kind === 'drives') return { label: item.name, item, query: { kind: 'items', drive_id: item.id } };
     if (cur.query.kind === 'items') return { label: item.name, item, query: { kind: 'items', drive_id: cur.query.drive_id, item_id: item.id } };
   }
-  if (provider === 'google_drive') {
-    return { label: item.name, item, query: { kind: 'folders', parent_id: item.id } };
-  }
+  const tree = FOLDER_TREE[provider];
+  if (tree) return { label: item.name, item, query: { kind: 'folders', [tree.param]: item.id } };
   return null;
 }
 
@@ -302,7 +351,7 @@ function canPickHere(provider, crumbs) {
   if (crumbs.length < 2) return false; // need to drill into at least one level
   const cur = crumbs[crumbs.length - 1];
   if (provider === 'sharepoint') return cur.query.kind === 'items';
-  if (provider === 'google_drive') return cur.query.kind === 'folders';
+  if (FOLDER_TREE[provider]) return cur.query.kind === 'folders';
   return false;
 }
 
@@ -315,8 +364,7 @@ function sourceRefFromCrumbs(provider, crumbs) {
       site_id: crumbs.find((c) => c.query?.kind === 'drives')?.query?.site_id || null,
     };
   }
-  if (provider === 'google_drive') {
-    return { folder_id: cur.query.parent_id };
-  }
+  const tree = FOLDER_TREE[provider];
+  if (tree) return { folder_id: cur.query[tree.param] };
   return null;
 }
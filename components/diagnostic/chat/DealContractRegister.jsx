@@ -0,0 +1,89 @@
+'use client';
+
+/**
+ * Contract register — sits under the expected-documents checklist in the
+ * data-room section of DealWorkspaceModal. One line per scanned contract
+ * with a chip per tagged clause (change of control, exclusivity, MFN,
+ * liability, auto-renewal), coloured by risk; hovering a chip shows the
+ * clause text. Collapsed by default, like the checklist; the header
+ * carries the at-a-glance count.
+ *
+ * The red flags themselves are findings (section redFlags) — this panel
+ * is the per-document view of what the scan read. Hidden until at least
+ * one contract has been scanned.
+ */
+
+import { useEffect, useState } from 'react';
+import { apiFetch } from '@/lib/api-fetch';
+
+const RISK_LABEL = { none: 'noted', low: 'low risk', medium: 'medium risk', high: 'high risk' };
+
+function chipTitle(label, clause) {
+  const where = clause.page_number ? ` (p.${clause.page_number})` : '';
+  const flags = clause.flags?.length ? `\n${clause.flags.map((f) => f.replace(/_/g, ' ')).join(', ')}` : '';
+  return `${label} — ${RISK_LABEL[clause.risk] || clause.risk}${where}${flags}\n\n${clause.excerpt || ''}`;
+}
+
+export default function DealContractRegister({ dealId, accessToken, onOpenDoc, refreshKey }) {
+  const [register, setRegister] = useState(null);
+  const [open, setOpen] = useState(false);
+
+  useEffect(() => {
+    if (!dealId || !accessToken) return undefined;
+    let cancelled = false;
+    apiFetch(`/api/deals/${dealId}/contracts`, {}, accessToken)
+      .then((r) => (r.ok ? r.json() : null))
+      .then((j) => { if (!cancelled && j) setRegister(j); })
+      .catch(() => { /* swallow — the panel just stays hidden */ });
+    return () => { cancelled = true; };
+  }, [dealId, accessToken, refreshKey]);
+
+  if (!register?.contracts?.length) return null;
+  const { contracts, summary, clauseTypes = [] } = register;
+  const labelOf = Object.fromEntries(clauseTypes.map((t) => [t.key, t.label]));
+
+  return (
+    <div className={`deal-workspace-checklist deal-contracts${open ? ' is-open' : ''}`}>
+      <button
+        type="button"
+        className="deal-workspace-checklist-toggle"
+        onClick={() => setOpen((v) => !v)}
+        aria-expanded={open}
+      >
+        <span aria-hidden>{open ? '−' : '+'}</span>
+        <span>Contract register</span>
+        <span className="deal-workspace-checklist-count">
+          {summary.contracts} contract{summary.contracts === 1 ? '' : 's'} · {summary.red_flags} red flag{summary.red_flags === 1 ? '' : 's'}
+        </span>
+      </button>
+      {open && (
+        <ul className="deal-workspace-checklist-list">
+          {contracts.map((c) => (
+            <li key={c.document_id} className={`deal-workspace-checklist-item deal-contracts-item deal-contracts-item--${c.worst_risk}`}>
+              <button
+                type="button"
+                className="deal-workspace-checklist-doclink deal-contracts-doc"
+                onClick={() => onOpenDoc?.(c.document_id)}
+                title={c.label ? `${c.label}/${c.filename}` : c.filename}
+              >{c.filename.length > 40 ? `${c.filename.slice(0, 38)}…` : c.filename}</button>
+              <span className="deal-contracts-clauses">
+                {clauseTypes.filter((t) => c.clauses[t.key]).map((t) => {
+                  const clause = c.clauses[t.key];
+                  return (
+                    <span
+                      key={t.key}
+                      className={`deal-contracts-chip deal-contracts-chip--${clause.risk}`}
+                      title={chipTitle(labelOf[t.key], clause)}
+                    >
+                      {t.key === 'liability' && clause.flags?.includes('uncapped') ? 'Uncapped liability' : t.label}
+                    </span>
+                  );
+                })}
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
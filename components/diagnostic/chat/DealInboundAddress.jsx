@@ -0,0 +1,179 @@
+'use client';
+
+/**
+ * Per-deal inbound email address — sits under the connector bindings in
+ * the data-room section of DealWorkspaceModal. Editors only (the address
+ * is the credential for filing into the data room). Lets them:
+ *
+ *   • create / copy the deal's address (deal-<token>@<domain>)
+ *   • rotate it (the old address stops accepting mail) or turn it off
+ *   • restrict who may send to it (addresses or domains)
+ *   • see the last few messages received and what each one filed
+ *
+ * Hidden entirely when the deployment has no INBOUND_EMAIL_DOMAIN.
+ */
+
+import { useCallback, useEffect, useState } from 'react';
+import { apiFetch } from '@/lib/api-fetch';
+
+const STATUS_LABEL = {
+  processing: 'filing',
+  processed: 'filed',
+  partial: 'partly filed',
+  failed: 'failed',
+  rejected: 'rejected',
+};
+
+const SKIP_REASON = {
+  empty: 'empty',
+  inline_image: 'inline image',
+  too_large: 'too large',
+};
+
+function fmtRelative(d) {
+  if (!d) return 'never';
+  const ms = Date.now() - new Date(d).getTime();
+  if (ms < 60_000) return 'just now';
+  if (ms < 3_600_000) return `${Math.floor(ms / 60_000)}m ago`;
+  if (ms < 86_400_000) return `${Math.floor(ms / 3_600_000)}h ago`;
+  return `${Math.floor(ms / 86_400_000)}d ago`;
+}
+
+function messageSummary(m) {
+  const filed = (m.document_ids?.length || 0) - (m.deduped_count || 0);
+  const parts = [`${filed} filed`];
+  if (m.deduped_count) parts.push(`${m.deduped_count} already in the data room`);
+  if (m.skipped?.length) parts.push(`${m.skipped.length} skipped`);
+  return parts.join(' · ');
+}
+
+function messageTitle(m) {
+  const lines = [];
+  if (m.error) lines.push(m.error);
+  for (const s of m.skipped || []) lines.push(`Skipped ${s.filename} (${SKIP_REASON[s.reason] || s.reason})`);
+  return lines.join('\n') || undefined;
+}
+
+export default function DealInboundAddress({ dealId, accessToken, editable }) {
+  const [state, setState] = useState(null); // { configured, address, messages }
+  const [sendersDraft, setSendersDraft] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [copied, setCopied] = useState(false);
+  const [err, setErr] = useState(null);
+
+  const apply = (j) => {
+    setState(j);
+    setSendersDraft((j?.address?.allowedSenders || []).join(', '));
+  };
+
+  const load = useCallback(async () => {
+    if (!dealId || !accessToken || !editable) return;
+    try {
+      const r = await apiFetch(`/api/deals/${dealId}/inbound-address`, { dedupe: false }, accessToken);
+      if (r.ok) apply(await r.json());
+    } catch { /* swallow */ }
+  }, [dealId, accessToken, editable]);
+
+  useEffect(() => { load(); }, [load]);
+
+  const call = async (method, body) => {
+    setBusy(true); setErr(null);
+    try {
+      const r = await apiFetch(
+        `/api/deals/${dealId}/inbound-address`,
+        body
+          ? { method, headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) }
+          : { method },
+        accessToken,
+      );
+      const j = await r.json().catch(() => ({}));
+      if (!r.ok) { setErr(j?.error || 'Request failed.'); return; }
+      if (method === 'DELETE') await load();
+      else apply(j);
+    } finally { setBusy(false); }
+  };
+
+  const rotate = () => {
+    if (state?.address && !confirm('Issue a new address? Mail sent to the current one will be refused.')) return;
+    call('POST', {});
+  };
+  const disable = () => {
+    if (!confirm('Turn off email-in for this deal? Mail sent to the address will be refused.')) return;
+    call('DELETE');
+  };
+  const saveSenders = () => call('PATCH', { allowed_senders: sendersDraft });
+
+  const copy = async () => {
+    try {
+      await navigator.clipboard.writeText(state.address.email);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 1500);
+    } catch { /* clipboard blocked — the address is selectable */ }
+  };
+
+  if (!editable || !state?.configured) return null;
+  const { address, messages = [] } = state;
+  const sendersDirty = sendersDraft !== (address?.allowedSenders || []).join(', ');
+
+  return (
+    <div className="deal-connector-bindings deal-inbound">
+      <div className="deal-connector-bindings-head">
+        <span className="deal-connector-bindings-title">Email in</span>
+        <span className="deal-connector-bindings-add">
+          <button type="button" className="deal-connector-add-btn" onClick={rotate} disabled={busy}>
+            {address ? 'New address' : '+ Create address'}
+          </button>
+          {address && (
+            <button type="button" className="deal-connector-add-btn" onClick={disable} disabled={busy}>Turn off</button>
+          )}
+        </span>
+      </div>
+      {err && <div className="deal-workspace-error" style={{ padding: '4px 0', fontSize: 11 }}>{err}</div>}
+      {!address ? (
+        <p className="deal-connector-bindings-empty">
+          Give the deal an email address: attachments sent to it are filed here, and the email itself becomes a searchable document.
+        </p>
+      ) : (
+        <>
+          <div className="deal-inbound-address">
+            <code className="deal-inbound-address-value">{address.email}</code>
+            <button type="button" className="deal-connector-action-btn" onClick={copy}>{copied ? 'Copied' : 'Copy'}</button>
+            <span className="deal-connector-binding-meta">Last received {fmtRelative(address.lastReceivedAt)}</span>
+          </div>
+          <label className="deal-inbound-senders">
+            <span className="deal-connector-binding-meta">Accept mail from</span>
+            <input
+              type="text"
+              className="deal-inbound-senders-input"
+              value={sendersDraft}
+              onChange={(e) => setSendersDraft(e.target.value)}
+              placeholder="Anyone with the address — or e.g. seller.com, cfo@target.com"
+              disabled={busy}
+            />
+            {sendersDirty && (
+              <button type="button" className="deal-connector-action-btn" onClick={saveSenders} disabled={busy}>Save</button>
+            )}
+          </label>
+          {messages.length > 0 && (
+            <ul className="deal-connector-bindings-list">
+              {messages.slice(0, 5).map((m) => (
+                <li key={m.id} className="deal-connector-binding" title={messageTitle(m)}>
+                  <span className={`deal-connector-binding-status deal-inbound-status--${m.status}`}>
+                    {STATUS_LABEL[m.status] || m.status}
+                  </span>
+                  <span className="deal-connector-binding-label">
+                    <strong>{m.subject || '(no subject)'}</strong>
+                    <span className="deal-connector-binding-path">{m.from_email || 'unknown sender'}</span>
+                  </span>
+                  <span className="deal-connector-binding-meta">
+                    {m.status === 'rejected' ? 'sender not allowed' : messageSummary(m)} · {fmtRelative(m.received_at)}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
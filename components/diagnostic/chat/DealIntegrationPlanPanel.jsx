@@ -0,0 +1,369 @@
+'use client';
+
+/**
+ * 100-day integration plan in DealWorkspaceModal (M&A and PE roll-up
+ * deals — the section stays hidden for the rest). Initiatives are listed
+ * by deadline (Day 1 / 30 / 60 / 100) with their workstream, owner and
+ * progress; a burndown plots the work left since Day 1 against an even
+ * run-down to each deadline, and measured outcomes of the linked changes
+ * are summed underneath.
+ *
+ * Progress comes from GET /api/deals/[id]/integration-plan: an initiative
+ * moves as the `changes` linked to it move through accepted → applied →
+ * live → measured, and counts in full once marked done. The deal agent
+ * drafts initiatives through propose_integration_plan; the deal team
+ * edits them here, sets the Day 1 date and the workstreams.
+ */
+
+import { useCallback, useEffect, useState } from 'react';
+import { apiFetch } from '@/lib/api-fetch';
+
+const STATE_LABEL = {
+  not_started: 'Not started',
+  in_progress: 'In progress',
+  overdue: 'Overdue',
+  done: 'Done',
+};
+const EMPTY_DRAFT = {
+  title: '', workstream: '', deadline: 'day_30', owner_email: '', description: '',
+  change_ids: [], finding_keys: [], process_ids: [],
+};
+const DRAFT_FIELDS = Object.keys(EMPTY_DRAFT);
+const CHART_W = 300;
+const CHART_H = 110;
+
+function draftFrom(i) {
+  return Object.fromEntries(DRAFT_FIELDS.map((k) => [k, i[k] ?? EMPTY_DRAFT[k]]));
+}
+
+function selectedValues(e) {
+  return Array.from(e.target.selectedOptions).map((o) => o.value);
+}
+
+function formatDelta(o) {
+  const sign = o.delta > 0 ? '+' : '';
+  return `${sign}${o.delta.toLocaleString()}${o.unit ? ` ${o.unit}` : ''}`;
+}
+
+function Burndown({ burndown }) {
+  const { points, total } = burndown;
+  if (!points.length || !total) return null;
+  const x = (day) => (day / 100) * CHART_W;
+  const y = (v) => CHART_H - (v / total) * CHART_H;
+  const path = (pts, key) => pts.map((p, i) => `${i ? 'L' : 'M'}${x(p.day).toFixed(1)},${y(p[key]).toFixed(1)}`).join(' ');
+  const actual = points.filter((p) => p.actual != null);
+  return (
+    <figure className="deal-burndown">
+      <svg viewBox={`-4 -4 ${CHART_W + 8} ${CHART_H + 8}`} className="deal-burndown-svg" role="img"
+        aria-label={`Burndown: ${burndown.remaining} of ${total} initiatives' work left`}>
+        {[30, 60].map((d) => <line key={d} className="deal-burndown-grid" x1={x(d)} x2={x(d)} y1={0} y2={CHART_H} />)}
+        <path className="deal-burndown-ideal" d={path(points, 'ideal')} />
+        {actual.length > 0 && <path className="deal-burndown-actual" d={path(actual, 'actual')} />}
+        {burndown.today != null && burndown.today >= 0 && burndown.today <= 100 && (
+          <line className="deal-burndown-today" x1={x(burndown.today)} x2={x(burndown.today)} y1={0} y2={CHART_H} />
+        )}
+      </svg>
+      <figcaption className="deal-burndown-legend">
+        <span className="deal-burndown-key deal-burndown-key--actual">Work left</span>
+        <span className="deal-burndown-key deal-burndown-key--ideal">On track</span>
+        <span>Day 0 → Day 100</span>
+      </figcaption>
+    </figure>
+  );
+}
+
+export default function DealIntegrationPlanPanel({ dealId, accessToken, participants = [], refreshKey }) {
+  const [data, setData] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState(null);
+  const [expandedId, setExpandedId] = useState(null);
+  const [editingId, setEditingId] = useState(null); // initiative id, 'new', or null
+  const [draft, setDraft] = useState(EMPTY_DRAFT);
+  const [settings, setSettings] = useState(null); // { day_one_date, workstreams } while open
+
+  const load = useCallback(async () => {
+    if (!dealId || !accessToken) return;
+    try {
+      const r = await apiFetch(`/api/deals/${dealId}/integration-plan`, { dedupe: false }, accessToken);
+      const j = r.ok ? await r.json() : null;
+      if (j?.initiatives) setData(j);
+    } catch { /* swallow — the section just stays hidden */ }
+  }, [dealId, accessToken]);
+
+  useEffect(() => { load(); }, [load, refreshKey]);
+
+  if (!data) return null;
+  const { plan, workstreams, dayOne, dayOneSource, initiatives, burndown, deadlines = [], canEdit, options } = data;
+  if (!initiatives.length && !canEdit) return null;
+
+  const workstreamName = (key) => workstreams.find((w) => w.key === key)?.name || key;
+  const findingLabel = (key) => options?.findings?.find((f) => f.key === key)?.label || key;
+  const ownerEmails = [...new Set([
+    ...participants.map((p) => p.participant_email || p.participantEmail),
+    ...workstreams.map((w) => w.owner_email),
+  ].filter(Boolean))];
+  const overdue = initiatives.filter((i) => i.state === 'overdue').length;
+
+  const send = async (url, method, body) => {
+    setBusy(true);
+    setMessage(null);
+    try {
+      const r = await apiFetch(url, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: body ? JSON.stringify(body) : undefined,
+      }, accessToken);
+      const j = await r.json().catch(() => ({}));
+      if (!r.ok) {
+        setMessage(j.error || 'Something went wrong.');
+        return null;
+      }
+      if (j.initiatives) setData(j);
+      return j;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const base = `/api/deals/${dealId}/integration-plan`;
+  const setStatus = (i, status) => send(`${base}/initiatives/${i.id}`, 'PATCH', { status });
+
+  const startEdit = (i) => {
+    if (editingId === (i?.id || 'new')) { setEditingId(null); return; }
+    setEditingId(i?.id || 'new');
+    setDraft(i ? draftFrom(i) : { ...EMPTY_DRAFT, workstream: workstreams[0]?.key || '' });
+  };
+
+  const saveDraft = async () => {
+    const body = { ...draft, owner_email: draft.owner_email || null, description: draft.description || null };
+    const j = editingId === 'new'
+      ? await send(`${base}/initiatives`, 'POST', body)
+      : await send(`${base}/initiatives/${editingId}`, 'PATCH', body);
+    if (j) setEditingId(null);
+  };
+
+  const remove = async (i) => {
+    if (!window.confirm(`Delete the "${i.title}" initiative?`)) return;
+    const j = await send(`${base}/initiatives/${i.id}`, 'DELETE');
+    if (j) setEditingId(null);
+  };
+
+  const openSettings = () => setSettings(settings ? null : {
+    day_one_date: plan?.day_one_date || '',
+    workstreams: workstreams.map((w) => ({ ...w, owner_email: w.owner_email || '' })),
+  });
+  const setWorkstream = (n, field) => (e) => setSettings((s) => ({
+    ...s,
+    workstreams: s.workstreams.map((w, i) => (i === n ? { ...w, [field]: e.target.value } : w)),
+  }));
+  const saveSettings = async () => {
+    const j = await send(base, 'PUT', {
+      day_one_date: settings.day_one_date || null,
+      workstreams: settings.workstreams
+        .filter((w) => w.name.trim())
+        .map((w) => ({ key: w.key, name: w.name, owner_email: w.owner_email || null })),
+    });
+    if (j) setSettings(null);
+  };
+
+  const set = (field) => (e) => setDraft((d) => ({ ...d, [field]: e.target.value }));
+  const setMany = (field) => (e) => setDraft((d) => ({ ...d, [field]: selectedValues(e) }));
+
+  const editor = (
+    <div className="deal-milestone-editor">
+      <div className="deal-milestone-editor-row">
+        <input className="deal-checklist-field deal-checklist-field--grow" placeholder="Initiative"
+          value={draft.title} onChange={set('title')} aria-label="Initiative title" />
+        <select className="deal-checklist-field" value={draft.workstream} onChange={set('workstream')} aria-label="Workstream">
+          {workstreams.map((w) => <option key={w.key} value={w.key}>{w.name}</option>)}
+        </select>
+        <select className="deal-checklist-field" value={draft.deadline} onChange={set('deadline')} aria-label="Deadline">
+          {deadlines.map((d) => <option key={d.key} value={d.key}>{d.label}</option>)}
+        </select>
+      </div>
+      <div className="deal-milestone-editor-row">
+        <input className="deal-checklist-field deal-checklist-field--grow" type="email" placeholder="Owner email"
+          list={`integration-owners-${dealId}`} value={draft.owner_email || ''} onChange={set('owner_email')} aria-label="Owner" />
+        <datalist id={`integration-owners-${dealId}`}>
+          {ownerEmails.map((e) => <option key={e} value={e} />)}
+        </datalist>
+      </div>
+      <textarea className="deal-checklist-field deal-milestone-note" rows={2} placeholder="What done looks like"
+        value={draft.description || ''} onChange={set('description')} aria-label="Description" />
+      <div className="deal-milestone-links">
+        <label className="deal-milestone-label deal-milestone-label--stack">Tracks changes
+          <select multiple className="deal-checklist-field" value={draft.change_ids} onChange={setMany('change_ids')}>
+            {(options?.changes || []).map((c) => <option key={c.id} value={c.id}>{c.label} ({c.state})</option>)}
+          </select>
+        </label>
+        <label className="deal-milestone-label deal-milestone-label--stack">Addresses findings
+          <select multiple className="deal-checklist-field" value={draft.finding_keys} onChange={setMany('finding_keys')}>
+            {(options?.findings || []).map((f) => <option key={f.key} value={f.key}>{f.label}</option>)}
+          </select>
+        </label>
+        <label className="deal-milestone-label deal-milestone-label--stack">Processes
+          <select multiple className="deal-checklist-field" value={draft.process_ids} onChange={setMany('process_ids')}>
+            {(options?.processes || []).map((p) => <option key={p.id} value={p.id}>{p.label}</option>)}
+          </select>
+        </label>
+      </div>
+      <div className="deal-checklist-actions">
+        <button type="button" className="deal-checklist-btn deal-checklist-btn--primary" disabled={busy || !draft.title.trim() || !draft.workstream} onClick={saveDraft}>
+          {editingId === 'new' ? 'Add initiative' : 'Save'}
+        </button>
+        <button type="button" className="deal-checklist-btn" disabled={busy} onClick={() => setEditingId(null)}>Cancel</button>
+        {editingId !== 'new' && (
+          <button type="button" className="deal-checklist-btn deal-milestone-delete" disabled={busy}
+            onClick={() => remove(initiatives.find((i) => i.id === editingId))}>Delete</button>
+        )}
+      </div>
+    </div>
+  );
+
+  return (
+    <section className="deal-workspace-section deal-integration">
+      <h3 className="deal-workspace-section-title">
+        Integration plan <span className="deal-workspace-section-count">{initiatives.length}</span>
+        <span className="deal-workspace-section-sub">
+          {dayOne ? `Day 1 ${dayOne}${dayOneSource === 'milestone' ? ' (from the timeline)' : ''}` : 'Day 1 not set'}
+        </span>
+        {overdue > 0 && <span className="deal-milestone-alert">{overdue} overdue</span>}
+      </h3>
+
+      {message && <p className="deal-checklist-message deal-milestone-message">{message}</p>}
+
+      {canEdit && settings && (
+        <div className="deal-milestone-editor deal-integration-settings">
+          <label className="deal-milestone-label">Day 1
+            <input className="deal-checklist-field" type="date" value={settings.day_one_date}
+              onChange={(e) => setSettings((s) => ({ ...s, day_one_date: e.target.value }))} />
+          </label>
+          <p className="deal-checklist-note">Leave empty to use the Day 1 milestone on the timeline.</p>
+          {settings.workstreams.map((w, n) => (
+            <div key={w.key || `new-${n}`} className="deal-milestone-editor-row">
+              <input className="deal-checklist-field deal-checklist-field--grow" placeholder="Workstream"
+                value={w.name} onChange={setWorkstream(n, 'name')} aria-label="Workstream name" />
+              <input className="deal-checklist-field" type="email" placeholder="Lead email" list={`integration-owners-${dealId}`}
+                value={w.owner_email} onChange={setWorkstream(n, 'owner_email')} aria-label="Workstream lead" />
+              <button type="button" className="deal-checklist-btn" aria-label={`Remove ${w.name}`}
+                onClick={() => setSettings((s) => ({ ...s, workstreams: s.workstreams.filter((_, i) => i !== n) }))}>×</button>
+            </div>
+          ))}
+          <div className="deal-checklist-actions">
+            <button type="button" className="deal-checklist-btn"
+              onClick={() => setSettings((s) => ({ ...s, workstreams: [...s.workstreams, { key: '', name: '', owner_email: '' }] }))}>
+              + Workstream
+            </button>
+            <button type="button" className="deal-checklist-btn deal-checklist-btn--primary" disabled={busy} onClick={saveSettings}>Save plan</button>
+            <button type="button" className="deal-checklist-btn" disabled={busy} onClick={() => setSettings(null)}>Cancel</button>
+          </div>
+        </div>
+      )}
+
+      {!initiatives.length ? (
+        <p className="deal-workspace-empty">
+          No initiatives yet. Ask the deal agent to draft a 100-day plan from the findings and the participants&apos; processes, or add one yourself.
+        </p>
+      ) : (
+        <>
+          <div className="deal-integration-summary">
+            <Burndown burndown={burndown} />
+            <ul className="deal-integration-deadlines">
+              {deadlines.map((d) => {
+                const b = burndown.by_deadline?.[d.key];
+                if (!b?.total) return null;
+                return (
+                  <li key={d.key}>
+                    <strong>{d.label}</strong> {b.done}/{b.total} done{b.overdue ? <span className="deal-milestone-alert">{b.overdue} overdue</span> : null}
+                  </li>
+                );
+              })}
+            </ul>
+            {burndown.outcomes?.length > 0 && (
+              <ul className="deal-integration-outcomes">
+                {burndown.outcomes.map((o) => (
+                  <li key={`${o.metric}|${o.unit || ''}`}>
+                    <span className="deal-integration-metric">{o.metric.replace(/_/g, ' ')}</span> {formatDelta(o)}
+                    <span className="deal-gantt-meta"> · {o.changes} change{o.changes === 1 ? '' : 's'} measured</span>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+
+          {deadlines.map((d) => {
+            const group = initiatives.filter((i) => i.deadline === d.key);
+            if (!group.length) return null;
+            return (
+              <div key={d.key} className="deal-integration-group">
+                <h4 className="deal-integration-group-title">
+                  {d.label}{group[0].due_date ? <span className="deal-gantt-meta"> · by {group[0].due_date}</span> : null}
+                </h4>
+                <ul className="deal-integration-list">
+                  {group.map((i) => {
+                    const expanded = expandedId === i.id;
+                    return (
+                      <li key={i.id} className={`deal-integration-item deal-integration-item--${i.state}`}>
+                        <button type="button" className="deal-integration-line" onClick={() => setExpandedId(expanded ? null : i.id)} aria-expanded={expanded}>
+                          <span className="deal-gantt-title">{i.title}</span>
+                          <span className="deal-gantt-meta">
+                            {[workstreamName(i.workstream), i.owner_email, i.origin === 'agent' ? 'drafted by agent' : null].filter(Boolean).join(' · ')}
+                          </span>
+                          <span className="deal-integration-progress" title={`${Math.round(i.progress * 100)}%`}>
+                            <span style={{ width: `${Math.round(i.progress * 100)}%` }} />
+                          </span>
+                          <span className={`deal-milestone-state deal-milestone-state--${i.state}`}>{STATE_LABEL[i.state]}</span>
+                        </button>
+                        {expanded && (
+                          <div className="deal-gantt-detail">
+                            {i.description && <p className="deal-checklist-note">{i.description}</p>}
+                            {i.changes.length > 0 ? (
+                              <ul className="deal-integration-changes">
+                                {i.changes.map((c) => <li key={c.id}>{c.label} <span className="deal-gantt-meta">· {c.state}</span></li>)}
+                              </ul>
+                            ) : (
+                              <p className="deal-checklist-note">No changes linked — progress only moves when it&apos;s marked done.</p>
+                            )}
+                            {i.finding_keys.length > 0 && (
+                              <p className="deal-checklist-note">Addresses: {i.finding_keys.map(findingLabel).join('; ')}</p>
+                            )}
+                            {canEdit && (
+                              <div className="deal-checklist-actions">
+                                {i.status === 'not_started' && (
+                                  <button type="button" className="deal-checklist-btn" disabled={busy} onClick={() => setStatus(i, 'in_progress')}>Start</button>
+                                )}
+                                {i.status !== 'done' ? (
+                                  <button type="button" className="deal-checklist-btn deal-checklist-btn--primary" disabled={busy} onClick={() => setStatus(i, 'done')}>Mark done</button>
+                                ) : (
+                                  <button type="button" className="deal-checklist-btn" disabled={busy} onClick={() => setStatus(i, 'in_progress')}>Reopen</button>
+                                )}
+                                <button type="button" className="deal-checklist-btn" disabled={busy} onClick={() => startEdit(i)}>
+                                  {editingId === i.id ? 'Close editor' : 'Edit'}
+                                </button>
+                              </div>
+                            )}
+                            {editingId === i.id && editor}
+                          </div>
+                        )}
+                      </li>
+                    );
+                  })}
+                </ul>
+              </div>
+            );
+          })}
+        </>
+      )}
+
+      {canEdit && (
+        <div className="deal-checklist-actions deal-milestone-footer">
+          <button type="button" className="deal-checklist-btn" disabled={busy || !workstreams.length} onClick={() => startEdit(null)}>+ Initiative</button>
+          <button type="button" className="deal-checklist-btn" disabled={busy} onClick={openSettings}>
+            {settings ? 'Close plan settings' : 'Day 1 & workstreams'}
+          </button>
+        </div>
+      )}
+      {editingId === 'new' && editor}
+    </section>
+  );
+}
@@ -0,0 +1,290 @@
+'use client';
+
+/**
+ * Deal timeline — the deal's phases (NDA … Day 100) as a Gantt chart in
+ * DealWorkspaceModal. One row per milestone: title, owner and due date on
+ * the left, a bar from start to due date on the right with a marker for
+ * today. Bars are coloured by state (planned / in progress / blocked /
+ * overdue / done); expanding a row lists what blocks it.
+ *
+ * Blockers come from GET /api/deals/[id]/milestones: unfinished
+ * dependencies, open linked Q&A, missing checklist documents and
+ * unresolved findings — signing waits on every open deal_breaker. The
+ * server refuses "done" while any remain, so the 409 message is shown as is.
+ *
+ * The deal team can add the standard phases in one go, add custom
+ * milestones, and edit owner, dates, dependencies and links.
+ */
+
+import { useCallback, useEffect, useState } from 'react';
+import { apiFetch } from '@/lib/api-fetch';
+
+const STATE_LABEL = {
+  planned: 'Planned',
+  in_progress: 'In progress',
+  blocked: 'Blocked',
+  overdue: 'Overdue',
+  done: 'Done',
+};
+const EMPTY_DRAFT = {
+  title: '', phase: 'custom', owner_email: '', start_date: '', due_date: '', note: '',
+  depends_on: [], qa_item_ids: [], checklist_item_ids: [], finding_keys: [], gate_deal_breakers: false,
+};
+const DRAFT_FIELDS = Object.keys(EMPTY_DRAFT);
+
+function draftFrom(m) {
+  return Object.fromEntries(DRAFT_FIELDS.map((k) => [k, m[k] ?? EMPTY_DRAFT[k]]));
+}
+
+function selectedValues(e) {
+  return Array.from(e.target.selectedOptions).map((o) => o.value);
+}
+
+export default function DealMilestonesPanel({ dealId, accessToken, participants = [], refreshKey }) {
+  const [data, setData] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState(null);
+  const [expandedId, setExpandedId] = useState(null);
+  const [editingId, setEditingId] = useState(null); // milestone id, 'new', or null
+  const [draft, setDraft] = useState(EMPTY_DRAFT);
+  const [seedStart, setSeedStart] = useState(() => new Date().toISOString().slice(0, 10));
+
+  const load = useCallback(async () => {
+    if (!dealId || !accessToken) return;
+    try {
+      const r = await apiFetch(`/api/deals/${dealId}/milestones`, { dedupe: false }, accessToken);
+      const j = r.ok ? await r.json() : null;
+      if (j?.milestones) setData(j);
+    } catch { /* swallow — the section just stays hidden */ }
+  }, [dealId, accessToken]);
+
+  useEffect(() => { load(); }, [load, refreshKey]);
+
+  if (!data) return null;
+  const { milestones, gantt, phases = [], canEdit, options } = data;
+  if (!milestones.length && !canEdit) return null;
+
+  const blockedCount = milestones.filter((m) => m.state === 'blocked' || m.state === 'overdue').length;
+  const ownerEmails = [...new Set(participants.map((p) => p.participant_email || p.participantEmail).filter(Boolean))];
+
+  const send = async (url, method, body) => {
+    setBusy(true);
+    setMessage(null);
+    try {
+      const r = await apiFetch(url, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: body ? JSON.stringify(body) : undefined,
+      }, accessToken);
+      const j = await r.json().catch(() => ({}));
+      if (!r.ok) {
+        const blockers = (j.blockers || []).map((b) => `• ${b.label}`).join('\n');
+        setMessage(blockers ? `${j.error}\n${blockers}` : (j.error || 'Something went wrong.'));
+        return null;
+      }
+      if (j.milestones) setData(j);
+      return j;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const seed = () => send(`/api/deals/${dealId}/milestones`, 'POST', { seed: true, start: seedStart });
+  const setStatus = (m, status) => send(`/api/deals/${dealId}/milestones/${m.id}`, 'PATCH', { status });
+
+  const startEdit = (m) => {
+    if (editingId === (m?.id || 'new')) { setEditingId(null); return; }
+    setEditingId(m?.id || 'new');
+    setDraft(m ? draftFrom(m) : EMPTY_DRAFT);
+  };
+
+  const saveDraft = async () => {
+    const body = { ...draft, owner_email: draft.owner_email || null, start_date: draft.start_date || null, due_date: draft.due_date || null };
+    const j = editingId === 'new'
+      ? await send(`/api/deals/${dealId}/milestones`, 'POST', body)
+      : await send(`/api/deals/${dealId}/milestones/${editingId}`, 'PATCH', body);
+    if (j) setEditingId(null);
+  };
+
+  const remove = async (m) => {
+    if (!window.confirm(`Delete the "${m.title}" milestone?`)) return;
+    const j = await send(`/api/deals/${dealId}/milestones/${m.id}`, 'DELETE');
+    if (j) setEditingId(null);
+  };
+
+  const set = (field) => (e) => {
+    const value = e.target.type === 'checkbox' ? e.target.checked : e.target.value;
+    setDraft((d) => ({ ...d, [field]: value }));
+  };
+  const setMany = (field) => (e) => setDraft((d) => ({ ...d, [field]: selectedValues(e) }));
+
+  const editor = (
+    <div className="deal-milestone-editor">
+      <div className="deal-milestone-editor-row">
+        <input className="deal-checklist-field deal-checklist-field--grow" placeholder="Milestone"
+          value={draft.title} onChange={set('title')} aria-label="Milestone title" />
+        <select className="deal-checklist-field" value={draft.phase} onChange={set('phase')} aria-label="Phase">
+          {phases.map((p) => <option key={p.key} value={p.key}>{p.label}</option>)}
+          <option value="custom">Custom</option>
+        </select>
+      </div>
+      <div className="deal-milestone-editor-row">
+        <input className="deal-checklist-field deal-checklist-field--grow" type="email" placeholder="Owner email"
+          list={`milestone-owners-${dealId}`} value={draft.owner_email || ''} onChange={set('owner_email')} aria-label="Owner" />
+        <datalist id={`milestone-owners-${dealId}`}>
+          {ownerEmails.map((e) => <option key={e} value={e} />)}
+        </datalist>
+        <label className="deal-milestone-label">Start
+          <input className="deal-checklist-field" type="date" value={draft.start_date || ''} onChange={set('start_date')} />
+        </label>
+        <label className="deal-milestone-label">Due
+          <input className="deal-checklist-field" type="date" value={draft.due_date || ''} onChange={set('due_date')} />
+        </label>
+      </div>
+      <div className="deal-milestone-links">
+        <label className="deal-milestone-label deal-milestone-label--stack">After
+          <select multiple className="deal-checklist-field" value={draft.depends_on} onChange={setMany('depends_on')}>
+            {milestones.filter((m) => m.id !== editingId).map((m) => <option key={m.id} value={m.id}>{m.title}</option>)}
+          </select>
+        </label>
+        <label className="deal-milestone-label deal-milestone-label--stack">Q&A answered
+          <select multiple className="deal-checklist-field" value={draft.qa_item_ids} onChange={setMany('qa_item_ids')}>
+            {(options?.qa || []).map((q) => (
+              <option key={q.id} value={q.id}>{q.label}{q.status !== 'open' ? ` (${q.status})` : q.due_date ? ` (due ${q.due_date})` : ''}</option>
+            ))}
+          </select>
+        </label>
+        <label className="deal-milestone-label deal-milestone-label--stack">Documents in
+          <select multiple className="deal-checklist-field" value={draft.checklist_item_ids} onChange={setMany('checklist_item_ids')}>
+            {(options?.checklist || []).map((c) => <option key={c.id} value={c.id}>{c.label} ({c.status})</option>)}
+          </select>
+        </label>
+        <label className="deal-milestone-label deal-milestone-label--stack">Findings resolved
+          <select multiple className="deal-checklist-field" value={draft.finding_keys} onChange={setMany('finding_keys')}>
+            {(options?.findings || []).map((f) => (
+              <option key={f.key} value={f.key}>{f.tags.includes('deal_breaker') ? '⛔ ' : ''}{f.label}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+      <label className="deal-milestone-check">
+        <input type="checkbox" checked={Boolean(draft.gate_deal_breakers)} onChange={set('gate_deal_breakers')} />
+        Blocked by any unresolved deal-breaker finding
+      </label>
+      <textarea className="deal-checklist-field deal-milestone-note" rows={2} placeholder="Note"
+        value={draft.note || ''} onChange={set('note')} aria-label="Note" />
+      <div className="deal-checklist-actions">
+        <button type="button" className="deal-checklist-btn deal-checklist-btn--primary" disabled={busy || (!draft.title.trim() && draft.phase === 'custom')} onClick={saveDraft}>
+          {editingId === 'new' ? 'Add milestone' : 'Save'}
+        </button>
+        <button type="button" className="deal-checklist-btn" disabled={busy} onClick={() => setEditingId(null)}>Cancel</button>
+        {editingId !== 'new' && (
+          <button type="button" className="deal-checklist-btn deal-milestone-delete" disabled={busy}
+            onClick={() => remove(milestones.find((m) => m.id === editingId))}>Delete</button>
+        )}
+      </div>
+    </div>
+  );
+
+  return (
+    <section className="deal-workspace-section deal-milestones">
+      <h3 className="deal-workspace-section-title">
+        Timeline <span className="deal-workspace-section-count">{milestones.length}</span>
+        {gantt?.start && <span className="deal-workspace-section-sub">{gantt.start} → {gantt.end}</span>}
+        {blockedCount > 0 && <span className="deal-milestone-alert">{blockedCount} blocked or overdue</span>}
+      </h3>
+
+      {message && <p className="deal-checklist-message deal-milestone-message">{message}</p>}
+
+      {!milestones.length ? (
+        <div className="deal-milestone-empty">
+          <p className="deal-workspace-empty">No milestones yet. Start from the standard phases — NDA through Day 100 — and adjust the dates.</p>
+          <div className="deal-checklist-actions">
+            <input className="deal-checklist-field" type="date" value={seedStart} onChange={(e) => setSeedStart(e.target.value)} aria-label="Start date" />
+            <button type="button" className="deal-checklist-btn deal-checklist-btn--primary" disabled={busy || !seedStart} onClick={seed}>
+              Add standard phases
+            </button>
+            <button type="button" className="deal-checklist-btn" disabled={busy} onClick={() => startEdit(null)}>Add one milestone</button>
+          </div>
+        </div>
+      ) : (
+        <div className="deal-gantt">
+          <div className="deal-gantt-head">
+            <span className="deal-gantt-label" />
+            <span className="deal-gantt-track">
+              {(gantt?.months || []).map((mo) => (
+                <span key={mo.label} className="deal-gantt-month" style={{ left: `${mo.left}%` }}>{mo.label}</span>
+              ))}
+            </span>
+          </div>
+          <ul className="deal-gantt-rows">
+            {milestones.map((m) => {
+              const bar = gantt?.bars?.[m.id];
+              const expanded = expandedId === m.id;
+              return (
+                <li key={m.id} className={`deal-gantt-row deal-gantt-row--${m.state}`}>
+                  <div className="deal-gantt-line">
+                    <button type="button" className="deal-gantt-label" onClick={() => setExpandedId(expanded ? null : m.id)} aria-expanded={expanded}>
+                      <span className="deal-gantt-title">{m.title}</span>
+                      <span className="deal-gantt-meta">
+                        {[m.phase !== 'custom' && m.phase_label !== m.title ? m.phase_label : null, m.owner_email, m.due_date ? `due ${m.due_date}` : 'no date'].filter(Boolean).join(' · ')}
+                      </span>
+                    </button>
+                    <span className="deal-gantt-track">
+                      {gantt?.today != null && <span className="deal-gantt-today" style={{ left: `${gantt.today}%` }} aria-hidden />}
+                      {bar && (
+                        <span className="deal-gantt-bar" style={{ left: `${bar.left}%`, width: `${bar.width}%` }}
+                          title={`${m.title} · ${STATE_LABEL[m.state]}${m.blockers.length ? ` · ${m.blockers.length} blocker${m.blockers.length === 1 ? '' : 's'}` : ''}`} />
+                      )}
+                    </span>
+                  </div>
+                  {expanded && (
+                    <div className="deal-gantt-detail">
+                      <span className={`deal-milestone-state deal-milestone-state--${m.state}`}>{STATE_LABEL[m.state]}</span>
+                      {m.blockers.length > 0 && (
+                        <ul className="deal-milestone-blockers">
+                          {m.blockers.map((b, i) => <li key={`${b.kind}:${b.ref || i}`}>{b.label}</li>)}
+                        </ul>
+                      )}
+                      {m.warnings.length > 0 && (
+                        <ul className="deal-milestone-blockers deal-milestone-blockers--warn">
+                          {m.warnings.map((w, i) => <li key={`${w.kind}:${w.ref || i}`}>{w.label}</li>)}
+                        </ul>
+                      )}
+                      {m.note && <p className="deal-checklist-note">{m.note}</p>}
+                      {canEdit && (
+                        <div className="deal-checklist-actions">
+                          {m.status === 'planned' && (
+                            <button type="button" className="deal-checklist-btn" disabled={busy} onClick={() => setStatus(m, 'in_progress')}>Start</button>
+                          )}
+                          {m.status !== 'done' ? (
+                            <button type="button" className="deal-checklist-btn deal-checklist-btn--primary" disabled={busy} onClick={() => setStatus(m, 'done')}>Mark done</button>
+                          ) : (
+                            <button type="button" className="deal-checklist-btn" disabled={busy} onClick={() => setStatus(m, 'in_progress')}>Reopen</button>
+                          )}
+                          <button type="button" className="deal-checklist-btn" disabled={busy} onClick={() => startEdit(m)}>
+                            {editingId === m.id ? 'Close editor' : 'Edit'}
+                          </button>
+                        </div>
+                      )}
+                      {editingId === m.id && editor}
+                    </div>
+                  )}
+                </li>
+              );
+            })}
+          </ul>
+          {canEdit && (
+            <div className="deal-checklist-actions deal-milestone-footer">
+              <button type="button" className="deal-checklist-btn" disabled={busy} onClick={() => startEdit(null)}>+ Milestone</button>
+              {phases.some((p) => !milestones.some((m) => m.phase === p.key)) && (
+                <button type="button" className="deal-checklist-btn" disabled={busy} onClick={seed}>Add missing standard phases</button>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+      {editingId === 'new' && editor}
+    </section>
+  );
+}
@@ -0,0 +1,400 @@
+'use client';
+
+/**
+ * Q&A section of DealWorkspaceModal — the questions-to-seller queue and
+ * the answers that landed. Distinct from the chat (free-form) and findings
+ * (model-generated).
+ *
+ * Two audiences share it:
+ *   - the deal team (editable) asks questions one at a time or imports a
+ *     request list (XLSX / CSV, previewed before it writes), sets
+ *     category / priority / due dates, and exports the list back out;
+ *   - the participant a question is assigned to (the seller side) gets an
+ *     "Assigned to me" view where they answer, attach files that go
+ *     straight into the data room, and can ask for an answer draft built
+ *     from the data room — which they accept or rewrite before it counts.
+ *
+ * Items and summary are owned by the modal (they ride its parallel first
+ * load and cache); this panel calls onReload after every write.
+ */
+
+import { useEffect, useRef, useState } from 'react';
+import { apiFetch } from '@/lib/api-fetch';
+
+const PRIORITIES = ['low', 'medium', 'high', 'critical'];
+const DUE_STATE_LABEL = { overdue: 'overdue', due_soon: 'due soon' };
+
+function dueState(q) {
+  if (q.status !== 'open' || !q.due_date) return null;
+  const today = new Date().toISOString().slice(0, 10);
+  if (q.due_date < today) return 'overdue';
+  const soon = new Date(Date.now() + 2 * 86400000).toISOString().slice(0, 10);
+  return q.due_date <= soon ? 'due_soon' : null;
+}
+
+function formatDue(d) {
+  return new Date(`${d}T00:00:00Z`).toLocaleDateString(undefined, { day: 'numeric', month: 'short', timeZone: 'UTC' });
+}
+
+export default function DealQaPanel({
+  dealId, accessToken, items, summary, onReload, editable, participants = [],
+  viewerParticipantId = null, documents = [], onOpenDoc, onDocumentsAdded,
+}) {
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState(null);
+  const [question, setQuestion] = useState('');
+  const [assign, setAssign] = useState('');
+  const [category, setCategory] = useState('');
+  const [priority, setPriority] = useState('medium');
+  const [due, setDue] = useState('');
+  const [answerDraft, setAnswerDraft] = useState({}); // { [itemId]: text }
+  const [fromDraft, setFromDraft] = useState(() => new Set()); // items whose answer box holds an edited draft
+  const [draftingId, setDraftingId] = useState(null);
+  const [importState, setImportState] = useState(null); // { file, preview }
+  const [filter, setFilter] = useState('all');
+  const importRef = useRef(null);
+  const mineCount = viewerParticipantId ? items.filter((q) => q.assigned_participant_id === viewerParticipantId).length : 0;
+  const hasMine = mineCount > 0;
+
+  // Participants land on their own questions first.
+  useEffect(() => {
+    if (!editable && hasMine) setFilter('mine');
+  }, [editable, hasMine]);
+
+  const docsById = new Map(documents.map((d) => [d.id, d]));
+  const shown = items.filter((q) => {
+    if (filter === 'mine') return q.assigned_participant_id === viewerParticipantId;
+    if (filter === 'overdue') return dueState(q) === 'overdue';
+    return true;
+  });
+
+  const send = async (path, init) => {
+    setBusy(true);
+    setMessage(null);
+    try {
+      const r = await apiFetch(path, init, accessToken);
+      const j = await r.json().catch(() => ({}));
+      if (!r.ok) setMessage(j.error || 'Something went wrong.');
+      return r.ok ? j : null;
+    } catch {
+      setMessage('Something went wrong.');
+      return null;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const json = (method, body) => ({ method, headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+
+  const updateQa = async (itemId, patch) => {
+    const j = await send(`/api/deals/${dealId}/qa`, json('PATCH', { id: itemId, ...patch }));
+    if (j) await onReload();
+    return j;
+  };
+
+  const askQuestion = async () => {
+    const text = question.trim();
+    if (!text) return;
+    const body = { question: text, priority };
+    if (category.trim()) body.category = category.trim();
+    if (due) body.due_date = due;
+    if (assign) {
+      const part = participants.find((p) => p.id === assign);
+      body.assigned_participant_id = assign;
+      if (part) body.assigned_company = part.company_name || part.companyName || null;
+    }
+    const j = await send(`/api/deals/${dealId}/qa`, json('POST', body));
+    if (j) {
+      setQuestion(''); setAssign(''); setDue('');
+      await onReload();
+    }
+  };
+
+  const submitAnswer = async (itemId) => {
+    const text = (answerDraft[itemId] || '').trim();
+    if (!text) return;
+    // An edited draft is still accepted as a draft, so its citations
+    // become the answer's evidence.
+    const patch = fromDraft.has(itemId)
+      ? { accept_draft: true, answer_text: text }
+      : { answer_text: text, status: 'answered' };
+    if (await updateQa(itemId, patch)) {
+      setAnswerDraft((d) => ({ ...d, [itemId]: '' }));
+      setFromDraft((s) => { const next = new Set(s); next.delete(itemId); return next; });
+    }
+  };
+
+  const attach = async (itemId, fileList) => {
+    const files = [...(fileList || [])];
+    if (!files.length) return;
+    const form = new FormData();
+    for (const f of files) form.append('file', f);
+    const j = await send(`/api/deals/${dealId}/qa/${itemId}/attachments`, { method: 'POST', body: form });
+    if (j) {
+      await onReload();
+      onDocumentsAdded?.();
+    }
+  };
+
+  const requestDraft = async (itemId) => {
+    setDraftingId(itemId);
+    const j = await send(`/api/deals/${dealId}/qa/${itemId}/draft`, { method: 'POST' });
+    setDraftingId(null);
+    if (j && !j.found) setMessage(j.message || 'The data room doesn\'t answer this yet.');
+    if (j?.found) await onReload();
+  };
+
+  const previewImport = async (file) => {
+    if (!file) return;
+    const form = new FormData();
+    form.append('file', file);
+    const j = await send(`/api/deals/${dealId}/qa/import?preview=1`, { method: 'POST', body: form });
+    setImportState(j ? { file, preview: j } : null);
+  };
+
+  const confirmImport = async () => {
+    const form = new FormData();
+    form.append('file', importState.file);
+    const j = await send(`/api/deals/${dealId}/qa/import`, { method: 'POST', body: form });
+    if (j) {
+      setImportState(null);
+      setMessage(`Imported: ${j.counts.created} new, ${j.counts.updated} updated${j.counts.errors ? `, ${j.counts.errors} rows skipped` : ''}.`);
+      await onReload();
+    }
+  };
+
+  // Bearer token + blob, same as the deal pack, so no token-in-URL flow.
+  const download = async (format) => {
+    const mine = filter === 'mine' ? '&mine=1' : '';
+    const r = await fetch(`/api/deals/${dealId}/qa/export?format=${format}${mine}`, {
+      headers: { Authorization: `Bearer ${accessToken}` },
+    });
+    if (!r.ok) { setMessage('Export failed.'); return; }
+    const name = (r.headers.get('Content-Disposition') || '').match(/filename="([^"]+)"/)?.[1] || `qa.${format}`;
+    const blob = await r.blob();
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url; a.download = name;
+    document.body.appendChild(a); a.click(); a.remove();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <section className="deal-workspace-section deal-qa">
+      <h3 className="deal-workspace-section-title">
+        Q&amp;A
+        <span className="deal-workspace-section-count">{summary.open}</span>
+        <span className="deal-workspace-section-sub">
+          {summary.open} open · {summary.answered} answered{summary.skipped ? ` · ${summary.skipped} skipped` : ''}
+          {summary.overdue ? ` · ${summary.overdue} overdue` : ''}
+        </span>
+      </h3>
+
+      <div className="deal-qa-toolbar">
+        <div className="deal-qa-filters" role="tablist">
+          <button type="button" role="tab" aria-selected={filter === 'all'} className={`deal-qa-filter${filter === 'all' ? ' is-active' : ''}`} onClick={() => setFilter('all')}>All</button>
+          {mineCount > 0 && (
+            <button type="button" role="tab" aria-selected={filter === 'mine'} className={`deal-qa-filter${filter === 'mine' ? ' is-active' : ''}`} onClick={() => setFilter('mine')}>Assigned to me · {mineCount}</button>
+          )}
+          {summary.overdue > 0 && (
+            <button type="button" role="tab" aria-selected={filter === 'overdue'} className={`deal-qa-filter deal-qa-filter--overdue${filter === 'overdue' ? ' is-active' : ''}`} onClick={() => setFilter('overdue')}>Overdue · {summary.overdue}</button>
+          )}
+        </div>
+        <div className="deal-qa-toolbar-actions">
+          {editable && (
+            <>
+              <input
+                ref={importRef}
+                type="file"
+                accept=".xlsx,.xls,.csv"
+                hidden
+                onChange={(e) => { previewImport(e.target.files?.[0]); e.target.value = ''; }}
+              />
+              <button type="button" className="deal-qa-skip" onClick={() => importRef.current?.click()} disabled={busy} title="Import a request list (XLSX or CSV) with question, category, priority, due date and assignee columns">Import</button>
+            </>
+          )}
+          {items.length > 0 && (
+            <>
+              <button type="button" className="deal-qa-skip" onClick={() => download('xlsx')} title="Download the list as a spreadsheet you can edit and re-import">Export XLSX</button>
+              <button type="button" className="deal-qa-skip" onClick={() => download('csv')}>CSV</button>
+            </>
+          )}
+        </div>
+      </div>
+
+      {message && <p className="deal-qa-message" role="status">{message}</p>}
+
+      {importState && (
+        <div className="deal-qa-import">
+          <p className="deal-qa-import-summary">
+            <strong>{importState.file.name}</strong>: {importState.preview.counts.new} new · {importState.preview.counts.updated} updated
+            {' · '}{importState.preview.counts.unchanged} unchanged
+            {importState.preview.counts.errors ? ` · ${importState.preview.counts.errors} rows with errors` : ''}
+            {importState.preview.counts.unassigned ? ` · ${importState.preview.counts.unassigned} assignees not matched to a participant` : ''}
+          </p>
+          {importState.preview.errors.length > 0 && (
+            <ul className="deal-qa-import-errors">
+              {importState.preview.errors.slice(0, 10).map((e) => (
+                <li key={`${e.line}-${e.error}`}>Row {e.line}: {e.error}</li>
+              ))}
+              {importState.preview.errors.length > 10 && <li>…and {importState.preview.errors.length - 10} more</li>}
+            </ul>
+          )}
+          <div className="deal-qa-composer-row">
+            <button
+              type="button"
+              className="deal-qa-submit"
+              onClick={confirmImport}
+              disabled={busy || !(importState.preview.counts.new + importState.preview.counts.updated)}
+            >Import</button>
+            <button type="button" className="deal-qa-skip" onClick={() => setImportState(null)} disabled={busy}>Cancel</button>
+          </div>
+        </div>
+      )}
+
+      {editable && (
+        <div className="deal-qa-composer">
+          <textarea
+            className="deal-qa-input"
+            value={question}
+            onChange={(e) => setQuestion(e.target.value)}
+            placeholder="Ask the seller a question…"
+            rows={2}
+            disabled={busy}
+          />
+          <div className="deal-qa-composer-row">
+            {participants.length > 0 && (
+              <select className="deal-qa-assign" value={assign} onChange={(e) => setAssign(e.target.value)} disabled={busy}>
+                <option value="">Unassigned</option>
+                {participants.map((p) => (
+                  <option key={p.id} value={p.id}>{p.company_name || p.companyName} · {p.role}</option>
+                ))}
+              </select>
+            )}
+            <input className="deal-qa-field" value={category} onChange={(e) => setCategory(e.target.value)} placeholder="Category" disabled={busy} />
+            <select className="deal-qa-field" value={priority} onChange={(e) => setPriority(e.target.value)} disabled={busy} aria-label="Priority">
+              {PRIORITIES.map((p) => <option key={p} value={p}>{p}</option>)}
+            </select>
+            <input className="deal-qa-field" type="date" value={due} onChange={(e) => setDue(e.target.value)} disabled={busy} aria-label="Due date" />
+            <button type="button" className="deal-qa-submit" onClick={askQuestion} disabled={busy || !question.trim()}>Ask</button>
+          </div>
+        </div>
+      )}
+
+      {shown.length === 0 ? (
+        <p className="deal-workspace-empty">{items.length ? 'Nothing in this view.' : 'No questions yet.'}</p>
+      ) : (
+        <ul className="deal-qa-list">
+          {shown.map((q) => {
+            // The server enforces the same rule: editors, or the
+            // participant the item is assigned to.
+            const isAssignee = Boolean(viewerParticipantId) && q.assigned_participant_id === viewerParticipantId;
+            const canAnswer = editable || isAssignee;
+            const state = dueState(q);
+            const attachments = (q.evidence_document_ids || []).map((id) => docsById.get(id)).filter(Boolean);
+            return (
+              <li key={q.id} className={`deal-qa-item deal-qa-item--${q.status}${state ? ` deal-qa-item--${state}` : ''}`}>
+                <div className="deal-qa-head">
+                  <span className={`deal-qa-status deal-qa-status--${q.status}`}>{q.status}</span>
+                  {q.reference && <span className="deal-qa-ref">{q.reference}</span>}
+                  <span className="deal-qa-question">{q.question}</span>
+                  {q.assigned_company && (
+                    <span className="deal-qa-assignee" title="Assigned to">→ {q.assigned_company}</span>
+                  )}
+                </div>
+                <div className="deal-qa-meta">
+                  {q.category && <span className="deal-qa-tag">{q.category}</span>}
+                  {q.priority && q.priority !== 'medium' && (
+                    <span className={`deal-qa-tag deal-qa-priority--${q.priority}`}>{q.priority}</span>
+                  )}
+                  {q.due_date && (
+                    <span className={`deal-qa-due${state ? ` deal-qa-due--${state}` : ''}`}>
+                      due {formatDue(q.due_date)}{state ? ` · ${DUE_STATE_LABEL[state]}` : ''}
+                    </span>
+                  )}
+                  asked by {q.asked_by_email} · {new Date(q.asked_at).toLocaleDateString()}
+                  {q.answered_at && ` · answered ${new Date(q.answered_at).toLocaleDateString()}`}
+                </div>
+                {q.answer_text && <div className="deal-qa-answer">{q.answer_text}</div>}
+                {attachments.length > 0 && (
+                  <ul className="deal-qa-attachments">
+                    {attachments.map((d) => (
+                      <li key={d.id}>
+                        <button type="button" className="deal-qa-attachment" onClick={() => onOpenDoc?.(d.id)}>{d.label || d.filename}</button>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+                {q.status === 'open' && canAnswer && q.draft_answer && (
+                  <div className="deal-qa-draft">
+                    <div className="deal-qa-draft-label">Draft from the data room — check it before accepting</div>
+                    <div className="deal-qa-draft-text">{q.draft_answer}</div>
+                    {Array.isArray(q.draft_citations) && q.draft_citations.length > 0 && (
+                      <ol className="deal-qa-citations">
+                        {q.draft_citations.map((c) => (
+                          <li key={c.n} value={c.n} title={c.snippet}>
+                            <button type="button" className="deal-qa-attachment" onClick={() => onOpenDoc?.(c.document_id)}>
+                              {c.filename}{c.page_number ? ` p.${c.page_number}` : ''}{c.sheet_name ? ` · ${c.sheet_name}` : ''}
+                            </button>
+                          </li>
+                        ))}
+                      </ol>
+                    )}
+                    <div className="deal-qa-composer-row">
+                      <button type="button" className="deal-qa-submit" onClick={() => updateQa(q.id, { accept_draft: true })} disabled={busy}>Accept</button>
+                      <button type="button" className="deal-qa-skip" onClick={() => {
+                          setAnswerDraft((d) => ({ ...d, [q.id]: q.draft_answer }));
+                          setFromDraft((s) => new Set(s).add(q.id));
+                        }} disabled={busy}>Edit</button>
+                      <button type="button" className="deal-qa-skip" onClick={() => updateQa(q.id, { discard_draft: true })} disabled={busy}>Discard</button>
+                    </div>
+                  </div>
+                )}
+                {q.status === 'open' && canAnswer && (
+                  <div className="deal-qa-answer-composer">
+                    <textarea
+                      className="deal-qa-input deal-qa-input--answer"
+                      value={answerDraft[q.id] || ''}
+                      onChange={(e) => setAnswerDraft((d) => ({ ...d, [q.id]: e.target.value }))}
+                      placeholder="Answer…"
+                      rows={2}
+                      disabled={busy}
+                    />
+                    <div className="deal-qa-composer-row">
+                      <button type="button" className="deal-qa-submit" onClick={() => submitAnswer(q.id)} disabled={busy || !(answerDraft[q.id] || '').trim()}>Submit answer</button>
+                      <label className={`deal-qa-skip deal-qa-attach${busy ? ' is-disabled' : ''}`}>
+                        Attach files
+                        <input type="file" multiple hidden disabled={busy} onChange={(e) => { attach(q.id, e.target.files); e.target.value = ''; }} />
+                      </label>
+                      <button type="button" className="deal-qa-skip" onClick={() => requestDraft(q.id)} disabled={busy}>
+                        {draftingId === q.id ? 'Drafting…' : 'Draft answer'}
+                      </button>
+                      {editable && (
+                        <>
+                          <input
+                            className="deal-qa-field"
+                            type="date"
+                            value={q.due_date || ''}
+                            onChange={(e) => updateQa(q.id, { due_date: e.target.value || null })}
+                            disabled={busy}
+                            aria-label="Due date"
+                          />
+                          <button type="button" className="deal-qa-skip" onClick={() => updateQa(q.id, { status: 'skipped' })} disabled={busy}>Skip</button>
+                        </>
+                      )}
+                    </div>
+                  </div>
+                )}
+                {editable && q.status !== 'open' && (
+                  <div className="deal-qa-actions">
+                    <button type="button" className="deal-qa-skip" onClick={() => updateQa(q.id, { status: 'open', answer_text: null })} disabled={busy}>Reopen</button>
+                  </div>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,112 @@
+'use client';
+
+/**
+ * Watermarked, view-only reader for deal documents.
+ *
+ * View-only documents never get a signed URL (the signed-url / preview
+ * endpoints answer 403 `{ view_only: true }`), so every place that opens a
+ * document falls back to this: it loads the extracted text from
+ * GET /api/deals/[id]/documents/[docId]/view and tiles the watermark the
+ * server issued — the viewer's email and the time of the view — across it.
+ * The server audits each load.
+ *
+ * Copy and the context menu are blocked inside the frame. That only slows
+ * a determined reader down; the watermark and the audit trail are what
+ * make a leak attributable.
+ */
+
+import { useEffect, useState } from 'react';
+import { apiFetch } from '@/lib/api-fetch';
+
+/**
+ * Repeating diagonal watermark laid over a positioned parent. `count`
+ * should grow with the content so long documents stay covered.
+ */
+export function WatermarkOverlay({ text, count = 24 }) {
+  if (!text) return null;
+  return (
+    <div className="deal-watermark" aria-hidden>
+      {Array.from({ length: count }, (_, i) => (
+        <span key={i} className="deal-watermark-line">{text}</span>
+      ))}
+    </div>
+  );
+}
+
+export default function DealWatermarkedViewer({ dealId, documentId, filename, accessToken, onClose }) {
+  const [data, setData] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!dealId || !documentId) return undefined;
+    let cancelled = false;
+    setData(null);
+    setError(null);
+    (async () => {
+      try {
+        const r = await apiFetch(`/api/deals/${dealId}/documents/${documentId}/view`, { dedupe: false }, accessToken);
+        const j = await r.json().catch(() => ({}));
+        if (cancelled) return;
+        if (!r.ok) setError(j.error || `HTTP ${r.status}`);
+        else setData(j);
+      } catch {
+        if (!cancelled) setError('Network error loading the document.');
+      }
+    })();
+    return () => { cancelled = true; };
+  }, [dealId, documentId, accessToken]);
+
+  useEffect(() => {
+    const onKey = (e) => { if (e.key === 'Escape') onClose?.(); };
+    window.addEventListener('keydown', onKey);
+    return () => window.removeEventListener('keydown', onKey);
+  }, [onClose]);
+
+  if (!documentId) return null;
+  const name = data?.document?.filename || filename || 'Document';
+  const block = (e) => e.preventDefault();
+  const chars = (data?.sections || []).reduce((n, s) => n + s.text.length, 0);
+
+  return (
+    <div className="deal-doc-viewer-overlay" role="dialog" aria-modal aria-label={`Viewing ${name}`}
+      onClick={(e) => { e.stopPropagation(); onClose?.(); }}>
+      <div className="deal-doc-viewer-frame" onClick={(e) => e.stopPropagation()}>
+        <div className="deal-doc-viewer-bar">
+          <span className="deal-doc-viewer-name" title={name}>
+            {name}
+            {data?.document?.view_only && <span className="deal-watermark-badge">View only</span>}
+            {data?.document?.ring_fenced && <span className="deal-watermark-badge">Clean team</span>}
+          </span>
+          <div className="deal-doc-viewer-actions">
+            <button type="button" className="deal-doc-viewer-btn" onClick={onClose} aria-label="Close">Close</button>
+          </div>
+        </div>
+        <div className="deal-watermark-body" onCopy={block} onCut={block} onContextMenu={block}>
+          {!data && !error && <p className="deal-watermark-status">Loading…</p>}
+          {error && <p className="deal-watermark-status deal-watermark-status--error">{error}</p>}
+          {data && (
+            <div className="deal-watermark-page">
+              <WatermarkOverlay text={data.watermark?.text} count={Math.min(600, 24 + Math.ceil(chars / 300))} />
+              {!data.sections?.length && (
+                <p className="deal-watermark-status">
+                  {data.document?.status === 'ready'
+                    ? 'No text could be extracted from this file.'
+                    : 'This document is still being processed — its text isn’t available yet.'}
+                </p>
+              )}
+              {(data.sections || []).map((s, i) => (
+                <section key={i} className="deal-watermark-section">
+                  {s.label && <div className="deal-watermark-section-label">{s.label}</div>}
+                  <pre className="deal-watermark-section-text">{s.text}</pre>
+                </section>
+              ))}
+            </div>
+          )}
+        </div>
+        {data?.watermark && (
+          <div className="deal-watermark-foot">Viewed by {data.watermark.text}. Views of this document are logged.</div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -7,7 +7,8 @@
  * link or the briefcase popover.
  *
  * Read-only v1 — clicking a row hands off to existing surfaces:
- *   * doc filename → inline viewer (signed URL → new tab fallback)
+ *   * doc filename → inline viewer (signed URL → new tab fallback);
+ *     view-only documents open in the watermarked viewer instead
  *   * finding title → /deals/[id]?focusFinding=<key> in a new tab
  *   * participant row → currently informational
  *
@@ -18,6 +19,14 @@
 import { useCallback, useEffect, useState } from 'react';
 import { apiFetch } from '@/lib/api-fetch';
 import DealConnectorBindings from './DealConnectorBindings';
+import DealInboundAddress from './DealInboundAddress';
+import DealContractRegister from './DealContractRegister';
+import DealChecklistPanel from './DealChecklistPanel';
+import DealMilestonesPanel from './DealMilestonesPanel';
+import DealIntegrationPlanPanel from './DealIntegrationPlanPanel';
+import DealCleanTeamsPanel from './DealCleanTeamsPanel';
+import DealWatermarkedViewer, { WatermarkOverlay } from './DealWatermarkedViewer';
+import DealQaPanel from './DealQaPanel';
 import WorkspaceSearchBar from './WorkspaceSearchBar';
 import DealActivityTimeline from './DealActivityTimeline';
 import ChangesTimeline from './ChangesTimeline';
@@ -60,12 +69,16 @@ function ExecSummaryBanner({ finding, review }) {
  * The original "open the file in a new tab" affordance lives next to it so
  * deep verification is still one click away.
  */
-function EvidenceRow({ ev, dealId, accessToken }) {
+function EvidenceRow({ ev: raw, dealId, accessToken }) {
+  // Stored evidence is { kind, ref, snippet }; older rows carry the
+  // locator fields at the top level.
+  const ev = raw?.ref ? { ...raw.ref, snippet: raw.snippet } : raw;
   const [open, setOpen] = useState(false);
   const [loading, setLoading] = useState(false);
   const [data, setData] = useState(null);
   const [err, setErr] = useState(null);
   const [openingDoc, setOpeningDoc] = useState(false);
+  const [watermarked, setWatermarked] = useState(false);
 
   const loc = [
     ev.filename,
@@ -103,8 +116,9 @@ function EvidenceRow({ ev, dealId, accessToken }) {
     setOpeningDoc(true);
     try {
       const r = await apiFetch(`/api/deals/${dealId}/documents/${ev.document_id}/signed-url`, {}, accessToken);
-      const j = r.ok ? await r.json() : null;
-      if (j?.url) window.open(j.url, '_blank', 'noopener,noreferrer');
+      const j = await r.json().catch(() => null);
+      if (j?.view_only) setWatermarked(true);
+      else if (r.ok && j?.url) window.open(j.url, '_blank', 'noopener,noreferrer');
     } finally {
       setOpeningDoc(false);
     }
@@ -137,7 +151,8 @@ function EvidenceRow({ ev, dealId, accessToken }) {
         <span className="deal-workspace-detail-evidence-snip">"{ev.snippet}"</span>
       )}
       {open && (
-        <div className="deal-workspace-evidence-drawer">
+        <div className={`deal-workspace-evidence-drawer${data?.watermark ? ' is-watermarked' : ''}`}>
+          {data?.watermark && <WatermarkOverlay text={data.watermark.text} />}
           {loading && <div className="deal-workspace-evidence-loading">Loading…</div>}
           {err && <div className="deal-workspace-evidence-error">{err}</div>}
           {data && (
@@ -163,6 +178,12 @@ function EvidenceRow({ ev, dealId, accessToken }) {
           )}
         </div>
       )}
+      {watermarked && (
+        <DealWatermarkedViewer
+          dealId={dealId} documentId={ev.document_id} filename={ev.filename}
+          accessToken={accessToken} onClose={() => setWatermarked(false)}
+        />
+      )}
     </li>
   );
 }
@@ -488,10 +509,6 @@ export default function DealWorkspaceModal({ open, onClose, dealId, accessToken,
   const [loadingCore, setLoadingCore] = useState(true);
   const [loadingFindings, setLoadingFindings] = useState(false);
   const [data, setData] = useState({ deal: null, participants: [], documents: [], findings: [], analysis: null, reviewsByKey: {}, newFindingKeys: new Set() });
-  // Per-deal-type "expected docs" checklist. Lazy-loaded after the main
-  // payload so the modal renders immediately; null while loading or empty.
-  const [checklist, setChecklist] = useState(null);
-  const [checklistOpen, setChecklistOpen] = useState(false);
   // Auto-filled scorecard. Lazy-loaded the first time the user opens it;
   // re-fetched whenever the analysis ref changes so a fresh delta run
   // refreshes the scorecard without a manual refresh.
@@ -505,15 +522,12 @@ export default function DealWorkspaceModal({ open, onClose, dealId, accessToken,
   // refresh just this slice, not the full modal.
   const [qaItems, setQaItems] = useState([]);
   const [qaSummary, setQaSummary] = useState({ open: 0, answered: 0, skipped: 0, obsolete: 0 });
-  const [qaDraft, setQaDraft] = useState('');
-  const [qaAssignParticipant, setQaAssignParticipant] = useState('');
-  const [qaBusy, setQaBusy] = useState(false);
-  const [qaAnswerDraft, setQaAnswerDraft] = useState({}); // { [itemId]: text }
   // Per-finding comment thread state. Lazy-loaded when a finding is expanded.
   const [findingComments, setFindingComments] = useState({}); // { [key]: [comment...] }
   const [findingCommentDraft, setFindingCommentDraft] = useState({}); // { [key]: text }
   const [error, setError] = useState(null);
   const [openingDocId, setOpeningDocId] = useState(null);
+  const [watermarkDoc, setWatermarkDoc] = useState(null); // view-only doc open in the watermarked viewer
   const [reviewBusyKey, setReviewBusyKey] = useState(null);
   const [uploading, setUploading] = useState(false);
   const [uploadError, setUploadError] = useState(null);
@@ -609,7 +623,7 @@ export default function DealWorkspaceModal({ open, onClose, dealId, accessToken,
   const loadQa = useCallback(async () => {
     if (!open || !dealId || !accessToken) return;
     try {
-      const r = await apiFetch(`/api/deals/${dealId}/qa`, {}, accessToken);
+      const r = await apiFetch(`/api/deals/${dealId}/qa`, { dedupe: false }, accessToken);
       const j = r.ok ? await r.json() : null;
       if (j?.items) {
         setQaItems(j.items);
@@ -618,48 +632,16 @@ export default function DealWorkspaceModal({ open, onClose, dealId, accessToken,
     } catch { /* swallow */ }
   }, [open, dealId, accessToken]);
 
-  const askQuestion = async () => {
-    const text = qaDraft.trim();
-    if (!text) return;
-    setQaBusy(true);
-    try {
-      const body = { question: text };
-      if (qaAssignParticipant) {
-        const part = data.participants.find((p) => p.id === qaAssignParticipant);
-        body.assigned_participant_id = qaAssignParticipant;
-        if (part) body.assigned_company = part.company_name || part.companyName || null;
-      }
-      const r = await apiFetch(
-        `/api/deals/${dealId}/qa`,
-        { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) },
-        accessToken,
-      );
-      if (r.ok) { setQaDraft(''); setQaAssignParticipant(''); await loadQa(); }
-    } finally {
-      setQaBusy(false);
-    }
-  };
-
-  const updateQa = async (itemId, patch) => {
-    setQaBusy(true);
+  // After a Q&A attachment lands, pull the document list so the new files
+  // show (and the poll below picks up their processing).
+  const reloadDocs = useCallback(async () => {
+    if (!open || !dealId || !accessToken) return;
     try {
-      const r = await apiFetch(
-        `/api/deals/${dealId}/qa`,
-        { method: 'PATCH', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ id: itemId, ...patch }) },
-        accessToken,
-      );
-      if (r.ok) await loadQa();
-    } finally {
-      setQaBusy(false);
-    }
-  };
-
-  const submitAnswer = async (itemId) => {
-    const text = (qaAnswerDraft[itemId] || '').trim();
-    if (!text) return;
-    await updateQa(itemId, { answer_text: text, status: 'answered' });
-    setQaAnswerDraft((d) => ({ ...d, [itemId]: '' }));
-  };
+      const r = await apiFetch(`/api/deals/${dealId}/documents`, { dedupe: false }, accessToken);
+      const j = r.ok ? await r.json() : null;
+      if (j) setData((prev) => ({ ...prev, documents: (j.documents || j || []).slice(0, 50) }));
+    } catch { /* swallow */ }
+  }, [open, dealId, accessToken]);
 
   // Per-finding comments — lazy-load when a finding expands.
   const loadFindingComments = useCallback(async (findingKey) => {
@@ -734,18 +716,6 @@ export default function DealWorkspaceModal({ open, onClose, dealId, accessToken,
     return undefined;
   }, [open, scorecardOpen]);
 
-  // Refresh the expected-docs checklist whenever the document list changes —
-  // newly uploaded / categorised docs may now satisfy a checklist item.
-  useEffect(() => {
-    if (!open || !dealId || !accessToken) return undefined;
-    let cancelled = false;
-    apiFetch(`/api/deals/${dealId}/checklist`, {}, accessToken)
-      .then((r) => (r.ok ? r.json() : null))
-      .then((j) => { if (!cancelled && j?.checklist) setChecklist(j); })
-      .catch(() => {});
-    return () => { cancelled = true; };
-  }, [open, dealId, accessToken, data.documents.length]);
-
   // Poll the documents endpoint every 5s while any doc is in a transient
   // status (pending/parsing/embedding). Stops when all are terminal (ready,
   // stored, or failed). The deal page's DealDocumentsPanel does the same.
@@ -783,11 +753,13 @@ export default function DealWorkspaceModal({ open, onClose, dealId, accessToken,
 
   const openDoc = async (d) => {
     if (!d?.id) return;
+    if (d.can_download === false) { setWatermarkDoc(d); return; }
     setOpeningDocId(d.id);
     try {
       const r = await apiFetch(`/api/deals/${dealId}/documents/${d.id}/signed-url`, {}, accessToken);
-      const j = r.ok ? await r.json() : null;
-      if (j?.url) window.open(j.url, '_blank', 'noopener,noreferrer');
+      const j = await r.json().catch(() => null);
+      if (j?.view_only) setWatermarkDoc(d);
+      else if (r.ok && j?.url) window.open(j.url, '_blank', 'noopener,noreferrer');
     } finally {
       setOpeningDocId(null);
     }
@@ -940,42 +912,25 @@ export default function DealWorkspaceModal({ open, onClose, dealId, accessToken,
             <span className="deal-workspace-bar-name">{data.deal?.name || 'Loading…'}</span>
           </div>
           <div className="deal-workspace-bar-actions">
-            {/* CSV exports — anchor with the Bearer token in a fetch + blob
-                so we don't need a server-side token-in-URL flow. */}
+            {/* XLSX pack — fetch with the Bearer token + blob so we don't
+                need a server-side token-in-URL flow. */}
             <button
               type="button"
               className="deal-doc-viewer-btn"
               onClick={async () => {
-                const r = await fetch(`/api/deals/${dealId}/export.csv?type=findings`, {
+                const r = await fetch(`/api/deals/${dealId}/export.xlsx`, {
                   headers: { Authorization: `Bearer ${accessToken}` },
                 });
                 if (!r.ok) return;
                 const blob = await r.blob();
                 const url = URL.createObjectURL(blob);
                 const a = document.createElement('a');
-                a.href = url; a.download = (data.deal?.deal_code || 'deal') + '-findings.csv';
+                a.href = url; a.download = (data.deal?.deal_code || 'deal') + '-pack.xlsx';
                 document.body.appendChild(a); a.click(); a.remove();
                 URL.revokeObjectURL(url);
               }}
-              title="Download findings as CSV"
-            >Findings CSV</button>
-            <button
-              type="button"
-              className="deal-doc-viewer-btn"
-              onClick={async () => {
-                const r = await fetch(`/api/deals/${dealId}/export.csv?type=qa`, {
-                  headers: { Authorization: `Bearer ${accessToken}` },
-                });
-                if (!r.ok) return;
-                const blob = await r.blob();
-                const url = URL.createObjectURL(blob);
-                const a = document.createElement('a');
-                a.href = url; a.download = (data.deal?.deal_code || 'deal') + '-qa.csv';
-                document.body.appendChild(a); a.click(); a.remove();
-                URL.revokeObjectURL(url);
-              }}
-              title="Download Q&A as CSV"
-            >Q&amp;A CSV</button>
+              title="Download findings, Q&A, checklist, participants and change log as one workbook"
+            >Export pack</button>
             <button
               type="button"
               className="deal-doc-viewer-btn"
@@ -1125,6 +1080,25 @@ export default function DealWorkspaceModal({ open, onClose, dealId, accessToken,
                 )}
               </section>
 
+              {/* Timeline — deal phases as a Gantt. Refetched when Q&A,
+                  findings or documents change, since those clear blockers. */}
+              <DealMilestonesPanel
+                dealId={dealId}
+                accessToken={accessToken}
+                participants={data.participants}
+                refreshKey={`${qaItems.filter((q) => q.status === 'open').length}:${data.findings.length}:${data.documents.length}`}
+              />
+
+              {/* 100-day integration plan (M&A / PE roll-up only — the
+                  panel hides itself otherwise). Refetched with the
+                  findings, whose keys initiatives cite. */}
+              <DealIntegrationPlanPanel
+                dealId={dealId}
+                accessToken={accessToken}
+                participants={data.participants}
+                refreshKey={data.findings.length}
+              />
+
               {/* Documents */}
               <section
                 className={`deal-workspace-section${editable && dragHover ? ' deal-workspace-section--drop' : ''}`}
@@ -1173,57 +1147,38 @@ export default function DealWorkspaceModal({ open, onClose, dealId, accessToken,
                     Sits above the doc list so the source-of-truth is obvious
                     before the synced files appear below. */}
                 <DealConnectorBindings dealId={dealId} accessToken={accessToken} editable={editable} />
+                <DealInboundAddress dealId={dealId} accessToken={accessToken} editable={editable} />
 
-                {/* Expected-docs checklist — collapsed by default. The header
-                    counter ("3 / 12 received") gives the at-a-glance state;
-                    expanding lists each item with received docs linked. */}
-                {checklist && checklist.checklist?.length > 0 && (
-                  <div className={`deal-workspace-checklist${checklistOpen ? ' is-open' : ''}`}>
-                    <button
-                      type="button"
-                      className="deal-workspace-checklist-toggle"
-                      onClick={() => setChecklistOpen((v) => !v)}
-                      aria-expanded={checklistOpen}
-                    >
-                      <span aria-hidden>{checklistOpen ? '−' : '+'}</span>
-                      <span>Expected documents</span>
-                      <span className="deal-workspace-checklist-count">
-                        {checklist.summary.received} / {checklist.summary.total} received
-                      </span>
-                    </button>
-                    {checklistOpen && (
-                      <ul className="deal-workspace-checklist-list">
-                        {checklist.checklist.map((item) => {
-                          const has = item.matched.length > 0;
-                          return (
-                            <li key={item.id} className={`deal-workspace-checklist-item${has ? ' is-matched' : ' is-missing'}`}>
-                              <span className="deal-workspace-checklist-mark" aria-hidden>{has ? '✓' : '○'}</span>
-                              <span className="deal-workspace-checklist-label">{item.label}</span>
-                              {has && (
-                                <span className="deal-workspace-checklist-matched">
-                                  {item.matched.slice(0, 2).map((m, i) => (
-                                    <button
-                                      key={m.id}
-                                      type="button"
-                                      className="deal-workspace-checklist-doclink"
-                                      onClick={() => {
-                                        const full = data.documents.find((d) => d.id === m.id);
-                                        if (full) openDoc(full);
-                                      }}
-                                      title={m.filename}
-                                    >{m.filename.length > 32 ? `${m.filename.slice(0, 30)}…` : m.filename}{i < Math.min(item.matched.length, 2) - 1 ? ', ' : ''}</button>
-                                  ))}
-                                  {item.matched.length > 2 && <span className="deal-workspace-checklist-more"> +{item.matched.length - 2}</span>}
-                                </span>
-                              )}
-                            </li>
-                          );
-                        })}
-                      </ul>
-                    )}
-                  </div>
+                {/* Expected-docs checklist — collapsed by default. Refetched
+                    whenever the document list changes: newly uploaded /
+                    categorised docs may now satisfy an item. */}
+                <DealChecklistPanel
+                  dealId={dealId}
+                  accessToken={accessToken}
+                  documents={data.documents}
+                  onOpenDoc={openDoc}
+                  refreshKey={data.documents.length}
+                />
+
+                {editable && (
+                  <DealCleanTeamsPanel
+                    dealId={dealId}
+                    accessToken={accessToken}
+                    documents={data.documents}
+                    onDocumentsChanged={reloadDocs}
+                  />
                 )}
 
+                <DealContractRegister
+                  dealId={dealId}
+                  accessToken={accessToken}
+                  refreshKey={data.documents.filter((d) => d.status === 'ready').length}
+                  onOpenDoc={(docId) => {
+                    const full = data.documents.find((d) => d.id === docId);
+                    if (full) openDoc(full);
+                  }}
+                />
+
                 {data.documents.length === 0 ? (
                   <p className="deal-workspace-empty">No documents yet.</p>
                 ) : (
@@ -1249,6 +1204,7 @@ export default function DealWorkspaceModal({ open, onClose, dealId, accessToken,
                           )}
                           <span className="deal-workspace-sub">
                             {[
+                              d.label,
                               d.category,
                               d.source_party,
                               d.page_count ? `${d.page_count}p` : null,
@@ -1256,104 +1212,12 @@ export default function DealWorkspaceModal({ open, onClose, dealId, accessToken,
                             ].filter(Boolean).join(' · ')}
                             {openingDocId === d.id && ' · opening…'}
                           </span>
-                        </li>
-                      );
-                    })}
-                  </ul>
-                )}
-              </section>
-
-              {/* Q&A queue — questions to seller + their answers. Distinct
-                  from the chat (free-form) and findings (model-generated). */}
-              <section className="deal-workspace-section">
-                <h3 className="deal-workspace-section-title">
-                  Q&amp;A
-                  <span className="deal-workspace-section-count">{qaSummary.open}</span>
-                  <span className="deal-workspace-section-sub">
-                    {qaSummary.open} open · {qaSummary.answered} answered{qaSummary.skipped ? ` · ${qaSummary.skipped} skipped` : ''}
-                  </span>
-                </h3>
-                {editable && (
-                  <div className="deal-qa-composer">
-                    <textarea
-                      className="deal-qa-input"
-                      value={qaDraft}
-                      onChange={(e) => setQaDraft(e.target.value)}
-                      placeholder="Ask the seller a question…"
-                      rows={2}
-                      disabled={qaBusy}
-                    />
-                    <div className="deal-qa-composer-row">
-                      {data.participants.length > 0 && (
-                        <select
-                          className="deal-qa-assign"
-                          value={qaAssignParticipant}
-                          onChange={(e) => setQaAssignParticipant(e.target.value)}
-                          disabled={qaBusy}
-                        >
-                          <option value="">Unassigned</option>
-                          {data.participants.map((p) => (
-                            <option key={p.id} value={p.id}>{p.company_name || p.companyName} · {p.role}</option>
-                          ))}
-                        </select>
-                      )}
-                      <button
-                        type="button"
-                        className="deal-qa-submit"
-                        onClick={askQuestion}
-                        disabled={qaBusy || !qaDraft.trim()}
-                      >Ask</button>
-                    </div>
-                  </div>
-                )}
-                {qaItems.length === 0 ? (
-                  <p className="deal-workspace-empty">No questions yet.</p>
-                ) : (
-                  <ul className="deal-qa-list">
-                    {qaItems.map((q) => {
-                      // Server enforces who can PATCH (editor or assigned
-                      // participant). We over-show the answer composer for
-                      // editors; participants will see it via their own deal
-                      // workspace and the server will accept their PATCH.
-                      const canAnswer = editable;
-                      return (
-                        <li key={q.id} className={`deal-qa-item deal-qa-item--${q.status}`}>
-                          <div className="deal-qa-head">
-                            <span className={`deal-qa-status deal-qa-status--${q.status}`}>{q.status}</span>
-                            <span className="deal-qa-question">{q.question}</span>
-                            {q.assigned_company && (
-                              <span className="deal-qa-assignee" title="Assigned to">→ {q.assigned_company}</span>
-                            )}
-                          </div>
-                          <div className="deal-qa-meta">
-                            asked by {q.asked_by_email} · {new Date(q.asked_at).toLocaleDateString()}
-                            {q.answered_at && ` · answered ${new Date(q.answered_at).toLocaleDateString()}`}
-                          </div>
-                          {q.answer_text && (
-                            <div className="deal-qa-answer">{q.answer_text}</div>
-                          )}
-                          {q.status === 'open' && canAnswer && (
-                            <div className="deal-qa-answer-composer">
-                              <textarea
-                                className="deal-qa-input deal-qa-input--answer"
-                                value={qaAnswerDraft[q.id] || ''}
-                                onChange={(e) => setQaAnswerDraft((d) => ({ ...d, [q.id]: e.target.value }))}
-                                placeholder="Answer…"
-                                rows={2}
-                                disabled={qaBusy}
-                              />
-                              <div className="deal-qa-composer-row">
-                                <button type="button" className="deal-qa-submit" onClick={() => submitAnswer(q.id)} disabled={qaBusy || !(qaAnswerDraft[q.id] || '').trim()}>Submit answer</button>
-                                {editable && (
-                                  <button type="button" className="deal-qa-skip" onClick={() => updateQa(q.id, { status: 'skipped' })} disabled={qaBusy}>Skip</button>
-                                )}
-                              </div>
-                            </div>
-                          )}
-                          {editable && q.status !== 'open' && (
-                            <div className="deal-qa-actions">
-                              <button type="button" className="deal-qa-skip" onClick={() => updateQa(q.id, { status: 'open', answer_text: null })} disabled={qaBusy}>Reopen</button>
-                            </div>
+                          {d.clean_team_id && <span className="deal-watermark-badge">Clean team</span>}
+                          {d.view_only && <span className="deal-watermark-badge">View only</span>}
+                          {d.access_expires_at && (
+                            <span className="deal-watermark-badge" title={`Access ends ${d.access_expires_at}`}>
+                              Until {d.access_expires_at.slice(0, 10)}
+                            </span>
                           )}
                         </li>
                       );
@@ -1362,6 +1226,24 @@ export default function DealWorkspaceModal({ open, onClose, dealId, accessToken,
                 )}
               </section>
 
+              {/* Q&A queue — questions to seller + their answers. */}
+              <DealQaPanel
+                dealId={dealId}
+                accessToken={accessToken}
+                items={qaItems}
+                summary={qaSummary}
+                onReload={loadQa}
+                editable={editable}
+                participants={data.participants}
+                viewerParticipantId={data.deal?.participantId || null}
+                documents={data.documents}
+                onOpenDoc={(docId) => {
+                  const full = data.documents.find((d) => d.id === docId);
+                  if (full) openDoc(full);
+                }}
+                onDocumentsAdded={reloadDocs}
+              />
+
               {/* Findings */}
               {(() => {
                 // Split findings by section so we can render the exec summary
@@ -1701,6 +1583,12 @@ export default function DealWorkspaceModal({ open, onClose, dealId, accessToken,
               <DealActivityTimeline dealId={dealId} accessToken={accessToken} />
             </div>
           )}
+          {watermarkDoc && (
+            <DealWatermarkedViewer
+              dealId={dealId} documentId={watermarkDoc.id} filename={watermarkDoc.filename}
+              accessToken={accessToken} onClose={() => setWatermarkDoc(null)}
+            />
+          )}
         </div>
       </div>
     </div>
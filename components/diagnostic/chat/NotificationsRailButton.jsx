@@ -0,0 +1,119 @@
+'use client';
+
+/**
+ * Rail icon with the signed-in user's notifications (/api/notifications)
+ * — today, @mentions and replies on process comments. The unread count
+ * shows on the icon and refreshes every POLL_MS. Clicking an entry marks
+ * it read and opens its process with the comment thread in view, through
+ * the same `vesno:open-process` event the processes list uses.
+ */
+
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { apiFetch } from '@/lib/api-fetch';
+import RailSlidePanel from './RailSlidePanel';
+
+const POLL_MS = 60_000;
+const JSON_HEADERS = { 'Content-Type': 'application/json' };
+
+function when(iso) {
+  if (!iso) return '';
+  try {
+    return new Date(iso).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+  } catch { return iso; }
+}
+
+export default function NotificationsRailButton({ accessToken }) {
+  const [open, setOpen] = useState(false);
+  const [items, setItems] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const btnRef = useRef(null);
+
+  const load = useCallback(async () => {
+    if (!accessToken) return;
+    setLoading(true);
+    try {
+      const r = await apiFetch('/api/notifications', { dedupe: false }, accessToken);
+      const j = await r.json().catch(() => null);
+      if (r.ok) setItems(j?.notifications || []);
+    } catch { /* keep the last list */ } finally { setLoading(false); }
+  }, [accessToken]);
+
+  useEffect(() => {
+    load();
+    const timer = setInterval(() => { if (document.visibilityState === 'visible') load(); }, POLL_MS);
+    return () => clearInterval(timer);
+  }, [load]);
+
+  useEffect(() => { if (open) load(); }, [open, load]);
+
+  const markRead = (body) => {
+    const now = new Date().toISOString();
+    setItems((list) => list.map((n) => (body.all || body.ids.includes(n.id) ? { ...n, read_at: n.read_at || now } : n)));
+    apiFetch('/api/notifications', { method: 'PATCH', headers: JSON_HEADERS, body: JSON.stringify(body) }, accessToken).catch(() => {});
+  };
+
+  const openItem = (n) => {
+    if (!n.read_at) markRead({ ids: [n.id] });
+    setOpen(false);
+    if (n.process_id && typeof window !== 'undefined') {
+      window.dispatchEvent(new CustomEvent('vesno:open-process', {
+        detail: { reportId: n.process_id, intent: 'edit', commentThreadId: n.thread_id || null },
+      }));
+    }
+  };
+
+  const unread = items.filter((n) => !n.read_at).length;
+
+  return (
+    <div className="s7-split-rail-deals">
+      <button
+        ref={btnRef}
+        type="button"
+        className={`s7-split-rail-btn${open ? ' active' : ''}`}
+        onClick={() => setOpen((v) => !v)}
+        aria-expanded={open}
+        title={unread ? `Notifications (${unread} unread)` : 'Notifications'}
+      >
+        <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" aria-hidden>
+          <path d="M18 8a6 6 0 0 0-12 0c0 7-3 9-3 9h18s-3-2-3-9" />
+          <path d="M13.7 21a2 2 0 0 1-3.4 0" />
+        </svg>
+        {unread > 0 && <span className="s7-split-rail-count">{unread > 99 ? '99+' : unread}</span>}
+      </button>
+
+      <RailSlidePanel
+        open={open}
+        onClose={() => setOpen(false)}
+        triggerRef={btnRef}
+        title="Notifications"
+        headerRight={unread > 0 ? (
+          <button type="button" className="s7-rail-pane-clear" onClick={() => markRead({ all: true })}>Mark all read</button>
+        ) : null}
+      >
+        <div className="s7-rail-pane-body">
+          {loading && !items.length && <div className="s7-rail-pane-empty">Loading…</div>}
+          {!loading && !items.length && (
+            <div className="s7-rail-pane-empty">Nothing yet. Mentions and replies on process comments show up here.</div>
+          )}
+          {items.length > 0 && (
+            <ul className="s7-rail-pane-list">
+              {items.map((n) => (
+                <li key={n.id}>
+                  <button
+                    type="button"
+                    className={`s7-rail-pane-item s7-notification${n.read_at ? '' : ' s7-notification--unread'}`}
+                    onClick={() => openItem(n)}
+                  >
+                    <span className="s7-rail-pane-item-name">{n.title}</span>
+                    {n.body && <span className="s7-notification-body">{n.body}</span>}
+                    <span className="s7-rail-pane-item-meta">{when(n.created_at)}</span>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </RailSlidePanel>
+    </div>
+  );
+}
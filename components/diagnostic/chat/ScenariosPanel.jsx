@@ -0,0 +1,302 @@
+'use client';
+
+/**
+ * Scenarios panel — named what-if versions of the open process, opened
+ * from the canvas rail. Shows the live process as baseline and every
+ * scenario side by side (annual cost, cycle time, automation %, remaining
+ * savings, each with its delta against live), and lets the owner:
+ *
+ *   • fork a new scenario from the saved live process
+ *   • edit a scenario's steps (work / wait minutes, automated, remove)
+ *     and cost inputs without touching the canvas
+ *   • archive, delete, or promote a scenario into the live process
+ *
+ * Scenarios the chat agent staged (propose_scenario) arrive as
+ * 'proposed'. Promotion writes the scenario over the live flow and
+ * records one batch of `changes` rows; the parent reloads the canvas via
+ * onPromoted so autosave doesn't push the old steps back.
+ */
+
+import { useCallback, useEffect, useState } from 'react';
+import { apiFetch } from '@/lib/api-fetch';
+import { formatMoney } from '@/lib/currency';
+
+const STATUS_LABEL = {
+  draft: 'Draft',
+  proposed: 'Proposed by agent',
+  promoted: 'Promoted',
+  archived: 'Archived',
+};
+
+const JSON_HEADERS = { 'Content-Type': 'application/json' };
+
+function signed(n, fmt) {
+  if (n == null || n === 0) return '±0';
+  return `${n > 0 ? '+' : '−'}${fmt(Math.abs(n))}`;
+}
+
+function fmtMinutes(m) {
+  if (m == null) return '-';
+  if (m < 120) return `${Math.round(m)}m`;
+  if (m < 60 * 48) return `${(m / 60).toFixed(1)}h`;
+  return `${(m / 1440).toFixed(1)}d`;
+}
+
+/** Cost / time going down is good; automation going up is good. */
+function deltaClass(n, { higherIsBetter = false } = {}) {
+  if (!n) return '';
+  return (n > 0) === higherIsBetter ? ' is-better' : ' is-worse';
+}
+
+function MetricRow({ label, value, delta, higherIsBetter }) {
+  return (
+    <div className="s7-scenario-metric">
+      <span className="s7-scenario-metric-label">{label}</span>
+      <span className="s7-scenario-metric-value">{value}</span>
+      {delta !== undefined && (
+        <span className={`s7-scenario-metric-delta${deltaClass(delta.raw, { higherIsBetter })}`}>{delta.text}</span>
+      )}
+    </div>
+  );
+}
+
+function ScenarioEditor({ scenario, busy, onSave, onCancel }) {
+  const proc = scenario.flow_data?.rawProcesses?.[0] || {};
+  const [rows, setRows] = useState(() => (proc.steps || []).map((s) => ({
+    name: s.name || '',
+    workMinutes: s.workMinutes ?? '',
+    waitMinutes: s.waitMinutes ?? '',
+    isAutomated: !!s.isAutomated,
+    remove: false,
+  })));
+  const [costs, setCosts] = useState({
+    hoursPerInstance: proc.costs?.hoursPerInstance ?? '',
+    teamSize: proc.costs?.teamSize ?? '',
+    annual: proc.costs?.annual ?? proc.frequency?.annual ?? '',
+  });
+
+  const setRow = (i, patch) => setRows((prev) => prev.map((r, j) => (j === i ? { ...r, ...patch } : r)));
+
+  const submit = (e) => {
+    e.preventDefault();
+    const original = proc.steps || [];
+    const steps = [];
+    rows.forEach((r, i) => {
+      const s = original[i] || {};
+      if (r.remove) { steps.push({ stepNumber: i + 1, remove: true }); return; }
+      const edit = { stepNumber: i + 1 };
+      if (String(r.workMinutes) !== String(s.workMinutes ?? '')) edit.workMinutes = r.workMinutes === '' ? 0 : Number(r.workMinutes);
+      if (String(r.waitMinutes) !== String(s.waitMinutes ?? '')) edit.waitMinutes = r.waitMinutes === '' ? 0 : Number(r.waitMinutes);
+      if (r.isAutomated !== !!s.isAutomated) edit.isAutomated = r.isAutomated;
+      if (Object.keys(edit).length > 1) steps.push(edit);
+    });
+    const costEdits = {};
+    for (const [k, v] of Object.entries(costs)) {
+      if (v !== '' && String(v) !== String(proc.costs?.[k] ?? (k === 'annual' ? proc.frequency?.annual ?? '' : ''))) costEdits[k] = Number(v);
+    }
+    onSave({ steps, ...(Object.keys(costEdits).length ? { costs: costEdits } : {}) });
+  };
+
+  return (
+    <form className="s7-scenario-editor" onSubmit={submit}>
+      <table className="s7-scenario-steps">
+        <thead>
+          <tr><th>Step</th><th>Work</th><th>Wait</th><th title="Automated">Auto</th><th title="Remove from scenario">Drop</th></tr>
+        </thead>
+        <tbody>
+          {rows.map((r, i) => (
+            <tr key={i} className={r.remove ? 'is-removed' : ''}>
+              <td className="s7-scenario-step-name" title={r.name}>{i + 1}. {r.name}</td>
+              <td><input type="number" min="0" value={r.workMinutes} disabled={r.remove} onChange={(e) => setRow(i, { workMinutes: e.target.value })} /></td>
+              <td><input type="number" min="0" value={r.waitMinutes} disabled={r.remove} onChange={(e) => setRow(i, { waitMinutes: e.target.value })} /></td>
+              <td><input type="checkbox" checked={r.isAutomated} disabled={r.remove} onChange={(e) => setRow(i, { isAutomated: e.target.checked })} /></td>
+              <td><input type="checkbox" checked={r.remove} onChange={(e) => setRow(i, { remove: e.target.checked })} /></td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <div className="s7-scenario-costs">
+        <label>Hours / run<input type="number" min="0" step="any" value={costs.hoursPerInstance} onChange={(e) => setCosts((c) => ({ ...c, hoursPerInstance: e.target.value }))} /></label>
+        <label>Team size<input type="number" min="0" step="any" value={costs.teamSize} onChange={(e) => setCosts((c) => ({ ...c, teamSize: e.target.value }))} /></label>
+        <label>Runs / year<input type="number" min="0" step="any" value={costs.annual} onChange={(e) => setCosts((c) => ({ ...c, annual: e.target.value }))} /></label>
+      </div>
+      <div className="s7-scenario-actions">
+        <button type="submit" className="s7-scenario-btn s7-scenario-btn--primary" disabled={busy}>Save scenario</button>
+        <button type="button" className="s7-scenario-btn" onClick={onCancel} disabled={busy}>Cancel</button>
+      </div>
+    </form>
+  );
+}
+
+export default function ScenariosPanel({ processId, accessToken, refreshKey = 0, onPromoted }) {
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [err, setErr] = useState(null);
+  const [editingId, setEditingId] = useState(null);
+  const [newName, setNewName] = useState('');
+  const [showArchived, setShowArchived] = useState(false);
+
+  const base = processId ? `/api/processes/${encodeURIComponent(processId)}/scenarios` : null;
+
+  const load = useCallback(async () => {
+    if (!base || !accessToken) return;
+    setLoading(true);
+    try {
+      const r = await apiFetch(`${base}${showArchived ? '?archived=1' : ''}`, { dedupe: false }, accessToken);
+      const j = await r.json().catch(() => null);
+      if (r.ok) { setData(j); setErr(null); } else setErr(j?.error || 'Could not load scenarios.');
+    } catch {
+      setErr('Could not load scenarios.');
+    } finally { setLoading(false); }
+  }, [base, accessToken, showArchived]);
+
+  useEffect(() => { load(); }, [load, refreshKey]);
+
+  const run = async (fn) => {
+    setBusy(true); setErr(null);
+    try { await fn(); } finally { setBusy(false); }
+  };
+
+  const create = (e) => {
+    e.preventDefault();
+    const name = newName.trim();
+    if (!name) return;
+    run(async () => {
+      const r = await apiFetch(base, { method: 'POST', headers: JSON_HEADERS, body: JSON.stringify({ name }) }, accessToken);
+      const j = await r.json().catch(() => null);
+      if (!r.ok) { setErr(j?.error || 'Could not create the scenario.'); return; }
+      setNewName('');
+      setEditingId(j?.scenario?.id || null);
+      await load();
+    });
+  };
+
+  const patch = (id, body) => run(async () => {
+    const r = await apiFetch(`${base}/${id}`, { method: 'PATCH', headers: JSON_HEADERS, body: JSON.stringify(body) }, accessToken);
+    const j = await r.json().catch(() => null);
+    if (!r.ok) { setErr(j?.error || 'Could not update the scenario.'); return; }
+    setEditingId(null);
+    await load();
+  });
+
+  const remove = (s) => {
+    if (!confirm(`Delete scenario "${s.name}"? This can't be undone.`)) return;
+    run(async () => {
+      const r = await apiFetch(`${base}/${s.id}`, { method: 'DELETE' }, accessToken);
+      if (!r.ok) { const j = await r.json().catch(() => null); setErr(j?.error || 'Could not delete the scenario.'); return; }
+      await load();
+    });
+  };
+
+  const promote = (s) => {
+    if (!confirm(`Promote "${s.name}" into the live process? Its steps and cost inputs replace the live ones and the difference is logged as changes.`)) return;
+    run(async () => {
+      const send = (force) => apiFetch(`${base}/${s.id}/promote`, { method: 'POST', headers: JSON_HEADERS, body: JSON.stringify({ force }) }, accessToken);
+      let r = await send(false);
+      let j = await r.json().catch(() => null);
+      if (r.status === 409 && j?.stale) {
+        if (!confirm('The live process was saved after this scenario was created. Promoting will overwrite those edits. Promote anyway?')) return;
+        r = await send(true);
+        j = await r.json().catch(() => null);
+      }
+      if (!r.ok) { setErr(j?.error || 'Could not promote the scenario.'); return; }
+      await load();
+      onPromoted?.(j);
+    });
+  };
+
+  if (!processId) {
+    return <p className="s7-scenario-empty">Save this process first — scenarios fork from the saved version.</p>;
+  }
+
+  const cur = data?.currency || 'GBP';
+  const money = (n) => formatMoney(n, cur);
+  const b = data?.baseline;
+
+  return (
+    <div className="s7-scenarios">
+      {err && <div className="s7-scenario-error">{err}</div>}
+
+      <form className="s7-scenario-new" onSubmit={create}>
+        <input
+          type="text"
+          value={newName}
+          maxLength={120}
+          placeholder='New scenario, e.g. "Automate approvals"'
+          onChange={(e) => setNewName(e.target.value)}
+        />
+        <button type="submit" className="s7-scenario-btn s7-scenario-btn--primary" disabled={busy || !newName.trim()}>Fork live</button>
+      </form>
+
+      {b && (
+        <div className="s7-scenario-card s7-scenario-card--live">
+          <div className="s7-scenario-card-head"><span className="s7-scenario-name">Live process</span><span className="s7-scenario-status">{b.steps} steps</span></div>
+          <MetricRow label="Annual cost" value={money(b.annualCost)} />
+          <MetricRow label="Cycle time" value={fmtMinutes(b.cycleMinutes)} />
+          <MetricRow label="Automation" value={b.automationPct != null ? `${b.automationPct}%` : '-'} />
+          <MetricRow label="Potential savings" value={money(b.potentialSavings)} />
+        </div>
+      )}
+
+      {loading && !data && <p className="s7-scenario-empty">Loading scenarios…</p>}
+      {data && !data.scenarios.length && (
+        <p className="s7-scenario-empty">No scenarios yet. Fork the live process above, or ask the agent “what if we automated the approvals?”.</p>
+      )}
+
+      {(data?.scenarios || []).map((s) => {
+        const m = s.metrics;
+        const d = s.delta;
+        const readOnly = s.status === 'promoted';
+        return (
+          <div key={s.id} className={`s7-scenario-card s7-scenario-card--${s.status}`}>
+            <div className="s7-scenario-card-head">
+              <span className="s7-scenario-name" title={s.description || ''}>{s.name}</span>
+              <span className="s7-scenario-status">{STATUS_LABEL[s.status] || s.status}{s.stale && !readOnly ? ' · live changed since' : ''}</span>
+            </div>
+            {s.description && <p className="s7-scenario-desc">{s.description}</p>}
+            <MetricRow label="Annual cost" value={money(m.annualCost)} delta={{ raw: d.annualCost, text: signed(d.annualCost, money) }} />
+            <MetricRow label="Cycle time" value={fmtMinutes(m.cycleMinutes)} delta={{ raw: d.cycleMinutes, text: signed(d.cycleMinutes, fmtMinutes) }} />
+            <MetricRow
+              label="Automation"
+              value={m.automationPct != null ? `${m.automationPct}%` : '-'}
+              delta={{ raw: d.automationPct, text: d.automationPct == null ? '' : `${signed(d.automationPct, (n) => String(n))} pts` }}
+              higherIsBetter
+            />
+            <MetricRow label="Potential savings" value={money(m.potentialSavings)} />
+            <div className={`s7-scenario-saving${s.annualSaving > 0 ? ' is-better' : s.annualSaving < 0 ? ' is-worse' : ''}`}>
+              {s.annualSaving > 0 ? `Saves ${money(s.annualSaving)} a year vs live`
+                : s.annualSaving < 0 ? `Costs ${money(-s.annualSaving)} a year more than live`
+                  : 'Same annual cost as live'}
+            </div>
+
+            {editingId === s.id ? (
+              <ScenarioEditor
+                scenario={s}
+                busy={busy}
+                onSave={(edits) => patch(s.id, { edits })}
+                onCancel={() => setEditingId(null)}
+              />
+            ) : !readOnly && (
+              <div className="s7-scenario-actions">
+                <button type="button" className="s7-scenario-btn s7-scenario-btn--primary" disabled={busy} onClick={() => promote(s)}>Promote to live</button>
+                <button type="button" className="s7-scenario-btn" disabled={busy} onClick={() => setEditingId(s.id)}>Edit</button>
+                <button
+                  type="button"
+                  className="s7-scenario-btn"
+                  disabled={busy}
+                  onClick={() => patch(s.id, { status: s.status === 'archived' ? 'draft' : 'archived' })}
+                >{s.status === 'archived' ? 'Restore' : 'Archive'}</button>
+                <button type="button" className="s7-scenario-btn s7-scenario-btn--danger" disabled={busy} onClick={() => remove(s)}>Delete</button>
+              </div>
+            )}
+          </div>
+        );
+      })}
+
+      <label className="s7-scenario-archived-toggle">
+        <input type="checkbox" checked={showArchived} onChange={(e) => setShowArchived(e.target.checked)} /> Show archived
+      </label>
+    </div>
+  );
+}
@@ -0,0 +1,290 @@
+'use client';
+
+/**
+ * Comments panel — threads anchored to a step or a handoff of the open
+ * process, opened from the canvas rail or a comment badge on the canvas.
+ *
+ *   • no anchor picked: every thread, open first, with where it sits and
+ *     an unread dot; a picker starts a thread on any step or handoff
+ *   • an anchor picked: its threads in full (marked read as they show),
+ *     reply, resolve / reopen, and a composer for a new thread there
+ *
+ * "@" in a composer suggests the people who can see the process; picking
+ * one inserts their email, which the server turns into a mention and a
+ * notification. Threads follow step ids (lib/flows/comments.js), so
+ * `resolveStepIds` is asked for ids before a thread is started on a step
+ * that has none yet. Data comes from useProcessComments.
+ */
+
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { handoffAnchorId, resolveAnchor } from '@/lib/flows/comments';
+
+const MENTION_TOKEN = /(@[\w.+-]+(?:@[\w.-]+\.[a-z]{2,})?)/gi;
+
+function when(iso) {
+  if (!iso) return '';
+  try {
+    return new Date(iso).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+  } catch { return iso; }
+}
+
+function CommentBody({ text }) {
+  return (
+    <p className="s7-comment-body">
+      {String(text || '').split(MENTION_TOKEN).map((part, i) => (
+        i % 2 === 1 ? <span key={i} className="s7-comment-mention">{part}</span> : part
+      ))}
+    </p>
+  );
+}
+
+function Composer({ people, placeholder, submitLabel, onSubmit, autoFocus = false }) {
+  const [text, setText] = useState('');
+  const [caret, setCaret] = useState(0);
+  const [busy, setBusy] = useState(false);
+  const [err, setErr] = useState(null);
+  const ref = useRef(null);
+
+  const query = /(^|\s)@([\w.+-]*)$/.exec(text.slice(0, caret))?.[2];
+  const suggestions = useMemo(() => {
+    if (query == null) return [];
+    const q = query.toLowerCase();
+    return people
+      .filter((p) => p.email.startsWith(q) || (p.name || '').toLowerCase().split(/\s+/).some((w) => w.startsWith(q)))
+      .slice(0, 6);
+  }, [people, query]);
+
+  const pick = (email) => {
+    const before = text.slice(0, caret).replace(/@[\w.+-]*$/, `@${email} `);
+    const next = before + text.slice(caret);
+    setText(next);
+    setCaret(before.length);
+    requestAnimationFrame(() => {
+      ref.current?.focus();
+      ref.current?.setSelectionRange(before.length, before.length);
+    });
+  };
+
+  const submit = async (e) => {
+    e.preventDefault();
+    if (!text.trim() || busy) return;
+    setBusy(true); setErr(null);
+    try {
+      await onSubmit(text.trim());
+      setText('');
+    } catch (ex) {
+      setErr(ex.message);
+    } finally { setBusy(false); }
+  };
+
+  return (
+    <form className="s7-comment-composer" onSubmit={submit}>
+      <textarea
+        ref={ref}
+        rows={2}
+        value={text}
+        maxLength={4000}
+        placeholder={placeholder}
+        autoFocus={autoFocus}
+        onChange={(e) => { setText(e.target.value); setCaret(e.target.selectionStart); }}
+        onSelect={(e) => setCaret(e.target.selectionStart)}
+        onKeyDown={(e) => { if (e.key === 'Enter' && (e.metaKey || e.ctrlKey)) submit(e); }}
+      />
+      {suggestions.length > 0 && (
+        <ul className="s7-comment-suggest" role="listbox">
+          {suggestions.map((p) => (
+            <li key={p.email}>
+              <button type="button" onMouseDown={(e) => e.preventDefault()} onClick={() => pick(p.email)}>
+                <span className="s7-comment-suggest-name">{p.name || p.email}</span>
+                <span className="s7-comment-suggest-meta">{p.name ? `${p.email} · ` : ''}{p.role}</span>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+      {err && <div className="s7-scenario-error">{err}</div>}
+      <button type="submit" className="s7-scenario-btn s7-scenario-btn--primary" disabled={busy || !text.trim()}>{submitLabel}</button>
+    </form>
+  );
+}
+
+function Thread({ thread, people, me, onReply, onResolve }) {
+  const [replying, setReplying] = useState(false);
+  const resolved = !!thread.resolved_at;
+  return (
+    <li className={`s7-comment-thread${resolved ? ' s7-comment-thread--resolved' : ''}`}>
+      {thread.comments.map((c) => (
+        <div key={c.id} className="s7-comment">
+          <div className="s7-comment-head">
+            <span className="s7-comment-author">{c.author_email === me ? 'You' : c.author_email}</span>
+            <span className="s7-comment-time">{when(c.created_at)}</span>
+          </div>
+          <CommentBody text={c.body} />
+        </div>
+      ))}
+      {resolved && (
+        <div className="s7-comment-resolved-note">
+          Resolved{thread.resolved_by_email ? ` by ${thread.resolved_by_email === me ? 'you' : thread.resolved_by_email}` : ''} · {when(thread.resolved_at)}
+        </div>
+      )}
+      <div className="s7-comment-actions">
+        <button type="button" className="s7-scenario-btn" onClick={() => setReplying((v) => !v)}>{replying ? 'Cancel' : 'Reply'}</button>
+        <button type="button" className="s7-scenario-btn" onClick={() => onResolve(thread.id, !resolved)}>{resolved ? 'Reopen' : 'Resolve'}</button>
+      </div>
+      {replying && (
+        <Composer
+          people={people}
+          autoFocus
+          placeholder={resolved ? 'Reply and reopen…' : 'Reply… use @ to mention someone.'}
+          submitLabel="Reply"
+          onSubmit={async (body) => { await onReply(thread.id, body); setReplying(false); }}
+        />
+      )}
+    </li>
+  );
+}
+
+export default function StepCommentsPanel({
+  processId, steps = [], threads = [], people = [], me = null, error = null,
+  focus = null, onFocusChange, onJumpToStep, resolveStepIds,
+  post, setResolved, markRead,
+}) {
+  const [target, setTarget] = useState('');
+  const [showResolved, setShowResolved] = useState(false);
+  const [actionErr, setActionErr] = useState(null);
+
+  const located = useMemo(
+    () => threads.map((t) => ({ thread: t, where: resolveAnchor(t, steps) })),
+    [threads, steps],
+  );
+  const focusKey = focus ? `${focus.anchor_type}:${focus.anchor_id}` : null;
+  const focused = focus
+    ? located.filter(({ thread: t }) => `${t.anchor_type}:${t.anchor_id}` === focusKey)
+    : [];
+  const focusWhere = focus ? resolveAnchor(focus, steps) : null;
+  const focusLabel = focusWhere?.label || focused[0]?.thread.anchor_label || focus?.label || 'Removed step';
+
+  // Threads on screen in full count as read.
+  useEffect(() => {
+    for (const { thread } of focused) if (thread.unread > 0) markRead(thread.id);
+  }, [focusKey, focused.map(({ thread }) => `${thread.id}:${thread.unread}`).join()]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  if (!processId) {
+    return <p className="s7-scenario-empty">Save this process first — comments hang off the saved process.</p>;
+  }
+
+  const run = async (fn) => {
+    setActionErr(null);
+    try { await fn(); } catch (e) { setActionErr(e.message); }
+  };
+  const reply = (threadId, body) => post({ thread_id: threadId, body });
+  const resolve = (threadId, resolved) => run(() => setResolved(threadId, resolved));
+
+  const open = (t, where) => {
+    onFocusChange?.({ anchor_type: t.anchor_type, anchor_id: t.anchor_id, label: t.anchor_label });
+    if (where) onJumpToStep?.(where.stepIndex);
+  };
+
+  // Anchors to start a thread on: every step, and each step → next step handoff.
+  const anchorOptions = steps.flatMap((s, i) => {
+    const opts = [{ value: `step:${i}`, label: `Step ${i + 1}: ${s.name || 'Untitled'}` }];
+    if (i < steps.length - 1) opts.push({ value: `handoff:${i}`, label: `Handoff ${i + 1} → ${i + 2}` });
+    return opts;
+  });
+
+  const startThread = async (body, anchor) => {
+    const withIds = resolveStepIds ? resolveStepIds() : steps;
+    let input;
+    if (anchor.anchor_id) {
+      input = { ...anchor, body };
+    } else {
+      const [type, idx] = anchor.value.split(':');
+      const i = Number(idx);
+      const anchorId = type === 'step' ? withIds[i]?.id : handoffAnchorId(withIds[i]?.id, withIds[i + 1]?.id);
+      if (!withIds[i]?.id || (type === 'handoff' && !withIds[i + 1]?.id)) throw new Error('That step has no id yet — try again in a moment.');
+      input = { body, anchor_type: type, anchor_id: anchorId, anchor_label: anchor.label };
+      onFocusChange?.({ anchor_type: type, anchor_id: anchorId, label: anchor.label });
+    }
+    await post(input);
+  };
+
+  if (focus) {
+    return (
+      <div className="s7-comments">
+        {(error || actionErr) && <div className="s7-scenario-error">{actionErr || error}</div>}
+        <div className="s7-comment-focus">
+          <button type="button" className="s7-scenario-btn" onClick={() => onFocusChange?.(null)}>← All comments</button>
+          <span className="s7-comment-focus-label">{focusLabel}</span>
+          {!focusWhere && <span className="s7-comment-detached">No longer on the canvas</span>}
+        </div>
+        <ul className="s7-comment-list">
+          {!focused.length && <li className="s7-scenario-empty">No comments here yet.</li>}
+          {focused.map(({ thread }) => (
+            <Thread key={thread.id} thread={thread} people={people} me={me} onReply={reply} onResolve={resolve} />
+          ))}
+        </ul>
+        {focusWhere && (
+          <Composer
+            people={people}
+            placeholder="Start a thread… use @ to mention someone."
+            submitLabel="Comment"
+            onSubmit={(body) => startThread(body, { anchor_type: focus.anchor_type, anchor_id: focus.anchor_id, anchor_label: focusWhere.label })}
+          />
+        )}
+      </div>
+    );
+  }
+
+  const openThreads = located.filter(({ thread }) => !thread.resolved_at);
+  const resolvedThreads = located.filter(({ thread }) => thread.resolved_at);
+  const listed = showResolved ? [...openThreads, ...resolvedThreads] : openThreads;
+  const picked = anchorOptions.find((o) => o.value === target);
+
+  return (
+    <div className="s7-comments">
+      {(error || actionErr) && <div className="s7-scenario-error">{actionErr || error}</div>}
+      <div className="s7-comment-new">
+        <select value={target} onChange={(e) => setTarget(e.target.value)} aria-label="Step or handoff to comment on">
+          <option value="">Comment on a step or handoff…</option>
+          {anchorOptions.map((o) => <option key={o.value} value={o.value}>{o.label}</option>)}
+        </select>
+        {picked && (
+          <Composer
+            people={people}
+            placeholder={`Comment on ${picked.label}… use @ to mention someone.`}
+            submitLabel="Comment"
+            onSubmit={async (body) => { await startThread(body, picked); setTarget(''); }}
+          />
+        )}
+      </div>
+      <ul className="s7-comment-list">
+        {!threads.length && <li className="s7-scenario-empty">No comments on this process yet.</li>}
+        {threads.length > 0 && !openThreads.length && !showResolved && (
+          <li className="s7-scenario-empty">Every thread is resolved.</li>
+        )}
+        {listed.map(({ thread: t, where }) => (
+          <li key={t.id} className={`s7-comment-summary${t.resolved_at ? ' s7-comment-thread--resolved' : ''}`}>
+            <button type="button" onClick={() => open(t, where)}>
+              <span className="s7-comment-summary-where">
+                {where?.label || t.anchor_label || 'Removed step'}
+                {!where && <span className="s7-comment-detached">No longer on the canvas</span>}
+                {t.unread > 0 && <span className="s7-comment-unread" title={`${t.unread} unread`}>{t.unread}</span>}
+              </span>
+              <span className="s7-comment-summary-text">{t.comments[0].body}</span>
+              <span className="s7-comment-time">
+                {t.comments[0].author_email === me ? 'You' : t.comments[0].author_email}
+                {t.comments.length > 1 ? ` · ${t.comments.length - 1} repl${t.comments.length === 2 ? 'y' : 'ies'}` : ''}
+                {' · '}{when(t.last_at)}
+              </span>
+            </button>
+          </li>
+        ))}
+      </ul>
+      {resolvedThreads.length > 0 && (
+        <button type="button" className="s7-scenario-archived-toggle" onClick={() => setShowResolved((v) => !v)}>
+          {showResolved ? 'Hide resolved' : `Show resolved (${resolvedThreads.length})`}
+        </button>
+      )}
+    </div>
+  );
+}
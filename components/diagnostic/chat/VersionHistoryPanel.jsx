@@ -0,0 +1,281 @@
+'use client';
+
+/**
+ * Version history panel — point-in-time copies of the open process,
+ * opened from the canvas rail. Lists every version newest first (auto
+ * versions taken on save, named checkpoints, restores) and lets the
+ * owner:
+ *
+ *   • save a named checkpoint of the saved process
+ *   • pick any two versions — or a version and the current canvas — and
+ *     compare them on a canvas: added steps green, removed steps put back
+ *     in place and faded red, edited steps amber
+ *   • restore a version into the live process
+ *
+ * Restoring keeps the current state as a version first and is recorded
+ * as a `reverted` change; the parent reloads the canvas via onRestored so
+ * autosave doesn't push the old steps back. Backed by
+ * /api/processes/[id]/versions.
+ */
+
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { createPortal } from 'react-dom';
+import { apiFetch } from '@/lib/api-fetch';
+import { diffFlowVersions } from '@/lib/flows/versions';
+import InteractiveFlowCanvas from '@/components/flow/InteractiveFlowCanvas';
+
+const KIND_LABEL = {
+  auto: 'Auto-saved',
+  checkpoint: 'Checkpoint',
+  restore: 'Restored',
+};
+
+const STATUS_LABEL = { added: 'Added', removed: 'Removed', modified: 'Edited' };
+
+const CURRENT = 'current';
+const JSON_HEADERS = { 'Content-Type': 'application/json' };
+
+function when(iso) {
+  if (!iso) return '';
+  try {
+    return new Date(iso).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+  } catch { return iso; }
+}
+
+function versionLabel(v) {
+  if (!v) return 'Current canvas';
+  return `v${v.version_no}${v.name ? ` · ${v.name}` : ''}`;
+}
+
+function VersionDiffOverlay({ fromVersion, toVersion, fromFlow, toFlow, darkTheme, onClose }) {
+  const diff = useMemo(() => diffFlowVersions(fromFlow, toFlow), [fromFlow, toFlow]);
+  const [pi, setPi] = useState(0);
+  const proc = diff.processes[Math.min(pi, diff.processes.length - 1)];
+
+  useEffect(() => {
+    const onKey = (e) => { if (e.key === 'Escape') onClose?.(); };
+    window.addEventListener('keydown', onKey);
+    return () => window.removeEventListener('keydown', onKey);
+  }, [onClose]);
+
+  const changed = proc
+    ? proc.process.steps.map((s, i) => ({ step: s, mark: proc.marks[`step-${i}`] })).filter((r) => r.mark)
+    : [];
+  const t = diff.totals;
+
+  return createPortal(
+    <div className="s7-version-diff-overlay" role="dialog" aria-modal aria-label="Compare versions" onClick={onClose}>
+      <div className="s7-version-diff-frame" data-theme={darkTheme ? 'dark' : 'light'} onClick={(e) => e.stopPropagation()}>
+        <div className="s7-version-diff-bar">
+          <span className="s7-version-diff-title">
+            {versionLabel(fromVersion)} <span aria-hidden>→</span> {versionLabel(toVersion)}
+          </span>
+          <span className="s7-version-diff-totals">
+            <span className="s7-version-diff-chip s7-version-diff-chip--added">{t.added} added</span>
+            <span className="s7-version-diff-chip s7-version-diff-chip--removed">{t.removed} removed</span>
+            <span className="s7-version-diff-chip s7-version-diff-chip--modified">{t.modified} edited</span>
+          </span>
+          <button type="button" className="s7-scenario-btn" onClick={onClose}>Close</button>
+        </div>
+        {diff.processes.length > 1 && (
+          <div className="s7-version-diff-tabs" role="tablist">
+            {diff.processes.map((p, i) => (
+              <button key={p.processIndex} type="button" role="tab" aria-selected={i === pi}
+                className={`s7-scenario-btn${i === pi ? ' s7-scenario-btn--primary' : ''}`} onClick={() => setPi(i)}>
+                {p.processName}
+              </button>
+            ))}
+          </div>
+        )}
+        <div className="s7-version-diff-body">
+          <div className="s7-version-diff-canvas">
+            {proc?.process.steps.length ? (
+              <InteractiveFlowCanvas
+                key={`${proc.processIndex}`}
+                process={proc.process}
+                layout="grid"
+                darkTheme={darkTheme}
+                stepMarks={proc.marks}
+                hideBuiltInToolbar
+              />
+            ) : (
+              <p className="s7-scenario-empty">Neither version has steps.</p>
+            )}
+          </div>
+          <ol className="s7-version-diff-list">
+            {!changed.length && <li className="s7-scenario-empty">No step changes between these versions.</li>}
+            {changed.map(({ step, mark }) => (
+              <li key={step.number} className={`s7-version-diff-item s7-version-diff-item--${mark.status}`}>
+                <span className="s7-version-diff-item-status">{STATUS_LABEL[mark.status]}</span>
+                <span className="s7-version-diff-item-name">{step.number}. {step.name || 'Untitled step'}</span>
+                {mark.fields?.length > 0 && <span className="s7-version-diff-item-fields">{mark.fields.join(', ')}</span>}
+              </li>
+            ))}
+          </ol>
+        </div>
+      </div>
+    </div>,
+    document.body,
+  );
+}
+
+export default function VersionHistoryPanel({ processId, accessToken, currentFlow, darkTheme = false, refreshKey = 0, onRestored }) {
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [err, setErr] = useState(null);
+  const [name, setName] = useState('');
+  const [fromId, setFromId] = useState(null);
+  const [toId, setToId] = useState(currentFlow ? CURRENT : null);
+  const [compare, setCompare] = useState(null); // { fromVersion, toVersion, fromFlow, toFlow }
+  const flowCache = useRef(new Map()); // versionId → flow_data; versions never change
+
+  const base = processId ? `/api/processes/${encodeURIComponent(processId)}/versions` : null;
+
+  const load = useCallback(async () => {
+    if (!base || !accessToken) return;
+    setLoading(true);
+    try {
+      const r = await apiFetch(base, { dedupe: false }, accessToken);
+      const j = await r.json().catch(() => null);
+      if (r.ok) { setData(j); setErr(null); } else setErr(j?.error || 'Could not load the version history.');
+    } catch {
+      setErr('Could not load the version history.');
+    } finally { setLoading(false); }
+  }, [base, accessToken]);
+
+  useEffect(() => { load(); }, [load, refreshKey]);
+
+  const versions = data?.versions || [];
+  // Default comparison: the newest version against the canvas.
+  useEffect(() => {
+    if (!fromId && versions.length) setFromId(versions[0].id);
+  }, [fromId, versions]);
+
+  const run = async (fn) => {
+    setBusy(true); setErr(null);
+    try { await fn(); } finally { setBusy(false); }
+  };
+
+  const flowOf = async (id) => {
+    if (id === CURRENT) return currentFlow;
+    if (flowCache.current.has(id)) return flowCache.current.get(id);
+    const r = await apiFetch(`${base}/${id}`, { dedupe: false }, accessToken);
+    const j = await r.json().catch(() => null);
+    if (!r.ok) throw new Error(j?.error || 'Could not load the version.');
+    flowCache.current.set(id, j.version.flow_data);
+    return j.version.flow_data;
+  };
+
+  const checkpoint = (e) => {
+    e.preventDefault();
+    const n = name.trim();
+    if (!n) return;
+    run(async () => {
+      const r = await apiFetch(base, { method: 'POST', headers: JSON_HEADERS, body: JSON.stringify({ name: n }) }, accessToken);
+      const j = await r.json().catch(() => null);
+      if (!r.ok) { setErr(j?.error || 'Could not save the checkpoint.'); return; }
+      setName('');
+      await load();
+    });
+  };
+
+  const openCompare = () => run(async () => {
+    try {
+      const [fromFlow, toFlow] = await Promise.all([flowOf(fromId), flowOf(toId)]);
+      const byId = new Map(versions.map((v) => [v.id, v]));
+      setCompare({ fromVersion: byId.get(fromId) || null, toVersion: byId.get(toId) || null, fromFlow, toFlow });
+    } catch (e) {
+      setErr(e.message);
+    }
+  });
+
+  const restore = (v) => {
+    if (!confirm(`Restore ${versionLabel(v)} (${when(v.created_at)})? Its steps, layout and cost inputs replace the live ones. The current state is kept in the history first.`)) return;
+    run(async () => {
+      const r = await apiFetch(`${base}/${v.id}/restore`, { method: 'POST', headers: JSON_HEADERS, body: '{}' }, accessToken);
+      const j = await r.json().catch(() => null);
+      if (!r.ok) { setErr(j?.error || 'Could not restore the version.'); return; }
+      await load();
+      onRestored?.(j);
+    });
+  };
+
+  if (!processId) {
+    return <p className="s7-scenario-empty">Save this process first — versions are taken from the saved process.</p>;
+  }
+
+  const byId = new Map(versions.map((v) => [v.id, v]));
+
+  return (
+    <div className="s7-scenarios s7-versions">
+      {err && <div className="s7-scenario-error">{err}</div>}
+
+      <form className="s7-scenario-new" onSubmit={checkpoint}>
+        <input
+          type="text"
+          value={name}
+          maxLength={120}
+          placeholder='Checkpoint name, e.g. "Signed off by ops"'
+          onChange={(e) => setName(e.target.value)}
+        />
+        <button type="submit" className="s7-scenario-btn s7-scenario-btn--primary" disabled={busy || !name.trim()}>Save checkpoint</button>
+      </form>
+      <p className="s7-scenario-empty s7-version-hint">
+        Saves are versioned automatically, at most once every ten minutes of editing. Pick a <strong>From</strong> and a <strong>To</strong> to compare.
+      </p>
+
+      <div className="s7-version-compare">
+        <span>{versionLabel(byId.get(fromId))}</span>
+        <span aria-hidden>→</span>
+        <span>{toId === CURRENT ? 'Current canvas' : toId ? versionLabel(byId.get(toId)) : '…'}</span>
+        <button type="button" className="s7-scenario-btn" disabled={busy || !fromId || !toId || fromId === toId} onClick={openCompare}>Compare</button>
+      </div>
+
+      <ul className="s7-version-list">
+        <li className="s7-scenario-card s7-scenario-card--live s7-version-row">
+          <div className="s7-scenario-card-head">
+            <span className="s7-scenario-name">Current canvas</span>
+            <span className="s7-scenario-status">{data?.liveUpdatedAt ? `saved ${when(data.liveUpdatedAt)}` : ''}</span>
+          </div>
+          <div className="s7-version-pick">
+            {currentFlow ? (
+              <label title="Compare to the current canvas">
+                <input type="radio" name="version-to" checked={toId === CURRENT} onChange={() => setToId(CURRENT)} /> To
+              </label>
+            ) : (
+              <span className="s7-version-meta">Switch to the current-state canvas to compare against it.</span>
+            )}
+          </div>
+        </li>
+        {loading && !data && <li className="s7-scenario-empty">Loading versions…</li>}
+        {data && !versions.length && <li className="s7-scenario-empty">No versions yet. One is taken the next time this process saves.</li>}
+        {versions.map((v) => {
+          const source = v.restored_from_id ? byId.get(v.restored_from_id) : null;
+          return (
+            <li key={v.id} className={`s7-scenario-card s7-version-row s7-version-row--${v.kind}`}>
+              <div className="s7-scenario-card-head">
+                <span className="s7-scenario-name" title={v.note || ''}>v{v.version_no}{v.name ? ` · ${v.name}` : ''}</span>
+                <span className="s7-scenario-status">{KIND_LABEL[v.kind] || v.kind}</span>
+              </div>
+              <div className="s7-version-meta">
+                {when(v.created_at)}{v.created_by_email ? ` · ${v.created_by_email}` : ''} · {v.step_count} step{v.step_count === 1 ? '' : 's'}
+                {v.kind === 'restore' && (source ? ` · from v${source.version_no}` : ' · from an earlier version')}
+              </div>
+              {v.note && <p className="s7-scenario-desc">{v.note}</p>}
+              <div className="s7-version-pick">
+                <label><input type="radio" name="version-from" checked={fromId === v.id} onChange={() => setFromId(v.id)} /> From</label>
+                <label><input type="radio" name="version-to" checked={toId === v.id} onChange={() => setToId(v.id)} /> To</label>
+                <button type="button" className="s7-scenario-btn" disabled={busy} onClick={() => restore(v)}>Restore</button>
+              </div>
+            </li>
+          );
+        })}
+      </ul>
+
+      {compare && (
+        <VersionDiffOverlay {...compare} darkTheme={darkTheme} onClose={() => setCompare(null)} />
+      )}
+    </div>
+  );
+}
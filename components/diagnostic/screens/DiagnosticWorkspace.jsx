@@ -18,6 +18,7 @@ import { STEP_SUGGESTIONS } from '@/lib/diagnostic/stepSuggestions';
 import { resolveBranchTarget } from '@/lib/flows/shared';
 import { loadSnippets, saveSnippet, deleteSnippet } from '@/lib/diagnostic/savedSnippets';
 import { getWaitProfile } from '@/lib/flows/flowModel';
+import { normaliseStepSla, normaliseProcessSla, stepSlaTarget } from '@/lib/flows/sla';
 import { repairFlow } from '@/lib/flows/normalizer';
 import { reconcileDecisionBranches } from '@/lib/flows/reconcileEdges';
 import { computePhaseState, INTAKE_PHASES } from '@/lib/diagnostic/intakePhases';
@@ -35,6 +36,7 @@ const DealWorkspaceCanvasClient = dynamic(() => import('@/app/deals/[id]/workspa
 // renders when the user picks those scopes.
 import WorkspaceScopeNav from '@/components/workspace/WorkspaceScopeNav';
 import WorkspaceDealsTab from '@/components/workspace/WorkspaceDealsTab';
+import WorkspacePortfolioTab from '@/components/workspace/WorkspacePortfolioTab';
 import WorkspaceAnalyticsTab from '@/components/workspace/WorkspaceAnalyticsTab';
 import WorkspaceModelsTab from '@/components/workspace/WorkspaceModelsTab';
 import RecentProcessesRow from '@/components/diagnostic/chat/RecentProcessesRow';
@@ -44,8 +46,17 @@ import AnalyticsRailButton from '@/components/diagnostic/chat/AnalyticsRailButto
 import AnalyticsCanvasPanel from '@/components/workspace/AnalyticsCanvasPanel';
 import DealContextChip from '@/components/diagnostic/chat/DealContextChip';
 import FlowPresenceBar from '@/components/diagnostic/chat/FlowPresenceBar';
-import { useFlowPresence } from '@/lib/useFlowPresence';
+import { useFlowCollab, newStepId } from '@/lib/useFlowCollab';
+import { useProcessComments } from '@/lib/useProcessComments';
+import { commentMarkers } from '@/lib/flows/comments';
+import { ensureStepIds } from '@/lib/flows/collab';
+import { linkBranchTargets, retargetBranches, stepIndexByRef, stepLabel } from '@/lib/flows/stepIds';
+import { stepPositions, storeStepPositions } from '@/lib/flows/layoutStorageKeys';
 import RailSlidePanel from '@/components/diagnostic/chat/RailSlidePanel';
+import ScenariosPanel from '@/components/diagnostic/chat/ScenariosPanel';
+import VersionHistoryPanel from '@/components/diagnostic/chat/VersionHistoryPanel';
+import StepCommentsPanel from '@/components/diagnostic/chat/StepCommentsPanel';
+import NotificationsRailButton from '@/components/diagnostic/chat/NotificationsRailButton';
 import CreditsWidget from '@/components/diagnostic/chat/CreditsWidget';
 import { IconEdit, IconArchive, IconDelete } from '@/components/diagnostic/actionIcons';
 import MobileViewGate from '@/components/MobileViewGate';
@@ -53,6 +64,8 @@ import { CanvasActionProvider, useCanvasAction } from '@/components/diagnostic/c
 
 const INTAKE_PHASES_BY_ID = Object.fromEntries(INTAKE_PHASES.map((p) => [p.id, p]));
 import { generateReportInline } from '@/lib/diagnostic';
+import { deadlineLabel } from '@/lib/dealIntegrationPlan';
+import DealWatermarkedViewer from '@/components/diagnostic/chat/DealWatermarkedViewer';
 import ChatMessageContent, { CopyButton } from '../ChatMessageContent';
 
 // Bundle-split heavy panels that only render on demand. Keeps the
@@ -747,7 +760,8 @@ function ArtefactPill({ artefact, onOpenFlow }) {
 
 /**
  * Fetch a signed URL for a deal document. Returns the full {url, filename,
- * mime_type, byte_size} payload or null on failure.
+ * mime_type, byte_size} payload, `{ view_only: true }` for documents that
+ * can only be read in the watermarked viewer, or null on failure.
  */
 async function fetchDealDocSignedUrl({ dealId, documentId, accessToken }) {
   if (!dealId || !documentId) return null;
@@ -757,6 +771,10 @@ async function fetchDealDocSignedUrl({ dealId, documentId, accessToken }) {
       {},
       accessToken,
     );
+    if (r.status === 403) {
+      const j = await r.json().catch(() => null);
+      return j?.view_only ? { view_only: true } : null;
+    }
     if (!r.ok) return null;
     return await r.json();
   } catch {
@@ -833,6 +851,7 @@ function DealDocsSources({ groups, dealId, accessToken }) {
     setErrorChunkId(null);
     const data = await fetchDealDocSignedUrl({ dealId, documentId: c.documentId, accessToken });
     setBusyChunkId(null);
+    if (data?.view_only) { setViewing({ viewOnly: true, documentId: c.documentId, filename: c.filename }); return; }
     if (!data?.url) { setErrorChunkId(c.chunkId); return; }
     setViewing({ url: data.url, filename: c.filename || data.filename, mime_type: data.mime_type });
   };
@@ -871,7 +890,14 @@ function DealDocsSources({ groups, dealId, accessToken }) {
           </li>
         ))}
       </ul>
-      <DealDocViewer open={Boolean(viewing)} onClose={() => setViewing(null)} doc={viewing} />
+      {viewing?.viewOnly ? (
+        <DealWatermarkedViewer
+          dealId={dealId} documentId={viewing.documentId} filename={viewing.filename}
+          accessToken={accessToken} onClose={() => setViewing(null)}
+        />
+      ) : (
+        <DealDocViewer open={Boolean(viewing)} onClose={() => setViewing(null)} doc={viewing} />
+      )}
     </div>
   );
 }
@@ -927,7 +953,8 @@ function DealMetaCards({ groups, dealId, accessToken }) {
     setBusyId(d.id);
     const data = await fetchDealDocSignedUrl({ dealId, documentId: d.id, accessToken });
     setBusyId(null);
-    if (data?.url) setViewing({ url: data.url, filename: d.filename || data.filename, mime_type: data.mime_type });
+    if (data?.view_only) setViewing({ viewOnly: true, documentId: d.id, filename: d.filename });
+    else if (data?.url) setViewing({ url: data.url, filename: d.filename || data.filename, mime_type: data.mime_type });
   };
   return (
     <div className="s7-msg-deal-meta">
@@ -1039,7 +1066,14 @@ function DealMetaCards({ groups, dealId, accessToken }) {
         }
         return null;
       })}
-      <DealDocViewer open={Boolean(viewing)} onClose={() => setViewing(null)} doc={viewing} />
+      {viewing?.viewOnly ? (
+        <DealWatermarkedViewer
+          dealId={dealId} documentId={viewing.documentId} filename={viewing.filename}
+          accessToken={accessToken} onClose={() => setViewing(null)}
+        />
+      ) : (
+        <DealDocViewer open={Boolean(viewing)} onClose={() => setViewing(null)} doc={viewing} />
+      )}
     </div>
   );
 }
@@ -1140,6 +1174,25 @@ function DealProposalCards({ proposals, accessToken }) {
         return;
       }
 
+      if (p.kind === 'integration_plan') {
+        const r = await apiFetch(
+          `/api/deals/${p.dealId}/integration-plan/initiatives`,
+          {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ workstreams: p.workstreams, initiatives: p.initiatives, origin: 'agent' }),
+          },
+          accessToken,
+        );
+        const data = await r.json().catch(() => ({}));
+        if (!r.ok) throw new Error(data?.error || `Apply failed (${r.status})`);
+        setStateById((s) => ({
+          ...s,
+          [idx]: { applied: true, info: `${p.initiatives.length} initiative${p.initiatives.length === 1 ? '' : 's'} added to the integration plan` },
+        }));
+        return;
+      }
+
       if (p.kind === 'invite_participant') {
         const r = await apiFetch(
           `/api/deals/${p.dealId}/participants`,
@@ -1224,6 +1277,23 @@ function DealProposalCards({ proposals, accessToken }) {
               {p.reason && <div className="s7-msg-deal-proposal-note">{p.reason}</div>}
             </>
           );
+        } else if (p.kind === 'integration_plan') {
+          modifier = 'plan';
+          applyLabel = 'Add to integration plan';
+          head = <span className="s7-msg-deal-proposal-action">Proposed: 100-day integration plan</span>;
+          body = (
+            <>
+              <ul className="s7-msg-deal-proposal-list">
+                {p.initiatives.map((it, ii) => (
+                  <li key={ii}>
+                    <strong>{deadlineLabel(it.deadline)}</strong> · {it.title}
+                    <span style={{ color: 'var(--text-mid, #64748b)' }}> · {it.workstream}</span>
+                  </li>
+                ))}
+              </ul>
+              {p.rationale && <div className="s7-msg-deal-proposal-note">{p.rationale}</div>}
+            </>
+          );
         } else if (p.kind === 'invite_participant') {
           modifier = 'invite';
           applyLabel = p.sendInviteEmail && p.email ? 'Add & email invite' : 'Add participant';
@@ -2064,6 +2134,36 @@ export default function DiagnosticWorkspace({ initialStepIdx: initialStepIdxProp
     window.addEventListener('vesno:open-workspace', onOpenWorkspace);
     return () => window.removeEventListener('vesno:open-workspace', onOpenWorkspace);
   }, [dealId, selectedOperatingModelId]);
+  // Deal picked from the overlay's Deals or Portfolio list. Atomic state
+  // update: canvas selection + shell seed + chat context all in one
+  // batch. The seed lets DealWorkspaceClient render immediately with
+  // name/type/status from the picker row, so there's no loading flash
+  // when its own /api/deals fetch resolves.
+  const openCanvasDeal = (id, row) => {
+    setCanvasScope('deals');
+    setCanvasDealId(id);
+    setCanvasDealSeed({
+      deal: {
+        id,
+        dealCode: row?.dealCode || row?.deal_code || null,
+        type: row?.type || null,
+        name: row?.name || null,
+        processName: row?.processName || row?.process_name || null,
+        status: row?.status || null,
+      },
+      participants: [],
+      flows: [],
+      summary: {},
+    });
+    setDeal({
+      dealId: id,
+      dealCode: row?.dealCode || row?.deal_code || null,
+      dealName: row?.name || null,
+      dealRole:
+        row?.ownerRole || row?.accessMode || row?.role || null,
+      dealParticipants: [],
+    });
+  };
   const [artefactPreview, setArtefactPreview] = useState(null); // flow_snapshot viewer payload
   const [hasCostAccess, setHasCostAccess] = useState(false);
   const [snippets, setSnippets] = useState(() => { try { return loadSnippets(null); } catch { return []; } });
@@ -2095,6 +2195,9 @@ export default function DiagnosticWorkspace({ initialStepIdx: initialStepIdxProp
      one rail (with-flow OR no-flow) renders at a time, so a single ref
      per panel is sufficient. */
   const stepsBtnRef = useRef(null);
+  const scenariosBtnRef = useRef(null);
+  const historyBtnRef = useRef(null);
+  const commentsBtnRef = useRef(null);
   const artefactsBtnRef = useRef(null);
   const activityBtnRef = useRef(null);
 
@@ -2111,29 +2214,6 @@ export default function DiagnosticWorkspace({ initialStepIdx: initialStepIdxProp
 
   chatSeedCtxRef.current = { processData, moduleId, dealCanonicalProcessName, dealName, dealRole, chatMessages, myDealCompany };
 
-  /* ═══════ Real-time flow presence ═══════
-     Subscribes to the Supabase Realtime channel keyed on the active
-     flow scope. Other authenticated users on the same scope appear in
-     the FlowPresenceBar below the deal context chip. Soft presence —
-     no locks; collisions just become visible. */
-  const myParticipantId = (dealParticipants || []).find(
-    (p) => (p.participant_email || p.participantEmail || '').toLowerCase() === myEmail,
-  )?.id || null;
-  const { peers: presencePeers } = useFlowPresence({
-    user: sessionUser ? { email: sessionUser.email, name: sessionUser.name } : null,
-    dealId: dealId || null,
-    participantId: myParticipantId,
-    reportId: !dealId ? (editingReportId || null) : null,
-    // The currently-edited step is the one expanded in the inspector
-    // (or null when no step is selected). Peers see "editing step N"
-    // and the bar highlights collisions when two users are on the
-    // same step.
-    currentlyEditingStep: typeof expandedStepIdx === 'number' && expandedStepIdx >= 0
-      ? expandedStepIdx + 1
-      : null,
-    enabled: !!sessionUser?.email,
-  });
-
   /* ═══════ Walkthrough — first-visit only, re-openable via rail ═══════ */
   const GUIDE_SEEN_KEY = 'workflow-walkthrough-seen-v1';
   const [showGuide, setShowGuide] = useState(false);
@@ -2165,7 +2245,9 @@ export default function DiagnosticWorkspace({ initialStepIdx: initialStepIdxProp
   }, []);
 
   /* ═══════ Layout state (floating panels) ═══════ */
-  const [floatingPanel, setFloatingPanel] = useState(null); // null | 'steps' | 'chat'
+  const [floatingPanel, setFloatingPanel] = useState(null); // null | 'steps' | 'scenarios' | 'history' | 'comments' | 'chat'
+  // Bumped when the agent stages a scenario so an open Scenarios panel reloads.
+  const [scenariosRefreshKey, setScenariosRefreshKey] = useState(0);
 
   const SPLIT_CHAT_WIDTH_KEY = 'workflow-s7-map-split-chat-w';
   const [splitChatWidthPx, setSplitChatWidthPx] = useState(() => {
@@ -2668,6 +2750,146 @@ export default function DiagnosticWorkspace({ initialStepIdx: initialStepIdxProp
   const flowNodePositionsRef = useRef(flowNodePositions);
   flowNodePositionsRef.current = flowNodePositions; // keep in sync every render
 
+  /* ═══════ Real-time collaboration ═══════
+     Presence, live cursors, per-step soft locks and merging of concurrent
+     edits over the flow's Supabase Realtime channel (useFlowCollab).
+     Merged remote edits land straight in local state, so they aren't
+     re-recorded as this user's changes; collisions are written to the
+     `changes` timeline as 'merged' rows. */
+  const myParticipantId = (dealParticipants || []).find(
+    (p) => (p.participant_email || p.participantEmail || '').toLowerCase() === myEmail,
+  )?.id || null;
+  const collabFlowKey = editingReportId && !viewOnlyProcessId
+    ? `${editingReportId}:${editingSurface === 'target' ? 'target' : 'current'}`
+    : null;
+  const collabSnapshot = useMemo(
+    () => ({ steps, handoffs, flowNodePositions, flowCustomEdges, flowDeletedEdges }),
+    [steps, handoffs, flowNodePositions, flowCustomEdges, flowDeletedEdges],
+  );
+  // The version browser compares saved versions against the canvas as it
+  // stands — only meaningful while the canvas shows the live process.
+  const versionCompareFlow = useMemo(
+    () => (editingSurface === 'target' ? null : { rawProcesses: [{ processName: processData?.processName, steps, handoffs }] }),
+    [editingSurface, processData?.processName, steps, handoffs],
+  );
+
+  /* ═══════ Step / handoff comments ═══════
+     Threads live on the saved process and anchor to step ids
+     (lib/flows/comments.js); badges show on the current-state canvas. */
+  const processComments = useProcessComments({ processId: editingReportId || null, accessToken });
+  const [commentFocus, setCommentFocus] = useState(null); // { anchor_type, anchor_id, label? }
+  const [pendingCommentThread, setPendingCommentThread] = useState(null); // { reportId, threadId }
+  const canvasCommentMarkers = useMemo(
+    () => (editingSurface === 'target' ? null : commentMarkers(processComments.threads, steps)),
+    [editingSurface, processComments.threads, steps],
+  );
+  const commentsUnread = processComments.threads.reduce((n, t) => n + t.unread, 0);
+  // Steps loaded from older saves have no ids; give them ids (saved with
+  // the next autosave) before a thread is anchored to one.
+  const resolveCommentStepIds = useCallback(() => {
+    const next = ensureStepIds(steps, newStepId);
+    if (next !== steps) setSteps(next);
+    return next;
+  }, [steps]);
+  const onCommentMarkerClick = useCallback((m) => {
+    setCommentFocus({ anchor_type: m.anchor_type, anchor_id: m.anchor_id });
+    setFloatingPanel('comments');
+  }, []);
+  // A notification opened this process: show its thread once it's loaded.
+  useEffect(() => {
+    if (!pendingCommentThread || pendingCommentThread.reportId !== editingReportId) return;
+    const thread = processComments.threads.find((t) => t.id === pendingCommentThread.threadId);
+    if (!thread) return;
+    setCommentFocus({ anchor_type: thread.anchor_type, anchor_id: thread.anchor_id, label: thread.anchor_label });
+    setFloatingPanel('comments');
+    setPendingCommentThread(null);
+  }, [pendingCommentThread, editingReportId, processComments.threads]);
+  const expandedStepId = typeof expandedStepIdx === 'number' ? steps[expandedStepIdx]?.id || null : null;
+  const expandedStepIdRef = useRef(expandedStepId);
+  expandedStepIdRef.current = expandedStepId;
+  const [lockOverrideId, setLockOverrideId] = useState(null);
+
+  const applyCollabSnapshot = useCallback((next) => {
+    if (next.steps) {
+      setSteps(next.steps);
+      setActiveIdx((a) => Math.max(0, Math.min(a, next.steps.length - 1)));
+      // Keep the inspector on the same step when a merge moves it.
+      const openId = expandedStepIdRef.current;
+      if (openId) {
+        const idx = next.steps.findIndex((st) => st.id === openId);
+        setExpandedStepIdx(idx >= 0 ? idx : null);
+      }
+    }
+    if (next.handoffs) setHandoffs(next.handoffs);
+    const layout = {};
+    if (next.flowNodePositions) {
+      flowNodePositionsRef.current = next.flowNodePositions;
+      setFlowNodePositions(next.flowNodePositions);
+      layout.flowNodePositions = next.flowNodePositions;
+    }
+    if (next.flowCustomEdges) {
+      flowCustomEdgesRef.current = next.flowCustomEdges;
+      setFlowCustomEdges(next.flowCustomEdges);
+      layout.flowCustomEdges = next.flowCustomEdges;
+    }
+    if (next.flowDeletedEdges) {
+      flowDeletedEdgesRef.current = next.flowDeletedEdges;
+      setFlowDeletedEdges(next.flowDeletedEdges);
+      layout.flowDeletedEdges = next.flowDeletedEdges;
+    }
+    if (Object.keys(layout).length) queueMicrotask(() => updateProcessData(layout));
+  }, [updateProcessData]);
+
+  const onCollabConflicts = useCallback((conflicts) => {
+    const first = conflicts[0];
+    const who = first.won_by_name || first.won_by || 'A collaborator';
+    const where = first.step_number ? `step ${first.step_number}` : 'the canvas';
+    showValidationToast(first.removed
+      ? `${who} removed ${where} while you were editing it.`
+      : `${who} changed ${first.field} on ${where} at the same time as you; their edit was kept.`);
+    conflicts.forEach((c) => addAuditEvent({
+      type: 'step_edit',
+      detail: `Concurrent edit merged: ${c.field} on ${c.step_number ? `step ${c.step_number}` : 'the canvas'} kept ${c.won_by || 'a collaborator'}'s version`,
+    }));
+    if (!editingReportId || !accessToken) return;
+    apiFetch(`/api/diagnostic-changes/${encodeURIComponent(editingReportId)}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ conflicts }),
+    }, accessToken).catch(() => {});
+  }, [showValidationToast, addAuditEvent, editingReportId, accessToken]);
+
+  const {
+    peers: presencePeers, cursors: collabCursors, sendCursor, lockHolder, collaborating,
+  } = useFlowCollab({
+    user: sessionUser ? { email: sessionUser.email, name: sessionUser.name } : null,
+    dealId: dealId || null,
+    participantId: myParticipantId,
+    reportId: !dealId ? (editingReportId || null) : null,
+    flowKey: collabFlowKey,
+    // Peers see "editing step N" and the bar highlights two users on the
+    // same step; the step's id drives the soft lock.
+    currentlyEditingStep: typeof expandedStepIdx === 'number' && expandedStepIdx >= 0
+      ? expandedStepIdx + 1
+      : null,
+    editingStepId: expandedStepId,
+    snapshot: collabSnapshot,
+    onRemoteSnapshot: applyCollabSnapshot,
+    onConflicts: onCollabConflicts,
+    enabled: !!sessionUser?.email,
+  });
+
+  // Every step keeps a stable id for life, and decision branches point at
+  // it (lib/flows/stepIds.js). In a collaborative session useFlowCollab
+  // fills missing ids so every peer agrees on them; otherwise new ones
+  // are minted here. Either way the ids are saved with the next autosave.
+  const collabFillsStepIds = !!(collabFlowKey && sessionUser?.email);
+  useEffect(() => {
+    const withIds = collabFillsStepIds ? steps : ensureStepIds(steps, newStepId);
+    const next = linkBranchTargets(withIds);
+    if (next !== steps) setSteps(next);
+  }, [steps, collabFillsStepIds]);
+
   /* ═══════ Sync local steps → global processData (debounced) ═════
    * processActions updates local state via setSteps but not global state.
    * Manual edits (addStep, updateStep, canvas ops) do the same.
@@ -2744,18 +2966,21 @@ export default function DiagnosticWorkspace({ initialStepIdx: initialStepIdxProp
     const pos = afterIdx === -2 ? 1 : afterIdx >= 0 ? afterIdx + 2 : undefined;
     setSteps((prev) => {
       if (prev.length >= MAX_STEPS) return prev;
-      const blank = { number: 0, name: '', department: '', isDecision: false, isMerge: false, isExternal: false, durationMinutes: undefined, durationUnit: 'hours', branches: [], systems: [], contributor: '', checklist: [], ...init };
+      // Branch targets follow step ids (lib/flows/stepIds.js), so link them
+      // before the insert shifts positions and relabel them after.
+      const base = linkBranchTargets(prev);
+      const blank = { id: newStepId(), number: 0, name: '', department: '', isDecision: false, isMerge: false, isExternal: false, durationMinutes: undefined, durationUnit: 'hours', branches: [], systems: [], contributor: '', checklist: [], ...init };
       // Default team to "Automated" for new decision nodes that have no team yet
       if (blank.isDecision && !blank.department) blank.department = 'Automated';
       let next;
       if (afterIdx === -2) {
-        next = [blank, ...prev];
-      } else if (afterIdx >= 0 && afterIdx < prev.length) {
-        next = [...prev.slice(0, afterIdx + 1), blank, ...prev.slice(afterIdx + 1)];
+        next = [blank, ...base];
+      } else if (afterIdx >= 0 && afterIdx < base.length) {
+        next = [...base.slice(0, afterIdx + 1), blank, ...base.slice(afterIdx + 1)];
       } else {
-        next = [...prev, blank];
+        next = [...base, blank];
       }
-      next = next.map((s, i) => ({ ...s, number: i + 1 }));
+      next = linkBranchTargets(next.map((s, i) => ({ ...s, number: i + 1 })));
       setHandoffs((h) => ensureHandoffs(next, h));
       setActiveIdx(afterIdx === -2 ? 0 : afterIdx >= 0 ? afterIdx + 1 : next.length - 1);
       return next;
@@ -2806,7 +3031,8 @@ export default function DiagnosticWorkspace({ initialStepIdx: initialStepIdxProp
     setSteps((prev) => {
       if (prev.length <= 1) return prev;
       removedName = prev[idx]?.name || '';
-      const next = prev.filter((_, i) => i !== idx).map((s, i) => ({ ...s, number: i + 1 }));
+      // Branches into the removed step are unlinked; the rest are relabelled.
+      const next = linkBranchTargets(linkBranchTargets(prev).filter((_, i) => i !== idx).map((s, i) => ({ ...s, number: i + 1 })));
       setHandoffs((h) => ensureHandoffs(next, h));
       setActiveIdx((a) => Math.min(a, next.length - 1));
       return next;
@@ -2820,15 +3046,17 @@ export default function DiagnosticWorkspace({ initialStepIdx: initialStepIdxProp
     let movedName = '';
     setSteps((prev) => {
       movedName = prev[fromIdx]?.name || '';
-      const arr = [...prev];
-      const [removed] = arr.splice(fromIdx, 1);
-      arr.splice(toIdx, 0, removed);
-      const newSteps = arr.map((s, i) => ({ ...s, number: i + 1 }));
+      const base = linkBranchTargets(prev);
+      // order[i] = where the step now at i used to be.
+      const order = base.map((_, i) => i);
+      const [removed] = order.splice(fromIdx, 1);
+      order.splice(toIdx, 0, removed);
+      const newSteps = linkBranchTargets(order.map((oi, i) => ({ ...base[oi], number: i + 1 })));
       setHandoffs((h) => {
         const newHandoffs = [];
         for (let i = 0; i < newSteps.length - 1; i++) {
-          const oldIdxLo = prev.indexOf(newSteps[i]);
-          const oldIdxHi = prev.indexOf(newSteps[i + 1]);
+          const oldIdxLo = order[i];
+          const oldIdxHi = order[i + 1];
           if (oldIdxHi === oldIdxLo + 1 && oldIdxLo >= 0 && oldIdxLo < h.length) {
             newHandoffs.push(h[oldIdxLo] || { method: '', clarity: '' });
           } else {
@@ -2893,6 +3121,12 @@ export default function DiagnosticWorkspace({ initialStepIdx: initialStepIdxProp
   const updateBranch = (si, bi, field, value) => {
     const branches = [...(steps[si].branches || [])];
     branches[bi] = { ...(branches[bi] || {}), [field]: value };
+    if (field === 'target') {
+      // The picker offers "Step N"; remember which step that is now.
+      const ti = stepIndexByRef(steps, value);
+      if (ti >= 0 && steps[ti].id) branches[bi].targetId = steps[ti].id;
+      else delete branches[bi].targetId;
+    }
     updateStep(si, 'branches', branches);
   };
   const addBranch = (si) => updateStep(si, 'branches', [...(steps[si].branches || []), { label: '', target: '' }]);
@@ -2924,21 +3158,10 @@ export default function DiagnosticWorkspace({ initialStepIdx: initialStepIdxProp
       const insertAfter = targetIdx;
       setSteps((prev) => {
         if (prev.length >= MAX_STEPS) return prev;
-        const blank = { number: 0, name: '', department: '', isDecision: false, isExternal: false, durationMinutes: undefined, durationUnit: 'hours', branches: [], systems: [], contributor: '', checklist: [] };
-        const next = [...prev.slice(0, insertAfter + 1), blank, ...prev.slice(insertAfter + 1)].map((st, i) => ({ ...st, number: i + 1 }));
-        const oldSteps = prev.map((st, i) => ({ ...st, idx: i }));
-        const bumpTarget = (t) => {
-          const idx = resolveBranchTarget(t, oldSteps);
-          if (idx >= insertAfter + 1) {
-            const m = String(t).match(/^(.*?)(\d+)(.*)$/);
-            return m ? `${m[1]}${parseInt(m[2], 10) + 1}${m[3]}` : t;
-          }
-          return t;
-        };
-        const updated = next.map((st, i) => {
-          if (!st.isDecision || !(st.branches || []).length) return st;
-          return { ...st, branches: st.branches.map((b) => ({ ...b, target: bumpTarget(b.target || b.targetStep || '') })) };
-        });
+        const blank = { id: newStepId(), number: 0, name: '', department: '', isDecision: false, isExternal: false, durationMinutes: undefined, durationUnit: 'hours', branches: [], systems: [], contributor: '', checklist: [] };
+        const base = linkBranchTargets(prev);
+        const next = [...base.slice(0, insertAfter + 1), blank, ...base.slice(insertAfter + 1)].map((st, i) => ({ ...st, number: i + 1 }));
+        const updated = linkBranchTargets(next);
         setHandoffs((h) => ensureHandoffs(updated, h));
         setActiveIdx(insertAfter + 1);
         setExpandedStepIdx(insertAfter + 1);
@@ -2948,12 +3171,12 @@ export default function DiagnosticWorkspace({ initialStepIdx: initialStepIdxProp
     } else {
       setSteps((prev) => {
         if (prev.length >= MAX_STEPS) return prev;
-        const blank = { number: 0, name: '', department: '', isDecision: false, isExternal: false, durationMinutes: undefined, durationUnit: 'hours', branches: [], systems: [], contributor: '', checklist: [] };
+        const blank = { id: newStepId(), number: 0, name: '', department: '', isDecision: false, isExternal: false, durationMinutes: undefined, durationUnit: 'hours', branches: [], systems: [], contributor: '', checklist: [] };
         const next = [...prev, blank].map((st, i) => ({ ...st, number: i + 1 }));
         const newIdx = next.length - 1;
         const newBranches = [...(s.branches || [])];
-        newBranches[branchIdx] = { ...(newBranches[branchIdx] || {}), target: `Step ${newIdx + 1}` };
-        const updated = next.map((st, i) => (i === decisionIdx ? { ...st, branches: newBranches } : st));
+        newBranches[branchIdx] = { ...(newBranches[branchIdx] || {}), target: stepLabel(newIdx), targetId: blank.id };
+        const updated = linkBranchTargets(next.map((st, i) => (i === decisionIdx ? { ...st, branches: newBranches } : st)));
         setHandoffs((h) => ensureHandoffs(updated, h));
         setActiveIdx(newIdx);
         setExpandedStepIdx(newIdx);
@@ -2964,40 +3187,23 @@ export default function DiagnosticWorkspace({ initialStepIdx: initialStepIdxProp
   }, [steps, addAuditEvent]);
 
   /**
-   * Insert a blank step at position `insertIdx` (0-based) and remap all
-   * decision branch targets that point at or after that index.
-   * Returns the new step count so callers can do position/edge remapping.
+   * Insert a blank step at position `insertIdx` (0-based). Branch targets
+   * follow their step ids; on a decision-edge insert the new node becomes
+   * the branch start, so branches into the step it displaced move to it.
    */
   const insertStepWithRemap = useCallback((insertIdx, isDecisionEdgeInsert = false) => {
     const insertAfter = insertIdx - 1; // addStep convention: insert after this index
     setSteps((prev) => {
       if (prev.length >= MAX_STEPS) return prev;
-      const blank = { number: 0, name: '', department: '', isDecision: false, isMerge: false, isExternal: false, durationMinutes: undefined, durationUnit: 'hours', branches: [], systems: [], contributor: '', checklist: [] };
+      const blank = { id: newStepId(), number: 0, name: '', department: '', isDecision: false, isMerge: false, isExternal: false, durationMinutes: undefined, durationUnit: 'hours', branches: [], systems: [], contributor: '', checklist: [] };
+      let base = linkBranchTargets(prev);
+      if (isDecisionEdgeInsert) base = retargetBranches(base, base[insertIdx]?.id, blank.id);
       const next = insertAfter === -2
-        ? [blank, ...prev]
-        : insertAfter >= 0 && insertAfter < prev.length
-          ? [...prev.slice(0, insertAfter + 1), blank, ...prev.slice(insertAfter + 1)]
-          : [...prev, blank];
-      const withNumbers = next.map((s, i) => ({ ...s, number: i + 1 }));
-      const oldSteps = prev.map((s, i) => ({ ...s, idx: i }));
-      const bumpTarget = (t) => {
-        const idx = resolveBranchTarget(t, oldSteps);
-        // For decision-edge inserts the new node becomes the branch start (takes
-        // the slot at insertIdx), so the original target at exactly insertIdx must
-        // NOT be bumped - it now correctly points to the new node.
-        // For sequential inserts the node at insertIdx shifted to insertIdx+1, so
-        // any branch pointing there must be bumped.
-        const shouldBump = isDecisionEdgeInsert ? idx > insertIdx : idx >= insertIdx;
-        if (shouldBump) {
-          const m = String(t).match(/^(.*?)(\d+)(.*)$/);
-          return m ? `${m[1]}${parseInt(m[2], 10) + 1}${m[3]}` : t;
-        }
-        return t;
-      };
-      const updated = withNumbers.map((s) => {
-        if (!s.isDecision || !(s.branches || []).length) return s;
-        return { ...s, branches: s.branches.map((b) => ({ ...b, target: bumpTarget(b.target || b.targetStep || '') })) };
-      });
+        ? [blank, ...base]
+        : insertAfter >= 0 && insertAfter < base.length
+          ? [...base.slice(0, insertAfter + 1), blank, ...base.slice(insertAfter + 1)]
+          : [...base, blank];
+      const updated = linkBranchTargets(next.map((s, i) => ({ ...s, number: i + 1 })));
       setHandoffs((h) => ensureHandoffs(updated, h));
       setActiveIdx(insertAfter === -2 ? 0 : insertAfter >= 0 ? insertAfter + 1 : updated.length - 1);
       queueMicrotask(() => addAuditEvent({ type: 'step_add', detail: `Added step at position ${insertIdx + 1}` }));
@@ -3015,7 +3221,7 @@ export default function DiagnosticWorkspace({ initialStepIdx: initialStepIdxProp
 
   const addSuggestionStep = (suggestion) => {
     if (steps.length >= MAX_STEPS) return;
-    const next = [...steps, { number: steps.length + 1, name: suggestion, department: '', isDecision: false, isMerge: false, isExternal: false, branches: [], systems: [], contributor: '', checklist: [] }].map((s, i) => ({ ...s, number: i + 1 }));
+    const next = [...steps, { id: newStepId(), number: steps.length + 1, name: suggestion, department: '', isDecision: false, isMerge: false, isExternal: false, branches: [], systems: [], contributor: '', checklist: [] }].map((s, i) => ({ ...s, number: i + 1 }));
     setSteps(next);
     syncHandoffs(next);
     setSuggestionUsed((p) => new Set([...p, suggestion]));
@@ -3268,7 +3474,7 @@ export default function DiagnosticWorkspace({ initialStepIdx: initialStepIdxProp
     // groups (e.g. replace_all_steps + multiple add_step tool calls in one
     // agent turn). A single undo reverts the whole turn rather than rolling
     // back tool-call-by-tool-call.
-    const MUTATING = new Set(['replace_all_steps', 'add_step', 'update_step', 'remove_step', 'set_handoff', 'add_custom_department', 'add_connector', 'remove_connector', 'redirect_connector', 'insert_step_between', 'set_branch_target', 'set_branch_probability', 'set_branch_label', 'remove_branch', 'add_branch', 'reorder_step', 'set_process_name', 'set_process_definition', 'set_step_details', 'set_cost_input', 'set_bottleneck', 'set_frequency_details', 'set_pe_context', 'add_step_system', 'remove_step_system', 'add_checklist_item', 'toggle_checklist_item', 'remove_checklist_item', 'remove_custom_department']);
+    const MUTATING = new Set(['replace_all_steps', 'add_step', 'update_step', 'remove_step', 'set_handoff', 'add_custom_department', 'add_connector', 'remove_connector', 'redirect_connector', 'insert_step_between', 'set_branch_target', 'set_branch_probability', 'set_branch_label', 'remove_branch', 'add_branch', 'reorder_step', 'set_process_name', 'set_process_definition', 'set_step_details', 'set_step_sla', 'set_process_sla', 'set_cost_input', 'set_bottleneck', 'set_frequency_details', 'set_pe_context', 'add_step_system', 'remove_step_system', 'add_checklist_item', 'toggle_checklist_item', 'remove_checklist_item', 'remove_custom_department']);
     const turnMutates = actions.some((a) => MUTATING.has(a.name));
     if (turnMutates) {
       chatHistoryStackRef.current.push({
@@ -3286,6 +3492,7 @@ export default function DiagnosticWorkspace({ initialStepIdx: initialStepIdxProp
       switch (action.name) {
         case 'replace_all_steps': {
           const newSteps = (action.input.steps || []).slice(0, MAX_STEPS).map((s, i) => ({
+            id: newStepId(),
             number: i + 1,
             name: s.name || `Step ${i + 1}`,
             department: s.department || '',
@@ -3521,8 +3728,8 @@ export default function DiagnosticWorkspace({ initialStepIdx: initialStepIdxProp
         }
         case 'insert_step_between': {
           const { fromStep, toStep, name, department, isExternal, isDecision, isMerge, parallel, inclusive, workMinutes, waitMinutes, systems, branches, owner, checklist } = action.input || {};
-          const fromIdx = (fromStep || 0) - 1;
-          const toIdx = (toStep || 0) - 1;
+          const fromIdx = stepIndexByRef(steps, fromStep);
+          const toIdx = stepIndexByRef(steps, toStep);
           if (fromIdx < 0 || toIdx < 0) break;
           if (isCustomDepartment(department)) addCustomDepartment(department.trim());
           // Drop any custom edge that spans the two endpoints - the new step replaces that connection.
@@ -3581,7 +3788,7 @@ export default function DiagnosticWorkspace({ initialStepIdx: initialStepIdxProp
           break;
         }
         case 'reorder_step': {
-          const fromIdx = (action.input?.stepNumber || 0) - 1;
+          const fromIdx = stepIndexByRef(steps, action.input?.stepNumber);
           const rawPos = action.input?.position;
           if (fromIdx < 0 || rawPos == null) break;
           const toIdx = Math.max(0, Math.min(steps.length - 1, rawPos - 1));
@@ -3610,13 +3817,15 @@ export default function DiagnosticWorkspace({ initialStepIdx: initialStepIdxProp
         case 'set_step_details': {
           const stepIdx = (action.input?.stepNumber || 0) - 1;
           if (stepIdx < 0) break;
-          const { waitType, waitNote, capacity, description } = action.input || {};
+          const { waitType, waitNote, capacity, workRange, waitRange, description } = action.input || {};
           setSteps((prev) => {
             if (stepIdx >= prev.length) return prev;
             const s = { ...prev[stepIdx] };
             if (waitType !== undefined) s.waitType = waitType || undefined;
             if (waitNote !== undefined) s.waitNote = waitNote;
             if (capacity !== undefined) s.capacity = capacity;
+            if (workRange !== undefined) s.workRange = workRange || undefined;
+            if (waitRange !== undefined) s.waitRange = waitRange || undefined;
             if (description !== undefined) s.description = description;
             return prev.map((p, i) => i === stepIdx ? s : p);
           });
@@ -3624,6 +3833,29 @@ export default function DiagnosticWorkspace({ initialStepIdx: initialStepIdxProp
           queueMicrotask(() => addAuditEvent({ type: 'step_edit', detail: `AI updated details on step ${action.input.stepNumber}` }));
           break;
         }
+        case 'set_step_sla': {
+          const stepIdx = (action.input?.stepNumber || 0) - 1;
+          if (stepIdx < 0) break;
+          setSteps((prev) => {
+            if (stepIdx >= prev.length) return prev;
+            const s = { ...prev[stepIdx], sla: normaliseStepSla(action.input, prev[stepIdx].sla) || undefined };
+            return prev.map((p, i) => i === stepIdx ? s : p);
+          });
+          setActiveIdx(stepIdx);
+          queueMicrotask(() => addAuditEvent({ type: 'step_edit', detail: `AI set the SLA on step ${action.input.stepNumber}` }));
+          break;
+        }
+        case 'set_process_sla': {
+          let next;
+          try {
+            next = normaliseProcessSla(action.input, processData?.sla);
+          } catch {
+            break; // the agent was told why; leave the current SLA alone
+          }
+          updateProcessData({ sla: next });
+          queueMicrotask(() => addAuditEvent({ type: 'step_edit', detail: 'AI updated the process SLA' }));
+          break;
+        }
         case 'set_cost_input': {
           const { frequency, teamSize, hoursPerInstance } = action.input || {};
           const FREQ_ANNUAL = { daily: 365, 'few-per-week': 150, weekly: 52, 'twice-monthly': 24, monthly: 12, quarterly: 4, 'twice-yearly': 2, yearly: 1 };
@@ -3790,8 +4022,9 @@ export default function DiagnosticWorkspace({ initialStepIdx: initialStepIdxProp
         case 'set_branch_probability':
         case 'set_branch_label':
         case 'remove_branch': {
+          // stepNumber / newTargetStep may be a step id or a 1-based number.
           const stepNumber = action.input?.stepNumber;
-          const stepIdx = (stepNumber || 0) - 1;
+          const stepIdx = stepIndexByRef(steps, stepNumber);
           if (stepIdx < 0) break;
           const locateBranchIdx = (branches) => {
             if (!Array.isArray(branches) || !branches.length) return -1;
@@ -3806,8 +4039,9 @@ export default function DiagnosticWorkspace({ initialStepIdx: initialStepIdxProp
             return -1;
           };
           setSteps((prev) => {
-            if (stepIdx >= prev.length) return prev;
-            const s = prev[stepIdx];
+            const si = stepIndexByRef(prev, stepNumber);
+            if (si < 0) return prev;
+            const s = prev[si];
             if (!s?.isDecision || !Array.isArray(s.branches)) return prev;
             const bi = locateBranchIdx(s.branches);
             if (bi < 0) return prev;
@@ -3815,9 +4049,9 @@ export default function DiagnosticWorkspace({ initialStepIdx: initialStepIdxProp
             if (action.name === 'remove_branch') {
               nextBranches = s.branches.filter((_, i) => i !== bi);
             } else if (action.name === 'set_branch_target') {
-              const n = action.input?.newTargetStep;
-              if (!n) return prev;
-              nextBranches = s.branches.map((b, i) => i === bi ? { ...b, target: `Step ${n}` } : b);
+              const ti = stepIndexByRef(prev, action.input?.newTargetStep);
+              if (ti < 0) return prev;
+              nextBranches = s.branches.map((b, i) => i === bi ? { ...b, target: stepLabel(ti), targetId: prev[ti].id } : b);
             } else if (action.name === 'set_branch_label') {
               const v = action.input?.newLabel;
               if (v == null) return prev;
@@ -3833,10 +4067,10 @@ export default function DiagnosticWorkspace({ initialStepIdx: initialStepIdxProp
                 return next;
               });
             }
-            return prev.map((p, i) => i === stepIdx ? { ...p, branches: nextBranches } : p);
+            return prev.map((p, i) => i === si ? { ...p, branches: nextBranches } : p);
           });
           setActiveIdx(stepIdx);
-          queueMicrotask(() => addAuditEvent({ type: 'step_edit', detail: `AI ${action.name.replace(/_/g, ' ')} on step ${stepNumber}` }));
+          queueMicrotask(() => addAuditEvent({ type: 'step_edit', detail: `AI ${action.name.replace(/_/g, ' ')} on step ${stepIdx + 1}` }));
           break;
         }
         case 'highlight_step': {
@@ -3894,6 +4128,7 @@ export default function DiagnosticWorkspace({ initialStepIdx: initialStepIdxProp
               const raw = (report.rawProcesses || dd.rawProcesses || [])[0] || {};
 
               const newSteps = (raw.steps || []).map((s, i) => ({
+                id:           s.id || undefined,
                 number:       s.number || i + 1,
                 name:         s.name || '',
                 department:   s.department || '',
@@ -3912,6 +4147,7 @@ export default function DiagnosticWorkspace({ initialStepIdx: initialStepIdxProp
                 functionId:   s.functionId   ?? s.function_id   ?? null,
                 capabilityId: s.capabilityId ?? s.capability_id ?? null,
                 checklist:    (s.checklist || []).map((c) => typeof c === 'string' ? { text: c, checked: false } : c),
+                sla:          s.sla || undefined,
               }));
               const newHandoffs = (raw.handoffs || []).map((h) => ({
                 from:    h.from    || {},
@@ -3924,6 +4160,7 @@ export default function DiagnosticWorkspace({ initialStepIdx: initialStepIdxProp
               setHandoffs(ensureHandoffs(newSteps, newHandoffs));
               updateProcessData({
                 processName: raw.processName || '',
+                sla: raw.sla || null,
                 rawProcesses: report.rawProcesses || dd.rawProcesses || [],
               });
               // Living-workspace contract: there's one focused process
@@ -4017,11 +4254,16 @@ export default function DiagnosticWorkspace({ initialStepIdx: initialStepIdxProp
       const reportId = e?.detail?.reportId;
       if (!reportId) return;
       const intent = e?.detail?.intent === 'edit' ? 'edit' : 'view';
+      // From a comment notification: open its thread once loaded.
+      if (e?.detail?.commentThreadId) {
+        setPendingCommentThread({ reportId, threadId: e.detail.commentThreadId });
+        if (reportId === editingReportId) return;
+      }
       processActions([{ name: 'open_process', input: { reportId, intent } }]);
     };
     window.addEventListener('vesno:open-process', onOpenProcess);
     return () => window.removeEventListener('vesno:open-process', onOpenProcess);
-  }, [processActions]);
+  }, [processActions, editingReportId]);
 
   const processFiles = useCallback((files) => {
     if (!files.length) return;
@@ -4305,6 +4547,13 @@ export default function DiagnosticWorkspace({ initialStepIdx: initialStepIdxProp
               else if (event === 'workspace_bulk_proposal') {
                 if (parsed) workspaceBulkForTurn.push(parsed);
               }
+              else if (event === 'scenario_proposal') {
+                // Staged server-side already; surface it in the Scenarios panel.
+                if (parsed?.scenarioId) {
+                  setScenariosRefreshKey((k) => k + 1);
+                  setFloatingPanel('scenarios');
+                }
+              }
               else if (event === 'done') data = parsed;
               else if (event === 'error') throw new Error(parsed.error || 'Chat failed');
             } catch (e) { if (e.message !== 'Chat failed' && !e.message.startsWith('Chat failed')) continue; throw e; }
@@ -4529,6 +4778,7 @@ export default function DiagnosticWorkspace({ initialStepIdx: initialStepIdxProp
       <div className="s7-step-list">
         {steps.map((s, i) => {
           const isSelected = expandedStepIdx === i;
+          const stepLock = s.id ? lockHolder(s.id) : null;
           const warn = (stepWarnings[i] || []).length > 0 && s.name.trim();
           const nodeType = getActiveNodeType(s);
           const typeIcon = { step: null, exclusive: '◇', parallel: '⊕', inclusive: '◎', merge: '⧉' }[nodeType];
@@ -4551,6 +4801,9 @@ export default function DiagnosticWorkspace({ initialStepIdx: initialStepIdxProp
                 {s.department && <span className="s7-step-item-dept">{s.department}{s.isExternal ? ' · Ext' : ''}</span>}
               </span>
               {typeIcon && <span className="s7-step-item-type" title={nodeType}>{typeIcon}</span>}
+              {stepLock && (
+                <span className="s7-step-item-lock" style={{ '--collab-colour': stepLock.colour }} title={`${stepLock.name || stepLock.email} is editing this step`} aria-label={`${stepLock.name || stepLock.email} is editing this step`} />
+              )}
               {warn && <span className="s7-step-item-warn" title={`Missing: ${(stepWarnings[i] || []).join(', ')}`}>⚠</span>}
               <button type="button" className="s7-step-item-insert" onClick={(e) => { e.stopPropagation(); addStep(i); setExpandedStepIdx(i + 1); setActiveIdx(i + 1); }} disabled={steps.length >= MAX_STEPS} title="Insert step after">
                 <svg width="8" height="8" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="3"><line x1="12" y1="5" x2="12" y2="19"/><line x1="5" y1="12" x2="19" y2="12"/></svg>
@@ -4574,6 +4827,11 @@ export default function DiagnosticWorkspace({ initialStepIdx: initialStepIdxProp
 
   /* ═══════ Step detail panel - 3-column node inspector ═══════ */
   const activeStep = expandedStepIdx !== null ? steps[expandedStepIdx] : null;
+  // Soft lock: someone else opened this step first. The inspector stays
+  // read-only until the user chooses to edit anyway; either way the merge
+  // keeps both people's edits to different fields.
+  const activeLock = activeStep?.id ? lockHolder(activeStep.id) : null;
+  const inspectorLocked = !!activeLock && lockOverrideId !== activeStep.id;
 
   // Mini node card renderer for source / next columns
   function renderMiniCard({ step, branchLabel, isTerminal, terminalType } = {}) {
@@ -4650,7 +4908,18 @@ export default function DiagnosticWorkspace({ initialStepIdx: initialStepIdxProp
             <button type="button" className="s7-detail-close" onClick={() => setExpandedStepIdx(null)} title="Close panel">×</button>
           </div>
 
+          {activeLock && (
+            <div className="s7-ni-lock-banner" style={{ '--collab-colour': activeLock.colour }} role="status">
+              <span className="s7-ni-lock-dot" aria-hidden />
+              <span className="s7-ni-lock-text">{activeLock.name || activeLock.email} is editing this step.</span>
+              {inspectorLocked
+                ? <button type="button" className="s7-ni-lock-btn" onClick={() => setLockOverrideId(s.id)}>Edit anyway</button>
+                : <span className="s7-ni-lock-note">Your edits merge with theirs.</span>}
+            </div>
+          )}
+
           {/* Step name + delete row - always visible */}
+          <fieldset className="s7-ni-lock-fieldset" disabled={inspectorLocked}>
           <div className="s7-detail-name-row">
             <input
               type="text"
@@ -4670,6 +4939,7 @@ export default function DiagnosticWorkspace({ initialStepIdx: initialStepIdxProp
               <svg width="13" height="13" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2"><polyline points="3 6 5 6 21 6"/><path d="M19 6l-1 14a2 2 0 01-2 2H8a2 2 0 01-2-2L5 6"/><path d="M10 11v6M14 11v6"/><path d="M9 6V4a1 1 0 011-1h4a1 1 0 011 1v2"/></svg>
             </button>
           </div>
+          </fieldset>
 
           {s.name.trim() && (
             <>
@@ -4690,6 +4960,7 @@ export default function DiagnosticWorkspace({ initialStepIdx: initialStepIdxProp
               </div>
 
               {/* Tab body */}
+              <fieldset className="s7-ni-lock-fieldset" disabled={inspectorLocked}>
               <div className="s7-ni-tab-body">
 
                 {/* TYPE tab */}
@@ -4801,6 +5072,9 @@ export default function DiagnosticWorkspace({ initialStepIdx: initialStepIdxProp
                     : '';
                   const hasWait = (s.waitMinutes ?? 0) > 0 || wp?.predicted != null;
                   const total = (s.workMinutes ?? 0) + (s.waitMinutes ?? 0);
+                  const slaTarget = stepSlaTarget(s, processData);
+                  const slaPredicted = (s.workMinutes ?? 0) + (wp?.effective ?? 0);
+                  const setStepSla = (patch) => updateStep(i, 'sla', normaliseStepSla(patch, s.sla) || undefined);
                   return (
                     <div className="s7-ni-tab-pane s7-timing-pane">
                       <div className="s7-timing-simple-grid">
@@ -4842,6 +5116,22 @@ export default function DiagnosticWorkspace({ initialStepIdx: initialStepIdxProp
                       {total > 0 && (
                         <div className="s7-timing-total">Total: {unit === 'hours' ? (total / 60).toFixed(2).replace(/\.?0+$/, '') + ' h' : (total / 1440).toFixed(2).replace(/\.?0+$/, '') + ' d'}</div>
                       )}
+
+                      <div className="s7-detail-section-label">SLA <SectionHint text="Most wait + work this step may take, in working time under the process calendar. Breaches show in Insights and as risk hotspots." /></div>
+                      <div className="s7-timing-simple-grid">
+                        <label className="s7-timing-simple-label">Target</label>
+                        <input type="number" className="s7-input s7-timing-simple-input" min={0} step={0.25} placeholder="-" value={toDisplay(s.sla?.targetMinutes ?? null)} onChange={(e) => { const v = e.target.value; setStepSla({ targetMinutes: v === '' ? null : Math.max(0, parseFloat(v) || 0) * mult }); }} onBlur={(e) => addAuditEvent({ type: 'step_edit', detail: e.target.value !== '' ? `Set step ${i + 1} SLA to ${e.target.value} ${unit}` : `Cleared step ${i + 1} SLA` })} />
+                        <span className="s7-timing-simple-unit">{unitLabel}</span>
+
+                        <label className="s7-timing-simple-label">Escalate to</label>
+                        <input type="text" className="s7-input s7-timing-simple-input" placeholder={processData?.sla?.escalationOwner || 'Owner or role'} value={s.sla?.escalationOwner || ''} onChange={(e) => setStepSla({ escalationOwner: e.target.value })} onBlur={(e) => { if (e.target.value) addAuditEvent({ type: 'step_edit', detail: `Step ${i + 1} SLA escalates to ${e.target.value}` }); }} />
+                        <span className="s7-timing-simple-unit" />
+                      </div>
+                      {slaTarget && slaPredicted > slaTarget.targetMinutes && (
+                        <div className="s7-timing-sla-breach">
+                          Predicted {toDisplay(slaPredicted)} {unitLabel} (work + {wp?.isEstimated ? 'estimated ' : ''}wait) exceeds the {toDisplay(slaTarget.targetMinutes)} {unitLabel} SLA{slaTarget.escalationOwner ? ` - escalates to ${slaTarget.escalationOwner}` : ''}.
+                        </div>
+                      )}
                     </div>
                   );
                 })()}
@@ -4899,6 +5189,7 @@ export default function DiagnosticWorkspace({ initialStepIdx: initialStepIdxProp
                   <div className="s7-detail-warn" style={{ margin: '12px 16px 0' }}>⚠ Missing: {(stepWarnings[i] || []).join(', ')}</div>
                 )}
               </div>
+              </fieldset>
 
               {/* "Save & get link" affordance removed — autosave via
                   /api/processes/[id] is the only save path now. */}
@@ -5400,18 +5691,23 @@ export default function DiagnosticWorkspace({ initialStepIdx: initialStepIdxProp
     }
   }, [steps.length]);
 
-  // Positions are stored as {dx, dy} offsets keyed by step count only - no layout
-  // - so the same manual adjustments apply in grid, wrap, and swimlane views.
+  // Positions are stored as {dx, dy} offsets with no layout, so the same manual
+  // adjustments apply in grid, wrap, and swimlane views. They're keyed by step
+  // id (STEP_LAYOUT_KEY) so inserts and reorders keep each nudge on its step;
+  // flows saved before that read the step-count key until the next drag.
   const getFlowPositionsKey = () => `${steps.length}`;
-  const storedPositions = flowNodePositions[getFlowPositionsKey()] || null;
+  const storedPositions = useMemo(
+    () => stepPositions(flowNodePositions, steps) || flowNodePositions[`${steps.length}`] || null,
+    [flowNodePositions, steps],
+  );
   const onFlowPositionsChange = useCallback((offsets, _layout) => {
     const key = getFlowPositionsKey();
     setFlowNodePositions((p) => {
-      const next = { ...p, [key]: offsets };
+      const next = storeStepPositions(p, offsets, steps) || { ...p, [key]: offsets };
       queueMicrotask(() => updateProcessData({ flowNodePositions: next }));
       return next;
     });
-  }, [steps.length, updateProcessData]);
+  }, [steps, updateProcessData]);
   const onFlowCustomEdgesChange = useCallback((edges) => {
     // Update ref FIRST so the functional setSteps updater sees the latest value
     flowCustomEdgesRef.current = edges;
@@ -5519,6 +5815,10 @@ export default function DiagnosticWorkspace({ initialStepIdx: initialStepIdxProp
           onCustomEdgesChange={onFlowCustomEdgesChange}
           deletedEdges={flowDeletedEdges}
           onDeletedEdgesChange={onFlowDeletedEdgesChange}
+          remoteCursors={collabCursors}
+          onCursorMove={collaborating ? sendCursor : null}
+          commentMarkers={canvasCommentMarkers}
+          onCommentMarkerClick={onCommentMarkerClick}
           onDeleteNode={handleDeleteNode}
           onAddNodeBetween={(insertIdx, isDecisionEdgeInsert) => {
             const prevLen = steps.length;
@@ -5625,6 +5925,7 @@ export default function DiagnosticWorkspace({ initialStepIdx: initialStepIdxProp
         priority: freshPd.priority,
         bottleneck: freshPd.bottleneck,
         savings: freshPd.savings,
+        sla: freshPd.sla || null,
         flowCustomEdges: flowCustomEdgesRef.current || [],
         flowDeletedEdges: flowDeletedEdgesRef.current || [],
         flowNodePositions: flowNodePositionsRef.current || {},
@@ -5865,6 +6166,22 @@ export default function DiagnosticWorkspace({ initialStepIdx: initialStepIdxProp
                 <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2"><line x1="8" y1="6" x2="21" y2="6"/><line x1="8" y1="12" x2="21" y2="12"/><line x1="8" y1="18" x2="21" y2="18"/><circle cx="4" cy="6" r="1.5"/><circle cx="4" cy="12" r="1.5"/><circle cx="4" cy="18" r="1.5"/></svg>
                 {steps.length > 0 && <span className="s7-split-rail-count">{steps.length}</span>}
               </button>
+              {editingReportId && (
+                <button ref={scenariosBtnRef} type="button" className={`s7-split-rail-btn${floatingPanel === 'scenarios' ? ' active' : ''}`} onClick={() => setFloatingPanel((p) => (p === 'scenarios' ? null : 'scenarios'))} title="Scenarios">
+                  <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" aria-hidden><line x1="6" y1="3" x2="6" y2="15"/><circle cx="18" cy="6" r="3"/><circle cx="6" cy="18" r="3"/><path d="M18 9a9 9 0 0 1-9 9"/></svg>
+                </button>
+              )}
+              {editingReportId && (
+                <button ref={historyBtnRef} type="button" className={`s7-split-rail-btn${floatingPanel === 'history' ? ' active' : ''}`} onClick={() => setFloatingPanel((p) => (p === 'history' ? null : 'history'))} title="Version history">
+                  <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" aria-hidden><path d="M3 12a9 9 0 1 0 3-6.7"/><polyline points="3 3 3 9 9 9"/><polyline points="12 7 12 12 15 14"/></svg>
+                </button>
+              )}
+              {editingReportId && (
+                <button ref={commentsBtnRef} type="button" className={`s7-split-rail-btn${floatingPanel === 'comments' ? ' active' : ''}`} onClick={() => setFloatingPanel((p) => (p === 'comments' ? null : 'comments'))} title={commentsUnread ? `Comments (${commentsUnread} unread)` : 'Comments'}>
+                  <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" aria-hidden><path d="M21 15a2 2 0 0 1-2 2H7l-4 4V5a2 2 0 0 1 2-2h14a2 2 0 0 1 2 2z"/></svg>
+                  {commentsUnread > 0 && <span className="s7-split-rail-count">{commentsUnread}</span>}
+                </button>
+              )}
               {/* Handover to a colleague — opens the modal that captures
                   recipient + comments + sender name and emails them a
                   resume link. Defined in this component (~line 2986)
@@ -5877,6 +6194,7 @@ export default function DiagnosticWorkspace({ initialStepIdx: initialStepIdxProp
                   margin-top: auto pushes them to the end of the rail body
                   so they sit just above the footer (Settings). */}
               <div className="s7-split-rail-bottom-group" style={{ marginTop: 'auto' }}>
+                <NotificationsRailButton accessToken={accessToken} />
                 <DocsRailButton />
                 <button
                   type="button"
@@ -6029,6 +6347,8 @@ export default function DiagnosticWorkspace({ initialStepIdx: initialStepIdxProp
                     href={
                       effectiveCanvasScope === 'analytics'
                         ? '/workspace?view=analytics'
+                      : effectiveCanvasScope === 'portfolio'
+                        ? '/workspace?view=portfolio'
                       : effectiveCanvasScope === 'standard'
                         ? (effectiveCanvasModelId
                             ? `/workspace?modelId=${encodeURIComponent(effectiveCanvasModelId)}`
@@ -6051,6 +6371,9 @@ export default function DiagnosticWorkspace({ initialStepIdx: initialStepIdxProp
               </div>
               <div className="s7-workspace-canvas-body">
                 {effectiveCanvasScope === 'analytics' && <WorkspaceAnalyticsTab />}
+                {effectiveCanvasScope === 'portfolio' && (
+                  <WorkspacePortfolioTab accessToken={accessToken} onDealOpen={openCanvasDeal} />
+                )}
                 {effectiveCanvasScope === 'standard' && (
                   effectiveCanvasModelId
                     ? <WorkspaceCanvasClient embedded modelId={effectiveCanvasModelId} />
@@ -6085,36 +6408,7 @@ export default function DiagnosticWorkspace({ initialStepIdx: initialStepIdxProp
                       />
                     : <WorkspaceDealsTab
                         accessToken={accessToken}
-                        onDealOpen={(id, row) => {
-                          // Atomic state update: canvas selection +
-                          // shell seed + chat context all in one batch.
-                          // The seed lets DealWorkspaceClient render
-                          // immediately with name/type/status from the
-                          // picker row, so there's no loading flash
-                          // when its own /api/deals fetch resolves.
-                          setCanvasDealId(id);
-                          setCanvasDealSeed({
-                            deal: {
-                              id,
-                              dealCode: row?.dealCode || row?.deal_code || null,
-                              type: row?.type || null,
-                              name: row?.name || null,
-                              processName: row?.processName || row?.process_name || null,
-                              status: row?.status || null,
-                            },
-                            participants: [],
-                            flows: [],
-                            summary: {},
-                          });
-                          setDeal({
-                            dealId: id,
-                            dealCode: row?.dealCode || row?.deal_code || null,
-                            dealName: row?.name || null,
-                            dealRole:
-                              row?.ownerRole || row?.accessMode || row?.role || null,
-                            dealParticipants: [],
-                          });
-                        }}
+                        onDealOpen={openCanvasDeal}
                       />
                 )}
               </div>
@@ -6176,6 +6470,10 @@ export default function DiagnosticWorkspace({ initialStepIdx: initialStepIdxProp
                   onCustomEdgesChange={onFlowCustomEdgesChange}
                   deletedEdges={flowDeletedEdges}
                   onDeletedEdgesChange={onFlowDeletedEdgesChange}
+                  remoteCursors={collabCursors}
+                  onCursorMove={collaborating ? sendCursor : null}
+                  commentMarkers={canvasCommentMarkers}
+                  onCommentMarkerClick={onCommentMarkerClick}
                   onDeleteNode={handleDeleteNode}
                   onAddNodeBetween={(insertIdx, isDecisionEdgeInsert) => {
                     const prevLen = steps.length;
@@ -6264,11 +6562,28 @@ export default function DiagnosticWorkspace({ initialStepIdx: initialStepIdxProp
               <button ref={stepsBtnRef} type="button" className={`s7-split-rail-btn${floatingPanel === 'steps' ? ' active' : ''}`} onClick={() => setFloatingPanel((p) => (p === 'steps' ? null : 'steps'))} title="Steps list">
                 <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2"><line x1="8" y1="6" x2="21" y2="6"/><line x1="8" y1="12" x2="21" y2="12"/><line x1="8" y1="18" x2="21" y2="18"/><circle cx="4" cy="6" r="1.5"/><circle cx="4" cy="12" r="1.5"/><circle cx="4" cy="18" r="1.5"/></svg>
               </button>
+              {editingReportId && (
+                <button ref={scenariosBtnRef} type="button" className={`s7-split-rail-btn${floatingPanel === 'scenarios' ? ' active' : ''}`} onClick={() => setFloatingPanel((p) => (p === 'scenarios' ? null : 'scenarios'))} title="Scenarios">
+                  <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" aria-hidden><line x1="6" y1="3" x2="6" y2="15"/><circle cx="18" cy="6" r="3"/><circle cx="6" cy="18" r="3"/><path d="M18 9a9 9 0 0 1-9 9"/></svg>
+                </button>
+              )}
+              {editingReportId && (
+                <button ref={historyBtnRef} type="button" className={`s7-split-rail-btn${floatingPanel === 'history' ? ' active' : ''}`} onClick={() => setFloatingPanel((p) => (p === 'history' ? null : 'history'))} title="Version history">
+                  <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" aria-hidden><path d="M3 12a9 9 0 1 0 3-6.7"/><polyline points="3 3 3 9 9 9"/><polyline points="12 7 12 12 15 14"/></svg>
+                </button>
+              )}
+              {editingReportId && (
+                <button ref={commentsBtnRef} type="button" className={`s7-split-rail-btn${floatingPanel === 'comments' ? ' active' : ''}`} onClick={() => setFloatingPanel((p) => (p === 'comments' ? null : 'comments'))} title={commentsUnread ? `Comments (${commentsUnread} unread)` : 'Comments'}>
+                  <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" aria-hidden><path d="M21 15a2 2 0 0 1-2 2H7l-4 4V5a2 2 0 0 1 2-2h14a2 2 0 0 1 2 2z"/></svg>
+                  {commentsUnread > 0 && <span className="s7-split-rail-count">{commentsUnread}</span>}
+                </button>
+              )}
               {/* Handover-to-colleague button removed: relied on
                   /api/progress (410). Sharing happens via deal
                   collaborators now. */}
               {/* Analytics moved into the workspace's Analytics tab. */}
               <div className="s7-split-rail-bottom-group" style={{ marginTop: 'auto' }}>
+                <NotificationsRailButton accessToken={accessToken} />
                 <DocsRailButton />
                 <button
                   type="button"
@@ -6374,6 +6689,67 @@ export default function DiagnosticWorkspace({ initialStepIdx: initialStepIdxProp
         </div>
       </RailSlidePanel>
 
+      <RailSlidePanel
+        open={floatingPanel === 'scenarios'}
+        onClose={() => setFloatingPanel(null)}
+        triggerRef={scenariosBtnRef}
+        title="Scenarios"
+        width={460}
+      >
+        <div className="s7-rail-pane-body s7-rail-pane-body--padded">
+          <ScenariosPanel
+            processId={editingReportId}
+            accessToken={accessToken}
+            refreshKey={scenariosRefreshKey}
+            onPromoted={() => processActions([{ name: 'open_process', input: { reportId: editingReportId, intent: 'edit' } }])}
+          />
+        </div>
+      </RailSlidePanel>
+
+      <RailSlidePanel
+        open={floatingPanel === 'history'}
+        onClose={() => setFloatingPanel(null)}
+        triggerRef={historyBtnRef}
+        title="Version history"
+        width={460}
+      >
+        <div className="s7-rail-pane-body s7-rail-pane-body--padded">
+          <VersionHistoryPanel
+            processId={editingReportId}
+            accessToken={accessToken}
+            currentFlow={versionCompareFlow}
+            darkTheme={theme === 'dark'}
+            onRestored={() => processActions([{ name: 'open_process', input: { reportId: editingReportId, intent: 'edit' } }])}
+          />
+        </div>
+      </RailSlidePanel>
+
+      <RailSlidePanel
+        open={floatingPanel === 'comments'}
+        onClose={() => setFloatingPanel(null)}
+        triggerRef={commentsBtnRef}
+        title="Comments"
+        width={420}
+      >
+        <div className="s7-rail-pane-body s7-rail-pane-body--padded">
+          <StepCommentsPanel
+            processId={editingReportId}
+            steps={editingSurface === 'target' ? [] : steps}
+            threads={processComments.threads}
+            people={processComments.people}
+            me={processComments.me}
+            error={processComments.error}
+            focus={commentFocus}
+            onFocusChange={setCommentFocus}
+            onJumpToStep={handleFlowStepClick}
+            resolveStepIds={resolveCommentStepIds}
+            post={processComments.post}
+            setResolved={processComments.setResolved}
+            markRead={processComments.markRead}
+          />
+        </div>
+      </RailSlidePanel>
+
       <RailSlidePanel
         open={showArtefactsPanel}
         onClose={() => setShowArtefactsPanel(false)}
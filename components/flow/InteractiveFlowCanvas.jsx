@@ -10,6 +10,7 @@ import {
   useEdgesState,
   ReactFlowProvider,
   Panel,
+  ViewportPortal,
   useViewport,
   applyNodeChanges,
   reconnectEdge,
@@ -17,7 +18,8 @@ import {
 import '@xyflow/react/dist/style.css';
 import { processToReactFlow, recomputeSwimlaneLanesFromNodes, SWIMLANE_CONSTANTS } from '@/lib/flows/processToReactFlow';
 import { AUTOMATION_CATEGORIES } from '@/lib/flows/automation';
-import { resolveBranchTarget } from '@/lib/flows/shared';
+import { resolveBranchTarget, formatDuration } from '@/lib/flows/shared';
+import { simulateProcess } from '@/lib/flows/simulation';
 import { StartNode, EndNode, StepNode, DecisionNode, MergeNode, LaneLabelNode, LaneSeparatorNode } from './FlowNodes';
 import DecisionBranchEdge from './DecisionBranchEdge';
 import DeletableEdge from './DeletableEdge';
@@ -166,6 +168,17 @@ function FlowCanvasInner({
   swimlaneBy = 'role',
   functionsFlat = null,
   roles = null,
+  // Live collaboration (useFlowCollab): other editors' pointers, in flow
+  // coordinates, and a callback fed the local pointer (null on leave).
+  remoteCursors = null,
+  onCursorMove = null,
+  // Version diff (lib/flows/versions.js): { 'step-i': { status } } adds a
+  // flow-diff-<status> class to those nodes.
+  stepMarks = null,
+  // Comments (lib/flows/comments.js commentMarkers): a badge per commented
+  // step / handoff, clicked through onCommentMarkerClick(marker).
+  commentMarkers = null,
+  onCommentMarkerClick = null,
 }) {
   const [maxCols, setMaxCols] = useState(4); // updated from container width after mount
   const [outsideLaneWarning, setOutsideLaneWarning] = useState(false);
@@ -229,7 +242,37 @@ function FlowCanvasInner({
   const initialNodesRef = useRef(initialNodes);
   const isSwimlane = layout === 'swimlane' && lanes?.length > 0;
   const isGridOrWrap = layout === 'grid' || layout === 'wrap';
-  const flowNodes = isSwimlane ? nodes.filter((n) => !n.id.match(/^lane-\d+$/)) : nodes;
+  const flowNodes = useMemo(() => {
+    const visible = isSwimlane ? nodes.filter((n) => !n.id.match(/^lane-\d+$/)) : nodes;
+    if (!stepMarks) return visible;
+    return visible.map((n) => {
+      const mark = stepMarks[n.id];
+      return mark ? { ...n, className: [n.className, `flow-diff-${mark.status}`].filter(Boolean).join(' ') } : n;
+    });
+  }, [isSwimlane, nodes, stepMarks]);
+
+  // Badges sit on a step's top-right corner, or midway between the two
+  // steps of a handoff; positions follow the nodes as they're dragged.
+  const commentBadges = useMemo(() => {
+    if (!commentMarkers?.length) return [];
+    const byId = new Map(nodes.map((n) => [n.id, n]));
+    const centre = (n) => ({
+      x: n.position.x + (n.measured?.width ?? 150) / 2,
+      y: n.position.y + (n.measured?.height ?? 60) / 2,
+      w: n.measured?.width ?? 150,
+      h: n.measured?.height ?? 60,
+    });
+    return commentMarkers.flatMap((m) => {
+      const ends = m.nodeIds.map((id) => byId.get(id)).filter(Boolean);
+      if (ends.length !== m.nodeIds.length) return [];
+      if (m.anchor_type === 'step') {
+        const c = centre(ends[0]);
+        return [{ marker: m, x: c.x + c.w / 2 - 10, y: c.y - c.h / 2 - 10 }];
+      }
+      const [a, b] = ends.map(centre);
+      return [{ marker: m, x: (a.x + b.x) / 2 - 10, y: (a.y + b.y) / 2 - 10 }];
+    });
+  }, [commentMarkers, nodes]);
 
   const { lanes: computedLanes, layoutHeight: computedLayoutHeight } = useMemo(() => {
     if (!isSwimlane || !lanes?.length) return { lanes, layoutHeight: layoutHeight || 600 };
@@ -731,6 +774,13 @@ function FlowCanvasInner({
     instance.fitView({ ...fitOpts, duration: 150 });
   }, []);
 
+  const handleCursorMove = useCallback((e) => {
+    const instance = instanceRef.current;
+    if (!onCursorMove || !instance) return;
+    onCursorMove(instance.screenToFlowPosition({ x: e.clientX, y: e.clientY }));
+  }, [onCursorMove]);
+  const handleCursorLeave = useCallback(() => { onCursorMove?.(null); }, [onCursorMove]);
+
   useEffect(() => {
     const el = containerRef.current;
     if (!el) return;
@@ -783,6 +833,52 @@ function FlowCanvasInner({
     </div>
   );
 
+  const [showSimulation, setShowSimulation] = useState(false);
+  // Only simulate once the section is opened — 500 runs is cheap but not
+  // free, and the canvas re-renders on every drag.
+  const simulation = useMemo(
+    () => (showSimulation ? simulateProcess({ ...process, flowCustomEdges: customEdges, flowDeletedEdges: deletedEdges }, { runs: 500 }) : null),
+    [showSimulation, process, customEdges, deletedEdges]
+  );
+  const simMaxCount = simulation ? Math.max(1, ...simulation.cycleTime.histogram.map((b) => b.count)) : 1;
+  const fmtSim = (m) => formatDuration(Math.round(m)) || '0 min';
+  const simBottleneck = simulation?.bottleneckStepIndex != null ? simulation.steps[simulation.bottleneckStepIndex] : null;
+
+  const simulationContent = (process?.steps?.length || 0) > 0 && (
+    <div className="flow-legend-automation" data-theme={darkTheme ? 'dark' : 'light'}>
+      <div
+        className="flow-legend-automation-heading"
+        style={{ cursor: 'pointer' }}
+        onClick={() => setShowSimulation((v) => !v)}
+        title="Monte Carlo run over branch probabilities, work/wait ranges and capacity"
+      >
+        Cycle time (simulated)
+        <span className="flow-auto-hint">{showSimulation ? '−' : '+'}</span>
+      </div>
+      {showSimulation && simulation?.completed > 0 && (
+        <div className="flow-legend flow-legend-right">
+          <span className="flow-legend-item">
+            <span className="flow-legend-label">P50 {fmtSim(simulation.cycleTime.p50)} · P90 {fmtSim(simulation.cycleTime.p90)}</span>
+          </span>
+          <div style={{ display: 'flex', alignItems: 'flex-end', gap: 1, height: 28, margin: '4px 0' }}>
+            {simulation.cycleTime.histogram.map((b) => (
+              <div
+                key={b.from}
+                title={`${fmtSim(b.from)}–${fmtSim(b.to)}: ${b.count} runs`}
+                style={{ flex: 1, minWidth: 3, height: `${Math.max(4, (b.count / simMaxCount) * 100)}%`, background: 'var(--flow-text-muted, #94a3b8)', borderRadius: 1 }}
+              />
+            ))}
+          </div>
+          {simBottleneck && simBottleneck.meanQueueWait > 0 && (
+            <span className="flow-legend-item">
+              <span className="flow-legend-label">Queues at step {simBottleneck.stepIndex + 1}: {simBottleneck.name} (avg {fmtSim(simBottleneck.meanQueueWait)})</span>
+            </span>
+          )}
+        </div>
+      )}
+    </div>
+  );
+
   const deptEntries = deptColorMap ? Object.values(deptColorMap) : [];
 
   const toolbarContent = (
@@ -870,6 +966,8 @@ function FlowCanvasInner({
       autoPanOnConnect={true}
       connectionLineType="bezier"
       connectionLineStyle={{ stroke: 'var(--flow-text-muted, #94a3b8)', strokeWidth: 2 }}
+      onMouseMove={onCursorMove ? handleCursorMove : undefined}
+      onMouseLeave={onCursorMove ? handleCursorLeave : undefined}
     >
       <Background gap={20} size={1} color={darkTheme ? '#2a2a2a' : '#e2e8f0'} />
       <Controls showInteractive={false} position="bottom-right" />
@@ -918,7 +1016,42 @@ function FlowCanvasInner({
           </div>
         )}
         {automationContent}
+        {simulationContent}
       </Panel>
+      {remoteCursors?.length > 0 && (
+        <ViewportPortal>
+          {remoteCursors.map((c) => (
+            <div
+              key={c.key}
+              className="flow-collab-cursor"
+              style={{ transform: `translate(${c.x}px, ${c.y}px)`, '--collab-colour': c.colour || '#0d9488' }}
+              aria-hidden
+            >
+              <svg width="14" height="16" viewBox="0 0 14 16"><path d="M1 1l12 7-5.5 1.2L5 15z" fill="var(--collab-colour)" stroke="#fff" strokeWidth="1.2" strokeLinejoin="round" /></svg>
+              <span className="flow-collab-cursor-name">{c.name || c.email}</span>
+            </div>
+          ))}
+        </ViewportPortal>
+      )}
+      {commentBadges.length > 0 && (
+        <ViewportPortal>
+          {commentBadges.map(({ marker: m, x, y }) => (
+            <button
+              key={m.key}
+              type="button"
+              className={`flow-comment-badge nodrag nopan flow-comment-badge--${m.anchor_type}${m.resolved ? ' flow-comment-badge--resolved' : ''}${m.unread ? ' flow-comment-badge--unread' : ''}`}
+              style={{ transform: `translate(${x}px, ${y}px)` }}
+              title={m.resolved
+                ? 'Resolved comments'
+                : `${m.count} comment${m.count === 1 ? '' : 's'}${m.unread ? `, ${m.unread} unread` : ''}`}
+              onClick={(e) => { e.stopPropagation(); onCommentMarkerClick?.(m); }}
+            >
+              <svg width="11" height="11" viewBox="0 0 16 16" aria-hidden><path d="M2 3h12v8H6l-4 3z" fill="currentColor" /></svg>
+              {!m.resolved && <span>{m.count}</span>}
+            </button>
+          ))}
+        </ViewportPortal>
+      )}
       {outsideLaneWarning && (
         <Panel position="top-center">
           <div style={{
@@ -0,0 +1,298 @@
+'use client';
+
+/**
+ * ChecklistTemplatesPanel — admin UI for the org's expected-documents
+ * checklist templates (house lists with sections, per sector / deal type).
+ *
+ * Shape:
+ *   - Lists the org's templates; the default per deal type is what new
+ *     deals of that type are checked against.
+ *   - New → POST /api/organizations/[orgId]/checklists, blank or cloned
+ *     from a built-in list or another template.
+ *   - Edit → items table (section, label, required, categories, keywords)
+ *     plus a bulk paste box; Save → PATCH …/checklists/[templateId].
+ *   - Deals can clone a template and edit their own copy from the deal
+ *     workspace; editing a template here doesn't touch those copies.
+ */
+
+import { useCallback, useEffect, useState } from 'react';
+import { apiFetch } from '@/lib/api-fetch';
+import './org-admin-byo.css';
+
+const DEAL_TYPE_LABEL = { ma: 'M&A', pe_rollup: 'PE roll-up', scaling: 'Scaling' };
+
+function toDraftItem(item) {
+  return {
+    id: item.id || '',
+    section: item.section || '',
+    label: item.label || '',
+    description: item.description || '',
+    required: item.required !== false,
+    categories: item.categories || [],
+    keywordsText: (item.keywords || []).join(', '),
+  };
+}
+
+function fromDraftItem(item) {
+  return {
+    id: item.id || undefined,
+    section: item.section,
+    label: item.label,
+    description: item.description,
+    required: item.required,
+    categories: item.categories,
+    keywords: item.keywordsText.split(',').map((k) => k.trim()).filter(Boolean),
+  };
+}
+
+/** "Section | Label | keyword, keyword" per line; section and keywords optional. */
+function parsePasted(text) {
+  return text.split('\n').map((line) => line.trim()).filter(Boolean).map((line) => {
+    const parts = line.split(/\t|\|/).map((s) => s.trim());
+    const [section, label, keywords] = parts.length === 1 ? ['', parts[0], ''] : [parts[0], parts[1], parts[2] || ''];
+    return toDraftItem({ section, label, keywords: keywords.split(',').map((k) => k.trim()).filter(Boolean) });
+  });
+}
+
+export default function ChecklistTemplatesPanel({ orgId, accessToken }) {
+  const [view, setView] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
+  const [err, setErr] = useState(null);
+  const [info, setInfo] = useState(null);
+  const [newName, setNewName] = useState('');
+  const [cloneFrom, setCloneFrom] = useState('');
+  const [draft, setDraft] = useState(null);
+  const [paste, setPaste] = useState('');
+
+  const load = useCallback(async () => {
+    if (!orgId || !accessToken) return;
+    setLoading(true); setErr(null);
+    try {
+      const resp = await apiFetch(`/api/organizations/${orgId}/checklists`, { dedupe: false }, accessToken);
+      const json = await resp.json();
+      if (!resp.ok) { setErr(json.error || 'Failed to load.'); return; }
+      setView(json);
+    } catch { setErr('Network error loading checklists.'); }
+    finally { setLoading(false); }
+  }, [orgId, accessToken]);
+
+  useEffect(() => { load(); setDraft(null); }, [load]);
+
+  const call = async (url, method, body) => {
+    setBusy(true); setErr(null); setInfo(null);
+    try {
+      const resp = await apiFetch(url, {
+        method,
+        dedupe: false,
+        headers: { 'Content-Type': 'application/json' },
+        body: body ? JSON.stringify(body) : undefined,
+      }, accessToken);
+      const json = await resp.json().catch(() => ({}));
+      if (!resp.ok) { setErr(json.error || 'Request failed.'); return null; }
+      return json;
+    } catch { setErr('Network error.'); return null; }
+    finally { setBusy(false); }
+  };
+
+  const openTemplate = async (id) => {
+    const json = await call(`/api/organizations/${orgId}/checklists/${id}`, 'GET');
+    if (!json?.template) return;
+    const t = json.template;
+    setDraft({
+      id: t.id,
+      name: t.name,
+      description: t.description || '',
+      deal_type: t.deal_type || '',
+      sector: t.sector || '',
+      is_default: Boolean(t.is_default),
+      items: (t.items || []).map(toDraftItem),
+    });
+    setPaste('');
+  };
+
+  const create = async () => {
+    const body = cloneFrom ? { cloneFrom, name: newName.trim() || undefined } : { name: newName.trim(), items: [] };
+    const json = await call(`/api/organizations/${orgId}/checklists`, 'POST', body);
+    if (!json?.template) return;
+    setNewName(''); setCloneFrom('');
+    await load();
+    await openTemplate(json.template.id);
+  };
+
+  const save = async () => {
+    const json = await call(`/api/organizations/${orgId}/checklists/${draft.id}`, 'PATCH', {
+      name: draft.name,
+      description: draft.description,
+      deal_type: draft.deal_type || null,
+      sector: draft.sector,
+      is_default: draft.is_default,
+      items: draft.items.map(fromDraftItem),
+    });
+    if (!json?.template) return;
+    setInfo(`Saved "${json.template.name}" — ${json.template.items.length} items.`);
+    setDraft((d) => ({ ...d, items: json.template.items.map(toDraftItem) }));
+    load();
+  };
+
+  const remove = async (t) => {
+    if (!confirm(`Delete "${t.name}"? Deals that already cloned it keep their copy.`)) return;
+    const json = await call(`/api/organizations/${orgId}/checklists/${t.id}`, 'DELETE');
+    if (!json) return;
+    if (draft?.id === t.id) setDraft(null);
+    setInfo('Template deleted.');
+    load();
+  };
+
+  const setItem = (i, patch) => setDraft((d) => ({ ...d, items: d.items.map((it, j) => (j === i ? { ...it, ...patch } : it)) }));
+  const moveItem = (i, delta) => setDraft((d) => {
+    const items = [...d.items];
+    const j = i + delta;
+    if (j < 0 || j >= items.length) return d;
+    [items[i], items[j]] = [items[j], items[i]];
+    return { ...d, items };
+  });
+
+  if (loading) {
+    return (
+      <section className="byo-section">
+        <div className="byo-skeleton" style={{ width: 240, height: 18, marginBottom: 12 }} />
+        <div className="byo-skeleton" style={{ width: '100%', height: 80 }} />
+      </section>
+    );
+  }
+  if (!view) return err ? <section className="byo-section"><div className="byo-banner byo-banner--error">⚠ {err}</div></section> : null;
+
+  const categories = view.categories || [];
+
+  return (
+    <section className="byo-section">
+      <header className="byo-header">
+        <div className="byo-header-titleblock">
+          <h2>Document checklists</h2>
+          <p className="byo-header-blurb">
+            Your house lists of expected documents. The default template for a deal type is what new deals of that type are checked against; the deal team can apply another template or edit their deal&apos;s own copy in the workspace. An item counts as received when a document matches one of its keywords and categories, when someone links a document to it, or when it&apos;s marked satisfied.
+          </p>
+        </div>
+        <span className={`byo-status-pill ${view.templates.length ? 'byo-status-pill--active' : 'byo-status-pill--unset'}`}>
+          {view.templates.length ? `${view.templates.length} template${view.templates.length === 1 ? '' : 's'}` : 'Built-in lists'}
+        </span>
+      </header>
+
+      {err  && <div className="byo-banner byo-banner--error">⚠ {err}</div>}
+      {info && <div className="byo-banner byo-banner--info">✓ {info}</div>}
+
+      {view.templates.length > 0 && (
+        <ul className="checklist-tpl-list">
+          {view.templates.map((t) => (
+            <li key={t.id} className={`checklist-tpl-row${draft?.id === t.id ? ' is-open' : ''}`}>
+              <div className="checklist-tpl-main">
+                <span className="checklist-tpl-name">{t.name}</span>
+                <span className="checklist-tpl-meta">
+                  {t.deal_type ? DEAL_TYPE_LABEL[t.deal_type] : 'Any deal type'}
+                  {t.sector ? ` · ${t.sector}` : ''} · {t.itemCount} item{t.itemCount === 1 ? '' : 's'}
+                </span>
+              </div>
+              {t.is_default && <span className="byo-status-pill byo-status-pill--active">Default</span>}
+              <button type="button" className="byo-btn" onClick={() => openTemplate(t.id)} disabled={busy}>Edit</button>
+              <button type="button" className="byo-btn byo-btn--danger" onClick={() => remove(t)} disabled={busy}>Delete</button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div className="byo-form">
+        <label className="byo-form-field">
+          <span className="byo-form-label">Start from</span>
+          <select className="byo-form-select" value={cloneFrom} onChange={(e) => setCloneFrom(e.target.value)} disabled={busy}>
+            <option value="">Blank</option>
+            {(view.builtins || []).map((b) => <option key={b.id} value={b.id}>{b.name} ({b.itemCount})</option>)}
+            {view.templates.map((t) => <option key={t.id} value={t.id}>Copy of {t.name}</option>)}
+          </select>
+        </label>
+        <label className="byo-form-field">
+          <span className="byo-form-label">Name</span>
+          <input className="byo-form-input" value={newName} onChange={(e) => setNewName(e.target.value)} placeholder="e.g. Healthcare buy-and-build" disabled={busy} />
+        </label>
+        <button type="button" className="byo-btn byo-btn--primary" onClick={create} disabled={busy || (!cloneFrom && !newName.trim())}>New template</button>
+      </div>
+
+      {draft && (
+        <div className="checklist-tpl-editor">
+          <div className="checklist-tpl-fields">
+            <label className="byo-form-field">
+              <span className="byo-form-label">Name</span>
+              <input className="byo-form-input" value={draft.name} onChange={(e) => setDraft({ ...draft, name: e.target.value })} disabled={busy} />
+            </label>
+            <label className="byo-form-field">
+              <span className="byo-form-label">Deal type</span>
+              <select className="byo-form-select" value={draft.deal_type} onChange={(e) => setDraft({ ...draft, deal_type: e.target.value })} disabled={busy}>
+                <option value="">Any</option>
+                {Object.entries(DEAL_TYPE_LABEL).map(([k, v]) => <option key={k} value={k}>{v}</option>)}
+              </select>
+            </label>
+            <label className="byo-form-field">
+              <span className="byo-form-label">Sector</span>
+              <input className="byo-form-input" value={draft.sector} onChange={(e) => setDraft({ ...draft, sector: e.target.value })} placeholder="Optional" disabled={busy} />
+            </label>
+            <label className="checklist-tpl-default">
+              <input type="checkbox" checked={draft.is_default} onChange={(e) => setDraft({ ...draft, is_default: e.target.checked })} disabled={busy} />
+              <span>Default for {draft.deal_type ? DEAL_TYPE_LABEL[draft.deal_type] : 'any'} deals</span>
+            </label>
+          </div>
+          <label className="byo-form-field">
+            <span className="byo-form-label">Description</span>
+            <input className="byo-form-input" value={draft.description} onChange={(e) => setDraft({ ...draft, description: e.target.value })} disabled={busy} />
+          </label>
+
+          <table className="checklist-tpl-items">
+            <thead>
+              <tr><th>Section</th><th>Expected document</th><th>Req.</th><th>Categories</th><th>Keywords</th><th aria-label="Actions" /></tr>
+            </thead>
+            <tbody>
+              {draft.items.map((it, i) => (
+                <tr key={`${it.id}-${i}`}>
+                  <td><input className="byo-form-input" value={it.section} onChange={(e) => setItem(i, { section: e.target.value })} disabled={busy} /></td>
+                  <td><input className="byo-form-input" value={it.label} onChange={(e) => setItem(i, { label: e.target.value })} disabled={busy} title={it.id ? `id: ${it.id}` : undefined} /></td>
+                  <td><input type="checkbox" checked={it.required} onChange={(e) => setItem(i, { required: e.target.checked })} disabled={busy} aria-label="Required" /></td>
+                  <td className="checklist-tpl-cats">
+                    {categories.map((c) => (
+                      <button
+                        key={c}
+                        type="button"
+                        className={`checklist-tpl-cat${it.categories.includes(c) ? ' is-on' : ''}`}
+                        onClick={() => setItem(i, { categories: it.categories.includes(c) ? it.categories.filter((x) => x !== c) : [...it.categories, c] })}
+                        disabled={busy}
+                        aria-pressed={it.categories.includes(c)}
+                      >{c}</button>
+                    ))}
+                  </td>
+                  <td><input className="byo-form-input" value={it.keywordsText} onChange={(e) => setItem(i, { keywordsText: e.target.value })} placeholder="comma, separated" disabled={busy} /></td>
+                  <td className="checklist-tpl-row-actions">
+                    <button type="button" className="byo-btn byo-btn--ghost" onClick={() => moveItem(i, -1)} disabled={busy || i === 0} aria-label="Move up">↑</button>
+                    <button type="button" className="byo-btn byo-btn--ghost" onClick={() => moveItem(i, 1)} disabled={busy || i === draft.items.length - 1} aria-label="Move down">↓</button>
+                    <button type="button" className="byo-btn byo-btn--ghost" onClick={() => setDraft((d) => ({ ...d, items: d.items.filter((_, j) => j !== i) }))} disabled={busy} aria-label="Remove item">×</button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <p className="byo-form-hint">
+            Items match a document only when both a keyword and a category fit. Items with no categories are satisfied by linking a document or marking them in the deal.
+          </p>
+
+          <label className="byo-form-field">
+            <span className="byo-form-label">Paste items — one per line: Section | Expected document | keywords</span>
+            <textarea className="byo-form-input checklist-tpl-paste" rows={4} value={paste} onChange={(e) => setPaste(e.target.value)} disabled={busy} />
+          </label>
+          <div className="byo-vendor-actions">
+            <button type="button" className="byo-btn" onClick={() => setDraft((d) => ({ ...d, items: [...d.items, toDraftItem({ section: d.items[d.items.length - 1]?.section })] }))} disabled={busy}>Add item</button>
+            <button type="button" className="byo-btn" onClick={() => { setDraft((d) => ({ ...d, items: [...d.items, ...parsePasted(paste)] })); setPaste(''); }} disabled={busy || !paste.trim()}>Add pasted items</button>
+            <button type="button" className="byo-btn byo-btn--ghost" onClick={() => setDraft(null)} disabled={busy}>Close</button>
+            <button type="button" className="byo-btn byo-btn--primary" onClick={save} disabled={busy || !draft.name.trim()}>Save template</button>
+          </div>
+        </div>
+      )}
+    </section>
+  );
+}
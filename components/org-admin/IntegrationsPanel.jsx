@@ -30,7 +30,15 @@ const PROVIDER_DESCRIPTIONS = {
   },
   box: {
     short: 'B',
-    blurb: 'Box for Business — coming soon.',
+    blurb: 'Sync documents from a Box folder. Vesno reads files via the Box API using the connecting user\'s permissions.',
+  },
+  dropbox: {
+    short: 'DB',
+    blurb: 'Sync documents from a Dropbox folder. Vesno reads files via the Dropbox API using the connecting user\'s permissions.',
+  },
+  fake: {
+    short: 'FK',
+    blurb: 'Local in-memory data room for development. Not available in production.',
   },
 };
 
@@ -9,6 +9,7 @@ import CustomerKeyPanel from './CustomerKeyPanel';
 import UsageAnalyticsPanel from './UsageAnalyticsPanel';
 import ModelAllowlistPanel from './ModelAllowlistPanel';
 import IntegrationsPanel from './IntegrationsPanel';
+import ChecklistTemplatesPanel from './ChecklistTemplatesPanel';
 import FirstRunOnboarding from './FirstRunOnboarding';
 
 async function parseJsonResponse(resp) {
@@ -349,6 +350,17 @@ export default function OrgAdminClient({ user, accessToken, onSignOut }) {
               >
                 Integrations
               </button>
+              <button
+                type="button"
+                role="tab"
+                aria-selected={activePanel === 'checklists'}
+                className={`portal-section-tab ${activePanel === 'checklists' ? 'active' : ''}`}
+                onClick={() => setActivePanel('checklists')}
+                disabled={!selectedOrgId}
+                title={selectedOrgId ? '' : 'Select an organisation first'}
+              >
+                Checklists
+              </button>
               <button
                 type="button"
                 role="tab"
@@ -371,6 +383,9 @@ export default function OrgAdminClient({ user, accessToken, onSignOut }) {
             {activePanel === 'integrations' && selectedOrgId && (
               <IntegrationsPanel orgId={selectedOrgId} accessToken={accessToken} />
             )}
+            {activePanel === 'checklists' && selectedOrgId && (
+              <ChecklistTemplatesPanel orgId={selectedOrgId} accessToken={accessToken} />
+            )}
             {activePanel === 'usage' && selectedOrgId && (
               <UsageAnalyticsPanel orgId={selectedOrgId} accessToken={accessToken} />
             )}
@@ -9,20 +9,26 @@
  * Visual-first: every panel leads with a chart or stat tile so the user
  * scans the shape of the model before any table. Drill-through opens the
  * source process via the canvas (?view=<reportId>).
+ *
+ * Money arrives in the model's reporting currency; the panel provides
+ * that code through CurrencyContext so every card formats with the
+ * right symbol via useMoney().
  */
 
-import { useEffect, useState, useMemo } from 'react';
+import { createContext, useContext, useEffect, useState, useMemo } from 'react';
 import { apiFetch } from '@/lib/api-fetch';
+import { formatMoneyCompact, DEFAULT_CURRENCY } from '@/lib/currency';
 
 // ------------------------------------------------------------------
 // Formatters
 // ------------------------------------------------------------------
 
-function Money(n) {
-  if (n == null || n === 0) return '—';
-  if (Math.abs(n) >= 1_000_000) return `£${(n / 1_000_000).toFixed(1)}M`;
-  if (Math.abs(n) >= 1_000)     return `£${(n / 1_000).toFixed(0)}k`;
-  return `£${Math.round(n)}`;
+const CurrencyContext = createContext(DEFAULT_CURRENCY);
+
+/** Money formatter bound to the panel's reporting currency. */
+function useMoney() {
+  const currency = useContext(CurrencyContext);
+  return (n) => (n == null || n === 0 ? '—' : formatMoneyCompact(n, currency));
 }
 
 function Hours(minutes) {
@@ -141,6 +147,7 @@ function HBar({ label, sub, value, max, format = (v) => v, accent = 'teal', onCl
  * that card.
  */
 function StackedBar({ segments, total }) {
+  const Money = useMoney();
   if (!total) return null;
   return (
     <div style={{ display: 'flex', height: 14, borderRadius: 7, overflow: 'hidden', background: 'var(--bg-alt, #f1f5f9)' }}>
@@ -205,6 +212,7 @@ function ProcessLink({ reportId, label }) {
 // ------------------------------------------------------------------
 
 function HeroStrip({ data }) {
+  const Money = useMoney();
   const recs = data.topRecommendations || [];
   const recImpact = recs.reduce((acc, r) => acc + (r.impactDollars || 0), 0);
   const pipe = data.automationPipeline || [];
@@ -251,6 +259,7 @@ function HeroStrip({ data }) {
 // ------------------------------------------------------------------
 
 function RecommendationsCard({ rows, functions }) {
+  const Money = useMoney();
   const [filter, setFilter] = useState(null); // null = all
   const grouped = useMemo(() => {
     const byFunc = new Map();
@@ -344,6 +353,7 @@ function RecommendationsCard({ rows, functions }) {
 // ------------------------------------------------------------------
 
 function AutomationPipelineCard({ rows, functions }) {
+  const Money = useMoney();
   const buckets = useMemo(() => {
     const out = { 'quick-win': [], 'strategic': [], 'transformation': [] };
     for (const r of rows || []) (out[r.bucket] || out['transformation']).push(r);
@@ -459,15 +469,21 @@ function BottlenecksCard({ rows, functions }) {
 // Cost concentration — two columns of horizontal bars
 // ------------------------------------------------------------------
 
-function CostConcentrationCard({ data, functions }) {
-  const { topProcesses = [], topSteps = [] } = data || {};
+function CostConcentrationCard({ data, functions, fx }) {
+  const Money = useMoney();
+  const { topProcesses = [], topSteps = [], unconverted = [] } = data || {};
   if (!topProcesses.length && !topSteps.length) {
     return <Card title="Cost concentration"><Empty>No cost data yet. Add annual cost figures to your reports.</Empty></Card>;
   }
   const procMax = Math.max(...topProcesses.map((p) => p.annualCost), 1);
   const stepMax = Math.max(...topSteps.map((s) => s.stepCost), 1);
+  const nativeSub = (p) => {
+    const fn = functionNameOf(p.functionId, functions) || '';
+    if (!fx || !p.currency || p.currency === fx.reportingCurrency) return fn;
+    return [fn, `${formatMoneyCompact(p.nativeAnnualCost, p.currency)} native`].filter(Boolean).join(' · ');
+  };
   return (
-    <Card title="Cost concentration">
+    <Card title="Cost concentration" badge={fx ? `in ${fx.reportingCurrency}` : undefined}>
       <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(0, 1fr))', gridAutoFlow: 'column', gap: 24, minWidth: 0 }}>
         <div style={{ minWidth: 0 }}>
           <div style={{ fontSize: 11, textTransform: 'uppercase', letterSpacing: '0.05em', color: 'var(--text-mid, #64748b)', marginBottom: 6 }}>
@@ -478,7 +494,7 @@ function CostConcentrationCard({ data, functions }) {
               <HBar
                 key={i}
                 label={p.processName || p.sourceCompany || 'Process'}
-                sub={functionNameOf(p.functionId, functions) || ''}
+                sub={nativeSub(p)}
                 value={p.annualCost}
                 max={procMax}
                 format={Money}
@@ -508,18 +524,24 @@ function CostConcentrationCard({ data, functions }) {
           </div>
         </div>
       </div>
+      {unconverted.length > 0 && (
+        <div style={{ marginTop: 10, fontSize: 11, color: PALETTE.red }}>
+          {unconverted.length} process{unconverted.length === 1 ? '' : 'es'} left out — no FX rate
+          {fx?.missingRates?.length ? ` for ${fx.missingRates.join(', ')}` : ''} into {fx?.reportingCurrency || 'the reporting currency'}.
+        </div>
+      )}
     </Card>
   );
 }
 
 // ------------------------------------------------------------------
-// Risk hotspots — three stat tiles + collapsible detail lists
+// Risk hotspots — four stat tiles + collapsible detail lists
 // ------------------------------------------------------------------
 
 function RiskHotspotsCard({ hotspots }) {
-  const { manualNoSystem = [], sopFailures = [], shadowSteps = [] } = hotspots || {};
-  const [open, setOpen] = useState(null); // 'manual' | 'sop' | 'shadow' | null
-  const nothing = !manualNoSystem.length && !sopFailures.length && !shadowSteps.length;
+  const { manualNoSystem = [], sopFailures = [], shadowSteps = [], slaBreaches = [] } = hotspots || {};
+  const [open, setOpen] = useState(null); // 'manual' | 'sop' | 'shadow' | 'sla' | null
+  const nothing = !manualNoSystem.length && !sopFailures.length && !shadowSteps.length && !slaBreaches.length;
   if (nothing) {
     return <Card title="Risk &amp; compliance hotspots"><Empty>No risk patterns detected. Add roles + systems to your steps to surface single-point-of-failure and shadow-process risk.</Empty></Card>;
   }
@@ -527,6 +549,7 @@ function RiskHotspotsCard({ hotspots }) {
     { key: 'manual', label: 'Manual approvals',          rows: manualNoSystem, accent: 'red',    hint: 'no system of record' },
     { key: 'sop',    label: 'Single-point-of-failure',   rows: sopFailures,    accent: 'amber',  hint: 'one role owns >60% of steps' },
     { key: 'shadow', label: 'Shadow steps',              rows: shadowSteps,    accent: 'indigo', hint: 'no system attached' },
+    { key: 'sla',    label: 'SLA breaches',              rows: slaBreaches,    accent: 'red',    hint: 'target missed on the map or in runs' },
   ];
   return (
     <Card title="Risk &amp; compliance hotspots">
@@ -556,7 +579,9 @@ function RiskHotspotsCard({ hotspots }) {
             <li key={i} style={{ fontSize: 12, color: 'var(--text, #1e293b)' }}>
               {open === 'sop'
                 ? <><strong>{r.owner}</strong> owns {r.stepCount}/{r.totalSteps} in <ProcessLink reportId={r.sourceReportId} label={r.processName || r.sourceCompany} /></>
-                : <><strong>{r.stepName}</strong> · <ProcessLink reportId={r.sourceReportId} label={r.processName || r.sourceCompany} /></>}
+                : open === 'sla'
+                  ? <><strong>{r.stepName}</strong> · <ProcessLink reportId={r.sourceReportId} label={r.processName || r.sourceCompany} /> · {r.text}{r.escalationOwner ? ` Escalate to ${r.escalationOwner}.` : ''}</>
+                  : <><strong>{r.stepName}</strong> · <ProcessLink reportId={r.sourceReportId} label={r.processName || r.sourceCompany} /></>}
             </li>
           ))}
         </ul>
@@ -664,18 +689,20 @@ export default function AnalysisPanel({ modelId, accessToken, functions }) {
   if (!data)   return null;
 
   return (
-    <section style={{ display: 'flex', flexDirection: 'column', gap: 18, minWidth: 0, maxWidth: '100%' }}>
-      <HeroStrip data={data} />
-      <RecommendationsCard rows={data.topRecommendations} functions={functions} />
-      <AutomationPipelineCard rows={data.automationPipeline} functions={functions} />
-      <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(min(360px, 100%), 1fr))', gap: 18, minWidth: 0 }}>
-        <BottlenecksCard rows={data.bottlenecks} functions={functions} />
-        <CostConcentrationCard data={data.costConcentration} functions={functions} />
-      </div>
-      <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(min(360px, 100%), 1fr))', gap: 18, minWidth: 0 }}>
-        <RiskHotspotsCard hotspots={data.riskHotspots} />
-        <RoadmapCard roadmap={data.roadmap} />
-      </div>
-    </section>
+    <CurrencyContext.Provider value={data.currency?.reportingCurrency || DEFAULT_CURRENCY}>
+      <section style={{ display: 'flex', flexDirection: 'column', gap: 18, minWidth: 0, maxWidth: '100%' }}>
+        <HeroStrip data={data} />
+        <RecommendationsCard rows={data.topRecommendations} functions={functions} />
+        <AutomationPipelineCard rows={data.automationPipeline} functions={functions} />
+        <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(min(360px, 100%), 1fr))', gap: 18, minWidth: 0 }}>
+          <BottlenecksCard rows={data.bottlenecks} functions={functions} />
+          <CostConcentrationCard data={data.costConcentration} functions={functions} fx={data.currency} />
+        </div>
+        <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(min(360px, 100%), 1fr))', gap: 18, minWidth: 0 }}>
+          <RiskHotspotsCard hotspots={data.riskHotspots} />
+          <RoadmapCard roadmap={data.roadmap} />
+        </div>
+      </section>
+    </CurrencyContext.Provider>
   );
 }
@@ -1,14 +1,20 @@
 'use client';
 
 /**
- * Workspace Insights — three cross-process cards rendered side-by-side
- * on the workspace home, below the function tree + processes grid.
+ * Workspace Insights — cross-process cards rendered side-by-side on the
+ * workspace home, below the function tree + processes grid.
  *
  *   1. System inventory — every system the model touches, ranked by
  *      number of processes using it.
  *   2. Capability heatmap — function × (process count, cost, savings,
  *      automation, system mentions). Cells colour-coded by magnitude.
  *   3. Change ROI — predicted vs realised across all changes.
+ *   4. SLA breaches — step / process targets missed on the map
+ *      (predicted) or in logged runs (measured).
+ *
+ * Money is in the model's reporting currency (the route converts each
+ * process from its native currency); a footnote names the rates used and
+ * any currencies with no rate.
  *
  * One round-trip via /api/operating-models/[id]/insights. Lazy — only
  * fires when the section is expanded (sits in a collapsible to keep
@@ -18,12 +24,27 @@
 import { useEffect, useState, useCallback, useMemo } from 'react';
 import { apiFetch } from '@/lib/api-fetch';
 import SystemDetailDrawer from './SystemDetailDrawer';
+import { formatMoneyCompact } from '@/lib/currency';
 
-function Money(n) {
-  if (n == null) return '—';
-  if (Math.abs(n) >= 1_000_000) return `£${(n / 1_000_000).toFixed(1)}M`;
-  if (Math.abs(n) >= 1_000)     return `£${(n / 1_000).toFixed(0)}k`;
-  return `£${Math.round(n)}`;
+function Money(n, currency) {
+  return formatMoneyCompact(n, currency);
+}
+
+/** "In EUR · 1 GBP = 1.1700 EUR (2026-09-30)" + a warning for missing rates. */
+function CurrencyNote({ fx }) {
+  if (!fx) return null;
+  const rates = (fx.ratesUsed || [])
+    .map((r) => `1 ${r.from} = ${r.rate.toFixed(4)} ${fx.reportingCurrency}${r.effectiveDate ? ` (${r.effectiveDate}${r.via ? ` via ${r.via}` : ''})` : ''}`);
+  return (
+    <p className="ws-insight-foot">
+      Figures in {fx.reportingCurrency}{rates.length ? ` · ${rates.join(' · ')}` : ''}
+      {fx.missingRates?.length > 0 && (
+        <span className="ws-error">
+          {' '}· No FX rate for {fx.missingRates.join(', ')} → {fx.reportingCurrency} on {fx.asOf}; those processes are left out of the money columns.
+        </span>
+      )}
+    </p>
+  );
 }
 
 function Hours(minutes) {
@@ -113,7 +134,9 @@ function SystemInventoryCard({ rows, onSelect, onPromote, isAdmin, busyKey }) {
   );
 }
 
-function CapabilityHeatmapCard({ rows, onCapabilitySelect }) {
+function CapabilityHeatmapCard({ rows, onCapabilitySelect, fx }) {
+  const currency = fx?.reportingCurrency;
+  const fmtMoney = (v) => Money(v, currency);
   // Drill-through state: { row, metric } when a numeric cell is clicked.
   const [drill, setDrill] = useState(null);
 
@@ -188,9 +211,9 @@ function CapabilityHeatmapCard({ rows, onCapabilitySelect }) {
                   onClick={drillIf('processCount')} cellTitle={drillTitle('the processes')} />
                 <HeatCell value={r.stepMinutes}      max={maxes.stepMinutes}  accent="indigo" format={Hours}
                   onClick={drillIf('workMinutes')} cellTitle={drillTitle('work hours')} />
-                <HeatCell value={r.annualCost}       max={maxes.annualCost}   accent="red"   format={Money}
+                <HeatCell value={r.annualCost}       max={maxes.annualCost}   accent="red"   format={fmtMoney}
                   onClick={drillIf('annualCost')} cellTitle={drillTitle('annual cost')} />
-                <HeatCell value={r.potentialSavings} max={maxes.potentialSavings} accent="teal" format={Money}
+                <HeatCell value={r.potentialSavings} max={maxes.potentialSavings} accent="teal" format={fmtMoney}
                   onClick={r.savingsBreakdown?.length ? openDrill(r, 'savings') : undefined}
                   cellTitle={r.savingsBreakdown?.length ? 'Click to see savings by process' : undefined} />
                 <HeatCell value={r.avgAutomationPct} max={100} accent="amber" format={(v) => `${v}%`}
@@ -202,8 +225,9 @@ function CapabilityHeatmapCard({ rows, onCapabilitySelect }) {
           })}
         </tbody>
       </table>
+      <CurrencyNote fx={fx} />
       {drill && (
-        <CellDrillModal row={drill.row} metric={drill.metric} onClose={() => setDrill(null)} />
+        <CellDrillModal row={drill.row} metric={drill.metric} currency={currency} onClose={() => setDrill(null)} />
       )}
     </div>
   );
@@ -226,13 +250,13 @@ const METRIC_CONFIG = {
     sortBy: 'workMinutes',
   },
   annualCost: {
-    title: 'Annual cost',         summaryFmt: (n) => Money(n),
-    column: 'Cost share',         cellFmt: (p) => Money(p.annualCost),
+    title: 'Annual cost',         summaryFmt: (n, cur) => Money(n, cur),
+    column: 'Cost share',         cellFmt: (p, cur) => Money(p.annualCost, cur),
     sortBy: 'annualCost',
   },
   savings: {
-    title: 'Potential savings',   summaryFmt: (n) => Money(n),
-    column: 'Savings',            cellFmt: (p) => Money(p.savings),
+    title: 'Potential savings',   summaryFmt: (n, cur) => Money(n, cur),
+    column: 'Savings',            cellFmt: (p, cur) => Money(p.savings, cur),
     sortBy: 'savings',
   },
   automationPct: {
@@ -257,7 +281,7 @@ function summaryValueFor(row, metric) {
   }
 }
 
-function CellDrillModal({ row, metric, onClose }) {
+function CellDrillModal({ row, metric, currency, onClose }) {
   const cfg = METRIC_CONFIG[metric] || METRIC_CONFIG.workMinutes;
   const all = row.processes || [];
   // For savings we hide rows with 0 contribution; for everything else
@@ -296,7 +320,7 @@ function CellDrillModal({ row, metric, onClose }) {
               {cfg.title}
             </div>
             <h3 style={{ margin: '2px 0 0', fontSize: 16 }}>
-              {row.name} &middot; <span style={{ color: '#0f766e' }}>{cfg.summaryFmt(total)}</span>
+              {row.name} &middot; <span style={{ color: '#0f766e' }}>{cfg.summaryFmt(total, currency)}</span>
             </h3>
           </div>
           <button
@@ -339,7 +363,7 @@ function CellDrillModal({ row, metric, onClose }) {
                     <span>{it.processName}</span>
                   )}
                 </td>
-                <td style={{ padding: '8px', textAlign: 'right', fontWeight: 600 }}>{cfg.cellFmt(it)}</td>
+                <td style={{ padding: '8px', textAlign: 'right', fontWeight: 600 }}>{cfg.cellFmt(it, currency)}</td>
               </tr>
             ))}
             {sorted.length === 0 && (
@@ -403,6 +427,73 @@ function ChangeRoiCard({ summary }) {
   );
 }
 
+function openProcess(e, reportId) {
+  if (e.metaKey || e.ctrlKey || e.shiftKey || e.button === 1) return;
+  e.preventDefault();
+  if (typeof window !== 'undefined') {
+    window.dispatchEvent(new CustomEvent('vesno:open-process', { detail: { reportId, intent: 'view' } }));
+  }
+}
+
+function SlaBreachesCard({ data }) {
+  const rows = data?.rows || [];
+  const s = data?.summary || {};
+  if (!s.processesWithSla) return (
+    <div className="ws-insight-card ws-insight-card--sla">
+      <h3>SLA breaches</h3>
+      <div className="ws-empty-inline" style={{ margin: 0 }}>
+        No SLAs set yet. Add a target on a step&apos;s Timing tab, or ask the chat to set step and process SLAs.
+      </div>
+    </div>
+  );
+  const top = rows.slice(0, 10);
+  return (
+    <div className="ws-insight-card ws-insight-card--sla">
+      <h3>
+        SLA breaches{' '}
+        <span className="ws-insight-sub">
+          {s.breaches || 0} across {s.processesWithSla} process{s.processesWithSla === 1 ? '' : 'es'} &middot; {s.runsChecked || 0} logged run{s.runsChecked === 1 ? '' : 's'}
+        </span>
+      </h3>
+      {top.length ? (
+        <table className="ws-system-table">
+          <thead>
+            <tr><th>Step</th><th>Target</th><th>Actual</th><th>Basis</th><th>Escalate to</th></tr>
+          </thead>
+          <tbody>
+            {top.map((r, i) => (
+              <tr key={`${r.sourceReportId}_${r.stepIndex ?? 'p'}_${r.basis}_${i}`} className={`ws-system-row ws-sla-row--${r.severity}`} title={r.text}>
+                <td className="ws-system-name">
+                  <strong>{r.stepName}</strong>
+                  {r.processName && (
+                    <>
+                      {' · '}
+                      <a
+                        href={`/workspace/map?view=${encodeURIComponent(r.sourceReportId)}`}
+                        className="ws-system-link"
+                        onClick={(e) => openProcess(e, r.sourceReportId)}
+                      >{r.processName}</a>
+                    </>
+                  )}
+                </td>
+                <td>{Hours(r.targetMinutes)}</td>
+                <td>{Hours(r.actualMinutes)}</td>
+                <td>{r.basis === 'measured' ? `${Math.round((r.breachRate || 0) * 100)}% of ${r.runs} runs` : 'map'}</td>
+                <td>{r.escalationOwner || '—'}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      ) : (
+        <div className="ws-empty-inline" style={{ margin: 0 }}>Every target is met on the map and in logged runs.</div>
+      )}
+      {rows.length > top.length && (
+        <p className="ws-insight-foot">{rows.length - top.length} more breach{rows.length - top.length === 1 ? '' : 'es'} not shown.</p>
+      )}
+    </div>
+  );
+}
+
 export default function InsightsPanel({
   modelId, accessToken, isAdmin = false,
   functions = [],
@@ -492,7 +583,7 @@ export default function InsightsPanel({
             aria-expanded={open}
           >{open ? '−' : '+'} Insights</button>
         )}
-        <span className="ws-insight-sub">cross-process system inventory &middot; function heatmap &middot; change ROI</span>
+        <span className="ws-insight-sub">cross-process system inventory &middot; function heatmap &middot; change ROI &middot; SLA breaches</span>
         {open && (
           <button type="button" className="ws-tree-action" onClick={load} disabled={loading}>
             {loading ? '↻ Loading…' : '↻ Refresh'}
@@ -515,8 +606,10 @@ export default function InsightsPanel({
           <CapabilityHeatmapCard
             rows={data.functionHeatmap || []}
             onCapabilitySelect={onCapabilitySelect}
+            fx={data.currency}
           />
           <ChangeRoiCard summary={data.changeRoi} />
+          <SlaBreachesCard data={data.slaBreaches} />
         </div>
       )}
 
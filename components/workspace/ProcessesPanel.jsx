@@ -4,7 +4,9 @@
  * Process list for the workspace home. Shown alongside the capability tree.
  *
  * Each row: company / process / cost / state, with a "File under…" picker
- * that anchors the process to a capability. Click the row title to open
+ * that anchors the process to a capability and a currency picker for the
+ * process's native currency (costs here are native, not converted to the
+ * model's reporting currency). Click the row title to open
  * the existing report editor (separate session — design-surface refactor
  * is the next phase).
  */
@@ -12,12 +14,10 @@
 import { useMemo, useState, useCallback } from 'react';
 import Link from 'next/link';
 import { apiFetch } from '@/lib/api-fetch';
+import { formatMoneyCompact, SUPPORTED_CURRENCIES } from '@/lib/currency';
 
-function Money(n) {
-  if (n == null) return '—';
-  if (Math.abs(n) >= 1_000_000) return `£${(n / 1_000_000).toFixed(1)}M`;
-  if (Math.abs(n) >= 1_000)     return `£${(n / 1_000).toFixed(0)}k`;
-  return `£${Math.round(n)}`;
+function Money(n, currency) {
+  return formatMoneyCompact(n, currency);
 }
 
 export default function ProcessesPanel({
@@ -49,7 +49,7 @@ export default function ProcessesPanel({
       .concat((allCapabilities || []).map((c) => ({ value: c.id, label: c.name })));
   }, [allCapabilities]);
 
-  const fileUnder = useCallback(async (processId, funcId) => {
+  const patchProcess = useCallback(async (processId, patch) => {
     setBusyById((s) => ({ ...s, [processId]: true }));
     try {
       await apiFetch(
@@ -57,7 +57,7 @@ export default function ProcessesPanel({
         {
           method: 'PATCH',
           headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ function_id: funcId || null }),
+          body: JSON.stringify(patch),
         },
         accessToken,
       );
@@ -67,6 +67,15 @@ export default function ProcessesPanel({
     }
   }, [modelId, accessToken, onChanged]);
 
+  const fileUnder = useCallback(
+    (processId, funcId) => patchProcess(processId, { function_id: funcId || null }),
+    [patchProcess],
+  );
+  const setCurrency = useCallback(
+    (processId, currency) => patchProcess(processId, { currency }),
+    [patchProcess],
+  );
+
   // Group by capability when no filter is active. Otherwise show flat.
   const grouped = useMemo(() => {
     if (selectedFuncId != null) return null;
@@ -116,6 +125,8 @@ export default function ProcessesPanel({
                     funcsById={funcsById}
                     busy={!!busyById[p.id]}
                     onFile={fileUnder}
+              onCurrency={setCurrency}
+                    onCurrency={setCurrency}
                     processUrlFor={processUrlFor}
                     onProcessClick={onProcessClick}
                     hideRefile={hideRefile}
@@ -136,6 +147,7 @@ export default function ProcessesPanel({
               funcsById={funcsById}
               busy={!!busyById[p.id]}
               onFile={fileUnder}
+              onCurrency={setCurrency}
               processUrlFor={processUrlFor}
               onProcessClick={onProcessClick}
               hideRefile={hideRefile}
@@ -147,7 +159,7 @@ export default function ProcessesPanel({
   );
 }
 
-function ProcessRow({ p, capOptions, busy, onFile, funcsById, processUrlFor, onProcessClick, hideRefile = false }) {
+function ProcessRow({ p, capOptions, busy, onFile, onCurrency, funcsById, processUrlFor, onProcessClick, hideRefile = false }) {
   const [pickerOpen, setPickerOpen] = useState(false);
   const spansNames = (p.function_ids || [])
     .filter((fid) => fid && fid !== p.function_id)
@@ -185,9 +197,9 @@ function ProcessRow({ p, capOptions, busy, onFile, funcsById, processUrlFor, onP
         )}
       </div>
       <div className="ws-proc-meta">
-        <span title="Annual cost">{Money(p.total_annual_cost)}</span>
+        <span title="Annual cost">{Money(p.total_annual_cost, p.currency)}</span>
         {p.potential_savings != null && (
-          <span title="Potential savings" className="ws-proc-savings">↓ {Money(p.potential_savings)}</span>
+          <span title="Potential savings" className="ws-proc-savings">↓ {Money(p.potential_savings, p.currency)}</span>
         )}
         {p.automation_percentage != null && (
           <span title="Automation %">{Math.round(p.automation_percentage)}% auto</span>
@@ -195,6 +207,15 @@ function ProcessRow({ p, capOptions, busy, onFile, funcsById, processUrlFor, onP
       </div>
       {!hideRefile && (
         <div className="ws-proc-actions">
+          <select
+            className="ws-proc-currency"
+            value={p.currency || 'GBP'}
+            disabled={busy}
+            onChange={(e) => onCurrency(p.id, e.target.value)}
+            title="Native currency of this process's costs"
+          >
+            {SUPPORTED_CURRENCIES.map((c) => <option key={c} value={c}>{c}</option>)}
+          </select>
           {pickerOpen ? (
             <select
               autoFocus
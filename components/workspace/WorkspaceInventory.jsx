@@ -6,17 +6,21 @@
  * Two side-by-side panels:
  *   - Roles    (model_roles)    — name, headcount, owner, function tags
  *   - Systems  (model_systems)  — name, vendor, category, layer
+ * plus a full-width Currency panel (reporting currency + the org's
+ * fx_rates table) underneath.
  *
- * Both are admin-edit only (member read). Admins see + Add / inline edit /
+ * All are admin-edit only (member read). Admins see + Add / inline edit /
  * delete affordances; members see the bare list.
  *
- * Doesn't fetch on its own — the parent (WorkspaceClient) already loaded
- * model.roles / model.systems / model.functionsFlat. CRUD operations
- * call `onChanged` so the parent refetches.
+ * Roles and systems don't fetch on their own — the parent
+ * (WorkspaceClient) already loaded model.roles / model.systems /
+ * model.functionsFlat. The currency panel loads /fx-rates itself. CRUD
+ * operations call `onChanged` so the parent refetches.
  */
 
-import { useState, useCallback, useMemo } from 'react';
+import { useState, useCallback, useMemo, useEffect } from 'react';
 import { apiFetch } from '@/lib/api-fetch';
+import { SUPPORTED_CURRENCIES } from '@/lib/currency';
 
 const SYSTEM_LAYERS = [
   { value: 'system_of_record', label: 'System of record' },
@@ -48,6 +52,12 @@ export default function WorkspaceInventory({
           accessToken={accessToken}
           onChanged={onChanged}
         />
+        <CurrencyColumn
+          modelId={modelId}
+          isAdmin={isAdmin}
+          accessToken={accessToken}
+          onChanged={onChanged}
+        />
       </div>
     </section>
   );
@@ -406,3 +416,172 @@ function SystemForm({ initial, busy, onSubmit, onCancel }) {
     </form>
   );
 }
+
+/* ── Currency ─────────────────────────────────────────────── */
+
+function CurrencyColumn({ modelId, isAdmin, accessToken, onChanged }) {
+  const [data, setData]       = useState(null);
+  const [adding, setAdding]   = useState(false);
+  const [busy, setBusy]       = useState(false);
+  const [confirmDelId, setConfirmDelId] = useState(null);
+
+  const load = useCallback(async () => {
+    const r = await apiFetch(`/api/operating-models/${modelId}/fx-rates`, {}, accessToken);
+    if (r.ok) setData(await r.json());
+  }, [modelId, accessToken]);
+
+  useEffect(() => { load(); }, [load]);
+
+  const setReporting = useCallback(async (code) => {
+    setBusy(true);
+    try {
+      const r = await apiFetch(`/api/operating-models/${modelId}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ reporting_currency: code }),
+      }, accessToken);
+      if (r.ok) { await load(); onChanged?.(); }
+      else { alert((await r.json().catch(() => ({})))?.error || 'Failed to change reporting currency.'); }
+    } finally {
+      setBusy(false);
+    }
+  }, [modelId, accessToken, load, onChanged]);
+
+  const addRate = useCallback(async (payload) => {
+    setBusy(true);
+    try {
+      const r = await apiFetch(`/api/operating-models/${modelId}/fx-rates`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload),
+      }, accessToken);
+      if (r.ok) { setAdding(false); await load(); onChanged?.(); }
+      else { alert((await r.json().catch(() => ({})))?.error || 'Failed to save rate.'); }
+    } finally {
+      setBusy(false);
+    }
+  }, [modelId, accessToken, load, onChanged]);
+
+  const remove = useCallback(async (rateId) => {
+    setBusy(true);
+    try {
+      const r = await apiFetch(
+        `/api/operating-models/${modelId}/fx-rates?rateId=${encodeURIComponent(rateId)}`,
+        { method: 'DELETE' },
+        accessToken,
+      );
+      if (r.ok) { await load(); onChanged?.(); }
+      else { alert('Failed to delete rate.'); }
+    } finally {
+      setBusy(false);
+      setConfirmDelId(null);
+    }
+  }, [modelId, accessToken, load, onChanged]);
+
+  const rates = data?.rates || [];
+  const reporting = data?.reportingCurrency || 'GBP';
+
+  return (
+    <div className="ws-inventory-col ws-inventory-col--wide">
+      <h2 className="ws-inventory-head">
+        <span>FX rates <span className="ws-inventory-count">{rates.length}</span></span>
+        <span className="ws-inventory-meta">
+          reporting in{' '}
+          {isAdmin ? (
+            <select
+              className="ws-inventory-currency"
+              value={reporting}
+              disabled={busy || !data}
+              onChange={(e) => setReporting(e.target.value)}
+            >
+              {SUPPORTED_CURRENCIES.map((c) => <option key={c} value={c}>{c}</option>)}
+            </select>
+          ) : reporting}
+        </span>
+        {isAdmin && !adding && (
+          <button type="button" className="ws-tree-action" onClick={() => setAdding(true)}>+ Rate</button>
+        )}
+      </h2>
+
+      {adding && (
+        <FxRateForm reporting={reporting} busy={busy} onSubmit={addRate} onCancel={() => setAdding(false)} />
+      )}
+
+      {data && !rates.length && !adding && (
+        <p className="ws-empty-inline">
+          No FX rates yet. Processes in a currency other than {reporting} are left out of cost totals until {isAdmin
+            ? 'you add a rate for their currency.'
+            : 'an org admin adds a rate for their currency.'}
+        </p>
+      )}
+
+      <ul className="ws-inventory-list">
+        {rates.map((r) => (
+          <li key={r.id} className="ws-inventory-row">
+            <div className="ws-inventory-row-main">
+              <span className="ws-inventory-name">1 {r.base_currency} = {Number(r.rate)} {r.quote_currency}</span>
+              <span className="ws-inventory-meta-inline">from {r.effective_date}</span>
+            </div>
+            {isAdmin && confirmDelId !== r.id && (
+              <div className="ws-inventory-actions">
+                <button type="button" onClick={() => setConfirmDelId(r.id)} disabled={busy}>🗑</button>
+              </div>
+            )}
+            {confirmDelId === r.id && (
+              <div className="ws-inventory-confirm">
+                Delete? Roll-ups fall back to the previous rate for this pair.
+                <button type="button" className="ws-tree-confirm-yes" onClick={() => remove(r.id)} disabled={busy}>Confirm</button>
+                <button type="button" onClick={() => setConfirmDelId(null)} disabled={busy}>Cancel</button>
+              </div>
+            )}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+function FxRateForm({ reporting, busy, onSubmit, onCancel }) {
+  const [base,  setBase]  = useState(SUPPORTED_CURRENCIES.find((c) => c !== reporting) || 'EUR');
+  const [quote, setQuote] = useState(reporting);
+  const [rate,  setRate]  = useState('');
+  const [date,  setDate]  = useState(() => new Date().toISOString().slice(0, 10));
+
+  const valid = base !== quote && Number(rate) > 0 && !!date;
+  const submit = (e) => {
+    e.preventDefault();
+    if (!valid) return;
+    onSubmit({ base_currency: base, quote_currency: quote, rate: Number(rate), effective_date: date });
+  };
+
+  return (
+    <form className="ws-inventory-form" onSubmit={submit}>
+      <div className="ws-inventory-form-row">
+        <label className="ws-inventory-form-num">
+          <span>1 ×</span>
+          <select value={base} onChange={(e) => setBase(e.target.value)}>
+            {SUPPORTED_CURRENCIES.map((c) => <option key={c} value={c}>{c}</option>)}
+          </select>
+        </label>
+        <label className="ws-inventory-form-num">
+          <span>= rate</span>
+          <input type="number" min="0" step="any" value={rate} onChange={(e) => setRate(e.target.value)} placeholder="0.86" autoFocus />
+        </label>
+        <label className="ws-inventory-form-num">
+          <span>×</span>
+          <select value={quote} onChange={(e) => setQuote(e.target.value)}>
+            {SUPPORTED_CURRENCIES.map((c) => <option key={c} value={c}>{c}</option>)}
+          </select>
+        </label>
+        <label className="ws-inventory-form-num">
+          <span>Effective from</span>
+          <input type="date" value={date} onChange={(e) => setDate(e.target.value)} />
+        </label>
+      </div>
+      <div className="ws-inventory-form-actions">
+        <button type="submit" disabled={busy || !valid}>{busy ? 'Saving…' : 'Save'}</button>
+        <button type="button" onClick={onCancel} disabled={busy}>Cancel</button>
+      </div>
+    </form>
+  );
+}
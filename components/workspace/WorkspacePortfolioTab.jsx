@@ -0,0 +1,266 @@
+'use client';
+
+/**
+ * WorkspacePortfolioTab - deal-to-deal benchmark across the deals the
+ * signed-in user runs (owned or collaborating; participant-only deals
+ * are the other side's and don't appear). Sits beside WorkspaceDealsTab
+ * under the Portfolio scope.
+ *
+ * Two cards:
+ *   - Benchmark: one row per deal with finding count / severity mix,
+ *     checklist completeness, process cost per FTE, automation grade
+ *     and Q&A time-to-close, under a portfolio-median row. Cells that
+ *     sit well off the median are tinted.
+ *   - Finding categories: deals x categories count matrix, so a deal
+ *     heavy on (say) legal findings stands out against its peers.
+ *
+ * Data comes from /api/deals/portfolio (lib/dealPortfolio.js).
+ */
+
+import { useEffect, useMemo, useState } from 'react';
+import Link from 'next/link';
+import { apiFetch } from '@/lib/api-fetch';
+import { formatMoneyCompact } from '@/lib/currency';
+
+const TYPE_LABEL = { ma: 'M&A', pe_rollup: 'PE roll-up', scaling: 'Scaling' };
+const SEV_COLOR = { critical: '#dc2626', high: '#d97706', medium: '#64748b', low: '#94a3b8' };
+
+const SORTS = {
+  updated:   { label: 'Recently updated', key: (d) => -(new Date(d.updatedAt || 0).getTime()) },
+  severe:    { label: 'Severe findings',  key: (d) => -(d.findings.severePct ?? -1) },
+  checklist: { label: 'Checklist',        key: (d) => d.checklist.pct ?? 101 },
+  costFte:   { label: 'Cost per FTE',     key: (d) => -(d.processes.costPerFte ?? -1) },
+  qa:        { label: 'Q&A turnaround',   key: (d) => -(d.qa.medianDaysToClose ?? -1) },
+};
+
+const th = { padding: '6px 8px' };
+const td = { padding: '8px', color: 'var(--text-mid, #64748b)' };
+const num = { ...td, textAlign: 'right', fontVariantNumeric: 'tabular-nums' };
+
+// Tint a cell when it is at least 25% worse than the portfolio median.
+// `higherIsWorse` picks the direction for the metric.
+function offMedian(value, med, higherIsWorse) {
+  if (value == null || med == null || med === 0) return null;
+  const ratio = value / med;
+  const worse = higherIsWorse ? ratio >= 1.25 : ratio <= 0.75;
+  return worse ? { background: 'rgba(220,38,38,0.07)', color: '#b91c1c' } : null;
+}
+
+function SeverityBar({ bySeverity, total }) {
+  if (!total) return <span>—</span>;
+  return (
+    <div style={{ display: 'flex', alignItems: 'center', gap: 6 }}>
+      <div style={{ display: 'flex', width: 90, height: 8, borderRadius: 4, overflow: 'hidden', background: 'var(--bg-alt, #f1f5f9)' }}>
+        {['critical', 'high', 'medium', 'low'].map((s) => (bySeverity[s] > 0 && (
+          <span
+            key={s}
+            title={`${bySeverity[s]} ${s}`}
+            style={{ width: `${(bySeverity[s] / total) * 100}%`, background: SEV_COLOR[s] }}
+          />
+        )))}
+      </div>
+      <span style={{ fontSize: 11 }}>
+        {bySeverity.critical > 0 && <strong style={{ color: SEV_COLOR.critical }}>{bySeverity.critical}C </strong>}
+        {bySeverity.high > 0 && <strong style={{ color: SEV_COLOR.high }}>{bySeverity.high}H</strong>}
+      </span>
+    </div>
+  );
+}
+
+/**
+ * Props:
+ *   accessToken: Supabase JWT, used to authenticate /api/deals/portfolio.
+ *   onDealOpen:  optional (dealId, deal) => void, same contract as
+ *                WorkspaceDealsTab: plain click opens the deal inline,
+ *                Cmd/Ctrl/Shift/middle-click falls through to the href.
+ */
+export default function WorkspacePortfolioTab({ accessToken, onDealOpen }) {
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [sort, setSort] = useState('updated');
+  const [showArchived, setShowArchived] = useState(false);
+
+  useEffect(() => {
+    if (!accessToken) return;
+    let cancelled = false;
+    setLoading(true);
+    apiFetch('/api/deals/portfolio', {}, accessToken)
+      .then((r) => (r.ok ? r.json() : Promise.reject(new Error(`/api/deals/portfolio -> ${r.status}`))))
+      .then((d) => { if (!cancelled) setData(d); })
+      .catch((e) => { if (!cancelled) setError(e.message); })
+      .finally(() => { if (!cancelled) setLoading(false); });
+    return () => { cancelled = true; };
+  }, [accessToken]);
+
+  const rows = useMemo(() => {
+    const deals = (data?.deals || []).filter((d) => showArchived || d.status !== 'archived');
+    const key = SORTS[sort].key;
+    return [...deals].sort((a, b) => key(a) - key(b));
+  }, [data, sort, showArchived]);
+
+  const bm = data?.benchmark || {};
+  const categories = (data?.categories || []).slice(0, 8);
+  const archivedCount = (data?.deals || []).filter((d) => d.status === 'archived').length;
+
+  const dealLink = (d) => (
+    <Link
+      href={`/deals/${encodeURIComponent(d.id)}/workspace`}
+      style={{ color: 'var(--accent, #0f766e)', textDecoration: 'none', fontWeight: 500 }}
+      title="Open deal workspace (Cmd/Ctrl+click for new tab)"
+      onClick={(e) => {
+        if (!onDealOpen) return;
+        if (e.metaKey || e.ctrlKey || e.shiftKey || e.button === 1) return;
+        e.preventDefault();
+        onDealOpen(d.id, { ...d, deal_code: d.dealCode });
+      }}
+    >{d.name || '(unnamed)'}</Link>
+  );
+
+  return (
+    <section className="ws-pane ws-portfolio-tab" style={{ display: 'flex', flexDirection: 'column', gap: 14 }}>
+      <div className="ws-insight-card">
+        <h3>
+          Portfolio benchmark <span className="ws-insight-sub">{rows.length} deal{rows.length === 1 ? '' : 's'}</span>
+        </h3>
+        <div style={{ display: 'flex', gap: 12, alignItems: 'center', margin: '6px 0 12px', fontSize: 12, color: 'var(--text-mid, #64748b)' }}>
+          <label style={{ display: 'flex', gap: 6, alignItems: 'center' }}>
+            Sort by
+            <select
+              value={sort}
+              onChange={(e) => setSort(e.target.value)}
+              style={{
+                padding: '4px 8px', fontSize: 12,
+                border: '1px solid var(--border, #e2e8f0)', borderRadius: 6,
+                background: 'var(--bg, #fff)', color: 'var(--text, #1e293b)',
+              }}
+            >
+              {Object.entries(SORTS).map(([id, s]) => <option key={id} value={id}>{s.label}</option>)}
+            </select>
+          </label>
+          {archivedCount > 0 && (
+            <label style={{ display: 'flex', gap: 6, alignItems: 'center' }}>
+              <input type="checkbox" checked={showArchived} onChange={(e) => setShowArchived(e.target.checked)} />
+              Include {archivedCount} archived
+            </label>
+          )}
+        </div>
+
+        {loading && <div className="ws-empty-inline">Loading portfolio...</div>}
+        {error && <div className="ws-empty-inline ws-error">Couldn&apos;t load the portfolio: {error}</div>}
+        {!loading && !error && data && rows.length === 0 && (
+          <div className="ws-empty-inline" style={{ margin: 0 }}>
+            No deals to compare yet. Deals you own or collaborate on appear here.
+          </div>
+        )}
+        {rows.length > 0 && (
+          <div style={{ overflowX: 'auto' }}>
+            <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: 13 }}>
+              <thead>
+                <tr style={{ textAlign: 'left', color: 'var(--text-mid, #64748b)', fontSize: 11, textTransform: 'uppercase', letterSpacing: '0.04em' }}>
+                  <th style={th}>Deal</th>
+                  <th style={{ ...th, textAlign: 'right' }}>Findings</th>
+                  <th style={th}>Severity mix</th>
+                  <th style={{ ...th, textAlign: 'right' }}>High / crit.</th>
+                  <th style={{ ...th, textAlign: 'right' }}>Checklist</th>
+                  <th style={{ ...th, textAlign: 'right' }}>Cost / FTE</th>
+                  <th style={{ ...th, textAlign: 'right' }}>Automation</th>
+                  <th style={{ ...th, textAlign: 'right' }}>Q&amp;A days to close</th>
+                  <th style={{ ...th, textAlign: 'right' }}>Q&amp;A open</th>
+                </tr>
+              </thead>
+              <tbody>
+                <tr style={{ borderTop: '1px solid var(--border, #e2e8f0)', background: 'var(--bg-alt, #f8fafc)', fontWeight: 600 }}>
+                  <td style={{ ...td, color: 'var(--text, #1e293b)' }}>Portfolio median</td>
+                  <td style={num}>{bm.findings ?? '—'}</td>
+                  <td style={td} />
+                  <td style={num}>{bm.severePct != null ? `${bm.severePct}%` : '—'}</td>
+                  <td style={num}>{bm.checklistPct != null ? `${bm.checklistPct}%` : '—'}</td>
+                  <td style={num} title={bm.costPerFte == null && bm.dealCount > 1 ? 'Deals report in different currencies' : undefined}>
+                    {bm.costPerFte != null ? formatMoneyCompact(bm.costPerFte, bm.currency) : '—'}
+                  </td>
+                  <td style={num}>{bm.automationPct != null ? `${bm.automationGrade} · ${bm.automationPct}%` : '—'}</td>
+                  <td style={num}>{bm.qaMedianDaysToClose ?? '—'}</td>
+                  <td style={num} />
+                </tr>
+                {rows.map((d) => (
+                  <tr key={d.id} style={{ borderTop: '1px solid var(--border, #e2e8f0)' }}>
+                    <td style={{ padding: '8px' }}>
+                      {dealLink(d)}
+                      <div style={{ fontSize: 11, color: 'var(--text-mid, #64748b)', marginTop: 2 }}>
+                        {[TYPE_LABEL[d.type] || d.type, d.dealCode, d.status === 'archived' ? 'archived' : null].filter(Boolean).join(' · ')}
+                      </div>
+                    </td>
+                    <td style={num}>{d.findings.total || '—'}</td>
+                    <td style={td}><SeverityBar bySeverity={d.findings.bySeverity} total={d.findings.total} /></td>
+                    <td style={{ ...num, ...offMedian(d.findings.severePct, bm.severePct, true) }}>
+                      {d.findings.severePct != null ? `${d.findings.severePct}%` : '—'}
+                    </td>
+                    <td style={{ ...num, ...offMedian(d.checklist.pct, bm.checklistPct, false) }} title={`${d.checklist.received} of ${d.checklist.total} expected documents`}>
+                      {d.checklist.pct != null ? `${d.checklist.pct}%` : '—'}
+                    </td>
+                    <td
+                      style={{ ...num, ...(bm.currency === d.processes.currency ? offMedian(d.processes.costPerFte, bm.costPerFte, true) : null) }}
+                      title={d.processes.processCount
+                        ? `${d.processes.processCount} process${d.processes.processCount === 1 ? '' : 'es'}, ${d.processes.fte} FTE${d.processes.mixedCurrency ? ` (only ${d.processes.currency} processes counted)` : ''}`
+                        : 'No mapped processes'}
+                    >
+                      {d.processes.costPerFte != null ? formatMoneyCompact(d.processes.costPerFte, d.processes.currency) : '—'}
+                      {d.processes.mixedCurrency && <span style={{ fontSize: 10 }}> *</span>}
+                    </td>
+                    <td style={{ ...num, ...offMedian(d.processes.automationPct, bm.automationPct, false) }}>
+                      {d.processes.automationPct != null ? `${d.processes.automationGrade} · ${d.processes.automationPct}%` : '—'}
+                    </td>
+                    <td style={{ ...num, ...offMedian(d.qa.medianDaysToClose, bm.qaMedianDaysToClose, true) }} title={`${d.qa.answered} answered`}>
+                      {d.qa.medianDaysToClose ?? '—'}
+                    </td>
+                    <td style={num}>
+                      {d.qa.total ? d.qa.open : '—'}
+                      {d.qa.overdue > 0 && <span style={{ color: '#dc2626', fontSize: 11 }}> ({d.qa.overdue} overdue)</span>}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      {rows.length > 0 && categories.length > 0 && (
+        <div className="ws-insight-card">
+          <h3>
+            Finding categories <span className="ws-insight-sub">latest analysis per deal</span>
+          </h3>
+          <div style={{ overflowX: 'auto' }}>
+            <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: 13 }}>
+              <thead>
+                <tr style={{ textAlign: 'left', color: 'var(--text-mid, #64748b)', fontSize: 11, textTransform: 'uppercase', letterSpacing: '0.04em' }}>
+                  <th style={th}>Deal</th>
+                  {categories.map((c) => <th key={c} style={{ ...th, textAlign: 'right' }}>{c}</th>)}
+                </tr>
+              </thead>
+              <tbody>
+                {rows.filter((d) => d.findings.total > 0).map((d) => (
+                  <tr key={d.id} style={{ borderTop: '1px solid var(--border, #e2e8f0)' }}>
+                    <td style={{ padding: '8px' }}>{dealLink(d)}</td>
+                    {categories.map((c) => {
+                      const n = d.findings.byCategory[c] || 0;
+                      const share = n / d.findings.total;
+                      return (
+                        <td
+                          key={c}
+                          style={{ ...num, background: n ? `rgba(13,148,136,${Math.min(0.35, 0.05 + share * 0.5)})` : undefined }}
+                          title={n ? `${Math.round(share * 100)}% of this deal's findings` : undefined}
+                        >{n || '—'}</td>
+                      );
+                    })}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </section>
+  );
+}
@@ -2,11 +2,12 @@
 
 /**
  * WorkspaceScopeNav - top-level nav that sits above the per-workspace
- * tab row. Three options:
+ * tab row. Four options:
  *
  *   - Standard:  the org's default operating model workspace (/workspace)
  *   - Deals:     the deals list (/workspace?view=deals); picking a deal
  *                navigates to /deals/<id>/workspace
+ *   - Portfolio: deal-to-deal benchmark (/workspace?view=portfolio)
  *   - Analytics: embedded analytics (/workspace?view=analytics)
  *
  * Mounted by both WorkspaceClient (standard surface) and
@@ -18,7 +19,7 @@ import Link from 'next/link';
 
 /**
  * Props:
- *   active:    'deals' | 'standard' | 'analytics' (highlighted pill)
+ *   active:    'deals' | 'portfolio' | 'standard' | 'analytics' (highlighted pill)
  *   onSelect:  optional (scope) => void. When supplied, plain clicks
  *              call this instead of navigating - lets the canvas
  *              overlay swap content without a route change. Cmd/Ctrl/
@@ -43,6 +44,7 @@ export default function WorkspaceScopeNav({ active, onSelect }) {
   return (
     <nav className="ws-scope-nav" aria-label="Workspace scope">
       {item('deals',     'Deals',     '/workspace?view=deals')}
+      {item('portfolio', 'Portfolio', '/workspace?view=portfolio')}
       {item('standard',  'Standard',  '/workspace')}
       {item('analytics', 'Analytics', '/workspace?view=analytics')}
     </nav>
@@ -13,9 +13,14 @@ import { computeAgentIntro } from './intros.js';
 import { CHAT_MODEL_ID } from '../models.js';
 import { getSignificantBottlenecks } from '../../diagnostic/detectBottlenecks.js';
 import { getWaitProfile } from '../../flows/flowModel.js';
+import { simulateProcess } from '../../flows/simulation.js';
+import { evaluateSla, normaliseProcessSla } from '../../flows/sla.js';
+import { checkInstanceConformance } from '../../flows/instanceConformance.js';
+import { formatMoney, processCurrency } from '../../currency.js';
 import { getSupabaseHeaders, fetchWithTimeout, requireSupabase } from '../../api-helpers.js';
 import { getSupabaseAdmin } from '../../supabase.js';
 import { recordDealProposal } from '../../changes/dealProposals.js';
+import { canSeeDocument, DOCUMENT_ACCESS_COLUMNS } from '../../dealDocumentVisibility.js';
 import { recordWorkspaceProposal } from '../../changes/workspaceProposals.js';
 
 // Default platform-key client. Used when no customer key is in scope (anon
@@ -94,6 +99,156 @@ function computeCriticalPath(ctx) {
   ].join('\n');
 }
 
+/**
+ * Which saved process the live canvas steps belong to: an explicit
+ * `processIndex` from the tool call, else the process whose name matches
+ * the canvas, else the first.
+ */
+function targetProcessIndex(rawProcesses, ctx, input) {
+  const explicit = Number(input?.processIndex);
+  if (Number.isInteger(explicit) && explicit >= 0 && explicit < rawProcesses.length) return explicit;
+  const name = (ctx.processName || '').trim().toLowerCase();
+  const byName = name ? rawProcesses.findIndex((p) => (p?.processName || '').trim().toLowerCase() === name) : -1;
+  return byName >= 0 ? byName : 0;
+}
+
+async function computeSimulation(ctx, input) {
+  const process = toProcessShape(ctx);
+  if (!process.steps.length) return 'No steps in the flow yet.';
+
+  let instancesPerYear = Number(input?.instancesPerYear) || null;
+  if (!instancesPerYear && ctx.editingReportId) {
+    const blob = await fetchReportBlob(ctx.editingReportId);
+    const rawProcesses = blob?.flow_data?.rawProcesses || [];
+    const raw = rawProcesses[targetProcessIndex(rawProcesses, ctx, input)];
+    instancesPerYear = Number(raw?.frequency?.annual) || null;
+  }
+
+  const sim = simulateProcess(process, { runs: input?.runs, instancesPerYear });
+  if (!sim || !sim.completed) {
+    return 'Simulation did not complete any instances - check for loops with no exit or decisions with no branch targets.';
+  }
+  const ct = sim.cycleTime;
+  const lines = [
+    `Simulated ${sim.runs} instances (${sim.mode === 'arrivals' ? `~1 arrival every ${sim.arrivalIntervalMinutes}m of working time` : 'no arrival rate - capacity queueing not modelled'}).`,
+    `Cycle time: P50 ${ct.p50}m, P90 ${ct.p90}m, P95 ${ct.p95}m (mean ${ct.mean}m, range ${ct.min}-${ct.max}m).`,
+  ];
+  if (sim.truncated) lines.push(`${sim.truncated} instance(s) hit the loop guard and were excluded.`);
+  const queued = sim.steps.filter((s) => s.meanQueueWait > 0).sort((a, b) => b.meanQueueWait - a.meanQueueWait).slice(0, 3);
+  if (queued.length) {
+    lines.push('Where work queues:');
+    queued.forEach((s) => {
+      const util = s.utilisation != null ? `, ${Math.round(s.utilisation * 100)}% utilised` : '';
+      lines.push(`  - Step ${s.stepIndex + 1} "${s.name}": avg queue wait ${s.meanQueueWait}m (P90 ${s.p90QueueWait}m), avg queue ${s.avgQueueLength}${util}`);
+    });
+  }
+  const noRanges = process.steps.every((s) => !s.workRange && !s.waitRange);
+  if (noRanges) lines.push('No steps have work/wait ranges yet - spread comes from routing and queueing only. set_step_details({ workRange, waitRange }) adds it.');
+  return lines.join('\n');
+}
+
+async function proposeScenario(ctx, input) {
+  if (!ctx.editingReportId) return 'No process is open on the canvas yet — save or open one first, then scenarios can fork from it.';
+  if (!ctx.session?.email) return 'User is not signed in, so scenarios cannot be saved.';
+  const { loadScenarioProcess, createScenario } = await import('../../processScenarios.js');
+  const { compareScenarios } = await import('../../flows/scenarios.js');
+  const { row, error } = await loadScenarioProcess(ctx.editingReportId, ctx.session.email);
+  if (error) return `Could not load the saved process: ${error}`;
+
+  let scenario;
+  try {
+    scenario = await createScenario({
+      process: row,
+      name: input.name,
+      description: input.description ?? null,
+      edits: {
+        processIndex: input.processIndex,
+        steps: input.steps,
+        addSteps: input.addSteps,
+        costs: input.costs,
+        blendedRate: input.blendedRate,
+      },
+      createdByKind: 'agent',
+      email: ctx.session.email,
+    });
+  } catch (e) {
+    return `Scenario not staged: ${e.message}`;
+  }
+  if (!scenario) return 'Failed to save the scenario.';
+
+  try {
+    ctx?.onEmit?.('scenario_proposal', { processId: row.id, scenarioId: scenario.id, name: scenario.name });
+  } catch { /* never break the loop */ }
+
+  const currency = processCurrency(row);
+  const { baseline, scenarios: [cmp] } = compareScenarios({ live: row.flow_data, scenarios: [scenario], currency });
+  const m = cmp.metrics;
+  const d = cmp.delta;
+  const signed = (n, fmt) => `${n > 0 ? '+' : n < 0 ? '-' : '±'}${fmt(Math.abs(n))}`;
+  return [
+    `Staged scenario "${scenario.name}" (${m.steps} steps). The live process is unchanged; the user can compare and promote it from the Scenarios panel.`,
+    `Annual cost: ${formatMoney(m.annualCost, currency)} vs ${formatMoney(baseline.annualCost, currency)} live (${signed(d.annualCost, (n) => formatMoney(n, currency))}).`,
+    `Cycle time per run: ${m.cycleMinutes}m vs ${baseline.cycleMinutes}m (${signed(d.cycleMinutes, (n) => `${n}m`)}).`,
+    m.automationPct != null ? `Automation: ${m.automationPct}% vs ${baseline.automationPct ?? 0}%.` : null,
+    `Remaining potential savings: ${formatMoney(m.potentialSavings, currency)}.`,
+  ].filter(Boolean).join('\n');
+}
+
+async function fetchLoggedRuns(reportId) {
+  const sbConfig = requireSupabase();
+  if (!sbConfig || !reportId) return [];
+  try {
+    const resp = await fetchWithTimeout(
+      `${sbConfig.url}/rest/v1/process_instances?process_id=eq.${encodeURIComponent(reportId)}&executed_steps=not.is.null&select=executed_steps,status,process_index&order=logged_at.desc&limit=200`,
+      { method: 'GET', headers: getSupabaseHeaders(sbConfig.key) },
+      5000,
+    );
+    if (!resp.ok) return [];
+    return await resp.json();
+  } catch {
+    return [];
+  }
+}
+
+async function computeSlaStatus(ctx) {
+  const process = toProcessShape(ctx);
+  if (!process.steps.length) return 'No steps in the flow yet.';
+  // Step targets travel with the live steps; the process SLA and logged
+  // runs come from the saved report.
+  let runs = [];
+  if (ctx.editingReportId) {
+    const [blob, rows] = await Promise.all([fetchReportBlob(ctx.editingReportId), fetchLoggedRuns(ctx.editingReportId)]);
+    const raw = (blob?.flow_data?.rawProcesses || [])[0];
+    process.sla = raw?.sla || null;
+    process.flowCustomEdges = raw?.flowCustomEdges;
+    process.flowDeletedEdges = raw?.flowDeletedEdges;
+    runs = rows
+      .filter((r) => (r.process_index ?? 0) === 0)
+      .map((r) => checkInstanceConformance(process, r.executed_steps, { completed: r.status === 'completed' }));
+  }
+  const ev = evaluateSla(process, { runs });
+  if (!ev) return 'No SLAs set on this process. set_step_sla({ stepNumber, targetMinutes }) or set_process_sla({ targetCycleMinutes, calendar }) adds them.';
+
+  const p = ev.process;
+  const logged = runs.filter(Boolean).length;
+  const lines = [
+    `Calendar: ${p.calendar ? `${p.calendar.workdays.join(',')} ${p.calendar.start}-${p.calendar.end} ${p.calendar.timezone}${p.calendar.holidays.length ? `, ${p.calendar.holidays.length} holiday(s)` : ''}` : '24/7'}. ${logged} logged run(s) checked.`,
+  ];
+  if (p.targetCycleMinutes) {
+    lines.push(`Process: target ${p.targetCycleMinutes}m cycle time, longest mapped path ${p.predictedCycleMinutes}m${p.runs ? `, ${p.breaches}/${p.runs} completed runs over` : ''}${p.escalationOwner ? ` · escalate to ${p.escalationOwner}` : ''}.`);
+  }
+  for (const s of ev.steps) {
+    lines.push(`- Step ${s.stepIndex + 1} "${s.name}": target ${s.targetMinutes}m, mapped ${s.predictedMinutes}m${s.runs ? `, ${s.breaches}/${s.runs} runs over` : ''}${s.escalationOwner ? ` · escalate to ${s.escalationOwner}` : ''}`);
+  }
+  if (ev.breaches.length) {
+    lines.push('Breaches:');
+    ev.breaches.slice(0, 8).forEach((b) => lines.push(`  - [${b.severity.toUpperCase()}, ${b.basis}] ${b.text}`));
+  } else {
+    lines.push('No breaches - the map and logged runs are within target.');
+  }
+  return lines.join('\n');
+}
+
 function computeStepMetrics(ctx, input) {
   const steps = ctx.steps || [];
   if (!steps.length) return 'No steps in the flow yet.';
@@ -141,7 +296,7 @@ async function fetchReportBlob(reportId) {
   if (!sbConfig) return null;
   try {
     const resp = await fetchWithTimeout(
-      `${sbConfig.url}/rest/v1/processes?id=eq.${encodeURIComponent(reportId)}&select=flow_data,financial_model`,
+      `${sbConfig.url}/rest/v1/processes?id=eq.${encodeURIComponent(reportId)}&select=flow_data,financial_model,currency`,
       { method: 'GET', headers: getSupabaseHeaders(sbConfig.key) },
       5000,
     );
@@ -157,12 +312,6 @@ async function fetchReportBlob(reportId) {
   }
 }
 
-function formatMoney(n, currency) {
-  if (n == null || !Number.isFinite(n)) return '-';
-  const sym = currency === 'USD' ? '$' : currency === 'EUR' ? '€' : '£';
-  return `${sym}${Math.round(n).toLocaleString()}`;
-}
-
 // Live cost summary computed from the current canvas state, not a
 // captured-at-save snapshot. Reads costAnalysis (the user's rate
 // inputs — config, not snapshot) and derives totals via processMetrics
@@ -170,7 +319,7 @@ function formatMoney(n, currency) {
 async function computeCostSummaryFromBlob(blob) {
   const dd = blob?.diagnostic_data || {};
   const ca = dd.costAnalysis || {};
-  const currency = ca.currency || 'GBP';
+  const currency = processCurrency({ currency: blob?.currency, flow_data: dd });
   const parts = [];
 
   if (Array.isArray(ca.labourRates) && ca.labourRates.length) {
@@ -188,7 +337,7 @@ async function computeCostSummaryFromBlob(blob) {
   // Totals: derived live, never read from any frozen blob.
   try {
     const { deriveProcessMetrics } = await import('../../processMetrics.js');
-    const m = deriveProcessMetrics(dd);
+    const m = deriveProcessMetrics({ currency, flow_data: dd });
     if (m.total_annual_cost) parts.push(`Annual cost today: ${formatMoney(m.total_annual_cost, currency)} (derived live from steps)`);
     if (m.potential_savings) parts.push(`Potential annual savings: ${formatMoney(m.potential_savings, currency)} (derived live from steps)`);
     if (m.automation_percentage != null) parts.push(`Automation: ${m.automation_percentage}% (grade ${m.automation_grade})`);
@@ -221,7 +370,10 @@ async function listUserReports({ userId, email }, limit = 8) {
   }
 }
 
-async function fetchUserReportById({ userId, email }, reportId) {
+// `dealId` (deal-bound chats, access already verified) also opens the
+// processes linked to that deal's participants — the deal team reads them
+// without owning them.
+async function fetchUserReportById({ userId, email }, reportId, { dealId = null } = {}) {
   if (!reportId || (!userId && !email)) return null;
   try {
     const sb = getSupabaseAdmin();
@@ -237,7 +389,16 @@ async function fetchUserReportById({ userId, email }, reportId) {
     const belongs =
       (userId && row.user_id === userId) ||
       (emailLower && (row.contact_email || '').toLowerCase() === emailLower);
-    if (!belongs) return null;
+    if (!belongs) {
+      if (!dealId) return null;
+      const { data: linked } = await sb
+        .from('deal_participants')
+        .select('id')
+        .eq('deal_id', dealId)
+        .eq('process_id', reportId)
+        .limit(1);
+      if (!linked?.length) return null;
+    }
     const { attachDerivedMetrics } = await import('../../processMetrics.js');
     return attachDerivedMetrics({ ...row, diagnostic_data: row.flow_data });
   } catch {
@@ -385,9 +546,22 @@ async function executeTool(name, input, ctx) {
       return fields.length ? `Updated process definition: ${fields.join(', ')}.` : 'No definition fields supplied.';
     }
     case 'set_step_details': {
-      const fields = ['waitType', 'waitNote', 'capacity', 'description'].filter((k) => input[k] !== undefined);
+      const fields = ['waitType', 'waitNote', 'capacity', 'workRange', 'waitRange', 'description'].filter((k) => input[k] !== undefined);
       return fields.length ? `Updated step ${input.stepNumber}: ${fields.join(', ')}.` : `No detail fields supplied for step ${input.stepNumber}.`;
     }
+    case 'set_step_sla': {
+      const fields = ['targetMinutes', 'escalationOwner'].filter((k) => input[k] !== undefined);
+      return fields.length ? `Updated the SLA on step ${input.stepNumber}: ${fields.join(', ')}.` : `No SLA fields supplied for step ${input.stepNumber}.`;
+    }
+    case 'set_process_sla': {
+      try {
+        normaliseProcessSla(input);
+      } catch (e) {
+        return `Process SLA not applied: ${e.message}.`;
+      }
+      const fields = ['targetCycleMinutes', 'calendar', 'escalationOwner'].filter((k) => input[k] !== undefined);
+      return fields.length ? `Updated the process SLA: ${fields.join(', ')}.` : 'No SLA fields supplied.';
+    }
     case 'set_cost_input': {
       const parts = [];
       if (input.frequency) parts.push(`frequency=${input.frequency}`);
@@ -438,6 +612,10 @@ async function executeTool(name, input, ctx) {
       return computeBottlenecks(ctx);
     case 'get_critical_path':
       return computeCriticalPath(ctx);
+    case 'simulate_cycle_time':
+      return await computeSimulation(ctx, input);
+    case 'get_sla_status':
+      return await computeSlaStatus(ctx);
     case 'get_step_metrics':
       return computeStepMetrics(ctx, input);
     case 'get_cost_summary': {
@@ -464,7 +642,9 @@ async function executeTool(name, input, ctx) {
       if (!ctx.session?.userId && !ctx.session?.email) {
         return 'User is not signed in, so other reports cannot be loaded.';
       }
-      const row = await fetchUserReportById(ctx.session, input?.reportId);
+      const row = await fetchUserReportById(ctx.session, input?.reportId, {
+        dealId: ctx.dealAccessVerified ? ctx.dealId : null,
+      });
       if (!row) return `Report ${input?.reportId || '(no id)'} was not found or does not belong to this user.`;
       return detailedReportSummary(row);
     }
@@ -494,6 +674,8 @@ async function executeTool(name, input, ctx) {
       if (input.expected_impact) lines.push(`Expected impact: ${input.expected_impact}`);
       return lines.join('\n');
     }
+    case 'propose_scenario':
+      return await proposeScenario(ctx, input);
     case 'ask_discovery':
       return input.question;
 
@@ -516,7 +698,7 @@ async function executeTool(name, input, ctx) {
         queryText: String(input.query || '').slice(0, 500),
         limit: Math.max(1, Math.min(Number(input.limit) || 12, 30)),
         party: input.party || null,
-      });
+      }).then((hits) => keepVisibleDocuments(ctx, hits));
       if (!rows.length) {
         return `No document chunks matched "${input.query}". The data room may be empty or still processing.`;
       }
@@ -558,6 +740,66 @@ async function executeTool(name, input, ctx) {
       ].join('\n');
     }
 
+    case 'query_deal_tables': {
+      // Same service-role boundary as search_deal_documents.
+      if (!ctx.dealAccessVerified || !ctx.dealId) {
+        return 'No deal context on this chat session - query_deal_tables only works on deal-bound conversations where you have access to the deal.';
+      }
+      const lineItem = String(input.line_item || '').slice(0, 200).trim();
+      if (!lineItem) return 'line_item is required.';
+      const period = input.period ? String(input.period).slice(0, 40) : null;
+      const sb = (await import('../../api-helpers.js')).requireSupabase();
+      if (!sb) return 'Storage not configured; cannot query document tables.';
+      const { queryDealTables } = await import('../../deal-analysis/tableQuery.js');
+      const { formatTableValue } = await import('../../deal-analysis/financialTables.js');
+      const rows = await queryDealTables({
+        supabaseUrl: sb.url,
+        supabaseKey: sb.key,
+        dealId: ctx.dealId,
+        lineItem,
+        period,
+        documentId: input.document_id || null,
+        limit: Math.max(1, Math.min(Number(input.limit) || 20, 50)),
+        filterRows: (hits) => keepVisibleDocuments(ctx, hits),
+      });
+      if (!rows.length) {
+        return `No table values matched "${lineItem}"${period ? ` for ${period}` : ''}. The figure may not be in a detected table — try search_deal_documents.`;
+      }
+      try {
+        ctx?.onEmit?.('deal_documents', {
+          dealId: ctx.dealId,
+          query: `${lineItem}${period ? ` ${period}` : ''}`.slice(0, 200),
+          chunks: rows.map((r) => ({
+            chunkId: r.id,
+            documentId: r.document_id,
+            filename: r.filename,
+            page: r.page_number || null,
+            slide: null,
+            sheet: r.sheet_name || null,
+            cellRange: r.cell_ref || null,
+            section: r.table_title || null,
+            snippet: formatTableValue(r),
+          })),
+        });
+      } catch { /* never let UI emission break the agent loop */ }
+      return [
+        `Found ${rows.length} table value${rows.length === 1 ? '' : 's'}. Quote the value with its unit and cite the file and cell.`,
+        '',
+        ...rows.map((r, i) => {
+          const loc = [
+            r.filename,
+            r.sheet_name ? `sheet ${r.sheet_name}` : null,
+            r.cell_ref ? `cell ${r.cell_ref}` : null,
+            r.page_number ? `p.${r.page_number}` : null,
+            r.table_title ? `table "${r.table_title}"${r.table_range ? ` (${r.table_range})` : ''}` : null,
+          ].filter(Boolean).join(' · ');
+          const extra = [r.section ? `section ${r.section}` : null, r.source_text ? `line: ${r.source_text}` : null]
+            .filter(Boolean).join(' · ');
+          return `[${i + 1}] ${formatTableValue(r)} — ${loc} document_id=${r.document_id}${extra ? `\n    ${extra}` : ''}`;
+        }),
+      ].join('\n');
+    }
+
     case 'get_deal_summary': {
       if (!ctx.dealAccessVerified || !ctx.dealId) {
         return 'No deal context on this chat session - get_deal_summary only works on deal-bound conversations.';
@@ -787,6 +1029,70 @@ async function executeTool(name, input, ctx) {
       return `Staged invite for "${companyName}" (${role})${email ? ` to ${email}` : ''}. The user will see an Apply button; nothing is created yet.`;
     }
 
+    case 'propose_integration_plan': {
+      if (!ctx.dealAccessVerified || !ctx.dealId) {
+        return 'No deal context on this chat session - propose_integration_plan only works on deal-bound conversations.';
+      }
+      const {
+        normaliseWorkstreams, normaliseInitiativeInput, PLAN_DEAL_TYPES, DEFAULT_WORKSTREAMS,
+      } = await import('../../dealIntegrationPlan.js');
+      const rawInitiatives = Array.isArray(input.initiatives) ? input.initiatives : [];
+      if (!rawInitiatives.length) return 'initiatives is required - draft at least one.';
+      if (rawInitiatives.length > 40) return 'Draft at most 40 initiatives at a time.';
+
+      let workstreams;
+      let initiatives;
+      try {
+        workstreams = input.workstreams ? normaliseWorkstreams(input.workstreams) : [];
+        initiatives = rawInitiatives.map((i) => normaliseInitiativeInput(i));
+      } catch (e) {
+        return `Invalid plan: ${e.message}`;
+      }
+
+      const { requireSupabase, getSupabaseHeaders, fetchWithTimeout } = await import('../../api-helpers.js');
+      const sb = requireSupabase();
+      if (!sb) return 'Storage not configured.';
+      const headers = getSupabaseHeaders(sb.key);
+      const [dealResp, planResp, findResp, partsResp] = await Promise.all([
+        fetchWithTimeout(`${sb.url}/rest/v1/deals?id=eq.${ctx.dealId}&select=type&limit=1`, { headers }),
+        fetchWithTimeout(`${sb.url}/rest/v1/deal_integration_plans?deal_id=eq.${ctx.dealId}&select=workstreams&limit=1`, { headers }),
+        fetchWithTimeout(`${sb.url}/rest/v1/deal_findings?deal_id=eq.${ctx.dealId}&select=finding_key&limit=2000`, { headers }),
+        fetchWithTimeout(`${sb.url}/rest/v1/deal_participants?deal_id=eq.${ctx.dealId}&process_id=not.is.null&select=process_id`, { headers }),
+      ]);
+      const [deal] = dealResp.ok ? await dealResp.json() : [];
+      if (!PLAN_DEAL_TYPES.includes(deal?.type)) return 'Integration plans are for M&A and PE roll-up deals only.';
+      const [plan] = planResp.ok ? await planResp.json() : [];
+      const findingKeys = new Set((findResp.ok ? await findResp.json() : []).map((f) => f.finding_key));
+      const processIds = new Set((partsResp.ok ? await partsResp.json() : []).map((p) => p.process_id));
+
+      const known = new Set([
+        ...(plan?.workstreams?.length ? plan.workstreams : DEFAULT_WORKSTREAMS[deal.type]).map((w) => w.key),
+        ...workstreams.map((w) => w.key),
+      ]);
+      for (const i of initiatives) {
+        if (!known.has(i.workstream)) return `"${i.title}" is in workstream "${i.workstream}", which the plan doesn't have - add it to workstreams or use one of: ${[...known].join(', ')}.`;
+        const badFinding = (i.finding_keys || []).find((k) => !findingKeys.has(k));
+        if (badFinding) return `"${i.title}" cites finding "${badFinding}", which isn't on this deal. Run list_deal_findings for valid keys.`;
+        const badProcess = (i.process_ids || []).find((id) => !processIds.has(id));
+        if (badProcess) return `"${i.title}" cites process ${badProcess}, which isn't linked to a participant. Run list_deal_participants for valid ids.`;
+      }
+
+      const rationale = input.rationale ? String(input.rationale).slice(0, 500) : null;
+      try {
+        ctx?.onEmit?.('deal_proposal', {
+          kind: 'integration_plan',
+          dealId: ctx.dealId,
+          workstreams,
+          initiatives,
+          rationale,
+        });
+      } catch { /* never break the loop */ }
+
+      const byDeadline = initiatives.reduce((acc, i) => { acc[i.deadline] = (acc[i.deadline] || 0) + 1; return acc; }, {});
+      const spread = Object.entries(byDeadline).map(([d, n]) => `${n} by ${d.replace('_', ' ')}`).join(', ');
+      return `Staged a draft integration plan: ${initiatives.length} initiative${initiatives.length === 1 ? '' : 's'} (${spread}). The user will see an Apply button; nothing is saved yet.`;
+    }
+
     case 'propose_reprocess_document': {
       if (!ctx.dealAccessVerified || !ctx.dealId) {
         return 'No deal context on this chat session - propose_reprocess_document only works on deal-bound conversations.';
@@ -801,10 +1107,10 @@ async function executeTool(name, input, ctx) {
       if (!sb) return 'Storage not configured.';
       const headers = getSupabaseHeaders(sb.key);
       const dResp = await fetchWithTimeout(
-        `${sb.url}/rest/v1/deal_documents?id=eq.${encodeURIComponent(documentId)}&deal_id=eq.${ctx.dealId}&select=id,filename,status,storage_path&limit=1`,
+        `${sb.url}/rest/v1/deal_documents?id=eq.${encodeURIComponent(documentId)}&deal_id=eq.${ctx.dealId}&select=id,filename,status,storage_path,${DOCUMENT_ACCESS_COLUMNS}&limit=1`,
         { headers },
       );
-      const [doc] = dResp.ok ? await dResp.json() : [];
+      const [doc] = (dResp.ok ? await dResp.json() : []).filter((d) => canSeeChatDocument(ctx, d));
       if (!doc) return `No document with id "${documentId}" on this deal. Run list_deal_documents to see valid ids.`;
       if (!doc.storage_path) return `"${doc.filename}" has no stored bytes — it needs to be re-uploaded, not reprocessed.`;
 
@@ -997,8 +1303,12 @@ async function executeTool(name, input, ctx) {
         lines.push(`Functions: ${(m.functions || []).length}`);
         lines.push(`Processes: ${t.processes ?? 0}${rollup?.unfiledProcesses ? ` (${rollup.unfiledProcesses} unfiled)` : ''}`);
         if (t.fte != null)              lines.push(`FTE (modelled): ${t.fte}`);
-        if (t.annualCost != null)       lines.push(`Annual cost: £${Math.round(t.annualCost).toLocaleString()}`);
-        if (t.potentialSavings != null) lines.push(`Potential savings: £${Math.round(t.potentialSavings).toLocaleString()}`);
+        const cur = rollup?.currency?.reportingCurrency;
+        if (t.annualCost != null)       lines.push(`Annual cost: ${formatMoney(t.annualCost, cur)}`);
+        if (t.potentialSavings != null) lines.push(`Potential savings: ${formatMoney(t.potentialSavings, cur)}`);
+        if (rollup?.currency?.missingRates?.length) {
+          lines.push(`No FX rate for ${rollup.currency.missingRates.join(', ')} → ${cur}: ${t.unconvertedProcesses} process(es) left out of the money totals.`);
+        }
         if (t.avgAutomationPct != null) lines.push(`Avg automation: ${t.avgAutomationPct}%`);
         const fns = (m.functions || []).slice(0, 12).map((f) => `  - [${f.id}] ${f.name}`);
         if (fns.length) {
@@ -1061,7 +1371,7 @@ async function executeTool(name, input, ctx) {
         const limit = Math.max(1, Math.min(Number(input.limit) || 25, 100));
         let filter = `operating_model_id=eq.${encodeURIComponent(ctx.operatingModelId)}`;
         if (input.functionId) filter += `&function_id=eq.${encodeURIComponent(input.functionId)}`;
-        const select = 'id,company,function_id,flow_data';
+        const select = 'id,company,function_id,currency,flow_data';
         const resp = await fetchWithTimeout(
           `${sb.url}/rest/v1/processes?${filter}&select=${encodeURIComponent(select)}&order=updated_at.desc&limit=${limit}`,
           { method: 'GET', headers: getSupabaseHeaders(sb.key) },
@@ -1078,8 +1388,9 @@ async function executeTool(name, input, ctx) {
           const name = procs[0]?.name || procs[0]?.processName || `Process (id ${r.id.slice(0, 8)})`;
           const stepCount = procs[0]?.steps?.length || 0;
           const m = deriveProcessMetrics(r);
-          const cost = m.total_annual_cost ? ` · £${Math.round(m.total_annual_cost).toLocaleString()}` : '';
-          const sav  = m.potential_savings ? ` · savings £${Math.round(m.potential_savings).toLocaleString()}` : '';
+          // Native currency per process — model totals (get_model_summary) are converted.
+          const cost = m.total_annual_cost ? ` · ${formatMoney(m.total_annual_cost, m.currency)}` : '';
+          const sav  = m.potential_savings ? ` · savings ${formatMoney(m.potential_savings, m.currency)}` : '';
           const auto = m.automation_percentage != null ? ` · ${m.automation_percentage}% auto` : '';
           return `- ${name} [id=${r.id}, ${stepCount} step${stepCount === 1 ? '' : 's'}, functionId=${r.function_id || 'unfiled'}]${cost}${sav}${auto}`;
         });
@@ -1114,6 +1425,33 @@ async function executeTool(name, input, ctx) {
   }
 }
 
+/**
+ * Document reads in the chat run with the service-role key, so the viewer
+ * the route resolved (`ctx.documentViewer`, see loadDocumentViewer) is the
+ * only thing standing between a participant and ring-fenced, role-scoped
+ * or expired documents. Without one, only what every collaborator could
+ * see gets through.
+ */
+const FALLBACK_DOCUMENT_VIEWER = { viewerRole: null, isOwner: false, isCollaborator: true, cleanTeamIds: [] };
+
+function canSeeChatDocument(ctx, document) {
+  return canSeeDocument({ document, ...(ctx.documentViewer || FALLBACK_DOCUMENT_VIEWER) });
+}
+
+/** Drop search / table hits whose parent document the chat user can't see. */
+async function keepVisibleDocuments(ctx, hits) {
+  const ids = [...new Set((hits || []).map((h) => h.document_id).filter(Boolean))];
+  if (!ids.length) return [];
+  const sb = requireSupabase();
+  if (!sb) return [];
+  const r = await fetchWithTimeout(
+    `${sb.url}/rest/v1/deal_documents?id=in.(${ids.map(encodeURIComponent).join(',')})&deal_id=eq.${ctx.dealId}&select=id,${DOCUMENT_ACCESS_COLUMNS}`,
+    { headers: getSupabaseHeaders(sb.key) },
+  );
+  const visible = new Set((r.ok ? await r.json() : []).filter((d) => canSeeChatDocument(ctx, d)).map((d) => d.id));
+  return hits.filter((h) => visible.has(h.document_id));
+}
+
 /**
  * Shared executor for the four deal-metadata tools. Reads via service-role
  * (RLS bypass) but only after the route handler verified deal access — the
@@ -1152,7 +1490,7 @@ async function runDealMetadataTool(kind, ctx, opts) {
 
   if (kind === 'participants') {
     const r = await fetchWithTimeout(
-      `${sb.url}/rest/v1/deal_participants?deal_id=eq.${dealId}&select=id,role,company_name,participant_email,status,invited_at,completed_at&order=created_at.asc`,
+      `${sb.url}/rest/v1/deal_participants?deal_id=eq.${dealId}&select=id,role,company_name,participant_email,status,process_id,invited_at,completed_at&order=created_at.asc`,
       { headers },
     );
     const parts = r.ok ? await r.json() : [];
@@ -1161,7 +1499,8 @@ async function runDealMetadataTool(kind, ctx, opts) {
       `${parts.length} participant${parts.length === 1 ? '' : 's'}:`,
       ...parts.map((p, i) => {
         const completed = p.completed_at ? ` · completed ${p.completed_at.slice(0, 10)}` : '';
-        return `[${i + 1}] ${p.company_name} (${p.role}) — ${p.status}${completed}`;
+        const process = p.process_id ? ` · process ${p.process_id}` : '';
+        return `[${i + 1}] ${p.company_name} (${p.role}) — ${p.status}${completed}${process}`;
       }),
     ].join('\n');
   }
@@ -1169,10 +1508,10 @@ async function runDealMetadataTool(kind, ctx, opts) {
   if (kind === 'documents') {
     const partyFilter = opts.party ? `&source_party=eq.${encodeURIComponent(opts.party)}` : '';
     const r = await fetchWithTimeout(
-      `${sb.url}/rest/v1/deal_documents?deal_id=eq.${dealId}${partyFilter}&select=id,filename,mime_type,byte_size,status,label,source_party,page_count,created_at&order=created_at.desc&limit=${opts.limit}`,
+      `${sb.url}/rest/v1/deal_documents?deal_id=eq.${dealId}${partyFilter}&select=id,filename,mime_type,byte_size,status,label,source_party,page_count,created_at,${DOCUMENT_ACCESS_COLUMNS}&order=created_at.desc&limit=${opts.limit}`,
       { headers },
     );
-    const docs = r.ok ? await r.json() : [];
+    const docs = (r.ok ? await r.json() : []).filter((d) => canSeeChatDocument(ctx, d));
     if (!docs.length) return opts.party ? `No documents tagged "${opts.party}".` : 'Data room is empty.';
     try {
       ctx?.onEmit?.('deal_metadata', {
@@ -1671,6 +2010,8 @@ function describeToolPresent(name, input) {
     case 'set_process_name':      return `Renaming process to "${i.name || ''}"…`;
     case 'set_process_definition':return `Updating process boundary…`;
     case 'set_step_details':      return `Updating step ${i.stepNumber} details…`;
+    case 'set_step_sla':          return `Setting the SLA on step ${i.stepNumber}…`;
+    case 'set_process_sla':       return `Setting the process SLA…`;
     case 'set_cost_input':        return `Updating cost inputs…`;
     case 'set_bottleneck':        return `Setting the bottleneck…`;
     case 'set_frequency_details': return `Setting frequency details…`;
@@ -1685,15 +2026,19 @@ function describeToolPresent(name, input) {
     case 'undo_last_action':      return `Undoing the last action…`;
     case 'ask_discovery':         return `Drafting a discovery question…`;
     case 'propose_change':        return `Drafting a proposed change…`;
+    case 'propose_scenario':      return `Staging a what-if scenario${i.name ? ` "${i.name}"` : ''}…`;
     case 'set_labour_rate':       return `Proposing a labour rate update…`;
     case 'set_non_labour_cost':   return `Proposing a non-labour cost update…`;
     case 'set_investment':        return `Proposing an investment line…`;
     case 'get_bottlenecks':       return `Looking up the biggest bottlenecks…`;
     case 'get_critical_path':     return `Tracing the critical path…`;
+    case 'simulate_cycle_time':   return `Simulating cycle time…`;
+    case 'get_sla_status':        return `Checking SLAs…`;
     case 'get_step_metrics':      return `Reading step-level metrics${stepRef(i.stepNumber)}…`;
     case 'get_cost_summary':      return `Reading the cost summary…`;
     case 'get_recommendations':   return `Reading the AI recommendations…`;
     case 'search_deal_documents': return `Searching the data room${i.query ? ` for "${i.query}"` : ''}…`;
+    case 'query_deal_tables':     return `Looking up ${i.line_item || 'figures'}${i.period ? ` for ${i.period}` : ''} in the financial tables…`;
     case 'list_deal_documents':   return `Listing the data room…`;
     case 'list_deal_participants':return `Listing the deal participants…`;
     case 'list_deal_findings':    return `Reading the latest findings…`;
@@ -1878,7 +2223,7 @@ function summariseActions(actions) {
   let added = 0, updated = 0, removed = 0, handoffs = 0, depts = 0, replaced = false;
   let conAdded = 0, conRemoved = 0, conRedirected = 0, stepsInserted = 0;
   let brEdited = 0, brRemoved = 0, brAdded = 0;
-  let reordered = 0, renamedProcess = false, definitionEdits = 0, detailEdits = 0, costEdits = 0;
+  let reordered = 0, renamedProcess = false, definitionEdits = 0, detailEdits = 0, processSlaSet = false, costEdits = 0;
   let bottleneckEdits = 0, freqDetailEdits = 0, peEdits = 0, sysAdded = 0, sysRemoved = 0;
   let chkAdded = 0, chkToggled = 0, chkRemoved = 0, deptsRemoved = 0;
   for (const a of actions) {
@@ -1898,7 +2243,8 @@ function summariseActions(actions) {
     else if (a.name === 'reorder_step') reordered++;
     else if (a.name === 'set_process_name') renamedProcess = true;
     else if (a.name === 'set_process_definition') definitionEdits++;
-    else if (a.name === 'set_step_details') detailEdits++;
+    else if (a.name === 'set_process_sla') processSlaSet = true;
+    else if (a.name === 'set_step_details' || a.name === 'set_step_sla') detailEdits++;
     else if (a.name === 'set_cost_input') costEdits++;
     else if (a.name === 'set_bottleneck') bottleneckEdits++;
     else if (a.name === 'set_frequency_details') freqDetailEdits++;
@@ -1925,6 +2271,7 @@ function summariseActions(actions) {
   if (reordered) parts.push(`reordered ${reordered} step${reordered > 1 ? 's' : ''}`);
   if (renamedProcess) parts.push('renamed process');
   if (definitionEdits) parts.push('updated process definition');
+  if (processSlaSet) parts.push('set the process SLA');
   if (detailEdits) parts.push(`updated ${detailEdits} step detail${detailEdits > 1 ? 's' : ''}`);
   if (costEdits) parts.push('updated cost inputs');
   if (bottleneckEdits) parts.push('updated bottleneck');
@@ -2071,7 +2418,7 @@ export const __executeToolForTests = executeTool;
 export async function runChatAgent({
   message, currentSteps, currentHandoffs, processName, history,
   incompleteInfo, phaseState, attachments, editingReportId, viewOnlyProcessId,
-  sessionContext, session, dealId, dealName, dealAccessVerified, activeParticipant, availableParticipants, apiKey, modelOverride,
+  sessionContext, session, dealId, dealName, dealAccessVerified, documentViewer, activeParticipant, availableParticipants, apiKey, modelOverride,
   functionPath, operatingModelName, operatingModelId, chatScope,
   onProgress, onEmit,
 }) {
@@ -2085,6 +2432,7 @@ export async function runChatAgent({
     .filter(s => s.name?.trim())
     .map((s, i) => {
       let d = `${i + 1}. ${s.name}`;
+      if (s.id) d += ` (id: ${s.id})`;
       if (s.department) d += ` [${s.department}]`;
       if (s.isMerge) d += ' (MERGE)';
       else if (s.isDecision) d += s.parallel ? ' (PARALLEL/AND gateway)' : s.inclusive ? ' (INCLUSIVE/OR gateway)' : ' (EXCLUSIVE/XOR decision)';
@@ -2259,6 +2607,7 @@ export async function runChatAgent({
     // the search_deal_documents tool refuses without dealAccessVerified.
     dealId: dealAccessVerified ? (dealId || null) : null,
     dealAccessVerified: !!dealAccessVerified,
+    documentViewer: documentViewer || null,
     operatingModelId: operatingModelId || null,
     session: session || null,
     apiKey: apiKey || null,
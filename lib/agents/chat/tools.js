@@ -6,6 +6,10 @@ const BRANCH_PROPERTIES = {
 };
 const BRANCH_REQUIRED = ['label', 'target'];
 
+// Step references that survive reorders: the step id from the flow listing,
+// or a 1-based step number as it stands when the tool runs.
+const STEP_REF = ['number', 'string'];
+
 const STEP_PROPERTIES = {
   name: { type: 'string' },
   department: { type: 'string' },
@@ -209,8 +213,8 @@ export const INSERT_STEP_BETWEEN_TOOL = {
   input_schema: {
     type: 'object',
     properties: {
-      fromStep: { type: 'number', description: '1-based source step of the connector to split' },
-      toStep: { type: 'number', description: '1-based target step of the connector to split' },
+      fromStep: { type: STEP_REF, description: 'Source step of the connector to split: its step id or 1-based step number' },
+      toStep: { type: STEP_REF, description: 'Target step of the connector to split: its step id or 1-based step number' },
       ...STEP_PROPERTIES,
       name: { type: 'string', description: 'Step name for the new step (concise, 3-8 words)' },
     },
@@ -221,7 +225,7 @@ export const INSERT_STEP_BETWEEN_TOOL = {
 /* ── Branch-level mutations (decision nodes) ──────────────────────── */
 
 const BRANCH_LOCATOR = {
-  stepNumber: { type: 'number', description: '1-based step number of the decision step that owns the branch' },
+  stepNumber: { type: STEP_REF, description: 'The decision step that owns the branch: its step id or 1-based step number' },
   branchIndex: { type: 'number', description: '1-based branch position on the decision step (1 = first branch). Use when the agent knows the order. Either branchIndex or branchLabel is required.' },
   branchLabel: { type: 'string', description: 'Existing branch label (case-insensitive match). Use when the agent knows the label but not the position.' },
 };
@@ -234,7 +238,7 @@ export const SET_BRANCH_TARGET_TOOL = {
     type: 'object',
     properties: {
       ...BRANCH_LOCATOR,
-      newTargetStep: { type: 'number', description: '1-based step number the branch should now point to' },
+      newTargetStep: { type: STEP_REF, description: 'The step the branch should now point to: its step id or 1-based step number' },
     },
     required: ['stepNumber', 'newTargetStep'],
   },
@@ -304,7 +308,7 @@ export const REORDER_STEP_TOOL = {
   input_schema: {
     type: 'object',
     properties: {
-      stepNumber: { type: 'number', description: '1-based step number to move' },
+      stepNumber: { type: STEP_REF, description: 'The step to move: its step id or 1-based step number' },
       position: { type: 'number', description: '1-based target position (1 = first, equal to step count = last)' },
     },
     required: ['stepNumber', 'position'],
@@ -341,7 +345,7 @@ export const SET_PROCESS_DEFINITION_TOOL = {
 export const SET_STEP_DETAILS_TOOL = {
   name: 'set_step_details',
   description:
-    'Set advanced step fields not covered by update_step: wait reason, wait note, capacity, and free-form description. Only include fields you want to change.',
+    'Set advanced step fields not covered by update_step: wait reason, wait note, capacity, work/wait ranges for simulation, and free-form description. Only include fields you want to change.',
   input_schema: {
     type: 'object',
     properties: {
@@ -353,12 +357,61 @@ export const SET_STEP_DETAILS_TOOL = {
       },
       waitNote: { type: 'string', description: 'Free-text note explaining the wait reason' },
       capacity: { type: 'number', description: 'How many of these can run at once' },
+      workRange: {
+        type: ['object', 'null'],
+        description: 'Hands-on minutes as a range for simulate_cycle_time: { min, mode, max }. Pass null to clear.',
+        properties: { min: { type: 'number' }, mode: { type: 'number' }, max: { type: 'number' } },
+      },
+      waitRange: {
+        type: ['object', 'null'],
+        description: 'Wait minutes before the step can start, as a range: { min, mode, max }. Pass null to clear.',
+        properties: { min: { type: 'number' }, mode: { type: 'number' }, max: { type: 'number' } },
+      },
       description: { type: 'string', description: 'Free-form description of what happens at this step' },
     },
     required: ['stepNumber'],
   },
 };
 
+export const SET_STEP_SLA_TOOL = {
+  name: 'set_step_sla',
+  description:
+    'Set or clear the SLA target for one step: the most wait + work the step may take, in working minutes under the process calendar, and who is escalated to on a breach. Only include fields you want to change.',
+  input_schema: {
+    type: 'object',
+    properties: {
+      stepNumber: { type: 'number', description: '1-based step number' },
+      targetMinutes: { type: ['number', 'null'], description: 'Target in working minutes (e.g. 1 working day = 480 on a 9-5 calendar). Pass null to clear.' },
+      escalationOwner: { type: ['string', 'null'], description: 'Person or role escalated to on a breach. Omit to inherit the process owner; null clears.' },
+    },
+    required: ['stepNumber'],
+  },
+};
+
+export const SET_PROCESS_SLA_TOOL = {
+  name: 'set_process_sla',
+  description:
+    'Set or clear the process SLA: target end-to-end cycle time, the business-hours calendar SLAs are measured in, and the default escalation owner. Only include fields you want to change.',
+  input_schema: {
+    type: 'object',
+    properties: {
+      targetCycleMinutes: { type: ['number', 'null'], description: 'Target cycle time in working minutes, first step start to last step end. Pass null to clear.' },
+      calendar: {
+        type: ['object', 'null'],
+        description: 'Business hours. Omitted fields default to Mon-Fri 09:00-17:00 UTC. Pass null for a 24/7 clock.',
+        properties: {
+          timezone: { type: 'string', description: 'IANA timezone, e.g. "Europe/London"' },
+          workdays: { type: 'array', items: { type: 'number' }, description: 'ISO weekdays, 1 = Monday … 7 = Sunday' },
+          start: { type: 'string', description: 'Opening time, HH:MM' },
+          end: { type: 'string', description: 'Closing time, HH:MM' },
+          holidays: { type: 'array', items: { type: 'string' }, description: 'Closed dates, YYYY-MM-DD' },
+        },
+      },
+      escalationOwner: { type: ['string', 'null'], description: 'Default person or role escalated to on a breach. Pass null to clear.' },
+    },
+  },
+};
+
 export const SET_COST_INPUT_TOOL = {
   name: 'set_cost_input',
   description:
@@ -539,6 +592,27 @@ export const GET_CRITICAL_PATH_TOOL = {
   input_schema: { type: 'object', properties: {} },
 };
 
+export const SIMULATE_CYCLE_TIME_TOOL = {
+  name: 'simulate_cycle_time',
+  description:
+    'Run a Monte Carlo simulation of the flow: many instances routed by branch probabilities, with per-step work/wait ranges and capacity. Returns P50/P90 cycle time, queue lengths and utilisation per step. Call when the user asks how long the process "usually" or "worst-case" takes, how variable it is, or where work queues up. Prefer get_critical_path for a single deterministic total.',
+  input_schema: {
+    type: 'object',
+    properties: {
+      runs: { type: 'number', description: 'Instances to simulate (default 1000, max 20000).' },
+      instancesPerYear: { type: 'number', description: 'Arrival rate used for capacity queueing. Omit to use the process frequency.' },
+      processIndex: { type: 'number', description: 'Which process in the report supplies the frequency (default: the one open on the canvas)' },
+    },
+  },
+};
+
+export const GET_SLA_STATUS_TOOL = {
+  name: 'get_sla_status',
+  description:
+    'Check the step and process SLAs against the map (work + predicted wait, longest path) and against logged runs of this process. Returns targets, predicted and measured breaches, breach rates and escalation owners. Call when the user asks whether the process meets its SLAs or where targets are being missed.',
+  input_schema: { type: 'object', properties: {} },
+};
+
 export const GET_STEP_METRICS_TOOL = {
   name: 'get_step_metrics',
   description:
@@ -700,6 +774,70 @@ export const PROPOSE_CHANGE_TOOL = {
   },
 };
 
+/**
+ * Stage a named what-if version of the open process. The fork is written
+ * to process_scenarios (status 'proposed'); the live process is untouched
+ * until the user promotes it from the Scenarios panel.
+ */
+export const PROPOSE_SCENARIO_TOOL = {
+  name: 'propose_scenario',
+  description:
+    'Fork the saved live process into a named what-if scenario (e.g. "Automate approvals", "Offshore AP") with step and cost edits, and report its cost / cycle time / automation deltas against live. Does NOT change the live process or the canvas - the user compares scenarios side by side and promotes one from the Scenarios panel. Step numbers refer to the saved live process.',
+  input_schema: {
+    type: 'object',
+    properties: {
+      name: { type: 'string', description: 'Short scenario name, max 120 chars' },
+      description: { type: 'string', description: 'What the scenario assumes and why' },
+      processIndex: { type: 'number', description: 'Which process in the report (default 0)' },
+      steps: {
+        type: 'array',
+        description: 'Edits to existing steps',
+        items: {
+          type: 'object',
+          properties: {
+            stepNumber: { type: 'number', description: '1-based step number in the live process' },
+            remove: { type: 'boolean', description: 'Drop the step from the scenario' },
+            name: { type: 'string' },
+            department: { type: 'string', description: 'e.g. "Shared Services (offshore)"' },
+            workMinutes: { type: 'number' },
+            waitMinutes: { type: 'number' },
+            isAutomated: { type: 'boolean' },
+            isExternal: { type: 'boolean' },
+          },
+          required: ['stepNumber'],
+        },
+      },
+      addSteps: {
+        type: 'array',
+        description: 'New steps to insert',
+        items: {
+          type: 'object',
+          properties: {
+            afterStep: { type: 'number', description: 'Insert after this live step number (0 = at the start)' },
+            name: { type: 'string' },
+            department: { type: 'string' },
+            workMinutes: { type: 'number' },
+            waitMinutes: { type: 'number' },
+            isAutomated: { type: 'boolean' },
+          },
+          required: ['afterStep', 'name'],
+        },
+      },
+      costs: {
+        type: 'object',
+        description: 'Cost input overrides',
+        properties: {
+          hoursPerInstance: { type: 'number' },
+          teamSize: { type: 'number' },
+          annual: { type: 'number', description: 'Instances per year' },
+        },
+      },
+      blendedRate: { type: 'number', description: 'Blended hourly rate in the process currency (e.g. an offshore rate)' },
+    },
+    required: ['name'],
+  },
+};
+
 export const ASK_DISCOVERY_TOOL = {
   name: 'ask_discovery',
   description:
@@ -744,6 +882,31 @@ export const SEARCH_DEAL_DOCUMENTS_TOOL = {
   },
 };
 
+/**
+ * Exact lookup over the financial tables detected in the data room
+ * (spreadsheets and PDF statements, stored as line item × period rows).
+ * Use instead of search_deal_documents when the question is a number —
+ * the answer carries the cell it came from.
+ */
+export const QUERY_DEAL_TABLES_TOOL = {
+  name: 'query_deal_tables',
+  description:
+    'Look up exact figures in the financial tables of the deal data room (P&Ls, management accounts, KPI packs in XLSX/CSV/PDF). Matches a line item (synonyms included: revenue ≈ turnover ≈ sales) and an optional period, and returns each value with currency, scale and the source file + sheet + cell. Use for "what was Q3 2024 revenue?"-style questions before falling back to search_deal_documents; cite the cell in your answer.',
+  input_schema: {
+    type: 'object',
+    properties: {
+      line_item: { type: 'string', description: 'Line item to look up, e.g. "revenue", "EBITDA", "headcount".' },
+      period: {
+        type: 'string',
+        description: 'Optional period: "Q3 2024", "FY24", "H1 2025", "Mar-24", "LTM Sep-24", a bare year ("2024" = any period in 2024) or a bare quarter ("Q3").',
+      },
+      document_id: { type: 'string', description: 'Optional: restrict to one document.' },
+      limit: { type: 'number', description: 'How many values to return (1-50, default 20).' },
+    },
+    required: ['line_item'],
+  },
+};
+
 /**
  * The next four tools answer "dashboard-y" questions about a deal without
  * reading from the data room. Use them when the user asks "who is on this
@@ -882,6 +1045,48 @@ export const PROPOSE_INVITE_PARTICIPANT_TOOL = {
   },
 };
 
+export const PROPOSE_INTEGRATION_PLAN_TOOL = {
+  name: 'propose_integration_plan',
+  description:
+    'Stage a draft 100-day integration plan for an M&A or PE roll-up deal: workstreams and the initiatives under them, each due by Day 1, 30, 60 or 100 after completion. Use when the user asks for an integration plan, a Day 1 / 100-day plan, or how to act on the diligence findings after closing. Ground it in the deal first: list_deal_findings (cite the finding keys an initiative addresses) and list_deal_participants + load_report_summary (cite the process ids it changes). Day 1 is for stability — control, payroll, customer continuity; harmonisation and systems consolidation come later. The Apply button adds the initiatives to the plan (added to anything already there); nothing is saved before that. Editor-only at apply time.',
+  input_schema: {
+    type: 'object',
+    properties: {
+      workstreams: {
+        type: 'array',
+        description: 'Workstreams the initiatives sit in. Optional — the plan already has defaults (governance, people, finance, systems, operations, commercial / value creation); only list ones you need to add.',
+        items: {
+          type: 'object',
+          properties: {
+            name: { type: 'string', description: 'Workstream name, e.g. "IT & systems".' },
+            owner_email: { type: 'string', description: 'Optional workstream lead.' },
+          },
+          required: ['name'],
+        },
+      },
+      initiatives: {
+        type: 'array',
+        description: '1-40 initiatives.',
+        items: {
+          type: 'object',
+          properties: {
+            workstream: { type: 'string', description: 'Workstream key or name (e.g. "systems" or "IT & systems").' },
+            title: { type: 'string', description: 'What gets done (max 200 chars).' },
+            description: { type: 'string', description: 'Optional: why, and what done looks like.' },
+            deadline: { type: 'string', enum: ['day_1', 'day_30', 'day_60', 'day_100'] },
+            owner_email: { type: 'string', description: 'Optional owner — only if the user named one.' },
+            finding_keys: { type: 'array', items: { type: 'string' }, description: 'Finding keys (from list_deal_findings) this initiative addresses.' },
+            process_ids: { type: 'array', items: { type: 'string' }, description: 'Participant process ids (from list_deal_participants) this initiative changes.' },
+          },
+          required: ['workstream', 'title', 'deadline'],
+        },
+      },
+      rationale: { type: 'string', description: 'One or two sentences on how the plan is sequenced.' },
+    },
+    required: ['initiatives'],
+  },
+};
+
 export const LIST_DEAL_FINDINGS_TOOL = {
   name: 'list_deal_findings',
   description:
@@ -1057,6 +1262,8 @@ export const ALL_CHAT_TOOLS = [
   SET_PROCESS_NAME_TOOL,
   SET_PROCESS_DEFINITION_TOOL,
   SET_STEP_DETAILS_TOOL,
+  SET_STEP_SLA_TOOL,
+  SET_PROCESS_SLA_TOOL,
   SET_COST_INPUT_TOOL,
   SET_BOTTLENECK_TOOL,
   SET_FREQUENCY_DETAILS_TOOL,
@@ -1070,6 +1277,8 @@ export const ALL_CHAT_TOOLS = [
   // Reads (live computations — no "if generated" gating)
   GET_BOTTLENECKS_TOOL,
   GET_CRITICAL_PATH_TOOL,
+  SIMULATE_CYCLE_TIME_TOOL,
+  GET_SLA_STATUS_TOOL,
   GET_STEP_METRICS_TOOL,
   GET_COST_SUMMARY_TOOL,
   GET_RECOMMENDATIONS_TOOL,
@@ -1084,9 +1293,11 @@ export const ALL_CHAT_TOOLS = [
   UNDO_LAST_ACTION_TOOL,
   // Discovery / proposal
   PROPOSE_CHANGE_TOOL,
+  PROPOSE_SCENARIO_TOOL,
   ASK_DISCOVERY_TOOL,
   // Deal data-room retrieval
   SEARCH_DEAL_DOCUMENTS_TOOL,
+  QUERY_DEAL_TABLES_TOOL,
   // Deal metadata reads
   GET_DEAL_SUMMARY_TOOL,
   LIST_DEAL_PARTICIPANTS_TOOL,
@@ -1098,6 +1309,7 @@ export const ALL_CHAT_TOOLS = [
   PROPOSE_REPROCESS_DOCUMENT_TOOL,
   PROPOSE_LINK_PARTICIPANT_REPORT_TOOL,
   PROPOSE_UPLOAD_DOCUMENT_TOOL,
+  PROPOSE_INTEGRATION_PLAN_TOOL,
   PROPOSE_UNDO_LAST_ACTION_TOOL,
   // Workspace setup (operating-model mutations; client confirms with Apply)
   PROPOSE_ADD_FUNCTION_TOOL,
@@ -1301,6 +1513,7 @@ export const DEAL_AGENT_TOOLS = [
   LIST_DEAL_FINDINGS_TOOL,
   LIST_DEAL_CHANGES_TOOL,
   SEARCH_DEAL_DOCUMENTS_TOOL,
+  QUERY_DEAL_TABLES_TOOL,
   LOAD_REPORT_SUMMARY_TOOL,
   // Navigation (deal)
   OPEN_DEAL_VIEW_TOOL,
@@ -1311,6 +1524,7 @@ export const DEAL_AGENT_TOOLS = [
   PROPOSE_REPROCESS_DOCUMENT_TOOL,
   PROPOSE_LINK_PARTICIPANT_REPORT_TOOL,
   PROPOSE_UPLOAD_DOCUMENT_TOOL,
+  PROPOSE_INTEGRATION_PLAN_TOOL,
   // Discovery
   ASK_DISCOVERY_TOOL,
 ];
@@ -186,6 +186,15 @@ export const ProgressInputSchema = z.object({
   participantId: z.string().uuid().optional(),
 }).passthrough();
 
+// One executed step on a logged process instance. stepNumber or name
+// identifies the mapped step; timestamps are ISO strings.
+export const ExecutedStepSchema = z.object({
+  stepNumber: z.number().int().min(1).max(1000).optional(),
+  name: z.string().max(200).optional(),
+  startedAt: z.string().max(40).optional(),
+  completedAt: z.string().max(40).optional(),
+}).refine((s) => s.stepNumber != null || !!s.name, { message: 'stepNumber or name required' });
+
 // Process instances: processName max 200, instanceName max 200, notes max 1000
 export const ProcessInstanceInputSchema = z.object({
   processName: z.string().min(1).max(200),
@@ -193,6 +202,8 @@ export const ProcessInstanceInputSchema = z.object({
   status: z.enum(['started', 'in-progress', 'waiting', 'stuck', 'completed', 'cancelled']),
   notes: z.string().max(1000).optional(),
   reportId: z.string().uuid().optional(),
+  processIndex: z.number().int().min(0).max(99).optional(),
+  executedSteps: z.array(ExecutedStepSchema).max(500).optional(),
   email: z.string().email().max(254).optional(),
   userId: z.string().max(200).optional(),
 }).passthrough();
@@ -21,6 +21,7 @@ const ACTION_META = {
   insert_step_between:        ['process_step', 'added'],
   reorder_step:               ['process_step', 'reordered'],
   set_step_details:           ['process_step', 'modified'],
+  set_step_sla:               ['process_step', 'modified'],
   set_branch_target:          ['process_step', 'modified'],
   set_branch_probability:     ['process_step', 'modified'],
   set_branch_label:           ['process_step', 'modified'],
@@ -41,6 +42,7 @@ const ACTION_META = {
   replace_all_steps:          ['process', 'modified'],
   set_process_name:           ['process', 'modified'],
   set_process_definition:     ['process', 'modified'],
+  set_process_sla:            ['process', 'modified'],
   set_bottleneck:             ['process', 'modified'],
   set_frequency_details:      ['process', 'modified'],
   set_pe_context:             ['process', 'modified'],
@@ -19,6 +19,7 @@
  *
  *   cycle_time_minutes  – wall-clock minutes from start to end of one instance
  *   work_minutes        – hands-on minutes per instance
+ *   wait_minutes        – queue / idle minutes before a step starts
  *   cost_per_run        – currency per instance
  *   annual_cost         – currency per year
  *   automation_pct      – % of steps automated
@@ -25,7 +25,7 @@
  * mis-attribute the modify to the new position — acceptable.
  */
 
-const SCALAR_FIELDS = [
+export const SCALAR_FIELDS = [
   'name',
   'department',
   'isDecision',
@@ -13,7 +13,10 @@
  * load on the bundled server build.
  */
 
-export { getProvider, listProviders, registerProvider } from './registry.js';
+export { getProvider, listProviders, registerProvider, CursorExpiredError } from './registry.js';
 
+import './providers/box.js';
+import './providers/dropbox.js';
+import './providers/fake.js'; // registers only when CONNECTOR_FAKE_PROVIDER=1
 import './providers/googleDrive.js';
 import './providers/sharepoint.js';
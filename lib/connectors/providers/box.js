@@ -0,0 +1,202 @@
+/**
+ * Box connector.
+ *
+ * OAuth: standard authorization-code against account.box.com. Box
+ * rotates refresh tokens — every refresh returns a new one and the old
+ * one stops working — so refreshToken() hands the new refresh_token
+ * back and lib/connectors/tokens.js persists it alongside the access
+ * token.
+ *
+ * Sync model: the user event stream (`/events?stream_type=changes`)
+ * with `next_stream_position` persisted as our delta_cursor. Like
+ * Drive's changes feed it covers everything the user can see, so we
+ * filter to files whose parent is the bound folder. A file moved out of
+ * the folder or trashed becomes op='delete'.
+ *
+ * Box's file metadata has no MIME type; the extraction worker falls
+ * back to the filename extension.
+ *
+ * Scopes are configured on the Box app itself (Developer Console →
+ * Configuration): "Read all files and folders stored in Box" is enough.
+ *
+ * Env:
+ *   BOX_CLIENT_ID / BOX_CLIENT_SECRET — Box custom app (User Authentication, OAuth 2.0)
+ *   NEXT_PUBLIC_APP_URL               — used to build redirect_uri
+ */
+
+// Import from the registry module directly — importing from ../index.js
+// would create a circular dependency that throws at module load.
+import { registerProvider } from '../registry.js';
+import { logger } from '../../logger.js';
+
+const AUTH_URL  = 'https://account.box.com/api/oauth2/authorize';
+const TOKEN_URL = 'https://api.box.com/oauth2/token';
+const BOX_API   = 'https://api.box.com/2.0';
+
+const SCOPES = ['root_readonly'];
+const ROOT_FOLDER_ID = '0';
+const REMOVED_EVENTS = new Set(['ITEM_TRASH', 'ITEM_DELETE']);
+
+function clientId() { return process.env.BOX_CLIENT_ID || ''; }
+function clientSecret() { return process.env.BOX_CLIENT_SECRET || ''; }
+function redirectUri() {
+  const base = process.env.NEXT_PUBLIC_APP_URL || 'http://localhost:3000';
+  return `${base.replace(/\/$/, '')}/api/integrations/box/oauth/callback`;
+}
+
+async function postToken(params, what) {
+  const body = new URLSearchParams({ client_id: clientId(), client_secret: clientSecret(), ...params });
+  const r = await fetch(TOKEN_URL, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: body.toString(),
+  });
+  if (!r.ok) {
+    const txt = await r.text().catch(() => '');
+    throw new Error(`${what} failed (${r.status}): ${txt.slice(0, 200)}`);
+  }
+  return r.json();
+}
+
+function toItem(f) {
+  return {
+    externalId: String(f.id),
+    op: 'upsert',
+    filename: f.name || 'document',
+    mimeType: null,
+    byteSize: typeof f.size === 'number' ? f.size : null,
+    version: f.sha1 || null,
+  };
+}
+
+registerProvider({
+  id: 'box',
+  label: 'Box',
+  scopes: SCOPES,
+
+  buildAuthUrl({ state }) {
+    const params = new URLSearchParams({
+      client_id: clientId(),
+      redirect_uri: redirectUri(),
+      response_type: 'code',
+      state,
+    });
+    return `${AUTH_URL}?${params.toString()}`;
+  },
+
+  async exchangeCode({ code }) {
+    const data = await postToken({ grant_type: 'authorization_code', code, redirect_uri: redirectUri() }, 'Token exchange');
+
+    let account = {};
+    try {
+      const me = await fetch(`${BOX_API}/users/me?fields=id,name,login`, {
+        headers: { Authorization: `Bearer ${data.access_token}` },
+      });
+      if (me.ok) {
+        const m = await me.json();
+        account = { email: m.login, displayName: m.name, userId: m.id };
+      }
+    } catch (e) { logger.warn('Box /users/me failed', { error: e.message }); }
+
+    return {
+      access_token: data.access_token,
+      refresh_token: data.refresh_token,
+      expires_in: data.expires_in,
+      scope: SCOPES.join(' '),
+      account,
+    };
+  },
+
+  async refreshToken({ refreshToken }) {
+    return postToken({ grant_type: 'refresh_token', refresh_token: refreshToken }, 'Refresh');
+  },
+
+  /**
+   * sourceRef: { folder_id }
+   *
+   * First sync (no deltaCursor): list the folder's files, then capture
+   * `stream_position=now` so later syncs only read new events.
+   */
+  async listChanges({ accessToken, sourceRef, deltaCursor }) {
+    const folderId = sourceRef?.folder_id ? String(sourceRef.folder_id) : null;
+    if (!folderId) throw new Error('box.listChanges requires folder_id');
+    const headers = { Authorization: `Bearer ${accessToken}` };
+    const items = [];
+
+    if (!deltaCursor) {
+      // A partial listing would make a full resync archive the rest.
+      const files = await fetchFolderEntries(folderId, headers);
+      for (const f of files) if (f.type === 'file') items.push(toItem(f));
+      const r = await fetch(`${BOX_API}/events?stream_position=now`, { headers });
+      if (!r.ok) throw new Error(`Box events bootstrap failed: ${r.status}`);
+      const j = await r.json();
+      return { items, nextCursor: j.next_stream_position != null ? String(j.next_stream_position) : null };
+    }
+
+    let position = deltaCursor;
+    for (let i = 0; i < 50; i++) {
+      const r = await fetch(
+        `${BOX_API}/events?stream_type=changes&limit=500&stream_position=${encodeURIComponent(position)}`,
+        { headers },
+      );
+      if (!r.ok) {
+        const txt = await r.text().catch(() => '');
+        throw new Error(`Box events failed (${r.status}): ${txt.slice(0, 200)}`);
+      }
+      const page = await r.json();
+      for (const ev of page.entries || []) {
+        const src = ev.source;
+        if (!src?.id || src.type !== 'file') continue;
+        const inFolder = String(src.parent?.id ?? '') === folderId;
+        const gone = REMOVED_EVENTS.has(ev.event_type) || (src.item_status && src.item_status !== 'active');
+        if (gone || !inFolder) {
+          // Moved out or trashed. Files that were never in the folder
+          // match no deal_documents row, so the archive is a no-op.
+          items.push({ externalId: String(src.id), op: 'delete' });
+          continue;
+        }
+        items.push(toItem(src));
+      }
+      if (page.next_stream_position != null) position = String(page.next_stream_position);
+      if (!page.chunk_size) break;
+    }
+    return { items, nextCursor: position };
+  },
+
+  async downloadFile({ accessToken, externalId }) {
+    // Box answers with a 302 to a short-lived download URL; fetch follows it.
+    const r = await fetch(
+      `${BOX_API}/files/${encodeURIComponent(externalId)}/content`,
+      { headers: { Authorization: `Bearer ${accessToken}` } },
+    );
+    if (!r.ok) throw new Error(`Box content fetch failed: ${r.status}`);
+    const ab = await r.arrayBuffer();
+    return Buffer.from(ab);
+  },
+
+  /**
+   * Folder picker — query.kind='folders', optional parent_id (defaults
+   * to the root folder, id "0").
+   */
+  async pickFolder({ accessToken, query }) {
+    const parentId = query?.parent_id || ROOT_FOLDER_ID;
+    const entries = await fetchFolderEntries(parentId, { Authorization: `Bearer ${accessToken}` });
+    return entries
+      .filter((e) => e.type === 'folder')
+      .map((e) => ({ id: String(e.id), name: e.name, kind: 'folder' }));
+  },
+});
+
+async function fetchFolderEntries(folderId, headers) {
+  const out = [];
+  const base = `${BOX_API}/folders/${encodeURIComponent(folderId)}/items?fields=id,type,name,size,sha1&limit=1000&usemarker=true`;
+  let url = base;
+  for (let i = 0; i < 50 && url; i++) {
+    const r = await fetch(url, { headers });
+    if (!r.ok) throw new Error(`Box folder list failed: ${r.status}`);
+    const page = await r.json();
+    if (Array.isArray(page.entries)) out.push(...page.entries);
+    url = page.next_marker ? `${base}&marker=${encodeURIComponent(page.next_marker)}` : null;
+  }
+  return out;
+}
@@ -0,0 +1,210 @@
+/**
+ * Dropbox connector.
+ *
+ * OAuth: authorization-code with `token_access_type=offline` so Dropbox
+ * issues a long-lived refresh token next to the 4-hour access token.
+ *
+ * Sync model: `files/list_folder` on the bound folder, with the final
+ * `cursor` persisted as our delta_cursor; later syncs call
+ * `list_folder/continue`. Unlike Drive and Box this feed is already
+ * scoped to the folder.
+ *
+ * Dropbox reports deletions by path only (DeletedMetadata has no id),
+ * while we key deal_documents on the stable file id. Deleted paths are
+ * resolved back to an id via `files/list_revisions`. A rename arrives as
+ * a delete of the old path plus a file entry with the same id; the
+ * delete is dropped so the existing row is updated rather than archived.
+ *
+ * Scopes (set on the Dropbox app's Permissions tab as well):
+ *   - files.metadata.read    — list folders and changes
+ *   - files.content.read     — download file bytes
+ *   - account_info.read      — display label
+ *
+ * Env:
+ *   DROPBOX_CLIENT_ID / DROPBOX_CLIENT_SECRET — app key / secret
+ *   NEXT_PUBLIC_APP_URL                      — used to build redirect_uri
+ */
+
+// Import from the registry module directly — importing from ../index.js
+// would create a circular dependency that throws at module load.
+import { registerProvider, CursorExpiredError } from '../registry.js';
+import { logger } from '../../logger.js';
+
+const AUTH_URL    = 'https://www.dropbox.com/oauth2/authorize';
+const TOKEN_URL   = 'https://api.dropboxapi.com/oauth2/token';
+const API_BASE    = 'https://api.dropboxapi.com/2';
+const CONTENT_API = 'https://content.dropboxapi.com/2';
+
+const SCOPES = ['files.metadata.read', 'files.content.read', 'account_info.read'];
+// Each unresolved delete costs one list_revisions call; bound the fan-out.
+const MAX_DELETE_LOOKUPS = 100;
+
+function clientId() { return process.env.DROPBOX_CLIENT_ID || ''; }
+function clientSecret() { return process.env.DROPBOX_CLIENT_SECRET || ''; }
+function redirectUri() {
+  const base = process.env.NEXT_PUBLIC_APP_URL || 'http://localhost:3000';
+  return `${base.replace(/\/$/, '')}/api/integrations/dropbox/oauth/callback`;
+}
+
+async function postToken(params, what) {
+  const body = new URLSearchParams({ client_id: clientId(), client_secret: clientSecret(), ...params });
+  const r = await fetch(TOKEN_URL, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: body.toString(),
+  });
+  if (!r.ok) {
+    const txt = await r.text().catch(() => '');
+    throw new Error(`${what} failed (${r.status}): ${txt.slice(0, 200)}`);
+  }
+  return r.json();
+}
+
+async function rpc(accessToken, path, args) {
+  return fetch(`${API_BASE}${path}`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${accessToken}`, 'Content-Type': 'application/json' },
+    body: JSON.stringify(args ?? null),
+  });
+}
+
+registerProvider({
+  id: 'dropbox',
+  label: 'Dropbox',
+  scopes: SCOPES,
+
+  buildAuthUrl({ state }) {
+    const params = new URLSearchParams({
+      client_id: clientId(),
+      redirect_uri: redirectUri(),
+      response_type: 'code',
+      token_access_type: 'offline',
+      scope: SCOPES.join(' '),
+      state,
+    });
+    return `${AUTH_URL}?${params.toString()}`;
+  },
+
+  async exchangeCode({ code }) {
+    const data = await postToken({ grant_type: 'authorization_code', code, redirect_uri: redirectUri() }, 'Token exchange');
+
+    let account = {};
+    try {
+      const me = await rpc(data.access_token, '/users/get_current_account');
+      if (me.ok) {
+        const m = await me.json();
+        account = { email: m.email, displayName: m.name?.display_name, userId: m.account_id };
+      }
+    } catch (e) { logger.warn('Dropbox get_current_account failed', { error: e.message }); }
+
+    return {
+      access_token: data.access_token,
+      refresh_token: data.refresh_token,
+      expires_in: data.expires_in,
+      scope: data.scope,
+      account,
+    };
+  },
+
+  async refreshToken({ refreshToken }) {
+    return postToken({ grant_type: 'refresh_token', refresh_token: refreshToken }, 'Refresh');
+  },
+
+  /**
+   * sourceRef: { folder_id } — a Dropbox folder id ("id:…") or path.
+   *
+   * First sync lists the folder and pages to the end, so the returned
+   * cursor already sits after the current contents.
+   */
+  async listChanges({ accessToken, sourceRef, deltaCursor }) {
+    const folderId = sourceRef?.folder_id;
+    if (!folderId) throw new Error('dropbox.listChanges requires folder_id');
+
+    const upserts = new Map();
+    const deletedPaths = [];
+    let cursor = deltaCursor || null;
+    let resp = cursor
+      ? await rpc(accessToken, '/files/list_folder/continue', { cursor })
+      : await rpc(accessToken, '/files/list_folder', { path: folderId, recursive: false, include_deleted: false, limit: 2000 });
+    for (let i = 0; i < 50; i++) {
+      if (!resp.ok) {
+        const txt = await resp.text().catch(() => '');
+        // 409 `reset`: Dropbox invalidated the cursor; list from scratch.
+        if (resp.status === 409 && cursor && /reset/.test(txt)) {
+          throw new CursorExpiredError('Dropbox cursor reset (409)', { provider: 'dropbox' });
+        }
+        throw new Error(`Dropbox list_folder failed (${resp.status}): ${txt.slice(0, 200)}`);
+      }
+      const page = await resp.json();
+      for (const e of page.entries || []) {
+        if (e['.tag'] === 'deleted') {
+          deletedPaths.push(e.path_lower);
+        } else if (e['.tag'] === 'file' && e.id) {
+          upserts.set(e.id, {
+            externalId: e.id,
+            op: 'upsert',
+            filename: e.name || 'document',
+            mimeType: null,
+            byteSize: typeof e.size === 'number' ? e.size : null,
+            path: e.path_display || e.path_lower || null,
+            version: e.content_hash || e.rev || null,
+          });
+        }
+      }
+      cursor = page.cursor || cursor;
+      if (!page.has_more) break;
+      resp = await rpc(accessToken, '/files/list_folder/continue', { cursor });
+    }
+
+    const items = [...upserts.values()];
+    for (const path of deletedPaths.slice(0, MAX_DELETE_LOOKUPS)) {
+      const id = await resolveDeletedId(accessToken, path);
+      if (id && !upserts.has(id)) items.push({ externalId: id, op: 'delete' });
+    }
+    if (deletedPaths.length > MAX_DELETE_LOOKUPS) {
+      logger.warn('Dropbox sync: delete lookups capped', { deleted: deletedPaths.length });
+    }
+    return { items, nextCursor: cursor };
+  },
+
+  async downloadFile({ accessToken, externalId }) {
+    const r = await fetch(`${CONTENT_API}/files/download`, {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${accessToken}`,
+        'Dropbox-API-Arg': JSON.stringify({ path: externalId }),
+      },
+    });
+    if (!r.ok) throw new Error(`Dropbox content fetch failed: ${r.status}`);
+    const ab = await r.arrayBuffer();
+    return Buffer.from(ab);
+  },
+
+  /**
+   * Folder picker — query.kind='folders', optional path (defaults to the
+   * account root, ""). Child folders come back with their id, which
+   * list_folder also accepts as a path.
+   */
+  async pickFolder({ accessToken, query }) {
+    const path = query?.path || '';
+    const r = await rpc(accessToken, '/files/list_folder', { path, recursive: false, limit: 2000 });
+    if (!r.ok) throw new Error(`Dropbox folder list failed: ${r.status}`);
+    const j = await r.json();
+    return (j.entries || [])
+      .filter((e) => e['.tag'] === 'folder')
+      .map((e) => ({ id: e.id, name: e.name, kind: 'folder' }));
+  },
+});
+
+/** Map a deleted file path back to its id via its last revision. Null for folders. */
+async function resolveDeletedId(accessToken, path) {
+  try {
+    const r = await rpc(accessToken, '/files/list_revisions', { path, mode: 'path', limit: 1 });
+    if (!r.ok) return null; // folders and never-synced paths 409 here
+    const j = await r.json();
+    return j.entries?.[0]?.id || null;
+  } catch (e) {
+    logger.warn('Dropbox list_revisions failed', { error: e.message });
+    return null;
+  }
+}
@@ -0,0 +1,190 @@
+/**
+ * Fake connector — an in-memory data room that implements the full
+ * provider contract without a network.
+ *
+ * Two uses:
+ *   - tests build their own with createFakeProvider() and drive it
+ *     through putFile / renameFile / moveFile / removeFile to exercise
+ *     bootstrap vs delta listing, renames and deletes;
+ *   - local dev sets CONNECTOR_FAKE_PROVIDER=1 to register a seeded
+ *     instance as `fake`, so the org-admin connect flow, the folder
+ *     picker and deal binding sync can be clicked through without
+ *     OAuth apps. The "authorize" URL points straight back at our own
+ *     callback with a fixed code.
+ *
+ * Sync model: every mutation appends to a change log; the delta cursor
+ * is the log position, like Box's stream position. Each file carries a
+ * content version bumped by putFile only, so renames and moves list with
+ * an unchanged version. store.compactLog() drops the log, expiring every
+ * cursor handed out so far.
+ *
+ * Tokens are checked: listChanges / downloadFile / pickFolder throw on
+ * anything but the latest issued access token, so token refresh paths
+ * can be tested too. The dev instance turns that off — its state doesn't
+ * survive a server restart but the stored tokens do.
+ */
+
+// Import from the registry module directly — importing from ../index.js
+// would create a circular dependency that throws at module load.
+import { registerProvider, CursorExpiredError } from '../registry.js';
+
+const ROOT_FOLDER_ID = 'root';
+
+/**
+ * @param {object} [opts]
+ * @param {string} [opts.id='fake']
+ * @param {string} [opts.label]
+ * @param {{ id: string, name: string, parentId?: string }[]} [opts.folders]
+ * @param {{ id?: string, folderId: string, name: string, content: string|Buffer }[]} [opts.files]
+ * @param {number} [opts.expiresIn=3600]  seconds until an issued access token expires
+ * @param {boolean} [opts.strictTokens=true] reject calls with a stale access token
+ */
+export function createFakeProvider(opts = {}) {
+  const id = opts.id || 'fake';
+  const folders = new Map([[ROOT_FOLDER_ID, { id: ROOT_FOLDER_ID, name: 'Root', parentId: null }]]);
+  for (const f of opts.folders || []) folders.set(f.id, { id: f.id, name: f.name, parentId: f.parentId || ROOT_FOLDER_ID });
+  const files = new Map();
+  const log = [];
+  let logBase = 0; // absolute position of log[0]
+  let seq = 0;
+  let tokenSeq = 0;
+  let accessToken = null;
+  let refreshToken = null;
+
+  const issue = () => {
+    tokenSeq += 1;
+    accessToken = `fake-access-${tokenSeq}`;
+    refreshToken = `fake-refresh-${tokenSeq}`;
+    return { access_token: accessToken, refresh_token: refreshToken, expires_in: opts.expiresIn ?? 3600 };
+  };
+  const checkToken = (token) => {
+    if (opts.strictTokens === false) return;
+    if (!accessToken || token !== accessToken) throw new Error('Fake provider: invalid access token (401)');
+  };
+  const record = (fileId, folderId, removed) => { log.push({ fileId, folderId, removed }); };
+
+  const store = {
+    putFile({ id: fileId, folderId, name, content }) {
+      if (!folders.has(folderId)) throw new Error(`Fake provider: unknown folder ${folderId}`);
+      const fid = fileId || `file-${++seq}`;
+      const version = (files.get(fid)?.version || 0) + 1;
+      files.set(fid, { id: fid, folderId, name, content: Buffer.from(content ?? ''), version });
+      record(fid, folderId, false);
+      return fid;
+    },
+    renameFile(fileId, name) {
+      const f = files.get(fileId);
+      if (!f) throw new Error(`Fake provider: unknown file ${fileId}`);
+      f.name = name;
+      record(fileId, f.folderId, false);
+    },
+    moveFile(fileId, folderId) {
+      const f = files.get(fileId);
+      if (!f || !folders.has(folderId)) throw new Error('Fake provider: unknown file or folder');
+      record(fileId, f.folderId, true);
+      f.folderId = folderId;
+      record(fileId, folderId, false);
+    },
+    removeFile(fileId) {
+      const f = files.get(fileId);
+      if (!f) return;
+      files.delete(fileId);
+      record(fileId, f.folderId, true);
+    },
+    /** Forget change history, as providers do with old cursors. */
+    compactLog() { logBase += log.length; log.length = 0; },
+    /** Invalidate the current access token, as if it expired upstream. */
+    expireToken() { accessToken = null; },
+  };
+  for (const f of opts.files || []) store.putFile(f);
+
+  const toItem = (f) => ({
+    externalId: f.id, op: 'upsert', filename: f.name, mimeType: null, byteSize: f.content.length,
+    version: String(f.version),
+  });
+
+  const def = {
+    id,
+    label: opts.label || 'Local fake',
+    scopes: ['read'],
+    store,
+
+    buildAuthUrl({ state }) {
+      const base = (process.env.NEXT_PUBLIC_APP_URL || 'http://localhost:3000').replace(/\/$/, '');
+      const params = new URLSearchParams({ code: 'fake-code', state });
+      return `${base}/api/integrations/${id}/oauth/callback?${params.toString()}`;
+    },
+
+    async exchangeCode({ code }) {
+      if (!code) throw new Error('Fake provider: code required');
+      return {
+        ...issue(),
+        scope: 'read',
+        account: { email: 'dataroom@fake.local', displayName: 'Fake data room', userId: 'fake-user' },
+      };
+    },
+
+    async refreshToken({ refreshToken: rt }) {
+      if (opts.strictTokens !== false && rt !== refreshToken) throw new Error('Refresh failed (400): invalid_grant');
+      return issue();
+    },
+
+    /** sourceRef: { folder_id } */
+    async listChanges({ accessToken: token, sourceRef, deltaCursor }) {
+      checkToken(token);
+      const folderId = sourceRef?.folder_id;
+      if (!folderId) throw new Error('fake.listChanges requires folder_id');
+      if (!deltaCursor) {
+        const items = [...files.values()].filter((f) => f.folderId === folderId).map(toItem);
+        return { items, nextCursor: String(logBase + log.length) };
+      }
+      const from = Number(deltaCursor);
+      if (!Number.isInteger(from) || from < logBase || from > logBase + log.length) {
+        throw new CursorExpiredError('Fake provider: invalid cursor (410)', { provider: id });
+      }
+      // Collapse to the latest state per file, in last-touched order.
+      const latest = new Map();
+      for (const entry of log.slice(from - logBase)) {
+        if (entry.folderId !== folderId) continue;
+        latest.delete(entry.fileId);
+        latest.set(entry.fileId, entry);
+      }
+      const items = [];
+      for (const entry of latest.values()) {
+        const f = files.get(entry.fileId);
+        if (entry.removed || !f || f.folderId !== folderId) items.push({ externalId: entry.fileId, op: 'delete' });
+        else items.push(toItem(f));
+      }
+      return { items, nextCursor: String(logBase + log.length) };
+    },
+
+    async downloadFile({ accessToken: token, externalId }) {
+      checkToken(token);
+      const f = files.get(externalId);
+      if (!f) throw new Error('Fake provider: file not found (404)');
+      return Buffer.from(f.content);
+    },
+
+    /** Folder picker — query.kind='folders', optional parent_id (defaults to root). */
+    async pickFolder({ accessToken: token, query }) {
+      checkToken(token);
+      const parentId = query?.parent_id || ROOT_FOLDER_ID;
+      return [...folders.values()]
+        .filter((f) => f.parentId === parentId)
+        .map((f) => ({ id: f.id, name: f.name, kind: 'folder' }));
+    },
+  };
+  return def;
+}
+
+if (process.env.CONNECTOR_FAKE_PROVIDER === '1') {
+  registerProvider(createFakeProvider({
+    strictTokens: false,
+    folders: [{ id: 'project-falcon', name: 'Project Falcon' }, { id: 'falcon-legal', name: 'Legal', parentId: 'project-falcon' }],
+    files: [
+      { folderId: 'project-falcon', name: 'Information memorandum.txt', content: 'Project Falcon — information memorandum.\nRevenue 2025: 12.4m.' },
+      { folderId: 'project-falcon', name: 'Management accounts Q1.csv', content: 'month,revenue\nJan,1.0\nFeb,1.1\nMar,1.2\n' },
+      { folderId: 'falcon-legal', name: 'Customer MSA.txt', content: 'Master services agreement. Either party may terminate on change of control.' },
+    ],
+  }));
+}
@@ -19,7 +19,7 @@
 
 // Import from the registry module directly — importing from ../index.js
 // would create a circular dependency that throws at module load.
-import { registerProvider } from '../registry.js';
+import { registerProvider, CursorExpiredError } from '../registry.js';
 import { logger } from '../../logger.js';
 
 const AUTH_URL  = 'https://accounts.google.com/o/oauth2/v2/auth';
@@ -30,6 +30,10 @@ const SCOPES = [
   'https://www.googleapis.com/auth/drive.readonly',
   'https://www.googleapis.com/auth/userinfo.email',
 ];
+const FOLDER_MIME = 'application/vnd.google-apps.folder';
+const FILE_FIELDS = 'id,name,mimeType,size,parents,modifiedTime,md5Checksum';
+// changes.list pages read per sync (200 changes each); the rest waits for the next run.
+const MAX_CHANGE_PAGES = 50;
 
 function clientId() { return process.env.GOOGLE_DRIVE_CLIENT_ID || ''; }
 function clientSecret() { return process.env.GOOGLE_DRIVE_CLIENT_SECRET || ''; }
@@ -38,6 +42,21 @@ function redirectUri() {
   return `${base.replace(/\/$/, '')}/api/integrations/google_drive/oauth/callback`;
 }
 
+/**
+ * Native Docs / Sheets have no md5Checksum; their modifiedTime is the
+ * closest thing to a content version.
+ */
+function toItem(f) {
+  return {
+    externalId: f.id,
+    op: 'upsert',
+    filename: f.name,
+    mimeType: f.mimeType,
+    byteSize: f.size ? Number(f.size) : null,
+    version: f.md5Checksum || f.modifiedTime || null,
+  };
+}
+
 registerProvider({
   id: 'google_drive',
   label: 'Google Drive',
@@ -120,49 +139,52 @@ registerProvider({
    *
    * On first sync (no deltaCursor): bootstrap by getting startPageToken
    * AND listing the folder's existing files (so the deal pulls the
-   * current state, not just future changes).
+   * current state, not just future changes). The token is taken before
+   * the listing so a file changed mid-listing shows up again in the next
+   * delta rather than being missed.
+   *
+   * The changes feed covers the whole drive; a file whose parents no
+   * longer include the bound folder was moved out and becomes a delete
+   * (files that were never in the folder match no row, so that's a no-op).
    */
   async listChanges({ accessToken, sourceRef, deltaCursor }) {
     const folderId = sourceRef?.folder_id;
     if (!folderId) throw new Error('google_drive.listChanges requires folder_id');
     const headers = { Authorization: `Bearer ${accessToken}` };
     const items = [];
-    let nextCursor = deltaCursor;
 
     if (!deltaCursor) {
-      // Bootstrap: list current contents of the folder, then capture
-      // startPageToken so subsequent syncs pick up changes.
-      const list = await fetchAllPages(
-        `${DRIVE_API}/files?q=${encodeURIComponent(`'${folderId}' in parents and trashed=false`)}&fields=nextPageToken,files(id,name,mimeType,size,parents,modifiedTime)&pageSize=200`,
-        headers,
-      );
-      for (const f of list) {
-        items.push({
-          externalId: f.id,
-          op: 'upsert',
-          filename: f.name,
-          mimeType: f.mimeType,
-          byteSize: f.size ? Number(f.size) : null,
-        });
-      }
+      let nextCursor = null;
       const t = await fetch(`${DRIVE_API}/changes/startPageToken`, { headers });
       if (t.ok) {
         const tok = await t.json();
         nextCursor = tok.startPageToken;
       }
+      const list = await fetchAllPages(
+        `${DRIVE_API}/files?q=${encodeURIComponent(`'${folderId}' in parents and trashed=false`)}&fields=nextPageToken,files(${FILE_FIELDS})&pageSize=200`,
+        headers,
+      );
+      for (const f of list) if (f.mimeType !== FOLDER_MIME) items.push(toItem(f));
       return { items, nextCursor };
     }
 
-    // Delta path: walk changes.list pages until pageToken returns no nextPageToken.
+    // Delta path: walk changes.list pages until pageToken returns no
+    // nextPageToken. If the page cap stops the walk first, the page we
+    // would have read next is where the following sync resumes.
     let pageToken = deltaCursor;
     let lastPageToken = deltaCursor;
-    for (let i = 0; i < 50 && pageToken; i++) {
+    for (let i = 0; i < MAX_CHANGE_PAGES && pageToken; i++) {
       const r = await fetch(
-        `${DRIVE_API}/changes?pageToken=${encodeURIComponent(pageToken)}&fields=newStartPageToken,nextPageToken,changes(fileId,removed,file(id,name,mimeType,size,parents,trashed))&pageSize=200`,
+        `${DRIVE_API}/changes?pageToken=${encodeURIComponent(pageToken)}&fields=newStartPageToken,nextPageToken,changes(fileId,removed,file(${FILE_FIELDS},trashed))&pageSize=200`,
         { headers },
       );
       if (!r.ok) {
         const txt = await r.text().catch(() => '');
+        // Drive answers an expired / unknown page token with 404 (older
+        // tokens) or 410.
+        if (r.status === 404 || r.status === 410) {
+          throw new CursorExpiredError(`Drive page token rejected (${r.status})`, { provider: 'google_drive' });
+        }
         throw new Error(`Drive changes failed (${r.status}): ${txt.slice(0, 200)}`);
       }
       const page = await r.json();
@@ -173,16 +195,13 @@ registerProvider({
         }
         const f = ch.file;
         if (!f?.id) continue;
-        // Filter to changes whose file is under our bound folder.
+        if (f.mimeType === FOLDER_MIME) continue;
         const parents = Array.isArray(f.parents) ? f.parents : [];
-        if (!parents.includes(folderId)) continue;
-        items.push({
-          externalId: f.id,
-          op: 'upsert',
-          filename: f.name,
-          mimeType: f.mimeType,
-          byteSize: f.size ? Number(f.size) : null,
-        });
+        if (!parents.includes(folderId)) {
+          items.push({ externalId: f.id, op: 'delete' });
+          continue;
+        }
+        items.push(toItem(f));
       }
       if (page.nextPageToken) {
         pageToken = page.nextPageToken;
@@ -191,6 +210,7 @@ registerProvider({
         pageToken = null;
       }
     }
+    if (pageToken) lastPageToken = pageToken;
     return { items, nextCursor: lastPageToken };
   },
 
@@ -224,7 +244,9 @@ async function fetchAllPages(initialUrl, headers) {
   let url = initialUrl;
   for (let i = 0; i < 50 && url; i++) {
     const r = await fetch(url, { headers });
-    if (!r.ok) break;
+    // Throw rather than return a partial listing: a full resync archives
+    // whatever the listing leaves out.
+    if (!r.ok) throw new Error(`Drive folder list failed: ${r.status}`);
     const page = await r.json();
     if (Array.isArray(page.files)) out.push(...page.files);
     url = page.nextPageToken
@@ -25,7 +25,7 @@
 
 // Import from the registry module directly — importing from ../index.js
 // would create a circular dependency that throws at module load.
-import { registerProvider } from '../registry.js';
+import { registerProvider, CursorExpiredError } from '../registry.js';
 import { logger } from '../../logger.js';
 
 // `/common` lets the user sign in with any Microsoft account, including
@@ -165,6 +165,9 @@ registerProvider({
       const r = await fetch(nextLink, { headers: { Authorization: `Bearer ${accessToken}` } });
       if (!r.ok) {
         const txt = await r.text().catch(() => '');
+        // 410 resyncRequired: the delta link is too old or the drive was
+        // restored. Graph wants a fresh enumeration.
+        if (r.status === 410) throw new CursorExpiredError('Graph delta link expired (410)', { provider: 'sharepoint' });
         throw new Error(`Graph delta failed (${r.status}): ${txt.slice(0, 200)}`);
       }
       const page = await r.json();
@@ -182,6 +185,7 @@ registerProvider({
           mimeType: di.file.mimeType || null,
           byteSize: typeof di.size === 'number' ? di.size : null,
           path: di.parentReference?.path ? `${di.parentReference.path}/${di.name}` : di.name,
+          version: di.file.hashes?.quickXorHash || di.file.hashes?.sha256Hash || di.cTag || null,
         });
       }
       if (page['@odata.nextLink']) {
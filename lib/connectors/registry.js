@@ -16,6 +16,24 @@
 
 const _registry = new Map();
 
+/**
+ * Provider contract (see providers/googleDrive.js for a full example):
+ *
+ *   id, label, scopes
+ *   buildAuthUrl({ state }) → authorize URL               (OAuth start)
+ *   exchangeCode({ code }) → { access_token, refresh_token?, expires_in?, scope?, account }
+ *   refreshToken({ refreshToken }) → { access_token, expires_in?, refresh_token? }
+ *   listChanges({ accessToken, sourceRef, deltaCursor, metadata })
+ *     → { items: { externalId, op: 'upsert'|'delete', filename?, mimeType?, byteSize? }[], nextCursor }
+ *     null deltaCursor = first sync: list the folder, return a cursor for next time.
+ *   downloadFile({ accessToken, externalId, sourceRef }) → Buffer
+ *     Items may also carry `version` (provider content hash / revision —
+ *     lets the sync skip the download when only the name or location
+ *     changed) and `path` (location inside the source, for move detection).
+ *     Throw CursorExpiredError when the provider rejects deltaCursor; the
+ *     sync worker then falls back to a full listing and reconciles.
+ *   pickFolder({ accessToken, query }) → { id, name, kind }[]  (optional; folder picker)
+ */
 export function registerProvider(def) {
   if (!def?.id) throw new Error('Provider must have an id');
   _registry.set(def.id, def);
@@ -30,3 +48,16 @@ export function listProviders() {
     id: p.id, label: p.label, scopes: p.scopes,
   }));
 }
+
+/**
+ * Thrown by listChanges() when the stored delta cursor is no longer
+ * accepted (Graph 410 resyncRequired, Dropbox `reset`, Drive 404 on an
+ * old page token). Not a sync failure — the worker re-lists the folder.
+ */
+export class CursorExpiredError extends Error {
+  constructor(message, { provider } = {}) {
+    super(message);
+    this.name = 'CursorExpiredError';
+    this.provider = provider;
+  }
+}
@@ -0,0 +1,140 @@
+/**
+ * Connector sync planning — pure, so it can be tested without a provider
+ * or Supabase.
+ *
+ * The sync worker lists changes from a provider (a delta page, or the
+ * whole folder on a full resync), loads the binding's existing
+ * deal_documents rows once, and asks planSync() what to do with each
+ * item. Only ops with `download: true` fetch bytes; renames and moves of
+ * a file whose content version is unchanged just patch the row.
+ *
+ * Op kinds:
+ *   add        new file                                   (download)
+ *   update     content changed, or the last ingest failed (download)
+ *   restore    file came back after being tombstoned      (download)
+ *   verify     provider gave no version — download and compare hashes
+ *   rename     same content, new filename
+ *   move       same content, new location in the source
+ *   unchanged  nothing to do
+ *   archive    deleted / moved out at the source, or missing from a
+ *              full listing → tombstone the row
+ */
+
+/**
+ * Collapse a change list to one item per externalId, keeping the latest
+ * (providers emit changes oldest first; a file touched twice in one
+ * window only needs its final state).
+ */
+export function dedupeItems(items) {
+  const latest = new Map();
+  for (const item of items || []) {
+    if (!item?.externalId) continue;
+    latest.delete(item.externalId);
+    latest.set(item.externalId, item);
+  }
+  return [...latest.values()];
+}
+
+function parentOf(path) {
+  if (!path) return null;
+  const i = path.lastIndexOf('/');
+  return i < 0 ? '' : path.slice(0, i);
+}
+
+/**
+ * @param {object[]} items         provider change items
+ * @param {object[]} existingRows  deal_documents rows for the binding:
+ *   { id, source_external_id, filename, source_path, source_version, status }
+ * @param {object} [opts]
+ * @param {boolean} [opts.full=false]  items are a complete listing — rows
+ *   not in it are archived
+ * @returns {{ kind: string, item: object|null, existing: object|null, download: boolean }[]}
+ */
+export function planSync(items, existingRows, { full = false } = {}) {
+  const byExternal = new Map();
+  for (const row of existingRows || []) {
+    if (row?.source_external_id) byExternal.set(row.source_external_id, row);
+  }
+  const ops = [];
+  const seen = new Set();
+
+  for (const item of dedupeItems(items)) {
+    seen.add(item.externalId);
+    const existing = byExternal.get(item.externalId) || null;
+
+    if (item.op === 'delete') {
+      if (existing && existing.status !== 'archived') {
+        ops.push({ kind: 'archive', item, existing, download: false });
+      }
+      continue;
+    }
+
+    if (!existing) { ops.push({ kind: 'add', item, existing, download: true }); continue; }
+    if (existing.status === 'archived') { ops.push({ kind: 'restore', item, existing, download: true }); continue; }
+    if (existing.status === 'failed') { ops.push({ kind: 'update', item, existing, download: true }); continue; }
+    if (!item.version || !existing.source_version) {
+      ops.push({ kind: 'verify', item, existing, download: true });
+      continue;
+    }
+    if (item.version !== existing.source_version) {
+      ops.push({ kind: 'update', item, existing, download: true });
+      continue;
+    }
+    const renamed = !!item.filename && item.filename !== existing.filename;
+    const moved = item.path != null && existing.source_path != null
+      && parentOf(item.path) !== parentOf(existing.source_path);
+    const kind = moved ? 'move' : renamed ? 'rename' : 'unchanged';
+    ops.push({ kind, item, existing, download: false });
+  }
+
+  if (full) {
+    for (const row of byExternal.values()) {
+      if (seen.has(row.source_external_id) || row.status === 'archived') continue;
+      ops.push({ kind: 'archive', item: null, existing: row, download: false });
+    }
+  }
+  return ops;
+}
+
+/**
+ * Split a plan into what this run applies and what it defers. Downloads
+ * are capped (they dominate run time); metadata-only ops always run.
+ * Deferred ops are returned as their provider items so the next run
+ * re-plans them against fresh rows.
+ */
+export function splitForRun(ops, { maxDownloads = 100 } = {}) {
+  const now = [];
+  const deferred = [];
+  let downloads = 0;
+  for (const op of ops) {
+    if (op.download && downloads >= maxDownloads) { deferred.push(op.item); continue; }
+    if (op.download) downloads += 1;
+    now.push(op);
+  }
+  return { now, deferred };
+}
+
+/**
+ * The provider item to put back on the backlog when an op fails, so the
+ * next run retries it even though the cursor has moved past the change.
+ * Tombstones from a full listing carry no item; they requeue as a delete.
+ */
+export function requeueItem(op) {
+  if (op?.item) return op.item;
+  const externalId = op?.existing?.source_external_id;
+  return externalId && op.kind === 'archive' ? { externalId, op: 'delete' } : null;
+}
+
+/** Zeroed stats counters, keyed by the past-tense of each op kind. */
+export function emptySyncStats(mode) {
+  return {
+    mode, listed: 0,
+    added: 0, updated: 0, restored: 0, renamed: 0, moved: 0, unchanged: 0, archived: 0,
+    errored: 0, backlog: 0,
+  };
+}
+
+export const STAT_FOR_KIND = {
+  add: 'added', update: 'updated', restore: 'restored', rename: 'renamed',
+  move: 'moved', unchanged: 'unchanged', archive: 'archived',
+};
@@ -110,6 +110,11 @@ export async function resolveActiveToken({ orgId, provider }) {
           p_integration_id: row.integration_id,
           p_access_token: refreshed.access_token,
           p_token_expires_at: newExpiresAt,
+          // Box (and Dropbox, optionally) rotate the refresh token on
+          // every refresh; the old one stops working once used.
+          p_refresh_token: refreshed.refresh_token && refreshed.refresh_token !== row.refresh_token
+            ? refreshed.refresh_token
+            : null,
         }),
       },
       8_000,
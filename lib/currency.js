@@ -0,0 +1,202 @@
+/**
+ * Currency + FX helpers for multi-currency roll-ups.
+ *
+ * Every process keeps its native currency (processes.currency, falling
+ * back to the legacy flow_data.costAnalysis.currency, then GBP). An
+ * operating model reports in one currency (operating_models.
+ * reporting_currency); model-level aggregators convert each process's
+ * figures through a converter built from the org's fx_rates table.
+ *
+ * FX rows read "1 base_currency = rate quote_currency" from
+ * effective_date onwards. A lookup takes the latest row on or before the
+ * as-of date, in either direction (EUR→GBP answers GBP→EUR too), and
+ * falls back to one intermediate currency when no direct pair exists
+ * (EUR→USD via GBP). Pairs with no path are recorded on the converter so
+ * callers can tell the user which rates to add instead of silently
+ * summing mixed currencies.
+ *
+ * Pure module — no React, no Supabase.
+ */
+
+export const DEFAULT_CURRENCY = 'GBP';
+
+/**
+ * Supported currencies with display symbol and the blended hourly rate
+ * used when a process has no labour rates of its own. The defaults are
+ * the GBP £50/hr fallback at long-run rates, rounded — good enough for a
+ * first estimate, never a substitute for real rates.
+ */
+export const CURRENCIES = {
+  GBP: { symbol: '£',   defaultHourlyRate: 50 },
+  EUR: { symbol: '€',   defaultHourlyRate: 58 },
+  USD: { symbol: '$',   defaultHourlyRate: 63 },
+  CHF: { symbol: 'CHF ', defaultHourlyRate: 56 },
+  SEK: { symbol: 'SEK ', defaultHourlyRate: 650 },
+  NOK: { symbol: 'NOK ', defaultHourlyRate: 680 },
+  DKK: { symbol: 'DKK ', defaultHourlyRate: 430 },
+  PLN: { symbol: 'PLN ', defaultHourlyRate: 270 },
+  CAD: { symbol: 'C$',  defaultHourlyRate: 86 },
+  AUD: { symbol: 'A$',  defaultHourlyRate: 96 },
+};
+
+export const SUPPORTED_CURRENCIES = Object.keys(CURRENCIES);
+
+/** Upper-cased supported ISO code, or null. */
+export function normaliseCurrency(code) {
+  if (typeof code !== 'string') return null;
+  const c = code.trim().toUpperCase();
+  return CURRENCIES[c] ? c : null;
+}
+
+export function currencySymbol(code) {
+  return CURRENCIES[normaliseCurrency(code) || DEFAULT_CURRENCY].symbol;
+}
+
+export function defaultHourlyRate(code) {
+  return CURRENCIES[normaliseCurrency(code) || DEFAULT_CURRENCY].defaultHourlyRate;
+}
+
+/**
+ * Native currency of a process row (or bare flow_data). The column wins
+ * over the legacy costAnalysis field; unknown codes fall back to GBP.
+ */
+export function processCurrency(rowOrFlow) {
+  if (!rowOrFlow || typeof rowOrFlow !== 'object') return DEFAULT_CURRENCY;
+  const flow = rowOrFlow.flow_data || rowOrFlow.diagnostic_data || rowOrFlow;
+  return normaliseCurrency(rowOrFlow.currency)
+    || normaliseCurrency(flow?.costAnalysis?.currency)
+    || DEFAULT_CURRENCY;
+}
+
+/** Whole-unit money string, e.g. formatMoney(1234.5, 'EUR') → "€1,235". */
+export function formatMoney(amount, currency = DEFAULT_CURRENCY) {
+  if (amount == null || !Number.isFinite(Number(amount))) return '-';
+  return `${currencySymbol(currency)}${Math.round(Number(amount)).toLocaleString('en-GB')}`;
+}
+
+/** Compact money for dense UI (heatmap cells, bars): £1.2M, €45k, $120. */
+export function formatMoneyCompact(amount, currency = DEFAULT_CURRENCY) {
+  if (amount == null) return '—';
+  const n = Number(amount) || 0;
+  const sym = currencySymbol(currency);
+  if (Math.abs(n) >= 1_000_000) return `${sym}${(n / 1_000_000).toFixed(1)}M`;
+  if (Math.abs(n) >= 1_000)     return `${sym}${(n / 1_000).toFixed(0)}k`;
+  return `${sym}${Math.round(n)}`;
+}
+
+/**
+ * Validate an FX row for writing. Returns the cleaned row or throws with
+ * a user-facing message.
+ */
+export function normaliseFxRate(input) {
+  const base  = normaliseCurrency(input?.base_currency);
+  const quote = normaliseCurrency(input?.quote_currency);
+  if (!base || !quote) throw new Error(`base_currency and quote_currency must be one of ${SUPPORTED_CURRENCIES.join(', ')}.`);
+  if (base === quote) throw new Error('base_currency and quote_currency must differ.');
+  const rate = Number(input?.rate);
+  if (!Number.isFinite(rate) || rate <= 0) throw new Error('rate must be a positive number.');
+  const date = String(input?.effective_date || '');
+  if (!isIsoDate(date)) throw new Error('effective_date must be YYYY-MM-DD.');
+  return { base_currency: base, quote_currency: quote, rate, effective_date: date };
+}
+
+/** True for a real calendar date in YYYY-MM-DD form (routes' ?asOf=). */
+export function isIsoDate(s) {
+  return typeof s === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(s)
+    && new Date(`${s}T00:00:00Z`).toISOString().slice(0, 10) === s;
+}
+
+function today() { return new Date().toISOString().slice(0, 10); }
+
+/**
+ * Latest rate converting 1 `from` into `to` on or before `asOf`
+ * (YYYY-MM-DD, default today). Returns { rate, effectiveDate, via } or
+ * null. `effectiveDate` is the oldest leg used; `via` names the pivot
+ * currency for triangulated rates.
+ */
+export function rateFor(rates, from, to, asOf = today()) {
+  const a = normaliseCurrency(from);
+  const b = normaliseCurrency(to);
+  if (!a || !b) return null;
+  if (a === b) return { rate: 1, effectiveDate: null, via: null };
+
+  const direct = (x, y) => {
+    let best = null;
+    for (const r of rates || []) {
+      const d = String(r.effective_date || '').slice(0, 10);
+      if (!d || d > asOf) continue;
+      const rate = Number(r.rate);
+      if (!(rate > 0)) continue;
+      const base = normaliseCurrency(r.base_currency);
+      const quote = normaliseCurrency(r.quote_currency);
+      let v = null;
+      if (base === x && quote === y) v = rate;
+      else if (base === y && quote === x) v = 1 / rate;
+      if (v != null && (!best || d > best.effectiveDate)) best = { rate: v, effectiveDate: d, via: null };
+    }
+    return best;
+  };
+
+  const hit = direct(a, b);
+  if (hit) return hit;
+  for (const pivot of SUPPORTED_CURRENCIES) {
+    if (pivot === a || pivot === b) continue;
+    const l1 = direct(a, pivot);
+    if (!l1) continue;
+    const l2 = direct(pivot, b);
+    if (!l2) continue;
+    return {
+      rate: l1.rate * l2.rate,
+      effectiveDate: l1.effectiveDate < l2.effectiveDate ? l1.effectiveDate : l2.effectiveDate,
+      via: pivot,
+    };
+  }
+  return null;
+}
+
+/**
+ * Converter into one reporting currency. `convert(amount, from)` returns
+ * the converted number, or null when no rate covers `from` — the missing
+ * currency is remembered and listed by summary().
+ *
+ * @param {object} opts
+ * @param {Array<object>} [opts.rates] fx_rates rows
+ * @param {string} [opts.to] reporting currency (default GBP)
+ * @param {string} [opts.asOf] YYYY-MM-DD (default today)
+ */
+export function createConverter({ rates = [], to = DEFAULT_CURRENCY, asOf } = {}) {
+  const reportingCurrency = normaliseCurrency(to) || DEFAULT_CURRENCY;
+  const date = asOf || today();
+  const cache = new Map();
+  const missing = new Set();
+
+  const lookup = (from) => {
+    const code = normaliseCurrency(from) || DEFAULT_CURRENCY;
+    if (!cache.has(code)) cache.set(code, rateFor(rates, code, reportingCurrency, date));
+    return { code, hit: cache.get(code) };
+  };
+
+  return {
+    reportingCurrency,
+    asOf: date,
+    convert(amount, from) {
+      const { code, hit } = lookup(from);
+      if (!hit) { missing.add(code); return null; }
+      return (Number(amount) || 0) * hit.rate;
+    },
+    summary() {
+      const ratesUsed = [];
+      for (const [code, hit] of cache) {
+        if (hit && code !== reportingCurrency) {
+          ratesUsed.push({ from: code, rate: hit.rate, effectiveDate: hit.effectiveDate, via: hit.via });
+        }
+      }
+      return {
+        reportingCurrency,
+        asOf: date,
+        ratesUsed: ratesUsed.sort((x, y) => x.from.localeCompare(y.from)),
+        missingRates: [...missing].sort(),
+      };
+    },
+  };
+}
@@ -0,0 +1,303 @@
+/**
+ * Contract red-flag scanning.
+ *
+ * Reads a document's chunks and tags the clauses diligence teams look for
+ * first — change of control, exclusivity, most-favoured-nation, liability
+ * caps (or their absence) and auto-renewal — each with the chunk it came
+ * from so the citation opens the exact passage. Clauses that carry risk
+ * become deal_findings rows in the `redFlags` section, where they go
+ * through the same review / tagging workflow as every other finding.
+ *
+ *   looksLikeContract(doc)          cheap gate before scanning
+ *   scanContractClauses(chunks)     chunk[] → clause[] (one per type per chunk)
+ *   contractFindings(doc, clauses)  clause[] → deal_findings rows
+ *   buildContractRegister(...)      per-deal roll-up for the workspace
+ *
+ * Deterministic pattern matching, no model call: the scan runs on every
+ * contract-like upload, costs nothing, and a reviewer confirms or rejects
+ * each finding anyway. Pure — see ./contractScan.js for the I/O.
+ */
+
+import crypto from 'node:crypto';
+
+const SENTENCE_MAX = 600;
+
+/**
+ * Clause types, in register column order. `detect` finds the clause;
+ * `assess(excerpt)` grades it: { risk: 'none'|'low'|'medium'|'high', flags }.
+ * `risk: 'none'` keeps the clause in the register without raising a finding
+ * (e.g. a liability clause that is capped).
+ */
+export const CLAUSE_TYPES = {
+  change_of_control: {
+    label: 'Change of control',
+    detect: [
+      /change\s+(?:of|in)\s+(?:the\s+)?control/i,
+      /ceases?\s+to\s+be\s+(?:directly\s+or\s+indirectly\s+)?controlled\s+by/i,
+      /(?:acquires?|acquisition\s+of)\s+(?:direct\s+or\s+indirect\s+)?control\s+of/i,
+    ],
+    assess(text) {
+      const flags = [];
+      if (/terminat/i.test(text)) flags.push('termination_right');
+      if (/consent|approv/i.test(text)) flags.push('consent_required');
+      if (/notif|notice/i.test(text)) flags.push('notice_required');
+      return { risk: flags.includes('termination_right') || flags.includes('consent_required') ? 'high' : 'medium', flags };
+    },
+    recommendation: 'Confirm whether the transaction triggers this clause and plan counterparty consent or waiver before signing.',
+  },
+  exclusivity: {
+    label: 'Exclusivity',
+    detect: [
+      /\bexclusive\s+(?:supplier|distributor|provider|licen[cs]e|rights?|partner|reseller|agent|dealing)/i,
+      /\bon\s+an?\s+exclusive\s+basis/i,
+      /\bexclusivity\b/i,
+      /shall\s+not[^.;]{0,80}\b(?:purchase|procure|obtain|source|appoint)[^.;]{0,60}\b(?:from|any)\s+(?:any\s+)?(?:other|third)/i,
+    ],
+    assess(text) {
+      const flags = [];
+      if (/non[-\s]?compet|shall\s+not\s+compete/i.test(text)) flags.push('non_compete');
+      if (/territor/i.test(text)) flags.push('territorial');
+      return { risk: flags.includes('non_compete') ? 'high' : 'medium', flags };
+    },
+    recommendation: 'Check whether the exclusivity restricts the combined business post-close (territory, products, affiliates).',
+  },
+  mfn: {
+    label: 'Most-favoured nation',
+    detect: [
+      /most[-\s]favou?red[-\s](?:nation|customer|pricing|terms)/i,
+      /\bMFN\b/,
+      /no\s+less\s+favou?rable\s+than[^.;]{0,120}\b(?:any\s+other|other|third[-\s]party)\s+(?:customers?|clients?|licensees?|purchasers?)/i,
+    ],
+    assess(text) {
+      const flags = [];
+      if (/affiliat|group\s+compan/i.test(text)) flags.push('extends_to_affiliates');
+      if (/refund|credit|retroactive|retrospective/i.test(text)) flags.push('retroactive_adjustment');
+      return { risk: flags.length ? 'high' : 'medium', flags };
+    },
+    recommendation: 'Model the pricing impact if the MFN is triggered by the buyer\'s existing customer terms.',
+  },
+  liability: {
+    label: 'Limitation of liability',
+    detect: [
+      /limitation\s+of\s+liability/i,
+      /(?:aggregate|total|maximum)\s+liability/i,
+      /liability[^.;]{0,80}\bshall\s+not\s+exceed/i,
+      /\bunlimited\s+liability/i,
+      /liability[^.;]{0,60}\b(?:shall\s+be\s+|is\s+)unlimited/i,
+      /liability[^.;]{0,80}\bshall\s+not\s+be\s+(?:limited|capped)/i,
+    ],
+    assess(text) {
+      const uncapped = /\bunlimited\s+liability|liability[^.;]{0,60}\b(?:shall\s+be\s+|is\s+)unlimited|liability[^.;]{0,80}shall\s+not\s+be\s+(?:limited|capped)|without\s+(?:any\s+)?(?:limit|cap)\b|no\s+(?:cap|limit)\s+on[^.;]{0,40}liability/i.test(text);
+      // "Nothing limits liability for death, personal injury or fraud" is
+      // the statutory carve-out, not an uncapped contract.
+      const carveOutOnly = /death|personal\s+injury|fraud/i.test(text)
+        && !/indemnit|all\s+losses|any\s+and\s+all|data|confidential/i.test(text);
+      if (uncapped && !carveOutOnly) {
+        const flags = ['uncapped'];
+        if (/indemnit/i.test(text)) flags.push('uncapped_indemnity');
+        return { risk: 'high', flags };
+      }
+      if (/shall\s+not\s+exceed|capped\s+at|limited\s+to/i.test(text)) return { risk: 'none', flags: ['capped'] };
+      return { risk: 'none', flags: [] };
+    },
+    recommendation: 'Quantify the uncapped exposure and seek a cap, specific indemnity or W&I cover.',
+  },
+  auto_renewal: {
+    label: 'Auto-renewal',
+    detect: [
+      /automatic(?:ally)?\s+(?:be\s+)?(?:renew|extend)/i,
+      /(?:renew|extend)(?:s|ed)?\s+automatically/i,
+      /shall\s+(?:thereafter\s+)?(?:continue|renew|be\s+renewed|be\s+extended)\s+for\s+(?:successive|further|additional|consecutive)\s+(?:periods?|terms?|years?)/i,
+      /\bevergreen\b/i,
+      /tacit(?:ly)?\s+renew/i,
+    ],
+    assess(text) {
+      const flags = [];
+      const notice = noticeDays(text);
+      if (notice != null) flags.push(`notice_${notice}_days`);
+      return { risk: notice != null && notice >= 90 ? 'medium' : 'low', flags };
+    },
+    recommendation: 'Diarise the non-renewal notice window and confirm the renewal term matches the integration plan.',
+  },
+};
+
+export const CLAUSE_TYPE_KEYS = Object.keys(CLAUSE_TYPES);
+
+const RISK_RANK = { none: 0, low: 1, medium: 2, high: 3 };
+const WORD_NUMBERS = { one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, nine: 9, twelve: 12, thirty: 30, sixty: 60, ninety: 90 };
+
+// "not less than ninety (90) days' notice" / "3 months' prior written notice"
+function noticeDays(text) {
+  const m = text.match(/(\d+|one|two|three|four|five|six|nine|twelve|thirty|sixty|ninety)\s*(?:\(\d+\)\s*)?(days?|weeks?|months?)['’]?\s+(?:prior\s+)?(?:written\s+)?notice/i);
+  if (!m) return null;
+  const n = /^\d+$/.test(m[1]) ? Number(m[1]) : WORD_NUMBERS[m[1].toLowerCase()];
+  const unit = m[2].toLowerCase();
+  if (unit.startsWith('month')) return n * 30;
+  if (unit.startsWith('week')) return n * 7;
+  return n;
+}
+
+/**
+ * Worth scanning? Legal / commercial documents, anything named like a
+ * contract, or text with at least two contract signatures. Keeps P&Ls and
+ * board decks out of the register.
+ */
+export function looksLikeContract({ filename, category, text } = {}) {
+  if (['Legal', 'Commercial', 'HR', 'Operational', 'IP'].includes(category)) return true;
+  if (/agreement|contract|terms|\bmsa\b|\bsow\b|licen[cs]e|lease|\bnda\b|engagement\s+letter|order\s+form/i.test(filename || '')) return true;
+  const sample = String(text || '').slice(0, 20000);
+  const signals = [
+    /this\s+agreement/i, /the\s+parties/i, /\bhereby\b/i, /in\s+witness\s+whereof/i,
+    /governing\s+law/i, /\bclause\s+\d/i, /\bterm\s+and\s+termination\b/i,
+  ].filter((re) => re.test(sample)).length;
+  return signals >= 2;
+}
+
+function sentences(text) {
+  return String(text || '')
+    .replace(/\r/g, '')
+    .split(/(?<=[.;:])\s+(?=[A-Z(0-9])|\n{2,}/)
+    .map((s) => s.replace(/\s+/g, ' ').trim())
+    .filter(Boolean);
+}
+
+/**
+ * @param {Array<{ id?: string, chunk_index?: number, page_number?: number|null,
+ *                 section_path?: string|null, content: string }>} chunks
+ * @returns {Array<{ clause_type, risk, flags: string[], excerpt, chunk_id,
+ *                   chunk_index, page_number, section_path }>}
+ */
+export function scanContractClauses(chunks) {
+  const out = [];
+  for (const chunk of chunks || []) {
+    const parts = sentences(chunk.content);
+    for (const type of CLAUSE_TYPE_KEYS) {
+      const def = CLAUSE_TYPES[type];
+      const idx = parts.findIndex((s) => def.detect.some((re) => re.test(s)));
+      if (idx < 0) continue;
+      // The hit plus the sentence after it — consequences ("…may terminate
+      // this Agreement") often follow the trigger.
+      const excerpt = [parts[idx], parts[idx + 1]].filter(Boolean).join(' ').slice(0, SENTENCE_MAX);
+      const { risk, flags } = def.assess(excerpt);
+      out.push({
+        clause_type: type,
+        risk,
+        flags,
+        excerpt,
+        chunk_id: chunk.id ?? null,
+        chunk_index: chunk.chunk_index ?? null,
+        page_number: chunk.page_number ?? null,
+        section_path: chunk.section_path ?? null,
+      });
+    }
+  }
+  return out;
+}
+
+/** Stable per (document, clause type) so rescans update rather than duplicate. */
+export function contractFindingKey(documentId, clauseType) {
+  return crypto.createHash('sha1').update(`contract:${documentId}:${clauseType}`).digest('hex').slice(0, 12);
+}
+
+const SEVERITY = { low: 'low', medium: 'medium', high: 'high' };
+const CONFIDENCE = { low: 0.6, medium: 0.7, high: 0.8 };
+
+/**
+ * One red-flag finding per risky clause type in a document, citing up to
+ * three chunks. Rows are shaped for deal_findings (section `redFlags`).
+ */
+export function contractFindings({ dealId, documentId, filename }, clauses) {
+  const byType = new Map();
+  for (const c of clauses || []) {
+    if (RISK_RANK[c.risk] < RISK_RANK.low) continue;
+    const list = byType.get(c.clause_type) || [];
+    list.push(c);
+    byType.set(c.clause_type, list);
+  }
+  const rows = [];
+  for (const type of CLAUSE_TYPE_KEYS) {
+    const list = byType.get(type);
+    if (!list) continue;
+    list.sort((a, b) => RISK_RANK[b.risk] - RISK_RANK[a.risk] || (a.chunk_index ?? 0) - (b.chunk_index ?? 0));
+    const worst = list[0];
+    const def = CLAUSE_TYPES[type];
+    const flags = [...new Set(list.flatMap((c) => c.flags))];
+    const name = filename || 'contract';
+    const where = worst.page_number ? ` (p.${worst.page_number})` : '';
+    rows.push({
+      deal_id: dealId,
+      finding_key: contractFindingKey(documentId, type),
+      section: 'redFlags',
+      order_index: CLAUSE_TYPE_KEYS.indexOf(type),
+      title: `${type === 'liability' ? 'Uncapped liability' : def.label} clause in ${name}`.slice(0, 300),
+      body: [
+        `${name}${where}: "${worst.excerpt}"`,
+        flags.length ? `Signals: ${flags.map((f) => f.replace(/_/g, ' ')).join(', ')}.` : null,
+        list.length > 1 ? `Found in ${list.length} places in this document.` : null,
+      ].filter(Boolean).join('\n\n'),
+      category: 'legal',
+      severity: SEVERITY[worst.risk],
+      confidence: CONFIDENCE[worst.risk],
+      impact: ['legal'],
+      evidence: list.slice(0, 3).map((c) => ({
+        kind: 'document_chunk',
+        ref: { chunk_id: c.chunk_id, document_id: documentId, page_number: c.page_number },
+        snippet: c.excerpt.slice(0, 280),
+      })),
+      recommendations: [def.recommendation],
+    });
+  }
+  return rows;
+}
+
+/**
+ * Per-deal contract register: one entry per scanned document with the
+ * clause types found, the worst risk and the red-flag count, riskiest
+ * contracts first.
+ *
+ * @param {Array<object>} clauses    deal_contract_clauses rows
+ * @param {Array<{ id, filename, label?, category? }>} documents  visible docs
+ */
+export function buildContractRegister(clauses, documents) {
+  const docs = new Map((documents || []).map((d) => [d.id, d]));
+  const byDoc = new Map();
+  for (const c of clauses || []) {
+    if (!docs.has(c.document_id)) continue;
+    const entry = byDoc.get(c.document_id) || { clauses: {} };
+    const prev = entry.clauses[c.clause_type];
+    if (!prev || RISK_RANK[c.risk] > RISK_RANK[prev.risk]) {
+      entry.clauses[c.clause_type] = {
+        risk: c.risk,
+        flags: c.flags || [],
+        excerpt: c.excerpt,
+        chunk_id: c.chunk_id,
+        page_number: c.page_number,
+      };
+    }
+    byDoc.set(c.document_id, entry);
+  }
+  const rows = [...byDoc.entries()].map(([documentId, entry]) => {
+    const d = docs.get(documentId);
+    const risks = Object.values(entry.clauses).map((c) => c.risk);
+    return {
+      document_id: documentId,
+      filename: d.filename,
+      label: d.label || null,
+      category: d.category || null,
+      clauses: entry.clauses,
+      red_flags: risks.filter((r) => RISK_RANK[r] >= RISK_RANK.low).length,
+      worst_risk: risks.reduce((w, r) => (RISK_RANK[r] > RISK_RANK[w] ? r : w), 'none'),
+    };
+  });
+  rows.sort((a, b) => RISK_RANK[b.worst_risk] - RISK_RANK[a.worst_risk]
+    || b.red_flags - a.red_flags
+    || String(a.filename).localeCompare(String(b.filename)));
+  return {
+    contracts: rows,
+    summary: {
+      contracts: rows.length,
+      red_flags: rows.reduce((n, r) => n + r.red_flags, 0),
+      by_type: Object.fromEntries(CLAUSE_TYPE_KEYS.map((t) => [t, rows.filter((r) => r.clauses[t]).length])),
+    },
+  };
+}
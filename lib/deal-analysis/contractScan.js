@@ -0,0 +1,118 @@
+/**
+ * I/O side of contract red-flag scanning (see ./contractClauses.js).
+ * Called from the `scan-contract-clauses` step of processDealDocument
+ * once chunks are stored and the document is categorised:
+ *
+ *   1. read the document's chunks (ids are needed for citations)
+ *   2. replace its deal_contract_clauses rows
+ *   3. sync its red-flag deal_findings (./findingSync.js): insert new
+ *      keys, refresh existing ones, mark findings whose clause is no
+ *      longer detected as stale. Findings quote the clause, so a
+ *      ring-fenced or party-scoped document raises none — its clauses
+ *      stay in the register, which filters by canSeeDocument
+ *
+ * Server-side only: service-role headers; the worker is trusted.
+ */
+
+import {
+  getSupabaseHeaders, getSupabaseWriteHeaders, fetchWithTimeout,
+} from '@/lib/api-helpers';
+import { DOCUMENT_ACCESS_COLUMNS, isDealWideDocument } from '@/lib/dealDocumentVisibility';
+import { syncScanFindings } from './findingSync.js';
+import {
+  looksLikeContract, scanContractClauses, contractFindings, contractFindingKey, CLAUSE_TYPE_KEYS,
+} from './contractClauses.js';
+
+const CHUNK_PAGE = 200;
+const MAX_SCAN_CHUNKS = 1500;
+
+/**
+ * A document's chunks in order, paged (PostgREST caps a response), up to
+ * the pipeline's per-document chunk cap.
+ */
+export async function readDocumentChunks(sb, documentId) {
+  const headers = getSupabaseHeaders(sb.key);
+  const chunks = [];
+  for (let offset = 0; offset < MAX_SCAN_CHUNKS; offset += CHUNK_PAGE) {
+    const resp = await ok(await fetchWithTimeout(
+      `${sb.url}/rest/v1/deal_document_chunks?document_id=eq.${documentId}`
+        + `&select=id,chunk_index,page_number,sheet_name,section_path,content&order=chunk_index.asc&limit=${CHUNK_PAGE}&offset=${offset}`,
+      { method: 'GET', headers },
+    ), 'chunk read');
+    const page = await resp.json();
+    chunks.push(...page);
+    if (page.length < CHUNK_PAGE) break;
+  }
+  return chunks;
+}
+
+async function ok(resp, what) {
+  if (resp.ok) return resp;
+  const txt = await resp.text().catch(() => '');
+  throw new Error(`${what} failed (${resp.status}): ${txt.slice(0, 200)}`);
+}
+
+/**
+ * @param {{ url: string, key: string }} sb
+ * @param {{ dealId: string, documentId: string }} args
+ * @returns {Promise<{ scanned: boolean, clauses: number, created: number, updated: number, staled: number }>}
+ */
+export async function scanDocumentContracts(sb, { dealId, documentId }) {
+  const headers = getSupabaseHeaders(sb.key);
+  const write = getSupabaseWriteHeaders(sb.key);
+
+  const docResp = await ok(await fetchWithTimeout(
+    `${sb.url}/rest/v1/deal_documents?id=eq.${documentId}&select=filename,category,${DOCUMENT_ACCESS_COLUMNS}`,
+    { method: 'GET', headers },
+  ), 'document read');
+  const [doc] = await docResp.json();
+  if (!doc) return { scanned: false, clauses: 0, created: 0, updated: 0, staled: 0 };
+
+  const chunks = await readDocumentChunks(sb, documentId);
+
+  const scanned = looksLikeContract({
+    filename: doc.filename,
+    category: doc.category,
+    text: chunks.slice(0, 5).map((c) => c.content).join('\n'),
+  });
+  const clauses = scanned ? scanContractClauses(chunks) : [];
+
+  await ok(await fetchWithTimeout(
+    `${sb.url}/rest/v1/deal_contract_clauses?document_id=eq.${documentId}`,
+    { method: 'DELETE', headers: write },
+  ), 'clause delete');
+  if (clauses.length) {
+    await ok(await fetchWithTimeout(
+      `${sb.url}/rest/v1/deal_contract_clauses`,
+      {
+        method: 'POST',
+        headers: { ...write, Prefer: 'return=minimal' },
+        body: JSON.stringify(clauses.map((c) => ({
+          deal_id: dealId,
+          document_id: documentId,
+          chunk_id: c.chunk_id,
+          clause_type: c.clause_type,
+          risk: c.risk,
+          flags: c.flags,
+          excerpt: c.excerpt,
+          page_number: c.page_number,
+          section_path: c.section_path,
+        }))),
+      },
+    ), 'clause insert');
+  }
+
+  const dealWide = isDealWideDocument(doc);
+  const findings = dealWide ? contractFindings({ dealId, documentId, filename: doc.filename }, clauses) : [];
+  const keys = CLAUSE_TYPE_KEYS.map((t) => contractFindingKey(documentId, t));
+  const counts = await syncScanFindings(sb, {
+    dealId,
+    findings,
+    keyFilter: `finding_key=in.(${keys.join(',')})`,
+    staleReason: dealWide
+      ? 'Clause no longer detected when the document was re-scanned.'
+      : 'The document is now restricted to part of the deal room.',
+  });
+
+  return { scanned, clauses: clauses.length, ...counts };
+}
@@ -0,0 +1,110 @@
+/**
+ * I/O side of cross-document contradiction detection (see ./keyFacts.js).
+ *
+ *   extractDocumentKeyFacts   `extract-key-facts` step of processDealDocument:
+ *                             reads one document's chunks and table rows and
+ *                             replaces its deal_document_facts rows
+ *   syncDealContradictions    detectDealContradictions job: compares every
+ *                             live document's facts across the deal and
+ *                             syncs the `contradiction-*` findings
+ *                             (./findingSync.js) — conflicts that went away
+ *                             are marked stale, not deleted. Ring-fenced,
+ *                             party-scoped and expired documents are left
+ *                             out: the findings quote every side verbatim
+ *
+ * Server-side only: service-role headers; the worker is trusted.
+ */
+
+import {
+  getSupabaseHeaders, getSupabaseWriteHeaders, fetchWithTimeout,
+} from '@/lib/api-helpers';
+import { DOCUMENT_ACCESS_COLUMNS, isDealWideDocument } from '@/lib/dealDocumentVisibility';
+import { readDocumentChunks } from './contractScan.js';
+import { syncScanFindings } from './findingSync.js';
+import {
+  extractDocumentFacts, findContradictions, contradictionFindings, TABLE_FACT_LINE_ITEMS,
+} from './keyFacts.js';
+
+const MAX_DEAL_FACTS = 5000;
+
+async function ok(resp, what) {
+  if (resp.ok) return resp;
+  const txt = await resp.text().catch(() => '');
+  throw new Error(`${what} failed (${resp.status}): ${txt.slice(0, 200)}`);
+}
+
+/**
+ * @param {{ url: string, key: string }} sb
+ * @param {{ dealId: string, documentId: string }} args
+ * @returns {Promise<{ facts: number }>}
+ */
+export async function extractDocumentKeyFacts(sb, { dealId, documentId }) {
+  const headers = getSupabaseHeaders(sb.key);
+  const write = getSupabaseWriteHeaders(sb.key);
+
+  const chunks = await readDocumentChunks(sb, documentId);
+  const items = TABLE_FACT_LINE_ITEMS.map((i) => `"${i}"`).join(',');
+  const rowsResp = await ok(await fetchWithTimeout(
+    `${sb.url}/rest/v1/deal_table_rows?document_id=eq.${documentId}`
+      + `&line_item_norm=in.(${encodeURIComponent(items)})`
+      + '&select=line_item,line_item_norm,period,basis,value,unit,currency,scale,sheet_name,page_number,cell_ref,source_text'
+      + '&limit=2000',
+    { method: 'GET', headers },
+  ), 'table row read');
+  const facts = extractDocumentFacts({ chunks, tableRows: await rowsResp.json() });
+
+  await ok(await fetchWithTimeout(
+    `${sb.url}/rest/v1/deal_document_facts?document_id=eq.${documentId}`,
+    { method: 'DELETE', headers: write },
+  ), 'fact delete');
+  if (facts.length) {
+    await ok(await fetchWithTimeout(
+      `${sb.url}/rest/v1/deal_document_facts`,
+      {
+        method: 'POST',
+        headers: { ...write, Prefer: 'return=minimal' },
+        body: JSON.stringify(facts.map((f) => ({ deal_id: dealId, document_id: documentId, ...f }))),
+      },
+    ), 'fact insert');
+  }
+  return { facts: facts.length };
+}
+
+/**
+ * @param {{ url: string, key: string }} sb
+ * @param {{ dealId: string }} args
+ * @returns {Promise<{ facts: number, contradictions: number, created: number, updated: number, staled: number }>}
+ */
+export async function syncDealContradictions(sb, { dealId }) {
+  const headers = getSupabaseHeaders(sb.key);
+
+  // Archived documents (deleted at the connector source) no longer speak
+  // for the deal; their facts stay until the row goes but don't count.
+  // Neither do documents only part of the room may see.
+  const [docsResp, factsResp] = await Promise.all([
+    fetchWithTimeout(
+      `${sb.url}/rest/v1/deal_documents?deal_id=eq.${dealId}&status=neq.archived&select=id,filename,label,${DOCUMENT_ACCESS_COLUMNS}`,
+      { method: 'GET', headers },
+    ),
+    fetchWithTimeout(
+      `${sb.url}/rest/v1/deal_document_facts?deal_id=eq.${dealId}`
+        + '&select=document_id,chunk_id,fact_type,period,value,currency,scale_known,approximate,source,excerpt,page_number,sheet_name,cell_ref'
+        + `&order=created_at.asc&limit=${MAX_DEAL_FACTS}`,
+      { method: 'GET', headers },
+    ),
+  ]);
+  const documents = (await (await ok(docsResp, 'document read')).json()).filter((d) => isDealWideDocument(d));
+  const live = new Set(documents.map((d) => d.id));
+  const facts = (await (await ok(factsResp, 'fact read')).json())
+    .filter((f) => live.has(f.document_id))
+    .map((f) => ({ ...f, value: Number(f.value) }));
+
+  const conflicts = findContradictions(facts);
+  const counts = await syncScanFindings(sb, {
+    dealId,
+    findings: contradictionFindings({ dealId, documents }, conflicts),
+    keyFilter: 'finding_key=like.contradiction-*',
+    staleReason: 'The documents no longer disagree on this figure.',
+  });
+  return { facts: facts.length, contradictions: conflicts.length, ...counts };
+}
@@ -0,0 +1,655 @@
+/**
+ * Structured financial tables from data-room documents.
+ *
+ * The text pipeline flattens a P&L into CSV chunks, which is fine for
+ * "what does the CIM say about churn?" but loses the grid: the model has
+ * to guess which number sits under which column. This module recovers the
+ * grid as typed rows — line item × period → value — so a question like
+ * "Q3 2024 revenue" is answered by lookup, with the exact cell cited.
+ *
+ *   detectSheetTables(grid)   spreadsheet / CSV cells (with A1 refs)
+ *   detectTextTables(text)    PDF page text (locator is the page + line)
+ *   rankTableRows(rows, q)    order query candidates, best match first
+ *
+ * A table is a header row holding two or more periods (FY24, Q3 2024,
+ * Jan-25, 2023/24, LTM Sep-24 …) with labelled numeric rows beneath it.
+ * Currency and scale (£'000, USD m) come from the cell number format,
+ * a unit cell on the row, or the header / title text around the table.
+ *
+ * Pure — no I/O. Used by the `extract-tables` step of processDealDocument
+ * and by lib/deal-analysis/tableQuery.js.
+ */
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const BASIS = [
+  [/^(?:a|act|actuals?)$/i, 'actual'],
+  [/^(?:e|est|estimate|f|fc|fcst|forecast|p|proj|projected)$/i, 'forecast'],
+  [/^(?:b|bud|budget|plan)$/i, 'budget'],
+];
+
+const YEAR_MIN = 1990;
+const YEAR_MAX = 2100;
+
+function toYear(raw) {
+  const digits = String(raw).replace(/^'/, '');
+  const n = Number(digits);
+  if (!Number.isInteger(n)) return null;
+  const y = digits.length === 2 ? 2000 + n : n;
+  return y >= YEAR_MIN && y <= YEAR_MAX ? y : null;
+}
+
+function monthIndex(name) {
+  const i = MONTHS.indexOf(String(name).slice(0, 3).toLowerCase());
+  if (i < 0) return null;
+  // "Marketing 2024" is not March.
+  const full = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'][i];
+  const n = String(name).toLowerCase();
+  return full.startsWith(n) || n === 'sept' ? i + 1 : null;
+}
+
+function yearPeriod(year) {
+  return year ? { period: `FY${year}`, type: 'year', year, index: null } : null;
+}
+
+function monthPeriod(year, month) {
+  if (!year || !month || month < 1 || month > 12) return null;
+  return { period: `${year}-${String(month).padStart(2, '0')}`, type: 'month', year, index: month };
+}
+
+const Y = "'?(\\d{4}|\\d{2})";
+
+function parseCorePeriod(s) {
+  let m;
+  if ((m = s.match(new RegExp(`^(?:FY|CY)\\s*[-/]?\\s*${Y}$`, 'i')))) return yearPeriod(toYear(m[1]));
+  if ((m = s.match(/^\d{4}$/))) return yearPeriod(toYear(m[0]));
+
+  // 2023/24, FY2023-24 → the fiscal year ending 2024. Bare "2024-03" is a month.
+  if ((m = s.match(/^(FY\s*)?(\d{4})\s*([/-])\s*(\d{2}|\d{4})$/i))) {
+    const start = toYear(m[2]);
+    const second = Number(m[4]);
+    if (!m[1] && m[3] === '-' && m[4].length === 2 && second >= 1 && second <= 12) return monthPeriod(start, second);
+    const consecutive = start && (m[4].length === 4 ? second === start + 1 : second === (start + 1) % 100);
+    return consecutive ? yearPeriod(start + 1) : null;
+  }
+
+  const quarter = (q, y) => {
+    const year = toYear(y);
+    return year ? { period: `Q${q} ${year}`, type: 'quarter', year, index: Number(q) } : null;
+  };
+  if ((m = s.match(new RegExp(`^Q([1-4])\\s*[-/' ]?\\s*(?:FY|CY)?\\s*${Y}$`, 'i')))) return quarter(m[1], m[2]);
+  if ((m = s.match(new RegExp(`^([1-4])Q\\s*[-/' ]?\\s*${Y}$`, 'i')))) return quarter(m[1], m[2]);
+  if ((m = s.match(/^(\d{4})\s*[-/ ]?\s*Q([1-4])$/i))) return quarter(m[2], m[1]);
+
+  const half = (h, y) => {
+    const year = toYear(y);
+    return year ? { period: `H${h} ${year}`, type: 'half', year, index: Number(h) } : null;
+  };
+  if ((m = s.match(new RegExp(`^H([12])\\s*[-/' ]?\\s*(?:FY|CY)?\\s*${Y}$`, 'i')))) return half(m[1], m[2]);
+  if ((m = s.match(new RegExp(`^([12])H\\s*[-/' ]?\\s*${Y}$`, 'i')))) return half(m[1], m[2]);
+
+  if ((m = s.match(new RegExp(`^([A-Za-z]{3,9})[\\s\\-/.,]*${Y}$`)))) {
+    return monthPeriod(toYear(m[2]), monthIndex(m[1]));
+  }
+  if ((m = s.match(/^(\d{1,2})[/.-](\d{4})$/))) return monthPeriod(toYear(m[2]), Number(m[1]));
+  // Period-end dates written out: 31-Mar-24, 31 March 2024, 31/03/2024 (day first).
+  if ((m = s.match(new RegExp(`^\\d{1,2}[\\s\\-/.]([A-Za-z]{3,9})[\\s\\-/.,]*${Y}$`)))) {
+    return monthPeriod(toYear(m[2]), monthIndex(m[1]));
+  }
+  if ((m = s.match(/^(\d{1,2})[/.](\d{1,2})[/.](\d{4})$/))) return monthPeriod(toYear(m[3]), Number(m[2]));
+  if ((m = s.match(/^(\d{4})-(\d{2})-\d{2}$/))) return monthPeriod(toYear(m[1]), Number(m[2]));
+  return null;
+}
+
+/**
+ * Normalise a column header to a period.
+ *
+ * @param {string|number|Date} input
+ * @returns {{ period: string, type: 'year'|'half'|'quarter'|'month'|'ltm'|'ytd',
+ *             year: number, index: number|null, basis: string|null } | null}
+ */
+export function parsePeriod(input) {
+  if (input == null) return null;
+  if (input instanceof Date) {
+    if (Number.isNaN(input.getTime())) return null;
+    // Spreadsheet dates can carry a timezone offset; snap to the nearest day.
+    const d = new Date(Math.round(input.getTime() / 86400000) * 86400000);
+    const p = monthPeriod(d.getUTCFullYear(), d.getUTCMonth() + 1);
+    return p && { ...p, basis: null };
+  }
+  if (typeof input === 'number') {
+    const p = Number.isInteger(input) ? yearPeriod(toYear(input)) : null;
+    return p && { ...p, basis: null };
+  }
+  let s = String(input).replace(/\s+/g, ' ').trim();
+  if (!s || s.length > 40) return null;
+
+  let rolling = null;
+  const roll = s.match(/^(LTM|TTM|YTD)\b[\s:-]*/i);
+  if (roll) {
+    rolling = roll[1].toUpperCase() === 'YTD' ? 'ytd' : 'ltm';
+    s = s.slice(roll[0].length);
+  }
+
+  let core = parseCorePeriod(s);
+  let basis = null;
+  if (!core) {
+    // Trailing basis marker: FY24A, 2025E, Q3 24 (Budget), FY25 Forecast.
+    const m = s.match(/^(.*?)[\s\-(]*([A-Za-z]+)\)?$/);
+    const hit = m && m[1] && BASIS.find(([re]) => re.test(m[2]));
+    if (hit) {
+      core = parseCorePeriod(m[1].trim());
+      if (core) basis = hit[1];
+    }
+  }
+  if (!core) return null;
+  if (rolling) {
+    const label = rolling === 'ltm' ? 'LTM' : 'YTD';
+    const when = core.type === 'year' ? String(core.year) : core.period;
+    return { period: `${label} ${when}`, type: rolling, year: core.year, index: core.type === 'month' ? core.index : null, basis };
+  }
+  return { ...core, basis };
+}
+
+// ─── Currency, scale, numbers ────────────────────────────────────────
+
+const CURRENCY_CODES = ['GBP', 'USD', 'EUR', 'CHF', 'JPY', 'AUD', 'CAD', 'SEK', 'NOK', 'DKK', 'NZD', 'SGD', 'HKD', 'INR', 'ZAR', 'CNY'];
+const CURRENCY_SYMBOLS = [['US$', 'USD'], ['A$', 'AUD'], ['C$', 'CAD'], ['NZ$', 'NZD'], ['£', 'GBP'], ['€', 'EUR'], ['¥', 'JPY'], ['$', 'USD']];
+const CODE_RE = new RegExp(`(?:^|[^A-Z])(${CURRENCY_CODES.join('|')})(?![A-Z])`);
+
+/** ISO code named or symbolised in a header, title or number format. */
+export function currencyFrom(text) {
+  if (!text) return null;
+  // Excel locale tokens ([$-409]) carry no currency; [$€-2] does.
+  const s = String(text).replace(/\[\$-[0-9A-F]+\]/gi, '').replace(/\[\$([^\]-]*)-?[0-9A-F]*\]/gi, ' $1 ');
+  const code = s.match(CODE_RE);
+  if (code) return code[1];
+  const sym = CURRENCY_SYMBOLS.find(([symbol]) => s.includes(symbol));
+  return sym ? sym[1] : null;
+}
+
+/** Multiplier implied by "£'000", "USD m", "(in thousands)", "€bn". */
+export function scaleFrom(text) {
+  if (!text) return null;
+  const s = ` ${String(text).toLowerCase()} `;
+  if (/billions?|[\s(£$€\d]bn\b|\b(?:gbp|usd|eur)\s?bn\b/.test(s)) return 1e9;
+  if (/millions?|[\s(]m(?:n|m)?[\s)]|[£$€]\s?m(?:n|m)?\b|\b(?:gbp|usd|eur)\s?m(?:n|m)?\b/.test(s)) return 1e6;
+  if (/thousands?|'000|’000|\(000s?\)|\b000s\b|[\s(]k[\s)]|[£$€]\s?k\b|\b(?:gbp|usd|eur)\s?k\b/.test(s)) return 1e3;
+  return null;
+}
+
+/**
+ * A number as written in a statement: 1,234 · (1,234) · -5.2% · £12.4m.
+ * Dashes and n/a are "no value", not zero.
+ *
+ * @returns {{ value: number, percent: boolean, scale: number|null } | null}
+ */
+export function parseNumber(raw) {
+  if (raw == null) return null;
+  if (typeof raw === 'number') return Number.isFinite(raw) ? { value: raw, percent: false, scale: null } : null;
+  let s = String(raw).trim();
+  if (!s || s.length > 30) return null;
+  let negative = false;
+  if (/^\(.*\)$/.test(s)) { negative = true; s = s.slice(1, -1).trim(); }
+  if (/^[-−–]\s*\S/.test(s)) { negative = !negative; s = s.replace(/^[-−–]\s*/, ''); }
+  s = s.replace(/^(?:US\$|A\$|C\$|NZ\$|[£$€¥])\s*/, '').replace(new RegExp(`^(?:${CURRENCY_CODES.join('|')})\\s*`), '');
+  let percent = false;
+  if (s.endsWith('%')) { percent = true; s = s.slice(0, -1).trim(); }
+  let scale = null;
+  const suffix = s.match(/^(.*?\d)\s*(k|m|mn|bn)$/i);
+  if (suffix) {
+    s = suffix[1];
+    scale = { k: 1e3, m: 1e6, mn: 1e6, bn: 1e9 }[suffix[2].toLowerCase()];
+  }
+  if (!/^(?:\d{1,3}(?:,\d{3})+|\d+)(?:\.\d+)?$|^\.\d+$/.test(s)) return null;
+  const value = Number(s.replace(/,/g, ''));
+  if (!Number.isFinite(value)) return null;
+  return { value: negative ? -value : value, percent, scale };
+}
+
+/** Comparable form of a row label: lower case, no numbering or footnotes. */
+export function normaliseLineItem(label) {
+  return String(label || '')
+    .toLowerCase()
+    .replace(/\(\s*(?:note\s*)?\d+[a-z]?\s*\)|\[\d+\]|\*+/g, ' ')
+    .replace(/^\s*(?:\d+(?:\.\d+)*[.)]|[a-z][.)]|[ivx]+[.)])\s+/, '')
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9%]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// A short cell that only states a unit ("£m", "USD '000", "%").
+function isUnitCell(text) {
+  const t = String(text).trim();
+  return t.length <= 12 && (t === '%' || Boolean(currencyFrom(t)) || Boolean(scaleFrom(t)))
+    && !/[a-z]{4,}/i.test(t.replace(/thousands?|millions?|billions?/i, ''));
+}
+
+function hasLetters(s) {
+  return /[A-Za-z]/.test(s);
+}
+
+// Bare-year headers (2022 2023 2024) look like data; only trust them when
+// they step by one.
+function consecutiveYears(values) {
+  for (let i = 1; i < values.length; i++) {
+    if (Math.abs(values[i] - values[i - 1]) !== 1) return false;
+  }
+  return true;
+}
+
+// ─── Spreadsheet grids ───────────────────────────────────────────────
+
+export function columnLetters(c) {
+  let n = c + 1;
+  let out = '';
+  while (n > 0) {
+    const rem = (n - 1) % 26;
+    out = String.fromCharCode(65 + rem) + out;
+    n = Math.floor((n - 1) / 26);
+  }
+  return out;
+}
+
+function cellText(cell) {
+  if (!cell || cell.v == null) return '';
+  if (cell.v instanceof Date) return cell.v.toISOString().slice(0, 10);
+  return String(cell.v).trim();
+}
+
+function headerPeriods(row) {
+  const found = [];
+  const numericYears = [];
+  for (let c = 0; c < row.length; c++) {
+    const cell = row[c];
+    if (!cell || cell.v == null || cell.v === '') continue;
+    const p = parsePeriod(cell.v);
+    if (!p) continue;
+    if (typeof cell.v === 'number') numericYears.push(cell.v);
+    found.push({ col: c, ...p });
+  }
+  if (found.length < 2) return null;
+  if (numericYears.length === found.length && !consecutiveYears(numericYears)) return null;
+  if (new Set(found.map((p) => `${p.period}|${p.basis}`)).size !== found.length) return null;
+  // Mostly periods right of the first one — not a data row with a stray date.
+  const first = found[0].col;
+  const others = row.slice(first).filter((cell) => cellText(cell)).length;
+  return found.length * 2 >= others ? found : null;
+}
+
+function isBlankRow(row) {
+  return !row || row.every((cell) => !cellText(cell));
+}
+
+function cellNumber(cell) {
+  if (!cell || cell.v == null || cell.v === '') return null;
+  if (typeof cell.v === 'number') {
+    if (!Number.isFinite(cell.v)) return null;
+    return String(cell.z || '').includes('%')
+      ? { value: Math.round(cell.v * 1e8) / 1e6, percent: true, scale: null }
+      : { value: cell.v, percent: false, scale: null };
+  }
+  return typeof cell.v === 'string' ? parseNumber(cell.v) : null;
+}
+
+/**
+ * @param {Array<Array<{ v: any, z?: string }|null>>} grid  rows of cells;
+ *        `z` is the Excel number format when known
+ * @param {object} [opts]
+ * @param {string} [opts.sheetName]
+ * @param {{ r: number, c: number }} [opts.origin]  grid[0][0]'s position
+ *        on the sheet (zero-based) so refs match what the user sees
+ * @returns {Array<object>} tables, each with typed `rows`
+ */
+export function detectSheetTables(grid, { sheetName = null, origin = { r: 0, c: 0 } } = {}) {
+  const ref = (r, c) => `${columnLetters(origin.c + c)}${origin.r + r + 1}`;
+  const tables = [];
+  let r = 0;
+  while (r < grid.length) {
+    const periods = headerPeriods(grid[r] || []);
+    if (!periods) { r += 1; continue; }
+
+    const header = r;
+    const firstPeriodCol = periods[0].col;
+    const lastPeriodCol = periods[periods.length - 1].col;
+    const context = [sheetName];
+    for (let k = Math.max(0, header - 3); k <= header; k++) {
+      for (const cell of grid[k] || []) {
+        const t = cellText(cell);
+        if (t && !parsePeriod(t)) context.push(t);
+      }
+    }
+    const contextText = context.filter(Boolean).join(' ');
+    const tableCurrency = currencyFrom(contextText);
+    const tableScale = scaleFrom(contextText);
+    let title = null;
+    for (let k = header - 1; k >= Math.max(0, header - 3) && !title; k--) {
+      const t = (grid[k] || []).map(cellText).find((x) => x && hasLetters(x) && !isUnitCell(x));
+      if (t) title = t.slice(0, 200);
+    }
+
+    const rows = [];
+    let section = null;
+    let blanks = 0;
+    let lastDataRow = header;
+    let minLabelCol = firstPeriodCol;
+    let k = header + 1;
+    for (; k < grid.length; k++) {
+      const row = grid[k] || [];
+      if (isBlankRow(row)) {
+        blanks += 1;
+        if (blanks >= 2) break;
+        continue;
+      }
+      blanks = 0;
+      if (headerPeriods(row)) break;
+
+      let label = null;
+      let labelCol = null;
+      let unit = '';
+      for (let c = 0; c < firstPeriodCol; c++) {
+        const t = cellText(row[c]);
+        if (!t) continue;
+        if (isUnitCell(t)) { unit = t; continue; }
+        if (!label && hasLetters(t)) { label = t; labelCol = c; }
+      }
+      if (!label) continue;
+
+      const values = [];
+      for (const p of periods) {
+        const n = cellNumber(row[p.col]);
+        if (n) values.push({ p, n, cell: row[p.col] });
+      }
+      if (!values.length) {
+        section = label.slice(0, 200);
+        continue;
+      }
+      minLabelCol = Math.min(minLabelCol, labelCol);
+      lastDataRow = k;
+      const norm = normaliseLineItem(label);
+      if (!norm) continue;
+      for (const { p, n, cell } of values) {
+        const percent = n.percent || unit === '%';
+        rows.push({
+          line_item: label.slice(0, 300),
+          line_item_norm: norm.slice(0, 300),
+          section,
+          period: p.period,
+          period_type: p.type,
+          period_year: p.year,
+          period_index: p.index,
+          basis: p.basis,
+          value: n.value,
+          unit: percent ? 'percent' : 'number',
+          currency: percent ? null : (currencyFrom(cell?.z) || currencyFrom(unit) || tableCurrency),
+          scale: percent ? null : (n.scale || scaleFrom(unit) || tableScale),
+          cell_ref: ref(k, p.col),
+        });
+      }
+    }
+
+    if (rows.length) {
+      tables.push({
+        sheet_name: sheetName,
+        page_number: null,
+        title,
+        cell_range: `${ref(header, minLabelCol)}:${ref(lastDataRow, lastPeriodCol)}`,
+        currency: tableCurrency,
+        scale: tableScale,
+        periods: periods.map((p) => p.period),
+        rows,
+      });
+    }
+    r = Math.max(k, header + 1);
+  }
+  return tables;
+}
+
+// ─── PDF text ────────────────────────────────────────────────────────
+
+// The longest run of same-typed periods ending the line. Tries both
+// "Q3 2024"-style two-token periods and single tokens so "31 March 2024
+// 2023" reads as FY2024, FY2023 rather than one month.
+function trailingPeriods(tokens) {
+  const run = (preferPair) => {
+    const out = [];
+    let j = tokens.length - 1;
+    while (j >= 0) {
+      const pair = j > 0 ? parsePeriod(`${tokens[j - 1]} ${tokens[j]}`) : null;
+      const single = parsePeriod(tokens[j]);
+      const fits = (p) => p && (!out.length || p.type === out[0].type);
+      const choice = preferPair
+        ? (fits(pair) ? [pair, 2] : fits(single) ? [single, 1] : null)
+        : (fits(single) ? [single, 1] : fits(pair) ? [pair, 2] : null);
+      if (!choice) break;
+      out.unshift({ ...choice[0], numeric: choice[1] === 1 && /^\d{4}$/.test(tokens[j]) });
+      j -= choice[1];
+    }
+    return { periods: out, start: j + 1 };
+  };
+  const a = run(true);
+  const b = run(false);
+  const best = b.periods.length > a.periods.length ? b : a;
+  if (best.periods.length < 2) return null;
+  if (best.periods.every((p) => p.numeric) && !consecutiveYears(best.periods.map((p) => p.year))) return null;
+  if (new Set(best.periods.map((p) => `${p.period}|${p.basis}`)).size !== best.periods.length) return null;
+  return best;
+}
+
+/**
+ * Tables in extracted PDF text. Columns aren't preserved, so a data line
+ * is read right to left: the last N numbers map onto the N header
+ * periods and whatever precedes them is the label.
+ *
+ * @param {string} text
+ * @param {{ pageNumber?: number|null }} [opts]
+ */
+export function detectTextTables(text, { pageNumber = null } = {}) {
+  const lines = String(text || '').split(/\r?\n/);
+  const tables = [];
+  let current = null;
+  let misses = 0;
+
+  const close = () => {
+    if (current?.rows.length) tables.push(current);
+    current = null;
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    // Markdown pipes come through from OCR output.
+    const line = lines[i].replace(/\|/g, ' ').replace(/\s+/g, ' ').trim();
+    if (!line) continue;
+    const tokens = line.split(' ');
+
+    const head = trailingPeriods(tokens);
+    if (head) {
+      close();
+      const above = lines.slice(Math.max(0, i - 2), i).map((l) => l.trim()).filter(Boolean);
+      const lead = tokens.slice(0, head.start).join(' ');
+      const contextText = [...above, lead].join(' ');
+      const titleLine = [...above].reverse().find((l) => hasLetters(l) && !isUnitCell(l));
+      current = {
+        sheet_name: null,
+        page_number: pageNumber,
+        title: titleLine ? titleLine.slice(0, 200) : null,
+        cell_range: null,
+        currency: currencyFrom(contextText),
+        scale: scaleFrom(contextText),
+        periods: head.periods,
+        rows: [],
+        section: null,
+      };
+      misses = 0;
+      continue;
+    }
+    if (!current) continue;
+
+    // Peel numbers (and bare currency symbols between them) off the end.
+    let j = tokens.length - 1;
+    const numbers = [];
+    while (j >= 0) {
+      if (/^(?:US\$|[£$€¥])$/.test(tokens[j])) { j -= 1; continue; }
+      const n = parseNumber(tokens[j]);
+      if (!n) break;
+      numbers.unshift(n);
+      j -= 1;
+    }
+    const label = tokens.slice(0, j + 1).join(' ').replace(/[\s.:]+$/, '');
+    const k = current.periods.length;
+    if (!numbers.length && hasLetters(label) && label.length <= 60) {
+      current.section = label;
+      misses += 1;
+    } else if (numbers.length >= k && hasLetters(label)) {
+      misses = 0;
+      const norm = normaliseLineItem(label);
+      if (!norm) continue;
+      // Extra leading numbers are note references ("Revenue 4 12.1 10.3").
+      numbers.slice(numbers.length - k).forEach((n, idx) => {
+        const p = current.periods[idx];
+        current.rows.push({
+          line_item: label.slice(0, 300),
+          line_item_norm: norm.slice(0, 300),
+          section: current.section,
+          period: p.period,
+          period_type: p.type,
+          period_year: p.year,
+          period_index: p.index,
+          basis: p.basis,
+          value: n.value,
+          unit: n.percent ? 'percent' : 'number',
+          currency: n.percent ? null : current.currency,
+          scale: n.percent ? null : (n.scale || current.scale),
+          cell_ref: null,
+          source_text: line.slice(0, 300),
+        });
+      });
+    } else {
+      misses += 1;
+    }
+    if (misses >= 3) close();
+  }
+  close();
+  return tables.map(({ section, periods, ...t }) => ({ ...t, periods: periods.map((p) => p.period) }));
+}
+
+// ─── Querying ────────────────────────────────────────────────────────
+
+/**
+ * Line items that mean the same thing across management accounts, audited
+ * statements and CIMs. A query for any member matches all of them.
+ */
+export const LINE_ITEM_SYNONYMS = [
+  ['revenue', 'turnover', 'sales', 'net sales', 'total revenue', 'net revenue', 'total sales'],
+  ['cost of sales', 'cost of goods sold', 'cogs', 'direct costs'],
+  ['gross profit', 'gross margin'],
+  ['operating expenses', 'opex', 'overheads', 'administrative expenses', 'total overheads'],
+  ['ebitda', 'adjusted ebitda', 'underlying ebitda'],
+  ['ebit', 'operating profit', 'operating income'],
+  ['profit before tax', 'pbt', 'profit on ordinary activities before taxation'],
+  ['net income', 'net profit', 'profit after tax', 'profit for the year', 'profit for the period'],
+  ['capex', 'capital expenditure'],
+  ['cash', 'cash and cash equivalents', 'cash at bank and in hand', 'cash at bank'],
+  ['net debt', 'net borrowings'],
+  ['headcount', 'fte', 'ftes', 'employees', 'average number of employees'],
+  ['arr', 'annual recurring revenue'],
+  ['mrr', 'monthly recurring revenue'],
+];
+
+export function lineItemVariants(query) {
+  const norm = normaliseLineItem(query);
+  if (!norm) return [];
+  const group = LINE_ITEM_SYNONYMS.find((g) => g.includes(norm));
+  return group ? [norm, ...group.filter((v) => v !== norm)] : [norm];
+}
+
+/**
+ * "Q3 2024" → exact period; "Q3" → any Q3; "2024" → anything in 2024;
+ * "FY24" → the 2024 year column only.
+ *
+ * @returns {{ period?: string, type?: string, year?: number, index?: number } | null}
+ */
+export function parsePeriodQuery(text) {
+  const s = String(text || '').trim();
+  if (!s) return null;
+  if (/^\d{4}$/.test(s)) return { year: Number(s) };
+  let m;
+  if ((m = s.match(/^Q([1-4])$/i))) return { type: 'quarter', index: Number(m[1]) };
+  if ((m = s.match(/^H([12])$/i))) return { type: 'half', index: Number(m[1]) };
+  const month = monthIndex(s);
+  if (month && /^[A-Za-z]+$/.test(s)) return { type: 'month', index: month };
+  const p = parsePeriod(s);
+  return p ? { period: p.period, type: p.type, year: p.year, index: p.index } : null;
+}
+
+function wordsContain(haystack, needle) {
+  return ` ${haystack} `.includes(` ${needle} `);
+}
+
+/**
+ * Order candidate rows for a query: exact label matches before "starts
+ * with" before "contains", shorter labels first (so "Revenue" beats
+ * "Revenue growth %"), then latest period, actuals before forecasts.
+ * Rows that match neither the label nor the period are dropped.
+ */
+export function rankTableRows(rows, { lineItem, period } = {}) {
+  const variants = lineItemVariants(lineItem);
+  const pq = typeof period === 'string' ? parsePeriodQuery(period) : period || null;
+  const basisRank = { actual: 0, null: 1, forecast: 2, budget: 3 };
+  const scored = [];
+  for (const row of rows || []) {
+    const norm = row.line_item_norm || normaliseLineItem(row.line_item);
+    let score = 0;
+    for (const v of variants) {
+      const s = norm === v ? 100 : norm.startsWith(`${v} `) ? 60 : wordsContain(norm, v) ? 40 : 0;
+      if (s) score = Math.max(score, s - (norm.split(' ').length - v.split(' ').length) * 2);
+    }
+    if (!score) continue;
+    if (pq) {
+      if (pq.period && row.period !== pq.period) continue;
+      if (pq.type && !pq.period && row.period_type !== pq.type) continue;
+      if (pq.year && row.period_year !== pq.year) continue;
+      if (pq.index && row.period_index !== pq.index) continue;
+    }
+    scored.push({ row, score });
+  }
+  scored.sort((a, b) => (b.score - a.score)
+    || ((b.row.period_year || 0) - (a.row.period_year || 0))
+    || ((b.row.period_index || 0) - (a.row.period_index || 0))
+    || (basisRank[a.row.basis ?? 'null'] - basisRank[b.row.basis ?? 'null']));
+  return scored.map((s) => s.row);
+}
+
+/**
+ * PostgREST filter for the candidate set — a loose ilike over every label
+ * variant plus whatever the period pins down. rankTableRows does the
+ * precise matching on what comes back.
+ */
+export function tableRowFilters({ lineItem, period, documentId } = {}) {
+  const parts = [];
+  const variants = lineItemVariants(lineItem);
+  if (variants.length) {
+    const or = variants.map((v) => `line_item_norm.ilike.*${v}*`).join(',');
+    parts.push(`or=${encodeURIComponent(`(${or})`)}`);
+  }
+  const pq = typeof period === 'string' ? parsePeriodQuery(period) : period || null;
+  if (pq?.period) parts.push(`period=eq.${encodeURIComponent(pq.period)}`);
+  else if (pq?.type) parts.push(`period_type=eq.${pq.type}`);
+  if (pq?.year) parts.push(`period_year=eq.${pq.year}`);
+  if (pq?.index) parts.push(`period_index=eq.${pq.index}`);
+  if (documentId) parts.push(`document_id=eq.${encodeURIComponent(documentId)}`);
+  return parts.join('&');
+}
+
+const SCALE_LABELS = { 1000: 'thousands', 1000000: 'millions', 1000000000: 'billions' };
+
+/** "Revenue · Q3 2024 = 12,400 (GBP thousands)" — for tool output and source cards. */
+export function formatTableValue(row) {
+  const n = Number(row.value);
+  const shown = row.unit === 'percent'
+    ? `${n.toLocaleString('en-GB', { maximumFractionDigits: 2 })}%`
+    : n.toLocaleString('en-GB', { maximumFractionDigits: 4 });
+  const unit = [row.currency, SCALE_LABELS[Number(row.scale)]].filter(Boolean).join(' ');
+  const basis = row.basis ? ` ${row.basis}` : '';
+  return `${row.line_item} · ${row.period}${basis} = ${shown}${unit ? ` (${unit})` : ''}`;
+}
@@ -0,0 +1,84 @@
+/**
+ * Write side for findings raised by deterministic scans (contract clauses,
+ * cross-document contradictions) rather than by the model. Each scan owns
+ * a family of finding_keys; a run reconciles that family against what it
+ * found:
+ *
+ *   - keys not yet on the deal are inserted
+ *   - keys already there are refreshed in place and un-staled — reviews
+ *     and comments hang off (deal_id, finding_key), so they survive
+ *   - keys the scan no longer produces are marked stale, never deleted,
+ *     so a reviewer's decision on them stays visible
+ *
+ * Reviewer-owned columns (tags) are never written here. deal_findings has
+ * no unique index on (deal_id, finding_key), hence read-then-write rather
+ * than an upsert.
+ *
+ * Server-side only: service-role headers; callers are trusted workers.
+ */
+
+import {
+  getSupabaseHeaders, getSupabaseWriteHeaders, fetchWithTimeout,
+} from '@/lib/api-helpers';
+
+async function ok(resp, what) {
+  if (resp.ok) return resp;
+  const txt = await resp.text().catch(() => '');
+  throw new Error(`${what} failed (${resp.status}): ${txt.slice(0, 200)}`);
+}
+
+/**
+ * @param {{ url: string, key: string }} sb
+ * @param {{ dealId: string, findings: object[], keyFilter: string, staleReason: string }} args
+ *   keyFilter — PostgREST filter selecting the scan's whole key family,
+ *   e.g. `finding_key=in.(a,b)` or `finding_key=like.contradiction-*`.
+ * @returns {Promise<{ created: number, updated: number, staled: number }>}
+ */
+export async function syncScanFindings(sb, { dealId, findings, keyFilter, staleReason }) {
+  const headers = getSupabaseHeaders(sb.key);
+  const write = getSupabaseWriteHeaders(sb.key);
+
+  const existingResp = await ok(await fetchWithTimeout(
+    `${sb.url}/rest/v1/deal_findings?deal_id=eq.${dealId}&${keyFilter}&select=id,finding_key,stale&limit=1000`,
+    { method: 'GET', headers },
+  ), 'finding read');
+  const existing = new Map((await existingResp.json()).map((f) => [f.finding_key, f]));
+
+  const counts = { created: 0, updated: 0, staled: 0 };
+  const fresh = findings.filter((f) => !existing.has(f.finding_key));
+  if (fresh.length) {
+    await ok(await fetchWithTimeout(
+      `${sb.url}/rest/v1/deal_findings`,
+      { method: 'POST', headers: { ...write, Prefer: 'return=minimal' }, body: JSON.stringify(fresh) },
+    ), 'finding insert');
+    counts.created = fresh.length;
+  }
+  for (const f of findings) {
+    const prev = existing.get(f.finding_key);
+    if (!prev) continue;
+    const { deal_id: _d, finding_key: _k, ...patch } = f;
+    await ok(await fetchWithTimeout(
+      `${sb.url}/rest/v1/deal_findings?id=eq.${prev.id}`,
+      {
+        method: 'PATCH',
+        headers: write,
+        body: JSON.stringify({ ...patch, stale: false, stale_reason: null, stale_at: null }),
+      },
+    ), 'finding update');
+    counts.updated += 1;
+  }
+  const found = new Set(findings.map((f) => f.finding_key));
+  for (const prev of existing.values()) {
+    if (found.has(prev.finding_key) || prev.stale) continue;
+    await ok(await fetchWithTimeout(
+      `${sb.url}/rest/v1/deal_findings?id=eq.${prev.id}`,
+      {
+        method: 'PATCH',
+        headers: write,
+        body: JSON.stringify({ stale: true, stale_reason: staleReason, stale_at: new Date().toISOString() }),
+      },
+    ), 'finding stale');
+    counts.staled += 1;
+  }
+  return counts;
+}
@@ -0,0 +1,423 @@
+/**
+ * Key facts and cross-document contradictions.
+ *
+ * The same handful of numbers turns up in most documents of a data room —
+ * revenue, EBITDA, headcount, customer count, when the business was
+ * founded, when its financial year ends — and they do not always agree:
+ * the CIM rounds up, the management accounts don't, the board deck is a
+ * quarter out of date. This module reads those facts out of each document
+ * with a citation and compares them across documents.
+ *
+ *   extractDocumentFacts({ chunks, tableRows })   one document → fact[]
+ *   findContradictions(facts)                     deal facts → conflict[]
+ *   contradictionFindings(ctx, conflicts)         conflict[] → deal_findings rows
+ *
+ * Facts come from two places: prose sentences in the chunks ("revenue of
+ * £12.4m in FY24", "employs over 140 people") and the typed table rows
+ * from ./financialTables.js, which are exact and carry their own cell ref.
+ * Forecasts and budgets are left out — disagreeing about the future is
+ * not a contradiction. Pure — see ./contradictionScan.js for the I/O.
+ */
+
+import crypto from 'node:crypto';
+import { parsePeriod, formatTableValue } from './financialTables.js';
+
+/**
+ * Fact types, in finding order. `kind` decides how values compare:
+ * money and counts within a relative tolerance, years and months exactly.
+ */
+export const FACT_TYPES = {
+  revenue:         { label: 'Revenue',            kind: 'money', category: 'financial' },
+  ebitda:          { label: 'EBITDA',             kind: 'money', category: 'financial' },
+  adjusted_ebitda: { label: 'Adjusted EBITDA',    kind: 'money', category: 'financial' },
+  headcount:       { label: 'Headcount',          kind: 'count', category: 'people' },
+  customers:       { label: 'Customer count',     kind: 'count', category: 'commercial' },
+  founded:         { label: 'Year founded',       kind: 'year',  category: 'general' },
+  year_end:        { label: 'Financial year end', kind: 'month', category: 'financial' },
+};
+
+export const FACT_TYPE_KEYS = Object.keys(FACT_TYPES);
+
+// Relative gap tolerated before two figures count as contradicting. Loose
+// figures ("over 350 customers", "c.£12m") get the wider band.
+const TOLERANCE = { money: 0.02, count: 0.05, year: 0, month: 0 };
+const LOOSE_TOLERANCE = { money: 0.1, count: 0.15, year: 0, month: 0 };
+
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July',
+  'August', 'September', 'October', 'November', 'December'];
+
+const APPROX = String.raw`(approximately|approx\.?|c\.|circa|around|about|over|more\s+than|nearly|almost|some|~|in\s+excess\s+of)?\s*`;
+const COUNT = String.raw`(\d{1,3}(?:,\d{3})+|\d+)(\+)?`;
+const MONEY = String.raw`(US\$|A\$|C\$|[£$€]|\b(?:GBP|USD|EUR)\s?)(\d{1,3}(?:,\d{3})+(?:\.\d+)?|\d+(?:\.\d+)?)\s?(billion|bn|million|mn|m|thousand|k)?(?![A-Za-z])`;
+const PERIOD_TOKEN = /\b(?:(?:LTM|TTM|YTD)\s+)?(?:FY\s?'?\d{2}(?:\d{2})?(?:[/-]\d{2,4})?|[HQ][1-4]\s?(?:FY)?\s?'?\d{2}(?:\d{2})?|(?:19|20)\d{2}(?:\/\d{2})?)\b/gi;
+
+const MONEY_RE = new RegExp(
+  String.raw`\b(adjusted\s+|underlying\s+|normali[sz]ed\s+|pro[-\s]forma\s+)?(revenues?|turnover|sales|ebitda)\b([^.;£$€]{0,60}?)${MONEY}`,
+  'gi',
+);
+const COUNT_PATTERNS = {
+  headcount: [
+    new RegExp(String.raw`\b(?:employs|employing|workforce\s+of|team\s+of|staff\s+of|headcount\s+(?:of|is|was|stood\s+at|stands\s+at|:))\s+${APPROX}${COUNT}`, 'gi'),
+    new RegExp(String.raw`${APPROX}\b${COUNT}\s+(?:full[-\s]time\s+(?:equivalent\s+)?)?(?:employees|staff|FTEs?|colleagues)\b`, 'gi'),
+  ],
+  customers: [
+    new RegExp(String.raw`\b(?:customer|client)\s+(?:count|base)\s+(?:of|is|was|:)\s+${APPROX}${COUNT}`, 'gi'),
+    new RegExp(String.raw`${APPROX}\b${COUNT}\s+(?:active\s+|paying\s+|live\s+|enterprise\s+|b2b\s+|corporate\s+)?(?:customers|clients)\b`, 'gi'),
+  ],
+};
+const FOUNDED_RE = /\b(?:founded|established|incorporated|formed)\s+in\s+((?:18|19|20)\d{2})\b/gi;
+const MONTH_ALT = MONTHS.join('|');
+const YEAR_END_RE = [
+  new RegExp(String.raw`\b(?:financial|fiscal|accounting)\s+year[-\s]+end(?:s|ed|ing)?\s+(?:is\s+|on\s+|of\s+)?(?:the\s+)?(?:\d{1,2}(?:st|nd|rd|th)?\s+)?(${MONTH_ALT})\b`, 'gi'),
+  new RegExp(String.raw`\byears?\s+end(?:ed|ing)\s+\d{1,2}(?:st|nd|rd|th)?\s+(${MONTH_ALT})\b`, 'gi'),
+];
+
+// Statements about the future, or about a slice of the business.
+const FORWARD_LOOKING = /\b(forecast|budget(?:ed)?|projected|projection|expect(?:s|ed)?|anticipate[sd]?|target(?:ed)?|plan(?:ned)?|guidance|will\s+be|by\s+(?:the\s+end\s+of\s+)?(?:FY)?\d{2,4})\b/i;
+const SLICE_BEFORE = /\b(recurring|subscription|annuali[sz]ed|monthly|segment|divisional|top|largest|biggest|first|key|new)\s+$/i;
+const LOOSE_BEFORE = /(?:\b(?:approximately|approx\.?|c\.|circa|around|about|over|more\s+than|nearly|almost|some|in\s+excess\s+of)|~)\s*$/i;
+const GAP_BREAKS = /revenue|turnover|sales|ebitda|margin|growth|grew\s+by|%|per\s+cent|percent/i;
+
+const SCALE_WORDS = { billion: 1e9, bn: 1e9, million: 1e6, mn: 1e6, m: 1e6, thousand: 1e3, k: 1e3 };
+const CURRENCY_OF = { '£': 'GBP', '€': 'EUR', $: 'USD', 'US$': 'USD', 'A$': 'AUD', 'C$': 'CAD' };
+
+function sentences(text) {
+  return String(text || '')
+    .replace(/\r/g, '')
+    .split(/(?<!\b(?:c|approx|no)\.)(?<=[.;])\s+(?=[A-Z(0-9£$€])|\n{2,}/)
+    .map((s) => s.replace(/\s+/g, ' ').trim())
+    .filter(Boolean);
+}
+
+function toInt(raw) {
+  return Number(String(raw).replace(/,/g, ''));
+}
+
+function looksLikeYear(raw) {
+  return /^(?:18|19|20)\d{2}$/.test(raw);
+}
+
+/** The period named closest to `at` in the sentence, if any. */
+function nearestPeriod(sentence, at) {
+  let best = null;
+  for (const m of sentence.matchAll(PERIOD_TOKEN)) {
+    const p = parsePeriod(m[0]);
+    if (!p || p.basis === 'forecast' || p.basis === 'budget') continue;
+    const distance = Math.abs(m.index - at);
+    if (!best || distance < best.distance) best = { period: p.period, distance };
+  }
+  return best?.period ?? null;
+}
+
+function chunkRef(chunk) {
+  return {
+    chunk_id: chunk.id ?? null,
+    page_number: chunk.page_number ?? null,
+    sheet_name: chunk.sheet_name ?? null,
+    cell_ref: null,
+  };
+}
+
+function textFacts(chunk) {
+  const out = [];
+  for (const sentence of sentences(chunk.content)) {
+    const excerpt = sentence.slice(0, 400);
+    const base = { ...chunkRef(chunk), source: 'text', excerpt };
+    const push = (fact) => {
+      if (!out.some((f) => f.fact_type === fact.fact_type && f.period === fact.period)) out.push({ ...base, ...fact });
+    };
+
+    if (!FORWARD_LOOKING.test(sentence)) {
+      for (const m of sentence.matchAll(MONEY_RE)) {
+        const [, qualifier, metric, gap, symbol, number, scaleWord] = m;
+        if (GAP_BREAKS.test(gap) || SLICE_BEFORE.test(sentence.slice(Math.max(0, m.index - 24), m.index + (qualifier?.length || 0)))) continue;
+        const period = nearestPeriod(sentence, m.index + m[0].length);
+        if (!period) continue;
+        const code = symbol.trim().toUpperCase();
+        push({
+          fact_type: /ebitda/i.test(metric) ? (qualifier ? 'adjusted_ebitda' : 'ebitda') : 'revenue',
+          period,
+          value: Number(number.replace(/,/g, '')) * (SCALE_WORDS[scaleWord?.toLowerCase()] || 1),
+          currency: CURRENCY_OF[symbol.trim()] || (/^[A-Z]{3}$/.test(code) ? code : null),
+          scale_known: true,
+          approximate: LOOSE_BEFORE.test(gap),
+        });
+      }
+    }
+
+    for (const [type, patterns] of Object.entries(COUNT_PATTERNS)) {
+      for (const re of patterns) {
+        for (const m of sentence.matchAll(re)) {
+          const [, approx, number, plus] = m;
+          if (looksLikeYear(number) || SLICE_BEFORE.test(sentence.slice(Math.max(0, m.index - 12), m.index + m[0].indexOf(number)))) continue;
+          const value = toInt(number);
+          if (!(value > 1)) continue;
+          push({
+            fact_type: type,
+            period: nearestPeriod(sentence, m.index),
+            value,
+            currency: null,
+            scale_known: true,
+            approximate: Boolean(approx || plus),
+          });
+        }
+      }
+    }
+
+    for (const m of sentence.matchAll(FOUNDED_RE)) {
+      push({ fact_type: 'founded', period: null, value: Number(m[1]), currency: null, scale_known: true, approximate: false });
+    }
+    for (const re of YEAR_END_RE) {
+      for (const m of sentence.matchAll(re)) {
+        const month = MONTHS.findIndex((name) => name.toLowerCase() === m[1].toLowerCase()) + 1;
+        push({ fact_type: 'year_end', period: null, value: month, currency: null, scale_known: true, approximate: false });
+      }
+    }
+  }
+  return out;
+}
+
+// deal_table_rows.line_item_norm → fact type.
+const TABLE_LINE_ITEMS = {
+  revenue: 'revenue', turnover: 'revenue', sales: 'revenue', 'net sales': 'revenue',
+  'total revenue': 'revenue', 'net revenue': 'revenue', 'total sales': 'revenue', revenues: 'revenue',
+  ebitda: 'ebitda', 'reported ebitda': 'ebitda',
+  'adjusted ebitda': 'adjusted_ebitda', 'underlying ebitda': 'adjusted_ebitda', 'normalised ebitda': 'adjusted_ebitda',
+  headcount: 'headcount', 'total headcount': 'headcount', fte: 'headcount', ftes: 'headcount',
+  employees: 'headcount', 'number of employees': 'headcount', 'average number of employees': 'headcount',
+  customers: 'customers', 'number of customers': 'customers', 'customer count': 'customers',
+  'active customers': 'customers', 'total customers': 'customers',
+};
+
+export const TABLE_FACT_LINE_ITEMS = Object.keys(TABLE_LINE_ITEMS);
+
+/**
+ * The chunk a table value was read from: same sheet (or page), preferring
+ * the one whose text names the line item.
+ */
+function locateChunk(row, chunks) {
+  const candidates = chunks.filter((c) => (row.sheet_name
+    ? c.sheet_name === row.sheet_name
+    : row.page_number != null && c.page_number === row.page_number));
+  const label = String(row.line_item || '').toLowerCase();
+  return candidates.find((c) => String(c.content || '').toLowerCase().includes(label)) || candidates[0] || null;
+}
+
+function tableFacts(rows, chunks) {
+  const out = [];
+  for (const row of rows || []) {
+    const type = TABLE_LINE_ITEMS[row.line_item_norm];
+    if (!type || row.unit === 'percent' || row.basis === 'forecast' || row.basis === 'budget') continue;
+    const money = FACT_TYPES[type].kind === 'money';
+    const chunk = locateChunk(row, chunks);
+    out.push({
+      fact_type: type,
+      period: row.period,
+      value: money ? Number(row.value) * (Number(row.scale) || 1) : Number(row.value),
+      currency: money ? row.currency || null : null,
+      // An unlabelled £'000 table would otherwise read as a 1000× gap.
+      scale_known: !money || row.scale != null,
+      approximate: false,
+      source: 'table',
+      excerpt: row.source_text || formatTableValue(row),
+      chunk_id: chunk?.id ?? null,
+      page_number: row.page_number ?? null,
+      sheet_name: row.sheet_name ?? null,
+      cell_ref: row.cell_ref ?? null,
+    });
+  }
+  return out;
+}
+
+/**
+ * Facts stated in one document.
+ *
+ * @param {{ chunks: Array<{ id, page_number?, sheet_name?, content }>,
+ *           tableRows?: Array<object> }} doc  tableRows are deal_table_rows
+ * @returns {Array<{ fact_type, period: string|null, value: number, currency: string|null,
+ *                   scale_known: boolean, approximate: boolean, source: 'text'|'table',
+ *                   excerpt, chunk_id, page_number, sheet_name, cell_ref }>}
+ */
+export function extractDocumentFacts({ chunks = [], tableRows = [] } = {}) {
+  const facts = tableFacts(tableRows, chunks);
+  const seen = new Set(facts.map((f) => `${f.fact_type}|${f.period}`));
+  for (const chunk of chunks) {
+    for (const f of textFacts(chunk)) {
+      // Prose restating a value the document's own table already gives adds nothing.
+      const key = `${f.fact_type}|${f.period}`;
+      if (f.period && seen.has(key) && FACT_TYPES[f.fact_type].kind === 'money') continue;
+      facts.push(f);
+    }
+  }
+  return facts;
+}
+
+// ─── Comparison ─────────────────────────────────────────────────────
+
+/**
+ * Relative gap between two facts of the same type, or null when they
+ * can't be compared (different currencies). Money with an unknown scale
+ * is read at whichever power of 1000 sits closest to the other figure.
+ */
+function gap(a, b) {
+  if (a.currency && b.currency && a.currency !== b.currency) return null;
+  let x = a.value;
+  const y = b.value;
+  if (!a.scale_known || !b.scale_known) {
+    const candidates = [1, 1e3, 1e6, 1e-3, 1e-6].map((k) => x * k);
+    x = candidates.reduce((best, v) => (Math.abs(v - y) < Math.abs(best - y) ? v : best), x);
+  }
+  const denom = Math.max(Math.abs(x), Math.abs(y));
+  return denom === 0 ? 0 : Math.abs(x - y) / denom;
+}
+
+// One fact per document per key: exact table values over prose, firm over loose.
+function representative(list) {
+  return [...list].sort((a, b) => (a.source === 'table' ? 0 : 1) - (b.source === 'table' ? 0 : 1)
+    || Number(a.approximate) - Number(b.approximate))[0];
+}
+
+/**
+ * Facts of the same type and period that disagree between documents.
+ *
+ * @param {Array<object>} facts  deal_document_facts rows (need document_id)
+ * @returns {Array<{ fact_type, period: string|null, gap: number, sides: object[] }>}
+ *   sides — one fact per document, the two furthest apart first
+ */
+export function findContradictions(facts) {
+  const groups = new Map();
+  for (const f of facts || []) {
+    if (!FACT_TYPES[f.fact_type]) continue;
+    const key = `${f.fact_type}|${f.period ?? ''}`;
+    const byDoc = groups.get(key) || new Map();
+    const list = byDoc.get(f.document_id) || [];
+    list.push(f);
+    byDoc.set(f.document_id, list);
+    groups.set(key, byDoc);
+  }
+
+  const out = [];
+  for (const byDoc of groups.values()) {
+    if (byDoc.size < 2) continue;
+    const reps = [...byDoc.values()].map(representative);
+    const { kind } = FACT_TYPES[reps[0].fact_type];
+    let worst = null;
+    for (let i = 0; i < reps.length; i++) {
+      for (let j = i + 1; j < reps.length; j++) {
+        const g = gap(reps[i], reps[j]);
+        if (g == null) continue;
+        const tolerance = (reps[i].approximate || reps[j].approximate ? LOOSE_TOLERANCE : TOLERANCE)[kind];
+        if (g > tolerance && (!worst || g > worst.gap)) worst = { gap: g, pair: [reps[i], reps[j]] };
+      }
+    }
+    if (!worst) continue;
+    const rest = reps.filter((f) => !worst.pair.includes(f)).sort((a, b) => a.value - b.value);
+    out.push({
+      fact_type: reps[0].fact_type,
+      period: reps[0].period ?? null,
+      gap: worst.gap,
+      sides: [...worst.pair, ...rest],
+    });
+  }
+  return out.sort((a, b) => FACT_TYPE_KEYS.indexOf(a.fact_type) - FACT_TYPE_KEYS.indexOf(b.fact_type)
+    || String(a.period).localeCompare(String(b.period)));
+}
+
+const SYMBOL = { GBP: '£', USD: '$', EUR: '€' };
+
+function trim(n) {
+  return String(Number(n.toFixed(2)));
+}
+
+/** "£12.4m", "c.350", "2009", "March". */
+export function formatFactValue(fact) {
+  const { kind } = FACT_TYPES[fact.fact_type] || {};
+  const loose = fact.approximate ? 'c.' : '';
+  if (kind === 'year') return String(fact.value);
+  if (kind === 'month') return MONTHS[fact.value - 1] || String(fact.value);
+  if (kind === 'count') return `${loose}${Number(fact.value).toLocaleString('en-GB')}`;
+  const v = Number(fact.value);
+  const prefix = fact.currency ? SYMBOL[fact.currency] || `${fact.currency} ` : '';
+  const abs = Math.abs(v);
+  let body;
+  if (!fact.scale_known) body = Number(v).toLocaleString('en-GB');
+  else if (abs >= 1e9) body = `${trim(v / 1e9)}bn`;
+  else if (abs >= 1e6) body = `${trim(v / 1e6)}m`;
+  else if (abs >= 1e3) body = `${trim(v / 1e3)}k`;
+  else body = trim(v);
+  return `${loose}${prefix}${body}`;
+}
+
+/** Stable per (fact type, period) so re-runs update rather than duplicate. */
+export function contradictionFindingKey(factType, period) {
+  const hash = crypto.createHash('sha1').update(`${factType}|${period ?? ''}`).digest('hex').slice(0, 12);
+  return `contradiction-${hash}`;
+}
+
+const RECOMMENDATION = {
+  money: 'Reconcile the figures with management (basis, period end, adjustments, FX) before relying on either.',
+  count: 'Confirm the definition (heads vs FTE, active vs total) and the as-at date with management.',
+  year: 'Confirm the correct date with management and correct the document that is wrong.',
+  month: 'Confirm the financial year end with management; if it changed, ask for the transition period accounts.',
+};
+
+function severityOf(kind, g) {
+  if (kind === 'year' || kind === 'month') return 'medium';
+  const [high, medium] = kind === 'money' ? [0.1, 0.05] : [0.2, 0.1];
+  if (g >= high) return 'high';
+  if (g >= medium) return 'medium';
+  return 'low';
+}
+
+/**
+ * One redFlags finding per contradiction, with a document_chunk evidence
+ * entry per document so each side opens in the evidence viewer.
+ *
+ * @param {{ dealId: string, documents: Array<{ id, filename, label? }> }} ctx
+ */
+export function contradictionFindings({ dealId, documents }, conflicts) {
+  const docs = new Map((documents || []).map((d) => [d.id, d]));
+  const nameOf = (f) => docs.get(f.document_id)?.filename || 'document';
+  const whereOf = (f) => [
+    f.page_number ? `p.${f.page_number}` : null,
+    f.sheet_name ? `sheet ${f.sheet_name}` : null,
+    f.cell_ref,
+  ].filter(Boolean).join(', ');
+
+  return (conflicts || []).map((c) => {
+    const def = FACT_TYPES[c.fact_type];
+    const [a, b] = c.sides;
+    const subject = c.period ? `${def.label} ${c.period}` : def.label;
+    const percent = def.kind === 'money' || def.kind === 'count' ? ` (${Math.round(c.gap * 1000) / 10}% apart)` : '';
+    return {
+      deal_id: dealId,
+      finding_key: contradictionFindingKey(c.fact_type, c.period),
+      section: 'redFlags',
+      order_index: 10 + FACT_TYPE_KEYS.indexOf(c.fact_type),
+      title: `${subject} differs across documents: ${formatFactValue(a)} vs ${formatFactValue(b)}`.slice(0, 300),
+      body: [
+        `Documents in the data room disagree on ${subject}${percent}:`,
+        c.sides.map((f) => {
+          const where = whereOf(f);
+          return `- ${nameOf(f)}${where ? ` (${where})` : ''}: ${formatFactValue(f)} — "${f.excerpt.slice(0, 200)}"`;
+        }).join('\n'),
+      ].join('\n\n'),
+      category: def.category,
+      severity: severityOf(def.kind, c.gap),
+      confidence: a.source === 'table' && b.source === 'table' ? 0.8 : (a.approximate || b.approximate ? 0.6 : 0.7),
+      impact: [],
+      evidence: c.sides.slice(0, 4).map((f) => ({
+        kind: 'document_chunk',
+        ref: {
+          chunk_id: f.chunk_id,
+          document_id: f.document_id,
+          page_number: f.page_number,
+          sheet_name: f.sheet_name,
+          cell_range: f.cell_ref,
+        },
+        snippet: `${formatFactValue(f)} — ${f.excerpt}`.slice(0, 280),
+      })),
+      recommendations: [RECOMMENDATION[def.kind]],
+    };
+  });
+}
@@ -0,0 +1,76 @@
+/**
+ * Exact lookups over the structured financial tables of a deal's data
+ * room (deal_table_rows, migration-deal-doc-tables.sql). Backs the chat
+ * agent's `query_deal_tables` tool: the filter is loose (every synonym of
+ * the line item, plus whatever the period pins down) and
+ * rankTableRows() picks the best matches from what comes back.
+ *
+ * Server-side only: uses the service-role Supabase headers because the
+ * caller has already enforced deal-level auth.
+ */
+
+import { getSupabaseHeaders, fetchWithTimeout } from '@/lib/api-helpers';
+import { logger } from '@/lib/logger';
+import { rankTableRows, tableRowFilters } from './financialTables.js';
+
+const CANDIDATE_LIMIT = 500;
+
+/**
+ * @param {object} args
+ * @param {string} args.supabaseUrl
+ * @param {string} args.supabaseKey - service role key
+ * @param {string} args.dealId
+ * @param {string} args.lineItem - "revenue", "EBITDA", "headcount"…
+ * @param {string} [args.period] - "Q3 2024", "FY24", "2024", "Q3"
+ * @param {string} [args.documentId]
+ * @param {number} [args.limit]
+ * @param {(rows: object[]) => Promise<object[]>} [args.filterRows] - drops
+ *          rows the caller may not see; runs before `limit` so hidden rows
+ *          don't use up the result
+ * @returns {Promise<Array<object>>} deal_table_rows plus `filename` and
+ *          `table_title` / `table_range`, best match first
+ */
+export async function queryDealTables({
+  supabaseUrl, supabaseKey, dealId, lineItem, period = null, documentId = null, limit = 20, filterRows = null,
+}) {
+  const filters = tableRowFilters({ lineItem, period, documentId });
+  if (!filters.includes('or=')) return [];
+  const headers = getSupabaseHeaders(supabaseKey);
+
+  const resp = await fetchWithTimeout(
+    `${supabaseUrl}/rest/v1/deal_table_rows?deal_id=eq.${encodeURIComponent(dealId)}&${filters}`
+      + `&select=*&limit=${CANDIDATE_LIMIT}`,
+    { method: 'GET', headers },
+    15000,
+  );
+  if (!resp.ok) {
+    const txt = await resp.text().catch(() => '');
+    logger.warn('deal_table_rows query failed', { status: resp.status, body: txt.slice(0, 300) });
+    return [];
+  }
+  const candidates = await resp.json().catch(() => []);
+  const ranked = rankTableRows(Array.isArray(candidates) ? candidates : [], { lineItem, period });
+  const visible = filterRows ? await filterRows(ranked) : ranked;
+  const rows = visible.slice(0, Math.max(1, Math.min(limit, 50)));
+  if (!rows.length) return [];
+
+  const inList = (ids) => [...new Set(ids)].map(encodeURIComponent).join(',');
+  const [docs, tables] = await Promise.all([
+    fetchWithTimeout(
+      `${supabaseUrl}/rest/v1/deal_documents?id=in.(${inList(rows.map((r) => r.document_id))})&select=id,filename`,
+      { method: 'GET', headers },
+    ).then((r) => (r.ok ? r.json() : [])).catch(() => []),
+    fetchWithTimeout(
+      `${supabaseUrl}/rest/v1/deal_document_tables?id=in.(${inList(rows.map((r) => r.table_id))})&select=id,title,cell_range`,
+      { method: 'GET', headers },
+    ).then((r) => (r.ok ? r.json() : [])).catch(() => []),
+  ]);
+  const filenames = new Map(docs.map((d) => [d.id, d.filename]));
+  const tableById = new Map(tables.map((t) => [t.id, t]));
+  return rows.map((r) => ({
+    ...r,
+    filename: filenames.get(r.document_id) || null,
+    table_title: tableById.get(r.table_id)?.title || null,
+    table_range: tableById.get(r.table_id)?.cell_range || null,
+  }));
+}
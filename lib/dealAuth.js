@@ -10,6 +10,9 @@ import { auditLog } from './auditLog.js';
  *   'participant'  - read-only, plus update own deal_participants row
  *   null           - no access
  *
+ * The result carries the viewer's lower-cased `email` so helpers that only
+ * get `access` (e.g. loadDocumentViewer) know who is asking.
+ *
  * Usage in route handlers:
  *   const access = await resolveDealAccess({ dealId, email });
  *   if (!access) return 403;
@@ -52,7 +55,7 @@ export async function resolveDealAccess({ dealId, email, userId }) {
       dealId, targetType: 'deal', targetId: dealId,
       details: { mode: 'owner' },
     });
-    return { mode: 'owner', deal, canEdit: true, canManage: true, canDelete: true };
+    return { mode: 'owner', deal, email: lowerEmail, canEdit: true, canManage: true, canDelete: true };
   }
 
   const collabEmails = Array.isArray(deal.collaborator_emails) ? deal.collaborator_emails : [];
@@ -64,7 +67,7 @@ export async function resolveDealAccess({ dealId, email, userId }) {
       dealId, targetType: 'deal', targetId: dealId,
       details: { mode: 'collaborator' },
     });
-    return { mode: 'collaborator', deal, canEdit: true, canManage: true, canDelete: false };
+    return { mode: 'collaborator', deal, email: lowerEmail, canEdit: true, canManage: true, canDelete: false };
   }
 
   // 2. Participant check
@@ -83,6 +86,7 @@ export async function resolveDealAccess({ dealId, email, userId }) {
     return {
       mode: 'participant',
       deal,
+      email: lowerEmail,
       participantId: partRows[0].id,
       participantRole: partRows[0].role,
       participantCompany: partRows[0].company_name,
@@ -0,0 +1,126 @@
+/**
+ * AI matcher for the expected-documents checklist: which uploaded document
+ * satisfies which outstanding item, beyond filename keywords.
+ *
+ * The keyword + category rule in lib/dealDocumentChecklist.js misses
+ * "FY24 Pack Final v3.pdf" for "Audited accounts". The route
+ * (app/api/deals/[id]/checklist/suggest) sends the items still missing and
+ * the visible documents — filename, label, category and the opening of the
+ * extracted text — and this module asks the model to pair them, one line
+ * per match, then maps the lines back to real item and document ids.
+ * Lines naming an unknown item or document are dropped.
+ *
+ * Suggestions are stored on deal_checklist_marks.suggestions and only
+ * count once a person accepts them (PATCH …/checklist/items/[itemId]).
+ */
+
+import Anthropic from '@anthropic-ai/sdk';
+import { logger } from './logger.js';
+import { CHAT_MODEL_ID } from './agents/models.js';
+
+const EXCERPT_CHARS = 600;
+const REASON_CHARS = 200;
+export const MAX_MATCHER_ITEMS = 150;
+export const MAX_MATCHER_DOCS = 120;
+const MAX_PER_ITEM = 3;
+const CONFIDENCES = ['high', 'medium', 'low'];
+
+const SYSTEM = `You match data-room documents to a due-diligence request checklist.
+
+For each checklist item, decide which of the numbered documents (if any) provide it. Judge by what the document is, from its name, label, category and opening text — not by keywords alone. A document may satisfy several items; an item may be satisfied by several documents. Skip items nothing provides.
+
+Reply with one line per match and nothing else:
+<item id> | D<n> | high|medium|low | <short reason>
+
+If nothing matches, reply with NONE.`;
+
+/**
+ * @param {{ items: object[], documents: object[] }} args
+ *   documents: { id, filename, label, category, excerpt }
+ * @returns {{ system: string, user: string }}
+ */
+export function buildMatcherPrompt({ items, documents }) {
+  const itemLines = items.map((i) => {
+    const extra = [i.section ? `section: ${i.section}` : null, i.description || null, i.categories?.length ? `usually ${i.categories.join('/')}` : null]
+      .filter(Boolean).join('; ');
+    return `${i.id}: ${i.label}${extra ? ` (${extra})` : ''}`;
+  }).join('\n');
+  const docBlocks = documents.map((d, n) => {
+    const head = [d.filename, d.label && d.label !== d.filename ? `label "${d.label}"` : null, d.category ? `category ${d.category}` : null]
+      .filter(Boolean).join(', ');
+    const excerpt = String(d.excerpt || '').replace(/\s+/g, ' ').trim().slice(0, EXCERPT_CHARS);
+    return `D${n + 1}: ${head}${excerpt ? `\n${excerpt}` : ''}`;
+  }).join('\n\n');
+  return {
+    system: SYSTEM,
+    user: `Checklist items:\n${itemLines}\n\nDocuments:\n\n${docBlocks}`,
+  };
+}
+
+/**
+ * @param {string} raw  model reply
+ * @returns {{ item_id: string, document_id: string, confidence: string, reason: string }[]}
+ *   in reply order, at most three per item
+ */
+export function parseMatcherReply(raw, { items, documents }) {
+  const itemIds = new Set(items.map((i) => i.id));
+  const seen = new Set();
+  const perItem = new Map();
+  const out = [];
+  for (const line of String(raw || '').split('\n')) {
+    const parts = line.split('|').map((s) => s.trim());
+    if (parts.length < 3) continue;
+    const itemId = parts[0].replace(/^[-*\s]+/, '');
+    const n = Number(/^D(\d+)$/i.exec(parts[1])?.[1]);
+    const doc = documents[n - 1];
+    if (!itemIds.has(itemId) || !doc) continue;
+    const key = `${itemId}|${doc.id}`;
+    if (seen.has(key) || (perItem.get(itemId) || 0) >= MAX_PER_ITEM) continue;
+    seen.add(key);
+    perItem.set(itemId, (perItem.get(itemId) || 0) + 1);
+    const confidence = CONFIDENCES.includes(parts[2].toLowerCase()) ? parts[2].toLowerCase() : 'low';
+    out.push({
+      item_id: itemId,
+      document_id: doc.id,
+      confidence,
+      reason: parts.slice(3).join(' | ').slice(0, REASON_CHARS),
+    });
+  }
+  return out;
+}
+
+/**
+ * @param {{ items: object[], documents: object[], apiKey?: string }} args
+ * @returns {Promise<{ suggestions: object[], model: string, usage: { inputTokens: number, outputTokens: number } } | null>}
+ *   null when no key is configured or the call fails.
+ */
+export async function suggestChecklistMatches({ items, documents, apiKey }) {
+  const key = apiKey || process.env.ANTHROPIC_API_KEY;
+  if (!key || !items?.length || !documents?.length) return null;
+
+  const args = { items: items.slice(0, MAX_MATCHER_ITEMS), documents: documents.slice(0, MAX_MATCHER_DOCS) };
+  const { system, user } = buildMatcherPrompt(args);
+  try {
+    const client = new Anthropic({ apiKey: key });
+    const resp = await client.messages.create({
+      model: CHAT_MODEL_ID,
+      max_tokens: 2000,
+      system,
+      messages: [{ role: 'user', content: user }],
+    });
+    const raw = (resp?.content || []).filter((b) => b.type === 'text').map((b) => b.text).join('\n');
+    return {
+      suggestions: parseMatcherReply(raw, args),
+      model: CHAT_MODEL_ID,
+      usage: {
+        inputTokens: Number(resp?.usage?.input_tokens || 0)
+                   + Number(resp?.usage?.cache_read_input_tokens || 0)
+                   + Number(resp?.usage?.cache_creation_input_tokens || 0),
+        outputTokens: Number(resp?.usage?.output_tokens || 0),
+      },
+    };
+  } catch (e) {
+    logger.warn('suggestChecklistMatches failed', { error: e.message });
+    return null;
+  }
+}
@@ -0,0 +1,316 @@
+/**
+ * dealChecklistStore — org checklist templates and each deal's checklist
+ * state (migration-deal-checklists.sql).
+ *
+ *   listChecklistTemplates(orgId)                ← the org's templates
+ *   getChecklistTemplate(orgId, templateId)
+ *   saveChecklistTemplate(orgId, input, opts)    ← create, or patch with
+ *                                                  opts.templateId
+ *   deleteChecklistTemplate(orgId, templateId)
+ *   loadDealChecklists(deals)                    ← Map dealId → { items,
+ *                                                  source, marks }
+ *   saveDealChecklist(dealId, checklist, opts)   ← the deal's own copy
+ *   clearDealChecklist(dealId)                   ← back to the org default
+ *   upsertChecklistMark(dealId, itemId, patch)
+ *   loadDealChecklistView(access)                ← resolved items for the
+ *                                                  caller's visible documents
+ *
+ * Which items a deal is checked against: its own deal_checklists row,
+ * else the default template of the deal owner's org for the deal type
+ * (a type-specific default beats an any-type one), else the built-in list
+ * (lib/dealDocumentChecklist.js). Reads tolerate the tables being absent
+ * so deals keep the built-in checklist before the migration runs.
+ */
+
+import {
+  getSupabaseHeaders, getSupabaseWriteHeaders, fetchWithTimeout, requireSupabase,
+} from './api-helpers.js';
+import { logger } from './logger.js';
+import { getOrgIdForUser } from './costGuard.js';
+import { canSeeDocument, DOCUMENT_ACCESS_COLUMNS } from './dealDocumentVisibility.js';
+import { loadDocumentViewer } from './dealCleanTeamStore.js';
+import {
+  getChecklistForDealType, normaliseTemplateInput, resolveChecklist, summariseChecklist,
+} from './dealDocumentChecklist.js';
+
+const TEMPLATE_SUMMARY = 'id,name,description,deal_type,sector,is_default,updated_by_email,updated_at';
+const TEMPLATE_SELECT = `${TEMPLATE_SUMMARY},items,created_by_email,created_at`;
+const MARK_SELECT = 'item_id,status,note,document_ids,suggestions,suggested_at,marked_by_email,marked_at';
+
+async function readRows(path) {
+  const sb = requireSupabase();
+  if (!sb) return [];
+  try {
+    const resp = await fetchWithTimeout(`${sb.url}/rest/v1/${path}`, { method: 'GET', headers: getSupabaseHeaders(sb.key) });
+    return resp.ok ? await resp.json() : [];
+  } catch (e) {
+    logger.warn('dealChecklistStore read failed', { table: path.split('?')[0], error: e.message });
+    return [];
+  }
+}
+
+export async function listChecklistTemplates(orgId, { withItems = false } = {}) {
+  if (!orgId) return [];
+  const rows = await readRows(
+    `org_checklist_templates?organization_id=eq.${encodeURIComponent(orgId)}` +
+      `&select=${withItems ? TEMPLATE_SELECT : `${TEMPLATE_SUMMARY},items`}&order=name.asc&limit=200`,
+  );
+  // The summary carries the item count, not the items.
+  return withItems ? rows : rows.map(({ items, ...t }) => ({ ...t, itemCount: Array.isArray(items) ? items.length : 0 }));
+}
+
+export async function getChecklistTemplate(orgId, templateId) {
+  if (!orgId || !templateId) return null;
+  const [row] = await readRows(
+    `org_checklist_templates?id=eq.${encodeURIComponent(templateId)}` +
+      `&organization_id=eq.${encodeURIComponent(orgId)}&select=${TEMPLATE_SELECT}`,
+  );
+  return row || null;
+}
+
+/**
+ * Create a template, or patch one (opts.templateId). Making a template the
+ * default clears the flag on the org's other template for that deal type
+ * first — the unique index allows one. Throws the validation message on
+ * bad input; returns the row, or null on a storage failure.
+ */
+export async function saveChecklistTemplate(orgId, input, { templateId = null, email = null } = {}) {
+  const clean = normaliseTemplateInput(input, { partial: Boolean(templateId) });
+  const sb = requireSupabase();
+  if (!orgId || !sb) return null;
+  const writeHeaders = { ...getSupabaseWriteHeaders(sb.key), Prefer: 'return=representation' };
+  const now = new Date().toISOString();
+  try {
+    if (clean.is_default) {
+      let dealType = clean.deal_type;
+      if (dealType === undefined && templateId) dealType = (await getChecklistTemplate(orgId, templateId))?.deal_type ?? null;
+      const typeFilter = dealType ? `deal_type=eq.${dealType}` : 'deal_type=is.null';
+      await fetchWithTimeout(
+        `${sb.url}/rest/v1/org_checklist_templates?organization_id=eq.${encodeURIComponent(orgId)}&${typeFilter}&is_default=eq.true` +
+          (templateId ? `&id=neq.${encodeURIComponent(templateId)}` : ''),
+        { method: 'PATCH', headers: { ...getSupabaseWriteHeaders(sb.key), Prefer: 'return=minimal' }, body: JSON.stringify({ is_default: false }) },
+      );
+    }
+    const resp = templateId
+      ? await fetchWithTimeout(
+        `${sb.url}/rest/v1/org_checklist_templates?id=eq.${encodeURIComponent(templateId)}` +
+          `&organization_id=eq.${encodeURIComponent(orgId)}&select=${TEMPLATE_SELECT}`,
+        { method: 'PATCH', headers: writeHeaders, body: JSON.stringify({ ...clean, updated_by_email: email, updated_at: now }) },
+      )
+      : await fetchWithTimeout(
+        `${sb.url}/rest/v1/org_checklist_templates?select=${TEMPLATE_SELECT}`,
+        {
+          method: 'POST',
+          headers: writeHeaders,
+          body: JSON.stringify([{ ...clean, organization_id: orgId, created_by_email: email, updated_by_email: email }]),
+        },
+      );
+    if (!resp.ok) {
+      const txt = await resp.text().catch(() => '');
+      logger.warn('saveChecklistTemplate failed', { orgId, templateId, status: resp.status, body: txt.slice(0, 200) });
+      return null;
+    }
+    const [row] = await resp.json().catch(() => []);
+    return row || null;
+  } catch (e) {
+    logger.error('saveChecklistTemplate failed', { orgId, templateId, error: e.message });
+    return null;
+  }
+}
+
+export async function deleteChecklistTemplate(orgId, templateId) {
+  if (!orgId || !templateId) return { ok: false };
+  const sb = requireSupabase();
+  if (!sb) return { ok: false };
+  try {
+    const resp = await fetchWithTimeout(
+      `${sb.url}/rest/v1/org_checklist_templates?id=eq.${encodeURIComponent(templateId)}&organization_id=eq.${encodeURIComponent(orgId)}`,
+      { method: 'DELETE', headers: { ...getSupabaseWriteHeaders(sb.key), Prefer: 'return=minimal' } },
+    );
+    return { ok: resp.ok };
+  } catch (e) {
+    logger.error('deleteChecklistTemplate failed', { orgId, templateId, error: e.message });
+    return { ok: false };
+  }
+}
+
+function pickDefault(templates, dealType) {
+  const defaults = templates.filter((t) => t.is_default);
+  return defaults.find((t) => t.deal_type === dealType) || defaults.find((t) => !t.deal_type) || null;
+}
+
+/**
+ * Checklist items, where they came from, and the marks, for each deal.
+ *
+ * @param {object[]} deals  deals rows with id, type, owner_email, owner_user_id
+ * @returns {Promise<Map<string, { items: object[], marks: object[], orgId: string|null,
+ *   source: { kind: 'deal'|'template'|'builtin', templateId: string|null, name: string|null } }>>}
+ */
+export async function loadDealChecklists(deals) {
+  const list = (deals || []).filter((d) => d?.id);
+  const out = new Map();
+  if (!list.length) return out;
+  const idCsv = list.map((d) => d.id).join(',');
+
+  const [own, marks] = await Promise.all([
+    readRows(`deal_checklists?deal_id=in.(${idCsv})&select=deal_id,source_template_id,source_name,items,updated_by_email,updated_at`),
+    readRows(`deal_checklist_marks?deal_id=in.(${idCsv})&select=deal_id,${MARK_SELECT}&limit=20000`),
+  ]);
+  const ownByDeal = new Map(own.map((r) => [r.deal_id, r]));
+  const marksByDeal = new Map();
+  for (const m of marks) {
+    if (!marksByDeal.has(m.deal_id)) marksByDeal.set(m.deal_id, []);
+    marksByDeal.get(m.deal_id).push(m);
+  }
+
+  // Owner → org, once per owner; then each org's defaults once.
+  const ownerKey = (d) => `${d.owner_user_id || ''}|${(d.owner_email || '').toLowerCase()}`;
+  const orgByOwner = new Map();
+  for (const d of list) {
+    const k = ownerKey(d);
+    if (!orgByOwner.has(k)) {
+      orgByOwner.set(k, await getOrgIdForUser({ email: d.owner_email, userId: d.owner_user_id }).catch(() => null));
+    }
+  }
+  const needDefaults = [...new Set(list.filter((d) => !ownByDeal.has(d.id)).map((d) => orgByOwner.get(ownerKey(d))).filter(Boolean))];
+  const defaultsByOrg = new Map();
+  if (needDefaults.length) {
+    const rows = await readRows(
+      `org_checklist_templates?organization_id=in.(${needDefaults.join(',')})&is_default=eq.true` +
+        '&select=id,organization_id,name,deal_type,is_default,items',
+    );
+    for (const r of rows) {
+      if (!defaultsByOrg.has(r.organization_id)) defaultsByOrg.set(r.organization_id, []);
+      defaultsByOrg.get(r.organization_id).push(r);
+    }
+  }
+
+  for (const d of list) {
+    const orgId = orgByOwner.get(ownerKey(d)) || null;
+    const mine = ownByDeal.get(d.id);
+    const tmpl = mine ? null : pickDefault(defaultsByOrg.get(orgId) || [], d.type);
+    let items;
+    let source;
+    if (mine && Array.isArray(mine.items)) {
+      items = mine.items;
+      source = { kind: 'deal', templateId: mine.source_template_id || null, name: mine.source_name || null };
+    } else if (tmpl && Array.isArray(tmpl.items)) {
+      items = tmpl.items;
+      source = { kind: 'template', templateId: tmpl.id, name: tmpl.name };
+    } else {
+      items = getChecklistForDealType(d.type);
+      source = { kind: 'builtin', templateId: null, name: null };
+    }
+    out.set(d.id, { items, source, orgId, marks: marksByDeal.get(d.id) || [] });
+  }
+  return out;
+}
+
+export async function loadDealChecklist(deal) {
+  const map = await loadDealChecklists([deal]);
+  return map.get(deal.id) || { items: getChecklistForDealType(deal.type), source: { kind: 'builtin', templateId: null, name: null }, orgId: null, marks: [] };
+}
+
+/**
+ * Give the deal its own checklist (items already normalised). Returns the
+ * row, or null on a storage failure.
+ */
+export async function saveDealChecklist(dealId, { items, sourceTemplateId = null, sourceName = null }, { email = null } = {}) {
+  const sb = requireSupabase();
+  if (!dealId || !sb) return null;
+  try {
+    const resp = await fetchWithTimeout(
+      `${sb.url}/rest/v1/deal_checklists?on_conflict=deal_id&select=deal_id,source_template_id,source_name,updated_at`,
+      {
+        method: 'POST',
+        headers: { ...getSupabaseWriteHeaders(sb.key), Prefer: 'resolution=merge-duplicates,return=representation' },
+        body: JSON.stringify([{
+          deal_id: dealId,
+          items,
+          source_template_id: sourceTemplateId,
+          source_name: sourceName,
+          updated_by_email: email,
+          updated_at: new Date().toISOString(),
+        }]),
+      },
+    );
+    if (!resp.ok) {
+      const txt = await resp.text().catch(() => '');
+      logger.warn('saveDealChecklist failed', { dealId, status: resp.status, body: txt.slice(0, 200) });
+      return null;
+    }
+    const [row] = await resp.json().catch(() => []);
+    return row || null;
+  } catch (e) {
+    logger.error('saveDealChecklist failed', { dealId, error: e.message });
+    return null;
+  }
+}
+
+/** Drop the deal's own copy. Marks stay: items with the same id pick them up again. */
+export async function clearDealChecklist(dealId) {
+  const sb = requireSupabase();
+  if (!dealId || !sb) return { ok: false };
+  try {
+    const resp = await fetchWithTimeout(
+      `${sb.url}/rest/v1/deal_checklists?deal_id=eq.${encodeURIComponent(dealId)}`,
+      { method: 'DELETE', headers: { ...getSupabaseWriteHeaders(sb.key), Prefer: 'return=minimal' } },
+    );
+    return { ok: resp.ok };
+  } catch (e) {
+    logger.error('clearDealChecklist failed', { dealId, error: e.message });
+    return { ok: false };
+  }
+}
+
+/**
+ * Insert or update one item's mark. `patch` holds only the columns to
+ * change (status, note, document_ids, suggestions, …).
+ */
+export async function upsertChecklistMark(dealId, itemId, patch) {
+  const sb = requireSupabase();
+  if (!dealId || !itemId || !sb) return null;
+  try {
+    const resp = await fetchWithTimeout(
+      `${sb.url}/rest/v1/deal_checklist_marks?on_conflict=deal_id,item_id&select=${MARK_SELECT}`,
+      {
+        method: 'POST',
+        headers: { ...getSupabaseWriteHeaders(sb.key), Prefer: 'resolution=merge-duplicates,return=representation' },
+        body: JSON.stringify([{ ...patch, deal_id: dealId, item_id: itemId, updated_at: new Date().toISOString() }]),
+      },
+    );
+    if (!resp.ok) {
+      const txt = await resp.text().catch(() => '');
+      logger.warn('upsertChecklistMark failed', { dealId, itemId, status: resp.status, body: txt.slice(0, 200) });
+      return null;
+    }
+    const [row] = await resp.json().catch(() => []);
+    return row || null;
+  } catch (e) {
+    logger.error('upsertChecklistMark failed', { dealId, itemId, error: e.message });
+    return null;
+  }
+}
+
+/**
+ * The deal's checklist as the caller sees it: documents filtered the same
+ * way as /documents (archived ones left out), items resolved against them.
+ * Only the deal team sees the matcher's pending suggestions.
+ *
+ * @param {object} access  resolveDealAccess result
+ */
+export async function loadDealChecklistView(access) {
+  const deal = access.deal;
+  const [state, docs, viewer] = await Promise.all([
+    loadDealChecklist(deal),
+    readRows(
+      `deal_documents?deal_id=eq.${encodeURIComponent(deal.id)}` +
+        `&select=id,filename,label,category,source_party,status,${DOCUMENT_ACCESS_COLUMNS}&order=created_at.desc`,
+    ),
+    loadDocumentViewer(access),
+  ]);
+  const documents = docs.filter((document) => document.status !== 'archived' && canSeeDocument({ document, ...viewer }));
+  const marks = access.canEdit ? state.marks : state.marks.map((m) => ({ ...m, suggestions: [] }));
+  const checklist = resolveChecklist({ items: state.items, documents, marks });
+  return { ...state, documents, checklist, summary: summariseChecklist(checklist) };
+}
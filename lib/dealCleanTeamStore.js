@@ -0,0 +1,179 @@
+/**
+ * dealCleanTeamStore — clean teams that ring-fence competition-sensitive
+ * documents (migration-deal-clean-teams.sql).
+ *
+ *   listCleanTeams(dealId)                        ← teams with their members
+ *   createCleanTeam(dealId, fields, opts)
+ *   updateCleanTeam(dealId, teamId, patch)
+ *   deleteCleanTeam(dealId, teamId)                ← refuses while documents
+ *                                                    are still fenced to it
+ *   upsertCleanTeamMember(dealId, teamId, member, opts)
+ *   removeCleanTeamMember(dealId, teamId, email)
+ *   loadDocumentViewer(access)                     ← the viewer argument for
+ *                                                    canSeeDocument
+ *
+ * Reads tolerate the tables being absent: with no memberships every
+ * ring-fenced document stays hidden from everyone but the owner.
+ */
+
+import {
+  getSupabaseHeaders, getSupabaseWriteHeaders, fetchWithTimeout, requireSupabase,
+} from './api-helpers.js';
+import { logger } from './logger.js';
+import { activeCleanTeamIds } from './dealDocumentVisibility.js';
+
+export const TEAM_SELECT = 'id,deal_id,name,description,created_by_email,created_at,updated_at';
+export const MEMBER_SELECT = 'id,team_id,deal_id,email,access_expires_at,added_by_email,created_at,updated_at';
+
+async function readRows(path) {
+  const sb = requireSupabase();
+  if (!sb) return [];
+  try {
+    const resp = await fetchWithTimeout(`${sb.url}/rest/v1/${path}`, { method: 'GET', headers: getSupabaseHeaders(sb.key) });
+    return resp.ok ? await resp.json() : [];
+  } catch (e) {
+    logger.warn('dealCleanTeamStore read failed', { table: path.split('?')[0], error: e.message });
+    return [];
+  }
+}
+
+async function writeRows(method, path, body, label, ctx) {
+  const sb = requireSupabase();
+  if (!sb) return null;
+  try {
+    const resp = await fetchWithTimeout(`${sb.url}/rest/v1/${path}`, {
+      method,
+      headers: {
+        ...getSupabaseWriteHeaders(sb.key),
+        Prefer: path.includes('on_conflict=') ? 'resolution=merge-duplicates,return=representation' : 'return=representation',
+      },
+      body: JSON.stringify(body),
+    });
+    if (!resp.ok) {
+      const txt = await resp.text().catch(() => '');
+      logger.warn(`${label} failed`, { ...ctx, status: resp.status, body: txt.slice(0, 200) });
+      return resp.status === 409 ? { conflict: true } : null;
+    }
+    const [row] = await resp.json().catch(() => []);
+    return row || null;
+  } catch (e) {
+    logger.error(`${label} failed`, { ...ctx, error: e.message });
+    return null;
+  }
+}
+
+/** Teams on the deal, oldest first, each with `members` and `document_count`. */
+export async function listCleanTeams(dealId) {
+  if (!dealId) return [];
+  const id = encodeURIComponent(dealId);
+  const [teams, members, docs] = await Promise.all([
+    readRows(`deal_clean_teams?deal_id=eq.${id}&select=${TEAM_SELECT}&order=created_at.asc`),
+    readRows(`deal_clean_team_members?deal_id=eq.${id}&select=${MEMBER_SELECT}&order=email.asc`),
+    readRows(`deal_documents?deal_id=eq.${id}&clean_team_id=not.is.null&select=clean_team_id`),
+  ]);
+  return teams.map((t) => ({
+    ...t,
+    members: members.filter((m) => m.team_id === t.id),
+    document_count: docs.filter((d) => d.clean_team_id === t.id).length,
+  }));
+}
+
+/** Returns the row, `{ conflict: true }` when the name is taken, or null. */
+export async function createCleanTeam(dealId, { name, description = null }, { email = null } = {}) {
+  if (!dealId) return null;
+  return writeRows(
+    'POST',
+    `deal_clean_teams?select=${TEAM_SELECT}`,
+    [{ deal_id: dealId, name, description, created_by_email: email }],
+    'createCleanTeam',
+    { dealId },
+  );
+}
+
+export async function updateCleanTeam(dealId, teamId, patch) {
+  if (!dealId || !teamId) return null;
+  return writeRows(
+    'PATCH',
+    `deal_clean_teams?id=eq.${encodeURIComponent(teamId)}&deal_id=eq.${encodeURIComponent(dealId)}&select=${TEAM_SELECT}`,
+    { ...patch, updated_at: new Date().toISOString() },
+    'updateCleanTeam',
+    { dealId, teamId },
+  );
+}
+
+/**
+ * Delete a team and its memberships. Documents still fenced to it would
+ * otherwise fall open, so the FK is ON DELETE RESTRICT and this returns
+ * `{ ok: false, fenced: true }` until they're moved off it.
+ */
+export async function deleteCleanTeam(dealId, teamId) {
+  const sb = requireSupabase();
+  if (!dealId || !teamId || !sb) return { ok: false };
+  try {
+    const resp = await fetchWithTimeout(
+      `${sb.url}/rest/v1/deal_clean_teams?id=eq.${encodeURIComponent(teamId)}&deal_id=eq.${encodeURIComponent(dealId)}`,
+      { method: 'DELETE', headers: { ...getSupabaseWriteHeaders(sb.key), Prefer: 'return=minimal' } },
+    );
+    if (resp.status === 409) return { ok: false, fenced: true };
+    return { ok: resp.ok };
+  } catch (e) {
+    logger.error('deleteCleanTeam failed', { dealId, teamId, error: e.message });
+    return { ok: false };
+  }
+}
+
+/** Add a member, or move an existing member's expiry. */
+export async function upsertCleanTeamMember(dealId, teamId, { email, access_expires_at = null }, { addedBy = null } = {}) {
+  if (!dealId || !teamId || !email) return null;
+  return writeRows(
+    'POST',
+    `deal_clean_team_members?on_conflict=team_id,email&select=${MEMBER_SELECT}`,
+    [{
+      team_id: teamId, deal_id: dealId, email, access_expires_at,
+      added_by_email: addedBy, updated_at: new Date().toISOString(),
+    }],
+    'upsertCleanTeamMember',
+    { dealId, teamId },
+  );
+}
+
+export async function removeCleanTeamMember(dealId, teamId, email) {
+  const sb = requireSupabase();
+  if (!dealId || !teamId || !email || !sb) return { ok: false };
+  try {
+    const resp = await fetchWithTimeout(
+      `${sb.url}/rest/v1/deal_clean_team_members?team_id=eq.${encodeURIComponent(teamId)}` +
+        `&deal_id=eq.${encodeURIComponent(dealId)}&email=eq.${encodeURIComponent(email)}`,
+      { method: 'DELETE', headers: { ...getSupabaseWriteHeaders(sb.key), Prefer: 'return=minimal' } },
+    );
+    return { ok: resp.ok };
+  } catch (e) {
+    logger.error('removeCleanTeamMember failed', { dealId, teamId, error: e.message });
+    return { ok: false };
+  }
+}
+
+/**
+ * Everything canSeeDocument needs to know about the viewer:
+ * `{ viewerRole, isOwner, isCollaborator, cleanTeamIds }`. The owner
+ * passes every ring-fence, so their memberships aren't read.
+ *
+ * @param {object} access  resolveDealAccess result
+ * @param {string} [email] the viewer; defaults to `access.email`
+ */
+export async function loadDocumentViewer(access, email = access?.email) {
+  const isOwner = access?.mode === 'owner';
+  const viewer = {
+    viewerRole: access?.participantRole || null,
+    isOwner,
+    isCollaborator: access?.mode === 'collaborator',
+    cleanTeamIds: [],
+  };
+  if (isOwner || !access?.deal?.id || !email) return viewer;
+  const members = await readRows(
+    `deal_clean_team_members?deal_id=eq.${encodeURIComponent(access.deal.id)}` +
+      `&email=ilike.${encodeURIComponent(String(email).toLowerCase())}&select=team_id,email,access_expires_at`,
+  );
+  viewer.cleanTeamIds = activeCleanTeamIds(members, email);
+  return viewer;
+}
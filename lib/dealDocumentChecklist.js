@@ -14,8 +14,19 @@
  * "Financial" doc could be an invoice OR a P&L; the keyword filter narrows
  * it. Keywords alone miss AI-categorised non-keyword matches; together they
  * catch most real uploads.
+ *
+ * The lists below are the built-in starter. An org can keep its own
+ * templates (org_checklist_templates, edited in org admin) and a deal can
+ * carry its own copy (deal_checklists), cloned from a template and then
+ * edited. Items beyond the starter fields carry a `section` and a
+ * `required` flag. People can mark an item satisfied or waived with a
+ * note and link documents to it (deal_checklist_marks); those marks, and
+ * the AI matcher's suggestions (./dealChecklistMatcher.js), are folded in
+ * by resolveChecklist().
  */
 
+import { DOC_CATEGORIES } from './ai/categorizeDoc.js';
+
 const COMMON_ITEMS = [
   // Legal / corporate
   { id: 'articles',           label: 'Articles of association',          categories: ['Legal'],     keywords: ['articles', 'incorporation', 'memo of association', 'bylaws'] },
@@ -57,40 +68,217 @@ const SCALING_EXTRAS = [
   { id: 'security_audit',     label: 'Security audit / SOC report',       categories: ['Tech', 'Legal'], keywords: ['security audit', 'soc 2', 'soc2', 'penetration', 'pentest', 'iso 27001'] },
 ];
 
+// Starter items are grouped by their first category.
+const sectioned = (items) => items.map((item) => ({ section: item.categories[0], required: true, ...item }));
+
 const TEMPLATES = {
-  ma:        [...COMMON_ITEMS, ...MA_EXTRAS],
-  pe_rollup: [...COMMON_ITEMS, ...PE_ROLLUP_EXTRAS],
-  scaling:   [...COMMON_ITEMS, ...SCALING_EXTRAS],
+  ma:        sectioned([...COMMON_ITEMS, ...MA_EXTRAS]),
+  pe_rollup: sectioned([...COMMON_ITEMS, ...PE_ROLLUP_EXTRAS]),
+  scaling:   sectioned([...COMMON_ITEMS, ...SCALING_EXTRAS]),
 };
+const COMMON_TEMPLATE = sectioned(COMMON_ITEMS);
+
+export const DEAL_TYPES = ['ma', 'pe_rollup', 'scaling'];
+export const MARK_STATUSES = ['satisfied', 'waived'];
+export const MAX_CHECKLIST_ITEMS = 500;
+const CONFIDENCE_RANK = ['high', 'medium', 'low'];
 
 export function getChecklistForDealType(dealType) {
-  return TEMPLATES[dealType] || COMMON_ITEMS;
+  return TEMPLATES[dealType] || COMMON_TEMPLATE;
+}
+
+const BUILTIN_NAMES = { ma: 'M&A', pe_rollup: 'PE roll-up', scaling: 'Scaling' };
+
+/**
+ * The starter lists as read-only templates, for the "clone from" pickers.
+ * Ids are `builtin:<dealType>` so they can't collide with template uuids.
+ */
+export function listBuiltinTemplates() {
+  return DEAL_TYPES.map((t) => ({
+    id: `builtin:${t}`,
+    name: `Built-in: ${BUILTIN_NAMES[t]}`,
+    deal_type: t,
+    builtin: true,
+    items: TEMPLATES[t],
+  }));
+}
+
+export function getBuiltinTemplate(id) {
+  return listBuiltinTemplates().find((t) => t.id === id) || null;
+}
+
+function docMatchesItem(d, kws, cats) {
+  const cat = d.category || '';
+  const text = `${d.filename || ''} ${d.label || ''}`.toLowerCase();
+  const catHit = cats.has(cat);
+  const kwHit  = kws.some((k) => text.includes(k));
+  // Require BOTH a keyword hit AND a category match. The previous
+  // `cats.size === 0` escape hatch was a foot-gun: if a checklist
+  // item ever shipped with an empty categories list (schema drift,
+  // partial config), any keyword hit would satisfy it. Items without
+  // category constraints should be rare; if you hit one, fix the
+  // template instead of relaxing the matcher. Custom items with no
+  // categories are satisfied by a link or an accepted suggestion.
+  return kwHit && catHit;
 }
 
 /**
  * Match each checklist item against the documents already in the data room.
  * Returns an array of { ...item, matched: doc[] } so the UI can render a
  * received / missing list and link straight to the matching docs.
+ *
+ * `items` replaces the built-in list for the deal type (a deal's own
+ * checklist or an org template).
  */
-export function matchChecklist(documents, dealType) {
-  const checklist = getChecklistForDealType(dealType);
+export function matchChecklist(documents, dealType, items = null) {
+  const checklist = items || getChecklistForDealType(dealType);
   const docs = Array.isArray(documents) ? documents : [];
   return checklist.map((item) => {
-    const kws = item.keywords.map((k) => k.toLowerCase());
-    const cats = new Set(item.categories);
-    const matched = docs.filter((d) => {
-      const cat = d.category || '';
-      const text = `${d.filename || ''} ${d.label || ''}`.toLowerCase();
-      const catHit = cats.has(cat);
-      const kwHit  = kws.some((k) => text.includes(k));
-      // Require BOTH a keyword hit AND a category match. The previous
-      // `cats.size === 0` escape hatch was a foot-gun: if a checklist
-      // item ever shipped with an empty categories list (schema drift,
-      // partial config), any keyword hit would satisfy it. Items without
-      // category constraints should be rare; if you hit one, fix the
-      // template instead of relaxing the matcher.
-      return kwHit && catHit;
-    });
+    const kws = (item.keywords || []).map((k) => k.toLowerCase());
+    const cats = new Set(item.categories || []);
+    const matched = docs.filter((d) => docMatchesItem(d, kws, cats));
     return { ...item, matched };
   });
 }
+
+/**
+ * Checklist items with their state, for the workspace panel, the export
+ * pack and the portfolio benchmark.
+ *
+ *   waived     marked waived (note says why)
+ *   satisfied  marked satisfied, or documents linked to it by hand
+ *   received   a document matches on keyword + category
+ *   missing    none of the above
+ *
+ * `documents` should already be filtered to what the viewer can see:
+ * linked ids that aren't in it are counted (restrictedLinks), not named.
+ *
+ * @param {{ items: object[], documents: object[], marks?: object[] }} args
+ *   marks are deal_checklist_marks rows ({ item_id, status, note,
+ *   document_ids, suggestions, marked_by_email, marked_at })
+ */
+export function resolveChecklist({ items, documents, marks = [] }) {
+  const docs = Array.isArray(documents) ? documents : [];
+  const docsById = new Map(docs.map((d) => [d.id, d]));
+  const marksByItem = new Map((marks || []).map((m) => [m.item_id, m]));
+  return matchChecklist(docs, null, items || []).map((item) => {
+    const mark = marksByItem.get(item.id) || null;
+    const linkIds = [...new Set(mark?.document_ids || [])];
+    const linked = linkIds.map((id) => docsById.get(id)).filter(Boolean);
+    const suggestions = (Array.isArray(mark?.suggestions) ? mark.suggestions : [])
+      .filter((sg) => docsById.has(sg.document_id) && !linkIds.includes(sg.document_id))
+      .map((sg) => ({ ...sg, document: docsById.get(sg.document_id) }))
+      .sort((a, b) => CONFIDENCE_RANK.indexOf(a.confidence) - CONFIDENCE_RANK.indexOf(b.confidence));
+    let status = 'missing';
+    if (mark?.status === 'waived') status = 'waived';
+    else if (mark?.status === 'satisfied' || linkIds.length) status = 'satisfied';
+    else if (item.matched.length) status = 'received';
+    return {
+      ...item,
+      status,
+      linked,
+      restrictedLinks: linkIds.length - linked.length,
+      suggestions,
+      note: mark?.note || null,
+      markedBy: mark?.marked_by_email || null,
+      markedAt: mark?.marked_at || null,
+    };
+  });
+}
+
+/**
+ * Counts for the header chip. Waived items drop out of the denominator:
+ * `pct` is how much of what is still expected has arrived.
+ */
+export function summariseChecklist(resolved) {
+  const out = { total: 0, received: 0, satisfied: 0, waived: 0, missing: 0, requiredMissing: 0 };
+  for (const item of resolved || []) {
+    out.total += 1;
+    out[item.status] += 1;
+    if (item.status === 'missing' && item.required !== false) out.requiredMissing += 1;
+  }
+  const expected = out.total - out.waived;
+  out.pct = expected ? Math.round(((out.received + out.satisfied) / expected) * 100) : null;
+  return out;
+}
+
+function slug(s) {
+  return String(s || '').toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '').slice(0, 60);
+}
+
+function cleanList(v, max, len) {
+  const arr = Array.isArray(v) ? v : (typeof v === 'string' ? v.split(/[,;\n]/) : []);
+  return [...new Set(arr.map((x) => String(x ?? '').trim()).filter(Boolean).map((x) => x.slice(0, len)))].slice(0, max);
+}
+
+/**
+ * Validate and tidy template items from the org-admin editor or a per-deal
+ * override. Unknown categories are dropped (case-insensitively matched to
+ * the data-room taxonomy), keywords are lowercased, ids are kept when given
+ * — marks hang off them — and otherwise derived from the label, made
+ * unique.
+ *
+ * @returns {{ items: object[], errors: string[] }}
+ */
+export function normaliseChecklistItems(input) {
+  const errors = [];
+  if (!Array.isArray(input)) return { items: [], errors: ['items must be an array.'] };
+  if (input.length > MAX_CHECKLIST_ITEMS) {
+    return { items: [], errors: [`At most ${MAX_CHECKLIST_ITEMS} items per checklist.`] };
+  }
+  const byLower = new Map(DOC_CATEGORIES.map((c) => [c.toLowerCase(), c]));
+  const seen = new Set();
+  const items = [];
+  input.forEach((raw, i) => {
+    const label = String(raw?.label ?? '').trim().slice(0, 300);
+    if (!label) {
+      errors.push(`Item ${i + 1}: label is required.`);
+      return;
+    }
+    let id = slug(raw?.id) || slug(label) || `item_${i + 1}`;
+    if (seen.has(id)) {
+      let n = 2;
+      while (seen.has(`${id}_${n}`)) n += 1;
+      id = `${id}_${n}`;
+    }
+    seen.add(id);
+    items.push({
+      id,
+      section: String(raw?.section ?? '').trim().slice(0, 120) || null,
+      label,
+      description: String(raw?.description ?? '').trim().slice(0, 1000) || null,
+      required: raw?.required !== false,
+      categories: [...new Set(cleanList(raw?.categories, 8, 40).map((c) => byLower.get(c.toLowerCase())).filter(Boolean))],
+      keywords: [...new Set(cleanList(raw?.keywords, 30, 80).map((k) => k.toLowerCase()))],
+    });
+  });
+  return { items, errors };
+}
+
+/**
+ * Validate a template body from org admin. `partial` (PATCH) leaves out
+ * fields that weren't sent. Throws with a user-facing message.
+ */
+export function normaliseTemplateInput(input, { partial = false } = {}) {
+  const body = input && typeof input === 'object' ? input : {};
+  const out = {};
+  if (!partial || 'name' in body) {
+    const name = String(body.name ?? '').trim().slice(0, 120);
+    if (!name) throw new Error('Template name is required.');
+    out.name = name;
+  }
+  if ('description' in body) out.description = String(body.description ?? '').trim().slice(0, 1000) || null;
+  if ('sector' in body) out.sector = String(body.sector ?? '').trim().slice(0, 80) || null;
+  if ('deal_type' in body) {
+    const t = body.deal_type || null;
+    if (t !== null && !DEAL_TYPES.includes(t)) throw new Error(`deal_type must be one of ${DEAL_TYPES.join(', ')} or empty.`);
+    out.deal_type = t;
+  }
+  if ('is_default' in body) out.is_default = Boolean(body.is_default);
+  if (!partial || 'items' in body) {
+    const { items, errors } = normaliseChecklistItems(body.items ?? []);
+    if (errors.length) throw new Error(errors.slice(0, 5).join(' '));
+    out.items = items;
+  }
+  return out;
+}
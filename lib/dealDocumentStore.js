@@ -0,0 +1,111 @@
+/**
+ * Server-side "put these bytes in a deal's data room" for sources other
+ * than the data-room upload form — inbound email, archive expansion and
+ * files attached to a Q&A answer:
+ *
+ *   1. SHA-256 content_hash dedupe against the deal (the partial unique
+ *      index from migration-deal-doc-visibility-and-hash.sql)
+ *   2. deal_documents insert (status 'pending')
+ *   3. Storage upload to deal-documents/<deal>/<doc>/<safe name>
+ *   4. storage_path patch, then `deal-document.uploaded` so
+ *      processDealDocument parses, chunks, embeds and categorises it
+ *
+ * Same steps as the upload route, minus the HTTP layer. Throws on insert /
+ * upload failure (after marking the row failed) so callers can count and
+ * carry on with the next file.
+ */
+
+import crypto from 'node:crypto';
+import {
+  getSupabaseHeaders, getSupabaseWriteHeaders, fetchWithTimeout,
+} from './api-helpers.js';
+import { logger } from './logger.js';
+import { sendEvent } from './inngest/client.js';
+
+export function safeStorageName(filename) {
+  return String(filename || 'file').replace(/[^a-zA-Z0-9._-]/g, '_').slice(0, 200);
+}
+
+/**
+ * @param {{ url: string, key: string }} sb
+ * @param {object} args
+ * @param {string} args.dealId
+ * @param {string} args.filename
+ * @param {string} [args.mimeType]
+ * @param {Buffer} args.content
+ * @param {object} [args.fields]  extra deal_documents columns (label,
+ *                                source_party, tags, visibility,
+ *                                uploaded_by_email, provenance ids…)
+ * @returns {Promise<{ id: string, deduped: boolean }>}
+ */
+export async function storeDealDocument(sb, { dealId, filename, mimeType, content, fields = {} }) {
+  const contentHash = crypto.createHash('sha256').update(content).digest('hex');
+  const findExisting = async () => {
+    const r = await fetchWithTimeout(
+      `${sb.url}/rest/v1/deal_documents?deal_id=eq.${encodeURIComponent(dealId)}&content_hash=eq.${contentHash}&select=id&limit=1`,
+      { method: 'GET', headers: getSupabaseHeaders(sb.key) },
+    );
+    const [row] = r.ok ? await r.json() : [];
+    return row || null;
+  };
+  const existing = await findExisting();
+  if (existing) return { id: existing.id, deduped: true };
+
+  const type = mimeType || 'application/octet-stream';
+  const ins = await fetchWithTimeout(
+    `${sb.url}/rest/v1/deal_documents`,
+    {
+      method: 'POST',
+      headers: { ...getSupabaseWriteHeaders(sb.key), Prefer: 'return=representation' },
+      body: JSON.stringify({
+        visibility: 'all_editors',
+        ...fields,
+        deal_id: dealId,
+        filename,
+        mime_type: type,
+        byte_size: content.length,
+        content_hash: contentHash,
+        status: 'pending',
+      }),
+    },
+  );
+  if (!ins.ok) {
+    const txt = await ins.text().catch(() => '');
+    // Lost a race with a concurrent upload of the same bytes.
+    if (ins.status === 409 || /duplicate key|23505/.test(txt)) {
+      const winner = await findExisting();
+      if (winner) return { id: winner.id, deduped: true };
+    }
+    throw new Error(`Document insert failed (${ins.status})`);
+  }
+  const [doc] = await ins.json();
+
+  const storagePath = `${dealId}/${doc.id}/${safeStorageName(filename)}`;
+  const up = await fetchWithTimeout(
+    `${sb.url}/storage/v1/object/deal-documents/${storagePath}`,
+    {
+      method: 'POST',
+      headers: { ...getSupabaseHeaders(sb.key), 'Content-Type': type, 'x-upsert': 'true' },
+      body: content,
+    },
+    45000,
+  );
+  const docPatch = up.ok
+    ? { storage_path: storagePath }
+    : { status: 'failed', processing_error: 'Storage upload failed.' };
+  await fetchWithTimeout(
+    `${sb.url}/rest/v1/deal_documents?id=eq.${doc.id}`,
+    { method: 'PATCH', headers: getSupabaseWriteHeaders(sb.key), body: JSON.stringify(docPatch) },
+  );
+  if (!up.ok) throw new Error(`Storage upload failed (${up.status})`);
+
+  try {
+    await sendEvent({
+      name: 'deal-document.uploaded',
+      data: { deal_id: dealId, document_id: doc.id, storage_path: storagePath, mime_type: type, byte_size: content.length },
+    });
+  } catch (e) {
+    logger.warn('storeDealDocument: enqueue failed', { error: e.message, docId: doc.id });
+  }
+  return { id: doc.id, deduped: false };
+}
@@ -17,8 +17,22 @@
  *   3. validateVisibilityForRole(visibility, dealType) — the upload route
  *      uses this to refuse 'acquirer_only' on a scaling deal, etc. Bad
  *      input would silently make the document invisible to everyone.
+ *
+ *   4. documentRestrictions({ document, isOwner }) — what a viewer who CAN
+ *      see a document may do with it: ring-fenced (clean team) and
+ *      view-only documents are shown as watermarked previews, and view-only
+ *      ones never get a signed download URL (migration-deal-clean-teams.sql).
+ *      normaliseDocumentAccess validates the owner's changes to those fields.
+ *
+ * Ring-fencing is on top of visibility, not instead of it: the viewer must
+ * pass the party rule AND be a current member of the document's clean team.
+ * Callers therefore have to select DOCUMENT_ACCESS_COLUMNS — a row without
+ * `clean_team_id` would read as not ring-fenced.
  */
 
+/** The deal_documents columns canSeeDocument / documentRestrictions read. */
+export const DOCUMENT_ACCESS_COLUMNS = 'visibility,clean_team_id,view_only,access_expires_at';
+
 export const VISIBILITY_VALUES = [
   'all_editors',
   'acquirer_only',
@@ -61,14 +75,20 @@ const VISIBILITY_LABELS = {
  * @param {string|null} args.viewerRole   - deal_participants.role for the viewer, or null if not a participant
  * @param {boolean} args.isOwner          - viewer is the deal owner
  * @param {boolean} args.isCollaborator   - viewer is in deal.collaborator_emails
+ * @param {string[]} [args.cleanTeamIds]  - clean teams the viewer is a current member of
+ * @param {Date|string} [args.now]
  */
-export function canSeeDocument({ document, viewerRole, isOwner, isCollaborator }) {
+export function canSeeDocument({ document, viewerRole, isOwner, isCollaborator, cleanTeamIds = [], now = new Date() }) {
   if (!document) return false;
   const v = document.visibility || 'all_editors';
 
-  // Owner sees everything.
+  // Owner sees everything — they administer the room, clean teams included.
   if (isOwner) return true;
 
+  // Expired documents and ring-fences the viewer isn't inside.
+  if (isPast(document.access_expires_at, now)) return false;
+  if (document.clean_team_id && !(cleanTeamIds || []).includes(document.clean_team_id)) return false;
+
   // owner_only: only the owner; we already returned false above implicitly
   // since isOwner === false here.
   if (v === 'owner_only') return false;
@@ -115,3 +135,110 @@ export function validateVisibilityForDealType(visibility, dealType) {
 export function visibilityLabel(visibility) {
   return VISIBILITY_LABELS[visibility] || visibility;
 }
+
+function isPast(at, now) {
+  if (!at) return false;
+  const t = Date.parse(at);
+  return Number.isFinite(t) && t <= new Date(now).getTime();
+}
+
+/**
+ * The clean teams `email` is a current member of, from
+ * deal_clean_team_members rows. Expired memberships don't count.
+ *
+ * @param {{ team_id: string, email: string, access_expires_at?: string }[]} members
+ */
+export function activeCleanTeamIds(members, email, now = new Date()) {
+  const lower = String(email || '').toLowerCase();
+  if (!lower) return [];
+  return [...new Set((members || [])
+    .filter((m) => String(m.email || '').toLowerCase() === lower && !isPast(m.access_expires_at, now))
+    .map((m) => m.team_id))];
+}
+
+/**
+ * What a viewer who can see `document` may do with it. Previews of
+ * ring-fenced and view-only documents carry a watermark; view-only ones
+ * can't be downloaded by anyone but the owner.
+ *
+ * @returns {{ ringFenced: boolean, viewOnly: boolean, canDownload: boolean, watermark: boolean }}
+ */
+export function documentRestrictions({ document, isOwner }) {
+  const ringFenced = Boolean(document?.clean_team_id);
+  const viewOnly = Boolean(document?.view_only);
+  return {
+    ringFenced,
+    viewOnly,
+    canDownload: !viewOnly || Boolean(isOwner),
+    watermark: ringFenced || viewOnly,
+  };
+}
+
+/**
+ * The access fields a document unpacked from an archive takes from the
+ * archive itself — party visibility plus the clean-team ring-fence,
+ * view-only flag and expiry. `parent` must have been read with
+ * DOCUMENT_ACCESS_COLUMNS.
+ */
+export function inheritedDocumentAccess(parent) {
+  return {
+    visibility: parent?.visibility || 'all_editors',
+    clean_team_id: parent?.clean_team_id || null,
+    view_only: Boolean(parent?.view_only),
+    access_expires_at: parent?.access_expires_at || null,
+  };
+}
+
+/**
+ * Whether `document` may be quoted in deal-wide output — findings every
+ * editor reads, such as the contract red flags and cross-document
+ * contradictions (lib/deal-analysis). Only documents the whole room can
+ * see qualify: no clean-team ring-fence, no party scoping, not expired.
+ */
+export function isDealWideDocument(document, now = new Date()) {
+  if (!document) return false;
+  if (document.clean_team_id) return false;
+  if ((document.visibility || 'all_editors') !== 'all_editors') return false;
+  return !isPast(document.access_expires_at, now);
+}
+
+/** Watermark line for a preview: who is looking, and when (UTC, to the minute). */
+export function watermarkText(email, at = new Date()) {
+  const stamp = new Date(at).toISOString().slice(0, 16).replace('T', ' ');
+  return `${String(email || 'unknown viewer').toLowerCase()} · ${stamp} UTC`;
+}
+
+/**
+ * Validate the access fields of a document PATCH — `clean_team_id`,
+ * `view_only`, `access_expires_at`. Only the keys present are returned.
+ * Throws with a user-facing message on bad input.
+ *
+ * @param {object} body
+ * @param {string[]} teamIds  clean teams on the deal
+ */
+export function normaliseDocumentAccess(body, teamIds = []) {
+  const out = {};
+  if (body?.clean_team_id !== undefined) {
+    const team = body.clean_team_id || null;
+    if (team !== null && !teamIds.includes(team)) throw new Error('clean_team_id is not a clean team on this deal.');
+    out.clean_team_id = team;
+  }
+  if (body?.view_only !== undefined) {
+    if (typeof body.view_only !== 'boolean') throw new Error('view_only must be true or false.');
+    out.view_only = body.view_only;
+  }
+  if (body?.access_expires_at !== undefined) out.access_expires_at = normaliseExpiry(body.access_expires_at);
+  return out;
+}
+
+/** An expiry date (YYYY-MM-DD, taken as end of that day UTC) or timestamp, or null. */
+export function normaliseExpiry(value) {
+  if (value === null || value === '') return null;
+  const s = String(value).trim();
+  const iso = /^\d{4}-\d{2}-\d{2}$/.test(s) ? `${s}T23:59:59.999Z` : s;
+  const t = Date.parse(iso);
+  if (!Number.isFinite(t) || (iso !== s && new Date(t).toISOString().slice(0, 10) !== s)) {
+    throw new Error('access_expires_at must be a date (YYYY-MM-DD) or timestamp.');
+  }
+  return new Date(t).toISOString();
+}
@@ -0,0 +1,236 @@
+/**
+ * Deal export pack — the offline XLSX workbook the IC committee reads.
+ *
+ * One workbook, one sheet per workspace table:
+ *   Summary · Findings · Q&A · Checklist · Participants · Change log
+ *
+ * The route (app/api/deals/[id]/export.xlsx) does the reads; this module
+ * decides what the viewer is allowed to see and lays out the rows, so the
+ * visibility rules can be tested without Supabase:
+ *
+ *   - documents: canSeeDocument() per row (lib/dealDocumentVisibility.js).
+ *     Evidence pointing at a document the viewer can't see is kept as a
+ *     count ("1 restricted document") — never the filename or snippet.
+ *   - findings: rejected findings are dropped for everyone; viewers
+ *     without edit rights only get approved findings (same table as
+ *     docs/reference/finding-shape.md). Reviewer notes are editor-only.
+ *   - participants: emails only for owners / collaborators, matching
+ *     GET /api/deals/[id].
+ *
+ * Cells are written as plain strings / numbers — no formulas — so text
+ * from the data room can't execute when the workbook is opened.
+ */
+
+import * as XLSX from 'xlsx';
+import { canSeeDocument } from './dealDocumentVisibility.js';
+import { getChecklistForDealType, resolveChecklist, summariseChecklist } from './dealDocumentChecklist.js';
+
+const SEVERITY_RANK = { critical: 0, high: 1, medium: 2, low: 3 };
+const MAX_CELL_CHARS = 32000; // Excel's hard limit is 32,767
+
+function cell(v) {
+  if (v == null) return '';
+  if (typeof v === 'number' || typeof v === 'boolean') return v;
+  const s = Array.isArray(v) ? v.filter((x) => x != null && x !== '').join(', ') : String(v);
+  return s.length > MAX_CELL_CHARS ? `${s.slice(0, MAX_CELL_CHARS)}…` : s;
+}
+
+function isoDate(v) {
+  if (!v) return '';
+  const d = new Date(v);
+  return Number.isNaN(d.getTime()) ? String(v) : d.toISOString().replace('T', ' ').slice(0, 16);
+}
+
+/**
+ * Name the documents a set of ids points at, hiding ones the viewer can't see.
+ * @returns {string}
+ */
+function describeDocs(docIds, docsById, visibleIds) {
+  const names = [];
+  let restricted = 0;
+  for (const id of new Set(docIds.filter(Boolean))) {
+    if (!docsById.has(id)) continue;
+    if (visibleIds.has(id)) names.push(docsById.get(id).label || docsById.get(id).filename);
+    else restricted++;
+  }
+  if (restricted) names.push(`${restricted} restricted document${restricted > 1 ? 's' : ''}`);
+  return names.join('; ');
+}
+
+/**
+ * Build the sheet rows for a deal export.
+ *
+ * @param {object} input
+ * @param {object} input.deal          deals row ({ name, type, status, deal_code })
+ * @param {object} input.viewer        { email, isOwner, isCollaborator, viewerRole, cleanTeamIds, canEdit, canManage }
+ * @param {object[]} [input.findings]  deal_findings rows
+ * @param {object[]} [input.reviews]   deal_finding_reviews rows
+ * @param {object[]} [input.qaItems]   deal_qa_items rows
+ * @param {object[]} [input.documents] deal_documents rows (unfiltered — filtering happens here)
+ * @param {Record<string,string>} [input.chunkDocuments] chunk id → document id, for evidence pointers
+ * @param {object[]} [input.participants] deal_participants rows
+ * @param {object[]} [input.changes]   changes rows for the deal
+ * @param {{ items: object[], marks: object[] }} [input.checklist]
+ *        the deal's checklist and item marks (lib/dealChecklistStore.js);
+ *        the built-in list for the deal type when absent
+ * @param {Date|string} [input.generatedAt]
+ * @returns {{ name: string, rows: any[][] }[]}
+ */
+export function buildDealExportSheets(input) {
+  const {
+    deal = {}, viewer = {}, findings = [], reviews = [], qaItems = [], documents = [],
+    chunkDocuments = {}, participants = [], changes = [], checklist: dealChecklist = null,
+    generatedAt = new Date(),
+  } = input || {};
+
+  const docsById = new Map(documents.map((d) => [d.id, d]));
+  const visibleDocs = documents.filter((doc) => canSeeDocument({
+    document: doc, viewerRole: viewer.viewerRole || null, isOwner: !!viewer.isOwner, isCollaborator: !!viewer.isCollaborator,
+    cleanTeamIds: viewer.cleanTeamIds || [],
+  }));
+  const visibleIds = new Set(visibleDocs.map((d) => d.id));
+  const chunkDoc = (chunkId) => chunkDocuments[chunkId] || null;
+
+  // ── Findings ──
+  const reviewByKey = new Map(reviews.map((r) => [r.finding_key, r]));
+  const exportedFindings = findings
+    .map((f) => ({ f, review: reviewByKey.get(f.finding_key) || null }))
+    .filter(({ review }) => {
+      const status = review?.status || 'pending';
+      if (status === 'rejected') return false;
+      return viewer.canEdit || status === 'approved';
+    })
+    .sort((a, b) => (SEVERITY_RANK[a.f.severity] ?? 9) - (SEVERITY_RANK[b.f.severity] ?? 9)
+      || String(a.f.section).localeCompare(String(b.f.section))
+      || (a.f.order_index || 0) - (b.f.order_index || 0));
+
+  const findingHeader = ['Severity', 'Title', 'Detail', 'Section', 'Category', 'Tags', 'Impact', 'Confidence',
+    'Review status', 'Reviewed by', 'Reviewed at', ...(viewer.canEdit ? ['Reviewer note'] : []),
+    'Evidence', 'Recommendations', 'Stale'];
+  const findingRows = exportedFindings.map(({ f, review }) => {
+    const evidence = Array.isArray(f.evidence) ? f.evidence : [];
+    const docEvidence = [];
+    const otherEvidence = [];
+    for (const ev of evidence) {
+      const ref = ev?.ref || {};
+      const docId = ref.document_id || chunkDoc(ref.chunk_id);
+      if (ev?.kind === 'document_chunk' && docId) {
+        if (visibleIds.has(docId)) {
+          const d = docsById.get(docId);
+          docEvidence.push(`${d.label || d.filename}${ref.page_number ? ` p.${ref.page_number}` : ''}`);
+        } else docEvidence.push(null);
+      } else if (ev?.kind) otherEvidence.push(ev.kind.replace(/_/g, ' '));
+    }
+    const restricted = docEvidence.filter((x) => x === null).length;
+    const evidenceText = [
+      ...docEvidence.filter(Boolean),
+      ...(restricted ? [`${restricted} restricted document${restricted > 1 ? 's' : ''}`] : []),
+      ...otherEvidence,
+    ].join('; ');
+    return [
+      cell(f.severity), cell(review?.edited_title || f.title), cell(review?.edited_body || f.body),
+      cell(f.section), cell(f.category), cell(f.tags), cell(f.impact),
+      typeof f.confidence === 'number' ? Math.round(f.confidence * 100) / 100 : '',
+      cell(review?.status || 'pending'), cell(review?.decided_by_email), isoDate(review?.decided_at),
+      ...(viewer.canEdit ? [cell(review?.reviewer_note)] : []),
+      cell(evidenceText), cell(f.recommendations), f.stale ? 'yes' : '',
+    ];
+  });
+
+  // ── Q&A ──
+  const qaHeader = ['Question', 'Status', 'Assigned to', 'Asked by', 'Asked at', 'Answer', 'Answered by', 'Answered at', 'Evidence documents', 'Related finding'];
+  const qaRows = qaItems.map((q) => {
+    const docIds = [
+      ...(q.evidence_document_ids || []),
+      ...(q.evidence_chunk_ids || []).map(chunkDoc),
+    ];
+    return [
+      cell(q.question), cell(q.status), cell(q.assigned_company), cell(q.asked_by_email), isoDate(q.asked_at),
+      cell(q.answer_text), cell(q.answered_by_email), isoDate(q.answered_at),
+      cell(describeDocs(docIds, docsById, visibleIds)), cell(q.related_finding_key),
+    ];
+  });
+
+  // ── Checklist ──
+  const checklist = resolveChecklist({
+    items: dealChecklist?.items || getChecklistForDealType(deal.type),
+    documents: visibleDocs.filter((d) => d.status !== 'archived'),
+    marks: (dealChecklist?.marks || []).map((m) => ({ ...m, suggestions: [] })),
+  });
+  const checklistStatus = { received: 'Received', satisfied: 'Satisfied', waived: 'Waived', missing: 'Missing' };
+  const checklistRows = checklist.map((item) => {
+    const docNames = [...item.linked, ...item.matched.filter((d) => !item.linked.includes(d))].map((d) => d.label || d.filename);
+    if (item.restrictedLinks) docNames.push(`${item.restrictedLinks} restricted document${item.restrictedLinks > 1 ? 's' : ''}`);
+    return [
+      cell(item.label), checklistStatus[item.status], cell(item.section), item.required === false ? 'No' : 'Yes',
+      cell(docNames.join('; ')), cell(item.note), cell(item.categories),
+    ];
+  });
+  const checklistSummary = summariseChecklist(checklist);
+
+  // ── Participants ──
+  const participantRows = participants.map((p) => [
+    cell(p.role), cell(p.company_name), cell(p.participant_name),
+    viewer.canManage ? cell(p.participant_email) : '',
+    cell(p.status), isoDate(p.invited_at), isoDate(p.completed_at),
+  ]);
+
+  // ── Change log ──
+  const changeRows = changes.map((c) => {
+    const ref = c.subject_ref || {};
+    const subject = ref.title || ref.action || ref.finding_key || ref.processName || '';
+    return [
+      isoDate(c.created_at), cell(c.subject_type), cell(subject), cell(c.kind), cell(c.state),
+      cell(c.actor_email || c.agent_name || c.actor_kind), cell(c.rationale),
+    ];
+  });
+
+  const summaryRows = [
+    ['Deal', cell(deal.name)],
+    ['Deal code', cell(deal.deal_code)],
+    ['Type', cell(deal.type)],
+    ['Status', cell(deal.status)],
+    ['Generated at', isoDate(generatedAt)],
+    ['Generated by', cell(viewer.email)],
+    [],
+    ['Findings', findingRows.length],
+    ...['critical', 'high', 'medium', 'low'].map((sev) => [
+      `  ${sev}`, exportedFindings.filter(({ f }) => f.severity === sev).length,
+    ]),
+    ['Q&A items', qaRows.length],
+    ['  open', qaItems.filter((q) => q.status === 'open').length],
+    ['  answered', qaItems.filter((q) => q.status === 'answered').length],
+    ['Checklist received', `${checklistSummary.received + checklistSummary.satisfied} of ${checklistSummary.total - checklistSummary.waived}`],
+    ['  waived', checklistSummary.waived],
+    ['Documents visible to you', visibleDocs.length],
+    ['Participants', participantRows.length],
+    ['Changes', changeRows.length],
+  ];
+  if (!viewer.canEdit) summaryRows.push([], ['Note', 'Only approved findings are included for viewers without edit rights.']);
+
+  return [
+    { name: 'Summary', rows: summaryRows },
+    { name: 'Findings', rows: [findingHeader, ...findingRows] },
+    { name: 'Q&A', rows: [qaHeader, ...qaRows] },
+    { name: 'Checklist', rows: [['Expected document', 'Status', 'Section', 'Required', 'Documents', 'Note', 'Categories'], ...checklistRows] },
+    { name: 'Participants', rows: [['Role', 'Company', 'Name', 'Email', 'Status', 'Invited at', 'Completed at'], ...participantRows] },
+    { name: 'Change log', rows: [['When', 'Subject type', 'Subject', 'Kind', 'State', 'Actor', 'Rationale'], ...changeRows] },
+  ];
+}
+
+/**
+ * Write the sheets from buildDealExportSheets() to an XLSX buffer.
+ * @returns {Buffer}
+ */
+export function buildDealExportWorkbook(input) {
+  const wb = XLSX.utils.book_new();
+  for (const sheet of buildDealExportSheets(input)) {
+    const ws = XLSX.utils.aoa_to_sheet(sheet.rows);
+    const widths = (sheet.rows[0] || []).map((_, ci) => ({
+      wch: Math.min(60, Math.max(10, ...sheet.rows.map((r) => String(r[ci] ?? '').length))),
+    }));
+    ws['!cols'] = widths;
+    XLSX.utils.book_append_sheet(wb, ws, sheet.name);
+  }
+  return XLSX.write(wb, { type: 'buffer', bookType: 'xlsx' });
+}
@@ -0,0 +1,386 @@
+/**
+ * 100-day integration plan — what happens after an M&A or PE roll-up deal
+ * completes. A plan has workstreams (governance, people, finance, systems…)
+ * and initiatives under them, each owned by someone and due by Day 1, 30,
+ * 60 or 100.
+ *
+ * Initiatives don't track progress by hand alone: they link to `changes`
+ * rows, and a linked change counts for more the further it has moved
+ * through proposed → accepted → applied → live → measured. Rejected and
+ * reverted changes drop out. The burndown compares the work left on each
+ * day since Day 1 with an even run-down to every initiative's deadline,
+ * and the changes' measured outcomes are summed per metric.
+ *
+ * Pure: rows in, resolved initiatives / burndown out. The routes
+ * (app/api/deals/[id]/integration-plan) load the rows; the deal agent
+ * drafts initiatives through `propose_integration_plan`.
+ */
+
+export const INTEGRATION_DEADLINES = [
+  { key: 'day_1', label: 'Day 1', day: 1 },
+  { key: 'day_30', label: 'Day 30', day: 30 },
+  { key: 'day_60', label: 'Day 60', day: 60 },
+  { key: 'day_100', label: 'Day 100', day: 100 },
+];
+export const INITIATIVE_STATUSES = ['not_started', 'in_progress', 'done'];
+export const PLAN_STATUSES = ['draft', 'active', 'closed'];
+export const PLAN_DEAL_TYPES = ['ma', 'pe_rollup'];
+export const MAX_WORKSTREAMS = 20;
+export const MAX_INITIATIVES = 200;
+
+export const DEFAULT_WORKSTREAMS = {
+  ma: [
+    { key: 'governance', name: 'Governance & Day 1 readiness' },
+    { key: 'people', name: 'People & organisation' },
+    { key: 'finance', name: 'Finance & reporting' },
+    { key: 'systems', name: 'IT & systems' },
+    { key: 'operations', name: 'Operations & processes' },
+    { key: 'commercial', name: 'Customers & commercial' },
+  ],
+  pe_rollup: [
+    { key: 'governance', name: 'Platform governance' },
+    { key: 'finance', name: 'Finance & reporting consolidation' },
+    { key: 'systems', name: 'Systems consolidation' },
+    { key: 'operations', name: 'Shared services & operations' },
+    { key: 'people', name: 'People & culture' },
+    { key: 'value_creation', name: 'Value creation' },
+  ],
+};
+
+// How far along a linked change is. Rejected / reverted ones aren't work
+// towards the initiative any more and are left out.
+const CHANGE_WEIGHTS = { proposed: 0, accepted: 0.25, applied: 0.5, live: 0.75, measured: 1 };
+const STEP_STAMPS = [['measured_at', 1], ['live_at', 0.75], ['applied_at', 0.5]];
+
+const DEADLINE_DAYS = Object.fromEntries(INTEGRATION_DEADLINES.map((d) => [d.key, d.day]));
+const MAX_LINKS = 50;
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export function deadlineLabel(key) {
+  return INTEGRATION_DEADLINES.find((d) => d.key === key)?.label || key;
+}
+
+function dayNumber(v) {
+  if (v instanceof Date) return Math.floor(v.getTime() / DAY_MS);
+  if (!v) return null;
+  const t = Date.parse(String(v).length === 10 ? `${v}T00:00:00Z` : v);
+  return Number.isFinite(t) ? Math.floor(t / DAY_MS) : null;
+}
+
+function isoDay(n) {
+  return new Date(n * DAY_MS).toISOString().slice(0, 10);
+}
+
+function email(value, field) {
+  const out = String(value ?? '').trim().toLowerCase();
+  if (out && !EMAIL_RE.test(out)) throw new Error(`${field} must be an email address.`);
+  return out || null;
+}
+
+function idList(value, field, { uuid = true } = {}) {
+  if (value == null) return [];
+  if (!Array.isArray(value)) throw new Error(`${field} must be an array.`);
+  const out = [...new Set(value.map((v) => String(v ?? '').trim()).filter(Boolean))];
+  if (out.length > MAX_LINKS) throw new Error(`${field} can hold at most ${MAX_LINKS} entries.`);
+  if (uuid && out.some((v) => !UUID_RE.test(v))) throw new Error(`${field} must hold ids.`);
+  if (!uuid && out.some((v) => v.length > 200)) throw new Error(`${field} entries are too long.`);
+  return out;
+}
+
+/** Workstream key for a name: "IT & systems" → "it_systems". */
+export function workstreamKey(name) {
+  return String(name ?? '').toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '').slice(0, 40);
+}
+
+/**
+ * Validate a workstream list. Keys come from the name when missing and
+ * must be unique. Throws an Error whose message is safe to show.
+ */
+export function normaliseWorkstreams(list) {
+  if (!Array.isArray(list)) throw new Error('workstreams must be an array.');
+  if (list.length > MAX_WORKSTREAMS) throw new Error(`A plan can have at most ${MAX_WORKSTREAMS} workstreams.`);
+  const seen = new Set();
+  return list.map((w) => {
+    const name = String(w?.name ?? '').trim().slice(0, 120);
+    if (!name) throw new Error('Every workstream needs a name.');
+    const key = workstreamKey(w?.key || name);
+    if (!key) throw new Error(`Workstream "${name}" needs a key.`);
+    if (seen.has(key)) throw new Error(`Workstream "${name}" is listed twice.`);
+    seen.add(key);
+    return { key, name, owner_email: email(w?.owner_email, `Owner of "${name}"`) };
+  });
+}
+
+/** Validate a plan save body into column values (only the fields sent). */
+export function normalisePlanInput(input) {
+  const body = input && typeof input === 'object' ? input : {};
+  const out = {};
+  if ('title' in body) {
+    const title = String(body.title ?? '').trim().slice(0, 200);
+    if (!title) throw new Error('Plan title cannot be empty.');
+    out.title = title;
+  }
+  if ('status' in body) {
+    if (!PLAN_STATUSES.includes(body.status)) throw new Error(`status must be one of ${PLAN_STATUSES.join(', ')}.`);
+    out.status = body.status;
+  }
+  if ('day_one_date' in body) {
+    const v = body.day_one_date ? String(body.day_one_date).slice(0, 10) : null;
+    if (v && (!DATE_RE.test(v) || isoDay(dayNumber(v)) !== v)) throw new Error('day_one_date must be a YYYY-MM-DD date.');
+    out.day_one_date = v;
+  }
+  if ('workstreams' in body) out.workstreams = normaliseWorkstreams(body.workstreams);
+  return out;
+}
+
+/**
+ * Validate an initiative create (or, with `partial`, update) body. The
+ * workstream may be given by key or by name.
+ */
+export function normaliseInitiativeInput(input, { partial = false } = {}) {
+  const body = input && typeof input === 'object' ? input : {};
+  const out = {};
+  if (!partial || 'workstream' in body) {
+    const key = workstreamKey(body.workstream);
+    if (!key) throw new Error('workstream is required.');
+    out.workstream = key;
+  }
+  if (!partial || 'title' in body) {
+    const title = String(body.title ?? '').trim().slice(0, 200);
+    if (!title) throw new Error('Initiative title is required.');
+    out.title = title;
+  }
+  if ('description' in body) out.description = String(body.description ?? '').trim().slice(0, 2000) || null;
+  if ('owner_email' in body) out.owner_email = email(body.owner_email, 'owner_email');
+  if (!partial || 'deadline' in body) {
+    const deadline = body.deadline || 'day_100';
+    if (!(deadline in DEADLINE_DAYS)) {
+      throw new Error(`deadline must be one of ${INTEGRATION_DEADLINES.map((d) => d.key).join(', ')}.`);
+    }
+    out.deadline = deadline;
+  }
+  if ('status' in body) {
+    if (!INITIATIVE_STATUSES.includes(body.status)) throw new Error(`status must be one of ${INITIATIVE_STATUSES.join(', ')}.`);
+    out.status = body.status;
+  }
+  if ('change_ids' in body) out.change_ids = idList(body.change_ids, 'change_ids');
+  if ('finding_keys' in body) out.finding_keys = idList(body.finding_keys, 'finding_keys', { uuid: false });
+  if ('process_ids' in body) out.process_ids = idList(body.process_ids, 'process_ids');
+  if ('order_index' in body) {
+    const n = Number(body.order_index);
+    if (!Number.isInteger(n)) throw new Error('order_index must be an integer.');
+    out.order_index = n;
+  }
+  return out;
+}
+
+/**
+ * Links must point at things on this deal. Returns an error message, or
+ * null when every id is known.
+ *
+ * @param {object}   clean        normaliseInitiativeInput output
+ * @param {object[]} workstreams  the plan's workstreams
+ * @param {{ changes: object[], findings: object[], processes: object[] }} options
+ */
+export function checkInitiativeLinks(clean, workstreams, options) {
+  if (clean.workstream && !(workstreams || []).some((w) => w.key === clean.workstream)) {
+    return `The plan has no "${clean.workstream}" workstream.`;
+  }
+  const known = {
+    change_ids: new Set((options?.changes || []).map((c) => c.id)),
+    finding_keys: new Set((options?.findings || []).map((f) => f.key)),
+    process_ids: new Set((options?.processes || []).map((p) => p.id)),
+  };
+  for (const [field, ids] of Object.entries(known)) {
+    if ((clean[field] || []).some((v) => !ids.has(v))) return `${field} has ids that aren't on this deal.`;
+  }
+  return null;
+}
+
+/**
+ * Add workstreams the plan doesn't have yet (matched by key), keeping the
+ * existing ones — and their owners — as they are.
+ */
+export function mergeWorkstreams(existing, incoming) {
+  const out = [...(existing || [])];
+  const keys = new Set(out.map((w) => w.key));
+  for (const w of incoming || []) {
+    if (keys.has(w.key)) continue;
+    keys.add(w.key);
+    out.push(w);
+  }
+  if (out.length > MAX_WORKSTREAMS) throw new Error(`A plan can have at most ${MAX_WORKSTREAMS} workstreams.`);
+  return out;
+}
+
+function live(change) {
+  return change && change.state !== 'rejected' && change.state !== 'reverted';
+}
+
+// How far a change had got by the end of `day` (a day number), from its
+// lifecycle timestamps. null when it didn't count yet or any more.
+function changeWeightOn(change, day) {
+  const on = (field) => {
+    const d = dayNumber(change[field]);
+    return d != null && d <= day;
+  };
+  if (change.state === 'rejected') return null;
+  if (on('reverted_at')) return null;
+  if (!on('proposed_at') && !on('created_at')) return null;
+  for (const [field, weight] of STEP_STAMPS) if (on(field)) return weight;
+  return on('decided_at') ? CHANGE_WEIGHTS.accepted : CHANGE_WEIGHTS.proposed;
+}
+
+function average(weights) {
+  return weights.length ? weights.reduce((s, w) => s + w, 0) / weights.length : 0;
+}
+
+/**
+ * 0–1: done initiatives are complete; otherwise the average of the linked
+ * changes that still count.
+ */
+export function initiativeProgress(initiative, changesById) {
+  if (initiative.status === 'done') return 1;
+  const weights = (initiative.change_ids || [])
+    .map((id) => changesById.get(id))
+    .filter(live)
+    .map((c) => CHANGE_WEIGHTS[c.state] ?? 0);
+  return average(weights);
+}
+
+function progressOn(initiative, changesById, day) {
+  const done = dayNumber(initiative.completed_at);
+  if (initiative.status === 'done' && done != null && done <= day) return 1;
+  const weights = (initiative.change_ids || [])
+    .map((id) => changesById.get(id))
+    .filter(Boolean)
+    .map((c) => changeWeightOn(c, day))
+    .filter((w) => w != null);
+  return average(weights);
+}
+
+function changeLabel(c) {
+  const text = c.rationale || [c.subject_type, c.kind].filter(Boolean).join(' ');
+  return String(text || 'Change').slice(0, 120);
+}
+
+/**
+ * Resolve initiatives against the linked changes and the Day 1 date.
+ * Each gets `progress`, its `due_date` (when Day 1 is known), the linked
+ * `changes` in brief and a `state`: done / overdue / in_progress /
+ * not_started. Sorted by deadline, then order.
+ *
+ * @param {object}   args
+ * @param {object[]} args.initiatives
+ * @param {object[]} [args.changes]  `changes` rows (loadChanges shape)
+ * @param {string}   [args.dayOne]   YYYY-MM-DD
+ * @param {string|Date} [args.today]
+ */
+export function resolveInitiatives({ initiatives, changes = [], dayOne = null, today = new Date() }) {
+  const changesById = new Map(changes.map((c) => [c.id, c]));
+  const start = dayNumber(dayOne);
+  const now = dayNumber(today);
+  return (initiatives || [])
+    .map((i) => {
+      const progress = initiativeProgress(i, changesById);
+      const due = start != null ? start + (DEADLINE_DAYS[i.deadline] ?? 100) : null;
+      const linked = (i.change_ids || [])
+        .map((id) => changesById.get(id))
+        .filter(Boolean)
+        .map((c) => ({ id: c.id, state: c.state, label: changeLabel(c) }));
+      let state;
+      if (i.status === 'done') state = 'done';
+      else if (due != null && now > due) state = 'overdue';
+      else if (i.status === 'in_progress' || progress > 0) state = 'in_progress';
+      else state = 'not_started';
+      return {
+        ...i,
+        deadline_label: deadlineLabel(i.deadline),
+        due_date: due != null ? isoDay(due) : null,
+        progress: Math.round(progress * 100) / 100,
+        changes: linked,
+        state,
+      };
+    })
+    .sort((a, b) => (DEADLINE_DAYS[a.deadline] ?? 100) - (DEADLINE_DAYS[b.deadline] ?? 100)
+      || (a.order_index || 0) - (b.order_index || 0)
+      || String(a.created_at || '').localeCompare(String(b.created_at || '')));
+}
+
+/**
+ * Measured outcomes of the linked changes, summed per metric. A change
+ * measured more than once counts its latest reading.
+ */
+export function outcomeRollup(initiatives, changes) {
+  const linked = new Set((initiatives || []).flatMap((i) => i.change_ids || []));
+  const totals = new Map();
+  for (const c of changes || []) {
+    if (!linked.has(c.id) || !live(c)) continue;
+    const latest = new Map();
+    for (const o of c.change_outcomes || []) {
+      const prev = latest.get(o.metric);
+      if (!prev || String(o.measured_at || '') > String(prev.measured_at || '')) latest.set(o.metric, o);
+    }
+    for (const o of latest.values()) {
+      const delta = o.delta != null ? Number(o.delta) : Number(o.value_after) - Number(o.value_before);
+      if (!Number.isFinite(delta)) continue;
+      const key = `${o.metric}|${o.unit || ''}`;
+      const t = totals.get(key) || { metric: o.metric, unit: o.unit || null, delta: 0, changes: 0 };
+      t.delta += delta;
+      t.changes += 1;
+      totals.set(key, t);
+    }
+  }
+  return [...totals.values()]
+    .map((t) => ({ ...t, delta: Math.round(t.delta * 100) / 100 }))
+    .sort((a, b) => a.metric.localeCompare(b.metric));
+}
+
+/**
+ * Work left over the 100 days, one unit per initiative. `ideal` runs each
+ * initiative down evenly from Day 0 to its deadline; `actual` is what was
+ * left at the end of that day (null for days still ahead). Without a Day 1
+ * date there is nothing to plot and `points` is empty.
+ *
+ * @returns {{ day_one: string|null, today: number|null, total: number,
+ *             remaining: number, points: { day: number, ideal: number, actual: number|null }[],
+ *             by_deadline: object, outcomes: object[] }}
+ */
+export function planBurndown({ initiatives = [], changes = [], dayOne = null, today = new Date() }) {
+  const changesById = new Map(changes.map((c) => [c.id, c]));
+  const start = dayNumber(dayOne);
+  const now = dayNumber(today);
+  const total = initiatives.length;
+  const round = (n) => Math.round(n * 100) / 100;
+  const remainingOn = (day) => round(initiatives.reduce((s, i) => s + 1 - progressOn(i, changesById, day), 0));
+
+  const byDeadline = Object.fromEntries(INTEGRATION_DEADLINES.map((d) => [d.key, { total: 0, done: 0, overdue: 0 }]));
+  for (const i of initiatives) {
+    const b = byDeadline[i.deadline];
+    if (!b) continue;
+    b.total += 1;
+    if (i.status === 'done') b.done += 1;
+    else if (start != null && now > start + DEADLINE_DAYS[i.deadline]) b.overdue += 1;
+  }
+
+  const points = [];
+  if (start != null && total) {
+    for (const day of [0, 1, 10, 20, 30, 40, 50, 60, 70, 80, 90, 100]) {
+      const ideal = initiatives.reduce((s, i) => s + Math.max(0, 1 - day / (DEADLINE_DAYS[i.deadline] ?? 100)), 0);
+      points.push({ day, ideal: round(ideal), actual: start + day <= now ? remainingOn(start + day) : null });
+    }
+  }
+
+  return {
+    day_one: start != null ? isoDay(start) : null,
+    today: start != null ? now - start : null,
+    total,
+    remaining: total ? round(initiatives.reduce((s, i) => s + 1 - initiativeProgress(i, changesById), 0)) : 0,
+    points,
+    by_deadline: byDeadline,
+    outcomes: outcomeRollup(initiatives, changes),
+  };
+}
@@ -0,0 +1,226 @@
+/**
+ * dealIntegrationPlanStore — a deal's 100-day integration plan
+ * (migration-deal-integration-plans.sql).
+ *
+ *   getIntegrationPlan(dealId)
+ *   saveIntegrationPlan(dealId, fields, opts)          ← creates it on first save
+ *   listIntegrationInitiatives(dealId)
+ *   insertIntegrationInitiatives(dealId, planId, rows, opts)
+ *   updateIntegrationInitiative(dealId, initiativeId, patch)
+ *   deleteIntegrationInitiative(dealId, initiativeId)
+ *   loadIntegrationPlanView(access)                    ← resolved initiatives,
+ *                                                        burndown and link
+ *                                                        options
+ *
+ * Progress and the burndown come from lib/dealIntegrationPlan.js; this
+ * module only reads the rows it needs. Reads tolerate the tables being
+ * absent so the workspace still opens before the migration runs.
+ */
+
+import {
+  getSupabaseHeaders, getSupabaseWriteHeaders, fetchWithTimeout, requireSupabase,
+} from './api-helpers.js';
+import { logger } from './logger.js';
+import { loadChanges } from './changes/repo.js';
+import { latestAnalysisFindings } from './dealPortfolio.js';
+import { listDealMilestones } from './dealMilestoneStore.js';
+import {
+  resolveInitiatives, planBurndown, DEFAULT_WORKSTREAMS, MAX_INITIATIVES,
+} from './dealIntegrationPlan.js';
+
+export const PLAN_SELECT = 'id,deal_id,title,status,day_one_date,workstreams,created_by_email,updated_by_email,created_at,updated_at';
+export const INITIATIVE_SELECT =
+  'id,plan_id,deal_id,workstream,title,description,owner_email,deadline,status,'
+  + 'change_ids,finding_keys,process_ids,origin,order_index,completed_at,created_by_email,created_at,updated_at';
+
+async function readRows(path) {
+  const sb = requireSupabase();
+  if (!sb) return [];
+  try {
+    const resp = await fetchWithTimeout(`${sb.url}/rest/v1/${path}`, { method: 'GET', headers: getSupabaseHeaders(sb.key) });
+    return resp.ok ? await resp.json() : [];
+  } catch (e) {
+    logger.warn('dealIntegrationPlanStore read failed', { table: path.split('?')[0], error: e.message });
+    return [];
+  }
+}
+
+export async function getIntegrationPlan(dealId) {
+  if (!dealId) return null;
+  const [row] = await readRows(`deal_integration_plans?deal_id=eq.${encodeURIComponent(dealId)}&select=${PLAN_SELECT}&limit=1`);
+  return row || null;
+}
+
+/**
+ * Upsert the deal's plan row. `created_by_email` only sticks on the first
+ * save. Returns the row, or null on a storage failure.
+ */
+export async function saveIntegrationPlan(dealId, fields, { email = null, existing = null } = {}) {
+  const sb = requireSupabase();
+  if (!dealId || !sb) return null;
+  try {
+    const resp = await fetchWithTimeout(
+      `${sb.url}/rest/v1/deal_integration_plans?on_conflict=deal_id&select=${PLAN_SELECT}`,
+      {
+        method: 'POST',
+        headers: { ...getSupabaseWriteHeaders(sb.key), Prefer: 'resolution=merge-duplicates,return=representation' },
+        body: JSON.stringify([{
+          deal_id: dealId,
+          ...(existing ? {} : { created_by_email: email }),
+          ...fields,
+          updated_by_email: email,
+          updated_at: new Date().toISOString(),
+        }]),
+      },
+    );
+    if (!resp.ok) {
+      const txt = await resp.text().catch(() => '');
+      logger.warn('saveIntegrationPlan failed', { dealId, status: resp.status, body: txt.slice(0, 200) });
+      return null;
+    }
+    const [row] = await resp.json().catch(() => []);
+    return row || null;
+  } catch (e) {
+    logger.error('saveIntegrationPlan failed', { dealId, error: e.message });
+    return null;
+  }
+}
+
+export async function listIntegrationInitiatives(dealId) {
+  if (!dealId) return [];
+  return readRows(
+    `deal_integration_initiatives?deal_id=eq.${encodeURIComponent(dealId)}&select=${INITIATIVE_SELECT}` +
+      `&order=order_index.asc,created_at.asc&limit=${MAX_INITIATIVES}`,
+  );
+}
+
+export async function insertIntegrationInitiatives(dealId, planId, rows, { email = null } = {}) {
+  const sb = requireSupabase();
+  if (!dealId || !planId || !sb || !rows?.length) return null;
+  try {
+    const resp = await fetchWithTimeout(
+      `${sb.url}/rest/v1/deal_integration_initiatives?select=${INITIATIVE_SELECT}`,
+      {
+        method: 'POST',
+        headers: { ...getSupabaseWriteHeaders(sb.key), Prefer: 'return=representation' },
+        body: JSON.stringify(rows.map((r) => ({ ...r, deal_id: dealId, plan_id: planId, created_by_email: email }))),
+      },
+    );
+    if (!resp.ok) {
+      const txt = await resp.text().catch(() => '');
+      logger.warn('insertIntegrationInitiatives failed', { dealId, status: resp.status, body: txt.slice(0, 200) });
+      return null;
+    }
+    return await resp.json().catch(() => null);
+  } catch (e) {
+    logger.error('insertIntegrationInitiatives failed', { dealId, error: e.message });
+    return null;
+  }
+}
+
+export async function updateIntegrationInitiative(dealId, initiativeId, patch) {
+  const sb = requireSupabase();
+  if (!dealId || !initiativeId || !sb) return null;
+  try {
+    const resp = await fetchWithTimeout(
+      `${sb.url}/rest/v1/deal_integration_initiatives?id=eq.${encodeURIComponent(initiativeId)}` +
+        `&deal_id=eq.${encodeURIComponent(dealId)}&select=${INITIATIVE_SELECT}`,
+      {
+        method: 'PATCH',
+        headers: { ...getSupabaseWriteHeaders(sb.key), Prefer: 'return=representation' },
+        body: JSON.stringify({ ...patch, updated_at: new Date().toISOString() }),
+      },
+    );
+    if (!resp.ok) {
+      const txt = await resp.text().catch(() => '');
+      logger.warn('updateIntegrationInitiative failed', { dealId, initiativeId, status: resp.status, body: txt.slice(0, 200) });
+      return null;
+    }
+    const [row] = await resp.json().catch(() => []);
+    return row || null;
+  } catch (e) {
+    logger.error('updateIntegrationInitiative failed', { dealId, initiativeId, error: e.message });
+    return null;
+  }
+}
+
+export async function deleteIntegrationInitiative(dealId, initiativeId) {
+  const sb = requireSupabase();
+  if (!dealId || !initiativeId || !sb) return { ok: false };
+  try {
+    const resp = await fetchWithTimeout(
+      `${sb.url}/rest/v1/deal_integration_initiatives?id=eq.${encodeURIComponent(initiativeId)}&deal_id=eq.${encodeURIComponent(dealId)}`,
+      { method: 'DELETE', headers: { ...getSupabaseWriteHeaders(sb.key), Prefer: 'return=minimal' } },
+    );
+    return { ok: resp.ok };
+  } catch (e) {
+    logger.error('deleteIntegrationInitiative failed', { dealId, initiativeId, error: e.message });
+    return { ok: false };
+  }
+}
+
+/**
+ * Changes an initiative can link to: the deal's own, plus those recorded
+ * against the participants' processes (redesign edits carry a process id,
+ * not a deal id).
+ */
+async function loadPlanChanges(dealId, processIds) {
+  const lists = await Promise.all([
+    loadChanges({ dealId }),
+    ...processIds.map((reportId) => loadChanges({ reportId })),
+  ]);
+  const byId = new Map();
+  for (const c of lists.flat()) byId.set(c.id, c);
+  return [...byId.values()];
+}
+
+/**
+ * The deal's plan with initiatives resolved against their changes, the
+ * burndown and — for the deal team — `options`: what an initiative can
+ * link to. Day 1 is the plan's own date, else the deal's day_1 milestone.
+ * `plan` is null until the first save; `workstreams` then falls back to
+ * the defaults for the deal type.
+ *
+ * @param {object} access  resolveDealAccess result
+ */
+export async function loadIntegrationPlanView(access, { today = new Date() } = {}) {
+  const dealId = encodeURIComponent(access.deal.id);
+  const [plan, rows, milestones, participants, findings] = await Promise.all([
+    getIntegrationPlan(access.deal.id),
+    listIntegrationInitiatives(access.deal.id),
+    listDealMilestones(access.deal.id),
+    readRows(`deal_participants?deal_id=eq.${dealId}&process_id=not.is.null&select=id,role,company_name,process_id&order=created_at.asc`),
+    access.canEdit
+      ? readRows(`deal_findings?deal_id=eq.${dealId}&select=finding_key,analysis_id,title,severity,tags,created_at&limit=2000`)
+      : Promise.resolve([]),
+  ]);
+  const changes = await loadPlanChanges(access.deal.id, [...new Set(participants.map((p) => p.process_id))]);
+
+  const dayOneMilestone = milestones.find((m) => m.phase === 'day_1');
+  const dayOne = plan?.day_one_date || dayOneMilestone?.due_date || dayOneMilestone?.start_date || null;
+  let initiatives = resolveInitiatives({ initiatives: rows, changes, dayOne, today });
+  if (!access.canEdit) initiatives = initiatives.map((i) => ({ ...i, finding_keys: [] }));
+
+  const options = access.canEdit
+    ? {
+      changes: changes.map((c) => ({
+        id: c.id,
+        label: String(c.rationale || [c.subject_type, c.kind].filter(Boolean).join(' ')).slice(0, 120),
+        state: c.state,
+      })),
+      findings: latestAnalysisFindings(findings).map((f) => ({ key: f.finding_key, label: f.title, severity: f.severity, tags: f.tags || [] })),
+      processes: participants.map((p) => ({ id: p.process_id, label: `${p.company_name} (${p.role})` })),
+    }
+    : undefined;
+
+  return {
+    plan,
+    workstreams: plan?.workstreams?.length ? plan.workstreams : (DEFAULT_WORKSTREAMS[access.deal.type] || []),
+    dayOne,
+    dayOneSource: plan?.day_one_date ? 'plan' : dayOne ? 'milestone' : null,
+    initiatives,
+    rows,
+    burndown: planBurndown({ initiatives: rows, changes, dayOne, today }),
+    options,
+  };
+}
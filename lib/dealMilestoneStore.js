@@ -0,0 +1,163 @@
+/**
+ * dealMilestoneStore — a deal's timeline (migration-deal-milestones.sql).
+ *
+ *   listDealMilestones(dealId)
+ *   insertDealMilestones(dealId, rows, opts)        ← one or many (seeding)
+ *   updateDealMilestone(dealId, milestoneId, patch)
+ *   deleteDealMilestone(dealId, milestoneId)        ← also drops it from
+ *                                                     other milestones'
+ *                                                     depends_on
+ *   loadMilestoneView(access)                       ← resolved milestones
+ *                                                     plus link options
+ *
+ * Blockers and states come from lib/dealMilestones.js; this module only
+ * reads the rows it needs. Reads tolerate the table being absent so the
+ * workspace still opens before the migration runs.
+ */
+
+import {
+  getSupabaseHeaders, getSupabaseWriteHeaders, fetchWithTimeout, requireSupabase,
+} from './api-helpers.js';
+import { logger } from './logger.js';
+import { loadDealChecklistView } from './dealChecklistStore.js';
+import { latestAnalysisFindings } from './dealPortfolio.js';
+import { resolveMilestones, MAX_MILESTONES } from './dealMilestones.js';
+
+export const MILESTONE_SELECT =
+  'id,deal_id,phase,title,owner_email,start_date,due_date,status,note,'
+  + 'depends_on,qa_item_ids,checklist_item_ids,finding_keys,gate_deal_breakers,order_index,'
+  + 'completed_at,completed_by_email,created_by_email,created_at,updated_at';
+
+async function readRows(path) {
+  const sb = requireSupabase();
+  if (!sb) return [];
+  try {
+    const resp = await fetchWithTimeout(`${sb.url}/rest/v1/${path}`, { method: 'GET', headers: getSupabaseHeaders(sb.key) });
+    return resp.ok ? await resp.json() : [];
+  } catch (e) {
+    logger.warn('dealMilestoneStore read failed', { table: path.split('?')[0], error: e.message });
+    return [];
+  }
+}
+
+export async function listDealMilestones(dealId) {
+  if (!dealId) return [];
+  return readRows(
+    `deal_milestones?deal_id=eq.${encodeURIComponent(dealId)}&select=${MILESTONE_SELECT}` +
+      `&order=order_index.asc,created_at.asc&limit=${MAX_MILESTONES}`,
+  );
+}
+
+export async function insertDealMilestones(dealId, rows, { email = null } = {}) {
+  const sb = requireSupabase();
+  if (!dealId || !sb || !rows?.length) return null;
+  try {
+    const resp = await fetchWithTimeout(
+      `${sb.url}/rest/v1/deal_milestones?select=${MILESTONE_SELECT}`,
+      {
+        method: 'POST',
+        headers: { ...getSupabaseWriteHeaders(sb.key), Prefer: 'return=representation' },
+        body: JSON.stringify(rows.map((r) => ({ ...r, deal_id: dealId, created_by_email: email }))),
+      },
+    );
+    if (!resp.ok) {
+      const txt = await resp.text().catch(() => '');
+      logger.warn('insertDealMilestones failed', { dealId, status: resp.status, body: txt.slice(0, 200) });
+      return null;
+    }
+    return await resp.json().catch(() => null);
+  } catch (e) {
+    logger.error('insertDealMilestones failed', { dealId, error: e.message });
+    return null;
+  }
+}
+
+export async function updateDealMilestone(dealId, milestoneId, patch) {
+  const sb = requireSupabase();
+  if (!dealId || !milestoneId || !sb) return null;
+  try {
+    const resp = await fetchWithTimeout(
+      `${sb.url}/rest/v1/deal_milestones?id=eq.${encodeURIComponent(milestoneId)}` +
+        `&deal_id=eq.${encodeURIComponent(dealId)}&select=${MILESTONE_SELECT}`,
+      {
+        method: 'PATCH',
+        headers: { ...getSupabaseWriteHeaders(sb.key), Prefer: 'return=representation' },
+        body: JSON.stringify({ ...patch, updated_at: new Date().toISOString() }),
+      },
+    );
+    if (!resp.ok) {
+      const txt = await resp.text().catch(() => '');
+      logger.warn('updateDealMilestone failed', { dealId, milestoneId, status: resp.status, body: txt.slice(0, 200) });
+      return null;
+    }
+    const [row] = await resp.json().catch(() => []);
+    return row || null;
+  } catch (e) {
+    logger.error('updateDealMilestone failed', { dealId, milestoneId, error: e.message });
+    return null;
+  }
+}
+
+export async function deleteDealMilestone(dealId, milestoneId) {
+  const sb = requireSupabase();
+  if (!dealId || !milestoneId || !sb) return { ok: false };
+  try {
+    const resp = await fetchWithTimeout(
+      `${sb.url}/rest/v1/deal_milestones?id=eq.${encodeURIComponent(milestoneId)}&deal_id=eq.${encodeURIComponent(dealId)}`,
+      { method: 'DELETE', headers: { ...getSupabaseWriteHeaders(sb.key), Prefer: 'return=minimal' } },
+    );
+    if (!resp.ok) return { ok: false };
+    const dependants = await readRows(
+      `deal_milestones?deal_id=eq.${encodeURIComponent(dealId)}&depends_on=cs.{${milestoneId}}&select=id,depends_on`,
+    );
+    await Promise.all(dependants.map((m) => updateDealMilestone(dealId, m.id, {
+      depends_on: (m.depends_on || []).filter((d) => d !== milestoneId),
+    })));
+    return { ok: true };
+  } catch (e) {
+    logger.error('deleteDealMilestone failed', { dealId, milestoneId, error: e.message });
+    return { ok: false };
+  }
+}
+
+/**
+ * The deal's milestones resolved against its Q&A, checklist and findings.
+ * The deal team also gets `options` — what a milestone can be linked to.
+ * Findings still pending review are hidden from everyone else, so their
+ * blockers are shown without the title. `context` is what they were
+ * resolved against, for re-checking a proposed change; it never goes to
+ * the client.
+ *
+ * @param {object} access  resolveDealAccess result
+ * @returns {Promise<{ milestones: object[], rows: object[], options?: object, context: object }>}
+ */
+export async function loadMilestoneView(access, { today = new Date() } = {}) {
+  const dealId = encodeURIComponent(access.deal.id);
+  const [rows, qaItems, findings, reviews, checklistView] = await Promise.all([
+    listDealMilestones(access.deal.id),
+    readRows(`deal_qa_items?deal_id=eq.${dealId}&select=id,question,reference,status,due_date&order=asked_at.asc&limit=2000`),
+    readRows(`deal_findings?deal_id=eq.${dealId}&select=finding_key,analysis_id,section,title,severity,tags,created_at&limit=2000`),
+    readRows(`deal_finding_reviews?deal_id=eq.${dealId}&select=analysis_id,finding_key,status`),
+    loadDealChecklistView(access),
+  ]);
+
+  const context = { qaItems, checklist: checklistView.checklist, findings, reviews, today };
+  let milestones = resolveMilestones({ ...context, milestones: rows });
+  if (!access.canEdit) {
+    milestones = milestones.map((m) => ({
+      ...m,
+      finding_keys: [],
+      blockers: m.blockers.map((b) => (b.kind === 'finding' ? { kind: 'finding', ref: null, label: 'Diligence finding unresolved' } : b)),
+    }));
+  }
+
+  const options = access.canEdit
+    ? {
+      qa: qaItems.map((q) => ({ id: q.id, label: [q.reference, q.question].filter(Boolean).join(' · ').slice(0, 120), status: q.status, due_date: q.due_date })),
+      checklist: checklistView.checklist.map((c) => ({ id: c.id, label: c.label, section: c.section, status: c.status })),
+      findings: latestAnalysisFindings(findings).map((f) => ({ key: f.finding_key, label: f.title, severity: f.severity, tags: f.tags || [] })),
+    }
+    : undefined;
+
+  return { milestones, rows, options, context };
+}
@@ -0,0 +1,370 @@
+/**
+ * Deal timeline — the phases a deal moves through (NDA → IOI → LOI →
+ * confirmatory diligence → signing → completion → Day 1 → Day 100) as
+ * milestones with an owner, start / due dates and dependencies.
+ *
+ * A milestone can be tied to the rest of the workspace, and those links
+ * decide whether it may be closed:
+ *
+ *   depends_on          other milestones that must be done first
+ *   qa_item_ids         Q&A items that must be answered (or skipped)
+ *   checklist_item_ids  expected documents that must be in hand or waived
+ *   finding_keys        findings that must be rejected in review
+ *   gate_deal_breakers  every finding of the latest analysis tagged
+ *                       deal_breaker must be rejected in review or lose
+ *                       the tag — on by default for signing
+ *
+ * Pure: rows in, resolved milestones out. The routes
+ * (app/api/deals/[id]/milestones) load the rows and enforce the gate.
+ */
+
+import { latestAnalysisFindings } from './dealPortfolio.js';
+import { qaDueState } from './dealQaSheet.js';
+
+export const MILESTONE_PHASES = [
+  { key: 'nda', label: 'NDA', days: 7 },
+  { key: 'ioi', label: 'IOI', days: 21 },
+  { key: 'loi', label: 'LOI', days: 21 },
+  { key: 'confirmatory_dd', label: 'Confirmatory diligence', days: 56 },
+  { key: 'signing', label: 'Signing', days: 14 },
+  { key: 'completion', label: 'Completion', days: 30 },
+  { key: 'day_1', label: 'Day 1', days: 1 },
+  { key: 'day_100', label: 'Day 100', days: 99 },
+];
+export const MILESTONE_STATUSES = ['planned', 'in_progress', 'done'];
+export const MAX_MILESTONES = 100;
+
+const PHASE_KEYS = new Set([...MILESTONE_PHASES.map((p) => p.key), 'custom']);
+const GATED_PHASES = new Set(['signing']);
+const OPEN_QA = new Set(['open']);
+const MAX_LINKS = 100;
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export function phaseLabel(key) {
+  return MILESTONE_PHASES.find((p) => p.key === key)?.label || 'Custom';
+}
+
+function dayNumber(v) {
+  if (v instanceof Date) return Math.floor(v.getTime() / DAY_MS);
+  const m = String(v || '').match(/^(\d{4})-(\d{2})-(\d{2})/);
+  return m ? Date.UTC(+m[1], +m[2] - 1, +m[3]) / DAY_MS : null;
+}
+
+function isoDay(n) {
+  return new Date(n * DAY_MS).toISOString().slice(0, 10);
+}
+
+function validDate(v) {
+  if (!DATE_RE.test(v)) return false;
+  return isoDay(dayNumber(v)) === v;
+}
+
+function idList(value, field, { uuid = true, max = MAX_LINKS } = {}) {
+  if (value == null) return [];
+  if (!Array.isArray(value)) throw new Error(`${field} must be an array.`);
+  const out = [...new Set(value.map((v) => String(v ?? '').trim()).filter(Boolean))];
+  if (out.length > max) throw new Error(`${field} can hold at most ${max} entries.`);
+  if (uuid && out.some((v) => !UUID_RE.test(v))) throw new Error(`${field} must hold ids.`);
+  if (!uuid && out.some((v) => v.length > 200)) throw new Error(`${field} entries are too long.`);
+  return out;
+}
+
+/**
+ * Validate a create (or, with `partial`, an update) body into column
+ * values. Throws an Error whose message is safe to show.
+ */
+export function normaliseMilestoneInput(input, { partial = false } = {}) {
+  const body = input && typeof input === 'object' ? input : {};
+  const out = {};
+  if (!partial || 'phase' in body) {
+    const phase = body.phase || 'custom';
+    if (!PHASE_KEYS.has(phase)) throw new Error(`phase must be one of ${[...PHASE_KEYS].join(', ')}.`);
+    out.phase = phase;
+  }
+  if (!partial || 'title' in body) {
+    const title = String(body.title ?? '').trim().slice(0, 200) || (out.phase && out.phase !== 'custom' ? phaseLabel(out.phase) : '');
+    if (!title) throw new Error('Milestone title is required.');
+    out.title = title;
+  }
+  if ('owner_email' in body) {
+    const email = String(body.owner_email ?? '').trim().toLowerCase();
+    if (email && !EMAIL_RE.test(email)) throw new Error('owner_email must be an email address.');
+    out.owner_email = email || null;
+  }
+  for (const field of ['start_date', 'due_date']) {
+    if (!(field in body)) continue;
+    const v = body[field] ? String(body[field]).slice(0, 10) : null;
+    if (v && !validDate(v)) throw new Error(`${field} must be a YYYY-MM-DD date.`);
+    out[field] = v;
+  }
+  if (out.start_date && out.due_date && out.due_date < out.start_date) {
+    throw new Error('due_date cannot be before start_date.');
+  }
+  if ('status' in body) {
+    if (!MILESTONE_STATUSES.includes(body.status)) throw new Error(`status must be one of ${MILESTONE_STATUSES.join(', ')}.`);
+    out.status = body.status;
+  }
+  if ('note' in body) out.note = String(body.note ?? '').trim().slice(0, 2000) || null;
+  if ('depends_on' in body) out.depends_on = idList(body.depends_on, 'depends_on', { max: 20 });
+  if ('qa_item_ids' in body) out.qa_item_ids = idList(body.qa_item_ids, 'qa_item_ids');
+  if ('checklist_item_ids' in body) out.checklist_item_ids = idList(body.checklist_item_ids, 'checklist_item_ids', { uuid: false });
+  if ('finding_keys' in body) out.finding_keys = idList(body.finding_keys, 'finding_keys', { uuid: false });
+  if ('gate_deal_breakers' in body) out.gate_deal_breakers = Boolean(body.gate_deal_breakers);
+  else if (!partial) out.gate_deal_breakers = GATED_PHASES.has(out.phase);
+  if ('order_index' in body) {
+    const n = Number(body.order_index);
+    if (!Number.isInteger(n)) throw new Error('order_index must be an integer.');
+    out.order_index = n;
+  }
+  return out;
+}
+
+/**
+ * Links must point at things on this deal. Returns an error message, or
+ * null when every id is known.
+ *
+ * @param {object}   clean       normaliseMilestoneInput output
+ * @param {object[]} milestones  the deal's milestone rows
+ * @param {{ qa: object[], checklist: object[], findings: object[] }} options
+ *                               the link choices (ids / finding keys)
+ */
+export function checkMilestoneLinks(clean, milestones, options) {
+  const known = {
+    depends_on: new Set((milestones || []).map((m) => m.id)),
+    qa_item_ids: new Set((options?.qa || []).map((q) => q.id)),
+    checklist_item_ids: new Set((options?.checklist || []).map((c) => c.id)),
+    finding_keys: new Set((options?.findings || []).map((f) => f.key)),
+  };
+  for (const [field, ids] of Object.entries(known)) {
+    const unknown = (clean[field] || []).filter((v) => !ids.has(v));
+    if (unknown.length) return `${field} has ids that aren't on this deal: ${unknown.slice(0, 3).join(', ')}.`;
+  }
+  return null;
+}
+
+/**
+ * Would giving milestone `id` these dependencies create a loop? Walks the
+ * proposed edges depth-first; a milestone depending on itself counts.
+ *
+ * @param {object[]} milestones  current rows ({ id, depends_on })
+ * @param {string}   id
+ * @param {string[]} dependsOn   the proposed depends_on for `id`
+ */
+export function hasDependencyCycle(milestones, id, dependsOn) {
+  const edges = new Map((milestones || []).map((m) => [m.id, m.depends_on || []]));
+  edges.set(id, dependsOn || []);
+  const seen = new Set();
+  const stack = [...(dependsOn || [])];
+  while (stack.length) {
+    const next = stack.pop();
+    if (next === id) return true;
+    if (seen.has(next)) continue;
+    seen.add(next);
+    stack.push(...(edges.get(next) || []));
+  }
+  return false;
+}
+
+/**
+ * The standard phase plan, laid end to end from `start`, each phase
+ * depending on the one before. Phases the deal already has are skipped;
+ * the next seeded phase depends on the existing one instead.
+ *
+ * @param {object}   opts
+ * @param {string}   opts.start      YYYY-MM-DD
+ * @param {object[]} [opts.existing] current milestones
+ * @param {() => string} opts.newId  uuid factory, so rows can reference each other before insert
+ */
+export function defaultMilestonePlan({ start, existing = [], newId }) {
+  let day = dayNumber(start);
+  if (day == null) throw new Error('start must be a YYYY-MM-DD date.');
+  const have = new Map();
+  for (const m of existing) if (m.phase && !have.has(m.phase)) have.set(m.phase, m);
+  const maxOrder = existing.reduce((n, m) => Math.max(n, Number(m.order_index) || 0), 0);
+
+  const rows = [];
+  let previousId = null;
+  MILESTONE_PHASES.forEach((phase, i) => {
+    const current = have.get(phase.key);
+    if (current) {
+      previousId = current.id;
+      const end = dayNumber(current.due_date);
+      if (end != null) day = end;
+      return;
+    }
+    const id = newId();
+    rows.push({
+      id,
+      phase: phase.key,
+      title: phase.label,
+      start_date: isoDay(day),
+      due_date: isoDay(day + phase.days),
+      status: 'planned',
+      depends_on: previousId ? [previousId] : [],
+      gate_deal_breakers: GATED_PHASES.has(phase.key),
+      order_index: maxOrder + i + 1,
+    });
+    previousId = id;
+    day += phase.days;
+  });
+  return rows;
+}
+
+/**
+ * Findings of the latest analysis tagged deal_breaker that review has not
+ * rejected. Approving a deal breaker confirms it; it still blocks.
+ *
+ * @param {object[]} findings  deal_findings rows (finding_key, analysis_id, tags, …)
+ * @param {object[]} reviews   deal_finding_reviews rows (finding_key, analysis_id, status)
+ */
+export function openDealBreakers(findings, reviews = []) {
+  const rejected = rejectedKeys(reviews);
+  return latestAnalysisFindings(findings).filter((f) => (
+    (f.tags || []).includes('deal_breaker') && !rejected.has(`${f.analysis_id}:${f.finding_key}`)
+  ));
+}
+
+function rejectedKeys(reviews) {
+  return new Set((reviews || [])
+    .filter((r) => r.status === 'rejected')
+    .map((r) => `${r.analysis_id}:${r.finding_key}`));
+}
+
+/**
+ * Resolve each milestone against the workspace: what blocks it, what puts
+ * it at risk, and its display state.
+ *
+ *   blockers  [{ kind: dependency | qa | checklist | finding, ref, label }]
+ *             — each must clear before the milestone can be marked done
+ *   warnings  [{ kind, ref, label }] — linked Q&A due after the milestone,
+ *             or already overdue
+ *   state     done | blocked | overdue | in_progress | planned
+ *
+ * @param {object}   input
+ * @param {object[]} input.milestones
+ * @param {object[]} [input.qaItems]    deal_qa_items (id, question, status, due_date)
+ * @param {object[]} [input.checklist]  resolved checklist items (resolveChecklist)
+ * @param {object[]} [input.findings]   deal_findings rows incl. tags
+ * @param {object[]} [input.reviews]    deal_finding_reviews rows
+ * @param {Date|string} [input.today]
+ */
+export function resolveMilestones({ milestones, qaItems = [], checklist = [], findings = [], reviews = [], today = new Date() }) {
+  const byId = new Map((milestones || []).map((m) => [m.id, m]));
+  const qaById = new Map(qaItems.map((q) => [q.id, q]));
+  const checklistById = new Map(checklist.map((c) => [c.id, c]));
+  const latest = latestAnalysisFindings(findings);
+  const latestByKey = new Map(latest.map((f) => [f.finding_key, f]));
+  const rejected = rejectedKeys(reviews);
+  const dealBreakers = openDealBreakers(findings, reviews);
+  const now = dayNumber(today);
+
+  return sortMilestones(milestones).map((m) => {
+    const blockers = [];
+    const warnings = [];
+    for (const depId of m.depends_on || []) {
+      const dep = byId.get(depId);
+      if (dep && dep.status !== 'done') blockers.push({ kind: 'dependency', ref: dep.id, label: `${dep.title} not done` });
+    }
+    for (const qaId of m.qa_item_ids || []) {
+      const q = qaById.get(qaId);
+      if (!q) continue;
+      const question = String(q.question || '').slice(0, 80);
+      if (OPEN_QA.has(q.status)) blockers.push({ kind: 'qa', ref: q.id, label: `Q&A open: ${question}` });
+      const due = qaDueState(q, today);
+      if (due === 'overdue') warnings.push({ kind: 'qa', ref: q.id, label: `Q&A overdue: ${question}` });
+      else if (q.due_date && m.due_date && OPEN_QA.has(q.status) && q.due_date > m.due_date) {
+        warnings.push({ kind: 'qa', ref: q.id, label: `Q&A due ${q.due_date}, after this milestone: ${question}` });
+      }
+    }
+    for (const itemId of m.checklist_item_ids || []) {
+      const item = checklistById.get(itemId);
+      if (item && item.status === 'missing') blockers.push({ kind: 'checklist', ref: item.id, label: `Document missing: ${item.label}` });
+    }
+    const findingBlocks = new Map();
+    for (const key of m.finding_keys || []) {
+      const f = latestByKey.get(key);
+      if (f && !rejected.has(`${f.analysis_id}:${f.finding_key}`)) findingBlocks.set(key, f);
+    }
+    if (m.gate_deal_breakers) for (const f of dealBreakers) findingBlocks.set(f.finding_key, f);
+    for (const f of findingBlocks.values()) {
+      const breaker = (f.tags || []).includes('deal_breaker');
+      blockers.push({ kind: 'finding', ref: f.finding_key, label: `${breaker ? 'Deal breaker' : 'Finding'} unresolved: ${f.title || f.finding_key}` });
+    }
+
+    // Waiting on an earlier phase is normal for a planned milestone; it
+    // only counts as blocked once work has started.
+    let state;
+    if (m.status === 'done') state = 'done';
+    else if (blockers.some((b) => b.kind !== 'dependency') || (blockers.length && m.status === 'in_progress')) state = 'blocked';
+    else if (m.due_date && now != null && dayNumber(m.due_date) < now) state = 'overdue';
+    else state = m.status === 'in_progress' ? 'in_progress' : 'planned';
+
+    return { ...m, phase_label: phaseLabel(m.phase), blockers: m.status === 'done' ? [] : blockers, warnings: m.status === 'done' ? [] : warnings, state };
+  });
+}
+
+/** Order by start (undated last), then order_index, then title. */
+export function sortMilestones(milestones) {
+  return [...(milestones || [])].sort((a, b) => {
+    const as = dayNumber(a.start_date || a.due_date);
+    const bs = dayNumber(b.start_date || b.due_date);
+    if (as !== bs) {
+      if (as == null) return 1;
+      if (bs == null) return -1;
+      return as - bs;
+    }
+    return (Number(a.order_index) || 0) - (Number(b.order_index) || 0) || String(a.title).localeCompare(String(b.title));
+  });
+}
+
+/**
+ * Bar positions for the Gantt view, as percentages of the span from the
+ * earliest start to the latest due date (today included, so the marker
+ * always lands on the chart). A milestone with only one date is drawn as
+ * a one-day bar; one with neither gets no bar. Computed server-side and
+ * sent with the milestones, so the client needs no date maths.
+ *
+ * @returns {{ start: string|null, end: string|null, days: number,
+ *   today: number|null, months: { label: string, left: number }[],
+ *   bars: Object<string, { left: number, width: number }> }}  bars by milestone id
+ */
+export function ganttLayout(milestones, today = new Date()) {
+  const now = dayNumber(today);
+  const spans = new Map();
+  for (const m of milestones || []) {
+    const s = dayNumber(m.start_date) ?? dayNumber(m.due_date);
+    const e = dayNumber(m.due_date) ?? s;
+    if (s != null) spans.set(m.id, [s, Math.max(s, e)]);
+  }
+  if (!spans.size) return { start: null, end: null, days: 0, today: null, months: [], bars: {} };
+
+  let lo = Math.min(...[...spans.values()].map(([s]) => s));
+  let hi = Math.max(...[...spans.values()].map(([, e]) => e));
+  if (now != null) { lo = Math.min(lo, now); hi = Math.max(hi, now); }
+  const days = hi - lo + 1;
+  const pct = (d) => Math.round(((d - lo) / days) * 10000) / 100;
+
+  const bars = {};
+  for (const [id, [s, e]] of spans) bars[id] = { left: pct(s), width: Math.max(pct(e + 1) - pct(s), 0.5) };
+
+  const months = [];
+  const first = new Date(lo * DAY_MS);
+  let cursor = Date.UTC(first.getUTCFullYear(), first.getUTCMonth(), 1) / DAY_MS;
+  while (cursor <= hi) {
+    const d = new Date(cursor * DAY_MS);
+    if (cursor >= lo) months.push({ label: isoDay(cursor).slice(0, 7), left: pct(cursor) });
+    cursor = Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + 1, 1) / DAY_MS;
+  }
+
+  return {
+    start: isoDay(lo),
+    end: isoDay(hi),
+    days,
+    today: now != null ? pct(now) : null,
+    months,
+    bars,
+  };
+}
@@ -0,0 +1,245 @@
+/**
+ * Deal-to-deal benchmarking across a fund's diligence work.
+ *
+ * Every deal's findings, data room, process maps and Q&A already live in
+ * their own tables; this module boils each deal down to the handful of
+ * numbers a portfolio view compares, and works out the portfolio median
+ * for each so an outlier stands out:
+ *
+ *   findingMix          latest analysis only, by severity and category
+ *   checklistProgress   expected-documents checklist received or
+ *                       satisfied / total not waived, against the deal's
+ *                       own checklist (lib/dealDocumentChecklist.js)
+ *   processBenchmark    annual cost, team size (FTE), cost per FTE and
+ *                       automation grade over the deal's mapped
+ *                       processes (deriveProcessMetrics)
+ *   qaTurnaround        days from asked to answered, open and overdue
+ *
+ * Pure: the route (app/api/deals/portfolio) fetches the rows and decides
+ * which deals the caller may see.
+ *
+ * Money stays in each deal's process currency. Processes in a currency
+ * other than the deal's main one are left out of its cost figures and
+ * flagged (mixedCurrency); the portfolio cost-per-FTE median is only
+ * given when every deal reports in the same currency.
+ */
+
+import { deriveProcessMetrics, gradeFromPct } from './processMetrics.js';
+import { getChecklistForDealType, resolveChecklist, summariseChecklist } from './dealDocumentChecklist.js';
+import { qaDueState } from './dealQaSheet.js';
+
+export const SEVERITIES = ['critical', 'high', 'medium', 'low'];
+
+// Singleton / roll-up sections restate findings from the other sections.
+const SUMMARY_SECTIONS = new Set(['executiveSummary', 'keyFindings']);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function round1(n) {
+  return Math.round(n * 10) / 10;
+}
+
+export function median(values) {
+  const xs = (values || []).filter((v) => typeof v === 'number' && Number.isFinite(v)).sort((a, b) => a - b);
+  if (!xs.length) return null;
+  const mid = Math.floor(xs.length / 2);
+  return xs.length % 2 ? xs[mid] : (xs[mid - 1] + xs[mid]) / 2;
+}
+
+/**
+ * The findings of a deal's most recent analysis. Ranked by the newest
+ * created_at per analysis_id, ties broken on row count (legacy rows have
+ * no timestamps), so re-runs don't double count. The deal list's risk
+ * score uses the same pick.
+ */
+export function latestAnalysisFindings(findings) {
+  const arr = Array.isArray(findings) ? findings : [];
+  if (!arr.length) return [];
+  const byAnalysis = new Map();
+  for (const f of arr) {
+    const cur = byAnalysis.get(f.analysis_id) || { count: 0, latest: 0 };
+    cur.count += 1;
+    const ts = f.created_at ? new Date(f.created_at).getTime() : 0;
+    if (ts > cur.latest) cur.latest = ts;
+    byAnalysis.set(f.analysis_id, cur);
+  }
+  let bestId = null; let bestLatest = -1; let bestCount = -1;
+  for (const [id, info] of byAnalysis) {
+    if (info.latest > bestLatest || (info.latest === bestLatest && info.count > bestCount)) {
+      bestId = id; bestLatest = info.latest; bestCount = info.count;
+    }
+  }
+  return arr.filter((f) => f.analysis_id === bestId && !SUMMARY_SECTIONS.has(f.section));
+}
+
+/** Severity and category counts over the latest analysis. */
+export function findingMix(findings) {
+  const latest = latestAnalysisFindings(findings);
+  const bySeverity = Object.fromEntries(SEVERITIES.map((s) => [s, 0]));
+  const byCategory = {};
+  for (const f of latest) {
+    const sev = SEVERITIES.includes(f.severity) ? f.severity : 'medium';
+    bySeverity[sev] += 1;
+    const cat = (f.category || 'general').trim().toLowerCase() || 'general';
+    byCategory[cat] = (byCategory[cat] || 0) + 1;
+  }
+  const total = latest.length;
+  return {
+    total,
+    bySeverity,
+    byCategory,
+    // Share of findings that are high or critical: the comparable number
+    // between a 10-finding deal and a 60-finding one.
+    severePct: total ? Math.round(((bySeverity.critical + bySeverity.high) / total) * 100) : null,
+  };
+}
+
+/**
+ * Expected-documents checklist progress. `checklist` is the deal's
+ * { items, marks } (lib/dealChecklistStore.js); without it, the built-in
+ * list for the deal type.
+ */
+export function checklistProgress(documents, dealType, checklist = null) {
+  const docs = (documents || []).filter((d) => d.status !== 'archived');
+  const summary = summariseChecklist(resolveChecklist({
+    items: checklist?.items || getChecklistForDealType(dealType),
+    documents: docs,
+    marks: checklist?.marks || [],
+  }));
+  return {
+    total: summary.total - summary.waived,
+    received: summary.received + summary.satisfied,
+    pct: summary.pct,
+  };
+}
+
+/** People on a process: team size per mapped process, 1 when not given. */
+function processFte(row) {
+  const flow = row?.flow_data || row?.diagnostic_data || {};
+  const raws = Array.isArray(flow.rawProcesses)
+    ? flow.rawProcesses
+    : (Array.isArray(flow.processes) ? flow.processes : []);
+  return raws.reduce((sum, raw) => sum + (Number(raw?.costs?.teamSize) > 0 ? Number(raw.costs.teamSize) : 1), 0);
+}
+
+/**
+ * Cost, FTE and automation over a deal's processes (rows from
+ * `processes` with flow_data). Automation is the average of the
+ * processes that have a figure, graded the same way as a single process.
+ */
+export function processBenchmark(processRows) {
+  const rows = [];
+  const seen = new Set();
+  for (const r of processRows || []) {
+    if (!r || (r.id && seen.has(r.id))) continue;
+    if (r.id) seen.add(r.id);
+    rows.push({ m: deriveProcessMetrics(r), fte: processFte(r) });
+  }
+  if (!rows.length) {
+    return {
+      processCount: 0, currency: null, mixedCurrency: false,
+      annualCost: null, fte: null, costPerFte: null, automationPct: null, automationGrade: 'N/A',
+    };
+  }
+
+  const currencyCounts = new Map();
+  for (const { m } of rows) currencyCounts.set(m.currency, (currencyCounts.get(m.currency) || 0) + 1);
+  const currency = [...currencyCounts.entries()].sort((a, b) => b[1] - a[1])[0][0];
+
+  let annualCost = 0;
+  let fte = 0;
+  for (const { m, fte: f } of rows) {
+    if (m.currency !== currency) continue;
+    annualCost += m.total_annual_cost || 0;
+    fte += f;
+  }
+  const autos = rows.map(({ m }) => m.automation_percentage).filter((v) => v != null);
+  const automationPct = autos.length ? Math.round(autos.reduce((a, b) => a + b, 0) / autos.length) : null;
+
+  return {
+    processCount: rows.length,
+    currency,
+    mixedCurrency: currencyCounts.size > 1,
+    annualCost: Math.round(annualCost),
+    fte: round1(fte),
+    costPerFte: fte > 0 ? Math.round(annualCost / fte) : null,
+    automationPct,
+    automationGrade: gradeFromPct(automationPct),
+  };
+}
+
+/** Q&A turnaround: median days from asked to answered, plus the backlog. */
+export function qaTurnaround(items, today = new Date()) {
+  const list = items || [];
+  const days = [];
+  let open = 0;
+  let overdue = 0;
+  for (const q of list) {
+    if (q.status === 'open') {
+      open += 1;
+      if (qaDueState(q, today) === 'overdue') overdue += 1;
+    }
+    if (q.status === 'answered' && q.asked_at && q.answered_at) {
+      const d = (new Date(q.answered_at).getTime() - new Date(q.asked_at).getTime()) / DAY_MS;
+      if (Number.isFinite(d) && d >= 0) days.push(d);
+    }
+  }
+  const med = median(days);
+  return {
+    total: list.length,
+    open,
+    overdue,
+    answered: days.length,
+    medianDaysToClose: med == null ? null : round1(med),
+  };
+}
+
+/**
+ * One benchmark row per deal plus portfolio medians.
+ *
+ * @param {object[]} inputs  [{ deal, findings, documents, processes, qaItems, checklist? }]
+ *                           deal is the deals row (id, name, type, status…)
+ * @returns {{ deals: object[], benchmark: object, categories: string[] }}
+ *          categories are the finding categories across the portfolio,
+ *          most frequent first, for a category-mix matrix.
+ */
+export function buildPortfolioBenchmark(inputs, today = new Date()) {
+  const deals = (inputs || []).map(({ deal, findings, documents, processes, qaItems, checklist }) => ({
+    id: deal.id,
+    name: deal.name,
+    dealCode: deal.deal_code || null,
+    type: deal.type,
+    status: deal.status,
+    accessMode: deal.accessMode || null,
+    updatedAt: deal.updated_at || null,
+    findings: findingMix(findings),
+    checklist: checklistProgress(documents, deal.type, checklist),
+    processes: processBenchmark(processes),
+    qa: qaTurnaround(qaItems, today),
+  }));
+
+  const categoryTotals = new Map();
+  for (const d of deals) {
+    for (const [cat, n] of Object.entries(d.findings.byCategory)) {
+      categoryTotals.set(cat, (categoryTotals.get(cat) || 0) + n);
+    }
+  }
+  const categories = [...categoryTotals.entries()]
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .map(([cat]) => cat);
+
+  const costed = deals.filter((d) => d.processes.costPerFte != null);
+  const currencies = new Set(costed.map((d) => d.processes.currency));
+  const benchmark = {
+    dealCount: deals.length,
+    findings: median(deals.filter((d) => d.findings.total).map((d) => d.findings.total)),
+    severePct: median(deals.map((d) => d.findings.severePct)),
+    checklistPct: median(deals.map((d) => d.checklist.pct)),
+    automationPct: median(deals.map((d) => d.processes.automationPct)),
+    costPerFte: currencies.size === 1 ? median(costed.map((d) => d.processes.costPerFte)) : null,
+    currency: currencies.size === 1 ? [...currencies][0] : null,
+    qaMedianDaysToClose: median(deals.map((d) => d.qa.medianDaysToClose)),
+  };
+  benchmark.automationGrade = gradeFromPct(benchmark.automationPct);
+
+  return { deals, benchmark, categories };
+}
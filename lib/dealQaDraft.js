@@ -0,0 +1,127 @@
+/**
+ * "Answer draft" for a Q&A item: propose an answer from the data room,
+ * with citations, for a person to accept or rewrite.
+ *
+ * The route (app/api/deals/[id]/qa/[itemId]/draft) runs searchDealChunks
+ * for the question and applies visibility; this module numbers the
+ * excerpts, asks the model to answer only from them with [n] markers, and
+ * maps the markers back to chunks. Markers pointing at nothing are
+ * dropped and the rest renumbered in reading order, so the stored draft
+ * and its citation list always agree.
+ *
+ * The draft sits in deal_qa_items.draft_answer / draft_citations and is
+ * never the answer until someone accepts it (PATCH accept_draft).
+ */
+
+import Anthropic from '@anthropic-ai/sdk';
+import { logger } from './logger.js';
+import { CHAT_MODEL_ID } from './agents/models.js';
+
+const EXCERPT_CHARS = 1200;
+const QUOTE_CHARS = 240;
+export const NOT_FOUND_PREFIX = 'NOT FOUND:';
+
+const SYSTEM = `You draft answers to due-diligence questions for the seller's team.
+
+Use ONLY the numbered data-room excerpts provided. Cite every factual statement with its excerpt number in square brackets, e.g. "Revenue was £12.4m in FY24 [2]." Do not invent figures, dates or names.
+
+Keep the answer short and factual, in the register of a formal Q&A response. No preamble, no sign-off.
+
+If the excerpts don't answer the question, reply with "${NOT_FOUND_PREFIX}" followed by one sentence on what information is missing.`;
+
+function where(c) {
+  return [
+    c.filename,
+    c.page_number ? `p.${c.page_number}` : null,
+    c.slide_number ? `slide ${c.slide_number}` : null,
+    c.sheet_name ? `sheet ${c.sheet_name}${c.cell_range ? ` ${c.cell_range}` : ''}` : null,
+  ].filter(Boolean).join(', ');
+}
+
+/**
+ * @param {{ question: string, chunks: object[] }} args  search_deal_chunks rows, best first
+ * @returns {{ system: string, user: string }}
+ */
+export function buildDraftPrompt({ question, chunks }) {
+  const excerpts = chunks.map((c, i) => (
+    `[${i + 1}] ${where(c)}\n${String(c.content || '').slice(0, EXCERPT_CHARS)}`
+  )).join('\n\n');
+  return {
+    system: SYSTEM,
+    user: `Question:\n${question}\n\nData-room excerpts:\n\n${excerpts}`,
+  };
+}
+
+/**
+ * @param {string} raw     model reply
+ * @param {object[]} chunks the excerpts, in prompt order
+ * @returns {{ answer: string, citations: object[], found: boolean }}
+ */
+export function parseDraftAnswer(raw, chunks) {
+  const textIn = String(raw || '').trim();
+  if (!textIn || textIn.toUpperCase().startsWith(NOT_FOUND_PREFIX)) {
+    return { answer: textIn.slice(NOT_FOUND_PREFIX.length).trim() || textIn, citations: [], found: false };
+  }
+
+  const renumber = new Map();
+  const citations = [];
+  const answer = textIn.replace(/\[(\d+(?:\s*,\s*\d+)*)\]/g, (_, list) => {
+    const nums = [];
+    for (const n of list.split(',').map((s) => Number(s.trim()))) {
+      const chunk = chunks[n - 1];
+      if (!chunk) continue;
+      if (!renumber.has(n)) {
+        renumber.set(n, citations.length + 1);
+        citations.push({
+          n: citations.length + 1,
+          chunk_id: chunk.chunk_id,
+          document_id: chunk.document_id,
+          filename: chunk.filename || null,
+          page_number: chunk.page_number ?? null,
+          sheet_name: chunk.sheet_name ?? null,
+          cell_range: chunk.cell_range ?? null,
+          snippet: String(chunk.content || '').replace(/\s+/g, ' ').trim().slice(0, QUOTE_CHARS),
+        });
+      }
+      if (!nums.includes(renumber.get(n))) nums.push(renumber.get(n));
+    }
+    return nums.length ? `[${nums.join(', ')}]` : '';
+  }).replace(/ +([.,;])/g, '$1').replace(/ {2,}/g, ' ').trim();
+
+  return { answer, citations, found: citations.length > 0 };
+}
+
+/**
+ * @param {{ question: string, chunks: object[], apiKey?: string }} args
+ * @returns {Promise<{ answer: string, citations: object[], found: boolean, model: string, usage: { inputTokens: number, outputTokens: number } } | null>}
+ *   null when no key is configured or the call fails.
+ */
+export async function draftQaAnswer({ question, chunks, apiKey }) {
+  const key = apiKey || process.env.ANTHROPIC_API_KEY;
+  if (!key || !question || !chunks?.length) return null;
+
+  const { system, user } = buildDraftPrompt({ question, chunks });
+  try {
+    const client = new Anthropic({ apiKey: key });
+    const resp = await client.messages.create({
+      model: CHAT_MODEL_ID,
+      max_tokens: 800,
+      system,
+      messages: [{ role: 'user', content: user }],
+    });
+    const raw = (resp?.content || []).filter((b) => b.type === 'text').map((b) => b.text).join('\n');
+    return {
+      ...parseDraftAnswer(raw, chunks),
+      model: CHAT_MODEL_ID,
+      usage: {
+        inputTokens: Number(resp?.usage?.input_tokens || 0)
+                   + Number(resp?.usage?.cache_read_input_tokens || 0)
+                   + Number(resp?.usage?.cache_creation_input_tokens || 0),
+        outputTokens: Number(resp?.usage?.output_tokens || 0),
+      },
+    };
+  } catch (e) {
+    logger.warn('draftQaAnswer failed', { error: e.message });
+    return null;
+  }
+}
@@ -0,0 +1,427 @@
+/**
+ * Q&A request lists as spreadsheets — the seller's side of diligence runs
+ * on a 200-row XLSX, so the Q&A queue (deal_qa_items) has to go in and
+ * out of one.
+ *
+ *   parseQaSheet     XLSX / CSV → rows. Header row found by name (first
+ *                    sheet that has a "Question" column), synonyms for the
+ *                    usual request-list headings, per-row errors instead
+ *                    of failing the file
+ *   planQaImport     rows × existing items → inserts / updates / unchanged.
+ *                    A row matches an item by the exported ID column, else
+ *                    by its reference, so re-importing an edited export
+ *                    updates in place instead of duplicating
+ *   buildQaSheetRows export layout; the ID column makes the round trip
+ *   qaDueState       overdue / due_soon / upcoming for the badge and the
+ *                    reminder cron
+ *   selectQaReminders  which open items to remind whom about, once per
+ *                    stage (reminder_stage on the row)
+ *
+ * Import touches the question side only (reference, category, priority,
+ * due date, question, assignee). Status and answers in a re-imported
+ * export are ignored — answers come in through the portal, attributed.
+ *
+ * Exported cells are plain strings / numbers; CSV cells that would start
+ * a formula are prefixed with an apostrophe (stripped again on import).
+ */
+
+import * as XLSX from 'xlsx';
+import { canSeeDocument } from './dealDocumentVisibility.js';
+
+export const QA_PRIORITIES = ['low', 'medium', 'high', 'critical'];
+export const MAX_IMPORT_ROWS = 1000;
+export const DUE_SOON_DAYS = 2;
+
+const MAX_QUESTION_CHARS = 2000;
+const MAX_CELL_CHARS = 32000;
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/** Normalised header text → field. */
+const HEADER_FIELDS = {
+  question: 'question', questions: 'question', request: 'question', 'information request': 'question',
+  query: 'question', 'question / request': 'question', 'request description': 'question', description: 'question',
+  id: 'id', 'item id': 'id',
+  ref: 'reference', 'ref.': 'reference', reference: 'reference', 'ref no': 'reference', 'ref no.': 'reference',
+  no: 'reference', 'no.': 'reference', '#': 'reference', item: 'reference', 'item no': 'reference',
+  'request no': 'reference', 'request #': 'reference', 'q no': 'reference',
+  category: 'category', workstream: 'category', section: 'category', area: 'category', topic: 'category',
+  priority: 'priority', urgency: 'priority', importance: 'priority',
+  due: 'due_date', 'due date': 'due_date', deadline: 'due_date', 'required by': 'due_date', 'date due': 'due_date',
+  'assigned to': 'assignee', assignee: 'assignee', owner: 'assignee', responsible: 'assignee', party: 'assignee',
+  company: 'assignee', 'respondent': 'assignee',
+  'assignee email': 'assignee_email', email: 'assignee_email', 'owner email': 'assignee_email',
+};
+
+const PRIORITY_WORDS = {
+  critical: 'critical', urgent: 'critical', p1: 'critical', '1': 'critical', 'very high': 'critical',
+  high: 'high', h: 'high', p2: 'high', '2': 'high',
+  medium: 'medium', med: 'medium', m: 'medium', normal: 'medium', p3: 'medium', '3': 'medium',
+  low: 'low', l: 'low', p4: 'low', '4': 'low',
+};
+
+const EXCEL_EPOCH = Date.UTC(1899, 11, 30);
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+function normHeader(v) {
+  return String(v ?? '').trim().toLowerCase().replace(/\s+/g, ' ').replace(/[:*]$/, '');
+}
+
+/** Cell text as the user sees it; formula guards from our own CSV export removed. */
+function text(cell) {
+  if (!cell) return '';
+  const s = String(cell.w ?? cell.v ?? '').trim();
+  return /^'[=+\-@]/.test(s) ? s.slice(1) : s;
+}
+
+function ymd(y, m, d) {
+  const dt = new Date(Date.UTC(y, m - 1, d));
+  if (dt.getUTCFullYear() !== y || dt.getUTCMonth() !== m - 1 || dt.getUTCDate() !== d) return null;
+  return dt.toISOString().slice(0, 10);
+}
+
+/**
+ * Due date cell → 'YYYY-MM-DD'. Excel date serials, ISO, day-first
+ * numeric (UK lists: 03/04/2025 is 3 April) and "3 Apr 2025" / "Apr 3, 2025".
+ * @returns {string|null|undefined} null for blank, undefined when unreadable
+ */
+export function parseDueDate(cell) {
+  if (!cell || cell.v == null || cell.v === '') return null;
+  if (cell.t === 'n' && typeof cell.v === 'number') {
+    // 1900 date system; serials after 1 March 1900 count from 30 Dec 1899.
+    if (cell.v < 61 || cell.v > 2958465) return undefined;
+    return new Date(EXCEL_EPOCH + Math.floor(cell.v) * 86400000).toISOString().slice(0, 10);
+  }
+  const s = text(cell);
+  if (!s) return null;
+  let m = s.match(/^(\d{4})-(\d{1,2})-(\d{1,2})(?:[T ].*)?$/);
+  if (m) return ymd(+m[1], +m[2], +m[3]) || undefined;
+  m = s.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2}|\d{4})$/);
+  if (m) return ymd(m[3].length === 2 ? 2000 + +m[3] : +m[3], +m[2], +m[1]) || undefined;
+  m = s.match(/^(\d{1,2})(?:st|nd|rd|th)? ([a-z]+)\.?,? (\d{4})$/i);
+  if (m && MONTHS.includes(m[2].slice(0, 3).toLowerCase())) {
+    return ymd(+m[3], MONTHS.indexOf(m[2].slice(0, 3).toLowerCase()) + 1, +m[1]) || undefined;
+  }
+  m = s.match(/^([a-z]+)\.? (\d{1,2})(?:st|nd|rd|th)?,? (\d{4})$/i);
+  if (m && MONTHS.includes(m[1].slice(0, 3).toLowerCase())) {
+    return ymd(+m[3], MONTHS.indexOf(m[1].slice(0, 3).toLowerCase()) + 1, +m[2]) || undefined;
+  }
+  return undefined;
+}
+
+/** @returns {string|null|undefined} null for blank, undefined when unrecognised */
+export function parsePriority(value) {
+  const s = String(value ?? '').trim().toLowerCase();
+  if (!s) return null;
+  return PRIORITY_WORDS[s];
+}
+
+function readGrid(ws) {
+  if (!ws || !ws['!ref']) return [];
+  const range = XLSX.utils.decode_range(ws['!ref']);
+  const grid = [];
+  for (let r = range.s.r; r <= range.e.r; r++) {
+    const row = [];
+    for (let c = range.s.c; c <= range.e.c; c++) row.push(ws[XLSX.utils.encode_cell({ r, c })] || null);
+    grid.push(row);
+  }
+  return grid;
+}
+
+function findHeader(grid) {
+  for (let r = 0; r < Math.min(grid.length, 20); r++) {
+    const columns = {};
+    grid[r].forEach((cell, c) => {
+      const field = HEADER_FIELDS[normHeader(text(cell))];
+      if (field && columns[field] === undefined) columns[field] = c;
+    });
+    if (columns.question !== undefined) return { row: r, columns };
+  }
+  return null;
+}
+
+/**
+ * @param {Buffer} buf
+ * @param {{ filename?: string }} [opts]
+ * @returns {{ fields: string[], rows: object[], errors: { line: number, error: string }[] }}
+ *   Each row carries `line` (1-based sheet row) and only the fields whose
+ *   column is present, so an import never blanks a column the sheet
+ *   doesn't have. Throws when the file isn't a sheet or has no question column.
+ */
+export function parseQaSheet(buf, { filename = '' } = {}) {
+  const isCsv = /\.(csv|tsv|txt)$/i.test(filename);
+  let wb;
+  try {
+    // raw: CSV text stays text — no US-locale date guessing.
+    wb = XLSX.read(buf, { type: 'buffer', raw: isCsv, cellDates: false });
+  } catch {
+    throw new Error('Could not read the file as a spreadsheet.');
+  }
+
+  let grid = null;
+  let header = null;
+  for (const name of wb.SheetNames) {
+    const g = readGrid(wb.Sheets[name]);
+    const h = findHeader(g);
+    if (h) { grid = g; header = h; break; }
+  }
+  if (!header) throw new Error('No "Question" column found. Add a header row with a Question column.');
+
+  const { columns } = header;
+  const fields = Object.keys(columns);
+  const rows = [];
+  const errors = [];
+  const seenRefs = new Map();
+
+  for (let r = header.row + 1; r < grid.length; r++) {
+    const line = r + 1;
+    const at = (field) => (columns[field] === undefined ? undefined : grid[r][columns[field]]);
+    const question = text(at('question'));
+    const filled = fields.some((f) => text(at(f)));
+    if (!filled) continue;
+    if (rows.length + errors.length >= MAX_IMPORT_ROWS) {
+      errors.push({ line, error: `Only the first ${MAX_IMPORT_ROWS} rows are imported.` });
+      break;
+    }
+    if (!question) { errors.push({ line, error: 'Question is blank.' }); continue; }
+    if (question.length > MAX_QUESTION_CHARS) {
+      errors.push({ line, error: `Question is longer than ${MAX_QUESTION_CHARS} characters.` });
+      continue;
+    }
+
+    const row = { line, question };
+    if ('id' in columns) {
+      const id = text(at('id'));
+      row.id = UUID_RE.test(id) ? id.toLowerCase() : null;
+    }
+    if ('reference' in columns) {
+      row.reference = text(at('reference')).slice(0, 100) || null;
+      const key = row.reference?.toLowerCase();
+      if (key && seenRefs.has(key)) {
+        errors.push({ line, error: `Reference "${row.reference}" is also used on row ${seenRefs.get(key)}.` });
+        continue;
+      }
+      if (key) seenRefs.set(key, line);
+    }
+    if ('category' in columns) row.category = text(at('category')).slice(0, 100) || null;
+    if ('priority' in columns) {
+      const p = parsePriority(text(at('priority')));
+      if (p === undefined) {
+        errors.push({ line, error: `Priority "${text(at('priority'))}" isn't one of ${QA_PRIORITIES.join(', ')}.` });
+        continue;
+      }
+      row.priority = p || 'medium';
+    }
+    if ('due_date' in columns) {
+      const due = parseDueDate(at('due_date'));
+      if (due === undefined) {
+        errors.push({ line, error: `Due date "${text(at('due_date'))}" isn't a date (use YYYY-MM-DD or DD/MM/YYYY).` });
+        continue;
+      }
+      row.due_date = due;
+    }
+    if ('assignee' in columns) row.assignee = text(at('assignee')).slice(0, 200) || null;
+    if ('assignee_email' in columns) row.assignee_email = text(at('assignee_email')).toLowerCase().slice(0, 320) || null;
+    rows.push(row);
+  }
+
+  return { fields, rows, errors };
+}
+
+/**
+ * Resolve a sheet's assignee cell to a deal participant: email first,
+ * then company, person and role names.
+ * @returns {object|null} deal_participants row
+ */
+export function matchParticipant({ assignee, assignee_email: email }, participants = []) {
+  if (email) {
+    const hit = participants.find((p) => (p.participant_email || '').toLowerCase() === email);
+    if (hit) return hit;
+  }
+  const s = String(assignee || '').trim().toLowerCase();
+  if (!s) return null;
+  return participants.find((p) => (p.participant_email || '').toLowerCase() === s)
+    || participants.find((p) => (p.company_name || '').trim().toLowerCase() === s)
+    || participants.find((p) => (p.participant_name || '').trim().toLowerCase() === s)
+    || participants.find((p) => (p.role || '').replace(/_/g, ' ') === s)
+    || null;
+}
+
+/** Sheet row → deal_qa_items columns, for the fields the sheet carries. */
+function rowFields(row, participants) {
+  const out = { question: row.question };
+  for (const f of ['reference', 'category', 'priority', 'due_date']) {
+    if (f in row) out[f] = row[f];
+  }
+  if ('assignee' in row || 'assignee_email' in row) {
+    const p = matchParticipant(row, participants);
+    out.assigned_participant_id = p?.id || null;
+    out.assigned_company = p ? (p.company_name || p.participant_name || row.assignee || null) : (row.assignee || null);
+  }
+  return out;
+}
+
+/**
+ * @param {object} input
+ * @param {object[]} input.rows          parseQaSheet rows
+ * @param {object[]} [input.existing]    the deal's deal_qa_items
+ * @param {object[]} [input.participants] the deal's deal_participants
+ * @returns {{ inserts: object[], updates: { id: string, line: number, patch: object }[], unchanged: number, unassigned: number }}
+ */
+export function planQaImport({ rows, existing = [], participants = [] }) {
+  const byId = new Map(existing.map((q) => [q.id, q]));
+  const byRef = new Map(existing.filter((q) => q.reference).map((q) => [q.reference.toLowerCase(), q]));
+  const inserts = [];
+  const updates = [];
+  let unchanged = 0;
+  let unassigned = 0;
+  const claimed = new Set();
+
+  for (const row of rows) {
+    const fields = rowFields(row, participants);
+    if (fields.assigned_company && !fields.assigned_participant_id) unassigned++;
+    const match = (row.id && byId.get(row.id)) || (row.reference && byRef.get(row.reference.toLowerCase()));
+    if (!match || claimed.has(match.id)) {
+      inserts.push({ line: row.line, priority: 'medium', ...fields });
+      continue;
+    }
+    claimed.add(match.id);
+    const patch = {};
+    for (const [k, v] of Object.entries(fields)) {
+      if ((match[k] ?? null) !== (v ?? null)) patch[k] = v;
+    }
+    // A moved deadline earns fresh reminders.
+    if ('due_date' in patch) patch.reminder_stage = null;
+    if (Object.keys(patch).length) updates.push({ id: match.id, line: row.line, patch });
+    else unchanged++;
+  }
+  return { inserts, updates, unchanged, unassigned };
+}
+
+/* ── Due dates ─────────────────────────────────────────────────────── */
+
+function dayNumber(v) {
+  if (v instanceof Date) return Math.floor(v.getTime() / 86400000);
+  const m = String(v || '').match(/^(\d{4})-(\d{2})-(\d{2})/);
+  return m ? Date.UTC(+m[1], +m[2] - 1, +m[3]) / 86400000 : null;
+}
+
+/**
+ * @param {{ status: string, due_date?: string|null }} item
+ * @param {Date|string} [today]
+ * @returns {'overdue'|'due_soon'|'upcoming'|null} null when answered/closed or undated
+ */
+export function qaDueState(item, today = new Date()) {
+  if (!item || item.status !== 'open' || !item.due_date) return null;
+  const due = dayNumber(item.due_date);
+  const now = dayNumber(today);
+  if (due == null || now == null) return null;
+  if (due < now) return 'overdue';
+  if (due - now <= DUE_SOON_DAYS) return 'due_soon';
+  return 'upcoming';
+}
+
+/** Counts for the Q&A summary chips. */
+export function qaDueSummary(items, today = new Date()) {
+  const out = { overdue: 0, due_soon: 0 };
+  for (const q of items || []) {
+    const s = qaDueState(q, today);
+    if (s === 'overdue' || s === 'due_soon') out[s]++;
+  }
+  return out;
+}
+
+/**
+ * Group the items a reminder is owed for by assignee. An item is reminded
+ * once when it comes due soon and once when it goes overdue; items with
+ * no participant (or a participant without an email) can't be reminded.
+ *
+ * @param {object[]} items        open deal_qa_items with due dates
+ * @param {object[]} participants deal_participants rows for those items
+ * @returns {{ participant: object, items: (object & { stage: string })[] }[]}
+ */
+export function selectQaReminders(items, participants, today = new Date()) {
+  const byId = new Map((participants || []).map((p) => [p.id, p]));
+  const groups = new Map();
+  for (const q of items || []) {
+    const stage = qaDueState(q, today);
+    if (stage !== 'overdue' && stage !== 'due_soon') continue;
+    if (q.reminder_stage === stage || (q.reminder_stage === 'overdue' && stage === 'due_soon')) continue;
+    const p = byId.get(q.assigned_participant_id);
+    if (!p?.participant_email) continue;
+    if (!groups.has(p.id)) groups.set(p.id, { participant: p, items: [] });
+    groups.get(p.id).items.push({ ...q, stage });
+  }
+  for (const g of groups.values()) g.items.sort((a, b) => String(a.due_date).localeCompare(String(b.due_date)));
+  return [...groups.values()];
+}
+
+/* ── Export ────────────────────────────────────────────────────────── */
+
+function cell(v) {
+  if (v == null) return '';
+  if (typeof v === 'number') return v;
+  const s = String(v);
+  return s.length > MAX_CELL_CHARS ? `${s.slice(0, MAX_CELL_CHARS)}…` : s;
+}
+
+/**
+ * @param {object} input
+ * @param {object[]} input.items        deal_qa_items rows
+ * @param {object[]} [input.participants]
+ * @param {object[]} [input.documents]  deal_documents (id, filename, label, visibility)
+ * @param {object} input.viewer         { isOwner, isCollaborator, viewerRole, cleanTeamIds, canManage }
+ * @returns {any[][]} header row first
+ */
+export function buildQaSheetRows({ items, participants = [], documents = [], viewer = {} }) {
+  const partById = new Map(participants.map((p) => [p.id, p]));
+  const docsById = new Map(documents.map((d) => [d.id, d]));
+  const visible = (d) => canSeeDocument({
+    document: d, viewerRole: viewer.viewerRole || null, isOwner: !!viewer.isOwner, isCollaborator: !!viewer.isCollaborator,
+    cleanTeamIds: viewer.cleanTeamIds || [],
+  });
+
+  const header = ['ID', 'Ref', 'Category', 'Priority', 'Due date', 'Question', 'Assigned to',
+    ...(viewer.canManage ? ['Assignee email'] : []),
+    'Status', 'Answer', 'Answered by', 'Answered at', 'Attachments'];
+
+  const rows = (items || []).map((q) => {
+    const p = partById.get(q.assigned_participant_id);
+    const names = [];
+    let restricted = 0;
+    for (const id of new Set(q.evidence_document_ids || [])) {
+      const d = docsById.get(id);
+      if (!d) continue;
+      if (visible(d)) names.push(d.label || d.filename);
+      else restricted++;
+    }
+    if (restricted) names.push(`${restricted} restricted document${restricted > 1 ? 's' : ''}`);
+    return [
+      cell(q.id), cell(q.reference), cell(q.category), cell(q.priority || 'medium'), cell(q.due_date),
+      cell(q.question), cell(p?.company_name || q.assigned_company),
+      ...(viewer.canManage ? [cell(p?.participant_email)] : []),
+      cell(q.status), cell(q.answer_text), cell(q.answered_by_email),
+      q.answered_at ? String(q.answered_at).slice(0, 10) : '', cell(names.join('; ')),
+    ];
+  });
+  return [header, ...rows];
+}
+
+/** @returns {Buffer} */
+export function buildQaWorkbook(input) {
+  const rows = buildQaSheetRows(input);
+  const ws = XLSX.utils.aoa_to_sheet(rows);
+  ws['!cols'] = rows[0].map((h) => ({ wch: h === 'Question' || h === 'Answer' ? 60 : h === 'ID' ? 38 : 14 }));
+  const wb = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(wb, ws, 'Q&A');
+  return XLSX.write(wb, { type: 'buffer', bookType: 'xlsx' });
+}
+
+/** @returns {string} */
+export function buildQaCsv(input) {
+  const esc = (v) => {
+    let s = String(v ?? '');
+    if (/^[=+\-@]/.test(s)) s = `'${s}`;
+    return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  };
+  return buildQaSheetRows(input).map((r) => r.map(esc).join(',')).join('\r\n');
+}
@@ -4,6 +4,15 @@
  * observations from the same source of truth.
  */
 
+import { checkConformance } from '../flows/processMining.js';
+
+const CONFORMANCE_STYLE = {
+  high: { icon: '⚠', color: '#dc2626' },
+  medium: { icon: '⚠', color: '#d97706' },
+  low: { icon: '◉', color: '#0891b2' },
+};
+const MAX_CONFORMANCE_ITEMS = 6;
+
 function generateRuleBasedRecs(processes) {
   const recs = [];
   processes.forEach((p) => {
@@ -268,6 +277,32 @@ export function buildMapObservations(processes) {
     // Rule-based specific findings
     const recs = generateRuleBasedRecs([p]).filter((r) => r.type !== 'general');
     recs.forEach((r) => items.push({ ...r, icon: '→', color: '#0891b2' }));
+
+    // Conformance against an imported event log (lib/flows/processMining.js)
+    if (p.eventLog?.activities?.length) {
+      const deltas = checkConformance(p, p.eventLog);
+      if (deltas.length === 0) {
+        items.push({
+          type: 'conformance',
+          process: p.processName,
+          text: `${pLabel}Map matches the event log (${p.eventLog.cases} cases)  -  every logged activity and path is drawn.`,
+          icon: '✓',
+          color: '#059669',
+        });
+      }
+      deltas.slice(0, MAX_CONFORMANCE_ITEMS).forEach((d) => {
+        items.push({ type: 'conformance', process: p.processName, text: `${pLabel}${d.text}`, ...CONFORMANCE_STYLE[d.severity] });
+      });
+      if (deltas.length > MAX_CONFORMANCE_ITEMS) {
+        items.push({
+          type: 'conformance',
+          process: p.processName,
+          text: `${pLabel}${deltas.length - MAX_CONFORMANCE_ITEMS} more differences between the map and the event log.`,
+          icon: '…',
+          color: '#0891b2',
+        });
+      }
+    }
   });
 
   if (items.length === 0) {
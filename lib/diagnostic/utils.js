@@ -2,6 +2,8 @@
  * Diagnostic utilities - esc, fixMojibake, form helpers, formatting
  */
 
+import { currencySymbol } from '../currency.js';
+
 export function esc(s) {
   return fixMojibake(String(s || ''))
     .replace(/&/g, '&amp;')
@@ -55,7 +57,12 @@ export function getCheckedValues(name, doc = typeof document !== 'undefined' ? d
   return Array.from(doc.querySelectorAll(`input[name="${name}"]:checked`)).map((cb) => cb.value);
 }
 
-export function formatCurrency(amount, symbol = '\u00A3') {
+/**
+ * £1.23M / £45K / £120. The second argument is a symbol or an ISO code
+ * ('EUR' → €), so callers can pass a process or reporting currency.
+ */
+export function formatCurrency(amount, symbolOrCode = '\u00A3') {
+  const symbol = /^[A-Z]{3}$/.test(symbolOrCode || '') ? currencySymbol(symbolOrCode) : symbolOrCode;
   if (amount >= 1000000) return symbol + (amount / 1000000).toFixed(2) + 'M';
   if (amount >= 1000) return symbol + (amount / 1000).toFixed(0) + 'K';
   return symbol + Math.round(amount || 0).toLocaleString();
@@ -0,0 +1,629 @@
+/**
+ * BPMN 2.0 import / export for process steps.
+ *
+ * Maps the canvas step model (`rawProcesses[].steps[]`) to and from the
+ * BPMN 2.0 XML that Camunda, Signavio and friends emit:
+ *
+ *   step                      ↔ bpmn:task
+ *   isDecision (exclusive)    ↔ bpmn:exclusiveGateway (diverging)
+ *   isDecision + parallel     ↔ bpmn:parallelGateway  (diverging)
+ *   isDecision + inclusive    ↔ bpmn:inclusiveGateway (diverging)
+ *   isMerge                   ↔ converging gateway in front of the step
+ *   branches[] (label, prob.) ↔ outgoing bpmn:sequenceFlow (name, vesno:probability)
+ *   department                ↔ bpmn:lane
+ *   flowCustomEdges           ↔ extra bpmn:sequenceFlow between tasks
+ *
+ * Sequence flows on export come from lib/flows/connections.js, which
+ * mirrors the canvas's own grid edge derivation, so what a consultant
+ * sees on the canvas is what lands in the modeller. Work / wait minutes
+ * and capacity ride along as attributes in the `vesno:` extension
+ * namespace; other tools ignore them, we read them back on import.
+ *
+ * Import linearises the BPMN graph into the 1-based step order the canvas
+ * expects (branch blocks kept contiguous), then runs the result through
+ * lib/flows/normalizer.js `repairFlow` + `validateFlow`. Remaining issues
+ * are returned alongside the process rather than thrown — a slightly
+ * malformed diagram is still a better starting point than retyping it.
+ *
+ * Pure module — no Supabase, no React. Deliberately dependency-free: the
+ * XML reader below handles the subset BPMN tools actually write and
+ * rejects DOCTYPE declarations outright (no entity expansion).
+ */
+
+import { deriveStepConnections, isBranching, orderSteps } from './connections.js';
+import { validateFlow, repairFlow, normalizeDepartment } from './normalizer.js';
+import { createEmptyProcess } from '../diagnostic/processData.js';
+
+export const BPMN_NS = 'http://www.omg.org/spec/BPMN/20100524/MODEL';
+const BPMNDI_NS = 'http://www.omg.org/spec/BPMN/20100524/DI';
+const DC_NS = 'http://www.omg.org/spec/DD/20100524/DC';
+const DI_NS = 'http://www.omg.org/spec/DD/20100524/DI';
+export const VESNO_BPMN_NS = 'urn:vesno:bpmn:1';
+
+const MAX_BPMN_BYTES = 5 * 1024 * 1024;
+const MAX_IMPORTED_STEPS = 500;
+// Steps plus the events and join gateways between them, and the flows
+// wiring them; checked before any graph work so an oversized diagram
+// fails fast instead of running the route out of time.
+const MAX_IMPORTED_NODES = 2000;
+const MAX_IMPORTED_FLOWS = 4000;
+
+const TASK_TYPES = new Set([
+  'task', 'userTask', 'manualTask', 'serviceTask', 'scriptTask', 'sendTask',
+  'receiveTask', 'businessRuleTask', 'subProcess', 'callActivity', 'transaction',
+]);
+const GATEWAY_TYPES = {
+  exclusiveGateway: 'exclusive',
+  parallelGateway: 'parallel',
+  inclusiveGateway: 'inclusive',
+  eventBasedGateway: 'exclusive',
+  complexGateway: 'exclusive',
+};
+const PASS_THROUGH_TYPES = new Set(['intermediateCatchEvent', 'intermediateThrowEvent']);
+
+/* ── Errors ───────────────────────────────────────────────────── */
+
+export class BpmnParseError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'BpmnParseError';
+    this.status = 400;
+  }
+}
+
+/* ── XML helpers ──────────────────────────────────────────────── */
+
+function escXml(s) {
+  return String(s ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function decodeEntities(s) {
+  return String(s).replace(/&(#x[0-9a-f]+|#\d+|lt|gt|amp|quot|apos);/gi, (m, ent) => {
+    const e = ent.toLowerCase();
+    if (e === 'lt') return '<';
+    if (e === 'gt') return '>';
+    if (e === 'amp') return '&';
+    if (e === 'quot') return '"';
+    if (e === 'apos') return "'";
+    const code = e.startsWith('#x') ? parseInt(e.slice(2), 16) : parseInt(e.slice(1), 10);
+    // XML Char range: no NUL, no lone surrogates, nothing past U+10FFFF.
+    if (!Number.isFinite(code) || code < 1 || code > 0x10ffff || (code >= 0xd800 && code <= 0xdfff)) {
+      throw new BpmnParseError(`Invalid character reference ${m}.`);
+    }
+    return String.fromCodePoint(code);
+  });
+}
+
+function localName(qname) {
+  const i = qname.indexOf(':');
+  return i >= 0 ? qname.slice(i + 1) : qname;
+}
+
+/** Index of the `>` closing the tag opened at `start`, skipping quoted attribute values. */
+function findTagEnd(src, start) {
+  let quote = null;
+  for (let i = start + 1; i < src.length; i++) {
+    const c = src[i];
+    if (quote) { if (c === quote) quote = null; continue; }
+    if (c === '"' || c === "'") { quote = c; continue; }
+    if (c === '>') return i;
+  }
+  return -1;
+}
+
+/**
+ * Minimal XML reader → { qname, name, attrs, children, text } tree.
+ * Namespace prefixes are kept on `qname` and stripped on `name`.
+ */
+export function parseXml(xml) {
+  const src = String(xml || '');
+  const root = { qname: '#root', name: '#root', attrs: {}, children: [], text: '' };
+  const stack = [root];
+  let i = 0;
+
+  while (i < src.length) {
+    const lt = src.indexOf('<', i);
+    const top = stack[stack.length - 1];
+    if (lt < 0) { top.text += decodeEntities(src.slice(i)); break; }
+    if (lt > i) top.text += decodeEntities(src.slice(i, lt));
+
+    if (src.startsWith('<!--', lt)) {
+      const end = src.indexOf('-->', lt + 4);
+      if (end < 0) throw new BpmnParseError('Unterminated XML comment.');
+      i = end + 3;
+      continue;
+    }
+    if (src.startsWith('<![CDATA[', lt)) {
+      const end = src.indexOf(']]>', lt + 9);
+      if (end < 0) throw new BpmnParseError('Unterminated CDATA section.');
+      top.text += src.slice(lt + 9, end);
+      i = end + 3;
+      continue;
+    }
+    if (src.startsWith('<?', lt)) {
+      const end = src.indexOf('?>', lt + 2);
+      if (end < 0) throw new BpmnParseError('Unterminated processing instruction.');
+      i = end + 2;
+      continue;
+    }
+    if (src.startsWith('<!', lt)) {
+      throw new BpmnParseError('DOCTYPE declarations are not supported in BPMN files.');
+    }
+
+    const gt = findTagEnd(src, lt);
+    if (gt < 0) throw new BpmnParseError('Unterminated XML tag.');
+    const raw = src.slice(lt + 1, gt).trim();
+    i = gt + 1;
+
+    if (raw.startsWith('/')) {
+      const qname = raw.slice(1).trim();
+      const el = stack.pop();
+      if (!el || el === root || el.qname !== qname) {
+        throw new BpmnParseError(`Mismatched closing tag </${qname}>.`);
+      }
+      continue;
+    }
+
+    const selfClosing = raw.endsWith('/');
+    const body = selfClosing ? raw.slice(0, -1) : raw;
+    const qname = (body.match(/^[^\s/>]+/) || [''])[0];
+    if (!qname) throw new BpmnParseError('Empty XML tag.');
+    const attrs = {};
+    const attrRe = /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+    let m;
+    const rest = body.slice(qname.length);
+    while ((m = attrRe.exec(rest))) attrs[m[1]] = decodeEntities(m[2] ?? m[3] ?? '');
+    const el = { qname, name: localName(qname), attrs, children: [], text: '' };
+    top.children.push(el);
+    if (!selfClosing) stack.push(el);
+  }
+
+  if (stack.length !== 1) throw new BpmnParseError(`Unclosed XML element <${stack[stack.length - 1].qname}>.`);
+  return root;
+}
+
+/** Read an attribute by local name, ignoring its namespace prefix. */
+function attr(el, name) {
+  if (!el?.attrs) return undefined;
+  if (el.attrs[name] !== undefined) return el.attrs[name];
+  const key = Object.keys(el.attrs).find((k) => localName(k) === name);
+  return key ? el.attrs[key] : undefined;
+}
+
+/** Every descendant named `name`, in document order — iterative, so deep nesting can't overflow the stack. */
+function findAll(el, name) {
+  const out = [];
+  const stack = [...(el.children || [])].reverse();
+  while (stack.length) {
+    const c = stack.pop();
+    if (c.name === name) out.push(c);
+    for (let i = (c.children || []).length - 1; i >= 0; i--) stack.push(c.children[i]);
+  }
+  return out;
+}
+
+function numAttr(el, name) {
+  const v = attr(el, name);
+  if (v === undefined || v === '') return undefined;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : undefined;
+}
+
+/* ── Export ───────────────────────────────────────────────────── */
+
+function gatewayTag(step) {
+  if (step.parallel) return 'parallelGateway';
+  if (step.inclusive) return 'inclusiveGateway';
+  return 'exclusiveGateway';
+}
+
+/** Nearest decision before `idx` — the one whose branches an isMerge step rejoins. */
+function owningDecision(steps, idx) {
+  for (let k = idx - 1; k >= 0; k--) if (isBranching(steps[k])) return steps[k];
+  return null;
+}
+
+const LANE_HEIGHT = 160;
+const LANE_HEADER = 30;
+const COL_WIDTH = 150;
+const SHAPE_SIZE = {
+  task: { w: 100, h: 80 },
+  gateway: { w: 50, h: 50 },
+  event: { w: 36, h: 36 },
+};
+
+/**
+ * Serialise one process to a BPMN 2.0 definitions document, including
+ * a collaboration pool, one lane per department and BPMN DI so the file
+ * opens laid out in Camunda Modeler / Signavio.
+ *
+ * @param {object} process  rawProcesses[] entry ({ processName, steps, flowCustomEdges? })
+ * @param {object} [opts]   { processId?: string }
+ * @returns {string} XML
+ */
+export function exportProcessToBpmn(process, opts = {}) {
+  const steps = Array.isArray(process?.steps) ? process.steps : [];
+  const processName = process?.processName || process?.name || 'Process';
+  const processKey = `Process_${String(opts.processId || '1').replace(/[^A-Za-z0-9_-]/g, '_')}`;
+  const connections = deriveStepConnections(steps, process?.flowCustomEdges, process?.flowDeletedEdges);
+
+  // Node table: start, [join gateway], step, …, end — in column order.
+  const nodes = [];
+  const stepNodeId = (i) => (isBranching(steps[i]) ? `Gateway_${i + 1}` : `Activity_${i + 1}`);
+  const joinNodeId = {};
+  const incomingCount = (i) => connections.filter((e) => e.to === i).length;
+
+  nodes.push({ id: 'StartEvent_1', tag: 'startEvent', shape: 'event', name: 'Start', dept: null });
+  steps.forEach((s, i) => {
+    const dept = normalizeDepartment(s.department);
+    if (s.isMerge && incomingCount(i) >= 2) {
+      const owner = owningDecision(steps, i);
+      joinNodeId[i] = `Gateway_Join_${i + 1}`;
+      nodes.push({ id: joinNodeId[i], tag: owner ? gatewayTag(owner) : 'exclusiveGateway', shape: 'gateway', name: '', dept, converging: true });
+    }
+    nodes.push({
+      id: stepNodeId(i),
+      tag: isBranching(s) ? gatewayTag(s) : 'task',
+      shape: isBranching(s) ? 'gateway' : 'task',
+      name: s.name || `Step ${i + 1}`,
+      dept,
+      step: s,
+    });
+  });
+  nodes.push({ id: 'EndEvent_1', tag: 'endEvent', shape: 'event', name: 'Complete', dept: null });
+
+  const departments = [];
+  nodes.forEach((n) => { if (n.dept && !departments.includes(n.dept)) departments.push(n.dept); });
+  if (!departments.length) departments.push('Other');
+  nodes[0].dept = nodes.find((n) => n.dept)?.dept || departments[0];
+  nodes[nodes.length - 1].dept = [...nodes].reverse().find((n) => n.dept)?.dept || departments[0];
+
+  // Flows: anything targeting a step with a join goes into the join instead.
+  const flows = [];
+  const refOf = (end) => (end === 'start' ? 'StartEvent_1' : end === 'end' ? 'EndEvent_1' : stepNodeId(end));
+  connections.forEach((e) => {
+    const targetRef = typeof e.to === 'number' && joinNodeId[e.to] ? joinNodeId[e.to] : refOf(e.to);
+    flows.push({ id: `Flow_${flows.length + 1}`, sourceRef: refOf(e.from), targetRef, label: e.label, probability: e.probability });
+  });
+  Object.entries(joinNodeId).forEach(([i, jid]) => {
+    flows.push({ id: `Flow_${flows.length + 1}`, sourceRef: jid, targetRef: stepNodeId(Number(i)) });
+  });
+
+  const incoming = (id) => flows.filter((f) => f.targetRef === id).map((f) => f.id);
+  const outgoing = (id) => flows.filter((f) => f.sourceRef === id).map((f) => f.id);
+
+  const lines = [];
+  lines.push('<?xml version="1.0" encoding="UTF-8"?>');
+  lines.push(`<bpmn:definitions xmlns:bpmn="${BPMN_NS}" xmlns:bpmndi="${BPMNDI_NS}" xmlns:dc="${DC_NS}" xmlns:di="${DI_NS}" xmlns:vesno="${VESNO_BPMN_NS}" id="Definitions_1" targetNamespace="${VESNO_BPMN_NS}" exporter="Vesno" exporterVersion="1">`);
+  lines.push('  <bpmn:collaboration id="Collaboration_1">');
+  lines.push(`    <bpmn:participant id="Participant_1" name="${escXml(processName)}" processRef="${processKey}" />`);
+  lines.push('  </bpmn:collaboration>');
+  lines.push(`  <bpmn:process id="${processKey}" name="${escXml(processName)}" isExecutable="false">`);
+  lines.push('    <bpmn:laneSet id="LaneSet_1">');
+  departments.forEach((d, li) => {
+    lines.push(`      <bpmn:lane id="Lane_${li + 1}" name="${escXml(d)}">`);
+    nodes.filter((n) => n.dept === d).forEach((n) => lines.push(`        <bpmn:flowNodeRef>${n.id}</bpmn:flowNodeRef>`));
+    lines.push('      </bpmn:lane>');
+  });
+  lines.push('    </bpmn:laneSet>');
+
+  nodes.forEach((n) => {
+    const extra = [];
+    if (n.step) {
+      if (n.step.workMinutes != null) extra.push(`vesno:workMinutes="${Number(n.step.workMinutes) || 0}"`);
+      if (n.step.waitMinutes != null) extra.push(`vesno:waitMinutes="${Number(n.step.waitMinutes) || 0}"`);
+      if (n.step.capacity != null) extra.push(`vesno:capacity="${Number(n.step.capacity) || 0}"`);
+      if (n.step.isExternal) extra.push('vesno:external="true"');
+    }
+    if (n.shape === 'gateway') extra.push(`gatewayDirection="${n.converging ? 'Converging' : 'Diverging'}"`);
+    const nameAttr = n.name ? ` name="${escXml(n.name)}"` : '';
+    lines.push(`    <bpmn:${n.tag} id="${n.id}"${nameAttr}${extra.length ? ' ' + extra.join(' ') : ''}>`);
+    incoming(n.id).forEach((f) => lines.push(`      <bpmn:incoming>${f}</bpmn:incoming>`));
+    outgoing(n.id).forEach((f) => lines.push(`      <bpmn:outgoing>${f}</bpmn:outgoing>`));
+    lines.push(`    </bpmn:${n.tag}>`);
+  });
+
+  flows.forEach((f) => {
+    const nameAttr = f.label ? ` name="${escXml(f.label)}"` : '';
+    const probAttr = f.probability != null ? ` vesno:probability="${f.probability}"` : '';
+    lines.push(`    <bpmn:sequenceFlow id="${f.id}"${nameAttr} sourceRef="${f.sourceRef}" targetRef="${f.targetRef}"${probAttr} />`);
+  });
+  lines.push('  </bpmn:process>');
+
+  // ── DI: one column per node, one lane band per department ──────
+  const pos = {};
+  nodes.forEach((n, col) => {
+    const size = SHAPE_SIZE[n.shape];
+    const li = Math.max(0, departments.indexOf(n.dept));
+    const cx = LANE_HEADER + 60 + col * COL_WIDTH + SHAPE_SIZE.task.w / 2;
+    const cy = li * LANE_HEIGHT + LANE_HEIGHT / 2;
+    pos[n.id] = { x: Math.round(cx - size.w / 2), y: Math.round(cy - size.h / 2), w: size.w, h: size.h, cx, cy };
+  });
+  const poolWidth = LANE_HEADER + 120 + nodes.length * COL_WIDTH;
+
+  lines.push('  <bpmndi:BPMNDiagram id="BPMNDiagram_1">');
+  lines.push('    <bpmndi:BPMNPlane id="BPMNPlane_1" bpmnElement="Collaboration_1">');
+  lines.push('      <bpmndi:BPMNShape id="Participant_1_di" bpmnElement="Participant_1" isHorizontal="true">');
+  lines.push(`        <dc:Bounds x="0" y="0" width="${poolWidth}" height="${departments.length * LANE_HEIGHT}" />`);
+  lines.push('      </bpmndi:BPMNShape>');
+  departments.forEach((d, li) => {
+    lines.push(`      <bpmndi:BPMNShape id="Lane_${li + 1}_di" bpmnElement="Lane_${li + 1}" isHorizontal="true">`);
+    lines.push(`        <dc:Bounds x="${LANE_HEADER}" y="${li * LANE_HEIGHT}" width="${poolWidth - LANE_HEADER}" height="${LANE_HEIGHT}" />`);
+    lines.push('      </bpmndi:BPMNShape>');
+  });
+  nodes.forEach((n) => {
+    const p = pos[n.id];
+    const marker = n.shape === 'gateway' ? ' isMarkerVisible="true"' : '';
+    lines.push(`      <bpmndi:BPMNShape id="${n.id}_di" bpmnElement="${n.id}"${marker}>`);
+    lines.push(`        <dc:Bounds x="${p.x}" y="${p.y}" width="${p.w}" height="${p.h}" />`);
+    lines.push('      </bpmndi:BPMNShape>');
+  });
+  flows.forEach((f) => {
+    const a = pos[f.sourceRef];
+    const b = pos[f.targetRef];
+    const pts = [];
+    if (b.cx > a.cx) {
+      const sx = a.x + a.w;
+      const tx = b.x;
+      pts.push([sx, a.cy]);
+      if (a.cy !== b.cy) { const mx = Math.round((sx + tx) / 2); pts.push([mx, a.cy], [mx, b.cy]); }
+      pts.push([tx, b.cy]);
+    } else {
+      // Loop-back: leave from the top, travel above both shapes, enter from the top.
+      const top = Math.min(a.y, b.y) - 20;
+      pts.push([a.cx, a.y], [a.cx, top], [b.cx, top], [b.cx, b.y]);
+    }
+    lines.push(`      <bpmndi:BPMNEdge id="${f.id}_di" bpmnElement="${f.id}">`);
+    pts.forEach(([x, y]) => lines.push(`        <di:waypoint x="${Math.round(x)}" y="${Math.round(y)}" />`));
+    lines.push('      </bpmndi:BPMNEdge>');
+  });
+  lines.push('    </bpmndi:BPMNPlane>');
+  lines.push('  </bpmndi:BPMNDiagram>');
+  lines.push('</bpmn:definitions>');
+  return lines.join('\n') + '\n';
+}
+
+/* ── Import ───────────────────────────────────────────────────── */
+
+function laneAssignments(processEl) {
+  const byNode = new Map();
+  // Walk nested lanes outer → inner so the innermost lane wins.
+  const pending = processEl.children.filter((c) => c.name === 'laneSet');
+  for (let i = 0; i < pending.length; i++) {
+    const laneSet = pending[i];
+    for (const lane of laneSet.children.filter((c) => c.name === 'lane')) {
+      const laneName = attr(lane, 'name') || '';
+      for (const ref of lane.children.filter((c) => c.name === 'flowNodeRef')) {
+        const id = ref.text.trim();
+        if (id && laneName) byNode.set(id, laneName);
+      }
+      pending.push(...lane.children.filter((c) => c.name === 'childLaneSet'));
+    }
+  }
+  return byNode;
+}
+
+/**
+ * Convert one bpmn:process element into a canvas process.
+ * Returns { process, warnings }.
+ */
+function importProcessElement(processEl, name) {
+  const warnings = [];
+  const lanes = laneAssignments(processEl);
+  const nodes = new Map();
+  const flows = [];
+
+  for (const el of processEl.children) {
+    const id = attr(el, 'id');
+    if (!id) continue;
+    if (el.name === 'sequenceFlow') {
+      flows.push({
+        id,
+        from: attr(el, 'sourceRef'),
+        to: attr(el, 'targetRef'),
+        name: (attr(el, 'name') || '').trim(),
+        probability: numAttr(el, 'probability'),
+        conditional: el.children.some((c) => c.name === 'conditionExpression'),
+      });
+    } else if (TASK_TYPES.has(el.name)) {
+      nodes.set(id, { id, kind: 'task', el });
+    } else if (GATEWAY_TYPES[el.name]) {
+      nodes.set(id, { id, kind: 'gateway', gatewayType: GATEWAY_TYPES[el.name], el });
+    } else if (el.name === 'startEvent') {
+      nodes.set(id, { id, kind: 'start', el });
+    } else if (el.name === 'endEvent') {
+      nodes.set(id, { id, kind: 'end', el });
+    } else if (PASS_THROUGH_TYPES.has(el.name)) {
+      nodes.set(id, { id, kind: 'pass', el });
+    }
+  }
+
+  if (nodes.size > MAX_IMPORTED_NODES || flows.length > MAX_IMPORTED_FLOWS) {
+    throw new BpmnParseError(`Process "${name}" has ${nodes.size} elements and ${flows.length} flows; the limit is ${MAX_IMPORTED_NODES} and ${MAX_IMPORTED_FLOWS}.`);
+  }
+
+  // Flows between known nodes, indexed once per direction.
+  const outgoing = new Map();
+  const incoming = new Map();
+  for (const f of flows) {
+    if (!nodes.has(f.from) || !nodes.has(f.to)) continue;
+    if (!outgoing.has(f.from)) outgoing.set(f.from, []);
+    if (!incoming.has(f.to)) incoming.set(f.to, []);
+    outgoing.get(f.from).push(f);
+    incoming.get(f.to).push(f);
+  }
+  const out = (id) => outgoing.get(id) || [];
+  const inc = (id) => incoming.get(id) || [];
+
+  // Classify gateways: diverging → decision step; converging-only → join marker.
+  for (const n of nodes.values()) {
+    if (n.kind !== 'gateway') continue;
+    n.kind = out(n.id).length > 1 ? 'decision' : 'join';
+  }
+  const candidates = [...nodes.values()].filter((n) => n.kind === 'task' || n.kind === 'decision').length;
+  if (candidates > MAX_IMPORTED_STEPS) {
+    throw new BpmnParseError(`Process "${name}" has ${candidates} activities; the limit is ${MAX_IMPORTED_STEPS}.`);
+  }
+  // A task with several uncontrolled outgoing flows is an implicit split.
+  for (const n of nodes.values()) {
+    if (n.kind === 'task' && out(n.id).length > 1) {
+      n.kind = 'decision';
+      n.gatewayType = out(n.id).some((f) => f.conditional) ? 'inclusive' : 'parallel';
+      warnings.push(`"${attr(n.el, 'name') || n.id}" has ${out(n.id).length} outgoing flows; imported as a ${n.gatewayType} decision.`);
+    }
+  }
+
+  const isStepNode = (n) => n && (n.kind === 'task' || n.kind === 'decision');
+
+  // Follow pass-through nodes forward to the next step node.
+  function forward(id) {
+    const seen = new Set();
+    let viaJoin = false;
+    for (let cur = id; !seen.has(cur);) {
+      seen.add(cur);
+      const n = nodes.get(cur);
+      if (!n || n.kind === 'end') break;
+      if (isStepNode(n)) return { stepId: cur, viaJoin };
+      if (n.kind === 'join') viaJoin = true;
+      const next = out(cur);
+      if (next.length !== 1) break;
+      cur = next[0].to;
+    }
+    return { stepId: null, viaJoin: false };
+  }
+
+  const succ = new Map();
+  const mergeTargets = new Set();
+  for (const n of nodes.values()) {
+    if (!isStepNode(n)) continue;
+    const list = [];
+    for (const f of out(n.id)) {
+      const r = forward(f.to);
+      if (r.viaJoin && r.stepId) mergeTargets.add(r.stepId);
+      list.push({ to: r.stepId, label: f.name, probability: f.probability });
+    }
+    succ.set(n.id, list);
+  }
+
+  const starts = [];
+  for (const n of nodes.values()) {
+    if (n.kind !== 'start') continue;
+    for (const f of out(n.id)) {
+      const r = forward(f.to);
+      if (r.stepId && !starts.includes(r.stepId)) starts.push(r.stepId);
+    }
+  }
+  if (!starts.length) {
+    // No start event — begin at step nodes without incoming flows.
+    for (const n of nodes.values()) {
+      if (isStepNode(n) && inc(n.id).length === 0) starts.push(n.id);
+    }
+  }
+
+  const { order } = orderSteps(starts, new Map([...succ].map(([id, list]) => [id, list.map((s) => s.to)])));
+  const placed = new Set(order);
+  for (const n of nodes.values()) {
+    if (isStepNode(n) && !placed.has(n.id)) {
+      warnings.push(`"${attr(n.el, 'name') || n.id}" is not reachable from the start event; appended at the end.`);
+      placed.add(n.id);
+      order.push(n.id);
+    }
+  }
+
+  const indexOf = new Map(order.map((id, i) => [id, i]));
+  const steps = order.map((id, i) => {
+    const n = nodes.get(id);
+    const step = {
+      number: i + 1,
+      name: (attr(n.el, 'name') || '').trim() || (n.kind === 'decision' ? 'Decision' : `Step ${i + 1}`),
+      department: lanes.get(id) || 'Other',
+      isDecision: n.kind === 'decision',
+      isMerge: mergeTargets.has(id),
+      parallel: n.kind === 'decision' && n.gatewayType === 'parallel',
+      inclusive: n.kind === 'decision' && n.gatewayType === 'inclusive',
+      isExternal: attr(n.el, 'external') === 'true',
+      branches: [],
+      systems: [],
+      checklist: [],
+    };
+    const work = numAttr(n.el, 'workMinutes');
+    const wait = numAttr(n.el, 'waitMinutes');
+    const capacity = numAttr(n.el, 'capacity');
+    if (work !== undefined) step.workMinutes = work;
+    if (wait !== undefined) step.waitMinutes = wait;
+    if (capacity !== undefined) step.capacity = capacity;
+    if (n.kind === 'decision') {
+      (succ.get(id) || []).forEach((s, bi) => {
+        if (!s.to) return; // branch straight to an end event — nothing to target
+        const br = { label: s.label || `Option ${bi + 1}`, target: `Step ${indexOf.get(s.to) + 1}` };
+        if (s.probability !== undefined && !step.parallel) br.probability = Math.max(0, Math.min(100, s.probability));
+        step.branches.push(br);
+      });
+    }
+    return step;
+  });
+
+  // Non-decision jumps the canvas can't infer from array order become custom edges.
+  const flowCustomEdges = [];
+  order.forEach((id, i) => {
+    if (nodes.get(id).kind === 'decision') return;
+    for (const s of succ.get(id) || []) {
+      if (!s.to) continue;
+      const j = indexOf.get(s.to);
+      if (j === i + 1 && !mergeTargets.has(s.to)) continue;
+      if (mergeTargets.has(s.to) && j > i) continue; // merge auto-wiring covers it
+      flowCustomEdges.push({ source: `step-${i}`, target: `step-${j}`, sourceHandle: 'right', targetHandle: 'left' });
+    }
+  });
+
+  const { steps: repaired, changes } = repairFlow(steps);
+  const departments = [...new Set(repaired.map((s) => s.department).filter(Boolean))];
+  const process = {
+    ...createEmptyProcess(),
+    processName: name,
+    definition: { startsWhen: '', completesWhen: '', complexity: '', departments },
+    steps: repaired,
+    flowCustomEdges,
+  };
+  return { process, repairs: changes, issues: validateFlow(repaired), warnings };
+}
+
+/**
+ * Parse a BPMN 2.0 document into canvas processes — one per bpmn:process
+ * that contains at least one activity. Pool (participant) names win over
+ * process names when both are present.
+ *
+ * @param {string} xml
+ * @returns {{ processes: { process: object, repairs: string[], issues: object[], warnings: string[] }[] }}
+ * @throws {BpmnParseError} on malformed XML or a document with no processes
+ */
+export function importBpmn(xml) {
+  if (typeof xml !== 'string' || !xml.trim()) throw new BpmnParseError('BPMN document is empty.');
+  if (xml.length > MAX_BPMN_BYTES) throw new BpmnParseError('BPMN document is too large (max 5 MB).');
+
+  const root = parseXml(xml);
+  const defs = root.children.find((c) => c.name === 'definitions');
+  if (!defs) throw new BpmnParseError('Not a BPMN 2.0 document (no <definitions> root).');
+
+  const poolNames = new Map();
+  findAll(defs, 'participant').forEach((p) => {
+    const ref = attr(p, 'processRef');
+    const n = (attr(p, 'name') || '').trim();
+    if (ref && n) poolNames.set(ref, n);
+  });
+
+  const processes = [];
+  defs.children.filter((c) => c.name === 'process').forEach((p, pi) => {
+    const id = attr(p, 'id');
+    const name = poolNames.get(id) || (attr(p, 'name') || '').trim() || `Imported process ${pi + 1}`;
+    const result = importProcessElement(p, name);
+    if (result.process.steps.length) processes.push(result);
+  });
+  if (!processes.length) throw new BpmnParseError('BPMN document contains no activities to import.');
+  return { processes };
+}
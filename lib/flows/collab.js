@@ -0,0 +1,412 @@
+/**
+ * Conflict-free merging of concurrent flow edits.
+ *
+ * Several people editing one flow each hold a CollabDoc: every editable
+ * value on the canvas is a last-writer-wins register stamped with a
+ * Lamport clock `[counter, site]`. Local edits are diffed into register
+ * writes (ops) and broadcast; remote ops are applied if their stamp beats
+ * the register's. Because the stamp order is total and the merge only
+ * ever keeps the larger stamp, every peer that has seen the same ops ends
+ * up with the same flow, whatever order they arrived in.
+ *
+ * Registers (keys are JSON tuples):
+ *   ['s', stepId, field]      one step field; '@order' places the step,
+ *                             '@gone' removes it (remove wins over edits)
+ *   ['h', stepId]             the handoff after that step
+ *   ['p', layoutKey, nodeId]  a manual node offset (flowNodePositions)
+ *   ['e', edgeId]             a custom canvas edge (null when removed)
+ *   ['x', edgeId]             a hidden auto edge (flowDeletedEdges)
+ *
+ * Steps are keyed on `step.id`, so the doc needs every step to carry one —
+ * ensureStepIds() fills them in. Step order is a fractional `@order` per
+ * step: a move only rewrites the moved step, so two people moving
+ * different steps both land.
+ *
+ * A collision is when a remote op overwrites a value this site wrote that
+ * the remote author hadn't seen. Only the losing side reports it, so a
+ * collision is recorded once however many peers are on the flow.
+ *
+ * Pure module — no React, no Supabase. The doc is a plain object mutated
+ * in place; useFlowCollab owns one per open flow.
+ */
+
+const SEED = [0, ''];
+const ORDER = '@order';
+const GONE = '@gone';
+const STEP_META = new Set(['id', 'number']);
+const MAX_CONFLICTS = 50;
+const MAX_VALUE_CHARS = 2000;
+
+/** Order Lamport stamps: counter first, site id breaks ties. */
+export function compareStamps(a, b) {
+  if (a[0] !== b[0]) return a[0] - b[0];
+  if (a[1] === b[1]) return 0;
+  return a[1] < b[1] ? -1 : 1;
+}
+
+function sameStamp(a, b) {
+  return Array.isArray(a) && Array.isArray(b) && a[0] === b[0] && a[1] === b[1];
+}
+
+/** JSON with sorted object keys, so equal values always compare equal. */
+export function stableJson(value) {
+  if (value === undefined || value === null) return 'null';
+  if (Array.isArray(value)) return `[${value.map(stableJson).join(',')}]`;
+  if (typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter((k) => value[k] !== undefined)
+      .map((k) => `${JSON.stringify(k)}:${stableJson(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+const sameValue = (a, b) => stableJson(a) === stableJson(b);
+const regKey = (...parts) => JSON.stringify(parts);
+const edgeIdOf = (edge) => edge?.id || `${edge?.source}>${edge?.target}`;
+
+/** Id for a step that predates ids: derived from its position, so peers agree. */
+export const legacyStepId = (_step, i) => `legacy-step-${i + 1}`;
+
+/**
+ * Give every step a unique `id`. Steps without one — or sharing one with
+ * an earlier step, e.g. a duplicated step — get `makeId(step, index)`.
+ * Returns the same array when nothing changes.
+ */
+export function ensureStepIds(steps, makeId) {
+  const list = steps || [];
+  const all = new Set(list.map((s) => s?.id).filter(Boolean));
+  const seen = new Set();
+  let changed = false;
+  const out = list.map((s, i) => {
+    if (s?.id && !seen.has(s.id)) {
+      seen.add(s.id);
+      return s;
+    }
+    const base = makeId(s, i);
+    let id = base;
+    for (let n = 2; all.has(id) || seen.has(id); n++) id = `${base}-${n}`;
+    seen.add(id);
+    all.add(id);
+    changed = true;
+    return { ...s, id };
+  });
+  return changed ? out : steps;
+}
+
+/** True when every step has an id and no two share one. */
+export function hasStepIds(steps) {
+  return ensureStepIds(steps, legacyStepId) === steps;
+}
+
+// Register values a snapshot implies, step order excluded.
+function snapshotEntries(snapshot) {
+  const out = new Map();
+  const steps = snapshot?.steps || [];
+  steps.forEach((step, i) => {
+    for (const [field, value] of Object.entries(step)) {
+      if (STEP_META.has(field) || value === undefined) continue;
+      out.set(regKey('s', step.id, field), value);
+    }
+    if (i < steps.length - 1) out.set(regKey('h', step.id), snapshot.handoffs?.[i] ?? null);
+  });
+  for (const [layoutKey, offsets] of Object.entries(snapshot?.flowNodePositions || {})) {
+    for (const [nodeId, offset] of Object.entries(offsets || {})) out.set(regKey('p', layoutKey, nodeId), offset);
+  }
+  for (const edge of snapshot?.flowCustomEdges || []) out.set(regKey('e', edgeIdOf(edge)), edge);
+  for (const id of snapshot?.flowDeletedEdges || []) out.set(regKey('x', id), true);
+  return out;
+}
+
+/**
+ * Start a doc from the flow as loaded. Seed registers carry the lowest
+ * stamp, so any edit from any peer beats them.
+ */
+export function createCollabDoc(site, snapshot) {
+  const doc = { site, clock: 0, regs: {}, localOps: 0 };
+  for (const [k, v] of snapshotEntries(snapshot)) doc.regs[k] = { v, t: SEED };
+  (snapshot?.steps || []).forEach((step, i) => { doc.regs[regKey('s', step.id, ORDER)] = { v: i + 1, t: SEED }; });
+  return doc;
+}
+
+const current = (doc, k) => (doc.regs[k] ? doc.regs[k].v : null);
+
+// Indices of the longest run of strictly increasing known orders — the
+// steps that can keep their place.
+function stableIndices(orders) {
+  const idx = orders.map((o, i) => i).filter((i) => typeof orders[i] === 'number');
+  const len = new Map();
+  const prev = new Map();
+  let best = null;
+  for (const i of idx) {
+    len.set(i, 1);
+    prev.set(i, null);
+    for (const j of idx) {
+      if (j >= i) break;
+      if (orders[j] < orders[i] && len.get(j) + 1 > len.get(i)) {
+        len.set(i, len.get(j) + 1);
+        prev.set(i, j);
+      }
+    }
+    if (best === null || len.get(i) > len.get(best)) best = i;
+  }
+  const keep = new Set();
+  for (let i = best; i !== null && i !== undefined; i = prev.get(i)) keep.add(i);
+  return keep;
+}
+
+/**
+ * Fractional order values for `ids` in their new sequence. Steps whose
+ * current order is already consistent keep it; the rest are slotted
+ * between their neighbours.
+ */
+export function assignOrder(ids, currentOrder) {
+  const orders = ids.map((id) => {
+    const o = currentOrder(id);
+    return typeof o === 'number' && Number.isFinite(o) ? o : null;
+  });
+  const keep = stableIndices(orders);
+  const out = ids.map((_, i) => (keep.has(i) ? orders[i] : null));
+  for (let i = 0; i < out.length; i++) {
+    if (out[i] !== null) continue;
+    let end = i;
+    while (end < out.length && out[end] === null) end++;
+    const lo = i > 0 ? out[i - 1] : null;
+    const hi = end < out.length ? out[end] : null;
+    const gap = end - i;
+    for (let j = 0; j < gap; j++) {
+      if (lo === null && hi === null) out[i + j] = j + 1;
+      else if (lo === null) out[i + j] = hi - gap + j;
+      else if (hi === null) out[i + j] = lo + 1 + j;
+      else out[i + j] = lo + ((hi - lo) * (j + 1)) / (gap + 1);
+    }
+    i = end;
+  }
+  return out;
+}
+
+function liveStepIds(doc) {
+  const ids = new Set();
+  for (const k of Object.keys(doc.regs)) {
+    const [scope, stepId, field] = JSON.parse(k);
+    if (scope === 's' && field === ORDER && doc.regs[k].v !== null && current(doc, regKey('s', stepId, GONE)) !== true) ids.add(stepId);
+  }
+  return ids;
+}
+
+/**
+ * Diff `snapshot` (the flow as the local user now has it) against the doc,
+ * write the differences and return them as ops to broadcast:
+ * `[{ k, v, t, b }]` where `b` is the stamp the write replaced.
+ */
+export function commitLocal(doc, snapshot) {
+  const steps = snapshot?.steps || [];
+  const desired = snapshotEntries(snapshot);
+  const present = new Set(steps.map((s) => s.id));
+
+  const orders = assignOrder(steps.map((s) => s.id), (id) => current(doc, regKey('s', id, ORDER)));
+  steps.forEach((s, i) => {
+    desired.set(regKey('s', s.id, ORDER), orders[i]);
+    if (current(doc, regKey('s', s.id, GONE)) === true) desired.set(regKey('s', s.id, GONE), null);
+  });
+  for (const id of liveStepIds(doc)) {
+    if (!present.has(id)) desired.set(regKey('s', id, GONE), true);
+  }
+  // Anything the doc still holds that the snapshot dropped is cleared —
+  // except the fields of removed steps, which '@gone' already hides.
+  for (const [k, reg] of Object.entries(doc.regs)) {
+    if (reg.v === null || desired.has(k)) continue;
+    const [scope, stepId] = JSON.parse(k);
+    if ((scope === 's' || scope === 'h') && !present.has(stepId)) continue;
+    desired.set(k, null);
+  }
+
+  const ops = [];
+  for (const [k, v] of desired) {
+    const reg = doc.regs[k];
+    if (sameValue(reg ? reg.v : null, v)) continue;
+    const op = { k, v: v ?? null, t: [++doc.clock, doc.site], b: reg ? reg.t : null };
+    doc.regs[k] = { v: op.v, t: op.t };
+    ops.push(op);
+  }
+  doc.localOps += ops.length;
+  return ops;
+}
+
+function validOp(op) {
+  return op && typeof op.k === 'string' && Array.isArray(op.t)
+    && Number.isInteger(op.t[0]) && op.t[0] > 0 && typeof op.t[1] === 'string';
+}
+
+function describeKey(k) {
+  const [scope, a, b] = JSON.parse(k);
+  if (scope === 's') return { step_id: a, field: b === ORDER ? 'position' : b === GONE ? 'removed' : b };
+  if (scope === 'h') return { step_id: a, field: 'handoff' };
+  if (scope === 'p') return { step_id: null, field: `layout ${b}` };
+  if (scope === 'e') return { step_id: null, field: `connector ${a}` };
+  return { step_id: null, field: `hidden connector ${a}` };
+}
+
+/**
+ * Apply remote ops. Returns `{ changed, collisions }`; each collision is
+ * `{ step_id, field, lost, won, site, removed? }` — a value this site
+ * wrote that the remote author overwrote without having seen it.
+ *
+ * Edits to a step someone else removed are caught heuristically: a local
+ * write stamped at or after the removal can't have been seen by its
+ * author.
+ */
+export function applyRemote(doc, ops, { detect = true } = {}) {
+  const collisions = [];
+  let changed = false;
+  for (const op of ops || []) {
+    if (!validOp(op)) continue;
+    doc.clock = Math.max(doc.clock, op.t[0]);
+    const reg = doc.regs[op.k];
+    if (reg && compareStamps(op.t, reg.t) <= 0) continue;
+    const v = op.v ?? null;
+    if (detect && reg && reg.t[1] === doc.site && !sameStamp(op.b, reg.t) && !sameValue(reg.v, v)) {
+      collisions.push({ ...describeKey(op.k), lost: reg.v, won: v, site: op.t[1] });
+    }
+    const [scope, stepId, field] = JSON.parse(op.k);
+    if (detect && scope === 's' && field === GONE && v === true) {
+      for (const [k, r] of Object.entries(doc.regs)) {
+        const [s2, id2, f2] = JSON.parse(k);
+        if (s2 !== 's' || id2 !== stepId || f2 === ORDER || f2 === GONE) continue;
+        if (r.t[1] === doc.site && r.t[0] >= op.t[0]) {
+          collisions.push({ step_id: stepId, field: f2, lost: r.v, won: null, site: op.t[1], removed: true });
+        }
+      }
+    }
+    doc.regs[op.k] = { v, t: op.t };
+    changed = true;
+  }
+  return { changed, collisions };
+}
+
+/** The flow the doc currently describes, in the workspace's own shape. */
+export function materialise(doc) {
+  const steps = new Map();
+  const handoffs = {};
+  const flowNodePositions = {};
+  const edges = [];
+  const hidden = [];
+  for (const k of Object.keys(doc.regs).sort()) {
+    const { v } = doc.regs[k];
+    if (v === null) continue;
+    const [scope, a, b] = JSON.parse(k);
+    if (scope === 's') {
+      if (!steps.has(a)) steps.set(a, { fields: {} });
+      const s = steps.get(a);
+      if (b === ORDER) s.order = v;
+      else if (b === GONE) s.gone = v === true;
+      else s.fields[b] = v;
+    } else if (scope === 'h') handoffs[a] = v;
+    else if (scope === 'p') (flowNodePositions[a] ||= {})[b] = v;
+    else if (scope === 'e') edges.push(v);
+    else if (scope === 'x' && v === true) hidden.push(a);
+  }
+  const live = [...steps.entries()]
+    .filter(([, s]) => typeof s.order === 'number' && !s.gone)
+    .sort(([ida, a], [idb, b]) => (a.order - b.order) || (ida < idb ? -1 : ida > idb ? 1 : 0));
+  const outSteps = live.map(([id, s], i) => ({ number: i + 1, ...s.fields, id }));
+  return {
+    steps: outSteps,
+    handoffs: outSteps.slice(0, -1).map((s) => handoffs[s.id] || { method: '', clarity: '' }),
+    flowNodePositions,
+    flowCustomEdges: edges,
+    flowDeletedEdges: hidden,
+  };
+}
+
+/** Full register state, sent to a peer that has just joined. */
+export function exportState(doc) {
+  return { clock: doc.clock, regs: doc.regs };
+}
+
+/**
+ * Take over a peer's state wholesale. Used by a joiner that hasn't edited
+ * yet: its own seed may key legacy steps differently from the session it
+ * is joining, so merging the two would duplicate them.
+ */
+export function adoptState(doc, state) {
+  doc.regs = { ...(state?.regs || {}) };
+  doc.clock = Math.max(doc.clock, Number(state?.clock) || 0);
+}
+
+/** Merge a peer's state into a doc that already has local edits. */
+export function mergeState(doc, state) {
+  const ops = Object.entries(state?.regs || {}).map(([k, r]) => ({ k, v: r?.v, t: r?.t, b: null }));
+  return applyRemote(doc, ops, { detect: false });
+}
+
+/**
+ * Who holds the soft lock on a step: of everyone editing it (from
+ * presence), the one who started first. Null when that's the local user
+ * or nobody else is on it.
+ *
+ * @param {object} args
+ * @param {object[]} args.peers  useFlowPresence peers ({ email, editingStepId, editingSince })
+ * @param {string} args.stepId
+ * @param {{ email: string, since: string|null }} [args.self]  the local user's claim, if any
+ */
+export function softLockHolder({ peers, stepId, self = null }) {
+  if (!stepId) return null;
+  const claims = (peers || []).filter((p) => p.editingStepId === stepId && p.editingSince);
+  if (!claims.length) return null;
+  const all = self?.since ? [...claims, { ...self, isSelf: true, editingSince: self.since }] : claims;
+  all.sort((a, b) => (a.editingSince < b.editingSince ? -1 : a.editingSince > b.editingSince ? 1 : (a.email || '').localeCompare(b.email || '')));
+  return all[0].isSelf ? null : all[0];
+}
+
+function clampValue(value) {
+  if (value === undefined || value === null) return null;
+  const json = stableJson(value);
+  if (json.length <= MAX_VALUE_CHARS) return value;
+  return typeof value === 'string' ? `${value.slice(0, MAX_VALUE_CHARS)}…` : { truncated: true, preview: json.slice(0, MAX_VALUE_CHARS) };
+}
+
+/**
+ * Map reported collisions to `changes` rows (kind 'merged'). Malformed
+ * entries are dropped; at most 50 are kept per call.
+ *
+ * @param {object[]} conflicts  [{ step_id, step_number, step_name, field, lost, won, won_by, removed }]
+ * @param {{ processId: string, actorEmail: string|null }} ctx
+ */
+export function conflictChangeRows(conflicts, { processId, actorEmail = null }) {
+  if (!processId || !Array.isArray(conflicts)) return [];
+  const email = actorEmail ? String(actorEmail).toLowerCase() : null;
+  return conflicts
+    .filter((c) => c && typeof c.field === 'string' && c.field.trim())
+    .slice(0, MAX_CONFLICTS)
+    .map((c) => {
+      const field = c.field.trim().slice(0, 120);
+      const stepNumber = Number.isInteger(c.step_number) ? c.step_number : null;
+      const stepName = typeof c.step_name === 'string' ? c.step_name.slice(0, 200) : null;
+      const wonBy = typeof c.won_by === 'string' ? c.won_by.toLowerCase().slice(0, 320) : null;
+      const where = stepNumber ? `step ${stepNumber}${stepName ? ` "${stepName}"` : ''}` : 'the canvas';
+      const rationale = c.removed
+        ? `Concurrent edit: ${email || 'a collaborator'} changed ${field} on ${where} while ${wonBy || 'another collaborator'} removed it.`
+        : `Concurrent edit: ${wonBy || 'another collaborator'}'s change to ${field} on ${where} replaced ${email || 'a collaborator'}'s.`;
+      return {
+        process_id: processId,
+        subject_type: c.step_id ? 'process_step' : 'process',
+        subject_ref: {
+          ...(c.step_id ? { stepId: String(c.step_id).slice(0, 120) } : {}),
+          ...(stepNumber ? { stepNumber } : {}),
+          ...(stepName ? { stepName } : {}),
+          field,
+          conflict: c.removed ? 'edit_on_removed_step' : 'concurrent_edit',
+        },
+        kind: 'merged',
+        state: 'applied',
+        before_state: { value: clampValue(c.lost), actor_email: email },
+        after_state: { value: clampValue(c.won), actor_email: wonBy },
+        rationale,
+        actor_kind: 'system',
+        actor_email: email,
+        agent_name: null,
+      };
+    });
+}
+
+export const __test__ = { snapshotEntries, stableIndices, describeKey, ORDER, GONE };
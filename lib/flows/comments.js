@@ -0,0 +1,266 @@
+/**
+ * Process comments — threads anchored to a step or a handoff on the
+ * canvas, with @mentions, resolve / reopen and per-person unread state.
+ *
+ * Anchors use stable ids, not positions, so a thread stays on its step
+ * when steps are reordered or inserted:
+ *
+ *   step     anchor_id = step.id
+ *   handoff  anchor_id = `${fromStep.id}>${toStep.id}` — the hand-off out
+ *            of one step into the next; it follows the pair, and a thread
+ *            whose pair is no longer adjacent shows as detached
+ *
+ * Threads are a root comment plus replies (thread_id = root id); resolve
+ * state lives on the root.
+ *
+ *   normaliseCommentInput(input)                  ← validate a post / reply
+ *   parseMentions(body, people)                   ← @email / @name → emails
+ *   buildThreads(rows, reads, email)              ← rows → threads with unread counts
+ *   resolveAnchor(thread, steps)                  ← where a thread sits now
+ *   commentMarkers(threads, steps)                ← per-node / per-handoff badges
+ *   commentNotifications({ comment, thread, ... })← notification rows to insert
+ *   processAudience({ process, deal, participants }) ← who can open the process
+ *
+ * Pure module — no React, no Supabase.
+ */
+
+export const ANCHOR_TYPES = ['step', 'handoff'];
+
+const MAX_BODY = 4000;
+const MAX_LABEL = 200;
+const MAX_MENTIONS = 20;
+const EMAIL_RE = /[a-z0-9._%+-]+@[a-z0-9.-]+\.[a-z]{2,}/i;
+
+/** Anchor id for the hand-off from one step into the next. */
+export function handoffAnchorId(fromStepId, toStepId) {
+  return `${fromStepId}>${toStepId}`;
+}
+
+/**
+ * Validate a new comment. A reply carries thread_id and inherits its
+ * root's anchor; a new thread needs anchor_type + anchor_id. Throws with
+ * a user-facing message.
+ */
+export function normaliseCommentInput(input) {
+  const body = typeof input?.body === 'string' ? input.body.trim() : '';
+  if (!body) throw new Error('Comment text is required.');
+  if (body.length > MAX_BODY) throw new Error(`Comments must be ${MAX_BODY} characters or fewer.`);
+  if (input?.thread_id) return { body, thread_id: String(input.thread_id) };
+
+  const anchorType = input?.anchor_type;
+  if (!ANCHOR_TYPES.includes(anchorType)) throw new Error('anchor_type must be step or handoff.');
+  const anchorId = typeof input?.anchor_id === 'string' ? input.anchor_id.trim() : '';
+  if (!anchorId || anchorId.length > 200) throw new Error('A step id is required to comment on it.');
+  if (anchorType === 'handoff' && anchorId.split('>').length !== 2) {
+    throw new Error('A handoff is anchored as "<from step id>><to step id>".');
+  }
+  const label = input?.anchor_label == null ? null : String(input.anchor_label).trim().slice(0, MAX_LABEL) || null;
+  return { body, anchor_type: anchorType, anchor_id: anchorId, anchor_label: label };
+}
+
+/**
+ * Emails mentioned in a comment. `@someone@example.com` always counts;
+ * `@Jane` or `@jane.doe` count when they match exactly one person's name
+ * or email local part. `people` is [{ email, name? }] — who can be
+ * mentioned on this process.
+ */
+export function parseMentions(body, people = []) {
+  const text = String(body || '');
+  const out = new Set();
+  const byLocal = new Map();
+  const byName = new Map();
+  const add = (map, key, email) => {
+    if (!key) return;
+    const k = key.toLowerCase();
+    map.set(k, map.has(k) && map.get(k) !== email ? null : email);
+  };
+  for (const p of people) {
+    const email = String(p?.email || '').toLowerCase();
+    if (!email) continue;
+    add(byLocal, email.split('@')[0], email);
+    if (p.name) add(byName, String(p.name).split(/\s+/)[0], email);
+  }
+  const re = /(^|[^\w@])@([\w.+-]+(?:@[\w.-]+\.[a-z]{2,})?)/gi;
+  let m;
+  while ((m = re.exec(text)) && out.size < MAX_MENTIONS) {
+    const token = m[2].replace(/[.,;:!?]+$/, '');
+    if (EMAIL_RE.test(token) && token.includes('@')) {
+      out.add(token.toLowerCase());
+      continue;
+    }
+    const hit = byLocal.get(token.toLowerCase()) || byName.get(token.toLowerCase());
+    if (hit) out.add(hit);
+  }
+  return [...out];
+}
+
+/**
+ * Group comment rows into threads, oldest comment first inside each,
+ * newest activity first overall. `reads` is [{ thread_id, read_at }] for
+ * `email`; a thread's `unread` counts other people's comments after the
+ * reader's read_at (all of them when they never opened it).
+ */
+export function buildThreads(rows = [], reads = [], email = null) {
+  const me = String(email || '').toLowerCase();
+  const readAt = new Map(reads.map((r) => [r.thread_id, Date.parse(r.read_at) || 0]));
+  const byRoot = new Map();
+  for (const r of rows) {
+    if (!r.thread_id) byRoot.set(r.id, { root: r, replies: [] });
+  }
+  for (const r of rows) {
+    if (r.thread_id && byRoot.has(r.thread_id)) byRoot.get(r.thread_id).replies.push(r);
+  }
+  const at = (c) => Date.parse(c.created_at) || 0;
+  const threads = [];
+  for (const { root, replies } of byRoot.values()) {
+    const comments = [root, ...replies.sort((a, b) => at(a) - at(b))];
+    const seen = readAt.get(root.id) ?? -1;
+    const unread = comments.filter((c) => String(c.author_email || '').toLowerCase() !== me && at(c) > seen).length;
+    threads.push({
+      id: root.id,
+      anchor_type: root.anchor_type,
+      anchor_id: root.anchor_id,
+      anchor_label: root.anchor_label || null,
+      author_email: root.author_email,
+      resolved_at: root.resolved_at || null,
+      resolved_by_email: root.resolved_by_email || null,
+      comments,
+      last_at: comments[comments.length - 1].created_at,
+      unread,
+    });
+  }
+  return threads.sort((a, b) => (Date.parse(b.last_at) || 0) - (Date.parse(a.last_at) || 0));
+}
+
+/**
+ * Where a thread sits on the current steps: { nodeIds, stepIndex,
+ * label } or null when its step was removed (or, for a handoff, the two
+ * steps are no longer consecutive).
+ */
+export function resolveAnchor(thread, steps = []) {
+  const indexOf = (id) => steps.findIndex((s) => s?.id === id);
+  if (thread.anchor_type === 'step') {
+    const i = indexOf(thread.anchor_id);
+    if (i < 0) return null;
+    return { nodeIds: [`step-${i}`], stepIndex: i, label: `Step ${i + 1}: ${steps[i].name || 'Untitled'}` };
+  }
+  const [from, to] = String(thread.anchor_id).split('>');
+  const fi = indexOf(from);
+  const ti = indexOf(to);
+  if (fi < 0 || ti !== fi + 1) return null;
+  return {
+    nodeIds: [`step-${fi}`, `step-${ti}`],
+    stepIndex: fi,
+    label: `Handoff ${fi + 1} → ${ti + 1}`,
+  };
+}
+
+/**
+ * Badges for the canvas: one per anchored step / handoff that has
+ * threads. `count` is comments in open threads, `unread` is unread
+ * comments across all its threads, `resolved` is true when every thread
+ * there is resolved.
+ *
+ * @returns {Array<{ key, anchor_type, anchor_id, nodeIds, count, unread, resolved, threadIds }>}
+ */
+export function commentMarkers(threads = [], steps = []) {
+  const byAnchor = new Map();
+  for (const t of threads) {
+    const where = resolveAnchor(t, steps);
+    if (!where) continue;
+    const key = `${t.anchor_type}:${t.anchor_id}`;
+    const m = byAnchor.get(key) || {
+      key, anchor_type: t.anchor_type, anchor_id: t.anchor_id, nodeIds: where.nodeIds,
+      count: 0, unread: 0, resolved: true, threadIds: [],
+    };
+    if (!t.resolved_at) {
+      m.count += t.comments.length;
+      m.resolved = false;
+    }
+    m.unread += t.unread;
+    m.threadIds.push(t.id);
+    byAnchor.set(key, m);
+  }
+  return [...byAnchor.values()];
+}
+
+/**
+ * Notification rows for a new comment. Mentioned people get
+ * 'comment_mention'; everyone else who has written in the thread gets
+ * 'comment_reply'. Only people in `recipients` (who can open the process)
+ * are notified, and never the author.
+ *
+ * @param {object} args
+ * @param {object} args.comment     the inserted process_comments row
+ * @param {object|null} args.thread root row when `comment` is a reply
+ * @param {Array<object>} [args.threadComments] earlier comments in the thread
+ * @param {string[]} args.recipients  emails with access to the process
+ * @param {object} args.process     { id, deal_id?, name? }
+ */
+export function commentNotifications({ comment, thread = null, threadComments = [], recipients = [], process }) {
+  const author = String(comment?.author_email || '').toLowerCase();
+  const allowed = new Set(recipients.map((e) => String(e || '').toLowerCase()).filter(Boolean));
+  const root = thread || comment;
+  const where = root.anchor_label || (root.anchor_type === 'handoff' ? 'a handoff' : 'a step');
+  const processName = process?.name || 'a process';
+  const snippet = String(comment.body || '').replace(/\s+/g, ' ').slice(0, 160);
+  const base = {
+    actor_email: author,
+    process_id: process?.id || comment.process_id,
+    deal_id: process?.deal_id || null,
+    comment_id: comment.id,
+    thread_id: root.id,
+    body: snippet,
+  };
+  const rows = [];
+  const notified = new Set([author]);
+  for (const email of comment.mentions || []) {
+    const e = String(email).toLowerCase();
+    if (notified.has(e) || !allowed.has(e)) continue;
+    notified.add(e);
+    rows.push({ ...base, recipient_email: e, kind: 'comment_mention', title: `${author} mentioned you on ${where} in ${processName}` });
+  }
+  if (thread) {
+    for (const c of [thread, ...threadComments]) {
+      const e = String(c.author_email || '').toLowerCase();
+      if (notified.has(e) || !allowed.has(e)) continue;
+      notified.add(e);
+      rows.push({ ...base, recipient_email: e, kind: 'comment_reply', title: `${author} replied on ${where} in ${processName}` });
+    }
+  }
+  return rows;
+}
+
+/**
+ * Who can open a process, and so comment on it, be @mentioned and be
+ * notified: its owner, and for a deal's process the deal owner and
+ * collaborators plus the participants linked to that process
+ * (deal_participants.process_id). A participant's access to the deal
+ * doesn't extend to the other parties' processes.
+ *
+ * @param {object} args
+ * @param {object} args.process        { id, contact_email, contact_name? }
+ * @param {object} [args.deal]         { owner_email, collaborator_emails }
+ * @param {Array<object>} [args.participants] deal_participants rows
+ *   { participant_email, participant_name?, company_name?, process_id? }
+ * @returns {Array<{ email: string, name?: string|null, role: string }>}
+ */
+export function processAudience({ process, deal = null, participants = [] }) {
+  const lower = (e) => String(e || '').trim().toLowerCase();
+  const people = [];
+  if (process?.contact_email) {
+    people.push({ email: lower(process.contact_email), name: process.contact_name || null, role: 'Process owner' });
+  }
+  if (deal) {
+    if (deal.owner_email) people.push({ email: lower(deal.owner_email), role: 'Deal owner' });
+    for (const e of Array.isArray(deal.collaborator_emails) ? deal.collaborator_emails : []) {
+      if (typeof e === 'string' && e) people.push({ email: lower(e), role: 'Collaborator' });
+    }
+    for (const p of participants || []) {
+      if (!p?.participant_email || !process?.id || p.process_id !== process.id) continue;
+      people.push({ email: lower(p.participant_email), name: p.participant_name || null, role: p.company_name || 'Participant' });
+    }
+  }
+  const seen = new Set();
+  return people.filter((p) => p.email && !seen.has(p.email) && seen.add(p.email));
+}
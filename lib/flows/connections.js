@@ -0,0 +1,164 @@
+/**
+ * Step connections — the step-to-step edges the canvas draws for a
+ * process, as plain data.
+ *
+ * The step model only stores decision branches explicitly; everything
+ * else (sequential flow, merge rejoins, custom connectors) is inferred
+ * at render time by lib/flows/processToReactFlow.js. Consumers that need
+ * the graph without React Flow — BPMN export, the cycle-time simulator —
+ * read it from here so they agree with what the user sees on the canvas.
+ * `orderSteps` goes the other way: it turns an external graph (BPMN,
+ * a mined event log) into the array order the canvas expects.
+ *
+ * Pure module — no React, no Supabase.
+ */
+
+import { resolveBranchTarget } from './shared.js';
+
+/** True for a decision step that actually has branches to route to. */
+export function isBranching(s) {
+  return !!(s?.isDecision && (s.branches || []).length);
+}
+
+/**
+ * Derive the step-to-step connections the canvas draws for a process.
+ * Mirrors the grid/swimlane edge logic in processToReactFlow.js:
+ * sequential edges, decision branches, merge auto-wiring, custom edges,
+ * minus any auto edges the user deleted on the canvas.
+ *
+ * @param {object[]} steps
+ * @param {object[]} [customEdges]  flowCustomEdges ({ source: 'step-i', target: 'step-j' })
+ * @param {string[]} [deletedEdges] flowDeletedEdges (canvas edge ids, e.g. `e-seq-2-3`)
+ * @returns {{ from: number|'start', to: number|'end', label?: string, probability?: number, branchIndex?: number }[]}
+ */
+export function deriveStepConnections(steps, customEdges = [], deletedEdges = []) {
+  const list = Array.isArray(steps) ? steps : [];
+  const out = [];
+  if (!list.length) return out;
+
+  const branchTargets = new Set();
+  list.forEach((s) => {
+    if (!isBranching(s)) return;
+    s.branches.forEach((br) => {
+      const t = resolveBranchTarget(br.target || br.targetStep, list);
+      if (t >= 0) branchTargets.add(t);
+    });
+  });
+
+  const has = (from, to) => out.some((e) => e.from === from && e.to === to);
+  const deleted = new Set(deletedEdges || []);
+
+  out.push({ from: 'start', to: 0 });
+  for (let i = 0; i < list.length - 1; i++) {
+    if (isBranching(list[i]) || branchTargets.has(i + 1)) continue;
+    if (deleted.has(`e-seq-${i}-${i + 1}`)) continue;
+    out.push({ from: i, to: i + 1 });
+  }
+
+  list.forEach((s, i) => {
+    if (!isBranching(s)) return;
+    s.branches.forEach((br, bi) => {
+      const t = resolveBranchTarget(br.target || br.targetStep, list);
+      if (t < 0 || deleted.has(`e-dec-${i}-${t}-${bi}`)) return;
+      const edge = { from: i, to: t, branchIndex: bi };
+      if (br.label) edge.label = String(br.label);
+      if (br.probability != null && Number.isFinite(Number(br.probability))) edge.probability = Number(br.probability);
+      out.push(edge);
+    });
+  });
+
+  list.forEach((s, d) => {
+    if (!isBranching(s)) return;
+    const targets = s.branches
+      .map((br) => resolveBranchTarget(br.target || br.targetStep, list))
+      .filter((t) => t >= 0);
+    if (!targets.length) return;
+    const maxTarget = Math.max(...targets);
+    let mergeIdx = -1;
+    for (let m = maxTarget + 1; m < list.length; m++) {
+      if (isBranching(list[m])) break;
+      if (list[m].isMerge) { mergeIdx = m; break; }
+    }
+    if (mergeIdx < 0) return;
+    targets.forEach((j) => {
+      if (j <= d) return;
+      let terminal = j;
+      for (let k = j + 1; k < mergeIdx; k++) {
+        if (branchTargets.has(k) || isBranching(list[k])) break;
+        terminal = k;
+      }
+      if (deleted.has(`e-merge-${terminal}-${mergeIdx}`)) return;
+      if (terminal !== mergeIdx && !has(terminal, mergeIdx)) out.push({ from: terminal, to: mergeIdx });
+    });
+  });
+
+  for (const c of customEdges || []) {
+    const from = parseInt(String(c?.source || '').replace('step-', ''), 10);
+    const to = parseInt(String(c?.target || '').replace('step-', ''), 10);
+    if (!Number.isInteger(from) || !Number.isInteger(to)) continue;
+    if (from < 0 || to < 0 || from >= list.length || to >= list.length || from === to) continue;
+    if (!has(from, to)) out.push({ from, to });
+  }
+
+  out.push({ from: list.length - 1, to: 'end' });
+  // Branch terminals that never rejoin end the process — BPMN wants an explicit flow.
+  list.forEach((s, i) => {
+    if (isBranching(s)) return;
+    if (!out.some((e) => e.from === i)) out.push({ from: i, to: 'end' });
+  });
+  return out;
+}
+
+/**
+ * Order the nodes of a directed graph into canvas step order.
+ *
+ * Loops are found with a DFS from `starts` and ignored for ordering; a
+ * Kahn pass with a LIFO frontier then keeps each branch block contiguous,
+ * so a decision's branches land next to each other ahead of their merge.
+ * Nodes unreachable from `starts` are not in `order` — callers decide
+ * whether to append or drop them.
+ *
+ * @param {string[]} starts          entry node ids, in preference order
+ * @param {Map<string, (string|null)[]>} succ  node id → successor ids (nulls ignored)
+ * @returns {{ order: string[], backEdges: Set<string> }} backEdges holds `from>to` keys
+ */
+export function orderSteps(starts, succ) {
+  const next = (id) => (succ.get(id) || []).filter(Boolean);
+
+  const backEdges = new Set();
+  const state = new Map();
+  function dfs(id) {
+    state.set(id, 1);
+    for (const to of next(id)) {
+      if (state.get(to) === 1) backEdges.add(`${id}>${to}`);
+      else if (!state.has(to)) dfs(to);
+    }
+    state.set(id, 2);
+  }
+  starts.forEach((s) => { if (!state.has(s)) dfs(s); });
+
+  const indeg = new Map();
+  for (const id of succ.keys()) {
+    if (!indeg.has(id)) indeg.set(id, 0);
+    for (const to of next(id)) {
+      if (backEdges.has(`${id}>${to}`)) continue;
+      indeg.set(to, (indeg.get(to) || 0) + 1);
+    }
+  }
+  const order = [];
+  const placed = new Set();
+  const frontier = [...starts].reverse().filter((id) => (indeg.get(id) || 0) === 0);
+  while (frontier.length) {
+    const id = frontier.pop();
+    if (placed.has(id)) continue;
+    placed.add(id);
+    order.push(id);
+    const fwd = next(id).filter((to) => !backEdges.has(`${id}>${to}`));
+    for (let k = fwd.length - 1; k >= 0; k--) {
+      const to = fwd[k];
+      indeg.set(to, indeg.get(to) - 1);
+      if (indeg.get(to) === 0) frontier.push(to);
+    }
+  }
+  return { order, backEdges };
+}
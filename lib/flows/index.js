@@ -11,7 +11,7 @@ import { buildListHTML } from './list.js';
 export { AUTOMATION_CATEGORIES, classifyAutomation } from './automation.js';
 export { escSvg } from './escSvg.js';
 export { buildGridSVG, buildSwimlaneSVG, buildListHTML, getSwimlaneLaneData };
-export { resolveStoredPositions, writeLayoutKey } from './layoutStorageKeys.js';
+export { resolveStoredPositions, writeLayoutKey, stepPositions, storeStepPositions } from './layoutStorageKeys.js';
 
 function isDarkTheme() {
   if (typeof document === 'undefined') return false;
@@ -0,0 +1,364 @@
+/**
+ * Instance conformance — compare one logged run of a process with the
+ * mapped flow.
+ *
+ * A process instance (POST /api/process-instances) can carry the steps
+ * that actually ran, each with start / completion timestamps. This module
+ * replays that path over the canvas graph (lib/flows/connections.js) and
+ * reports where the run left the map:
+ *
+ *   - skipped-step           a mapped step the run jumped over
+ *   - unexpected-transition  a hop the map has no path for
+ *   - loop                   a step re-entered without a drawn loop back
+ *   - sla-breach             a step took longer than its target
+ *   - cycle-sla-breach       a completed run missed the process cycle-time target
+ *   - unknown-step           an executed step that isn't on the map
+ *
+ * Decision steps are pass-throughs: runs rarely log the gateway itself, so
+ * A → [decision] → B counts as A → B, as in processMining.checkConformance.
+ *
+ * SLA targets come from lib/flows/sla.js. When the process has a
+ * business-hours calendar, elapsed time against a target only counts
+ * working minutes; measured work / wait stay wall-clock.
+ *
+ * It also measures work (start → completion) and wait (previous completion
+ * → start) per step, which the route feeds back as `change_outcomes` rows
+ * via buildInstanceOutcomes().
+ *
+ * Pure module — no React, no Supabase.
+ */
+
+import { deriveStepConnections } from './connections.js';
+import { stepSlaTarget, processSla, businessMinutesBetween } from './sla.js';
+
+const SEVERITY_RANK = { high: 0, medium: 1, low: 2 };
+const OUTCOME_STATES = new Set(['applied', 'live', 'measured']);
+
+/** Estimate-based targets allow this multiple of the mapped work + wait. */
+export const DEFAULT_SLA_TOLERANCE = 2;
+
+function nameKey(s) {
+  return String(s || '').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+function toTime(v) {
+  if (v == null || v === '') return null;
+  const t = typeof v === 'number' ? v : Date.parse(v);
+  return Number.isFinite(t) ? t : null;
+}
+
+function minutes(ms) {
+  return Math.round((ms / 60000) * 10) / 10;
+}
+
+function stepLabel(steps, i) {
+  return `Step ${i + 1} "${steps[i]?.name || 'Unnamed'}"`;
+}
+
+/**
+ * Resolve an executed-step entry to a 0-based step index, or -1.
+ * `stepNumber` wins (matched against step.number, then position); `name`
+ * falls back to a case-insensitive match.
+ */
+export function resolveExecutedStep(entry, steps) {
+  const n = Number(entry?.stepNumber);
+  if (Number.isInteger(n) && n > 0) {
+    const byNumber = steps.findIndex((s) => Number(s?.number) === n);
+    if (byNumber >= 0) return byNumber;
+    if (n <= steps.length) return n - 1;
+  }
+  if (entry?.name) {
+    const key = nameKey(entry.name);
+    return steps.findIndex((s) => nameKey(s?.name) === key);
+  }
+  return -1;
+}
+
+/** Successor lists keyed by node id ('start', 'end' or a step index). */
+function buildGraph(process) {
+  const succ = new Map();
+  for (const e of deriveStepConnections(process.steps, process.flowCustomEdges, process.flowDeletedEdges)) {
+    const from = String(e.from);
+    if (!succ.has(from)) succ.set(from, []);
+    succ.get(from).push(String(e.to));
+  }
+  return succ;
+}
+
+/**
+ * Shortest drawn path between two nodes, as the list of intermediate
+ * step indices (empty when adjacent), or null when there is none.
+ */
+function shortestPath(succ, from, to) {
+  const prev = new Map([[from, null]]);
+  const queue = [from];
+  while (queue.length) {
+    const node = queue.shift();
+    if (node === to && node !== from) break;
+    for (const next of succ.get(node) || []) {
+      if (prev.has(next)) continue;
+      prev.set(next, node);
+      queue.push(next);
+    }
+  }
+  if (!prev.has(to) || to === from) return null;
+  const mids = [];
+  for (let n = prev.get(to); n !== from; n = prev.get(n)) mids.unshift(Number(n));
+  return mids;
+}
+
+/**
+ * Compare one executed run with the mapped process.
+ *
+ * @param {object} process  rawProcesses[] entry ({ steps, flowCustomEdges?, flowDeletedEdges? })
+ * @param {{ stepNumber?: number, name?: string, startedAt?: string, completedAt?: string }[]} executedSteps
+ * @param {object} [opts]
+ * @param {boolean} [opts.completed=false]  the run has finished, so it should have reached an end
+ * @param {number} [opts.slaTolerance]      multiple of mapped work + wait used when a step has no SLA target
+ * @returns {null | {
+ *   conformant: boolean, fitness: number|null, cycleMinutes: number|null,
+ *   path: { stepIndex: number|null, name: string, startedAt: string|null, completedAt: string|null,
+ *           workMinutes: number|null, waitMinutes: number|null }[],
+ *   deviations: { kind: string, severity: 'high'|'medium'|'low', stepIndex: number|null, text: string }[],
+ *   measured: { stepIndex: number, name: string, visits: number, workMinutes: number|null, waitMinutes: number|null }[],
+ * }}
+ */
+export function checkInstanceConformance(process, executedSteps, opts = {}) {
+  const steps = Array.isArray(process?.steps) ? process.steps : [];
+  const executed = Array.isArray(executedSteps) ? executedSteps : [];
+  if (!steps.length || !executed.length) return null;
+  const tolerance = Number(opts.slaTolerance) > 0 ? Number(opts.slaTolerance) : DEFAULT_SLA_TOLERANCE;
+  const succ = buildGraph(process);
+  const psla = processSla(process);
+  const calendar = psla?.calendar || null;
+  const deviations = [];
+
+  // Order by start (or completion); ties keep the caller's order.
+  const runs = executed
+    .map((e, order) => {
+      const start = toTime(e?.startedAt);
+      const end = toTime(e?.completedAt);
+      return { entry: e, order, start, end, at: start ?? end, stepIndex: resolveExecutedStep(e, steps) };
+    })
+    .sort((a, b) => (a.at == null || b.at == null ? 0 : a.at - b.at) || a.order - b.order);
+
+  // ── Timing per visit ──
+  let prevEnd = null;
+  const path = runs.map((r) => {
+    const work = r.start != null && r.end != null && r.end >= r.start ? minutes(r.end - r.start) : null;
+    const wait = r.start != null && prevEnd != null ? minutes(Math.max(0, r.start - prevEnd)) : null;
+    let elapsed = r.end != null && prevEnd != null ? minutes(Math.max(0, r.end - prevEnd))
+      : work;
+    if (calendar && elapsed != null) {
+      elapsed = businessMinutesBetween(prevEnd ?? r.start, r.end, calendar);
+    }
+    if (r.end != null) prevEnd = Math.max(prevEnd ?? r.end, r.end);
+    return {
+      stepIndex: r.stepIndex >= 0 ? r.stepIndex : null,
+      name: r.stepIndex >= 0 ? steps[r.stepIndex].name || '' : String(r.entry?.name || `Step ${r.entry?.stepNumber ?? '?'}`),
+      startedAt: r.start != null ? new Date(r.start).toISOString() : null,
+      completedAt: r.end != null ? new Date(r.end).toISOString() : null,
+      workMinutes: work,
+      waitMinutes: wait,
+      elapsed,
+    };
+  });
+
+  for (const p of path) {
+    if (p.stepIndex != null) continue;
+    deviations.push({
+      kind: 'unknown-step',
+      severity: 'low',
+      stepIndex: null,
+      text: `"${p.name}" ran but isn't on the map.`,
+    });
+  }
+
+  // ── Route ──
+  const onMap = path.filter((p) => p.stepIndex != null);
+  const ran = new Set(onMap.map((p) => p.stepIndex));
+  const flagged = new Set();
+  const flagSkipped = (mids, from, to) => {
+    for (const k of mids) {
+      if (ran.has(k) || steps[k].isDecision || flagged.has(k)) continue;
+      flagged.add(k);
+      deviations.push({
+        kind: 'skipped-step',
+        severity: 'high',
+        stepIndex: k,
+        text: `${stepLabel(steps, k)} was skipped between ${from} and ${to}.`,
+      });
+    }
+  };
+
+  let allowed = 0;
+  let hops = 0;
+  const visited = new Set();
+  let prev = 'start';
+  for (const p of onMap) {
+    const from = prev;
+    const to = String(p.stepIndex);
+    prev = to;
+    hops++;
+    const mids = shortestPath(succ, from, to);
+    const fromLabel = from === 'start' ? 'the start' : `"${steps[Number(from)].name}"`;
+    if (mids && mids.every((k) => steps[k].isDecision)) {
+      allowed++;
+    } else if (visited.has(p.stepIndex)) {
+      deviations.push({
+        kind: 'loop',
+        severity: 'medium',
+        stepIndex: p.stepIndex,
+        text: `${stepLabel(steps, p.stepIndex)} ran again after ${fromLabel}; the map has no loop back.`,
+      });
+    } else if (mids) {
+      flagSkipped(mids, fromLabel, `"${p.name}"`);
+    } else {
+      deviations.push({
+        kind: 'unexpected-transition',
+        severity: 'medium',
+        stepIndex: p.stepIndex,
+        text: `The run went from ${fromLabel} to "${p.name}", a path the map doesn't show.`,
+      });
+    }
+    visited.add(p.stepIndex);
+  }
+  if (opts.completed && onMap.length) {
+    hops++;
+    const last = onMap[onMap.length - 1];
+    const mids = shortestPath(succ, String(last.stepIndex), 'end');
+    if (mids && mids.every((k) => steps[k].isDecision)) allowed++;
+    else if (mids) flagSkipped(mids, `"${last.name}"`, 'the end');
+  }
+
+  // ── Targets ──
+  const visits = new Map();
+  for (const p of onMap) {
+    const s = steps[p.stepIndex];
+    const agg = visits.get(p.stepIndex) || { visits: 0, work: [], wait: [] };
+    agg.visits++;
+    if (p.workMinutes != null) agg.work.push(p.workMinutes);
+    if (p.waitMinutes != null) agg.wait.push(p.waitMinutes);
+    visits.set(p.stepIndex, agg);
+
+    if (p.elapsed == null) continue;
+    const slaTarget = stepSlaTarget(s, process);
+    const sla = slaTarget?.targetMinutes || 0;
+    const mapped = (Number(s.workMinutes) || 0) + (Number(s.waitMinutes) || 0);
+    const target = sla > 0 ? sla : mapped > 0 ? mapped * tolerance : null;
+    if (target == null || p.elapsed <= target) continue;
+    deviations.push({
+      kind: 'sla-breach',
+      severity: p.elapsed >= target * 2 ? 'high' : 'medium',
+      stepIndex: p.stepIndex,
+      basis: sla > 0 ? 'sla' : 'estimate',
+      targetMinutes: Math.round(target * 10) / 10,
+      actualMinutes: p.elapsed,
+      escalationOwner: slaTarget?.escalationOwner || null,
+      text: sla > 0
+        ? `${stepLabel(steps, p.stepIndex)} took ${p.elapsed} min against a ${sla} min SLA.`
+        : `${stepLabel(steps, p.stepIndex)} took ${p.elapsed} min, over ${tolerance}× the mapped ${mapped} min.`,
+    });
+  }
+
+  const mean = (xs) => (xs.length ? Math.round((xs.reduce((a, b) => a + b, 0) / xs.length) * 10) / 10 : null);
+  const measured = [...visits.entries()]
+    .sort((a, b) => a[0] - b[0])
+    .map(([i, agg]) => ({
+      stepIndex: i,
+      name: steps[i].name || '',
+      visits: agg.visits,
+      workMinutes: mean(agg.work),
+      waitMinutes: mean(agg.wait),
+    }));
+
+  const times = runs.flatMap((r) => [r.start, r.end]).filter((t) => t != null);
+  const cycleMinutes = opts.completed && times.length > 1
+    ? minutes(Math.max(...times) - Math.min(...times))
+    : null;
+  if (cycleMinutes != null && psla?.targetCycleMinutes) {
+    const target = psla.targetCycleMinutes;
+    const actual = calendar ? businessMinutesBetween(Math.min(...times), Math.max(...times), calendar) : cycleMinutes;
+    if (actual > target) {
+      deviations.push({
+        kind: 'cycle-sla-breach',
+        severity: actual >= target * 2 ? 'high' : 'medium',
+        stepIndex: null,
+        basis: 'sla',
+        targetMinutes: target,
+        actualMinutes: actual,
+        escalationOwner: psla.escalationOwner,
+        text: `The run took ${actual} min end to end against a ${target} min cycle-time target.`,
+      });
+    }
+  }
+
+  deviations.sort((a, b) => (SEVERITY_RANK[a.severity] ?? 9) - (SEVERITY_RANK[b.severity] ?? 9));
+  return {
+    conformant: !deviations.some((d) => d.kind !== 'sla-breach' && d.kind !== 'cycle-sla-breach'),
+    fitness: hops ? Math.round((allowed / hops) * 100) / 100 : null,
+    cycleMinutes,
+    path: path.map(({ elapsed, ...p }) => p),
+    deviations,
+    measured,
+  };
+}
+
+/**
+ * Turn a conformance result into `change_outcomes` rows with source
+ * `process_instance`.
+ *
+ * Measured work / wait for a step attaches to the newest applied / live /
+ * measured `process_step` change for that step; cycle time attaches to the
+ * newest such `process` change, and is skipped when only steps changed.
+ * value_before is the mapped estimate, value_after what this run measured.
+ * Steps nobody changed produce nothing.
+ *
+ * @param {object} input
+ * @param {object[]} input.changes       loadChanges() rows for the process, newest first
+ * @param {object} input.process         the rawProcesses[] entry that was checked
+ * @param {number} input.processIndex
+ * @param {object} input.result          checkInstanceConformance() output
+ * @param {string} input.instanceId      process_instances.id
+ * @returns {{ change_id, metric, unit, value_before, value_after, source, source_ref }[]}
+ */
+export function buildInstanceOutcomes({ changes, process, processIndex, result, instanceId }) {
+  if (!result || !Array.isArray(changes)) return [];
+  const steps = process?.steps || [];
+  const live = changes.filter((c) => OUTCOME_STATES.has(c.state)
+    && (c.subject_ref?.processIndex == null || Number(c.subject_ref.processIndex) === processIndex));
+  const out = [];
+  const push = (change, metric, before, after, ref) => out.push({
+    change_id: change.id,
+    metric,
+    unit: 'minutes',
+    value_before: before,
+    value_after: after,
+    source: 'process_instance',
+    source_ref: { process_instance_id: instanceId, processIndex, ...ref },
+  });
+
+  for (const m of result.measured) {
+    const step = steps[m.stepIndex] || {};
+    const change = live.find((c) => c.subject_type === 'process_step' && (
+      Number(c.subject_ref?.stepNumber) === (Number(step.number) || m.stepIndex + 1)
+      || (c.subject_ref?.stepName && nameKey(c.subject_ref.stepName) === nameKey(step.name))
+    ));
+    if (!change) continue;
+    const ref = { stepNumber: m.stepIndex + 1, stepName: step.name || null };
+    if (m.workMinutes != null) push(change, 'work_minutes', Number(step.workMinutes) || 0, m.workMinutes, ref);
+    if (m.waitMinutes != null) push(change, 'wait_minutes', Number(step.waitMinutes) || 0, m.waitMinutes, ref);
+  }
+
+  if (result.cycleMinutes != null) {
+    const change = live.find((c) => c.subject_type === 'process');
+    if (change) {
+      const mapped = result.path.reduce((sum, p) => {
+        const s = p.stepIndex != null ? steps[p.stepIndex] : null;
+        return sum + (s ? (Number(s.workMinutes) || 0) + (Number(s.waitMinutes) || 0) : 0);
+      }, 0);
+      push(change, 'cycle_time_minutes', mapped, result.cycleMinutes, {});
+    }
+  }
+  return out;
+}
@@ -5,6 +5,13 @@
  *
  * v1 (legacy) shape: `${count}-${viewMode}` and bare `${count}`.
  * v2 shape:          `v2-${count}-${viewMode}`.
+ * v3 shape:          STEP_LAYOUT_KEY → `{ [step.id]: { dx, dy } }`.
+ *
+ * v1/v2 offsets are keyed by canvas node id (`step-${index}`) under a
+ * step-count key, so an insert, delete or reorder either orphans them or
+ * moves them onto the wrong step. v3 keys each offset by the step's stable
+ * id (stepIds.js) and is translated to node ids on read; it wins whenever
+ * it exists and the steps all have ids.
  *
  * Redesign flows must never apply v1 offsets - the auto-layout algorithm
  * changed, so stale nudges saved against the old positions produced
@@ -33,11 +40,57 @@ export function redesignLayoutKey(count, viewMode) {
   return layoutKeyV2(count, viewMode);
 }
 
+/** v3 key: one id-keyed offset map per process, whatever the step count. */
+export const STEP_LAYOUT_KEY = 'v3-steps';
+
+const NODE_ID = /^step-(\d+)$/;
+
+/**
+ * v3 offsets translated to canvas node ids for the current step order.
+ * Null when there is no v3 map or a step has no id yet.
+ *
+ * @param {Object|undefined} positions   The `flowNodePositions` map.
+ * @param {Array} steps                  Steps in canvas order.
+ * @returns {Object|null}
+ */
+export function stepPositions(positions, steps) {
+  const byId = positions?.[STEP_LAYOUT_KEY];
+  if (!byId || !steps?.length || steps.some((s) => !s?.id)) return null;
+  const offsets = {};
+  steps.forEach((s, i) => {
+    if (byId[s.id]) offsets[`step-${i}`] = byId[s.id];
+  });
+  return offsets;
+}
+
+/**
+ * Write canvas offsets (keyed `step-${index}`) back as v3. Returns the next
+ * `flowNodePositions` map, or null when a step has no id yet — callers then
+ * keep writing the legacy count key. Older keys are left for readers that
+ * predate v3.
+ *
+ * @param {Object|undefined} positions   The `flowNodePositions` map.
+ * @param {Object} offsets               `{ 'step-0': { dx, dy }, … }`.
+ * @param {Array} steps                  Steps in canvas order.
+ * @returns {Object|null}
+ */
+export function storeStepPositions(positions, offsets, steps) {
+  if (!steps?.length || steps.some((s) => !s?.id)) return null;
+  const byId = {};
+  for (const [nodeId, offset] of Object.entries(offsets || {})) {
+    const m = NODE_ID.exec(nodeId);
+    const step = m ? steps[Number(m[1])] : null;
+    if (step && offset) byId[step.id] = offset;
+  }
+  return { ...(positions || {}), [STEP_LAYOUT_KEY]: byId };
+}
+
 /**
  * Read stored positions for a process.
  *
  * - Redesign flows: only v2 (no legacy fallback).
- * - Current flows:   prefer v2, fall back to v1 `${count}-${viewMode}`,
+ * - Current flows:   v3 when `opts.steps` is passed and has ids, else
+ *                    prefer v2, fall back to v1 `${count}-${viewMode}`,
  *                    then bare `${count}` for pre-viewMode saves.
  *
  * @param {Object|undefined} positions   The `flowNodePositions` map.
@@ -45,6 +98,7 @@ export function redesignLayoutKey(count, viewMode) {
  * @param {string} viewMode              'grid' | 'swimlane'.
  * @param {Object} [opts]
  * @param {boolean} [opts.isRedesign]    True when reading optimised/redesign positions.
+ * @param {Array} [opts.steps]           Current steps, to read id-keyed (v3) offsets.
  * @returns {Object|null}
  */
 export function resolveStoredPositions(positions, count, viewMode, opts = {}) {
@@ -53,6 +107,7 @@ export function resolveStoredPositions(positions, count, viewMode, opts = {}) {
     return positions[layoutKeyV2(count, viewMode)] || null;
   }
   return (
+    stepPositions(positions, opts.steps) ||
     positions[layoutKeyV2(count, viewMode)] ||
     positions[layoutKeyV1(count, viewMode)] ||
     positions[`${count}`] ||
@@ -0,0 +1,616 @@
+/**
+ * Process mining from event logs — CSV or XES in, canvas process out.
+ *
+ *   parseEventLog(content)      → normalised events (case, activity, times, resource)
+ *   summariseEventLog(events)   → directly-follows graph + per-activity timings
+ *   discoverProcess(summary)    → rawProcesses[] entry the canvas can load
+ *   checkConformance(p, summary)→ deltas between a hand-drawn flow and the log
+ *
+ * The summary is what we persist (on `rawProcesses[].eventLog`), never the
+ * raw events: it is small, carries no timestamps per case, and is enough
+ * to re-run discovery or conformance later. lib/diagnostic/
+ * buildMapObservations.js reads it to surface conformance deltas.
+ *
+ * Timings are calendar minutes, medians across occurrences:
+ *   work = complete − start, only when the log has start times
+ *          (a start column in CSV, lifecycle:transition=start in XES)
+ *   wait = start − previous activity's completion in the same case
+ * Logs with completion times only attribute every gap to wait.
+ *
+ * Discovery is a filtered directly-follows graph: an activity with more
+ * than one successor becomes an exclusive decision (branch probabilities
+ * from observed frequencies), one reached from several predecessors is a
+ * merge, transitions the array order can't express become
+ * flowCustomEdges, and inferred edges no case follows go into
+ * flowDeletedEdges. Concurrency is not detected — activities that run in
+ * parallel show up as a decision that can go either way, which is the
+ * honest reading of a directly-follows graph.
+ *
+ * Pure module — no Supabase, no React.
+ */
+
+import { parseXml, BpmnParseError } from './bpmn.js';
+import { deriveStepConnections, orderSteps } from './connections.js';
+import { validateFlow, repairFlow, normalizeDepartment } from './normalizer.js';
+import { createEmptyProcess } from '../diagnostic/processData.js';
+
+const MAX_LOG_BYTES = 20 * 1024 * 1024;
+const MAX_EVENTS = 500000;
+const MAX_DISCOVERED_STEPS = 200;
+const DEFAULT_MIN_EDGE_SHARE = 0.05;
+
+/* ── Errors ───────────────────────────────────────────────────── */
+
+export class EventLogParseError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'EventLogParseError';
+    this.status = 400;
+  }
+}
+
+/* ── Column detection ─────────────────────────────────────────── */
+
+/** Header aliases, compared lower-cased with spaces/underscores/dashes removed. */
+const COLUMN_ALIASES = {
+  caseId: ['caseid', 'case', 'caseconcept:name', 'case:concept:name', 'casekey', 'traceid', 'ticketid', 'orderid'],
+  activity: ['activity', 'activityname', 'concept:name', 'event', 'eventname', 'task', 'step'],
+  timestamp: ['timestamp', 'time', 'time:timestamp', 'completetimestamp', 'endtimestamp', 'endtime', 'completedat', 'completetime', 'end', 'date', 'datetime'],
+  start: ['starttimestamp', 'starttime', 'startedat', 'start'],
+  resource: ['resource', 'org:resource', 'user', 'performer', 'actor', 'owner', 'assignee'],
+  department: ['department', 'dept', 'team', 'role', 'org:group', 'org:role', 'group', 'lane'],
+  lifecycle: ['lifecycle', 'lifecycle:transition', 'transition', 'eventtype'],
+};
+
+function headerKey(h) {
+  return String(h || '').trim().toLowerCase().replace(/[\s_-]+/g, '');
+}
+
+/**
+ * Map CSV headers to event fields. Explicit `columns` (field → header name)
+ * win; the rest are matched against COLUMN_ALIASES.
+ */
+export function detectColumns(headers, columns = {}) {
+  const keys = headers.map(headerKey);
+  const out = {};
+  for (const field of Object.keys(COLUMN_ALIASES)) {
+    if (columns[field]) {
+      const idx = keys.indexOf(headerKey(columns[field]));
+      if (idx < 0) throw new EventLogParseError(`Column "${columns[field]}" not found in the CSV header.`);
+      out[field] = idx;
+      continue;
+    }
+    const idx = keys.findIndex((k) => COLUMN_ALIASES[field].includes(k));
+    if (idx >= 0 && !Object.values(out).includes(idx)) out[field] = idx;
+  }
+  const missing = ['caseId', 'activity', 'timestamp'].filter((f) => out[f] === undefined);
+  if (missing.length) {
+    throw new EventLogParseError(
+      `Could not find ${missing.join(', ')} column${missing.length > 1 ? 's' : ''} in the CSV header. Pass columns: { caseId, activity, timestamp } to name them.`,
+    );
+  }
+  return out;
+}
+
+/* ── Parsing ──────────────────────────────────────────────────── */
+
+/** RFC 4180-ish CSV reader. Delimiter is sniffed from the header line (`,` `;` or tab). */
+export function parseCsv(text) {
+  const src = String(text || '').replace(/^\uFEFF/, '');
+  const firstLine = src.slice(0, src.search(/\r?\n|$/));
+  const delim = [',', ';', '\t']
+    .map((d) => ({ d, n: firstLine.split(d).length }))
+    .sort((a, b) => b.n - a.n)[0].d;
+
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < src.length; i++) {
+    const c = src[i];
+    if (quoted) {
+      if (c === '"') {
+        if (src[i + 1] === '"') { field += '"'; i++; } else quoted = false;
+      } else field += c;
+      continue;
+    }
+    if (c === '"' && field === '') quoted = true;
+    else if (c === delim) { row.push(field); field = ''; }
+    else if (c === '\n' || c === '\r') {
+      if (c === '\r' && src[i + 1] === '\n') i++;
+      row.push(field); field = '';
+      if (row.some((v) => v !== '')) rows.push(row);
+      row = [];
+    } else field += c;
+  }
+  if (quoted) throw new EventLogParseError('Unterminated quoted field in CSV.');
+  row.push(field);
+  if (row.some((v) => v !== '')) rows.push(row);
+  return rows;
+}
+
+/** Date string, ISO or anything Date.parse accepts, or epoch seconds / ms. */
+function parseTime(v) {
+  const s = String(v ?? '').trim();
+  if (!s) return null;
+  if (/^\d+(\.\d+)?$/.test(s)) {
+    const n = Number(s);
+    return n > 1e11 ? n : n * 1000;
+  }
+  const t = Date.parse(s.includes(' ') && /^\d{4}-\d{2}-\d{2} /.test(s) ? s.replace(' ', 'T') : s);
+  return Number.isFinite(t) ? t : null;
+}
+
+function lifecycleOf(v) {
+  const s = String(v || '').trim().toLowerCase();
+  if (s === 'start') return 'start';
+  if (s === 'complete' || s === 'completed' || s === 'end') return 'complete';
+  return s ? 'other' : null;
+}
+
+function parseCsvLog(text, columns) {
+  const rows = parseCsv(text);
+  if (rows.length < 2) throw new EventLogParseError('CSV has no event rows.');
+  const col = detectColumns(rows[0], columns);
+  const events = [];
+  let skipped = 0;
+  for (let r = 1; r < rows.length; r++) {
+    const row = rows[r];
+    const caseId = String(row[col.caseId] ?? '').trim();
+    const activity = String(row[col.activity] ?? '').trim();
+    const time = parseTime(row[col.timestamp]);
+    if (!caseId || !activity || time == null) { skipped++; continue; }
+    const lifecycle = col.lifecycle !== undefined ? lifecycleOf(row[col.lifecycle]) : null;
+    if (lifecycle === 'other') continue;
+    const start = col.start !== undefined ? parseTime(row[col.start]) : null;
+    events.push({
+      caseId,
+      activity,
+      time,
+      start: start != null && start <= time ? start : null,
+      lifecycle,
+      resource: col.resource !== undefined ? String(row[col.resource] ?? '').trim() || null : null,
+      department: col.department !== undefined ? String(row[col.department] ?? '').trim() || null : null,
+    });
+  }
+  return { events, skipped };
+}
+
+function xesValue(el, key) {
+  const hit = el.children.find((c) => c.attrs?.key === key);
+  return hit ? hit.attrs.value : undefined;
+}
+
+function parseXesLog(xml) {
+  let root;
+  try {
+    root = parseXml(xml);
+  } catch (e) {
+    if (e instanceof BpmnParseError) throw new EventLogParseError(`Invalid XES: ${e.message}`);
+    throw e;
+  }
+  const log = root.children.find((c) => c.name === 'log');
+  if (!log) throw new EventLogParseError('Not an XES document (no <log> root).');
+  const events = [];
+  let skipped = 0;
+  log.children.filter((c) => c.name === 'trace').forEach((trace, ti) => {
+    const caseId = String(xesValue(trace, 'concept:name') ?? `trace-${ti + 1}`);
+    for (const ev of trace.children) {
+      if (ev.name !== 'event') continue;
+      const activity = String(xesValue(ev, 'concept:name') ?? '').trim();
+      const time = parseTime(xesValue(ev, 'time:timestamp'));
+      if (!activity || time == null) { skipped++; continue; }
+      const lifecycle = lifecycleOf(xesValue(ev, 'lifecycle:transition'));
+      if (lifecycle === 'other') continue;
+      events.push({
+        caseId,
+        activity,
+        time,
+        start: null,
+        lifecycle,
+        resource: xesValue(ev, 'org:resource') || null,
+        department: xesValue(ev, 'org:group') || xesValue(ev, 'org:role') || null,
+      });
+    }
+  });
+  return { events, skipped };
+}
+
+/**
+ * Parse a CSV or XES event log.
+ *
+ * @param {string} content
+ * @param {object} [opts]  { format?: 'csv'|'xes' (sniffed when absent), columns?: { caseId, activity, timestamp, start, resource, department, lifecycle } }
+ * @returns {{ format: 'csv'|'xes', events: object[], skipped: number }}
+ * @throws {EventLogParseError}
+ */
+export function parseEventLog(content, opts = {}) {
+  if (typeof content !== 'string' || !content.trim()) throw new EventLogParseError('Event log is empty.');
+  if (content.length > MAX_LOG_BYTES) throw new EventLogParseError('Event log is too large (max 20 MB).');
+  const format = opts.format || (content.trimStart().startsWith('<') ? 'xes' : 'csv');
+  if (format !== 'csv' && format !== 'xes') throw new EventLogParseError(`Unsupported event log format "${format}".`);
+  const { events, skipped } = format === 'xes' ? parseXesLog(content) : parseCsvLog(content, opts.columns || {});
+  if (!events.length) throw new EventLogParseError('Event log contains no usable events (need case id, activity and timestamp).');
+  if (events.length > MAX_EVENTS) throw new EventLogParseError(`Event log has ${events.length} events; the limit is ${MAX_EVENTS}.`);
+  return { format, events, skipped };
+}
+
+/* ── Summary (directly-follows graph) ─────────────────────────── */
+
+function median(values) {
+  if (!values.length) return null;
+  const s = [...values].sort((a, b) => a - b);
+  const m = s.length >> 1;
+  return s.length % 2 ? s[m] : (s[m - 1] + s[m]) / 2;
+}
+
+function roundMinutes(ms) {
+  return ms == null ? null : Math.round(ms / 60000);
+}
+
+/** Turn one case's events into activity instances { activity, start, end, resource, department }. */
+function caseInstances(events) {
+  const sorted = [...events].sort((a, b) => a.time - b.time);
+  const out = [];
+  const open = new Map();
+  for (const e of sorted) {
+    if (e.lifecycle === 'start') {
+      const inst = { activity: e.activity, start: e.time, end: null, resource: e.resource, department: e.department };
+      out.push(inst);
+      if (!open.has(e.activity)) open.set(e.activity, []);
+      open.get(e.activity).push(inst);
+      continue;
+    }
+    const pending = open.get(e.activity);
+    if (pending?.length) {
+      const inst = pending.shift();
+      inst.end = e.time;
+      inst.resource = inst.resource || e.resource;
+      inst.department = inst.department || e.department;
+      continue;
+    }
+    out.push({ activity: e.activity, start: e.start ?? e.time, end: e.time, resource: e.resource, department: e.department });
+  }
+  for (const inst of out) if (inst.end == null) inst.end = inst.start;
+  return out.sort((a, b) => a.start - b.start || a.end - b.end);
+}
+
+/**
+ * Summarise events into a directly-follows graph with per-activity timings.
+ *
+ * @param {object[]} events  from parseEventLog
+ * @returns {{
+ *   cases: number, events: number, variants: number,
+ *   firstEventAt: string, lastEventAt: string, hasStartTimes: boolean,
+ *   activities: { name, occurrences, cases, workMinutes: number|null, waitMinutes: number|null, resources: number, department: string|null }[],
+ *   transitions: { from: string, to: string, count: number }[],
+ *   startActivities: Record<string, number>, endActivities: Record<string, number>,
+ * }}
+ */
+export function summariseEventLog(events) {
+  const byCase = new Map();
+  for (const e of events) {
+    if (!byCase.has(e.caseId)) byCase.set(e.caseId, []);
+    byCase.get(e.caseId).push(e);
+  }
+
+  const acts = new Map();
+  const act = (name) => {
+    if (!acts.has(name)) acts.set(name, { name, occurrences: 0, caseSet: new Set(), work: [], wait: [], resources: new Set(), depts: new Map() });
+    return acts.get(name);
+  };
+  const transitions = new Map();
+  const startActivities = {};
+  const endActivities = {};
+  const variants = new Set();
+  let first = Infinity;
+  let last = -Infinity;
+  let hasStartTimes = false;
+
+  for (const [caseId, list] of byCase) {
+    const inst = caseInstances(list);
+    if (!inst.length) continue;
+    variants.add(inst.map((i) => i.activity).join('\u0001'));
+    startActivities[inst[0].activity] = (startActivities[inst[0].activity] || 0) + 1;
+    const endAct = inst[inst.length - 1].activity;
+    endActivities[endAct] = (endActivities[endAct] || 0) + 1;
+    inst.forEach((it, k) => {
+      const a = act(it.activity);
+      a.occurrences++;
+      a.caseSet.add(caseId);
+      if (it.end > it.start) { a.work.push(it.end - it.start); hasStartTimes = true; }
+      if (k > 0) {
+        a.wait.push(Math.max(0, it.start - inst[k - 1].end));
+        const key = `${inst[k - 1].activity}\u0001${it.activity}`;
+        transitions.set(key, (transitions.get(key) || 0) + 1);
+      }
+      if (it.resource) a.resources.add(it.resource);
+      if (it.department) a.depts.set(it.department, (a.depts.get(it.department) || 0) + 1);
+      first = Math.min(first, it.start);
+      last = Math.max(last, it.end);
+    });
+  }
+
+  return {
+    cases: byCase.size,
+    events: events.length,
+    variants: variants.size,
+    firstEventAt: Number.isFinite(first) ? new Date(first).toISOString() : null,
+    lastEventAt: Number.isFinite(last) ? new Date(last).toISOString() : null,
+    hasStartTimes,
+    activities: [...acts.values()].map((a) => ({
+      name: a.name,
+      occurrences: a.occurrences,
+      cases: a.caseSet.size,
+      workMinutes: hasStartTimes ? roundMinutes(median(a.work.length ? a.work : [0])) : null,
+      waitMinutes: roundMinutes(median(a.wait)),
+      resources: a.resources.size,
+      department: [...a.depts.entries()].sort((x, y) => y[1] - x[1])[0]?.[0] || null,
+    })),
+    transitions: [...transitions.entries()]
+      .map(([k, count]) => { const [from, to] = k.split('\u0001'); return { from, to, count }; })
+      .sort((a, b) => b.count - a.count),
+    startActivities,
+    endActivities,
+  };
+}
+
+/* ── Discovery ────────────────────────────────────────────────── */
+
+/** Integer percentages that sum to 100 (largest-remainder rounding). */
+function toPercentages(counts) {
+  const total = counts.reduce((a, b) => a + b, 0) || 1;
+  const raw = counts.map((c) => (c / total) * 100);
+  const out = raw.map(Math.floor);
+  let left = 100 - out.reduce((a, b) => a + b, 0);
+  raw.map((r, i) => ({ i, frac: r - Math.floor(r) }))
+    .sort((a, b) => b.frac - a.frac)
+    .forEach(({ i }) => { if (left > 0) { out[i]++; left--; } });
+  return out;
+}
+
+/**
+ * Build a canvas process from an event-log summary.
+ *
+ * @param {object} summary  from summariseEventLog
+ * @param {object} [opts]   { processName?: string, minEdgeShare?: number (0–1, default 0.05) }
+ * @returns {{ process: object, repairs: string[], issues: object[], warnings: string[] }}
+ * @throws {EventLogParseError} when the log has too many distinct activities
+ */
+export function discoverProcess(summary, opts = {}) {
+  const warnings = [];
+  const minShare = Number.isFinite(Number(opts.minEdgeShare)) ? Math.max(0, Math.min(1, Number(opts.minEdgeShare))) : DEFAULT_MIN_EDGE_SHARE;
+  const activities = summary.activities || [];
+  if (!activities.length) throw new EventLogParseError('Event log contains no activities.');
+  if (activities.length > MAX_DISCOVERED_STEPS) {
+    throw new EventLogParseError(`Event log has ${activities.length} distinct activities; the limit is ${MAX_DISCOVERED_STEPS}. Filter the log to one process first.`);
+  }
+
+  // Drop rare transitions (noise, data-entry slips) but always keep each
+  // activity's most frequent successor so nothing is stranded.
+  const outgoing = new Map();
+  for (const t of summary.transitions || []) {
+    if (t.from === t.to) continue;
+    if (!outgoing.has(t.from)) outgoing.set(t.from, []);
+    outgoing.get(t.from).push(t);
+  }
+  const kept = new Map();
+  let dropped = 0;
+  for (const [from, list] of outgoing) {
+    const total = list.reduce((a, t) => a + t.count, 0);
+    const keep = list.filter((t, i) => i === 0 || t.count / total >= minShare);
+    dropped += list.length - keep.length;
+    kept.set(from, keep);
+  }
+  if (dropped) warnings.push(`${dropped} infrequent transition${dropped > 1 ? 's' : ''} (under ${Math.round(minShare * 100)}% of an activity's exits) left off the map.`);
+  for (const t of summary.transitions || []) {
+    if (t.from === t.to) warnings.push(`"${t.from}" repeats back-to-back ${t.count} time${t.count > 1 ? 's' : ''} — rework the map can't show as a step.`);
+  }
+
+  const starts = Object.entries(summary.startActivities || {}).sort((a, b) => b[1] - a[1]).map(([name]) => name);
+  if (starts.length > 1) {
+    warnings.push(`Cases start at ${starts.length} different activities; the map starts at the most common ("${starts[0]}").`);
+  }
+
+  const succ = new Map(activities.map((a) => [a.name, (kept.get(a.name) || []).map((t) => t.to)]));
+  const { order } = orderSteps(starts, succ);
+  const placed = new Set(order);
+  activities
+    .filter((a) => !placed.has(a.name))
+    .sort((a, b) => b.occurrences - a.occurrences)
+    .forEach((a) => { placed.add(a.name); order.push(a.name); });
+
+  const indexOf = new Map(order.map((name, i) => [name, i]));
+  const byName = new Map(activities.map((a) => [a.name, a]));
+  const incoming = new Map();
+  for (const [from, list] of kept) {
+    for (const t of list) {
+      if (!incoming.has(t.to)) incoming.set(t.to, new Set());
+      incoming.get(t.to).add(from);
+    }
+  }
+
+  const steps = order.map((name, i) => {
+    const a = byName.get(name);
+    const exits = kept.get(name) || [];
+    const isDecision = exits.length > 1;
+    const step = {
+      number: i + 1,
+      name,
+      department: a.department ? normalizeDepartment(a.department) : 'Other',
+      isDecision,
+      isMerge: !isDecision && [...(incoming.get(name) || [])].filter((f) => indexOf.get(f) < i).length > 1,
+      parallel: false,
+      inclusive: false,
+      isExternal: false,
+      branches: [],
+      systems: [],
+      checklist: [],
+    };
+    if (a.workMinutes != null) step.workMinutes = a.workMinutes;
+    if (a.waitMinutes != null) step.waitMinutes = a.waitMinutes;
+    if (a.resources > 1) step.capacity = a.resources;
+    if (isDecision) {
+      const pct = toPercentages(exits.map((t) => t.count));
+      step.branches = exits.map((t, bi) => ({ label: t.to, target: `Step ${indexOf.get(t.to) + 1}`, probability: pct[bi] }));
+    }
+    return step;
+  });
+
+  const { steps: repaired, changes } = repairFlow(steps);
+
+  // Reconcile with what the canvas infers from array order: observed
+  // transitions it won't draw become custom edges, auto edges no case
+  // follows are deleted.
+  const observedEdges = new Set();
+  for (const [from, list] of kept) for (const t of list) observedEdges.add(`${indexOf.get(from)}>${indexOf.get(t.to)}`);
+  const derivedList = deriveStepConnections(repaired);
+  const derived = new Set(derivedList.map((e) => `${e.from}>${e.to}`));
+  const flowCustomEdges = [];
+  for (const key of observedEdges) {
+    const [i, j] = key.split('>').map(Number);
+    if (repaired[i].isDecision || derived.has(key)) continue;
+    flowCustomEdges.push({ source: `step-${i}`, target: `step-${j}`, sourceHandle: 'right', targetHandle: 'left' });
+  }
+  const flowDeletedEdges = [];
+  for (const e of derivedList) {
+    if (typeof e.from !== 'number' || typeof e.to !== 'number' || e.branchIndex !== undefined) continue;
+    if (observedEdges.has(`${e.from}>${e.to}`)) continue;
+    flowDeletedEdges.push(e.to === e.from + 1 ? `e-seq-${e.from}-${e.to}` : `e-merge-${e.from}-${e.to}`);
+  }
+
+  const spanDays = summary.firstEventAt && summary.lastEventAt
+    ? (Date.parse(summary.lastEventAt) - Date.parse(summary.firstEventAt)) / 86400000
+    : 0;
+  const departments = [...new Set(repaired.map((s) => s.department).filter(Boolean))];
+  const empty = createEmptyProcess();
+  const process = {
+    ...empty,
+    processName: opts.processName || 'Discovered process',
+    definition: { ...empty.definition, departments },
+    steps: repaired,
+    flowCustomEdges,
+    flowDeletedEdges,
+    eventLog: summary,
+  };
+  // Only annualise logs that cover a meaningful stretch of time.
+  if (spanDays >= 28) process.frequency = { ...empty.frequency, annual: Math.round(summary.cases / (spanDays / 365)) };
+  if (!summary.hasStartTimes) warnings.push('Log has completion times only; all time between activities is counted as wait.');
+
+  return { process, repairs: changes, issues: validateFlow(repaired), warnings };
+}
+
+/* ── Conformance ──────────────────────────────────────────────── */
+
+function nameKey(s) {
+  return String(s || '').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+function share(n, total) {
+  return total ? Math.round((n / total) * 100) : 0;
+}
+
+/**
+ * Compare a hand-drawn process with an event-log summary.
+ * Steps and activities are matched by name (case- and whitespace-insensitive).
+ *
+ * @param {object} process   rawProcesses[] entry ({ steps, flowCustomEdges })
+ * @param {object} summary   from summariseEventLog
+ * @returns {{ kind: 'unmapped-activity'|'unobserved-step'|'unexpected-transition'|'unobserved-transition'|'timing', text: string, severity: 'high'|'medium'|'low', stepIndex?: number, activity?: string }[]}
+ */
+export function checkConformance(process, summary) {
+  const steps = process?.steps || [];
+  if (!steps.length || !summary?.activities?.length) return [];
+  const deltas = [];
+  const cases = summary.cases || 0;
+
+  const stepByKey = new Map();
+  steps.forEach((s, i) => { if (s.name && !stepByKey.has(nameKey(s.name))) stepByKey.set(nameKey(s.name), i); });
+  const actByKey = new Map(summary.activities.map((a) => [nameKey(a.name), a]));
+
+  for (const a of summary.activities) {
+    if (stepByKey.has(nameKey(a.name))) continue;
+    const pct = share(a.cases, cases);
+    deltas.push({
+      kind: 'unmapped-activity',
+      activity: a.name,
+      severity: pct >= 20 ? 'high' : pct >= 5 ? 'medium' : 'low',
+      text: `"${a.name}" happens in ${pct}% of logged cases but isn't on the map.`,
+    });
+  }
+
+  steps.forEach((s, i) => {
+    if (!s.name || s.isDecision || actByKey.has(nameKey(s.name))) return;
+    deltas.push({
+      kind: 'unobserved-step',
+      stepIndex: i,
+      severity: 'medium',
+      text: `Step ${i + 1} "${s.name}" never appears in the event log — it may happen off-system or not at all.`,
+    });
+  });
+
+  // Transitions between steps that both exist on the map and in the log.
+  const drawn = new Set();
+  for (const e of deriveStepConnections(steps, process.flowCustomEdges, process.flowDeletedEdges)) {
+    if (typeof e.from === 'number' && typeof e.to === 'number') drawn.add(`${e.from}>${e.to}`);
+  }
+  // Decision steps are pass-throughs in the log: A → [decision] → B is drawn as A > d > B.
+  const reachable = (i, j) => {
+    if (drawn.has(`${i}>${j}`)) return true;
+    for (const k of drawn) {
+      const [f, t] = k.split('>').map(Number);
+      if (f === i && steps[t]?.isDecision && drawn.has(`${t}>${j}`)) return true;
+    }
+    return false;
+  };
+  const observed = new Set();
+  for (const t of summary.transitions || []) {
+    const i = stepByKey.get(nameKey(t.from));
+    const j = stepByKey.get(nameKey(t.to));
+    if (i === undefined || j === undefined || i === j) continue;
+    observed.add(`${i}>${j}`);
+    if (reachable(i, j)) continue;
+    const pct = share(t.count, cases);
+    if (pct < 1) continue;
+    deltas.push({
+      kind: 'unexpected-transition',
+      stepIndex: i,
+      severity: pct >= 20 ? 'high' : pct >= 5 ? 'medium' : 'low',
+      text: `${pct}% of cases go straight from "${steps[i].name}" to "${steps[j].name}", a path the map doesn't show.`,
+    });
+  }
+  for (const k of drawn) {
+    const [i, j] = k.split('>').map(Number);
+    if (steps[i].isDecision || steps[j].isDecision) continue;
+    if (!actByKey.has(nameKey(steps[i].name)) || !actByKey.has(nameKey(steps[j].name))) continue;
+    if (observed.has(k)) continue;
+    deltas.push({
+      kind: 'unobserved-transition',
+      stepIndex: i,
+      severity: 'low',
+      text: `The map goes "${steps[i].name}" → "${steps[j].name}", but no logged case does.`,
+    });
+  }
+
+  // Timing: flag drawn estimates that are off by 2× or more (and at least 30 minutes).
+  steps.forEach((s, i) => {
+    const a = actByKey.get(nameKey(s.name));
+    if (!a) return;
+    for (const [field, label] of [['waitMinutes', 'wait'], ['workMinutes', 'work']]) {
+      const seen = a[field];
+      const drawnMin = Number(s[field]) || 0;
+      if (seen == null || Math.abs(seen - drawnMin) < 30) continue;
+      const ratio = drawnMin ? seen / drawnMin : Infinity;
+      if (ratio < 2 && ratio > 0.5) continue;
+      deltas.push({
+        kind: 'timing',
+        stepIndex: i,
+        severity: ratio >= 4 || ratio <= 0.25 ? 'high' : 'medium',
+        text: `Step ${i + 1} "${s.name}": median observed ${label} is ${seen} min vs ${drawnMin} min on the map.`,
+      });
+    }
+  });
+
+  const rank = { high: 0, medium: 1, low: 2 };
+  return deltas.sort((a, b) => rank[a.severity] - rank[b.severity]);
+}
@@ -0,0 +1,433 @@
+/**
+ * Process scenarios — named what-if versions of a live process.
+ *
+ * A scenario is forked from the live row's flow_data and keeps its own
+ * copy of the parts that drive the numbers:
+ *
+ *   scenario.flow_data = {
+ *     rawProcesses,   // steps, handoffs, costs, frequency per process
+ *     costAnalysis,   // labour rates, blended rate, on-cost, drivers
+ *   }
+ *
+ * Everything else on the live flow_data (contact, custom departments,
+ * ...) stays with the live row; promotion writes the two keys back over
+ * it.
+ *
+ *   forkFlow(flowData)                       ← scenario flow_data from live
+ *   applyScenarioEdits(flowData, edits)      ← step / cost edits (chat tool)
+ *   scenarioMetrics(flowData, currency)      ← cost, cycle time, automation
+ *   compareScenarios({ live, scenarios })    ← baseline + per-scenario deltas
+ *   scenarioChangeRows(live, scenario, ctx)  ← `changes` rows for promotion
+ *
+ * Metrics come from the same code as the rest of the app: cost, savings
+ * and automation % from deriveProcessMetrics, cycle time (work + wait per
+ * run) from calculateProcessSavings' breakdown, so a scenario and the
+ * live process are never costed differently.
+ *
+ * Pure module — no React, no Supabase.
+ */
+
+import { deriveProcessMetrics } from '../processMetrics.js';
+import { calculateProcessSavings } from '../costSavingsCalculator.js';
+import { SCALAR_FIELDS } from '../changes/serverDiff.js';
+
+export const SCENARIO_STATUSES = ['draft', 'proposed', 'promoted', 'archived'];
+
+const MAX_NAME = 120;
+const MAX_DESCRIPTION = 2000;
+
+// Step fields compared on promotion. isAutomated and systems aren't in
+// the autosave diff (dedicated canvas actions record those) but a
+// scenario carries them wholesale, so they're diffed here.
+const STEP_FIELDS = [...SCALAR_FIELDS, 'isAutomated', 'systems'];
+const EDITABLE_STEP_FIELDS = ['name', 'department', 'workMinutes', 'waitMinutes', 'isAutomated', 'isExternal'];
+const COST_FIELDS = ['hoursPerInstance', 'teamSize', 'annual'];
+
+function clone(v) {
+  return v == null ? v : JSON.parse(JSON.stringify(v));
+}
+
+function rawList(flowData) {
+  if (Array.isArray(flowData?.rawProcesses)) return flowData.rawProcesses;
+  if (Array.isArray(flowData?.processes)) return flowData.processes;
+  return [];
+}
+
+/** Validate name / description. Throws with a user-facing message. */
+export function normaliseScenarioInput(input, { partial = false } = {}) {
+  const out = {};
+  if (!partial || input?.name !== undefined) {
+    const name = typeof input?.name === 'string' ? input.name.trim() : '';
+    if (!name) throw new Error('Scenario name is required.');
+    if (name.length > MAX_NAME) throw new Error(`Scenario name must be ${MAX_NAME} characters or fewer.`);
+    out.name = name;
+  }
+  if (input?.description !== undefined) {
+    out.description = input.description == null ? null : String(input.description).slice(0, MAX_DESCRIPTION);
+  }
+  return out;
+}
+
+/** Scenario flow_data from the live row's flow_data (deep copy). */
+export function forkFlow(flowData) {
+  return {
+    rawProcesses: clone(rawList(flowData)),
+    costAnalysis: clone(flowData?.costAnalysis || {}),
+  };
+}
+
+/** Live flow_data with a scenario's rawProcesses + costAnalysis written over it. */
+export function mergeScenarioIntoLive(liveFlow, scenarioFlow) {
+  return {
+    ...(liveFlow || {}),
+    rawProcesses: clone(rawList(scenarioFlow)),
+    costAnalysis: clone(scenarioFlow?.costAnalysis || {}),
+  };
+}
+
+function num(v, label) {
+  const n = Number(v);
+  if (!Number.isFinite(n) || n < 0) throw new Error(`${label} must be a non-negative number.`);
+  return n;
+}
+
+/**
+ * Remap index-keyed references after steps were added / removed:
+ * "Step N" branch targets and flowCustomEdges / flowDeletedEdges
+ * ('step-i'). References to removed steps are dropped.
+ */
+export function remapStepRefs(proc, newIndexOf) {
+  const mapTarget = (t) => {
+    const m = /^Step (\d+)$/.exec(String(t || ''));
+    if (!m) return t;
+    const ni = newIndexOf.get(Number(m[1]) - 1);
+    return ni == null ? null : `Step ${ni + 1}`;
+  };
+  for (const s of proc.steps) {
+    if (Array.isArray(s.branches)) {
+      s.branches = s.branches
+        .map((b) => ({ ...b, target: mapTarget(b.target) }))
+        .filter((b) => b.target != null);
+    }
+  }
+  const mapEdges = (edges) => (Array.isArray(edges) ? edges : []).flatMap((e) => {
+    const si = /^step-(\d+)$/.exec(String(e?.source || ''));
+    const ti = /^step-(\d+)$/.exec(String(e?.target || ''));
+    if (!si || !ti) return [e];
+    const ns = newIndexOf.get(Number(si[1]));
+    const nt = newIndexOf.get(Number(ti[1]));
+    return ns == null || nt == null ? [] : [{ ...e, source: `step-${ns}`, target: `step-${nt}` }];
+  });
+  if (proc.flowCustomEdges) proc.flowCustomEdges = mapEdges(proc.flowCustomEdges);
+  if (proc.flowDeletedEdges) proc.flowDeletedEdges = mapEdges(proc.flowDeletedEdges);
+}
+
+/**
+ * Apply what-if edits to a scenario's flow_data and return a new copy.
+ * Step numbers refer to the flow as passed in. Throws with a user-facing
+ * message on an unknown step or a bad value.
+ *
+ * @param {object} flowData  scenario flow_data ({ rawProcesses, costAnalysis })
+ * @param {object} edits
+ * @param {number} [edits.processIndex]  rawProcesses entry (default 0)
+ * @param {Array<object>} [edits.steps]  { stepNumber, remove?, name?, department?,
+ *                                         workMinutes?, waitMinutes?, isAutomated?, isExternal? }
+ * @param {Array<object>} [edits.addSteps]  { afterStep (0 = first), name, department?,
+ *                                            workMinutes?, waitMinutes?, isAutomated? }
+ * @param {object} [edits.costs]  { hoursPerInstance?, teamSize?, annual? }
+ * @param {number} [edits.blendedRate]  hourly blended rate for costAnalysis
+ */
+export function applyScenarioEdits(flowData, edits = {}) {
+  const out = forkFlow(flowData);
+  const pi = edits.processIndex == null ? 0 : Number(edits.processIndex);
+  const proc = out.rawProcesses[pi];
+  if (!proc) throw new Error(`Process ${pi} does not exist in this scenario.`);
+  const steps = Array.isArray(proc.steps) ? proc.steps : [];
+  const count = steps.length;
+  const checkNumber = (n, allowZero = false) => {
+    const v = Number(n);
+    if (!Number.isInteger(v) || v < (allowZero ? 0 : 1) || v > count) {
+      throw new Error(`Step ${n} does not exist (the process has ${count} step${count === 1 ? '' : 's'}).`);
+    }
+    return v;
+  };
+
+  const removed = new Set();
+  for (const e of Array.isArray(edits.steps) ? edits.steps : []) {
+    const i = checkNumber(e?.stepNumber) - 1;
+    if (e.remove) { removed.add(i); continue; }
+    const s = steps[i];
+    for (const f of EDITABLE_STEP_FIELDS) {
+      if (e[f] === undefined) continue;
+      if (f === 'workMinutes' || f === 'waitMinutes') s[f] = num(e[f], f);
+      else if (f === 'isAutomated' || f === 'isExternal') s[f] = !!e[f];
+      else s[f] = e[f] == null ? '' : String(e[f]).slice(0, 200);
+    }
+  }
+
+  // Inserts keyed by the original position they follow.
+  const inserts = new Map();
+  for (const a of Array.isArray(edits.addSteps) ? edits.addSteps : []) {
+    const after = checkNumber(a?.afterStep ?? count, true);
+    const name = typeof a?.name === 'string' ? a.name.trim().slice(0, 200) : '';
+    if (!name) throw new Error('New steps need a name.');
+    const step = { name, department: a.department ? String(a.department).slice(0, 200) : '' };
+    if (a.workMinutes !== undefined) step.workMinutes = num(a.workMinutes, 'workMinutes');
+    if (a.waitMinutes !== undefined) step.waitMinutes = num(a.waitMinutes, 'waitMinutes');
+    if (a.isAutomated !== undefined) step.isAutomated = !!a.isAutomated;
+    if (!inserts.has(after)) inserts.set(after, []);
+    inserts.get(after).push(step);
+  }
+
+  if (removed.size || inserts.size) {
+    const next = [...(inserts.get(0) || [])];
+    const newIndexOf = new Map();
+    steps.forEach((s, i) => {
+      if (!removed.has(i)) { newIndexOf.set(i, next.length); next.push(s); }
+      next.push(...(inserts.get(i + 1) || []));
+    });
+    next.forEach((s, i) => { s.number = i + 1; });
+    proc.steps = next;
+    remapStepRefs(proc, newIndexOf);
+    proc.flowNodePositions = {};
+  }
+
+  if (edits.costs && typeof edits.costs === 'object') {
+    proc.costs = { ...(proc.costs || {}) };
+    for (const f of COST_FIELDS) {
+      if (edits.costs[f] !== undefined) proc.costs[f] = num(edits.costs[f], f);
+    }
+  }
+  if (edits.blendedRate !== undefined) {
+    out.costAnalysis.blendedRate = num(edits.blendedRate, 'blendedRate');
+  }
+  return out;
+}
+
+/**
+ * Headline numbers for one version of a process. Money is in `currency`
+ * (the process's native currency); minutes are per run, summed across
+ * the rawProcesses entries.
+ */
+export function scenarioMetrics(flowData, currency) {
+  const derived = deriveProcessMetrics({ currency, flow_data: flowData || {} });
+  let workMinutes = 0;
+  let waitMinutes = 0;
+  let steps = 0;
+  for (const raw of rawList(flowData)) {
+    const b = calculateProcessSavings(raw || {}).breakdown || {};
+    workMinutes += b.totalWorkMins || 0;
+    waitMinutes += b.totalWaitMins || 0;
+    steps += Array.isArray(raw?.steps) ? raw.steps.length : 0;
+  }
+  return {
+    annualCost: derived.total_annual_cost,
+    potentialSavings: derived.potential_savings,
+    automationPct: derived.automation_percentage,
+    workMinutes,
+    waitMinutes,
+    cycleMinutes: workMinutes + waitMinutes,
+    steps,
+  };
+}
+
+function deltaOf(m, base) {
+  const pct = m.automationPct == null && base.automationPct == null
+    ? null
+    : (m.automationPct ?? 0) - (base.automationPct ?? 0);
+  return {
+    annualCost: m.annualCost - base.annualCost,
+    potentialSavings: m.potentialSavings - base.potentialSavings,
+    automationPct: pct,
+    cycleMinutes: m.cycleMinutes - base.cycleMinutes,
+    steps: m.steps - base.steps,
+  };
+}
+
+/**
+ * Side-by-side comparison: the live process as baseline, then each
+ * scenario with its metrics, deltas against live and `annualSaving`
+ * (live cost − scenario cost; negative when the scenario costs more).
+ *
+ * @param {object} args
+ * @param {object} args.live       live flow_data
+ * @param {Array<object>} args.scenarios  process_scenarios rows
+ * @param {string} [args.currency] the process's native currency
+ */
+export function compareScenarios({ live, scenarios = [], currency }) {
+  const baseline = scenarioMetrics(live, currency);
+  return {
+    currency: currency || null,
+    baseline,
+    scenarios: scenarios.map((s) => {
+      const metrics = scenarioMetrics(s.flow_data, currency);
+      return {
+        id: s.id,
+        name: s.name,
+        status: s.status,
+        metrics,
+        delta: deltaOf(metrics, baseline),
+        annualSaving: baseline.annualCost - metrics.annualCost,
+      };
+    }),
+  };
+}
+
+function norm(v) {
+  if (v == null || v === '') return null;
+  if (Array.isArray(v) && !v.length) return null;
+  return typeof v === 'object' ? JSON.stringify(v) : v;
+}
+
+function changedFields(a, b, fields) {
+  return fields.filter((f) => norm(a?.[f]) !== norm(b?.[f]));
+}
+
+/** Step fields (of the ones promotion compares) that differ between two steps. */
+export function changedStepFields(a, b) {
+  return changedFields(a, b, STEP_FIELDS.filter((f) => f !== 'number'));
+}
+
+function pick(obj, fields) {
+  const out = {};
+  for (const f of fields) out[f] = obj?.[f] ?? null;
+  return out;
+}
+
+/**
+ * Pair live and scenario steps: by stable `id` when both sides have one,
+ * else by case-insensitive name, first unused match wins.
+ */
+export function matchSteps(oldSteps, newSteps) {
+  const key = (s) => String(s?.name || '').trim().toLowerCase();
+  const used = new Set();
+  const pairs = [];
+  const added = [];
+  newSteps.forEach((ns, ni) => {
+    let oi = -1;
+    if (ns?.id) oi = oldSteps.findIndex((os, i) => !used.has(i) && os?.id === ns.id);
+    if (oi < 0) oi = oldSteps.findIndex((os, i) => !used.has(i) && !(os?.id && ns?.id) && key(os) === key(ns) && key(ns));
+    if (oi < 0) { added.push(ni); return; }
+    used.add(oi);
+    pairs.push([oi, ni]);
+  });
+  const removed = oldSteps.map((_, i) => i).filter((i) => !used.has(i));
+  return { pairs, added, removed };
+}
+
+/**
+ * The `changes` rows that promoting a scenario records against the live
+ * process — one per added / removed / edited step, a process-level row
+ * when the surviving steps were reordered, and cost_input rows for
+ * changed cost inputs. Rows are state 'applied'; subject_ref carries the
+ * scenario id so the timeline can group them.
+ *
+ * @param {object} liveFlow      live flow_data before promotion
+ * @param {object} scenarioFlow  scenario flow_data
+ * @param {object} ctx           { processId, scenarioId, scenarioName, actorEmail }
+ */
+export function scenarioChangeRows(liveFlow, scenarioFlow, ctx) {
+  if (!ctx?.processId) return [];
+  const base = {
+    process_id: ctx.processId,
+    state: 'applied',
+    actor_kind: 'user',
+    actor_email: ctx.actorEmail || null,
+    agent_name: 'scenario',
+    rationale: `Promoted scenario "${ctx.scenarioName || 'Untitled'}".`,
+  };
+  const ref = (extra) => ({ scenarioId: ctx.scenarioId || null, ...extra });
+  const rows = [];
+
+  const oldProcs = rawList(liveFlow);
+  const newProcs = rawList(scenarioFlow);
+  const limit = Math.max(oldProcs.length, newProcs.length);
+  for (let pi = 0; pi < limit; pi++) {
+    const op = oldProcs[pi];
+    const np = newProcs[pi];
+    if (!np || !op) {
+      rows.push({
+        ...base,
+        subject_type: 'process',
+        subject_ref: ref({ processIndex: pi, processName: (np || op)?.processName || null }),
+        kind: np ? 'added' : 'removed',
+      });
+      continue;
+    }
+
+    const oldSteps = Array.isArray(op.steps) ? op.steps : [];
+    const newSteps = Array.isArray(np.steps) ? np.steps : [];
+    const { pairs, added, removed } = matchSteps(oldSteps, newSteps);
+
+    for (const oi of removed) {
+      rows.push({
+        ...base,
+        subject_type: 'process_step',
+        subject_ref: ref({ processIndex: pi, stepNumber: oi + 1, stepName: oldSteps[oi]?.name || null }),
+        kind: 'removed',
+        before_state: oldSteps[oi],
+      });
+    }
+    for (const ni of added) {
+      rows.push({
+        ...base,
+        subject_type: 'process_step',
+        subject_ref: ref({ processIndex: pi, stepNumber: ni + 1, stepName: newSteps[ni]?.name || null }),
+        kind: 'added',
+        after_state: newSteps[ni],
+      });
+    }
+    for (const [oi, ni] of pairs) {
+      const fields = changedStepFields(oldSteps[oi], newSteps[ni]);
+      if (!fields.length) continue;
+      const automated = fields.includes('isAutomated') && !oldSteps[oi]?.isAutomated && !!newSteps[ni]?.isAutomated;
+      rows.push({
+        ...base,
+        subject_type: 'process_step',
+        subject_ref: ref({ processIndex: pi, stepNumber: ni + 1, stepName: newSteps[ni]?.name || oldSteps[oi]?.name || null, fields }),
+        kind: automated ? 'automated' : 'modified',
+        before_state: pick(oldSteps[oi], fields),
+        after_state: pick(newSteps[ni], fields),
+      });
+    }
+    const oldOrder = [...pairs].sort((a, b) => a[0] - b[0]).map(([, ni]) => ni);
+    if (oldOrder.some((ni, i) => i > 0 && ni < oldOrder[i - 1])) {
+      rows.push({
+        ...base,
+        subject_type: 'process',
+        subject_ref: ref({ processIndex: pi, order: newSteps.map((s) => s?.name || null) }),
+        kind: 'reordered',
+      });
+    }
+
+    const costFields = [
+      ...changedFields(op.costs, np.costs, COST_FIELDS).map((f) => `costs.${f}`),
+      ...(norm(op.frequency) !== norm(np.frequency) ? ['frequency'] : []),
+    ];
+    if (costFields.length) {
+      rows.push({
+        ...base,
+        subject_type: 'cost_input',
+        subject_ref: ref({ processIndex: pi, fields: costFields }),
+        kind: 'modified',
+        before_state: { costs: op.costs ?? null, frequency: op.frequency ?? null },
+        after_state: { costs: np.costs ?? null, frequency: np.frequency ?? null },
+      });
+    }
+  }
+
+  const oldCa = liveFlow?.costAnalysis || {};
+  const newCa = scenarioFlow?.costAnalysis || {};
+  const caFields = changedFields(oldCa, newCa, [...new Set([...Object.keys(oldCa), ...Object.keys(newCa)])]);
+  if (caFields.length) {
+    rows.push({
+      ...base,
+      subject_type: 'cost_input',
+      subject_ref: ref({ scope: 'costAnalysis', fields: caFields }),
+      kind: 'modified',
+      before_state: pick(oldCa, caFields),
+      after_state: pick(newCa, caFields),
+    });
+  }
+  return rows;
+}
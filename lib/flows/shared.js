@@ -98,12 +98,15 @@ export function prepareSteps(process) {
 
 /**
  * Resolve a branch target string to a 0-based step index.
- * Supports: "Step 5" (1-indexed), "step-4" (0-indexed), step names, or bare numbers.
+ * Supports: a step id, "Step 5" (1-indexed), "step-4" (0-indexed), step names, or bare numbers.
  */
 export function resolveBranchTarget(target, allSteps) {
   if (!target) return -1;
   const t = String(target).trim();
 
+  const byId = allSteps.findIndex(s => s?.id && s.id === t);
+  if (byId >= 0) return byId;
+
   const numMatch = t.match(/^(?:step[\s-]*)?(\d+)$/i);
   if (numMatch) {
     const n = parseInt(numMatch[1]);
@@ -0,0 +1,426 @@
+/**
+ * Monte Carlo cycle-time simulation over the process graph.
+ *
+ * lib/flows/flowModel.js predicts ONE deterministic capacity wait per
+ * step. This module runs N instances through the same graph and reports
+ * the spread: P50 / P90 cycle time, queue lengths and utilisation per
+ * step. Discrete-event, seeded, pure — same inputs, same answer, so the
+ * canvas panel doesn't flicker between renders.
+ *
+ * Inputs read off each step:
+ *   workMinutes / workRange { min, mode, max }  – hands-on time per visit
+ *   waitMinutes / waitRange { min, mode, max }  – delay before the step can
+ *       start (handoffs, approvals, missing info). Triangular when a range
+ *       is set, otherwise the point value.
+ *   capacity                                    – people / servers at the step
+ *   branches[].probability                      – exclusive routing weights
+ *       (set_branch_probability); inclusive branches fire independently
+ *       with that probability; parallel branches all fire.
+ *   isMerge                                     – join: waits for every live
+ *       branch of the same instance that can still reach it.
+ *
+ * Queueing (capacity wait) is NOT taken from waitMinutes — it emerges
+ * from instances competing for capacity. That needs an arrival rate:
+ * `instancesPerYear` (default process.frequency.annual) spread over a
+ * working year with Poisson arrivals. With no arrival rate every
+ * instance runs in isolation and only the work/wait spread shows up.
+ *
+ * Graph edges come from lib/flows/connections.js so the simulator walks
+ * exactly the connections drawn on the canvas.
+ */
+
+import { deriveStepConnections, isBranching } from './connections.js';
+
+/** 52 weeks × 5 days × 8 hours — the calendar arrivals are spread over. */
+export const WORKING_MINUTES_PER_YEAR = 52 * 5 * 8 * 60;
+
+const DEFAULT_RUNS = 1000;
+const MAX_RUNS = 20000;
+const HISTOGRAM_BINS = 12;
+
+/* ── Random sampling ──────────────────────────────────────────── */
+
+/** mulberry32 — tiny seeded PRNG, good enough for simulation noise. */
+export function createRng(seed = 1) {
+  let a = (Number(seed) >>> 0) || 1;
+  return function rng() {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/** Sample a triangular(min, mode, max) distribution. */
+export function sampleTriangular(rng, min, mode, max) {
+  if (!(max > min)) return min;
+  const u = rng();
+  const c = (mode - min) / (max - min);
+  return u < c
+    ? min + Math.sqrt(u * (max - min) * (mode - min))
+    : max - Math.sqrt((1 - u) * (max - min) * (max - mode));
+}
+
+function finiteNonNeg(v) {
+  const n = Number(v);
+  return Number.isFinite(n) && n >= 0 ? n : null;
+}
+
+/**
+ * Resolve a step's { min, mode, max } for 'work' or 'wait'. A range wins
+ * over the point value; missing bounds collapse onto the mode.
+ */
+export function stepDistribution(step, kind) {
+  const point = finiteNonNeg(step?.[`${kind}Minutes`]);
+  const range = step?.[`${kind}Range`];
+  if (range && typeof range === 'object') {
+    const mode = finiteNonNeg(range.mode) ?? point ?? null;
+    let min = finiteNonNeg(range.min);
+    let max = finiteNonNeg(range.max);
+    const anchor = mode ?? min ?? max;
+    if (anchor != null) {
+      min = min ?? anchor;
+      max = max ?? anchor;
+      if (min > max) [min, max] = [max, min];
+      const m = Math.min(max, Math.max(min, mode ?? (min + max) / 2));
+      return { min, mode: m, max };
+    }
+  }
+  if (point != null) return { min: point, mode: point, max: point };
+  return { min: 0, mode: 0, max: 0 };
+}
+
+function sampleDist(rng, d) {
+  return d.max > d.min ? sampleTriangular(rng, d.min, d.mode, d.max) : d.min;
+}
+
+function sampleExponential(rng, mean) {
+  return -Math.log(1 - rng()) * mean;
+}
+
+/* ── Event queue ──────────────────────────────────────────────── */
+
+function createHeap() {
+  const items = [];
+  let seq = 0;
+  const less = (a, b) => (a.time < b.time || (a.time === b.time && a.seq < b.seq));
+  return {
+    get size() { return items.length; },
+    push(ev) {
+      ev.seq = seq++;
+      items.push(ev);
+      let i = items.length - 1;
+      while (i > 0) {
+        const p = (i - 1) >> 1;
+        if (!less(items[i], items[p])) break;
+        [items[i], items[p]] = [items[p], items[i]];
+        i = p;
+      }
+    },
+    pop() {
+      const top = items[0];
+      const last = items.pop();
+      if (items.length) {
+        items[0] = last;
+        let i = 0;
+        for (;;) {
+          const l = 2 * i + 1;
+          const r = l + 1;
+          let m = i;
+          if (l < items.length && less(items[l], items[m])) m = l;
+          if (r < items.length && less(items[r], items[m])) m = r;
+          if (m === i) break;
+          [items[i], items[m]] = [items[m], items[i]];
+          i = m;
+        }
+      }
+      return top;
+    },
+  };
+}
+
+/* ── Stats helpers ────────────────────────────────────────────── */
+
+function percentile(sorted, p) {
+  if (!sorted.length) return 0;
+  const idx = Math.min(sorted.length - 1, Math.max(0, Math.ceil((p / 100) * sorted.length) - 1));
+  return sorted[idx];
+}
+
+function round1(n) {
+  return Math.round(n * 10) / 10;
+}
+
+function histogram(sorted, bins = HISTOGRAM_BINS) {
+  if (!sorted.length) return [];
+  const lo = sorted[0];
+  const hi = sorted[sorted.length - 1];
+  if (hi === lo) return [{ from: round1(lo), to: round1(hi), count: sorted.length }];
+  const width = (hi - lo) / bins;
+  const out = Array.from({ length: bins }, (_, b) => ({ from: round1(lo + b * width), to: round1(lo + (b + 1) * width), count: 0 }));
+  for (const v of sorted) out[Math.min(bins - 1, Math.floor((v - lo) / width))].count++;
+  return out;
+}
+
+/* ── Graph ────────────────────────────────────────────────────── */
+
+function buildGraph(process) {
+  const steps = process.steps;
+  const conns = deriveStepConnections(steps, process.flowCustomEdges, process.flowDeletedEdges);
+  const succ = steps.map(() => []);
+  for (const c of conns) {
+    if (typeof c.from !== 'number') continue;
+    succ[c.from].push({ to: c.to, probability: c.probability, branchIndex: c.branchIndex });
+  }
+  // reach[i] — step indices reachable from i's successors (loops included).
+  const reach = steps.map((_, i) => {
+    const seen = new Set();
+    const stack = succ[i].map((e) => e.to).filter((t) => typeof t === 'number');
+    while (stack.length) {
+      const j = stack.pop();
+      if (seen.has(j)) continue;
+      seen.add(j);
+      for (const e of succ[j]) if (typeof e.to === 'number') stack.push(e.to);
+    }
+    return seen;
+  });
+  return { succ, reach };
+}
+
+/** Pick the outgoing connections a finished token follows. */
+function route(step, outs, rng) {
+  if (!isBranching(step)) return outs;
+  const branches = outs.filter((o) => o.branchIndex != null);
+  if (!branches.length) return outs;
+  if (step.parallel) return branches;
+  const total = branches.reduce((a, b) => a + (Number(b.probability) || 0), 0);
+  if (step.inclusive) {
+    const fired = branches.filter((b) => rng() < (total > 0 ? (Number(b.probability) || 0) / 100 : 0.5));
+    if (fired.length) return fired;
+    // Inclusive gateways always take at least one path.
+    return [total > 0 ? branches.reduce((a, b) => ((Number(b.probability) || 0) > (Number(a.probability) || 0) ? b : a)) : branches[Math.floor(rng() * branches.length)]];
+  }
+  let u = rng() * (total > 0 ? total : branches.length);
+  for (const b of branches) {
+    u -= total > 0 ? (Number(b.probability) || 0) : 1;
+    if (u < 0) return [b];
+  }
+  return [branches[branches.length - 1]];
+}
+
+/* ── Simulation ───────────────────────────────────────────────── */
+
+/**
+ * Run the simulation.
+ *
+ * @param {object} process  rawProcesses[] entry ({ steps, frequency?, flowCustomEdges? })
+ * @param {object} [opts]
+ * @param {number} [opts.runs=1000]             instances to simulate (max 20,000)
+ * @param {number} [opts.seed=1]                PRNG seed
+ * @param {number} [opts.instancesPerYear]      arrival rate; default process.frequency.annual
+ * @param {number} [opts.maxVisitsPerInstance]  loop guard; default 50 × step count
+ * @returns {null | {
+ *   runs: number, completed: number, truncated: number,
+ *   mode: 'arrivals'|'independent', arrivalIntervalMinutes: number|null, horizonMinutes: number,
+ *   cycleTime: { mean, p50, p90, p95, min, max, histogram: { from, to, count }[] },
+ *   steps: { stepIndex, name, visitsPerInstance, meanQueueWait, p90QueueWait,
+ *            avgQueueLength, maxQueueLength, utilisation: number|null }[],
+ *   bottleneckStepIndex: number|null,
+ * }}
+ */
+export function simulateProcess(process, opts = {}) {
+  const steps = Array.isArray(process?.steps) ? process.steps : [];
+  if (!steps.length) return null;
+  const n = steps.length;
+
+  const runs = Math.max(1, Math.min(MAX_RUNS, Math.floor(Number(opts.runs) || DEFAULT_RUNS)));
+  const rng = createRng(opts.seed ?? 1);
+  const perYear = Number(opts.instancesPerYear ?? process?.frequency?.annual) || 0;
+  const mode = perYear > 0 ? 'arrivals' : 'independent';
+  const interval = mode === 'arrivals' ? WORKING_MINUTES_PER_YEAR / perYear : null;
+  const maxVisits = Math.max(n, Math.floor(Number(opts.maxVisitsPerInstance) || n * 50));
+
+  const { succ, reach } = buildGraph({ steps, flowCustomEdges: process.flowCustomEdges, flowDeletedEdges: process.flowDeletedEdges });
+  const workDist = steps.map((s) => stepDistribution(s, 'work'));
+  const waitDist = steps.map((s) => stepDistribution(s, 'wait'));
+  const capacity = steps.map((s) => (mode === 'independent' ? Infinity : Math.max(1, Math.floor(Number(s.capacity)) || 1)));
+
+  const free = [...capacity];
+  const queues = steps.map(() => []);
+  const stats = steps.map(() => ({ visits: 0, busy: 0, queueWaits: [], qArea: 0, qLast: 0, qMax: 0 }));
+  const instances = new Map();
+  const cycleTimes = [];
+  let truncated = 0;
+  let firstArrival = null;
+  let lastTime = 0;
+  let tokenSeq = 0;
+
+  const heap = createHeap();
+
+  function noteQueue(i, t) {
+    const st = stats[i];
+    st.qArea += queues[i].length * (t - st.qLast);
+    st.qLast = t;
+  }
+
+  function startService(token, i, t) {
+    free[i]--;
+    const work = sampleDist(rng, workDist[i]);
+    stats[i].busy += work;
+    stats[i].queueWaits.push(t - token.readyAt);
+    heap.push({ time: t + work, type: 'finish', token, step: i });
+  }
+
+  function enterStep(token, i, t) {
+    const inst = instances.get(token.instance);
+    token.at = i;
+    if (steps[i].isMerge) {
+      token.waiting = true;
+      checkJoins(inst, t);
+      return;
+    }
+    beginStep(token, i, t);
+  }
+
+  function beginStep(token, i, t) {
+    const inst = instances.get(token.instance);
+    inst.visits++;
+    stats[i].visits++;
+    heap.push({ time: t + sampleDist(rng, waitDist[i]), type: 'ready', token, step: i });
+  }
+
+  // Release a join once no other live token of the instance can still reach it.
+  function checkJoins(inst, t) {
+    const waitingAt = new Map();
+    for (const tok of inst.tokens) {
+      if (tok.waiting) waitingAt.set(tok.at, (waitingAt.get(tok.at) || []).concat(tok));
+    }
+    for (const [m, waiting] of waitingAt) {
+      const blocked = [...inst.tokens].some((tok) => !tok.waiting && (tok.at === m || reach[tok.at]?.has(m)));
+      if (blocked) continue;
+      const [keep, ...rest] = waiting;
+      for (const r of rest) inst.tokens.delete(r);
+      keep.waiting = false;
+      beginStep(keep, m, t);
+    }
+  }
+
+  function finishInstance(inst, t) {
+    instances.delete(inst.id);
+    if (inst.truncated) truncated++;
+    else cycleTimes.push(t - inst.arrival);
+  }
+
+  // Arrivals up front: Poisson in arrivals mode, all at t=0 otherwise.
+  let at = 0;
+  for (let k = 0; k < runs; k++) {
+    if (mode === 'arrivals' && k > 0) at += sampleExponential(rng, interval);
+    heap.push({ time: at, type: 'arrive', instance: k });
+  }
+
+  while (heap.size) {
+    const ev = heap.pop();
+    const t = ev.time;
+    lastTime = t;
+
+    if (ev.type === 'arrive') {
+      if (firstArrival == null) firstArrival = t;
+      const token = { id: tokenSeq++, instance: ev.instance, at: 0, waiting: false, readyAt: t };
+      const inst = { id: ev.instance, arrival: t, tokens: new Set([token]), visits: 0, truncated: false };
+      instances.set(ev.instance, inst);
+      enterStep(token, 0, t);
+      continue;
+    }
+
+    const i = ev.step;
+    if (ev.type === 'ready') {
+      ev.token.readyAt = t;
+      if (free[i] > 0) startService(ev.token, i, t);
+      else {
+        noteQueue(i, t);
+        queues[i].push(ev.token);
+        stats[i].qMax = Math.max(stats[i].qMax, queues[i].length);
+      }
+      continue;
+    }
+
+    // finish
+    free[i]++;
+    if (queues[i].length) {
+      noteQueue(i, t);
+      startService(queues[i].shift(), i, t);
+    }
+
+    const token = ev.token;
+    const inst = instances.get(token.instance);
+    if (inst.visits > maxVisits) inst.truncated = true;
+    const targets = inst.truncated ? [] : route(steps[i], succ[i], rng).map((e) => e.to);
+    inst.tokens.delete(token);
+    // Register every forked token before any of them enters a step, so a
+    // join reached by the first fork still sees its siblings as live.
+    const moving = [];
+    for (const to of targets) {
+      if (to === 'end') continue;
+      const tok = moving.length ? { id: tokenSeq++, instance: token.instance, at: i, waiting: false, readyAt: t } : token;
+      inst.tokens.add(tok);
+      moving.push([tok, to]);
+    }
+    for (const [tok, to] of moving) enterStep(tok, to, t);
+
+    if (!inst.tokens.size) finishInstance(inst, t);
+    else checkJoins(inst, t);
+  }
+
+  // Anything still open (a join that can never release) counts as truncated.
+  truncated += instances.size;
+
+  const horizon = Math.max(0, lastTime - (firstArrival ?? 0));
+  steps.forEach((_, i) => noteQueue(i, lastTime));
+
+  const sorted = [...cycleTimes].sort((a, b) => a - b);
+  const mean = sorted.length ? sorted.reduce((a, b) => a + b, 0) / sorted.length : 0;
+
+  const stepStats = steps.map((s, i) => {
+    const st = stats[i];
+    const qw = [...st.queueWaits].sort((a, b) => a - b);
+    return {
+      stepIndex: i,
+      name: s.name || `Step ${i + 1}`,
+      visitsPerInstance: round1(st.visits / runs),
+      meanQueueWait: round1(qw.length ? qw.reduce((a, b) => a + b, 0) / qw.length : 0),
+      p90QueueWait: round1(percentile(qw, 90)),
+      avgQueueLength: round1(horizon > 0 ? st.qArea / horizon : 0),
+      maxQueueLength: st.qMax,
+      utilisation: mode === 'arrivals' && horizon > 0
+        ? Math.round((st.busy / (capacity[i] * horizon)) * 1000) / 1000
+        : null,
+    };
+  });
+
+  let bottleneckStepIndex = null;
+  stepStats.forEach((s) => {
+    if (s.meanQueueWait <= 0) return;
+    if (bottleneckStepIndex == null || s.meanQueueWait > stepStats[bottleneckStepIndex].meanQueueWait) bottleneckStepIndex = s.stepIndex;
+  });
+
+  return {
+    runs,
+    completed: cycleTimes.length,
+    truncated,
+    mode,
+    arrivalIntervalMinutes: interval != null ? round1(interval) : null,
+    horizonMinutes: Math.round(horizon),
+    cycleTime: {
+      mean: round1(mean),
+      p50: round1(percentile(sorted, 50)),
+      p90: round1(percentile(sorted, 90)),
+      p95: round1(percentile(sorted, 95)),
+      min: round1(sorted[0] ?? 0),
+      max: round1(sorted[sorted.length - 1] ?? 0),
+      histogram: histogram(sorted),
+    },
+    steps: stepStats,
+    bottleneckStepIndex,
+  };
+}
@@ -0,0 +1,391 @@
+/**
+ * SLA model — targets per step and per process, plus the business-hours
+ * calendar they are measured in.
+ *
+ * Shape (stored on the rawProcesses[] entry, next to the steps):
+ *
+ *   process.sla = {
+ *     targetCycleMinutes,   // whole run, start of the first step → end of the last
+ *     calendar,             // business hours; null = the clock never stops
+ *     escalationOwner,      // who hears about a breach
+ *   }
+ *   step.sla = { targetMinutes, escalationOwner }   // wait + work at the step
+ *
+ * Targets are in working minutes. Mapped workMinutes / waitMinutes and
+ * getWaitProfile() predictions are already working time, so predicted
+ * breaches compare them directly; logged runs carry wall-clock
+ * timestamps, which businessMinutesBetween() converts through the
+ * process calendar. A step without its own escalation owner inherits the
+ * process one.
+ *
+ * Breaches come from two places:
+ *   - predicted — mapped work + effective wait (observed, else predicted
+ *     by the flow model) over the target; for the process, the longest
+ *     path through the canvas graph;
+ *   - measured  — `sla-breach` / `cycle-sla-breach` deviations from
+ *     checkInstanceConformance() over logged runs, rolled up into a
+ *     breach rate.
+ *
+ * Pure module — no React, no Supabase.
+ */
+
+import { getWaitProfile } from './flowModel.js';
+import { deriveStepConnections } from './connections.js';
+
+export const DEFAULT_BUSINESS_CALENDAR = Object.freeze({
+  timezone: 'UTC',
+  workdays: [1, 2, 3, 4, 5],
+  start: '09:00',
+  end: '17:00',
+  holidays: [],
+});
+
+const SEVERITY_RANK = { high: 0, medium: 1, low: 2 };
+const HHMM = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+// Bounds the day walk in businessMinutesBetween (10 years).
+const MAX_CALENDAR_DAYS = 3660;
+
+function positive(v) {
+  const n = Number(v);
+  return Number.isFinite(n) && n > 0 ? n : null;
+}
+
+function text(v, max = 200) {
+  const s = typeof v === 'string' ? v.trim() : '';
+  return s ? s.slice(0, max) : null;
+}
+
+function round1(n) {
+  return Math.round(n * 10) / 10;
+}
+
+function toTime(v) {
+  if (v == null || v === '') return null;
+  const t = typeof v === 'number' ? v : Date.parse(v);
+  return Number.isFinite(t) ? t : null;
+}
+
+function isTimeZone(tz) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Validate a calendar, filling defaults for missing fields. Returns null
+ * for "no calendar" (null, '24x7') and throws on malformed input so the
+ * chat tool can tell the model what to fix.
+ */
+export function normaliseCalendar(cal) {
+  if (cal == null || cal === '24x7' || cal === false) return null;
+  if (typeof cal !== 'object') throw new Error('calendar must be an object or null');
+  const timezone = text(cal.timezone, 64) || DEFAULT_BUSINESS_CALENDAR.timezone;
+  if (!isTimeZone(timezone)) throw new Error(`Unknown timezone "${timezone}"`);
+  const workdays = cal.workdays == null
+    ? [...DEFAULT_BUSINESS_CALENDAR.workdays]
+    : [...new Set((Array.isArray(cal.workdays) ? cal.workdays : []).map(Number))]
+      .filter((d) => Number.isInteger(d) && d >= 1 && d <= 7)
+      .sort((a, b) => a - b);
+  if (!workdays.length) throw new Error('workdays needs at least one day (1 = Monday … 7 = Sunday)');
+  const start = cal.start ?? DEFAULT_BUSINESS_CALENDAR.start;
+  const end = cal.end ?? DEFAULT_BUSINESS_CALENDAR.end;
+  if (!HHMM.test(start) || !HHMM.test(end)) throw new Error('start and end must be HH:MM (24-hour)');
+  if (end <= start) throw new Error('end must be after start');
+  const holidays = [...new Set((Array.isArray(cal.holidays) ? cal.holidays : []).filter((d) => ISO_DATE.test(d)))]
+    .sort()
+    .slice(0, 366);
+  return { timezone, workdays, start, end, holidays };
+}
+
+/**
+ * Normalise a process-level SLA. Fields left undefined keep `prev`;
+ * explicit nulls clear. Returns null when nothing is left.
+ */
+export function normaliseProcessSla(input, prev = null) {
+  const out = { ...(prev || {}) };
+  if (input?.targetCycleMinutes !== undefined) out.targetCycleMinutes = positive(input.targetCycleMinutes);
+  if (input?.calendar !== undefined) out.calendar = normaliseCalendar(input.calendar);
+  if (input?.escalationOwner !== undefined) out.escalationOwner = text(input.escalationOwner);
+  for (const k of Object.keys(out)) if (out[k] == null) delete out[k];
+  return Object.keys(out).length ? out : null;
+}
+
+/** Step-level counterpart of normaliseProcessSla. */
+export function normaliseStepSla(input, prev = null) {
+  const out = { ...(prev || {}) };
+  if (input?.targetMinutes !== undefined) out.targetMinutes = positive(input.targetMinutes);
+  if (input?.escalationOwner !== undefined) out.escalationOwner = text(input.escalationOwner);
+  for (const k of Object.keys(out)) if (out[k] == null) delete out[k];
+  return Object.keys(out).length ? out : null;
+}
+
+/** The process SLA with a validated calendar, or null. */
+export function processSla(process) {
+  const sla = process?.sla;
+  if (!sla || typeof sla !== 'object') return null;
+  let calendar = null;
+  try { calendar = normaliseCalendar(sla.calendar); } catch { calendar = null; }
+  return {
+    targetCycleMinutes: positive(sla.targetCycleMinutes),
+    calendar,
+    escalationOwner: text(sla.escalationOwner),
+  };
+}
+
+/**
+ * Target for one step, or null. Falls back to the bare `slaMinutes`
+ * field older flows carry.
+ */
+export function stepSlaTarget(step, process) {
+  const targetMinutes = positive(step?.sla?.targetMinutes) ?? positive(step?.slaMinutes);
+  if (!targetMinutes) return null;
+  return {
+    targetMinutes,
+    escalationOwner: text(step?.sla?.escalationOwner) || processSla(process)?.escalationOwner || null,
+  };
+}
+
+/** True when the process or any of its steps has a target. */
+export function hasSla(process) {
+  if (processSla(process)?.targetCycleMinutes) return true;
+  return (process?.steps || []).some((s) => stepSlaTarget(s, process));
+}
+
+// ── Business-hours arithmetic ──────────────────────────────────────
+
+const formatters = new Map();
+function zonedParts(ms, timeZone) {
+  let f = formatters.get(timeZone);
+  if (!f) {
+    f = new Intl.DateTimeFormat('en-US', {
+      timeZone, hourCycle: 'h23',
+      year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit',
+    });
+    formatters.set(timeZone, f);
+  }
+  const p = {};
+  for (const { type, value } of f.formatToParts(new Date(ms))) p[type] = Number(value);
+  return p;
+}
+
+/** Minutes the zone is ahead of UTC at instant `ms`. */
+function offsetMinutes(ms, timeZone) {
+  const p = zonedParts(ms, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute);
+  return Math.round((asUtc - Math.floor(ms / 60000) * 60000) / 60000);
+}
+
+/** UTC instant of a local wall-clock time (second pass settles DST edges). */
+function localToUtc(y, m, d, hh, mm, timeZone) {
+  const guess = Date.UTC(y, m - 1, d, hh, mm);
+  const first = guess - offsetMinutes(guess, timeZone) * 60000;
+  return guess - offsetMinutes(first, timeZone) * 60000;
+}
+
+/**
+ * Working minutes between two instants under a calendar. Without a
+ * calendar this is plain elapsed time.
+ *
+ * @param {string|number} from  ISO timestamp or epoch ms
+ * @param {string|number} to
+ * @param {object|null} calendar  normaliseCalendar() output
+ * @returns {number|null}
+ */
+export function businessMinutesBetween(from, to, calendar) {
+  const a = toTime(from);
+  const b = toTime(to);
+  if (a == null || b == null) return null;
+  if (b <= a) return 0;
+  if (!calendar) return round1((b - a) / 60000);
+
+  const { timezone, workdays, start, end, holidays } = calendar;
+  const workday = new Set(workdays);
+  const holiday = new Set(holidays || []);
+  const [sh, sm] = start.split(':').map(Number);
+  const [eh, em] = end.split(':').map(Number);
+
+  const first = zonedParts(a, timezone);
+  const last = zonedParts(b, timezone);
+  const lastKey = Date.UTC(last.year, last.month - 1, last.day);
+  let total = 0;
+  for (let i = 0; i < MAX_CALENDAR_DAYS; i++) {
+    const day = new Date(Date.UTC(first.year, first.month - 1, first.day + i));
+    if (day.getTime() > lastKey) break;
+    const y = day.getUTCFullYear();
+    const m = day.getUTCMonth() + 1;
+    const d = day.getUTCDate();
+    const iso = day.toISOString().slice(0, 10);
+    if (!workday.has(day.getUTCDay() || 7) || holiday.has(iso)) continue;
+    const open = localToUtc(y, m, d, sh, sm, timezone);
+    const close = localToUtc(y, m, d, eh, em, timezone);
+    const overlap = Math.min(close, b) - Math.max(open, a);
+    if (overlap > 0) total += overlap;
+  }
+  return round1(total / 60000);
+}
+
+// ── Evaluation ─────────────────────────────────────────────────────
+
+/**
+ * Longest path (minutes) from start to end over the canvas graph, with
+ * each step weighted by work + effective wait. Back edges (loops) are
+ * ignored, so this is the single-pass critical path.
+ */
+function longestPathMinutes(process, durations) {
+  const succ = new Map();
+  for (const e of deriveStepConnections(process.steps, process.flowCustomEdges, process.flowDeletedEdges)) {
+    const from = String(e.from);
+    if (!succ.has(from)) succ.set(from, []);
+    succ.get(from).push(String(e.to));
+  }
+  const memo = new Map();
+  const onStack = new Set();
+  const visit = (node) => {
+    if (node === 'end') return 0;
+    if (memo.has(node)) return memo.get(node);
+    onStack.add(node);
+    let best = 0;
+    for (const next of succ.get(node) || []) {
+      if (onStack.has(next)) continue;
+      best = Math.max(best, visit(next));
+    }
+    onStack.delete(node);
+    const own = node === 'start' ? 0 : durations[Number(node)] || 0;
+    memo.set(node, own + best);
+    return own + best;
+  };
+  return visit('start');
+}
+
+function severityFor(actual, target) {
+  return actual >= target * 2 ? 'high' : 'medium';
+}
+
+function rateSeverity(rate) {
+  return rate >= 0.5 ? 'high' : rate >= 0.2 ? 'medium' : 'low';
+}
+
+/**
+ * Evaluate a process's SLAs against the map and, optionally, logged runs.
+ *
+ * @param {object} process  rawProcesses[] entry
+ * @param {object} [opts]
+ * @param {object[]} [opts.runs]  checkInstanceConformance() results for
+ *   logged runs, evaluated against this process (nulls are skipped)
+ * @returns {null | {
+ *   process: { targetCycleMinutes, predictedCycleMinutes, escalationOwner, calendar,
+ *              runs: number, breaches: number, worstMinutes: number|null },
+ *   steps: { stepIndex, name, targetMinutes, escalationOwner, predictedMinutes,
+ *            runs, breaches, worstMinutes }[],
+ *   breaches: { scope: 'process'|'step', basis: 'predicted'|'measured', stepIndex: number|null,
+ *               name: string, targetMinutes: number, actualMinutes: number,
+ *               runs?: number, breachRate?: number, severity: string,
+ *               escalationOwner: string|null, text: string }[],
+ * }}  null when the process has no SLA at all
+ */
+export function evaluateSla(process, { runs = [] } = {}) {
+  const steps = Array.isArray(process?.steps) ? process.steps : [];
+  if (!steps.length || !hasSla(process)) return null;
+  const psla = processSla(process) || { targetCycleMinutes: null, calendar: null, escalationOwner: null };
+  const results = (runs || []).filter(Boolean);
+  const waits = getWaitProfile(process);
+  const durations = steps.map((s, i) => (Number(s.workMinutes) || 0) + (waits[i]?.effective || 0));
+  const breaches = [];
+  const label = (i) => `Step ${i + 1} "${steps[i]?.name || 'Unnamed'}"`;
+
+  const stepRows = [];
+  steps.forEach((s, i) => {
+    const target = stepSlaTarget(s, process);
+    if (!target) return;
+    const row = {
+      stepIndex: i,
+      name: s.name || '',
+      targetMinutes: target.targetMinutes,
+      escalationOwner: target.escalationOwner,
+      predictedMinutes: round1(durations[i]),
+      runs: 0,
+      breaches: 0,
+      worstMinutes: null,
+    };
+    for (const r of results) {
+      if (!(r.measured || []).some((m) => m.stepIndex === i)) continue;
+      row.runs++;
+      const hits = (r.deviations || []).filter((d) => d.kind === 'sla-breach' && d.basis === 'sla' && d.stepIndex === i);
+      if (!hits.length) continue;
+      row.breaches++;
+      for (const d of hits) row.worstMinutes = Math.max(row.worstMinutes ?? 0, d.actualMinutes);
+    }
+    stepRows.push(row);
+
+    if (row.predictedMinutes > row.targetMinutes) {
+      breaches.push({
+        scope: 'step', basis: 'predicted', stepIndex: i, name: row.name,
+        targetMinutes: row.targetMinutes, actualMinutes: row.predictedMinutes,
+        severity: severityFor(row.predictedMinutes, row.targetMinutes),
+        escalationOwner: row.escalationOwner,
+        text: `${label(i)} is mapped at ${row.predictedMinutes} min of work + wait against a ${row.targetMinutes} min SLA.`,
+      });
+    }
+    if (row.breaches) {
+      const breachRate = Math.round((row.breaches / row.runs) * 100) / 100;
+      breaches.push({
+        scope: 'step', basis: 'measured', stepIndex: i, name: row.name,
+        targetMinutes: row.targetMinutes, actualMinutes: row.worstMinutes,
+        runs: row.runs, breachRate,
+        severity: rateSeverity(breachRate),
+        escalationOwner: row.escalationOwner,
+        text: `${label(i)} missed its ${row.targetMinutes} min SLA in ${row.breaches} of ${row.runs} logged run${row.runs === 1 ? '' : 's'} (worst ${row.worstMinutes} min).`,
+      });
+    }
+  });
+
+  const processRow = {
+    targetCycleMinutes: psla.targetCycleMinutes,
+    predictedCycleMinutes: round1(longestPathMinutes(process, durations)),
+    escalationOwner: psla.escalationOwner,
+    calendar: psla.calendar,
+    runs: 0,
+    breaches: 0,
+    worstMinutes: null,
+  };
+  if (psla.targetCycleMinutes) {
+    const target = psla.targetCycleMinutes;
+    const name = process.processName || 'Process';
+    for (const r of results) {
+      if (r.cycleMinutes == null && !(r.deviations || []).some((d) => d.kind === 'cycle-sla-breach')) continue;
+      processRow.runs++;
+      const hit = (r.deviations || []).find((d) => d.kind === 'cycle-sla-breach');
+      if (!hit) continue;
+      processRow.breaches++;
+      processRow.worstMinutes = Math.max(processRow.worstMinutes ?? 0, hit.actualMinutes);
+    }
+    if (processRow.predictedCycleMinutes > target) {
+      breaches.push({
+        scope: 'process', basis: 'predicted', stepIndex: null, name,
+        targetMinutes: target, actualMinutes: processRow.predictedCycleMinutes,
+        severity: severityFor(processRow.predictedCycleMinutes, target),
+        escalationOwner: psla.escalationOwner,
+        text: `The longest path through the map takes ${processRow.predictedCycleMinutes} min against a ${target} min cycle-time target.`,
+      });
+    }
+    if (processRow.breaches) {
+      const breachRate = Math.round((processRow.breaches / processRow.runs) * 100) / 100;
+      breaches.push({
+        scope: 'process', basis: 'measured', stepIndex: null, name,
+        targetMinutes: target, actualMinutes: processRow.worstMinutes,
+        runs: processRow.runs, breachRate,
+        severity: rateSeverity(breachRate),
+        escalationOwner: psla.escalationOwner,
+        text: `${processRow.breaches} of ${processRow.runs} completed run${processRow.runs === 1 ? '' : 's'} missed the ${target} min cycle-time target (worst ${processRow.worstMinutes} min).`,
+      });
+    }
+  }
+
+  breaches.sort((x, y) => (SEVERITY_RANK[x.severity] ?? 9) - (SEVERITY_RANK[y.severity] ?? 9)
+    || (x.basis === y.basis ? 0 : x.basis === 'measured' ? -1 : 1));
+  return { process: processRow, steps: stepRows, breaches };
+}
@@ -0,0 +1,112 @@
+/**
+ * Stable step ids — references that survive reorders and inserts.
+ *
+ * Every step carries a persistent `id` (a UUID; flows first opened in a
+ * collaborative session may carry collab.js legacyStepId values, which are
+ * just as stable once saved). Anything that points at a step keys off it:
+ *
+ *   branch.targetId   the step a decision branch goes to. `branch.target`
+ *                     stays as the "Step N" label for prompts, exports and
+ *                     the branch picker, and is rewritten from targetId
+ *                     whenever steps move
+ *   layout            manual node offsets under STEP_LAYOUT_KEY
+ *                     (layoutStorageKeys.js)
+ *
+ *   stepIndexByRef(steps, ref)    ← step id, 1-based number or "Step N" → index
+ *   linkBranchTargets(steps)      ← fill / follow targetId, keep labels current
+ *   retargetBranches(steps, from, to) ← point every branch at `from` to `to`
+ *
+ * supabase/migration-step-ids.sql backfills ids and targetIds on saved
+ * flow_data the same way.
+ *
+ * Pure module — no React, no Supabase.
+ */
+
+import { resolveBranchTarget } from './shared.js';
+
+/** "Step N" label for a 0-based index. */
+export const stepLabel = (idx) => `Step ${idx + 1}`;
+
+/**
+ * Resolve a tool-style step reference to a 0-based index: a step id, a
+ * 1-based step number, or "Step N" / "N" as a string. -1 when it matches
+ * nothing.
+ */
+export function stepIndexByRef(steps, ref) {
+  const list = steps || [];
+  if (ref == null || ref === '') return -1;
+  if (typeof ref === 'number') {
+    return Number.isInteger(ref) && ref >= 1 && ref <= list.length ? ref - 1 : -1;
+  }
+  const t = String(ref).trim();
+  const byId = list.findIndex((s) => s?.id && s.id === t);
+  if (byId >= 0) return byId;
+  const m = /^(?:step\s*)?(\d+)$/i.exec(t);
+  if (!m) return -1;
+  return stepIndexByRef(list, parseInt(m[1], 10));
+}
+
+/**
+ * Bring every branch's targetId and "Step N" label in line with the
+ * current order:
+ *
+ *   - targetId found      → target becomes that step's current label
+ *   - targetId gone       → the step was removed; the branch is unlinked
+ *   - no targetId         → resolve `target` once and remember the step
+ *
+ * Steps need ids first (collab.js ensureStepIds); until then the flow is
+ * returned untouched. Returns the same array when nothing changes, so it
+ * is safe to run on every render.
+ */
+export function linkBranchTargets(steps) {
+  const list = steps || [];
+  if (!list.length || list.some((s) => !s?.id)) return steps;
+  const indexOf = new Map(list.map((s, i) => [s.id, i]));
+  let changed = false;
+  const out = list.map((s) => {
+    if (!Array.isArray(s.branches) || !s.branches.length) return s;
+    let touched = false;
+    const branches = s.branches.map((b) => {
+      const next = linkBranch(b, list, indexOf);
+      if (next !== b) touched = true;
+      return next;
+    });
+    if (!touched) return s;
+    changed = true;
+    return { ...s, branches };
+  });
+  return changed ? out : steps;
+}
+
+function linkBranch(b, steps, indexOf) {
+  if (!b) return b;
+  if (b.targetId) {
+    if (indexOf.has(b.targetId)) {
+      const label = stepLabel(indexOf.get(b.targetId));
+      return b.target === label ? b : { ...b, target: label };
+    }
+    const { targetId: _gone, ...rest } = b;
+    return { ...rest, target: '' };
+  }
+  const ref = b.target || b.targetStep;
+  if (!ref) return b;
+  const idx = resolveBranchTarget(ref, steps);
+  if (idx < 0) return b;
+  return { ...b, target: stepLabel(idx), targetId: steps[idx].id };
+}
+
+/**
+ * Point every branch that targets step `fromId` at step `toId` instead —
+ * e.g. a step inserted on a decision edge becomes the branch's first step.
+ * Labels are refreshed by the next linkBranchTargets pass.
+ */
+export function retargetBranches(steps, fromId, toId) {
+  if (!fromId || !toId) return steps;
+  let changed = false;
+  const out = (steps || []).map((s) => {
+    if (!(s.branches || []).some((b) => b?.targetId === fromId)) return s;
+    changed = true;
+    return { ...s, branches: s.branches.map((b) => (b?.targetId === fromId ? { ...b, targetId: toId } : b)) };
+  });
+  return changed ? out : steps;
+}
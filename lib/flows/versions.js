@@ -0,0 +1,233 @@
+/**
+ * Process versions — immutable snapshots of a live process, so it can be
+ * seen (and put back) as it was at an earlier point.
+ *
+ * A version's flow_data has the same shape as a scenario's —
+ * { rawProcesses, costAnalysis } — and is taken and restored with the
+ * same helpers (forkFlow / mergeScenarioIntoLive), so layout, handoffs and
+ * cost inputs travel with the steps.
+ *
+ *   kind 'auto'        taken on save, at most one per AUTO_VERSION_INTERVAL_MS
+ *                      of editing, holding where the last burst of edits
+ *                      ended (see autoVersionSource)
+ *   kind 'checkpoint'  named by a user
+ *   kind 'restore'     the live process straight after a restore
+ *
+ *   versionSnapshot(flowData)            ← what a version stores
+ *   shouldAutoVersion({ latest, hash })  ← debounce for save-time versions
+ *   autoVersionSource({ ..., previousHash }) ← which state that version holds
+ *   diffFlowVersions(from, to)           ← per-process union + step marks for the canvas
+ *   restoreChangeRow(ctx)                ← the `changes` row a restore records
+ *
+ * Pure module — no React, no Supabase.
+ */
+
+import { forkFlow, matchSteps, remapStepRefs, changedStepFields } from './scenarios.js';
+
+export const VERSION_KINDS = ['auto', 'checkpoint', 'restore'];
+
+/** A save within this long of the last auto version doesn't take another. */
+export const AUTO_VERSION_INTERVAL_MS = 10 * 60 * 1000;
+
+const MAX_NAME = 120;
+const MAX_NOTE = 2000;
+
+function clone(v) {
+  return v == null ? v : JSON.parse(JSON.stringify(v));
+}
+
+function procList(flowData) {
+  return Array.isArray(flowData?.rawProcesses) ? flowData.rawProcesses : [];
+}
+
+/** The part of a live process's flow_data a version keeps (deep copy). */
+export function versionSnapshot(flowData) {
+  return forkFlow(flowData);
+}
+
+/** Steps across every rawProcesses entry — shown in the version list. */
+export function versionStepCount(flowData) {
+  return procList(flowData).reduce((n, p) => n + (Array.isArray(p?.steps) ? p.steps.length : 0), 0);
+}
+
+/** Validate a checkpoint's name / note. Throws with a user-facing message. */
+export function normaliseCheckpointInput(input) {
+  const name = typeof input?.name === 'string' ? input.name.trim() : '';
+  if (!name) throw new Error('Checkpoint name is required.');
+  if (name.length > MAX_NAME) throw new Error(`Checkpoint name must be ${MAX_NAME} characters or fewer.`);
+  const note = input?.note == null || input.note === '' ? null : String(input.note).slice(0, MAX_NOTE);
+  return { name, note };
+}
+
+/**
+ * Whether a save should take an auto version. Nothing is taken when the
+ * content matches the newest version; otherwise one is taken unless the
+ * newest version is itself an auto version younger than `intervalMs`, so
+ * a burst of autosaves leaves one version rather than hundreds. Named
+ * checkpoints and restores don't hold the next auto version back.
+ *
+ * @param {object} args
+ * @param {object|null} args.latest  newest process_versions row (kind, content_hash, created_at)
+ * @param {string} args.hash         content hash of the process as just saved
+ * @param {number} [args.now]
+ * @param {number} [args.intervalMs]
+ */
+export function shouldAutoVersion({ latest, hash, now = Date.now(), intervalMs = AUTO_VERSION_INTERVAL_MS }) {
+  if (!latest) return true;
+  if (latest.content_hash && latest.content_hash === hash) return false;
+  if (latest.kind !== 'auto') return true;
+  const at = Date.parse(latest.created_at);
+  return !Number.isFinite(at) || now - at >= intervalMs;
+}
+
+/**
+ * Which state a due auto version should hold: 'previous' (the live row
+ * as it was before this save), 'current' (as just saved) or null when
+ * none is due.
+ *
+ * Saves inside the interval don't take versions, so by the time one is
+ * due the live row holds where the last burst of edits ended — the state
+ * worth keeping. That is snapshotted instead of the save that opens the
+ * next burst; the new burst's own end is caught the same way next time.
+ * When the previous state is already versioned (or unknown), the save
+ * itself is taken.
+ *
+ * @param {object} args  as shouldAutoVersion, plus
+ * @param {string|null} [args.previousHash]  content hash of the live row before this save
+ * @returns {'previous'|'current'|null}
+ */
+export function autoVersionSource({ latest, hash, previousHash = null, now = Date.now(), intervalMs = AUTO_VERSION_INTERVAL_MS }) {
+  if (!shouldAutoVersion({ latest, hash, now, intervalMs })) return null;
+  if (latest && previousHash && previousHash !== latest.content_hash && previousHash !== hash) return 'previous';
+  return 'current';
+}
+
+/**
+ * Compare one process between two versions for display on the canvas.
+ * Returns the `to` process with the steps that only exist in `from`
+ * put back where they used to be, and a mark per node id ('step-i'):
+ *
+ *   { status: 'added' | 'removed' | 'modified', fields?: string[] }
+ *
+ * Unchanged steps have no mark. Branch targets are renumbered to the
+ * merged list; stored offsets and hand-drawn connectors are dropped so
+ * the merged flow lays out cleanly.
+ */
+export function diffProcessVersions(fromProc, toProc) {
+  const oldSteps = Array.isArray(fromProc?.steps) ? fromProc.steps : [];
+  const newSteps = Array.isArray(toProc?.steps) ? toProc.steps : [];
+  const { pairs, removed } = matchSteps(oldSteps, newSteps);
+  const oldOf = new Map(pairs.map(([oi, ni]) => [ni, oi]));
+  const removedSet = new Set(removed);
+
+  // Walk the new steps, slotting each removed step in before the first
+  // surviving step that came after it.
+  const order = []; // { side: 'old' | 'new', index }
+  let nextOld = 0;
+  const flushRemovedBelow = (limit) => {
+    for (; nextOld < limit; nextOld++) if (removedSet.has(nextOld)) order.push({ side: 'old', index: nextOld });
+  };
+  newSteps.forEach((_, ni) => {
+    const oi = oldOf.get(ni);
+    if (oi != null && oi >= nextOld) flushRemovedBelow(oi);
+    order.push({ side: 'new', index: ni });
+  });
+  flushRemovedBelow(oldSteps.length);
+
+  const fromNew = new Map();
+  const fromOld = new Map();
+  order.forEach((o, i) => (o.side === 'new' ? fromNew : fromOld).set(o.index, i));
+  // Surviving old steps point where their new counterpart landed.
+  for (const [oi, ni] of pairs) fromOld.set(oi, fromNew.get(ni));
+
+  const newSide = { steps: clone(newSteps) };
+  const oldSide = { steps: clone(oldSteps) };
+  remapStepRefs(newSide, fromNew);
+  remapStepRefs(oldSide, fromOld);
+
+  const marks = {};
+  const counts = { added: 0, removed: 0, modified: 0, unchanged: 0 };
+  const steps = order.map((o, i) => {
+    const id = `step-${i}`;
+    if (o.side === 'old') {
+      marks[id] = { status: 'removed' };
+      counts.removed++;
+      return { ...oldSide.steps[o.index], number: i + 1 };
+    }
+    const oi = oldOf.get(o.index);
+    if (oi == null) {
+      marks[id] = { status: 'added' };
+      counts.added++;
+    } else {
+      const fields = changedStepFields(oldSteps[oi], newSteps[o.index]);
+      if (fields.length) {
+        marks[id] = { status: 'modified', fields };
+        counts.modified++;
+      } else counts.unchanged++;
+    }
+    return { ...newSide.steps[o.index], number: i + 1 };
+  });
+
+  const base = toProc || fromProc || {};
+  const process = { ...clone(base), steps };
+  delete process.flowNodePositions;
+  delete process.flowCustomEdges;
+  delete process.flowDeletedEdges;
+  return { process, marks, counts };
+}
+
+/**
+ * Diff every process between two version flow_datas (or a version and
+ * the live flow_data). One entry per rawProcesses index; a process that
+ * only exists on one side comes back with every step added / removed.
+ */
+export function diffFlowVersions(fromFlow, toFlow) {
+  const from = procList(fromFlow);
+  const to = procList(toFlow);
+  const limit = Math.max(from.length, to.length);
+  const processes = [];
+  const totals = { added: 0, removed: 0, modified: 0, unchanged: 0 };
+  for (let pi = 0; pi < limit; pi++) {
+    const d = diffProcessVersions(from[pi] || { steps: [] }, to[pi] || { ...from[pi], steps: [] });
+    processes.push({
+      processIndex: pi,
+      processName: to[pi]?.processName || from[pi]?.processName || `Process ${pi + 1}`,
+      ...d,
+    });
+    for (const k of Object.keys(totals)) totals[k] += d.counts[k];
+  }
+  return { processes, totals };
+}
+
+/**
+ * The `changes` row a restore records against the live process: kind
+ * 'reverted', already applied. subject_ref names the version restored
+ * and the version the pre-restore state was saved as, so the timeline
+ * can link both.
+ *
+ * @param {object} ctx  { processId, version, previousVersionId?, actorEmail?, beforeSteps?, afterSteps? }
+ */
+export function restoreChangeRow(ctx) {
+  const v = ctx?.version;
+  if (!ctx?.processId || !v) return null;
+  const label = `version ${v.version_no}${v.name ? ` "${v.name}"` : ''}`;
+  return {
+    process_id: ctx.processId,
+    subject_type: 'process',
+    subject_ref: {
+      versionId: v.id,
+      versionNo: v.version_no,
+      versionName: v.name || null,
+      versionCreatedAt: v.created_at || null,
+      previousVersionId: ctx.previousVersionId || null,
+    },
+    kind: 'reverted',
+    state: 'applied',
+    actor_kind: 'user',
+    actor_email: ctx.actorEmail || null,
+    agent_name: 'version_history',
+    rationale: `Restored ${label}.`,
+    before_state: { steps: ctx.beforeSteps ?? null },
+    after_state: { steps: ctx.afterSteps ?? null },
+  };
+}
@@ -0,0 +1,299 @@
+/**
+ * Inbound email → deal data room.
+ *
+ *   ingestInboundEmail({ message, recipients })
+ *     1. resolve the deal from the inbound address token
+ *     2. check the sender against the address's allow-list
+ *     3. claim (address, Message-ID) in deal_inbound_messages so a
+ *        provider retry doesn't file the same email twice
+ *     4. file each attachment + the email body through
+ *        storeDealDocument (content-hash dedupe, Storage upload, then
+ *        `deal-document.uploaded` so processDealDocument parses, chunks
+ *        and embeds it like any upload)
+ *     5. record the outcome on the message row
+ *
+ * Address management (getInboundAddress / rotateInboundAddress /
+ * disableInboundAddress / listInboundMessages) backs the data-room panel.
+ * Planning (tokens, allow-list, which files) is in ./plan.js.
+ */
+
+import crypto from 'node:crypto';
+import {
+  getSupabaseHeaders, getSupabaseWriteHeaders, fetchWithTimeout, requireSupabase,
+} from '../api-helpers.js';
+import { logger } from '../logger.js';
+import { storeDealDocument } from '../dealDocumentStore.js';
+import {
+  inboundTokenFrom, isSenderAllowed, sourcePartyFor, planInboundDocuments,
+  generateInboundToken, formatInboundAddress,
+} from './plan.js';
+
+const ADDRESS_SELECT = 'id,deal_id,token,visibility,allowed_senders,active,created_by_email,created_at,last_received_at';
+const MESSAGE_SELECT = 'id,message_id,from_email,subject,status,attachment_count,document_ids,deduped_count,skipped,error,received_at';
+const INBOUND_UPLOADER = 'inbound-email@vesno';
+
+export function inboundDomain() {
+  return process.env.INBOUND_EMAIL_DOMAIN || null;
+}
+
+/** Address row → what the panel shows. */
+export function presentInboundAddress(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    email: formatInboundAddress(row.token, inboundDomain()),
+    active: row.active,
+    visibility: row.visibility,
+    allowedSenders: row.allowed_senders || [],
+    createdAt: row.created_at,
+    lastReceivedAt: row.last_received_at,
+  };
+}
+
+export async function getInboundAddress(dealId) {
+  const sb = requireSupabase();
+  if (!sb || !dealId) return null;
+  try {
+    const resp = await fetchWithTimeout(
+      `${sb.url}/rest/v1/deal_inbound_addresses?deal_id=eq.${encodeURIComponent(dealId)}&active=is.true&select=${ADDRESS_SELECT}&limit=1`,
+      { method: 'GET', headers: getSupabaseHeaders(sb.key) },
+    );
+    const [row] = resp.ok ? await resp.json() : [];
+    return row || null;
+  } catch (e) {
+    logger.error('getInboundAddress failed', { dealId, error: e.message });
+    return null;
+  }
+}
+
+/**
+ * Issue a fresh address for the deal, retiring the current one (mail to
+ * the old address is then refused). Returns the new row or null.
+ */
+export async function rotateInboundAddress(dealId, { visibility = 'all_editors', allowedSenders = [], email = null } = {}) {
+  const sb = requireSupabase();
+  if (!sb || !dealId) return null;
+  try {
+    await disableInboundAddress(dealId);
+    const resp = await fetchWithTimeout(
+      `${sb.url}/rest/v1/deal_inbound_addresses?select=${ADDRESS_SELECT}`,
+      {
+        method: 'POST',
+        headers: { ...getSupabaseWriteHeaders(sb.key), Prefer: 'return=representation' },
+        body: JSON.stringify({
+          deal_id: dealId,
+          token: generateInboundToken(),
+          visibility,
+          allowed_senders: allowedSenders,
+          active: true,
+          created_by_email: email,
+        }),
+      },
+    );
+    if (!resp.ok) {
+      const txt = await resp.text().catch(() => '');
+      logger.warn('rotateInboundAddress failed', { dealId, status: resp.status, body: txt.slice(0, 200) });
+      return null;
+    }
+    const [row] = await resp.json().catch(() => []);
+    return row || null;
+  } catch (e) {
+    logger.error('rotateInboundAddress failed', { dealId, error: e.message });
+    return null;
+  }
+}
+
+/** Update the active address's visibility / allow-list. */
+export async function updateInboundAddress(dealId, patch) {
+  const sb = requireSupabase();
+  if (!sb || !dealId) return null;
+  const body = {};
+  if (patch.visibility !== undefined) body.visibility = patch.visibility;
+  if (patch.allowedSenders !== undefined) body.allowed_senders = patch.allowedSenders;
+  try {
+    const resp = await fetchWithTimeout(
+      `${sb.url}/rest/v1/deal_inbound_addresses?deal_id=eq.${encodeURIComponent(dealId)}&active=is.true&select=${ADDRESS_SELECT}`,
+      {
+        method: 'PATCH',
+        headers: { ...getSupabaseWriteHeaders(sb.key), Prefer: 'return=representation' },
+        body: JSON.stringify(body),
+      },
+    );
+    if (!resp.ok) return null;
+    const [row] = await resp.json().catch(() => []);
+    return row || null;
+  } catch (e) {
+    logger.error('updateInboundAddress failed', { dealId, error: e.message });
+    return null;
+  }
+}
+
+export async function disableInboundAddress(dealId) {
+  const sb = requireSupabase();
+  if (!sb || !dealId) return { ok: false };
+  try {
+    const resp = await fetchWithTimeout(
+      `${sb.url}/rest/v1/deal_inbound_addresses?deal_id=eq.${encodeURIComponent(dealId)}&active=is.true`,
+      {
+        method: 'PATCH',
+        headers: { ...getSupabaseWriteHeaders(sb.key), Prefer: 'return=minimal' },
+        body: JSON.stringify({ active: false }),
+      },
+    );
+    return { ok: resp.ok };
+  } catch (e) {
+    logger.error('disableInboundAddress failed', { dealId, error: e.message });
+    return { ok: false };
+  }
+}
+
+export async function listInboundMessages(dealId, { limit = 20 } = {}) {
+  const sb = requireSupabase();
+  if (!sb || !dealId) return [];
+  try {
+    const resp = await fetchWithTimeout(
+      `${sb.url}/rest/v1/deal_inbound_messages?deal_id=eq.${encodeURIComponent(dealId)}` +
+        `&select=${MESSAGE_SELECT}&order=received_at.desc&limit=${Math.max(1, Math.min(limit, 100))}`,
+      { method: 'GET', headers: getSupabaseHeaders(sb.key) },
+    );
+    return resp.ok ? await resp.json() : [];
+  } catch (e) {
+    logger.error('listInboundMessages failed', { dealId, error: e.message });
+    return [];
+  }
+}
+
+async function loadAddressByToken(sb, token) {
+  const resp = await fetchWithTimeout(
+    `${sb.url}/rest/v1/deal_inbound_addresses?token=eq.${encodeURIComponent(token)}&select=${ADDRESS_SELECT}&limit=1`,
+    { method: 'GET', headers: getSupabaseHeaders(sb.key) },
+  );
+  const [row] = resp.ok ? await resp.json() : [];
+  return row || null;
+}
+
+async function loadParticipants(sb, dealId) {
+  try {
+    const resp = await fetchWithTimeout(
+      `${sb.url}/rest/v1/deal_participants?deal_id=eq.${encodeURIComponent(dealId)}&select=participant_email,role`,
+      { method: 'GET', headers: getSupabaseHeaders(sb.key) },
+    );
+    return resp.ok ? await resp.json() : [];
+  } catch {
+    return [];
+  }
+}
+
+async function patchMessage(sb, rowId, patch) {
+  await fetchWithTimeout(
+    `${sb.url}/rest/v1/deal_inbound_messages?id=eq.${rowId}`,
+    { method: 'PATCH', headers: getSupabaseWriteHeaders(sb.key), body: JSON.stringify(patch) },
+  ).catch((e) => logger.warn('Inbound email: message update failed', { rowId, error: e.message }));
+}
+
+/**
+ * File a parsed inbound email into its deal's data room.
+ *
+ * @param {object} args
+ * @param {object} args.message     parseMimeMessage() output
+ * @param {Array}  args.recipients  envelope + header recipients
+ * @returns {Promise<{ status: 'filed'|'duplicate'|'no_address'|'unknown_address'|'rejected_sender'|'error',
+ *                     dealId?: string, documents?: number, deduped?: number, skipped?: Array, errors?: number }>}
+ */
+export async function ingestInboundEmail({ message, recipients }) {
+  const sb = requireSupabase();
+  if (!sb) return { status: 'error', error: 'Storage not configured.' };
+
+  const token = inboundTokenFrom(recipients);
+  if (!token) return { status: 'no_address' };
+  const address = await loadAddressByToken(sb, token);
+  if (!address || !address.active) return { status: 'unknown_address' };
+
+  const sender = message.from?.email || null;
+  const allowed = isSenderAllowed(sender, address.allowed_senders);
+  // Synthesised ids for messages without a Message-ID still dedupe a
+  // provider retry of the same bytes.
+  const messageId = message.messageId || `sha256:${crypto.createHash('sha256')
+    .update(`${sender}|${message.subject}|${message.date}|${message.text || message.html || ''}`).digest('hex')}`;
+
+  const claim = await fetchWithTimeout(
+    `${sb.url}/rest/v1/deal_inbound_messages?select=id`,
+    {
+      method: 'POST',
+      headers: { ...getSupabaseWriteHeaders(sb.key), Prefer: 'return=representation' },
+      body: JSON.stringify({
+        deal_id: address.deal_id,
+        address_id: address.id,
+        message_id: messageId.slice(0, 500),
+        from_email: sender,
+        subject: (message.subject || '').slice(0, 500) || null,
+        status: allowed ? 'processing' : 'rejected',
+        error: allowed ? null : 'Sender is not on the allowed list.',
+        attachment_count: (message.attachments || []).length,
+      }),
+    },
+  );
+  if (!claim.ok) {
+    const txt = await claim.text().catch(() => '');
+    if (claim.status === 409 || /duplicate key|23505/.test(txt)) return { status: 'duplicate', dealId: address.deal_id };
+    logger.error('Inbound email: message claim failed', { status: claim.status, body: txt.slice(0, 200) });
+    return { status: 'error', error: 'Failed to record the message.' };
+  }
+  const [messageRow] = await claim.json();
+
+  await fetchWithTimeout(
+    `${sb.url}/rest/v1/deal_inbound_addresses?id=eq.${address.id}`,
+    { method: 'PATCH', headers: getSupabaseWriteHeaders(sb.key), body: JSON.stringify({ last_received_at: new Date().toISOString() }) },
+  ).catch(() => {});
+
+  if (!allowed) {
+    logger.info('Inbound email rejected: sender not allowed', { dealId: address.deal_id, sender });
+    return { status: 'rejected_sender', dealId: address.deal_id };
+  }
+
+  const sourceParty = sourcePartyFor(sender, await loadParticipants(sb, address.deal_id));
+  const { files, skipped } = planInboundDocuments(message);
+  const documentIds = [];
+  let deduped = 0;
+  let errors = 0;
+  for (const file of files) {
+    try {
+      const res = await storeDealDocument(sb, {
+        dealId: address.deal_id,
+        filename: file.filename,
+        mimeType: file.mimeType,
+        content: file.content,
+        fields: {
+          label: file.kind === 'body' ? 'Email' : null,
+          source_party: sourceParty,
+          tags: ['email'],
+          visibility: address.visibility || 'all_editors',
+          uploaded_by_email: INBOUND_UPLOADER,
+          inbound_message_id: messageRow.id,
+        },
+      });
+      documentIds.push(res.id);
+      if (res.deduped) deduped += 1;
+    } catch (e) {
+      errors += 1;
+      logger.warn('Inbound email: file failed', { dealId: address.deal_id, filename: file.filename, error: e.message });
+    }
+  }
+
+  await patchMessage(sb, messageRow.id, {
+    status: errors ? (documentIds.length ? 'partial' : 'failed') : 'processed',
+    document_ids: documentIds,
+    deduped_count: deduped,
+    skipped,
+    error: errors ? `${errors} file(s) could not be filed.` : null,
+  });
+
+  return {
+    status: 'filed',
+    dealId: address.deal_id,
+    documents: documentIds.length - deduped,
+    deduped,
+    skipped,
+    errors,
+  };
+}
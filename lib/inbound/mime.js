@@ -0,0 +1,272 @@
+/**
+ * Minimal RFC 5322 / MIME parser for inbound email — enough to pull the
+ * sender, subject, text body and attachments out of what mail providers
+ * post to /api/inbound-email, or out of a saved `.eml` file.
+ *
+ * Handles multipart/* (nested), message/rfc822 parts (forward-as-
+ * attachment: the inner message's attachments are collected too),
+ * base64 / quoted-printable transfer encodings, RFC 2047 encoded-words
+ * in headers and RFC 2231 (`filename*=`, continuations) parameters.
+ * Anything it can't make sense of degrades to a plain-text body rather
+ * than throwing — inbound mail is hostile input.
+ *
+ *   parseMimeMessage(raw) → {
+ *     headers,            // Map-like object: lower-cased name → string[]
+ *     from,               // { email, name } | null
+ *     to, cc,             // [{ email, name }]
+ *     subject, messageId, date,
+ *     text, html,         // first text/plain and text/html body parts
+ *     attachments,        // [{ filename, mimeType, content: Buffer,
+ *                         //    contentId, inline }]
+ *   }
+ *
+ * Pure module — no React, no Supabase.
+ */
+
+const MAX_DEPTH = 8;
+
+/** Decode a byte string (latin1-held) in `charset`, falling back to UTF-8. */
+function decodeBytes(bytes, charset) {
+  const buf = Buffer.isBuffer(bytes) ? bytes : Buffer.from(bytes, 'latin1');
+  const cs = String(charset || 'utf-8').trim().toLowerCase();
+  try {
+    return new TextDecoder(cs === 'us-ascii' ? 'utf-8' : cs).decode(buf);
+  } catch {
+    return buf.toString('utf8');
+  }
+}
+
+function decodeQuotedPrintable(s) {
+  const bytes = [];
+  const src = s.replace(/=\r?\n/g, '');
+  for (let i = 0; i < src.length; i++) {
+    const c = src[i];
+    if (c === '=' && /^[0-9A-Fa-f]{2}$/.test(src.slice(i + 1, i + 3))) {
+      bytes.push(parseInt(src.slice(i + 1, i + 3), 16));
+      i += 2;
+    } else {
+      bytes.push(src.charCodeAt(i) & 0xff);
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+/** RFC 2047 encoded-words, e.g. "=?UTF-8?B?Q0lNIHYy?=" → "CIM v2". */
+export function decodeHeaderValue(value) {
+  if (!value) return '';
+  // Whitespace between adjacent encoded-words is not displayed.
+  const joined = String(value).replace(/(=\?[^?]+\?[BbQq]\?[^?]*\?=)\s+(?==\?)/g, '$1');
+  return joined.replace(/=\?([^?]+)\?([BbQq])\?([^?]*)\?=/g, (_, charset, enc, text) => {
+    const cs = charset.split('*')[0];
+    if (enc.toUpperCase() === 'B') return decodeBytes(Buffer.from(text, 'base64'), cs);
+    return decodeBytes(decodeQuotedPrintable(text.replace(/_/g, ' ')), cs);
+  });
+}
+
+/** Split a raw header block into { name → [values] } with folding undone. */
+function parseHeaderBlock(block) {
+  const headers = {};
+  const unfolded = block.replace(/\r?\n[ \t]+/g, ' ');
+  for (const line of unfolded.split(/\r?\n/)) {
+    const i = line.indexOf(':');
+    if (i <= 0) continue;
+    const name = line.slice(0, i).trim().toLowerCase();
+    // Raw 8-bit header bytes (RFC 6532) are UTF-8.
+    const value = decodeBytes(line.slice(i + 1).trim(), 'utf-8');
+    (headers[name] ||= []).push(value);
+  }
+  return headers;
+}
+
+function header(headers, name) {
+  return headers[name]?.[0] ?? null;
+}
+
+/**
+ * `type/subtype; a=1; b="two"` → { value, params }. RFC 2231 parameters
+ * (`name*=charset''pct-encoded`, `name*0=`, `name*1*=`) are reassembled.
+ */
+export function parseHeaderParams(raw) {
+  const parts = [];
+  let cur = '';
+  let quoted = false;
+  for (const ch of String(raw || '')) {
+    if (ch === '"') quoted = !quoted;
+    if (ch === ';' && !quoted) { parts.push(cur); cur = ''; continue; }
+    cur += ch;
+  }
+  parts.push(cur);
+
+  const value = parts.shift().trim().toLowerCase();
+  const simple = {};
+  const continued = {};
+  for (const p of parts) {
+    const eq = p.indexOf('=');
+    if (eq < 0) continue;
+    const key = p.slice(0, eq).trim().toLowerCase();
+    let val = p.slice(eq + 1).trim();
+    if (val.startsWith('"') && val.endsWith('"')) val = val.slice(1, -1).replace(/\\(.)/g, '$1');
+    const m = /^([^*]+)\*(\d+)?(\*)?$/.exec(key);
+    if (m) {
+      (continued[m[1]] ||= []).push({ n: Number(m[2] || 0), val, encoded: !!m[3] || m[2] === undefined });
+    } else {
+      simple[key] = decodeHeaderValue(val);
+    }
+  }
+  for (const [key, pieces] of Object.entries(continued)) {
+    pieces.sort((a, b) => a.n - b.n);
+    let charset = 'utf-8';
+    const bytes = [];
+    pieces.forEach((piece, idx) => {
+      let v = piece.val;
+      if (piece.encoded && idx === 0) {
+        const q = /^([^']*)'[^']*'(.*)$/.exec(v);
+        if (q) { charset = q[1] || charset; v = q[2]; }
+      }
+      if (piece.encoded) {
+        for (let i = 0; i < v.length; i++) {
+          if (v[i] === '%' && /^[0-9A-Fa-f]{2}$/.test(v.slice(i + 1, i + 3))) {
+            bytes.push(parseInt(v.slice(i + 1, i + 3), 16));
+            i += 2;
+          } else bytes.push(v.charCodeAt(i) & 0xff);
+        }
+      } else {
+        for (const b of Buffer.from(v, 'utf8')) bytes.push(b);
+      }
+    });
+    simple[key] = decodeBytes(Buffer.from(bytes), charset);
+  }
+  return { value, params: simple };
+}
+
+/** `"Jane Doe" <jane@seller.com>, bob@x.com` → [{ email, name }]. */
+export function parseAddressList(raw) {
+  if (!raw) return [];
+  const out = [];
+  let cur = '';
+  let quoted = false;
+  let angle = 0;
+  for (const ch of decodeHeaderValue(raw)) {
+    if (ch === '"') quoted = !quoted;
+    else if (!quoted && ch === '<') angle++;
+    else if (!quoted && ch === '>') angle = Math.max(0, angle - 1);
+    if (ch === ',' && !quoted && !angle) { out.push(cur); cur = ''; continue; }
+    cur += ch;
+  }
+  out.push(cur);
+  return out.map((entry) => {
+    const s = entry.trim();
+    if (!s) return null;
+    const m = /^(.*)<([^>]+)>\s*$/.exec(s);
+    const email = (m ? m[2] : s).trim().toLowerCase();
+    if (!email.includes('@')) return null;
+    const name = m ? m[1].trim().replace(/^"|"$/g, '').trim() : '';
+    return { email, name: name || null };
+  }).filter(Boolean);
+}
+
+function decodeBody(bodyBytes, encoding) {
+  const enc = String(encoding || '').trim().toLowerCase();
+  if (enc === 'base64') return Buffer.from(bodyBytes.replace(/[^A-Za-z0-9+/=]/g, ''), 'base64');
+  if (enc === 'quoted-printable') return decodeQuotedPrintable(bodyBytes);
+  return Buffer.from(bodyBytes, 'latin1');
+}
+
+function splitHeaderBody(s) {
+  const m = /\r?\n\r?\n/.exec(s);
+  if (!m) return { head: s, body: '' };
+  return { head: s.slice(0, m.index), body: s.slice(m.index + m[0].length) };
+}
+
+function splitMultipart(body, boundary) {
+  const delim = `--${boundary}`;
+  const parts = [];
+  const lines = body.split(/\r?\n/);
+  let cur = null;
+  for (const line of lines) {
+    if (line === delim || line.startsWith(`${delim} `) || line.trimEnd() === delim) {
+      if (cur) parts.push(cur.join('\r\n'));
+      cur = [];
+      continue;
+    }
+    if (line.trimEnd() === `${delim}--`) {
+      if (cur) parts.push(cur.join('\r\n'));
+      cur = null;
+      break;
+    }
+    if (cur) cur.push(line);
+  }
+  if (cur?.length) parts.push(cur.join('\r\n'));
+  return parts;
+}
+
+function walk(entity, acc, depth) {
+  const { head, body } = splitHeaderBody(entity);
+  const headers = parseHeaderBlock(head);
+  const ct = parseHeaderParams(header(headers, 'content-type') || 'text/plain; charset=us-ascii');
+  const cd = parseHeaderParams(header(headers, 'content-disposition') || '');
+  const encoding = header(headers, 'content-transfer-encoding');
+
+  if (ct.value.startsWith('multipart/') && ct.params.boundary && depth < MAX_DEPTH) {
+    for (const part of splitMultipart(body, ct.params.boundary)) walk(part, acc, depth + 1);
+    return;
+  }
+
+  const filename = cd.params.filename || ct.params.name || null;
+  const isAttachment = cd.value === 'attachment' || !!filename;
+
+  if (ct.value === 'message/rfc822' && depth < MAX_DEPTH) {
+    // Forwarded-as-attachment: surface the inner message's files and keep
+    // its text as a quoted section of the body.
+    const inner = parseMimeMessage(decodeBody(body, encoding), depth + 1);
+    acc.attachments.push(...inner.attachments);
+    if (inner.text) {
+      acc.nested.push(`---------- Attached message ----------\nFrom: ${inner.from?.email || ''}\nSubject: ${inner.subject || ''}\n\n${inner.text}`);
+    }
+    return;
+  }
+
+  if (!isAttachment && (ct.value === 'text/plain' || ct.value === 'text/html')) {
+    const text = decodeBytes(decodeBody(body, encoding), ct.params.charset);
+    const key = ct.value === 'text/plain' ? 'text' : 'html';
+    if (acc[key] == null) acc[key] = text;
+    return;
+  }
+
+  if (!isAttachment && !cd.value && ct.value.startsWith('text/')) return;
+
+  const contentId = (header(headers, 'content-id') || '').replace(/^<|>$/g, '') || null;
+  acc.attachments.push({
+    filename: filename || null,
+    mimeType: ct.value || 'application/octet-stream',
+    content: decodeBody(body, encoding),
+    contentId,
+    inline: cd.value === 'inline' || (!cd.value && !!contentId),
+  });
+}
+
+/**
+ * Parse a raw RFC 5322 message (Buffer or string). Never throws on
+ * malformed input; missing pieces come back null / empty.
+ */
+export function parseMimeMessage(raw, depth = 0) {
+  const s = Buffer.isBuffer(raw) ? raw.toString('latin1') : Buffer.from(String(raw || ''), 'utf8').toString('latin1');
+  const { head } = splitHeaderBody(s);
+  const headers = parseHeaderBlock(head);
+  const acc = { text: null, html: null, attachments: [], nested: [] };
+  walk(s, acc, depth);
+
+  const text = [acc.text, ...acc.nested].filter(Boolean).join('\n\n') || null;
+  return {
+    headers,
+    from: parseAddressList(header(headers, 'from'))[0] || null,
+    to: parseAddressList((headers.to || []).join(', ')),
+    cc: parseAddressList((headers.cc || []).join(', ')),
+    subject: decodeHeaderValue(header(headers, 'subject') || '') || null,
+    messageId: (header(headers, 'message-id') || '').replace(/^<|>$/g, '').trim() || null,
+    date: header(headers, 'date'),
+    text,
+    html: acc.html,
+    attachments: acc.attachments,
+  };
+}
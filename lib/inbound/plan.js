@@ -0,0 +1,177 @@
+/**
+ * Inbound email planning — which deal a message is for, whether its
+ * sender may file into that deal, and which files it becomes in the
+ * data room. Pure apart from token generation, so it can be tested
+ * without Supabase.
+ *
+ * Every deal can have one active inbound address:
+ *
+ *   deal-<token>@<INBOUND_EMAIL_DOMAIN>
+ *
+ * The token is the capability — unguessable, rotated from the data-room
+ * panel. Plus-addressing (`anything+<token>@domain`) resolves too, for
+ * providers that only route one mailbox.
+ *
+ * A message becomes:
+ *   • one document per attachment (inline signature images skipped)
+ *   • one text document holding the email itself (headers + body), so
+ *     what the seller wrote is searchable alongside what they sent
+ */
+
+import crypto from 'node:crypto';
+
+export const MAX_INBOUND_BYTES = 50 * 1024 * 1024; // same cap as direct uploads
+
+const TOKEN_RE = /^[a-z0-9]{20,40}$/;
+// Inline images below this size are signature logos / tracking pixels.
+const INLINE_IMAGE_SKIP_BYTES = 256 * 1024;
+
+export function generateInboundToken() {
+  return crypto.randomBytes(15).toString('hex'); // 30 chars
+}
+
+export function formatInboundAddress(token, domain) {
+  return domain ? `deal-${token}@${domain}` : null;
+}
+
+/**
+ * The first deal token found among the envelope / header recipients.
+ * Accepts `deal-<token>@…` and `…+<token>@…`; the domain isn't checked
+ * (providers rewrite it), the token shape is.
+ */
+export function inboundTokenFrom(recipients) {
+  for (const r of recipients || []) {
+    const email = String(typeof r === 'string' ? r : r?.email || '').trim().toLowerCase();
+    const local = email.split('@')[0] || '';
+    const candidate = local.startsWith('deal-') ? local.slice(5) : local.includes('+') ? local.split('+').pop() : null;
+    if (candidate && TOKEN_RE.test(candidate)) return candidate;
+  }
+  return null;
+}
+
+/**
+ * Allow-list check. An empty list accepts anyone who has the address;
+ * entries are full addresses (`cfo@seller.com`) or domains (`seller.com`
+ * / `@seller.com`, subdomains included).
+ */
+export function isSenderAllowed(email, allowedSenders) {
+  const list = (allowedSenders || []).map((s) => String(s).trim().toLowerCase()).filter(Boolean);
+  if (!list.length) return true;
+  const addr = String(email || '').trim().toLowerCase();
+  const domain = addr.split('@')[1] || '';
+  if (!domain) return false;
+  return list.some((entry) => {
+    if (entry.includes('@') && !entry.startsWith('@')) return entry === addr;
+    const d = entry.replace(/^@/, '');
+    return domain === d || domain.endsWith(`.${d}`);
+  });
+}
+
+/** Normalise an allow-list from user input. Throws on a malformed entry. */
+export function normaliseAllowedSenders(input) {
+  const raw = Array.isArray(input) ? input : String(input || '').split(/[\s,;]+/);
+  const out = [];
+  for (const v of raw) {
+    const s = String(v || '').trim().toLowerCase();
+    if (!s) continue;
+    if (!/^(@?[a-z0-9.-]+\.[a-z]{2,}|[^@\s]+@[a-z0-9.-]+\.[a-z]{2,})$/.test(s)) {
+      throw new Error(`"${s}" is not an email address or domain.`);
+    }
+    if (!out.includes(s)) out.push(s);
+  }
+  if (out.length > 50) throw new Error('At most 50 allowed senders.');
+  return out;
+}
+
+/**
+ * source_party for the filed documents: the sender's deal-participant
+ * role when they're a known participant (so the existing party filters
+ * keep working), otherwise the sender's address.
+ */
+export function sourcePartyFor(senderEmail, participants) {
+  const email = String(senderEmail || '').toLowerCase();
+  const p = (participants || []).find((x) => String(x?.participant_email || '').toLowerCase() === email);
+  return (p?.role || email || null)?.slice(0, 50) || null;
+}
+
+/** Crude HTML → text for bodies that arrive HTML-only. */
+export function htmlToText(html) {
+  return String(html || '')
+    .replace(/<(script|style|head)[\s\S]*?<\/\1>/gi, '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|tr|li|h[1-6])>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+function safeSubject(subject) {
+  return String(subject || 'No subject').replace(/[\\/:*?"<>|\r\n]+/g, ' ').replace(/\s+/g, ' ').trim().slice(0, 120) || 'No subject';
+}
+
+/** The email itself as a plain-text document (headers, body, attachment list). */
+export function emailBodyDocument(message, attachmentNames = []) {
+  const body = message.text || htmlToText(message.html) || '';
+  const lines = [
+    `From: ${message.from?.name ? `${message.from.name} <${message.from.email}>` : message.from?.email || 'unknown'}`,
+    message.to?.length ? `To: ${message.to.map((a) => a.email).join(', ')}` : null,
+    message.date ? `Date: ${message.date}` : null,
+    `Subject: ${message.subject || '(no subject)'}`,
+    attachmentNames.length ? `Attachments: ${attachmentNames.join(', ')}` : null,
+    '',
+    body.trim() || '(empty body)',
+  ].filter((l) => l !== null);
+  const day = (() => {
+    const d = message.date ? new Date(message.date) : null;
+    return d && !Number.isNaN(d.getTime()) ? d.toISOString().slice(0, 10) : null;
+  })();
+  return {
+    kind: 'body',
+    filename: `Email - ${safeSubject(message.subject)}${day ? ` (${day})` : ''}.txt`,
+    mimeType: 'text/plain',
+    content: Buffer.from(lines.join('\n'), 'utf8'),
+  };
+}
+
+function extFor(mimeType) {
+  const t = String(mimeType || '').toLowerCase();
+  if (t === 'application/pdf') return 'pdf';
+  if (t.includes('wordprocessingml')) return 'docx';
+  if (t.includes('spreadsheetml')) return 'xlsx';
+  if (t.includes('presentationml')) return 'pptx';
+  if (t.startsWith('image/')) return t.slice(6).replace('jpeg', 'jpg').split('+')[0];
+  if (t === 'text/csv') return 'csv';
+  if (t.startsWith('text/')) return 'txt';
+  return 'bin';
+}
+
+/**
+ * Files a parsed message files into the data room, plus what was skipped
+ * and why. The body document is always last.
+ *
+ * @returns {{ files: Array<{ kind, filename, mimeType, content }>, skipped: Array<{ filename, reason }> }}
+ */
+export function planInboundDocuments(message, { maxBytes = MAX_INBOUND_BYTES } = {}) {
+  const files = [];
+  const skipped = [];
+  (message.attachments || []).forEach((a, i) => {
+    const size = a.content?.length || 0;
+    const filename = (a.filename || `attachment-${i + 1}.${extFor(a.mimeType)}`).slice(0, 200);
+    if (!size) { skipped.push({ filename, reason: 'empty' }); return; }
+    if (a.inline && String(a.mimeType || '').startsWith('image/') && size < INLINE_IMAGE_SKIP_BYTES) {
+      skipped.push({ filename, reason: 'inline_image' });
+      return;
+    }
+    if (size > maxBytes) { skipped.push({ filename, reason: 'too_large' }); return; }
+    files.push({ kind: 'attachment', filename, mimeType: a.mimeType || 'application/octet-stream', content: a.content });
+  });
+  files.push(emailBodyDocument(message, files.map((f) => f.filename)));
+  return { files, skipped };
+}
@@ -0,0 +1,565 @@
+/**
+ * Archive expansion for the document worker.
+ *
+ * A seller's "Data room export.zip" is a folder tree, not a document. The
+ * worker expands it (processDealDocument → expand-archive step) and files
+ * every member as its own deal_documents row, so each one is extracted,
+ * categorised and chunked independently.
+ *
+ *   archiveFormatOf({ mimeType, filename }) → 'zip' | '7z' | 'tar' | 'tgz' | 'gz' | null
+ *   expandArchive(buf, { format, filename, limits, only }) → {
+ *     files:   [{ path, name, folder, content: Buffer }],
+ *     skipped: [{ path, reason }],   // first MAX_SKIPPED_LISTED only
+ *     skippedCount,
+ *   }
+ *
+ * Hostile-input rules (ARCHIVE_LIMITS):
+ *   • entry count, per-entry and total expanded bytes are capped
+ *   • inflation is streamed against the cap, so a zip bomb is cut off
+ *     after `cap` bytes rather than after it has filled memory; declared
+ *     sizes are never trusted for ZIP / gzip
+ *   • per-entry compression ratio above `maxRatio` (once past
+ *     `ratioFloorBytes`) is treated as a bomb
+ *   • paths are sanitised: `..` that would escape the root, absolute
+ *     paths and drive letters are refused; symlinks, device entries,
+ *     encrypted members and OS junk (__MACOSX, .DS_Store, …) are skipped
+ *
+ * ZIP, TAR and gzip are read here (fflate for DEFLATE). 7z goes through
+ * 7z-wasm, loaded lazily: its entries are listed first and only members
+ * within the limits are extracted. 7z stores the unpacked size of every
+ * member and the decoder stops there, so its declared sizes are bounds.
+ *
+ * Throws ArchiveError for an archive that can't be opened at all (corrupt,
+ * encrypted headers, bomb in a .tar.gz stream).
+ */
+
+import { Inflate, Gunzip } from 'fflate';
+
+export const ARCHIVE_LIMITS = {
+  maxEntries: 1000,
+  maxEntryBytes: 50 * 1024 * 1024, // same cap as a direct upload
+  maxTotalBytes: 250 * 1024 * 1024,
+  maxRatio: 100,
+  ratioFloorBytes: 1024 * 1024,
+  // Archives nested inside archives are expanded too, this many levels deep.
+  maxNesting: 2,
+};
+
+const MAX_SKIPPED_LISTED = 200;
+const PUSH_SLICE = 16 * 1024; // compressed bytes per inflate push — bounds each output burst
+
+export class ArchiveError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ArchiveError';
+  }
+}
+
+function extOf(filename = '') {
+  const dot = filename.lastIndexOf('.');
+  return dot > 0 ? filename.slice(dot + 1).toLowerCase() : '';
+}
+
+const FORMAT_BY_MIME = {
+  'application/zip': 'zip',
+  'application/x-zip-compressed': 'zip',
+  'application/x-7z-compressed': '7z',
+  'application/x-tar': 'tar',
+  'application/x-gtar': 'tgz',
+  'application/x-compressed-tar': 'tgz',
+  'application/gzip': 'gz',
+  'application/x-gzip': 'gz',
+};
+
+/**
+ * Which archive reader applies, by extension first (a .docx is a zip
+ * container but not an archive to expand), then by MIME type for files
+ * without one.
+ */
+export function archiveFormatOf({ mimeType, filename } = {}) {
+  const name = String(filename || '').toLowerCase();
+  if (/\.(tar\.gz|tgz)$/.test(name)) return 'tgz';
+  const ext = extOf(name);
+  if (ext === 'zip') return 'zip';
+  if (ext === '7z') return '7z';
+  if (ext === 'tar') return 'tar';
+  if (ext === 'gz') return 'gz';
+  if (ext) return null;
+  return FORMAT_BY_MIME[String(mimeType || '').toLowerCase().split(';')[0].trim()] || null;
+}
+
+/**
+ * Normalise a member path: forward slashes, no empty / `.` segments,
+ * `..` resolved within the archive. Returns null for a path that escapes
+ * the root or is empty.
+ */
+export function sanitiseArchivePath(raw) {
+  // eslint-disable-next-line no-control-regex
+  const cleaned = String(raw || '').replace(/\\/g, '/').replace(/[\u0000-\u001f\u007f]/g, '');
+  const segments = cleaned.split('/');
+  if (/^[a-zA-Z]:$/.test(segments[0])) segments.shift();
+  const out = [];
+  for (const seg of segments) {
+    const s = seg.trim();
+    if (!s || s === '.') continue;
+    if (s === '..') {
+      if (!out.length) return null;
+      out.pop();
+      continue;
+    }
+    out.push(s.slice(0, 120));
+  }
+  return out.length ? out.join('/') : null;
+}
+
+const JUNK_NAMES = new Set(['.ds_store', 'thumbs.db', 'desktop.ini']);
+
+/** OS / editor droppings that would only clutter the data room. */
+export function isJunkPath(path) {
+  const segments = path.split('/');
+  if (segments.some((s) => s === '__MACOSX')) return true;
+  const base = segments[segments.length - 1];
+  return JUNK_NAMES.has(base.toLowerCase()) || base.startsWith('._') || base.startsWith('~$');
+}
+
+const MIME_BY_EXT = {
+  pdf: 'application/pdf',
+  doc: 'application/msword',
+  docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  xls: 'application/vnd.ms-excel',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  ppt: 'application/vnd.ms-powerpoint',
+  pptx: 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  csv: 'text/csv',
+  txt: 'text/plain',
+  md: 'text/markdown',
+  json: 'application/json',
+  xml: 'application/xml',
+  html: 'text/html',
+  htm: 'text/html',
+  eml: 'message/rfc822',
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  gif: 'image/gif',
+  tif: 'image/tiff',
+  tiff: 'image/tiff',
+  zip: 'application/zip',
+  '7z': 'application/x-7z-compressed',
+  tar: 'application/x-tar',
+  tgz: 'application/gzip',
+  gz: 'application/gzip',
+};
+
+/** MIME type for an archive member — the archive doesn't record one. */
+export function mimeTypeFor(filename) {
+  return MIME_BY_EXT[extOf(filename)] || 'application/octet-stream';
+}
+
+// ── Capped decompression ─────────────────────────────────────────────
+
+class CapExceeded extends Error {}
+
+/** Stream `data` through an fflate inflater; null once output passes `cap`. */
+function decompressCapped(Ctor, data, cap) {
+  const parts = [];
+  let total = 0;
+  const stream = new Ctor((chunk) => {
+    total += chunk.length;
+    if (total > cap) throw new CapExceeded();
+    parts.push(chunk);
+  });
+  try {
+    if (!data.length) stream.push(new Uint8Array(0), true);
+    for (let i = 0; i < data.length; i += PUSH_SLICE) {
+      stream.push(data.subarray(i, i + PUSH_SLICE), i + PUSH_SLICE >= data.length);
+    }
+  } catch (e) {
+    if (e instanceof CapExceeded) return null;
+    throw e;
+  }
+  return Buffer.concat(parts.map((p) => Buffer.from(p.buffer, p.byteOffset, p.length)));
+}
+
+// ── ZIP ──────────────────────────────────────────────────────────────
+
+function readZipEntries(buf) {
+  const minEocd = Math.max(0, buf.length - 22 - 0xffff);
+  let eocd = -1;
+  for (let i = buf.length - 22; i >= minEocd; i--) {
+    if (buf.readUInt32LE(i) === 0x06054b50) { eocd = i; break; }
+  }
+  if (eocd < 0) throw new ArchiveError('Not a ZIP archive (no end-of-central-directory record).');
+
+  let count = buf.readUInt16LE(eocd + 10);
+  let cdOffset = buf.readUInt32LE(eocd + 16);
+  if ((count === 0xffff || cdOffset === 0xffffffff) && eocd >= 20 && buf.readUInt32LE(eocd - 20) === 0x07064b50) {
+    const z64 = Number(buf.readBigUInt64LE(eocd - 20 + 8));
+    if (z64 + 56 <= buf.length && buf.readUInt32LE(z64) === 0x06064b50) {
+      count = Number(buf.readBigUInt64LE(z64 + 32));
+      cdOffset = Number(buf.readBigUInt64LE(z64 + 48));
+    }
+  }
+
+  const entries = [];
+  let p = cdOffset;
+  for (let n = 0; n < count; n++) {
+    if (p + 46 > buf.length || buf.readUInt32LE(p) !== 0x02014b50) {
+      throw new ArchiveError('ZIP central directory is corrupt.');
+    }
+    const madeBy = buf.readUInt16LE(p + 4);
+    const flags = buf.readUInt16LE(p + 8);
+    const method = buf.readUInt16LE(p + 10);
+    let compressedSize = buf.readUInt32LE(p + 20);
+    let size = buf.readUInt32LE(p + 24);
+    const nameLen = buf.readUInt16LE(p + 28);
+    const extraLen = buf.readUInt16LE(p + 30);
+    const commentLen = buf.readUInt16LE(p + 32);
+    const externalAttrs = buf.readUInt32LE(p + 38);
+    let localOffset = buf.readUInt32LE(p + 42);
+    const nameBytes = buf.subarray(p + 46, p + 46 + nameLen);
+    let name;
+    if (flags & 0x800) name = nameBytes.toString('utf8');
+    else {
+      try { name = new TextDecoder('utf-8', { fatal: true }).decode(nameBytes); }
+      catch { name = nameBytes.toString('latin1'); }
+    }
+    // ZIP64 extended sizes live in extra field 0x0001, in this order.
+    let e = p + 46 + nameLen;
+    const extraEnd = e + extraLen;
+    while (e + 4 <= extraEnd) {
+      const id = buf.readUInt16LE(e);
+      const len = buf.readUInt16LE(e + 2);
+      if (id === 0x0001) {
+        let q = e + 4;
+        if (size === 0xffffffff && q + 8 <= e + 4 + len) { size = Number(buf.readBigUInt64LE(q)); q += 8; }
+        if (compressedSize === 0xffffffff && q + 8 <= e + 4 + len) { compressedSize = Number(buf.readBigUInt64LE(q)); q += 8; }
+        if (localOffset === 0xffffffff && q + 8 <= e + 4 + len) { localOffset = Number(buf.readBigUInt64LE(q)); }
+      }
+      e += 4 + len;
+    }
+    const unixMode = (madeBy >> 8) === 3 ? externalAttrs >>> 16 : 0;
+    entries.push({
+      rawPath: name,
+      kind: name.endsWith('/') || (externalAttrs & 0x10) ? 'dir' : (unixMode & 0o170000) === 0o120000 ? 'link' : 'file',
+      encrypted: !!(flags & 1),
+      compressedSize,
+      read(cap) {
+        if (localOffset + 30 > buf.length || buf.readUInt32LE(localOffset) !== 0x04034b50) {
+          throw new ArchiveError('corrupt');
+        }
+        const start = localOffset + 30 + buf.readUInt16LE(localOffset + 26) + buf.readUInt16LE(localOffset + 28);
+        const data = buf.subarray(start, start + compressedSize);
+        if (method === 0) return data.length > cap ? null : Buffer.from(data);
+        if (method === 8) return decompressCapped(Inflate, data, cap);
+        throw new ArchiveError('unsupported_method');
+      },
+    });
+    p += 46 + nameLen + extraLen + commentLen;
+  }
+  return entries;
+}
+
+// ── TAR ──────────────────────────────────────────────────────────────
+
+function cstr(buf, start, len) {
+  const slice = buf.subarray(start, start + len);
+  const nul = slice.indexOf(0);
+  return (nul < 0 ? slice : slice.subarray(0, nul)).toString('utf8');
+}
+
+function tarNumber(buf, start, len) {
+  if (buf[start] & 0x80) {
+    // GNU base-256 for sizes ≥ 8 GiB.
+    let n = 0;
+    for (let i = 1; i < len; i++) n = n * 256 + buf[start + i];
+    return n;
+  }
+  const s = cstr(buf, start, len).trim();
+  return s ? parseInt(s, 8) : 0;
+}
+
+function parsePax(data) {
+  const out = {};
+  let i = 0;
+  while (i < data.length) {
+    const sp = data.indexOf(0x20, i);
+    if (sp < 0) break;
+    const len = parseInt(data.subarray(i, sp).toString('utf8'), 10);
+    if (!len) break;
+    const record = data.subarray(sp + 1, i + len - 1).toString('utf8');
+    const eq = record.indexOf('=');
+    if (eq > 0) out[record.slice(0, eq)] = record.slice(eq + 1);
+    i += len;
+  }
+  return out;
+}
+
+function readTarEntries(buf) {
+  const entries = [];
+  let p = 0;
+  let longName = null;
+  let pax = null;
+  while (p + 512 <= buf.length) {
+    const header = buf.subarray(p, p + 512);
+    if (header.every((b) => b === 0)) break;
+    const stored = cstr(header, 148, 8).trim();
+    let sum = 0;
+    let signedSum = 0; // some old writers summed signed bytes
+    for (let i = 0; i < 512; i++) {
+      const b = i >= 148 && i < 156 ? 0x20 : header[i];
+      sum += b;
+      signedSum += b > 127 ? b - 256 : b;
+    }
+    if (stored && ![sum, signedSum].includes(parseInt(stored, 8))) {
+      throw new ArchiveError('TAR header checksum mismatch.');
+    }
+
+    const size = tarNumber(header, 124, 12);
+    const type = String.fromCharCode(header[156] || 0x30);
+    const dataStart = p + 512;
+    const data = buf.subarray(dataStart, Math.min(buf.length, dataStart + size));
+    p = dataStart + Math.ceil(size / 512) * 512;
+
+    if (type === 'L') { longName = cstr(data, 0, data.length); continue; }
+    if (type === 'x') { pax = parsePax(data); continue; }
+    if (type === 'g' || type === 'K') continue;
+
+    let name = cstr(header, 0, 100);
+    if (cstr(header, 257, 5) === 'ustar') {
+      const prefix = cstr(header, 345, 155);
+      if (prefix) name = `${prefix}/${name}`;
+    }
+    if (longName) name = longName;
+    if (pax?.path) name = pax.path;
+    longName = null;
+    pax = null;
+
+    const kind = type === '0' || type === '7' || type === '\0' ? 'file'
+      : type === '5' ? 'dir'
+        : type === '1' || type === '2' ? 'link'
+          : 'special';
+    entries.push({
+      rawPath: name,
+      kind,
+      encrypted: false,
+      compressedSize: size,
+      read(cap) {
+        if (data.length < size) throw new ArchiveError('corrupt');
+        return data.length > cap ? null : Buffer.from(data);
+      },
+    });
+  }
+  return entries;
+}
+
+// ── 7z (7z-wasm) ─────────────────────────────────────────────────────
+
+async function load7z() {
+  const mod = await import('7z-wasm');
+  return mod.default || mod;
+}
+
+async function run7z(args, files) {
+  const SevenZip = await load7z();
+  const lines = [];
+  const sz = await SevenZip({ print: (l) => lines.push(l), printErr: (l) => lines.push(l) });
+  sz.FS.writeFile('/in.7z', files);
+  // A dummy password makes encrypted members fail instead of prompting.
+  const code = sz.callMain([...args.slice(0, 1), '/in.7z', '-pvesno-no-password', ...args.slice(1)]);
+  return { code, lines, fs: sz.FS };
+}
+
+function parse7zListing(lines) {
+  const out = [];
+  let cur = null;
+  let started = false;
+  for (const line of lines) {
+    if (line.startsWith('----------')) { started = true; continue; }
+    if (!started) continue;
+    const m = /^([A-Za-z ]+?) = (.*)$/.exec(line);
+    if (!m) {
+      if (cur) { out.push(cur); cur = null; }
+      continue;
+    }
+    if (m[1] === 'Path') {
+      if (cur) out.push(cur);
+      cur = {};
+    }
+    if (cur) cur[m[1]] = m[2];
+  }
+  if (cur) out.push(cur);
+  return out;
+}
+
+async function expand7z(buf, ctx) {
+  const listing = await run7z(['l', '-slt'], buf);
+  if (listing.code !== 0 && !listing.lines.some((l) => l.startsWith('----------'))) {
+    const msg = listing.lines.find((l) => /error|wrong password|can not open/i.test(l)) || 'cannot open archive';
+    throw new ArchiveError(`7z archive could not be read: ${msg.trim()}`);
+  }
+  const members = parse7zListing(listing.lines);
+  // 7z doesn't keep per-member packed sizes in solid blocks, so the ratio
+  // check applies to the archive as a whole.
+  const ratioBudget = Math.max(ctx.limits.ratioFloorBytes, buf.length * ctx.limits.maxRatio);
+  let declaredTotal = 0;
+  const wanted = [];
+  for (const m of members) {
+    const attrs = m.Attributes || '';
+    const entry = {
+      rawPath: m.Path,
+      kind: m.Folder === '+' || attrs.startsWith('D') ? 'dir' : /\bl[rwx-]{9}/.test(attrs) ? 'link' : 'file',
+      encrypted: m.Encrypted === '+',
+      compressedSize: null,
+    };
+    const size = Number(m.Size || 0);
+    const accepted = ctx.consider(entry, () => {
+      if (size > ctx.limits.maxEntryBytes) return 'too_large';
+      if (declaredTotal + size > ratioBudget) return 'suspicious_compression';
+      if (!ctx.fits(size)) return 'total_size_limit';
+      return null;
+    });
+    if (accepted) {
+      declaredTotal += size;
+      ctx.reserve(size);
+      wanted.push({ path: accepted, raw: m.Path });
+    }
+  }
+  if (!wanted.length) return;
+
+  const extract = await run7z(['x', '-o/out', '-y', '--', ...wanted.map((w) => w.raw)], buf);
+  for (const w of wanted) {
+    let content;
+    try { content = Buffer.from(extract.fs.readFile(`/out/${w.raw}`)); }
+    catch { ctx.skip(w.path, 'corrupt'); continue; }
+    ctx.add(w.path, content);
+  }
+}
+
+// ── Driver ───────────────────────────────────────────────────────────
+
+function makeContext(limits, only) {
+  const files = [];
+  const skipped = [];
+  let skippedCount = 0;
+  let total = 0;
+  let reserved = 0;
+  let accepted = 0;
+  const ctx = {
+    limits,
+    files,
+    skip(path, reason) {
+      skippedCount += 1;
+      if (skipped.length < MAX_SKIPPED_LISTED) skipped.push({ path, reason });
+    },
+    fits: (n) => total + reserved + n <= limits.maxTotalBytes,
+    reserve(n) { reserved += n; },
+    add(path, content) {
+      const slash = path.lastIndexOf('/');
+      files.push({
+        path,
+        name: slash < 0 ? path : path.slice(slash + 1),
+        folder: slash < 0 ? '' : path.slice(0, slash),
+        content,
+      });
+    },
+    /**
+     * Shared pre-checks for one member. `check()` adds format-specific
+     * reasons. Returns the sanitised path when the member should be read.
+     */
+    consider(entry, check) {
+      if (entry.kind === 'dir') return null;
+      const path = sanitiseArchivePath(entry.rawPath);
+      if (only && !only.has(path)) return null;
+      const label = path || String(entry.rawPath || '').slice(0, 200);
+      if (!path) { ctx.skip(label, 'unsafe_path'); return null; }
+      if (entry.kind === 'link') { ctx.skip(path, 'link'); return null; }
+      if (entry.kind !== 'file') { ctx.skip(path, 'not_a_file'); return null; }
+      if (isJunkPath(path)) { ctx.skip(path, 'system_file'); return null; }
+      if (entry.encrypted) { ctx.skip(path, 'encrypted'); return null; }
+      if (accepted >= limits.maxEntries) { ctx.skip(path, 'entry_limit'); return null; }
+      const reason = check?.();
+      if (reason) { ctx.skip(path, reason); return null; }
+      accepted += 1;
+      return path;
+    },
+    read(entry, path) {
+      const remaining = limits.maxTotalBytes - total;
+      const ratioCap = entry.compressedSize == null
+        ? Infinity
+        : Math.max(limits.ratioFloorBytes, entry.compressedSize * limits.maxRatio);
+      const cap = Math.min(limits.maxEntryBytes, remaining, ratioCap);
+      let content;
+      try {
+        content = entry.read(cap);
+      } catch (e) {
+        ctx.skip(path, e.message === 'unsupported_method' ? 'unsupported_method' : 'corrupt');
+        return;
+      }
+      if (!content) {
+        ctx.skip(path, cap === limits.maxEntryBytes ? 'too_large' : cap === remaining ? 'total_size_limit' : 'suspicious_compression');
+        return;
+      }
+      total += content.length;
+      ctx.add(path, content);
+    },
+    result: () => ({ files, skipped, skippedCount }),
+  };
+  return ctx;
+}
+
+/**
+ * Expand an archive buffer. Members that break a rule are listed in
+ * `skipped` with a reason; the rest come back in archive order.
+ *
+ * `only` (a Set of sanitised paths) reads just those members — the worker
+ * plans once, then files the members in batches across Inngest steps.
+ */
+export async function expandArchive(buf, { format, filename, limits: overrides, only = null } = {}) {
+  const limits = { ...ARCHIVE_LIMITS, ...overrides };
+  const fmt = format || archiveFormatOf({ filename });
+  const ctx = makeContext(limits, only);
+  const data = Buffer.isBuffer(buf) ? buf : Buffer.from(buf);
+
+  if (fmt === '7z') {
+    await expand7z(data, ctx);
+    return ctx.result();
+  }
+
+  if (fmt === 'gz') {
+    // A lone gzipped file: one member named after the archive.
+    const inner = String(filename || 'file.gz').split('/').pop().replace(/\.gz$/i, '') || 'file';
+    const entry = { rawPath: inner, kind: 'file', encrypted: false, compressedSize: data.length, read: (cap) => decompressCapped(Gunzip, data, cap) };
+    const path = ctx.consider(entry);
+    if (path) {
+      try { ctx.read(entry, path); }
+      catch (e) { throw new ArchiveError(`gzip stream is corrupt: ${e.message}`); }
+    }
+    return ctx.result();
+  }
+
+  let entries;
+  if (fmt === 'zip') entries = readZipEntries(data);
+  else if (fmt === 'tar') entries = readTarEntries(data);
+  else if (fmt === 'tgz') {
+    let tar;
+    try {
+      tar = decompressCapped(Gunzip, data, Math.min(
+        limits.maxTotalBytes + limits.maxEntries * 1024 + 1024,
+        Math.max(limits.ratioFloorBytes, data.length * limits.maxRatio),
+      ));
+    } catch (e) {
+      throw new ArchiveError(`gzip stream is corrupt: ${e.message}`);
+    }
+    if (!tar) throw new ArchiveError('Archive expands beyond the size limit (possible zip bomb).');
+    entries = readTarEntries(tar);
+  } else {
+    throw new ArchiveError(`Unsupported archive format: ${fmt || 'unknown'}`);
+  }
+
+  for (const entry of entries) {
+    const path = ctx.consider(entry);
+    if (path) ctx.read(entry, path);
+  }
+  return ctx.result();
+}
@@ -0,0 +1,35 @@
+/**
+ * detectDealContradictions
+ *
+ * Triggered by `deal.facts-updated`, which processDealDocument sends once
+ * a document's key facts (revenue, EBITDA, headcount, customers, key
+ * dates) are stored. Compares the facts of every live document in the
+ * deal and raises a redFlags finding per figure the documents disagree
+ * on, citing each side's chunk (lib/deal-analysis/contradictionScan.js).
+ *
+ * Debounced per deal: a data-room upload of fifty files runs the
+ * comparison once, after the last document settles, instead of fifty
+ * times.
+ */
+
+import { inngest } from '../client';
+import { requireSupabase } from '@/lib/api-helpers';
+import { syncDealContradictions } from '@/lib/deal-analysis/contradictionScan';
+
+export const detectDealContradictions = inngest.createFunction(
+  {
+    id: 'detect-deal-contradictions',
+    name: 'Detect cross-document contradictions',
+    retries: 2,
+    debounce: { key: 'event.data.deal_id', period: '60s' },
+  },
+  { event: 'deal.facts-updated' },
+  async ({ event, step }) => {
+    const dealId = event.data?.deal_id;
+    if (!dealId) throw new Error('deal_id missing on event');
+    const sb = requireSupabase();
+    if (!sb) throw new Error('Supabase not configured');
+
+    return step.run('compare-facts', () => syncDealContradictions(sb, { dealId }));
+  },
+);
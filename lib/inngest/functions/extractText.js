@@ -13,11 +13,16 @@
  * Dispatches by mime_type or falls back to filename extension.
  *
  * Dependencies in package.json: mammoth, officeparser, xlsx.
+ *
+ * extractTables() is the structured counterpart: typed financial-table
+ * rows with cell refs (spreadsheets) or page locators (PDF text), see
+ * lib/deal-analysis/financialTables.js.
  */
 
 import mammoth from 'mammoth';
 import officeparser from 'officeparser';
 import * as XLSX from 'xlsx';
+import { detectSheetTables, detectTextTables } from '../../deal-analysis/financialTables.js';
 
 function extOf(filename = '') {
   const dot = filename.lastIndexOf('.');
@@ -35,7 +40,8 @@ const NON_EXTRACTABLE_EXTS = new Set([
   'mp3','wav','m4a','aac','ogg','opus','flac','aiff',
   // video
   'mp4','mov','avi','mkv','webm','mpeg','mpg','m4v','wmv','3gp',
-  // archives / binaries
+  // archives / binaries (zip, 7z, tar and gz are expanded into their
+  // members by processDealDocument before extraction — see ./archive.js)
   'zip','rar','7z','tar','gz','bz2','xz','iso','dmg',
   // executables / installers
   'exe','msi','dll','so','app','deb','rpm','apk',
@@ -168,3 +174,62 @@ export async function extractTextFromBuffer(buf, { mimeType, filename } = {}) {
   // chunks — let the worker mark it `stored`.
   return { segments: [], pageCount: null, reason: 'unknown_format' };
 }
+
+// Bounds on the grid handed to table detection — a 1M-row export is a
+// ledger, not a statement.
+const TABLE_MAX_ROWS = 5000;
+const TABLE_MAX_COLS = 200;
+
+export function isSpreadsheetDocument({ mimeType, filename } = {}) {
+  const mt = (mimeType || '').toLowerCase();
+  const ext = extOf(filename);
+  return mt.includes('spreadsheetml') || mt.includes('ms-excel') || mt === 'text/csv'
+    || ['xlsx', 'xls', 'csv'].includes(ext);
+}
+
+function sheetGrid(sheet) {
+  if (!sheet?.['!ref']) return null;
+  const range = XLSX.utils.decode_range(sheet['!ref']);
+  const lastRow = Math.min(range.e.r, range.s.r + TABLE_MAX_ROWS - 1);
+  const lastCol = Math.min(range.e.c, range.s.c + TABLE_MAX_COLS - 1);
+  const grid = [];
+  for (let r = range.s.r; r <= lastRow; r++) {
+    const row = [];
+    for (let c = range.s.c; c <= lastCol; c++) {
+      const cell = sheet[XLSX.utils.encode_cell({ r, c })];
+      row.push(cell && cell.v != null ? { v: cell.v, z: cell.z || null } : null);
+    }
+    grid.push(row);
+  }
+  return { grid, origin: { r: range.s.r, c: range.s.c } };
+}
+
+/**
+ * Financial tables in a document. Spreadsheets and CSVs are re-read as
+ * cell grids (number formats carry the currency); PDFs reuse the page
+ * segments from extractTextFromBuffer, or OCR output when that ran.
+ *
+ * @returns {Promise<Array<object>>} tables from financialTables.js
+ */
+export async function extractTables({ buf, segments, mimeType, filename } = {}) {
+  if (isSpreadsheetDocument({ mimeType, filename })) {
+    if (!buf) return [];
+    const isCsv = (mimeType || '').toLowerCase() === 'text/csv' || extOf(filename) === 'csv';
+    // CSV stays text (raw) so "Jan-24" headers aren't coerced into dates.
+    const wb = isCsv
+      ? XLSX.read(buf.toString('utf8'), { type: 'string', raw: true })
+      : XLSX.read(buf, { type: 'buffer', cellDates: true, cellNF: true });
+    const tables = [];
+    for (const sheetName of wb.SheetNames) {
+      const g = sheetGrid(wb.Sheets[sheetName]);
+      if (!g) continue;
+      tables.push(...detectSheetTables(g.grid, { sheetName: isCsv ? null : sheetName, origin: g.origin }));
+    }
+    return tables;
+  }
+  const mt = (mimeType || '').toLowerCase();
+  if (mt === 'application/pdf' || extOf(filename) === 'pdf') {
+    return (segments || []).flatMap((s) => detectTextTables(s.content, { pageNumber: s.page_number ?? null }));
+  }
+  return [];
+}
@@ -6,11 +6,21 @@
  *   2. Extract text (mammoth for DOCX, officeparser for PPTX/PDF, xlsx for spreadsheets)
  *   3. Chunk into ~800-token segments respecting natural boundaries
  *   4. Insert deal_document_chunks rows (without embeddings yet)
+ *   4b. Detect financial tables (spreadsheets, PDFs) into deal_table_rows
  *   5. Embed chunks in batches via Voyage AI (skipped if VOYAGE_API_KEY unset)
- *   6. Patch embeddings + flip deal_documents.status to 'ready'
+ *   6. Patch embeddings, categorise, scan contracts for red-flag clauses
+ *      and store key facts (revenue, EBITDA, headcount, …)
+ *   7. Flip deal_documents.status to 'ready'
+ *   8. Queue the deal-wide contradiction check (detectDealContradictions)
  *
  * Each step is wrapped in `step.run()` so Inngest persists progress and
  * retries on failure without redoing the work that already succeeded.
+ *
+ * Archives (ZIP / 7z / TAR / gzip) take a different path after step 1:
+ * the members are planned, then filed in batches as child deal_documents
+ * rows (parent_document_id, archive_path, folder path as the label), each
+ * of which comes back through this function on its own upload event. The
+ * archive itself ends `stored` with a manifest of what was expanded.
  */
 
 import { inngest } from '../client';
@@ -23,11 +33,21 @@ import {
   getSupabaseHeaders, getSupabaseWriteHeaders, requireSupabase, fetchWithTimeout,
 } from '@/lib/api-helpers';
 import { recordTokenUsage, getOrgIdForUser } from '@/lib/costGuard';
-import { extractTextFromBuffer } from './extractText';
+import { storeDealDocument } from '@/lib/dealDocumentStore';
+import { DOCUMENT_ACCESS_COLUMNS, inheritedDocumentAccess } from '@/lib/dealDocumentVisibility';
+import { scanDocumentContracts } from '@/lib/deal-analysis/contractScan';
+import { extractDocumentKeyFacts } from '@/lib/deal-analysis/contradictionScan';
+import { extractTextFromBuffer, extractTables, isSpreadsheetDocument } from './extractText';
 import { chunkText } from './chunker';
+import {
+  archiveFormatOf, expandArchive, mimeTypeFor, ArchiveError, ARCHIVE_LIMITS,
+} from './archive';
 
 const MAX_CHUNKS_PER_DOC = 1500;
 const EMBED_BATCH = 32;
+const ARCHIVE_FILE_BATCH = 50; // archive members filed per step
+const MAX_TABLE_ROWS_PER_DOC = 20000;
+const TABLE_ROW_BATCH = 500;
 
 export const processDealDocument = inngest.createFunction(
   {
@@ -77,6 +97,12 @@ export const processDealDocument = inngest.createFunction(
       );
     });
 
+    // Archives: expand into child documents instead of extracting text.
+    const archiveFormat = archiveFormatOf({ mimeType: mime_type, filename: storage_path });
+    if (archiveFormat) {
+      return expandArchiveDocument({ sb, step, deal_id, document_id, storage_path, format: archiveFormat });
+    }
+
     // 2. Download + extract. OCR runs in the same step when the native
     //    extractor returns nothing useful (scanned PDF, image upload). We
     //    download once and reuse the buffer for both passes.
@@ -93,13 +119,7 @@ export const processDealDocument = inngest.createFunction(
     const extracted = await step.run('extract-text', async () => {
       let buf;
       try {
-        const dlResp = await fetchWithTimeout(
-          `${sb.url}/storage/v1/object/deal-documents/${storage_path}`,
-          { method: 'GET', headers: getSupabaseHeaders(sb.key) },
-          45000,
-        );
-        if (!dlResp.ok) throw new Error(`Storage download failed: ${dlResp.status}`);
-        buf = Buffer.from(await dlResp.arrayBuffer());
+        buf = await downloadDocument(sb, storage_path);
       } catch (e) {
         // Surface a terminal failure instead of leaving status='parsing'.
         await markFailed(sb, document_id, `Storage download failed: ${e.message}`.slice(0, 500));
@@ -210,6 +230,25 @@ export const processDealDocument = inngest.createFunction(
       }
     });
 
+    // 4b. Structured tables — best-effort. Spreadsheets are re-read as
+    //     cell grids (the text segments lost the cell refs); PDFs reuse
+    //     the page text. A failure here never fails the document; search
+    //     still works off the chunks.
+    await step.run('extract-tables', async () => {
+      try {
+        const buf = isSpreadsheetDocument({ mimeType: mime_type, filename: storage_path })
+          ? await downloadDocument(sb, storage_path)
+          : null;
+        const tables = await extractTables({
+          buf, segments: extracted.segments, mimeType: mime_type, filename: storage_path,
+        });
+        return await replaceDocumentTables(sb, { deal_id, document_id, tables });
+      } catch (e) {
+        logger.warn('Table extraction failed', { error: e.message, document_id, deal_id });
+        return { tables: 0, rows: 0, error: e.message.slice(0, 200) };
+      }
+    });
+
     // 5. Embed (skipped cleanly if VOYAGE_API_KEY missing - search degrades to FTS-only)
     if (embeddingsConfigured()) {
       // Re-fetch chunk ids in stable order so we can patch by id.
@@ -293,6 +332,30 @@ export const processDealDocument = inngest.createFunction(
       }
     });
 
+    // 6b. Contract red flags — best-effort. Runs after categorisation so
+    //     the category can gate it; clauses land in the contract register
+    //     and risky ones become redFlags findings for review.
+    await step.run('scan-contract-clauses', async () => {
+      try {
+        return await scanDocumentContracts(sb, { dealId: deal_id, documentId: document_id });
+      } catch (e) {
+        logger.warn('Contract clause scan failed', { error: e.message, document_id, deal_id });
+        return { scanned: false, error: e.message.slice(0, 200) };
+      }
+    });
+
+    // 6c. Key facts — best-effort. Revenue, EBITDA, headcount, customer
+    //     counts and key dates with their citations, read from the chunks
+    //     and the tables extracted in 4b; compared across the deal below.
+    const facts = await step.run('extract-key-facts', async () => {
+      try {
+        return await extractDocumentKeyFacts(sb, { dealId: deal_id, documentId: document_id });
+      } catch (e) {
+        logger.warn('Key fact extraction failed', { error: e.message, document_id, deal_id });
+        return { facts: 0, error: e.message.slice(0, 200) };
+      }
+    });
+
     // 7. Mark ready
     await step.run('mark-ready', async () => {
       await fetchWithTimeout(
@@ -305,10 +368,218 @@ export const processDealDocument = inngest.createFunction(
       );
     });
 
+    // 8. Cross-document contradictions. Debounced per deal by the job, so
+    //    a bulk upload compares once. Sent on a reprocess with no facts
+    //    too: the document may have stopped contradicting the others.
+    if (!facts.error) {
+      await step.sendEvent('queue-contradiction-check', { name: 'deal.facts-updated', data: { deal_id } });
+    }
+
     return { document_id, chunks: chunks.length, embedded: embeddingsConfigured() };
   },
 );
 
+/**
+ * Swap a document's deal_document_tables / deal_table_rows for a fresh
+ * extraction (rows cascade with their table), so reprocessing never
+ * leaves stale values behind.
+ */
+async function replaceDocumentTables(sb, { deal_id, document_id, tables }) {
+  const del = await fetchWithTimeout(
+    `${sb.url}/rest/v1/deal_document_tables?document_id=eq.${document_id}`,
+    { method: 'DELETE', headers: getSupabaseWriteHeaders(sb.key) },
+  );
+  if (!del.ok) throw new Error(`table delete failed (${del.status})`);
+
+  let budget = MAX_TABLE_ROWS_PER_DOC;
+  const kept = [];
+  for (const t of tables) {
+    if (budget <= 0) break;
+    const rows = t.rows.slice(0, budget);
+    budget -= rows.length;
+    kept.push({ ...t, rows });
+  }
+  if (!kept.length) return { tables: 0, rows: 0 };
+
+  const ins = await fetchWithTimeout(
+    `${sb.url}/rest/v1/deal_document_tables`,
+    {
+      method: 'POST',
+      headers: { ...getSupabaseWriteHeaders(sb.key), Prefer: 'return=representation' },
+      body: JSON.stringify(kept.map((t, i) => ({
+        deal_id,
+        document_id,
+        table_index: i,
+        sheet_name: t.sheet_name,
+        page_number: t.page_number,
+        cell_range: t.cell_range,
+        title: t.title,
+        currency: t.currency,
+        scale: t.scale,
+        periods: t.periods,
+        row_count: t.rows.length,
+      }))),
+    },
+  );
+  if (!ins.ok) throw new Error(`table insert failed (${ins.status})`);
+  const inserted = await ins.json();
+  const idByIndex = new Map(inserted.map((t) => [t.table_index, t.id]));
+
+  const rows = kept.flatMap((t, i) => t.rows.map((r) => ({
+    ...r,
+    table_id: idByIndex.get(i),
+    deal_id,
+    document_id,
+    sheet_name: t.sheet_name,
+    page_number: t.page_number,
+    source_text: r.source_text ?? null,
+  })));
+  for (let i = 0; i < rows.length; i += TABLE_ROW_BATCH) {
+    const resp = await fetchWithTimeout(
+      `${sb.url}/rest/v1/deal_table_rows`,
+      {
+        method: 'POST',
+        headers: { ...getSupabaseWriteHeaders(sb.key), Prefer: 'return=minimal' },
+        body: JSON.stringify(rows.slice(i, i + TABLE_ROW_BATCH)),
+      },
+    );
+    if (!resp.ok) throw new Error(`table row insert failed (${resp.status})`);
+  }
+  return { tables: kept.length, rows: rows.length };
+}
+
+async function downloadDocument(sb, storage_path) {
+  const dlResp = await fetchWithTimeout(
+    `${sb.url}/storage/v1/object/deal-documents/${storage_path}`,
+    { method: 'GET', headers: getSupabaseHeaders(sb.key) },
+    45000,
+  );
+  if (!dlResp.ok) throw new Error(`Storage download failed: ${dlResp.status}`);
+  return Buffer.from(await dlResp.arrayBuffer());
+}
+
+/**
+ * Archive path. `plan-archive` expands once to decide which members are
+ * filed (limits, junk, unsafe paths) and returns only their paths; each
+ * `file-archive-N` step re-reads the archive for its batch so no step
+ * holds more than ARCHIVE_FILE_BATCH members or outlives the function
+ * timeout. Children inherit the parent's party, tags and access — its
+ * visibility, clean-team ring-fence, view-only flag and expiry — so a
+ * ring-fenced archive never unpacks into documents the whole room sees.
+ */
+async function expandArchiveDocument({ sb, step, deal_id, document_id, storage_path, format }) {
+  const plan = await step.run('plan-archive', async () => {
+    const parentResp = await fetchWithTimeout(
+      `${sb.url}/rest/v1/deal_documents?id=eq.${document_id}`
+        + `&select=filename,label,source_party,tags,uploaded_by_email,archive_depth,archive_path,${DOCUMENT_ACCESS_COLUMNS}`,
+      { method: 'GET', headers: getSupabaseHeaders(sb.key) },
+    );
+    const [parent] = parentResp.ok ? await parentResp.json() : [];
+    if (!parent) throw new Error(`Document ${document_id} not found`);
+
+    const depth = parent.archive_depth || 0;
+    if (depth >= ARCHIVE_LIMITS.maxNesting) {
+      await markStored(sb, document_id, 'archive_too_deep');
+      return { parent, paths: [], tooDeep: true };
+    }
+
+    let buf;
+    try {
+      buf = await downloadDocument(sb, storage_path);
+    } catch (e) {
+      await markFailed(sb, document_id, e.message.slice(0, 500));
+      throw e;
+    }
+    try {
+      const out = await expandArchive(buf, { format, filename: parent.filename });
+      // Limits were applied during expansion; only paths cross the step boundary.
+      return { parent, paths: out.files.map((f) => f.path), skipped: out.skipped, skippedCount: out.skippedCount };
+    } catch (e) {
+      if (!(e instanceof ArchiveError)) throw e;
+      // Corrupt / encrypted / bomb: terminal, a retry won't change it.
+      await markFailed(sb, document_id, `Archive could not be expanded: ${e.message}`.slice(0, 500));
+      return { parent, paths: [], error: e.message };
+    }
+  });
+
+  if (plan.tooDeep || plan.error) {
+    return { document_id, archive: true, expanded: 0, reason: plan.tooDeep ? 'too_deep' : 'unreadable' };
+  }
+
+  const { parent } = plan;
+  const depth = parent.archive_depth || 0;
+  // "Export.zip/1. Financials" — a nested archive carries its own trail.
+  const base = parent.archive_path
+    ? [parent.label, parent.filename].filter(Boolean).join('/')
+    : parent.filename;
+  const totals = { added: 0, duplicates: 0, failed: 0 };
+
+  for (let i = 0; i < plan.paths.length; i += ARCHIVE_FILE_BATCH) {
+    const batch = plan.paths.slice(i, i + ARCHIVE_FILE_BATCH);
+    const res = await step.run(`file-archive-${i}`, async () => {
+      const buf = await downloadDocument(sb, storage_path);
+      const { files } = await expandArchive(buf, { format, filename: parent.filename, only: new Set(batch) });
+      const counts = { added: 0, duplicates: 0, failed: 0 };
+      for (const f of files) {
+        try {
+          const { deduped } = await storeDealDocument(sb, {
+            dealId: deal_id,
+            filename: f.name,
+            mimeType: mimeTypeFor(f.name),
+            content: f.content,
+            fields: {
+              label: (f.folder ? `${base}/${f.folder}` : base).slice(0, 200),
+              source_party: parent.source_party,
+              tags: parent.tags || [],
+              ...inheritedDocumentAccess(parent),
+              uploaded_by_email: parent.uploaded_by_email,
+              parent_document_id: document_id,
+              archive_path: f.path,
+              archive_depth: depth + 1,
+            },
+          });
+          counts[deduped ? 'duplicates' : 'added'] += 1;
+        } catch (e) {
+          counts.failed += 1;
+          logger.warn('Archive member could not be filed', { document_id, path: f.path, error: e.message });
+        }
+      }
+      counts.failed += batch.length - files.length;
+      return counts;
+    });
+    totals.added += res.added;
+    totals.duplicates += res.duplicates;
+    totals.failed += res.failed;
+  }
+
+  await step.run('mark-archive-expanded', async () => {
+    const parts = [`${totals.added} file${totals.added === 1 ? '' : 's'} added`];
+    if (totals.duplicates) parts.push(`${totals.duplicates} already in the data room`);
+    if (plan.skippedCount) parts.push(`${plan.skippedCount} skipped`);
+    if (totals.failed) parts.push(`${totals.failed} failed`);
+    await fetchWithTimeout(
+      `${sb.url}/rest/v1/deal_documents?id=eq.${document_id}`,
+      {
+        method: 'PATCH',
+        headers: getSupabaseWriteHeaders(sb.key),
+        body: JSON.stringify({
+          status: 'stored',
+          processing_error: `Archive expanded — ${parts.join(', ')}.`,
+          archive_manifest: {
+            format,
+            members: plan.paths.length,
+            ...totals,
+            skipped_count: plan.skippedCount,
+            skipped: plan.skipped,
+          },
+        }),
+      },
+    );
+  });
+
+  return { document_id, archive: true, expanded: plan.paths.length, ...totals };
+}
+
 async function markFailed(sb, document_id, msg) {
   await fetchWithTimeout(
     `${sb.url}/rest/v1/deal_documents?id=eq.${document_id}`,
@@ -321,8 +592,9 @@ async function markFailed(sb, document_id, msg) {
 }
 
 // `stored` means: file is in the data room, downloadable + previewable, but
-// has no text chunks (image, audio, video, archive, scanned PDF without OCR
-// configured). The note explains why so the UI can surface a hint.
+// has no text chunks (image, audio, video, archive past the nesting limit,
+// scanned PDF without OCR configured). The note explains why so the UI can
+// surface a hint.
 async function markStored(sb, document_id, reason) {
   const note = reason === 'pdf_no_text_layer'
     ? 'Scanned PDF — no text layer detected. Enable OCR (Mistral key under Org admin → API keys) to index this document.'
@@ -330,7 +602,9 @@ async function markStored(sb, document_id, reason) {
       ? 'OCR provider returned an error — file is downloadable but not text-indexed. Try Reprocess once OCR is reachable.'
       : reason === 'non_extractable_format'
         ? 'Stored only — this format is not text-indexed but remains downloadable from the data room.'
-        : 'Stored only — no text could be extracted.';
+        : reason === 'archive_too_deep'
+          ? `Stored only — archives nested more than ${ARCHIVE_LIMITS.maxNesting} levels deep are not expanded.`
+          : 'Stored only — no text could be extracted.';
   await fetchWithTimeout(
     `${sb.url}/rest/v1/deal_documents?id=eq.${document_id}`,
     {
@@ -5,27 +5,41 @@
  *   1. Cron — every 15 min, sweeps `deal_connector_bindings` whose
  *      next_sync_after has elapsed and queues this function for each.
  *   2. Event `connector-binding.sync-requested` — fired by the binding
- *      POST route (immediate sync) or by Reina's chat tool.
+ *      POST route (immediate sync), the sync route (optionally with
+ *      `full: true` for a full resync) or by Reina's chat tool.
  *
  * Per binding:
  *   1. Resolve token via lib/connectors/tokens.js (refreshes if needed)
- *   2. Call provider.listChanges(deltaCursor) → { items, nextCursor }
- *   3. For each upsert item:
- *      - SHA-256 the bytes (downloaded once)
- *      - Upsert deal_documents row keyed on (binding_id, source_external_id)
- *      - Push bytes to Supabase Storage at deal-documents/{deal_id}/{doc_id}/{filename}
- *      - Emit `deal-document.uploaded` so the existing pipeline runs
- *   4. For each delete item: flip status='archived' on the matching row
- *   5. Persist nextCursor + last_sync_at + reschedule next_sync_after
+ *   2. Call provider.listChanges(deltaCursor) → { items, nextCursor }.
+ *      No cursor, an expired cursor (CursorExpiredError) or `full: true`
+ *      lists the whole folder instead and reconciles: rows missing from
+ *      the listing are tombstoned.
+ *   3. Prepend the stored delta_backlog, load the binding's existing
+ *      deal_documents once, and plan each item (lib/connectors/syncPlan.js):
+ *      add / update / restore download the bytes; rename / move patch
+ *      the row; deletes and moves out of the folder set status='archived'
+ *      + source_deleted_at.
+ *   4. Persist nextCursor straight away with whatever the per-run
+ *      download cap deferred as the new delta_backlog, so a crash or cap
+ *      never loses changes the cursor has moved past.
+ *   5. Apply the ops; downloaded files go to Storage at
+ *      deal-documents/{deal_id}/{doc_id}/{filename} and emit
+ *      `deal-document.uploaded` so the existing pipeline runs.
+ *   6. Write per-run counts to last_sync_stats and reschedule; a
+ *      remaining backlog re-queues the binding immediately.
  *
  * Best-effort throughout. Per-file failures don't fail the whole binding;
- * they're logged and the binding stays active for the next sweep.
+ * they're logged, counted and their items go back on delta_backlog, so
+ * the next sweep retries them instead of waiting for a full resync.
  */
 
 import crypto from 'node:crypto';
 import { inngest } from '../client';
 import { getProvider } from '@/lib/connectors';
 import { resolveActiveToken } from '@/lib/connectors/tokens';
+import {
+  planSync, splitForRun, requeueItem, emptySyncStats, STAT_FOR_KIND,
+} from '@/lib/connectors/syncPlan';
 import {
   getSupabaseHeaders, getSupabaseWriteHeaders, requireSupabase, fetchWithTimeout,
 } from '@/lib/api-helpers';
@@ -33,7 +47,7 @@ import { sendEvent } from '@/lib/inngest/client';
 import { logger } from '@/lib/logger';
 
 const SYNC_INTERVAL_MS = 15 * 60 * 1000;
-const MAX_FILES_PER_RUN = 100;
+const MAX_DOWNLOADS_PER_RUN = 100;
 
 export const syncConnectorBinding = inngest.createFunction(
   {
@@ -73,11 +87,11 @@ export const syncConnectorBinding = inngest.createFunction(
     // Load the binding + integration context.
     const ctx = await step.run('load-binding', async () => {
       const r = await fetchWithTimeout(
-        `${sb.url}/rest/v1/deal_connector_bindings?id=eq.${bindingId}&select=id,deal_id,integration_id,source_ref,delta_cursor,source_party,visibility,org_integrations(provider,org_id,status)&limit=1`,
+        `${sb.url}/rest/v1/deal_connector_bindings?id=eq.${bindingId}&select=id,deal_id,integration_id,source_ref,delta_cursor,delta_backlog,source_party,visibility,org_integrations(provider,org_id,status)&limit=1`,
         { method: 'GET', headers: getSupabaseHeaders(sb.key) },
       );
       const [row] = r.ok ? await r.json() : [];
-      return row || null;
+      return row ? { ...row, started_at: Date.now() } : null;
     });
     if (!ctx) throw new Error(`Binding ${bindingId} not found`);
     if (ctx.org_integrations?.status !== 'active') {
@@ -106,156 +120,214 @@ export const syncConnectorBinding = inngest.createFunction(
       return { error: 'no_token' };
     }
 
-    // List changes.
+    // List changes. A full listing is requested explicitly, happens on
+    // first sync, or replaces a delta cursor the provider no longer accepts.
     let listResult;
     try {
       listResult = await step.run('list-changes', async () => {
-        return def.listChanges({
+        const list = (deltaCursor) => def.listChanges({
           accessToken: tok.accessToken,
           sourceRef: ctx.source_ref,
-          deltaCursor: ctx.delta_cursor || null,
+          deltaCursor,
           metadata: tok.metadata,
         });
+        if (event.data?.full || !ctx.delta_cursor) {
+          return { ...(await list(null)), mode: ctx.delta_cursor ? 'full' : 'initial' };
+        }
+        try {
+          return { ...(await list(ctx.delta_cursor)), mode: 'delta' };
+        } catch (e) {
+          if (e?.name !== 'CursorExpiredError') throw e;
+          logger.info('Connector sync: delta cursor expired, re-listing', { bindingId, provider });
+          return { ...(await list(null)), mode: 'full' };
+        }
       });
     } catch (e) {
       await markBinding(sb, bindingId, 'error', `listChanges failed: ${e.message}`.slice(0, 500));
       return { error: 'list_changes_failed' };
     }
 
-    const items = (listResult.items || []).slice(0, MAX_FILES_PER_RUN);
-    let processed = 0;
-    let archived = 0;
-    let errored = 0;
+    const full = listResult.mode !== 'delta';
+    // A full listing is authoritative — the backlog it supersedes is dropped.
+    const backlog = full ? [] : (Array.isArray(ctx.delta_backlog) ? ctx.delta_backlog : []);
+    const listed = listResult.items || [];
 
-    for (const item of items) {
-      try {
-        if (item.op === 'delete') {
-          await step.run(`archive-${item.externalId}`, async () => {
-            // Scope the archive to (binding_id, externalId) so a deletion
-            // event from binding A doesn't soft-delete a row that was
-            // ingested by binding B referencing the same source file.
-            // Two bindings touching the same external file is rare but
-            // legal; without this scope the second binding would see the
-            // archive and never re-ingest because dedup would match the
-            // archived row.
-            await fetchWithTimeout(
-              `${sb.url}/rest/v1/deal_documents?connector_binding_id=eq.${bindingId}&source_external_id=eq.${encodeURIComponent(item.externalId)}`,
-              { method: 'PATCH', headers: getSupabaseWriteHeaders(sb.key),
-                body: JSON.stringify({ status: 'archived', updated_at: new Date().toISOString() }) },
-            );
-          });
-          archived += 1;
-          continue;
-        }
-        await step.run(`ingest-${item.externalId}`, async () => {
-          const buf = await def.downloadFile({
-            accessToken: tok.accessToken, externalId: item.externalId, sourceRef: ctx.source_ref,
-          });
-          const contentHash = crypto.createHash('sha256').update(buf).digest('hex');
+    const existingRows = await step.run('load-documents', async () => {
+      const r = await fetchWithTimeout(
+        `${sb.url}/rest/v1/deal_documents?connector_binding_id=eq.${bindingId}&select=id,source_external_id,filename,source_path,source_version,content_hash,status`,
+        { method: 'GET', headers: getSupabaseHeaders(sb.key) },
+      );
+      if (!r.ok) throw new Error(`Could not load binding documents (${r.status})`);
+      return r.json();
+    });
 
-          // Idempotency by (binding, externalId) — re-syncs update the same row.
-          const cur = await fetchWithTimeout(
-            `${sb.url}/rest/v1/deal_documents?connector_binding_id=eq.${bindingId}&source_external_id=eq.${encodeURIComponent(item.externalId)}&select=id,content_hash,status&limit=1`,
-            { method: 'GET', headers: getSupabaseHeaders(sb.key) },
-          );
-          const [existing] = cur.ok ? await cur.json() : [];
+    const plan = planSync([...backlog, ...listed], existingRows, { full });
+    const { now: ops, deferred } = splitForRun(plan, { maxDownloads: MAX_DOWNLOADS_PER_RUN });
 
-          if (existing && existing.content_hash === contentHash && existing.status !== 'failed') {
-            return; // unchanged — skip
-          }
+    // Cursor + backlog go in before any file work: from here on the
+    // provider won't replay these changes, so they must be on record.
+    await step.run('save-cursor', async () => {
+      await fetchWithTimeout(
+        `${sb.url}/rest/v1/deal_connector_bindings?id=eq.${bindingId}`,
+        { method: 'PATCH', headers: getSupabaseWriteHeaders(sb.key),
+          body: JSON.stringify({
+            delta_cursor: listResult.nextCursor || ctx.delta_cursor || null,
+            delta_backlog: deferred.length ? deferred : null,
+            ...(full ? { last_full_sync_at: new Date().toISOString() } : {}),
+            updated_at: new Date().toISOString(),
+          }) },
+      );
+    });
 
-          let docId;
-          if (existing) {
-            // Re-upload + reset to pending so the worker re-chunks.
-            docId = existing.id;
-            await fetchWithTimeout(
-              `${sb.url}/rest/v1/deal_documents?id=eq.${docId}`,
-              { method: 'PATCH', headers: getSupabaseWriteHeaders(sb.key),
-                body: JSON.stringify({
-                  filename: item.filename, mime_type: item.mimeType, byte_size: item.byteSize,
-                  content_hash: contentHash, status: 'pending', processing_error: null,
-                  updated_at: new Date().toISOString(),
-                }) },
-            );
-          } else {
-            const ins = await fetchWithTimeout(
-              `${sb.url}/rest/v1/deal_documents`,
-              { method: 'POST',
-                headers: { ...getSupabaseWriteHeaders(sb.key), Prefer: 'return=representation' },
-                body: JSON.stringify({
-                  deal_id: ctx.deal_id, filename: item.filename, mime_type: item.mimeType,
-                  byte_size: item.byteSize, content_hash: contentHash,
-                  source_party: ctx.source_party, visibility: ctx.visibility,
-                  uploaded_by_email: 'connector@vesno', status: 'pending',
-                  connector_binding_id: bindingId, source_external_id: item.externalId,
-                }) },
-            );
-            const [doc] = await ins.json();
-            docId = doc.id;
-          }
+    const stats = emptySyncStats(listResult.mode);
+    stats.listed = listed.length;
+    const failed = [];
 
-          // Upload bytes to Storage (overwrite if existing).
-          const safeName = (item.filename || 'document').replace(/[^a-zA-Z0-9._-]/g, '_').slice(0, 200);
-          const storagePath = `${ctx.deal_id}/${docId}/${safeName}`;
-          const up = await fetchWithTimeout(
-            `${sb.url}/storage/v1/object/deal-documents/${storagePath}`,
-            { method: 'POST',
-              headers: { ...getSupabaseHeaders(sb.key), 'Content-Type': item.mimeType || 'application/octet-stream', 'x-upsert': 'true' },
-              body: buf },
-            45000,
-          );
-          if (!up.ok) {
-            await fetchWithTimeout(
-              `${sb.url}/rest/v1/deal_documents?id=eq.${docId}`,
-              { method: 'PATCH', headers: getSupabaseWriteHeaders(sb.key),
-                body: JSON.stringify({ status: 'failed', processing_error: 'Storage upload failed during connector sync.' }) },
-            );
-            return;
+    for (const op of ops) {
+      const externalId = op.item?.externalId || op.existing?.source_external_id;
+      if (op.kind === 'unchanged') { stats.unchanged += 1; continue; }
+      try {
+        const outcome = await step.run(`${op.kind}-${externalId}`, async () => {
+          if (op.kind === 'archive') {
+            await patchDocument(sb, op.existing.id, {
+              status: 'archived', source_deleted_at: new Date().toISOString(),
+            });
+            return 'archive';
           }
-          await fetchWithTimeout(
-            `${sb.url}/rest/v1/deal_documents?id=eq.${docId}`,
-            { method: 'PATCH', headers: getSupabaseWriteHeaders(sb.key),
-              body: JSON.stringify({ storage_path: storagePath }) },
-          );
-
-          // Hand off to the existing pipeline.
-          try {
-            await sendEvent({
-              name: 'deal-document.uploaded',
-              data: { deal_id: ctx.deal_id, document_id: docId, storage_path: storagePath, mime_type: item.mimeType, byte_size: item.byteSize },
+          if (!op.download) {
+            await patchDocument(sb, op.existing.id, {
+              filename: op.item.filename || op.existing.filename,
+              source_path: op.item.path ?? op.existing.source_path ?? null,
+              source_version: op.item.version || op.existing.source_version || null,
             });
-          } catch (e) {
-            logger.warn('Connector sync: enqueue failed', { error: e.message, docId });
+            return op.kind;
           }
+          return ingestItem({ sb, ctx, def, tok, op, bindingId });
         });
-        processed += 1;
+        stats[STAT_FOR_KIND[outcome]] += 1;
       } catch (e) {
-        errored += 1;
-        logger.warn('Connector sync: per-file error', { error: e.message, externalId: item.externalId });
+        stats.errored += 1;
+        const retry = requeueItem(op);
+        if (retry) failed.push(retry);
+        logger.warn('Connector sync: per-file error', { error: e.message, externalId, kind: op.kind });
       }
     }
+    stats.backlog = deferred.length + failed.length;
 
-    // Persist cursor + reschedule.
     await step.run('mark-active', async () => {
-      const next = new Date(Date.now() + SYNC_INTERVAL_MS).toISOString();
+      const now = Date.now();
+      const next = new Date(now + SYNC_INTERVAL_MS).toISOString();
       await fetchWithTimeout(
         `${sb.url}/rest/v1/deal_connector_bindings?id=eq.${bindingId}`,
         { method: 'PATCH', headers: getSupabaseWriteHeaders(sb.key),
           body: JSON.stringify({
             sync_status: 'active',
-            delta_cursor: listResult.nextCursor || ctx.delta_cursor || null,
-            last_sync_at: new Date().toISOString(),
-            last_sync_error: errored > 0 ? `${errored} files errored — see logs.` : null,
+            last_sync_at: new Date(now).toISOString(),
+            last_sync_error: stats.errored > 0 ? `${stats.errored} files errored — see logs.` : null,
+            last_sync_stats: { ...stats, durationMs: now - ctx.started_at, finishedAt: new Date(now).toISOString() },
             next_sync_after: next,
-            updated_at: new Date().toISOString(),
+            // Failed ops join the deferred items save-cursor stored.
+            ...(failed.length ? { delta_backlog: [...deferred, ...failed] } : {}),
+            updated_at: new Date(now).toISOString(),
           }) },
       );
     });
 
-    return { processed, archived, errored, total: items.length };
+    // Work through a remaining backlog now rather than a sweep later.
+    // Failures alone wait for the sweep, so a broken file can't spin.
+    if (deferred.length) {
+      await step.sendEvent('continue-backlog', { name: 'connector-binding.sync-requested', data: { binding_id: bindingId } });
+    }
+
+    return stats;
   },
 );
 
+/**
+ * Download, hash and (re)ingest one file. Returns the op kind that
+ * actually happened — a `verify` whose bytes match the stored hash
+ * collapses to rename / unchanged and only patches metadata.
+ */
+async function ingestItem({ sb, ctx, def, tok, op, bindingId }) {
+  const { item, existing } = op;
+  const buf = await def.downloadFile({
+    accessToken: tok.accessToken, externalId: item.externalId, sourceRef: ctx.source_ref,
+  });
+  const contentHash = crypto.createHash('sha256').update(buf).digest('hex');
+  const meta = {
+    filename: item.filename || existing?.filename || 'document',
+    source_path: item.path ?? existing?.source_path ?? null,
+    source_version: item.version || null,
+  };
+
+  if (op.kind === 'verify' && existing.content_hash === contentHash) {
+    await patchDocument(sb, existing.id, meta);
+    return meta.filename !== existing.filename ? 'rename' : 'unchanged';
+  }
+
+  let docId;
+  if (existing) {
+    // Re-upload + reset to pending so the worker re-chunks.
+    docId = existing.id;
+    await patchDocument(sb, docId, {
+      ...meta, mime_type: item.mimeType, byte_size: item.byteSize,
+      content_hash: contentHash, status: 'pending', processing_error: null, source_deleted_at: null,
+    });
+  } else {
+    const ins = await fetchWithTimeout(
+      `${sb.url}/rest/v1/deal_documents`,
+      { method: 'POST',
+        headers: { ...getSupabaseWriteHeaders(sb.key), Prefer: 'return=representation' },
+        body: JSON.stringify({
+          deal_id: ctx.deal_id, ...meta, mime_type: item.mimeType,
+          byte_size: item.byteSize, content_hash: contentHash,
+          source_party: ctx.source_party, visibility: ctx.visibility,
+          uploaded_by_email: 'connector@vesno', status: 'pending',
+          connector_binding_id: bindingId, source_external_id: item.externalId,
+        }) },
+    );
+    if (!ins.ok) throw new Error(`Document insert failed (${ins.status})`);
+    const [doc] = await ins.json();
+    docId = doc.id;
+  }
+
+  // Upload bytes to Storage (overwrite if existing).
+  const safeName = meta.filename.replace(/[^a-zA-Z0-9._-]/g, '_').slice(0, 200);
+  const storagePath = `${ctx.deal_id}/${docId}/${safeName}`;
+  const up = await fetchWithTimeout(
+    `${sb.url}/storage/v1/object/deal-documents/${storagePath}`,
+    { method: 'POST',
+      headers: { ...getSupabaseHeaders(sb.key), 'Content-Type': item.mimeType || 'application/octet-stream', 'x-upsert': 'true' },
+      body: buf },
+    45000,
+  );
+  if (!up.ok) {
+    await patchDocument(sb, docId, { status: 'failed', processing_error: 'Storage upload failed during connector sync.' });
+    throw new Error(`Storage upload failed (${up.status})`);
+  }
+  await patchDocument(sb, docId, { storage_path: storagePath });
+
+  // Hand off to the existing pipeline.
+  try {
+    await sendEvent({
+      name: 'deal-document.uploaded',
+      data: { deal_id: ctx.deal_id, document_id: docId, storage_path: storagePath, mime_type: item.mimeType, byte_size: item.byteSize },
+    });
+  } catch (e) {
+    logger.warn('Connector sync: enqueue failed', { error: e.message, docId });
+  }
+  return op.kind === 'verify' ? 'update' : op.kind;
+}
+
+async function patchDocument(sb, docId, patch) {
+  const r = await fetchWithTimeout(
+    `${sb.url}/rest/v1/deal_documents?id=eq.${docId}`,
+    { method: 'PATCH', headers: getSupabaseWriteHeaders(sb.key),
+      body: JSON.stringify({ ...patch, updated_at: new Date().toISOString() }) },
+  );
+  if (!r.ok) throw new Error(`Document update failed (${r.status})`);
+}
+
 async function markBinding(sb, bindingId, status, errorText) {
   await fetchWithTimeout(
     `${sb.url}/rest/v1/deal_connector_bindings?id=eq.${bindingId}`,
@@ -5,16 +5,21 @@
  * Analysis = recommended actions and prioritised work synthesised from
  * every process report rolled up to model level.
  *
+ * Money-bearing sections (recommendations, automation pipeline, cost
+ * concentration) convert each process from its native currency into the
+ * model's reporting currency via an optional lib/currency.js converter.
+ *
  * Pure helpers exported for tests:
- *   computeAnalysis(reports, changeRoi)
+ *   computeAnalysis(reports, changeRoi, instances, fx)
  */
 
 import { getSupabaseHeaders, fetchWithTimeout, requireSupabase } from '../api-helpers.js';
-import { attachDerivedMetrics } from '../processMetrics.js';
+import { attachDerivedMetrics, reportingMetrics } from '../processMetrics.js';
 import { logger } from '../logger.js';
 import { classifyAutomation } from '../flows/automation.js';
 import { calculateProcessSavings } from '../costSavingsCalculator.js';
-import { loadChangeRoiSummary } from './crossProcess.js';
+import { loadChangeRoiSummary, computeSlaBreaches, loadSlaInstances } from './crossProcess.js';
+import { loadModelFx } from './fxRates.js';
 
 // Per the same rates used in the heatmap. Kept in sync deliberately so
 // the Analysis tab's "potential" matches what Insights shows.
@@ -76,11 +81,11 @@ const REC_META = {
   },
 };
 
-function liveRecommendationsFromReport(report) {
+function liveRecommendationsFromReport(report, fx) {
   const rps = processesFromReport(report);
   if (!rps.length) return [];
 
-  const totalSavings = num(report.potential_savings);
+  const totalSavings = reportingMetrics(report, fx).potentialSavings;
   const rows = [];
   let totalDriverMins = 0;
 
@@ -120,9 +125,9 @@ function liveRecommendationsFromReport(report) {
   });
 }
 
-function computeTopRecommendations(reports) {
+function computeTopRecommendations(reports, fx) {
   const out = [];
-  for (const r of reports || []) out.push(...liveRecommendationsFromReport(r));
+  for (const r of reports || []) out.push(...liveRecommendationsFromReport(r, fx));
   out.sort((a, b) => (b.impactDollars - a.impactDollars)
     || (b.priority - a.priority)
     || a.title.localeCompare(b.title));
@@ -166,7 +171,7 @@ function computeBottleneckInventory(reports) {
   return out;
 }
 
-function computeAutomationPipeline(reports) {
+function computeAutomationPipeline(reports, fx) {
   const out = [];
   for (const r of reports || []) {
     const procs = processesFromReport(r);
@@ -182,10 +187,11 @@ function computeAutomationPipeline(reports) {
       totalMinutes += m;
       derivedSavings += m * autoRateFor(s, i, proc);
     });
-    const annualCost = num(r.total_annual_cost);
+    const money = reportingMetrics(r, fx);
+    const annualCost = money.annualCost;
     // Falls back to report.potential_savings when steps don't carry minutes.
     const minuteShare = totalMinutes > 0 ? (derivedSavings / totalMinutes) : 0;
-    const savings    = totalMinutes > 0 ? round0(annualCost * minuteShare) : num(r.potential_savings);
+    const savings    = totalMinutes > 0 ? round0(annualCost * minuteShare) : round0(money.potentialSavings);
     const ratio      = annualCost > 0 ? (savings / annualCost) : 0;
     const bucket     = ratio >= 0.5 ? 'quick-win'
                      : ratio >= 0.2 ? 'strategic'
@@ -206,7 +212,7 @@ function computeAutomationPipeline(reports) {
   return out;
 }
 
-function computeRiskHotspots(reports) {
+function computeRiskHotspots(reports, instances) {
   const manualNoSystem = [];
   const shadowSteps    = [];
   // Single-point-of-failure: one role owning > N steps inside a process.
@@ -254,27 +260,42 @@ function computeRiskHotspots(reports) {
       }
     }
   }
+  // SLA breaches — predicted from the map, measured from logged runs;
+  // already ordered worst first.
+  const slaBreaches = computeSlaBreaches({ reports, instances }).rows;
   return {
     manualNoSystem: manualNoSystem.slice(0, 25),
     sopFailures:    sopFailures.slice(0, 25),
     shadowSteps:    shadowSteps.slice(0, 25),
+    slaBreaches:    slaBreaches.slice(0, 25),
   };
 }
 
-function computeCostConcentration(reports) {
+// Amounts are in the reporting currency. Each process row also carries
+// its native currency and native cost so the UI can show both; processes
+// with no FX rate are listed under `unconverted` instead of ranked.
+function computeCostConcentration(reports, fx) {
   const procRows = [];
   const stepRows = [];
+  const unconverted = [];
   for (const r of reports || []) {
-    const annual = num(r.total_annual_cost);
+    const money  = reportingMetrics(r, fx);
     const procs  = processesFromReport(r);
     const proc   = procs[0];
+    if (!money.converted) {
+      unconverted.push({ sourceReportId: r.id, processName: proc?.name || null, currency: r.currency });
+      continue;
+    }
+    const annual = round0(money.annualCost);
     procRows.push({
       sourceReportId: r.id,
       sourceCompany:  r.company || null,
       processName:    proc?.name || null,
       functionId:     r.function_id || null,
       annualCost:     annual,
-      potentialSavings: num(r.potential_savings),
+      potentialSavings: round0(money.potentialSavings),
+      currency:       r.currency || null,
+      nativeAnnualCost: num(r.total_annual_cost),
     });
     for (const p of procs) {
       const steps = Array.isArray(p?.steps) ? p.steps : [];
@@ -301,6 +322,7 @@ function computeCostConcentration(reports) {
   return {
     topProcesses: procRows.slice(0, 10),
     topSteps:     stepRows.slice(0, 10),
+    unconverted,
   };
 }
 
@@ -308,21 +330,23 @@ function computeCostConcentration(reports) {
 // Orchestrator
 // ------------------------------------------------------------------
 
-export function computeAnalysis(reports, changeRoi) {
+export function computeAnalysis(reports, changeRoi, instances = [], fx = null) {
   return {
-    topRecommendations: computeTopRecommendations(reports),
+    topRecommendations: computeTopRecommendations(reports, fx),
     bottlenecks:        computeBottleneckInventory(reports),
-    automationPipeline: computeAutomationPipeline(reports),
-    riskHotspots:       computeRiskHotspots(reports),
-    costConcentration:  computeCostConcentration(reports),
+    automationPipeline: computeAutomationPipeline(reports, fx),
+    riskHotspots:       computeRiskHotspots(reports, instances),
+    costConcentration:  computeCostConcentration(reports, fx),
     roadmap:            changeRoi || null,
     counts: {
       reports: reports?.length || 0,
     },
+    // Read after the computers above so missingRates covers them all.
+    currency:           fx ? fx.summary() : null,
   };
 }
 
-export async function loadAnalysis(modelId) {
+export async function loadAnalysis(modelId, { asOf } = {}) {
   if (!modelId) return null;
   const sb = requireSupabase();
   if (!sb) return null;
@@ -333,7 +357,7 @@ export async function loadAnalysis(modelId) {
     // Living-workspace migration: cost / savings / automation columns
     // dropped. Live computations from flow_data step minutes — the
     // existing `num(...)` defaults to 0 when the columns are absent.
-    const select = 'id,company,function_id,created_at,updated_at,flow_data';
+    const select = 'id,company,function_id,currency,created_at,updated_at,flow_data';
     const filter = `operating_model_id=eq.${encodeURIComponent(modelId)}`;
     const resp = await fetchWithTimeout(
       `${sb.url}/rest/v1/processes?${filter}&select=${encodeURIComponent(select)}&limit=500`,
@@ -342,8 +366,12 @@ export async function loadAnalysis(modelId) {
     if (!resp.ok) return null;
     const reports = await resp.json();
     for (const r of reports) attachDerivedMetrics(r);
-    const changeRoi = await loadChangeRoiSummary(modelId);
-    return computeAnalysis(reports, changeRoi);
+    const [changeRoi, instances, fx] = await Promise.all([
+      loadChangeRoiSummary(modelId),
+      loadSlaInstances(reports.map((r) => r.id)),
+      loadModelFx(modelId, { asOf }),
+    ]);
+    return computeAnalysis(reports, changeRoi, instances, fx);
   } catch (e) {
     logger.error('loadAnalysis failed', { modelId, error: e.message });
     return null;
@@ -8,14 +8,18 @@
  *
  * Pure helpers exported for tests:
  *   computeSystemInventory(rows)
- *   computeFunctionHeatmap({ reports, findings, processSystems })
+ *   computeFunctionHeatmap({ reports, findings, processSystems, functions, fx })
  *   computeChangeRoiSummary(changes)
+ *   computeSlaBreaches({ reports, instances })
  */
 
 import { getSupabaseHeaders, fetchWithTimeout, requireSupabase } from '../api-helpers.js';
 import { logger } from '../logger.js';
 import { classifyAutomation } from '../flows/automation.js';
-import { attachDerivedMetrics } from '../processMetrics.js';
+import { attachDerivedMetrics, reportingMetrics } from '../processMetrics.js';
+import { evaluateSla } from '../flows/sla.js';
+import { checkInstanceConformance } from '../flows/instanceConformance.js';
+import { loadModelFx } from './fxRates.js';
 
 // Automation-savings rates per category. These map the AI/agent
 // classification to the % of step labour we expect to recover when the
@@ -182,6 +186,10 @@ export async function loadSystemInventory(modelId) {
  *                    extractSystemRows, so its function_id is the
  *                    step's function when set)
  *   functions   — for name lookup
+ *   fx             — optional lib/currency.js converter; cost and savings
+ *                    convert from each process's currency into the
+ *                    reporting currency. Processes without a rate count
+ *                    towards processCount / steps but add no money.
  *
  * Returns rows keyed by function_id (plus a null bucket for unfiled):
  *   [{
@@ -192,7 +200,7 @@ export async function loadSystemInventory(modelId) {
  *     severity: { low, medium, high, critical },
  *   }]
  */
-export function computeFunctionHeatmap({ reports, findings, processSystems, functions }) {
+export function computeFunctionHeatmap({ reports, findings, processSystems, functions, fx = null }) {
   const funcsById = new Map((functions || []).map((c) => [c.id, c]));
   const buckets = new Map();
   const ensure = (capId) => {
@@ -242,7 +250,8 @@ export function computeFunctionHeatmap({ reports, findings, processSystems, func
   for (const r of reports || []) {
     const ownerBucket = ensure(r.function_id || null);
     ownerBucket.processCount += 1;
-    const annualCost = Number(r.total_annual_cost) || 0;
+    const money = reportingMetrics(r, fx);
+    const annualCost = money.annualCost;
     if (annualCost) ownerBucket.annualCost += annualCost;
     if (r.automation_percentage != null) {
       ownerBucket.autoSum += Number(r.automation_percentage) || 0;
@@ -341,7 +350,7 @@ export function computeFunctionHeatmap({ reports, findings, processSystems, func
       // back to that value, attributed to the report's owner function,
       // so the Insights tab shows something instead of always 0.
       if (totalWm === 0 && r.potential_savings != null) {
-        const fallback = Number(r.potential_savings) || 0;
+        const fallback = money.potentialSavings;
         if (fallback > 0) {
           const ownerCap = r.function_id || null;
           const b = ensure(ownerCap);
@@ -511,7 +520,12 @@ export function computeFunctionHeatmap({ reports, findings, processSystems, func
   });
 }
 
-export async function loadFunctionHeatmap(modelId) {
+/**
+ * Heatmap rows in the model's reporting currency. Pass `fx` to share one
+ * converter across several loaders (the insights route does, so its
+ * currency summary covers every card); otherwise one is loaded.
+ */
+export async function loadFunctionHeatmap(modelId, { fx = null, asOf } = {}) {
   if (!modelId) return [];
   const sb = requireSupabase();
   if (!sb) return [];
@@ -524,7 +538,7 @@ export async function loadFunctionHeatmap(modelId) {
         // from flow_data step minutes — `computeFunctionHeatmap` already
         // tolerates the columns being absent (defensive `!= null` checks).
         `${sb.url}/rest/v1/processes?operating_model_id=eq.${encodeURIComponent(modelId)}` +
-          `&select=id,function_id,flow_data&limit=5000`,
+          `&select=id,function_id,currency,flow_data&limit=5000`,
         { method: 'GET', headers },
       ),
       fetchWithTimeout(
@@ -547,7 +561,8 @@ export async function loadFunctionHeatmap(modelId) {
     // etc. references continue to work.
     for (const r of reports) attachDerivedMetrics(r);
 
-    return computeFunctionHeatmap({ reports, processSystems, functions });
+    const converter = fx || await loadModelFx(modelId, { asOf });
+    return computeFunctionHeatmap({ reports, processSystems, functions, fx: converter });
   } catch (e) {
     logger.error('loadFunctionHeatmap failed', { modelId, error: e.message });
     return [];
@@ -649,4 +664,113 @@ export async function loadChangeRoiSummary(modelId) {
   }
 }
 
+// ------------------------------------------------------------------
+// SLA breaches — step / process targets vs. the map and logged runs
+// ------------------------------------------------------------------
+
+const SLA_SEVERITY_RANK = { high: 0, medium: 1, low: 2 };
+
+/**
+ * Evaluate every process's SLAs against its map and its logged runs.
+ * Runs are re-checked against the current map (the conformance stored on
+ * the instance row was computed against the targets of the day). Pure —
+ * exported for tests.
+ *
+ * @param {object} input
+ * @param {object[]} input.reports    processes rows with flow_data
+ * @param {object[]} [input.instances] process_instances rows:
+ *   { process_id, process_index, status, executed_steps }
+ * @returns {{
+ *   summary: { processesWithSla, runsChecked, breaches, high },
+ *   rows: { stepName, processName, sourceReportId, sourceCompany, scope, basis, stepIndex,
+ *           targetMinutes, actualMinutes, runs, breachRate, severity, escalationOwner, text }[],
+ * }}
+ */
+export function computeSlaBreaches({ reports, instances = [] }) {
+  const runsByProcess = new Map();
+  for (const inst of instances || []) {
+    if (!inst?.process_id || !Array.isArray(inst.executed_steps)) continue;
+    const key = `${inst.process_id}:${inst.process_index ?? 0}`;
+    if (!runsByProcess.has(key)) runsByProcess.set(key, []);
+    runsByProcess.get(key).push(inst);
+  }
+
+  const summary = { processesWithSla: 0, runsChecked: 0, breaches: 0, high: 0 };
+  const rows = [];
+  for (const r of reports || []) {
+    const procs = r?.flow_data?.rawProcesses || [];
+    procs.forEach((proc, idx) => {
+      const runs = (runsByProcess.get(`${r.id}:${idx}`) || [])
+        .map((inst) => checkInstanceConformance(proc, inst.executed_steps, { completed: inst.status === 'completed' }));
+      const ev = evaluateSla(proc, { runs });
+      if (!ev) return;
+      summary.processesWithSla += 1;
+      summary.runsChecked += runs.filter(Boolean).length;
+      const processName = proc.processName || proc.name || null;
+      for (const b of ev.breaches) {
+        summary.breaches += 1;
+        if (b.severity === 'high') summary.high += 1;
+        rows.push({
+          stepName: b.scope === 'step' ? (b.name || `Step ${b.stepIndex + 1}`) : 'Cycle time',
+          processName,
+          sourceReportId: r.id,
+          sourceCompany: r.company || null,
+          scope: b.scope,
+          basis: b.basis,
+          stepIndex: b.stepIndex,
+          targetMinutes: b.targetMinutes,
+          actualMinutes: b.actualMinutes,
+          runs: b.runs ?? null,
+          breachRate: b.breachRate ?? null,
+          severity: b.severity,
+          escalationOwner: b.escalationOwner,
+          text: b.text,
+        });
+      }
+    });
+  }
+  rows.sort((a, b) => (SLA_SEVERITY_RANK[a.severity] ?? 9) - (SLA_SEVERITY_RANK[b.severity] ?? 9)
+    || (a.basis === b.basis ? 0 : a.basis === 'measured' ? -1 : 1)
+    || (b.actualMinutes / b.targetMinutes) - (a.actualMinutes / a.targetMinutes));
+  return { summary, rows };
+}
+
+/**
+ * Logged runs with an executed path for a set of processes, newest
+ * first. Shared with the Analysis tab's risk hotspots.
+ */
+export async function loadSlaInstances(reportIds) {
+  const ids = (reportIds || []).filter(Boolean);
+  if (!ids.length) return [];
+  const sb = requireSupabase();
+  if (!sb) return [];
+  const resp = await fetchWithTimeout(
+    `${sb.url}/rest/v1/process_instances?process_id=in.(${ids.map(encodeURIComponent).join(',')})` +
+      `&executed_steps=not.is.null&select=process_id,process_index,status,executed_steps` +
+      `&order=logged_at.desc&limit=5000`,
+    { method: 'GET', headers: getSupabaseHeaders(sb.key) },
+  );
+  return resp.ok ? resp.json() : [];
+}
+
+export async function loadSlaBreaches(modelId) {
+  if (!modelId) return null;
+  const sb = requireSupabase();
+  if (!sb) return null;
+  try {
+    const resp = await fetchWithTimeout(
+      `${sb.url}/rest/v1/processes?operating_model_id=eq.${encodeURIComponent(modelId)}` +
+        `&select=id,company,flow_data&limit=500`,
+      { method: 'GET', headers: getSupabaseHeaders(sb.key) },
+    );
+    if (!resp.ok) return null;
+    const reports = await resp.json();
+    const instances = await loadSlaInstances(reports.map((r) => r.id));
+    return computeSlaBreaches({ reports, instances });
+  } catch (e) {
+    logger.error('loadSlaBreaches failed', { modelId, error: e.message });
+    return null;
+  }
+}
+
 function round2(n) { return Math.round((Number(n) || 0) * 100) / 100; }
@@ -0,0 +1,114 @@
+/**
+ * fxRates — org-level FX table and the model's reporting-currency
+ * converter.
+ *
+ *   loadModelFx(modelId, { asOf })        ← converter into the model's
+ *                                           reporting_currency, built from
+ *                                           the org's fx_rates
+ *   listFxRates(organizationId)           ← every rate row, newest first
+ *   upsertFxRate(organizationId, input)   ← one row per (pair, date)
+ *   deleteFxRate(organizationId, rateId)
+ *
+ * Rates live on the organization rather than the model so a holding co
+ * with per-portco models maintains one table. The conversion arithmetic
+ * is in lib/currency.js.
+ */
+
+import {
+  getSupabaseHeaders, getSupabaseWriteHeaders, fetchWithTimeout, requireSupabase,
+} from '../api-helpers.js';
+import { logger } from '../logger.js';
+import { createConverter, normaliseFxRate, DEFAULT_CURRENCY } from '../currency.js';
+
+const RATE_SELECT = 'id,base_currency,quote_currency,rate,effective_date,created_by_email,created_at';
+
+/**
+ * Converter for a model's roll-ups. Never null: when the model or rates
+ * can't be read it converts into GBP with no rates, so non-GBP processes
+ * surface as missing rates rather than being summed as if they were GBP.
+ */
+export async function loadModelFx(modelId, { asOf } = {}) {
+  const sb = requireSupabase();
+  if (!modelId || !sb) return createConverter({ to: DEFAULT_CURRENCY, asOf });
+
+  const headers = getSupabaseHeaders(sb.key);
+  try {
+    const modelResp = await fetchWithTimeout(
+      `${sb.url}/rest/v1/operating_models?id=eq.${encodeURIComponent(modelId)}` +
+        `&select=organization_id,reporting_currency&limit=1`,
+      { method: 'GET', headers },
+    );
+    const [model] = modelResp.ok ? await modelResp.json() : [];
+    if (!model) return createConverter({ to: DEFAULT_CURRENCY, asOf });
+
+    const rates = await listFxRates(model.organization_id);
+    return createConverter({ rates, to: model.reporting_currency || DEFAULT_CURRENCY, asOf });
+  } catch (e) {
+    logger.error('loadModelFx failed', { modelId, error: e.message });
+    return createConverter({ to: DEFAULT_CURRENCY, asOf });
+  }
+}
+
+export async function listFxRates(organizationId) {
+  if (!organizationId) return [];
+  const sb = requireSupabase();
+  if (!sb) return [];
+  try {
+    const resp = await fetchWithTimeout(
+      `${sb.url}/rest/v1/fx_rates?organization_id=eq.${encodeURIComponent(organizationId)}` +
+        `&select=${RATE_SELECT}&order=effective_date.desc,base_currency.asc&limit=5000`,
+      { method: 'GET', headers: getSupabaseHeaders(sb.key) },
+    );
+    return resp.ok ? await resp.json() : [];
+  } catch (e) {
+    logger.error('listFxRates failed', { organizationId, error: e.message });
+    return [];
+  }
+}
+
+/**
+ * Insert or replace the rate for (base, quote, effective_date). Throws
+ * the normaliseFxRate message on bad input; returns the row, or null on
+ * a storage failure.
+ */
+export async function upsertFxRate(organizationId, input, { email = null } = {}) {
+  const clean = normaliseFxRate(input);
+  const sb = requireSupabase();
+  if (!organizationId || !sb) return null;
+  try {
+    const resp = await fetchWithTimeout(
+      `${sb.url}/rest/v1/fx_rates?on_conflict=organization_id,base_currency,quote_currency,effective_date&select=${RATE_SELECT}`,
+      {
+        method: 'POST',
+        headers: { ...getSupabaseWriteHeaders(sb.key), Prefer: 'resolution=merge-duplicates,return=representation' },
+        body: JSON.stringify([{ ...clean, organization_id: organizationId, created_by_email: email }]),
+      },
+    );
+    if (!resp.ok) {
+      const txt = await resp.text().catch(() => '');
+      logger.warn('upsertFxRate failed', { organizationId, status: resp.status, body: txt.slice(0, 200) });
+      return null;
+    }
+    const [row] = await resp.json().catch(() => []);
+    return row || null;
+  } catch (e) {
+    logger.error('upsertFxRate failed', { organizationId, error: e.message });
+    return null;
+  }
+}
+
+export async function deleteFxRate(organizationId, rateId) {
+  if (!organizationId || !rateId) return { ok: false };
+  const sb = requireSupabase();
+  if (!sb) return { ok: false };
+  try {
+    const resp = await fetchWithTimeout(
+      `${sb.url}/rest/v1/fx_rates?id=eq.${encodeURIComponent(rateId)}&organization_id=eq.${encodeURIComponent(organizationId)}`,
+      { method: 'DELETE', headers: { ...getSupabaseWriteHeaders(sb.key), Prefer: 'return=minimal' } },
+    );
+    return { ok: resp.ok };
+  } catch (e) {
+    logger.error('deleteFxRate failed', { organizationId, rateId, error: e.message });
+    return { ok: false };
+  }
+}
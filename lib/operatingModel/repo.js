@@ -13,8 +13,9 @@
  *                                          migration 37 backfill)
  *   loadOperatingModel(modelId)          ← model + functions tree + roles
  *                                          + systems + process count rollup
- *   loadModelRollup(modelId)             ← aggregated stats per capability:
+ *   loadModelRollup(modelId, { asOf })   ← aggregated stats per capability:
  *                                          process count, FTE, annual cost
+ *                                          in the model's reporting currency
  *   createOperatingModel({...})          ← new model in an org
  *   create/update/deleteCapability(...)  ← capability CRUD
  *   createModelRole(...) / createModelSystem(...) ← role + system inventory
@@ -42,7 +43,8 @@ import {
 } from '../api-helpers.js';
 import { logger } from '../logger.js';
 import { recordChanges } from '../changes/repo.js';
-import { attachDerivedMetrics } from '../processMetrics.js';
+import { attachDerivedMetrics, reportingMetrics } from '../processMetrics.js';
+import { loadModelFx } from './fxRates.js';
 
 // ------------------------------------------------------------------
 // Operating model
@@ -129,7 +131,7 @@ export async function loadOperatingModel(modelId) {
     const [modelResp, capsResp, rolesResp, sysResp, procCountResp] = await Promise.all([
       fetchWithTimeout(
         `${sb.url}/rest/v1/operating_models?id=eq.${encodeURIComponent(modelId)}` +
-          `&select=id,organization_id,name,kind,parent_model_id,status,description,settings,created_by_email,created_at,updated_at&limit=1`,
+          `&select=id,organization_id,name,kind,parent_model_id,status,description,settings,reporting_currency,created_by_email,created_at,updated_at&limit=1`,
         { method: 'GET', headers },
       ),
       fetchWithTimeout(
@@ -213,22 +215,23 @@ export function nestFunctions(flat) {
  * Aggregate stats per capability: process count, summed FTE, annual cost.
  * Walks all diagnostic_reports + model_roles for the model. v1 reads the
  * existing JSONB shapes; a future migration will normalise these into a
- * proper join table.
+ * proper join table. Money is converted into the model's reporting
+ * currency at the FX rates effective on `asOf` (default today).
  */
-export async function loadModelRollup(modelId) {
+export async function loadModelRollup(modelId, { asOf } = {}) {
   if (!modelId) return null;
   const sb = requireSupabase();
   if (!sb) return null;
 
   const headers = getSupabaseHeaders(sb.key);
   try {
-    const [reportsResp, rolesResp, capsResp] = await Promise.all([
+    const [reportsResp, rolesResp, capsResp, fx] = await Promise.all([
       fetchWithTimeout(
         // Living-workspace migration: total_annual_cost, potential_savings,
         // automation_percentage columns dropped. Cost / savings are now
         // derived on-the-fly from flow_data steps (TODO: compute here).
         `${sb.url}/rest/v1/processes?operating_model_id=eq.${encodeURIComponent(modelId)}` +
-          `&select=id,function_id,flow_data`,
+          `&select=id,function_id,currency,flow_data`,
         { method: 'GET', headers },
       ),
       fetchWithTimeout(
@@ -241,6 +244,7 @@ export async function loadModelRollup(modelId) {
           `&select=id,name,parent_function_id`,
         { method: 'GET', headers },
       ),
+      loadModelFx(modelId, { asOf }),
     ]);
 
     const reports = reportsResp.ok ? await reportsResp.json() : [];
@@ -252,7 +256,7 @@ export async function loadModelRollup(modelId) {
     // working without the dropped columns.
     for (const r of reports) attachDerivedMetrics(r);
 
-    return computeModelRollup({ reports, roles, caps });
+    return computeModelRollup({ reports, roles, caps, fx });
   } catch (e) {
     logger.error('loadModelRollup failed', { modelId, error: e.message });
     return null;
@@ -262,12 +266,19 @@ export async function loadModelRollup(modelId) {
 /**
  * Pure aggregator — exported for tests. Takes raw rows, returns:
  *   {
- *     totals: { processes, fte, annualCost, potentialSavings, avgAutomationPct },
+ *     totals: { processes, fte, annualCost, potentialSavings, avgAutomationPct,
+ *               unconvertedProcesses },
  *     byFunction: [{ functionId, name, processCount, fte, annualCost, ... }],
  *     unfiledProcesses: number,    // processes with no function_id
+ *     currency: { reportingCurrency, asOf, ratesUsed, missingRates } | null,
  *   }
+ *
+ * `fx` (lib/currency.js converter) converts each process's cost and
+ * savings from its native currency. A process whose currency has no rate
+ * still counts towards processes / FTE / steps but contributes no money;
+ * it is tallied in totals.unconvertedProcesses.
  */
-export function computeModelRollup({ reports, roles, caps }) {
+export function computeModelRollup({ reports, roles, caps, fx = null }) {
   const funcsById = new Map((caps || []).map((c) => [c.id, c]));
 
   // Per-capability accumulators. "unfiled" bucket for processes without a
@@ -308,11 +319,14 @@ export function computeModelRollup({ reports, roles, caps }) {
     u.perFunction.set(funcId, (u.perFunction.get(funcId) || 0) + mins);
   };
 
+  let unconvertedProcesses = 0;
   for (const r of reports || []) {
     const b = ensureBucket(r.function_id || null);
     b.processCount += 1;
-    if (r.total_annual_cost != null)    b.annualCost       += Number(r.total_annual_cost) || 0;
-    if (r.potential_savings != null)    b.potentialSavings += Number(r.potential_savings) || 0;
+    const money = reportingMetrics(r, fx);
+    if (!money.converted) unconvertedProcesses += 1;
+    b.annualCost       += money.annualCost;
+    b.potentialSavings += money.potentialSavings;
     if (r.automation_percentage != null) {
       b.automationPctSum += Number(r.automation_percentage) || 0;
       b.automationPctCount += 1;
@@ -441,12 +455,14 @@ export function computeModelRollup({ reports, roles, caps }) {
       if (!samples.length) return null;
       return round2(samples.reduce((s, r) => s + (Number(r.automation_percentage) || 0), 0) / samples.length);
     })(),
+    unconvertedProcesses,
   };
 
   return {
     totals,
     byFunction,
     unfiledProcesses: buckets.get(null)?.processCount || 0,
+    currency: fx ? fx.summary() : null,
   };
 }
 
@@ -763,6 +779,7 @@ export async function createModelSystem({
 export async function attachProcessToModel({
   reportId, operating_model_id = undefined,
   function_id = undefined,
+  currency = undefined,
   // Living-workspace migration: design_owner_email column dropped.
   // Accepted as a kwarg for API back-compat but silently ignored.
   design_owner_email: _designOwnerEmail = undefined,
@@ -774,6 +791,7 @@ export async function attachProcessToModel({
   const patch = {};
   if (operating_model_id !== undefined) patch.operating_model_id = operating_model_id || null;
   if (function_id !== undefined)      patch.function_id      = function_id || null;
+  if (currency !== undefined)         patch.currency         = currency || null;
   if (Object.keys(patch).length === 0) return { ok: true };
 
   try {
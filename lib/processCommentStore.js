@@ -0,0 +1,326 @@
+/**
+ * processCommentStore — read/write `process_comments`,
+ * `process_comment_reads` and `notifications`.
+ *
+ *   loadCommentProcess(processId, { email, userId })  ← access + who can be mentioned
+ *   listComments(processId) / listThreadReads(email, threadIds)
+ *   getComment(processId, commentId)
+ *   createComment({ ctx, input, email })               ← insert + notify
+ *   setThreadResolved({ processId, thread, resolved, email })
+ *   markThreadRead(threadId, email)
+ *   listNotifications(email) / markNotificationsRead(email, ids)
+ *
+ * Threads, mentions, canvas markers and notification rows are built in
+ * lib/flows/comments.js. Anyone who can open the process may comment:
+ * its owner, and — for a deal's process — the deal owner, collaborators
+ * and the participants linked to that process (processAudience).
+ */
+
+import {
+  getSupabaseHeaders, getSupabaseWriteHeaders, fetchWithTimeout, requireSupabase,
+} from './api-helpers.js';
+import { logger } from './logger.js';
+import { resolveDealAccess } from './dealAuth.js';
+import {
+  normaliseCommentInput, parseMentions, commentNotifications, processAudience,
+} from './flows/comments.js';
+
+const COMMENT_SELECT = 'id,process_id,thread_id,anchor_type,anchor_id,anchor_label,author_email,body,mentions,resolved_at,resolved_by_email,created_at,updated_at';
+const NOTIFICATION_SELECT = 'id,recipient_email,kind,actor_email,process_id,deal_id,comment_id,thread_id,title,body,read_at,created_at';
+
+const lower = (e) => String(e || '').trim().toLowerCase();
+
+async function dealParticipants(sb, dealId) {
+  try {
+    const resp = await fetchWithTimeout(
+      `${sb.url}/rest/v1/deal_participants?deal_id=eq.${encodeURIComponent(dealId)}` +
+        '&select=participant_email,participant_name,company_name,process_id&participant_email=not.is.null',
+      { method: 'GET', headers: getSupabaseHeaders(sb.key) },
+    );
+    return resp.ok ? await resp.json() : [];
+  } catch (e) {
+    logger.warn('dealParticipants: read failed', { dealId, error: e.message });
+    return [];
+  }
+}
+
+/**
+ * The process a comment hangs off, checked for the caller, with the
+ * people who can see it (and so can be @mentioned / notified). Returns
+ * { process, people } or { error, status }; processes the caller can't
+ * open read as 404.
+ */
+export async function loadCommentProcess(processId, { email, userId = null }) {
+  const sb = requireSupabase();
+  if (!sb) return { error: 'Storage not configured.', status: 503 };
+  let proc;
+  try {
+    const resp = await fetchWithTimeout(
+      `${sb.url}/rest/v1/processes?id=eq.${encodeURIComponent(processId)}` +
+        '&select=id,contact_email,contact_name,deal_id,name:flow_data->rawProcesses->0->>processName&limit=1',
+      { method: 'GET', headers: getSupabaseHeaders(sb.key) },
+    );
+    if (!resp.ok) return { error: 'Failed to read process.', status: 502 };
+    [proc] = await resp.json().catch(() => []);
+  } catch (e) {
+    logger.error('loadCommentProcess failed', { processId, error: e.message });
+    return { error: 'Failed to read process.', status: 502 };
+  }
+  if (!proc) return { error: 'Process not found.', status: 404 };
+
+  const isOwner = lower(proc.contact_email) === lower(email);
+  const dealAccess = proc.deal_id ? await resolveDealAccess({ dealId: proc.deal_id, email, userId }) : null;
+  if (!isOwner && !dealAccess) return { error: 'Process not found.', status: 404 };
+
+  // Participants get the deal, not every process in it: only the one
+  // their deal_participants row links to (or one they own).
+  const participants = dealAccess?.deal ? await dealParticipants(sb, dealAccess.deal.id) : [];
+  const people = processAudience({ process: proc, deal: dealAccess?.deal || null, participants });
+  if (!isOwner && dealAccess?.mode === 'participant' && !people.some((p) => p.email === lower(email))) {
+    return { error: 'Process not found.', status: 404 };
+  }
+  return {
+    process: { id: proc.id, deal_id: proc.deal_id || null, name: proc.name || null, contact_email: proc.contact_email },
+    people,
+  };
+}
+
+export async function listComments(processId) {
+  const sb = requireSupabase();
+  if (!sb || !processId) return [];
+  try {
+    const resp = await fetchWithTimeout(
+      `${sb.url}/rest/v1/process_comments?process_id=eq.${encodeURIComponent(processId)}` +
+        `&select=${COMMENT_SELECT}&order=created_at.asc&limit=2000`,
+      { method: 'GET', headers: getSupabaseHeaders(sb.key) },
+    );
+    return resp.ok ? await resp.json() : [];
+  } catch (e) {
+    logger.error('listComments failed', { processId, error: e.message });
+    return [];
+  }
+}
+
+export async function listThreadReads(email, threadIds) {
+  const sb = requireSupabase();
+  if (!sb || !email || !threadIds?.length) return [];
+  try {
+    const resp = await fetchWithTimeout(
+      `${sb.url}/rest/v1/process_comment_reads?email=eq.${encodeURIComponent(lower(email))}` +
+        `&thread_id=in.(${threadIds.map(encodeURIComponent).join(',')})&select=thread_id,read_at`,
+      { method: 'GET', headers: getSupabaseHeaders(sb.key) },
+    );
+    return resp.ok ? await resp.json() : [];
+  } catch (e) {
+    logger.error('listThreadReads failed', { error: e.message });
+    return [];
+  }
+}
+
+export async function getComment(processId, commentId) {
+  const sb = requireSupabase();
+  if (!sb || !processId || !commentId) return null;
+  try {
+    const resp = await fetchWithTimeout(
+      `${sb.url}/rest/v1/process_comments?id=eq.${encodeURIComponent(commentId)}` +
+        `&process_id=eq.${encodeURIComponent(processId)}&select=${COMMENT_SELECT}&limit=1`,
+      { method: 'GET', headers: getSupabaseHeaders(sb.key) },
+    );
+    if (!resp.ok) return null;
+    const [row] = await resp.json().catch(() => []);
+    return row || null;
+  } catch (e) {
+    logger.error('getComment failed', { processId, commentId, error: e.message });
+    return null;
+  }
+}
+
+async function insertNotifications(sb, rows) {
+  if (!rows.length) return 0;
+  try {
+    const resp = await fetchWithTimeout(
+      `${sb.url}/rest/v1/notifications`,
+      { method: 'POST', headers: getSupabaseWriteHeaders(sb.key), body: JSON.stringify(rows) },
+    );
+    if (!resp.ok) {
+      const txt = await resp.text().catch(() => '');
+      logger.warn('insertNotifications failed', { status: resp.status, body: txt.slice(0, 200) });
+      return 0;
+    }
+    return rows.length;
+  } catch (e) {
+    logger.warn('insertNotifications failed', { error: e.message });
+    return 0;
+  }
+}
+
+/**
+ * Post a new thread or a reply. `ctx` is loadCommentProcess's result.
+ * Mentions are parsed from the body against ctx.people; mentioned people
+ * and earlier thread participants are notified. A notification that
+ * fails to write doesn't fail the comment.
+ *
+ * Throws on invalid input (user-facing message). Returns
+ * { comment, notified } or { error, status }.
+ */
+export async function createComment({ ctx, input, email }) {
+  const clean = normaliseCommentInput(input);
+  const sb = requireSupabase();
+  if (!sb) return { error: 'Storage not configured.', status: 503 };
+  const processId = ctx.process.id;
+
+  let thread = null;
+  let threadComments = [];
+  if (clean.thread_id) {
+    thread = await getComment(processId, clean.thread_id);
+    if (!thread || thread.thread_id) return { error: 'Thread not found.', status: 404 };
+    threadComments = (await listComments(processId)).filter((c) => c.thread_id === thread.id);
+  }
+
+  const row = {
+    process_id: processId,
+    thread_id: thread?.id || null,
+    anchor_type: thread?.anchor_type || clean.anchor_type,
+    anchor_id: thread?.anchor_id || clean.anchor_id,
+    anchor_label: thread ? thread.anchor_label : clean.anchor_label,
+    author_email: lower(email),
+    body: clean.body,
+    mentions: parseMentions(clean.body, ctx.people),
+  };
+  let comment;
+  try {
+    const resp = await fetchWithTimeout(
+      `${sb.url}/rest/v1/process_comments?select=${COMMENT_SELECT}`,
+      {
+        method: 'POST',
+        headers: { ...getSupabaseWriteHeaders(sb.key), Prefer: 'return=representation' },
+        body: JSON.stringify(row),
+      },
+    );
+    if (!resp.ok) {
+      const txt = await resp.text().catch(() => '');
+      logger.warn('createComment failed', { processId, status: resp.status, body: txt.slice(0, 200) });
+      return { error: 'Failed to save the comment.', status: 502 };
+    }
+    [comment] = await resp.json().catch(() => []);
+  } catch (e) {
+    logger.error('createComment failed', { processId, error: e.message });
+    return { error: 'Failed to save the comment.', status: 502 };
+  }
+  if (!comment) return { error: 'Failed to save the comment.', status: 502 };
+
+  // Replying to a resolved thread reopens it.
+  if (thread?.resolved_at) await setThreadResolved({ processId, thread, resolved: false, email });
+  await markThreadRead(thread?.id || comment.id, email);
+
+  const notes = commentNotifications({
+    comment,
+    thread,
+    threadComments,
+    recipients: ctx.people.map((p) => p.email),
+    process: ctx.process,
+  });
+  const notified = await insertNotifications(sb, notes);
+  return { comment, notified };
+}
+
+/** Resolve or reopen a thread (the root row). Returns the updated root or null. */
+export async function setThreadResolved({ processId, thread, resolved, email }) {
+  const sb = requireSupabase();
+  if (!sb || !thread?.id) return null;
+  const now = new Date().toISOString();
+  try {
+    const resp = await fetchWithTimeout(
+      `${sb.url}/rest/v1/process_comments?id=eq.${encodeURIComponent(thread.id)}` +
+        `&process_id=eq.${encodeURIComponent(processId)}&thread_id=is.null&select=${COMMENT_SELECT}`,
+      {
+        method: 'PATCH',
+        headers: { ...getSupabaseWriteHeaders(sb.key), Prefer: 'return=representation' },
+        body: JSON.stringify({
+          resolved_at: resolved ? now : null,
+          resolved_by_email: resolved ? lower(email) : null,
+          updated_at: now,
+        }),
+      },
+    );
+    if (!resp.ok) {
+      const txt = await resp.text().catch(() => '');
+      logger.warn('setThreadResolved failed', { processId, threadId: thread.id, status: resp.status, body: txt.slice(0, 200) });
+      return null;
+    }
+    const [row] = await resp.json().catch(() => []);
+    return row || null;
+  } catch (e) {
+    logger.error('setThreadResolved failed', { processId, threadId: thread.id, error: e.message });
+    return null;
+  }
+}
+
+/** Record that `email` has seen everything in a thread up to now. */
+export async function markThreadRead(threadId, email) {
+  const sb = requireSupabase();
+  if (!sb || !threadId || !email) return false;
+  try {
+    const resp = await fetchWithTimeout(
+      `${sb.url}/rest/v1/process_comment_reads?on_conflict=thread_id,email`,
+      {
+        method: 'POST',
+        headers: { ...getSupabaseWriteHeaders(sb.key), Prefer: 'resolution=merge-duplicates' },
+        body: JSON.stringify([{ thread_id: threadId, email: lower(email), read_at: new Date().toISOString() }]),
+      },
+    );
+    if (!resp.ok) {
+      const txt = await resp.text().catch(() => '');
+      logger.warn('markThreadRead failed', { threadId, status: resp.status, body: txt.slice(0, 200) });
+    }
+    return resp.ok;
+  } catch (e) {
+    logger.warn('markThreadRead failed', { threadId, error: e.message });
+    return false;
+  }
+}
+
+export async function listNotifications(email, { unreadOnly = false, limit = 50 } = {}) {
+  const sb = requireSupabase();
+  if (!sb || !email) return [];
+  try {
+    const resp = await fetchWithTimeout(
+      `${sb.url}/rest/v1/notifications?recipient_email=eq.${encodeURIComponent(lower(email))}` +
+        `${unreadOnly ? '&read_at=is.null' : ''}&select=${NOTIFICATION_SELECT}` +
+        `&order=created_at.desc&limit=${Math.max(1, Math.min(200, limit))}`,
+      { method: 'GET', headers: getSupabaseHeaders(sb.key) },
+    );
+    return resp.ok ? await resp.json() : [];
+  } catch (e) {
+    logger.error('listNotifications failed', { error: e.message });
+    return [];
+  }
+}
+
+/**
+ * Mark the caller's notifications read — the given ids, or all unread
+ * ones when `ids` is null. Returns how many rows changed, or null on a
+ * storage failure.
+ */
+export async function markNotificationsRead(email, ids = null) {
+  const sb = requireSupabase();
+  if (!sb || !email) return null;
+  const filter = ids ? `&id=in.(${ids.map(encodeURIComponent).join(',')})` : '';
+  try {
+    const resp = await fetchWithTimeout(
+      `${sb.url}/rest/v1/notifications?recipient_email=eq.${encodeURIComponent(lower(email))}` +
+        `&read_at=is.null${filter}&select=id`,
+      {
+        method: 'PATCH',
+        headers: { ...getSupabaseWriteHeaders(sb.key), Prefer: 'return=representation' },
+        body: JSON.stringify({ read_at: new Date().toISOString() }),
+      },
+    );
+    if (!resp.ok) return null;
+    const rows = await resp.json().catch(() => []);
+    return rows.length;
+  } catch (e) {
+    logger.error('markNotificationsRead failed', { error: e.message });
+    return null;
+  }
+}
@@ -16,11 +16,15 @@
  *
  * Returned object uses the legacy snake_case column names so callers
  * that previously read columns off the row keep working unchanged.
+ *
+ * Money is in the process's native currency (see lib/currency.js); the
+ * blended-rate fallback is picked per currency so a EUR process isn't
+ * costed at £50/hr. Model-level aggregators convert via reportingMetrics.
  */
 
 import { calculateProcessSavings } from './costSavingsCalculator.js';
+import { processCurrency, defaultHourlyRate } from './currency.js';
 
-const DEFAULT_HOURLY_RATE        = 50;     // £/hr - safe blended fallback
 const DEFAULT_ON_COST_MULTIPLIER = 1.25;   // employer NI + overhead loading
 const DEFAULT_UTILISATION        = 0.85;
 const DEFAULT_HOURS_PER_INSTANCE = 4;
@@ -39,7 +43,8 @@ function toHourlyRate(rateInput, rateType) {
   return v;
 }
 
-function gradeFromPct(pct) {
+/** Letter grade for an automation percentage: A at 80%+, down to E under 20%. */
+export function gradeFromPct(pct) {
   if (pct == null || !Number.isFinite(pct)) return 'N/A';
   if (pct >= 80) return 'A';
   if (pct >= 60) return 'B';
@@ -50,11 +55,11 @@ function gradeFromPct(pct) {
 
 /**
  * Walk every step across every process and aggregate cost + savings.
- * Returns minutes (savings) and total annual £ (cost). Mirrors the
+ * Returns annual cost and savings in `currency`. Mirrors the
  * legacy save-time computation in computeRedesignCostProfile so values
  * line up with what cached summaries store.
  */
-function deriveFromRawProcesses(flowData) {
+function deriveFromRawProcesses(flowData, currency) {
   const costAnalysis = flowData.costAnalysis || {};
   const rawProcesses = Array.isArray(flowData.rawProcesses)
     ? flowData.rawProcesses
@@ -65,7 +70,7 @@ function deriveFromRawProcesses(flowData) {
   }
 
   const labourRates       = Array.isArray(costAnalysis.labourRates) ? costAnalysis.labourRates : [];
-  const blendedRate       = num(costAnalysis.blendedRate) || DEFAULT_HOURLY_RATE;
+  const blendedRate       = num(costAnalysis.blendedRate) || defaultHourlyRate(currency);
   const onCostMultiplier  = num(costAnalysis.onCostMultiplier) || DEFAULT_ON_COST_MULTIPLIER;
   const processCostDrivers = costAnalysis.processCostDrivers || {};
   const defaultRate       = blendedRate * onCostMultiplier;
@@ -107,7 +112,7 @@ function deriveFromRawProcesses(flowData) {
                        + (sav.breakdown?.redundancyMins || 0)
                        + (sav.breakdown?.workReductionMins || 0);
     const minsPerYear = minutesSaved * annual * teamSize;
-    totalSavingsMins += minsPerYear * avgRate / 60; // minutes × £/hr ÷ 60 = £
+    totalSavingsMins += minsPerYear * avgRate / 60; // minutes × rate/hr ÷ 60 = money
 
     const eligible = steps.filter((s) => !s?.isDecision && !s?.isMerge);
     const automated = eligible.filter((s) => !!s?.isAutomated);
@@ -138,8 +143,9 @@ function deriveFromRawProcesses(flowData) {
  *   - A row from `processes` (has `flow_data` JSONB), or
  *   - A bare flow-data object (already extracted)
  *
- * Returns the legacy column shape so consumers swap in cleanly:
- *   { total_annual_cost, potential_savings, automation_percentage, automation_grade }
+ * Returns the legacy column shape so consumers swap in cleanly, plus the
+ * native currency the amounts are in:
+ *   { total_annual_cost, potential_savings, automation_percentage, automation_grade, currency }
  */
 export function deriveProcessMetrics(rowOrFlowData) {
   if (!rowOrFlowData || typeof rowOrFlowData !== 'object') {
@@ -148,6 +154,7 @@ export function deriveProcessMetrics(rowOrFlowData) {
       potential_savings: 0,
       automation_percentage: null,
       automation_grade: 'N/A',
+      currency: processCurrency(null),
     };
   }
 
@@ -163,16 +170,19 @@ export function deriveProcessMetrics(rowOrFlowData) {
       potential_savings: 0,
       automation_percentage: null,
       automation_grade: 'N/A',
+      currency: processCurrency(rowOrFlowData),
     };
   }
 
-  const derived = deriveFromRawProcesses(flow);
+  const currency = processCurrency(rowOrFlowData);
+  const derived = deriveFromRawProcesses(flow, currency);
 
   return {
     total_annual_cost:     derived.totalAnnualCost,
     potential_savings:     derived.potentialSavings,
     automation_percentage: derived.automationPct,
     automation_grade:      gradeFromPct(derived.automationPct),
+    currency,
   };
 }
 
@@ -188,9 +198,27 @@ export function attachDerivedMetrics(row) {
   row.potential_savings     = m.potential_savings;
   row.automation_percentage = m.automation_percentage;
   row.automation_grade      = m.automation_grade;
+  row.currency              = m.currency;
   return row;
 }
 
+/**
+ * A row's cost and savings in the reporting currency. `fx` is a
+ * converter from lib/currency.js; without one the native amounts pass
+ * through (single-currency callers and tests). When the converter has
+ * no rate for the row's currency, both amounts are 0 and `converted` is
+ * false so the caller can count the process as unconverted.
+ */
+export function reportingMetrics(row, fx) {
+  const annualCost = Number(row?.total_annual_cost) || 0;
+  const potentialSavings = Number(row?.potential_savings) || 0;
+  if (!fx) return { annualCost, potentialSavings, converted: true };
+  const from = row?.currency || processCurrency(row);
+  const cost = fx.convert(annualCost, from);
+  if (cost == null) return { annualCost: 0, potentialSavings: 0, converted: false };
+  return { annualCost: cost, potentialSavings: fx.convert(potentialSavings, from), converted: true };
+}
+
 /**
  * Slice a process's annual cost across the functions its steps are tagged
  * to, weighted by workMinutes. Used by the graph view's cost heatmap and
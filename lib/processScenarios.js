@@ -0,0 +1,277 @@
+/**
+ * processScenarios — read/write the `process_scenarios` table and promote
+ * a scenario into the live process.
+ *
+ *   loadScenarioProcess(processId, email)   ← live row, owner-checked
+ *   listScenarios(processId)
+ *   getScenario(processId, scenarioId)
+ *   createScenario({ process, name, ... })  ← fork live (+ optional edits)
+ *   updateScenario(processId, scenarioId, patch)
+ *   deleteScenario(processId, scenarioId)
+ *   promoteScenario({ process, scenario })  ← write into live + `changes` batch
+ *
+ * The what-if arithmetic (forking, edits, metrics, comparison, change
+ * rows) is in lib/flows/scenarios.js.
+ */
+
+import {
+  getSupabaseHeaders, getSupabaseWriteHeaders, fetchWithTimeout, requireSupabase,
+} from './api-helpers.js';
+import { logger } from './logger.js';
+import { recordChanges } from './changes/repo.js';
+import { versionBeforeWrite } from './processVersionStore.js';
+import {
+  forkFlow, applyScenarioEdits, mergeScenarioIntoLive, normaliseScenarioInput, scenarioChangeRows,
+} from './flows/scenarios.js';
+
+const SCENARIO_SELECT = 'id,process_id,name,description,flow_data,status,created_by_kind,created_by_email,base_updated_at,promoted_at,promoted_by_email,promoted_change_ids,created_at,updated_at';
+const EDITABLE_STATUSES = new Set(['draft', 'proposed', 'archived']);
+
+/**
+ * The live process a scenario hangs off, readable and writable only by
+ * its owner — the same rule as /api/update-diagnostic. Returns
+ * { row } or { error, status }; other people's processes read as 404.
+ */
+export async function loadScenarioProcess(processId, email) {
+  const sb = requireSupabase();
+  if (!sb) return { error: 'Storage not configured.', status: 503 };
+  try {
+    const resp = await fetchWithTimeout(
+      `${sb.url}/rest/v1/processes?id=eq.${encodeURIComponent(processId)}` +
+        `&select=id,contact_email,flow_data,currency,updated_at&limit=1`,
+      { method: 'GET', headers: getSupabaseHeaders(sb.key) },
+    );
+    if (!resp.ok) return { error: 'Failed to read process.', status: 502 };
+    const [row] = await resp.json().catch(() => []);
+    if (!row || (row.contact_email || '').toLowerCase() !== String(email || '').toLowerCase()) {
+      return { error: 'Process not found.', status: 404 };
+    }
+    return { row };
+  } catch (e) {
+    logger.error('loadScenarioProcess failed', { processId, error: e.message });
+    return { error: 'Failed to read process.', status: 502 };
+  }
+}
+
+export async function listScenarios(processId) {
+  const sb = requireSupabase();
+  if (!sb || !processId) return [];
+  try {
+    const resp = await fetchWithTimeout(
+      `${sb.url}/rest/v1/process_scenarios?process_id=eq.${encodeURIComponent(processId)}` +
+        `&select=${SCENARIO_SELECT}&order=created_at.asc&limit=100`,
+      { method: 'GET', headers: getSupabaseHeaders(sb.key) },
+    );
+    return resp.ok ? await resp.json() : [];
+  } catch (e) {
+    logger.error('listScenarios failed', { processId, error: e.message });
+    return [];
+  }
+}
+
+export async function getScenario(processId, scenarioId) {
+  const sb = requireSupabase();
+  if (!sb || !processId || !scenarioId) return null;
+  try {
+    const resp = await fetchWithTimeout(
+      `${sb.url}/rest/v1/process_scenarios?id=eq.${encodeURIComponent(scenarioId)}` +
+        `&process_id=eq.${encodeURIComponent(processId)}&select=${SCENARIO_SELECT}&limit=1`,
+      { method: 'GET', headers: getSupabaseHeaders(sb.key) },
+    );
+    if (!resp.ok) return null;
+    const [row] = await resp.json().catch(() => []);
+    return row || null;
+  } catch (e) {
+    logger.error('getScenario failed', { processId, scenarioId, error: e.message });
+    return null;
+  }
+}
+
+/**
+ * Fork the live process into a new scenario. `edits` (see
+ * applyScenarioEdits) are applied to the fork; agent-created scenarios
+ * start as 'proposed'. Throws on invalid input; returns the row, or null
+ * on a storage failure.
+ */
+export async function createScenario({
+  process, name, description = null, edits = null,
+  createdByKind = 'user', email = null,
+}) {
+  const clean = normaliseScenarioInput({ name, description });
+  const flow = edits ? applyScenarioEdits(process.flow_data, edits) : forkFlow(process.flow_data);
+  const sb = requireSupabase();
+  if (!sb) return null;
+  const agent = createdByKind === 'agent';
+  try {
+    const resp = await fetchWithTimeout(
+      `${sb.url}/rest/v1/process_scenarios?select=${SCENARIO_SELECT}`,
+      {
+        method: 'POST',
+        headers: { ...getSupabaseWriteHeaders(sb.key), Prefer: 'return=representation' },
+        body: JSON.stringify({
+          process_id: process.id,
+          name: clean.name,
+          description: clean.description ?? null,
+          flow_data: flow,
+          status: agent ? 'proposed' : 'draft',
+          created_by_kind: agent ? 'agent' : 'user',
+          created_by_email: email ? String(email).toLowerCase() : null,
+          base_updated_at: process.updated_at || null,
+        }),
+      },
+    );
+    if (!resp.ok) {
+      const txt = await resp.text().catch(() => '');
+      logger.warn('createScenario failed', { processId: process.id, status: resp.status, body: txt.slice(0, 200) });
+      return null;
+    }
+    const [row] = await resp.json().catch(() => []);
+    return row || null;
+  } catch (e) {
+    logger.error('createScenario failed', { processId: process.id, error: e.message });
+    return null;
+  }
+}
+
+/**
+ * Rename / re-describe, replace the scenario's flow_data, apply edits, or
+ * move between draft / proposed / archived. Promoted scenarios are
+ * read-only. Throws on invalid input; returns the row or null.
+ *
+ * @param {object} patch  { name?, description?, flow_data?, edits?, status? }
+ */
+export async function updateScenario(processId, scenarioId, patch = {}) {
+  const current = await getScenario(processId, scenarioId);
+  if (!current) return null;
+  if (current.status === 'promoted') throw new Error('This scenario has been promoted and can no longer be edited.');
+
+  const body = { ...normaliseScenarioInput(patch, { partial: true }) };
+  if (patch.status !== undefined) {
+    if (!EDITABLE_STATUSES.has(patch.status)) throw new Error('status must be draft, proposed or archived.');
+    body.status = patch.status;
+  }
+  let flow = patch.flow_data !== undefined ? forkFlow(patch.flow_data) : null;
+  if (patch.edits) flow = applyScenarioEdits(flow || current.flow_data, patch.edits);
+  if (flow) body.flow_data = flow;
+  if (!Object.keys(body).length) return current;
+  body.updated_at = new Date().toISOString();
+
+  const sb = requireSupabase();
+  if (!sb) return null;
+  try {
+    const resp = await fetchWithTimeout(
+      `${sb.url}/rest/v1/process_scenarios?id=eq.${encodeURIComponent(scenarioId)}` +
+        `&process_id=eq.${encodeURIComponent(processId)}&select=${SCENARIO_SELECT}`,
+      {
+        method: 'PATCH',
+        headers: { ...getSupabaseWriteHeaders(sb.key), Prefer: 'return=representation' },
+        body: JSON.stringify(body),
+      },
+    );
+    if (!resp.ok) return null;
+    const [row] = await resp.json().catch(() => []);
+    return row || null;
+  } catch (e) {
+    logger.error('updateScenario failed', { processId, scenarioId, error: e.message });
+    return null;
+  }
+}
+
+export async function deleteScenario(processId, scenarioId) {
+  const sb = requireSupabase();
+  if (!sb || !processId || !scenarioId) return { ok: false };
+  try {
+    const resp = await fetchWithTimeout(
+      `${sb.url}/rest/v1/process_scenarios?id=eq.${encodeURIComponent(scenarioId)}&process_id=eq.${encodeURIComponent(processId)}`,
+      { method: 'DELETE', headers: { ...getSupabaseWriteHeaders(sb.key), Prefer: 'return=minimal' } },
+    );
+    return { ok: resp.ok };
+  } catch (e) {
+    logger.error('deleteScenario failed', { processId, scenarioId, error: e.message });
+    return { ok: false };
+  }
+}
+
+/**
+ * Write a scenario's rawProcesses + costAnalysis into the live process
+ * and record the difference as one batch of `changes` rows.
+ *
+ * When the live process was saved after the scenario was forked the
+ * promotion would overwrite those edits, so it stops with
+ * { ok: false, stale: true } unless `force` is set. The write is
+ * conditional on the live row's updated_at, so a save landing between
+ * the read and the write also comes back as stale. The live state is
+ * versioned first, so a promotion can be undone from version history.
+ *
+ * @returns {Promise<{ ok: boolean, stale?: boolean, error?: string, changeIds?: string[], changes?: number }>}
+ */
+export async function promoteScenario({ process, scenario, email = null, force = false }) {
+  if (scenario.status === 'promoted') return { ok: false, error: 'This scenario has already been promoted.' };
+  const liveMoved = scenario.base_updated_at && process.updated_at
+    && Date.parse(process.updated_at) > Date.parse(scenario.base_updated_at);
+  if (liveMoved && !force) return { ok: false, stale: true };
+
+  const sb = requireSupabase();
+  if (!sb) return { ok: false, error: 'Storage not configured.' };
+
+  // The live flow is replaced wholesale; keep it restorable.
+  await versionBeforeWrite({ processId: process.id, flowData: process.flow_data, updatedAt: process.updated_at, email });
+
+  const nowIso = new Date().toISOString();
+  const nextFlow = mergeScenarioIntoLive(process.flow_data, scenario.flow_data);
+  try {
+    const lock = process.updated_at ? `&updated_at=eq.${encodeURIComponent(process.updated_at)}` : '';
+    const resp = await fetchWithTimeout(
+      `${sb.url}/rest/v1/processes?id=eq.${encodeURIComponent(process.id)}${lock}&select=id`,
+      {
+        method: 'PATCH',
+        headers: { ...getSupabaseWriteHeaders(sb.key), Prefer: 'return=representation' },
+        body: JSON.stringify({ flow_data: nextFlow, updated_at: nowIso }),
+      },
+    );
+    if (!resp.ok) {
+      const txt = await resp.text().catch(() => '');
+      logger.error('promoteScenario write failed', { processId: process.id, status: resp.status, body: txt.slice(0, 200) });
+      return { ok: false, error: 'Failed to update the live process.' };
+    }
+    const written = await resp.json().catch(() => []);
+    if (!written.length) return { ok: false, stale: true };
+  } catch (e) {
+    logger.error('promoteScenario write failed', { processId: process.id, error: e.message });
+    return { ok: false, error: 'Failed to update the live process.' };
+  }
+
+  const rows = scenarioChangeRows(process.flow_data, scenario.flow_data, {
+    processId: process.id,
+    scenarioId: scenario.id,
+    scenarioName: scenario.name,
+    actorEmail: email,
+  });
+  const { ids } = rows.length
+    ? await recordChanges(rows).catch((e) => {
+      logger.warn('promoteScenario: recordChanges failed', { processId: process.id, error: e.message });
+      return { ids: [] };
+    })
+    : { ids: [] };
+
+  try {
+    await fetchWithTimeout(
+      `${sb.url}/rest/v1/process_scenarios?id=eq.${encodeURIComponent(scenario.id)}`,
+      {
+        method: 'PATCH',
+        headers: { ...getSupabaseWriteHeaders(sb.key), Prefer: 'return=minimal' },
+        body: JSON.stringify({
+          status: 'promoted',
+          promoted_at: nowIso,
+          promoted_by_email: email ? String(email).toLowerCase() : null,
+          promoted_change_ids: ids,
+          updated_at: nowIso,
+        }),
+      },
+    );
+  } catch (e) {
+    logger.warn('promoteScenario: status update failed', { scenarioId: scenario.id, error: e.message });
+  }
+
+  return { ok: true, changeIds: ids, changes: rows.length };
+}
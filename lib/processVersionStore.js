@@ -0,0 +1,281 @@
+/**
+ * processVersionStore — read/write the immutable `process_versions`
+ * table and restore a version into the live process.
+ *
+ *   listVersions(processId)                       ← newest first, no flow_data
+ *   getVersion(processId, versionId)              ← with flow_data
+ *   createVersion({ processId, flowData, kind })  ← next version_no
+ *   readVersionBase(processId)                    ← live row before a save
+ *   recordAutoVersion({ processId, flowData, previous }) ← on save, debounced
+ *   versionBeforeWrite({ processId, flowData })   ← before a bulk overwrite
+ *   restoreVersion({ process, version })          ← write into live + `reverted` change
+ *
+ * Snapshots, the debounce rule, diffs and the change row are in
+ * lib/flows/versions.js. Owner checks are the callers' job — the routes
+ * use loadScenarioProcess, the save routes have already checked.
+ *
+ * Every writer that replaces processes.flow_data goes through one of
+ * these: canvas saves through recordAutoVersion, whole-flow rewrites
+ * (BPMN and event-log imports, scenario promotion, the steps PATCH on
+ * get-diagnostic, restores) through versionBeforeWrite.
+ */
+
+import crypto from 'crypto';
+import {
+  getSupabaseHeaders, getSupabaseWriteHeaders, fetchWithTimeout, requireSupabase,
+} from './api-helpers.js';
+import { logger } from './logger.js';
+import { recordChanges } from './changes/repo.js';
+import { stableJson } from './flows/collab.js';
+import { mergeScenarioIntoLive } from './flows/scenarios.js';
+import {
+  VERSION_KINDS, versionSnapshot, versionStepCount, autoVersionSource, restoreChangeRow,
+} from './flows/versions.js';
+
+const LIST_SELECT = 'id,process_id,version_no,kind,name,note,step_count,content_hash,base_updated_at,restored_from_id,created_by_email,created_at';
+const VERSION_SELECT = `${LIST_SELECT},flow_data`;
+const MAX_INSERT_ATTEMPTS = 3;
+
+function snapshotHash(snapshot) {
+  return crypto.createHash('sha256').update(stableJson(snapshot)).digest('hex');
+}
+
+export async function listVersions(processId, { limit = 200 } = {}) {
+  const sb = requireSupabase();
+  if (!sb || !processId) return [];
+  try {
+    const resp = await fetchWithTimeout(
+      `${sb.url}/rest/v1/process_versions?process_id=eq.${encodeURIComponent(processId)}` +
+        `&select=${LIST_SELECT}&order=version_no.desc&limit=${Math.max(1, Math.min(500, limit))}`,
+      { method: 'GET', headers: getSupabaseHeaders(sb.key) },
+    );
+    return resp.ok ? await resp.json() : [];
+  } catch (e) {
+    logger.error('listVersions failed', { processId, error: e.message });
+    return [];
+  }
+}
+
+export async function getVersion(processId, versionId) {
+  const sb = requireSupabase();
+  if (!sb || !processId || !versionId) return null;
+  try {
+    const resp = await fetchWithTimeout(
+      `${sb.url}/rest/v1/process_versions?id=eq.${encodeURIComponent(versionId)}` +
+        `&process_id=eq.${encodeURIComponent(processId)}&select=${VERSION_SELECT}&limit=1`,
+      { method: 'GET', headers: getSupabaseHeaders(sb.key) },
+    );
+    if (!resp.ok) return null;
+    const [row] = await resp.json().catch(() => []);
+    return row || null;
+  } catch (e) {
+    logger.error('getVersion failed', { processId, versionId, error: e.message });
+    return null;
+  }
+}
+
+/**
+ * Snapshot `flowData` as the process's next version. version_no is the
+ * newest + 1; two writers racing for the same number hit the unique
+ * constraint and the loser retries. Returns the row (without flow_data)
+ * or null on a storage failure.
+ */
+export async function createVersion({
+  processId, flowData, kind = 'auto', name = null, note = null,
+  email = null, restoredFromId = null, baseUpdatedAt = null, latest,
+}) {
+  if (!VERSION_KINDS.includes(kind)) throw new Error(`Unknown version kind "${kind}".`);
+  const sb = requireSupabase();
+  if (!sb || !processId) return null;
+  const snapshot = versionSnapshot(flowData);
+  const body = {
+    process_id: processId,
+    kind,
+    name: name || null,
+    note: note || null,
+    flow_data: snapshot,
+    step_count: versionStepCount(snapshot),
+    content_hash: snapshotHash(snapshot),
+    base_updated_at: baseUpdatedAt || null,
+    restored_from_id: restoredFromId || null,
+    created_by_email: email ? String(email).toLowerCase() : null,
+  };
+  let newest = latest;
+  for (let attempt = 0; attempt < MAX_INSERT_ATTEMPTS; attempt++) {
+    if (newest === undefined || attempt > 0) [newest] = await listVersions(processId, { limit: 1 });
+    try {
+      const resp = await fetchWithTimeout(
+        `${sb.url}/rest/v1/process_versions?select=${LIST_SELECT}`,
+        {
+          method: 'POST',
+          headers: { ...getSupabaseWriteHeaders(sb.key), Prefer: 'return=representation' },
+          body: JSON.stringify({ ...body, version_no: (newest?.version_no || 0) + 1 }),
+        },
+      );
+      if (resp.status === 409) continue;
+      if (!resp.ok) {
+        const txt = await resp.text().catch(() => '');
+        logger.warn('createVersion failed', { processId, status: resp.status, body: txt.slice(0, 200) });
+        return null;
+      }
+      const [row] = await resp.json().catch(() => []);
+      return row || null;
+    } catch (e) {
+      logger.error('createVersion failed', { processId, error: e.message });
+      return null;
+    }
+  }
+  logger.warn('createVersion: version_no contention, giving up', { processId });
+  return null;
+}
+
+/**
+ * The live row's flow_data and updated_at, read by a save route before it
+ * writes so recordAutoVersion can keep the state the save replaces.
+ * Null when it can't be read.
+ */
+export async function readVersionBase(processId) {
+  const sb = requireSupabase();
+  if (!sb || !processId) return null;
+  try {
+    const resp = await fetchWithTimeout(
+      `${sb.url}/rest/v1/processes?id=eq.${encodeURIComponent(processId)}&select=flow_data,updated_at&limit=1`,
+      { method: 'GET', headers: getSupabaseHeaders(sb.key) },
+    );
+    if (!resp.ok) return null;
+    const [row] = await resp.json().catch(() => []);
+    return row || null;
+  } catch (e) {
+    logger.warn('readVersionBase failed', { processId, error: e.message });
+    return null;
+  }
+}
+
+/**
+ * Called after a save lands. When autoVersionSource says an auto version
+ * is due, take it of `previous` — the live row as it was before this
+ * save ({ flow_data, updated_at }), i.e. where the last burst of edits
+ * ended — or of the process as saved. Never throws — a missed version
+ * must not fail the save.
+ *
+ * @returns {Promise<object|null>} the new version row, or null when none was taken
+ */
+export async function recordAutoVersion({
+  processId, flowData, previous = null, email = null, baseUpdatedAt = null, now = Date.now(),
+}) {
+  try {
+    if (!processId || !Array.isArray(flowData?.rawProcesses)) return null;
+    const [latest] = await listVersions(processId, { limit: 1 });
+    const hash = snapshotHash(versionSnapshot(flowData));
+    const previousHash = Array.isArray(previous?.flow_data?.rawProcesses)
+      ? snapshotHash(versionSnapshot(previous.flow_data))
+      : null;
+    const source = autoVersionSource({ latest: latest || null, hash, previousHash, now });
+    if (!source) return null;
+    if (source === 'previous') {
+      return await createVersion({
+        processId, flowData: previous.flow_data, kind: 'auto', email,
+        baseUpdatedAt: previous.updated_at || null, latest: latest || null,
+      });
+    }
+    return await createVersion({ processId, flowData, kind: 'auto', email, baseUpdatedAt, latest: latest || null });
+  } catch (e) {
+    logger.warn('recordAutoVersion failed', { processId, error: e.message });
+    return null;
+  }
+}
+
+/**
+ * Keep the live state a whole-flow write is about to replace, so it can
+ * be restored: `flowData` (the row's flow_data as read, before any
+ * mutation) becomes an auto version unless the newest version already
+ * holds it. Not debounced — these writes are rare and replace a lot.
+ *
+ * @returns {Promise<object|null>} the version holding the pre-write
+ *   state (new or existing), or null when there was nothing to keep or
+ *   it couldn't be stored
+ */
+export async function versionBeforeWrite({ processId, flowData, updatedAt = null, email = null }) {
+  if (!processId || !flowData || typeof flowData !== 'object') return null;
+  try {
+    const [latest] = await listVersions(processId, { limit: 1 });
+    if (latest && latest.content_hash === snapshotHash(versionSnapshot(flowData))) return latest;
+    return await createVersion({
+      processId, flowData, kind: 'auto', email, baseUpdatedAt: updatedAt, latest: latest || null,
+    });
+  } catch (e) {
+    logger.warn('versionBeforeWrite failed', { processId, error: e.message });
+    return null;
+  }
+}
+
+/**
+ * Put a version back as the live process. The live state is versioned
+ * first (when no version holds it yet) so the restore can itself be
+ * undone; then the version's rawProcesses + costAnalysis are written over
+ * the live row, one `reverted` change is recorded, and the restored state
+ * becomes a 'restore' version.
+ *
+ * The write is conditional on the live row's updated_at; a save landing
+ * between the read and the write comes back as { ok: false, stale: true }.
+ *
+ * @returns {Promise<{ ok: boolean, stale?: boolean, error?: string, version?: object, previousVersionId?: string|null, changeId?: string|null }>}
+ */
+export async function restoreVersion({ process, version, email = null }) {
+  const sb = requireSupabase();
+  if (!sb) return { ok: false, error: 'Storage not configured.' };
+
+  const previous = await versionBeforeWrite({
+    processId: process.id, flowData: process.flow_data || {}, updatedAt: process.updated_at, email,
+  });
+  if (!previous) return { ok: false, error: 'Failed to save the current process before restoring.' };
+
+  const nowIso = new Date().toISOString();
+  const nextFlow = mergeScenarioIntoLive(process.flow_data, version.flow_data);
+  try {
+    const lock = process.updated_at ? `&updated_at=eq.${encodeURIComponent(process.updated_at)}` : '';
+    const resp = await fetchWithTimeout(
+      `${sb.url}/rest/v1/processes?id=eq.${encodeURIComponent(process.id)}${lock}&select=id`,
+      {
+        method: 'PATCH',
+        headers: { ...getSupabaseWriteHeaders(sb.key), Prefer: 'return=representation' },
+        body: JSON.stringify({ flow_data: nextFlow, updated_at: nowIso }),
+      },
+    );
+    if (!resp.ok) {
+      const txt = await resp.text().catch(() => '');
+      logger.error('restoreVersion write failed', { processId: process.id, status: resp.status, body: txt.slice(0, 200) });
+      return { ok: false, error: 'Failed to update the live process.' };
+    }
+    const written = await resp.json().catch(() => []);
+    if (!written.length) return { ok: false, stale: true };
+  } catch (e) {
+    logger.error('restoreVersion write failed', { processId: process.id, error: e.message });
+    return { ok: false, error: 'Failed to update the live process.' };
+  }
+
+  const row = restoreChangeRow({
+    processId: process.id,
+    version,
+    previousVersionId: previous?.id || null,
+    actorEmail: email,
+    beforeSteps: versionStepCount(process.flow_data),
+    afterSteps: versionStepCount(nextFlow),
+  });
+  const { ids } = await recordChanges([row]).catch((e) => {
+    logger.warn('restoreVersion: recordChanges failed', { processId: process.id, error: e.message });
+    return { ids: [] };
+  });
+
+  const restored = await createVersion({
+    processId: process.id,
+    flowData: nextFlow,
+    kind: 'restore',
+    email,
+    restoredFromId: version.id,
+    baseUpdatedAt: nowIso,
+  });
+  if (!restored) logger.warn('restoreVersion: restore version not recorded', { processId: process.id, versionId: version.id });
+
+  return { ok: true, version: restored, previousVersionId: previous?.id || null, changeId: ids?.[0] || null };
+}
@@ -0,0 +1,273 @@
+'use client';
+
+/**
+ * Real-time collaborative editing of one flow. Wraps useFlowPresence and
+ * uses the same Supabase Realtime channel for four broadcast messages:
+ *
+ *   flow-op            register writes from lib/flows/collab.js — every
+ *                      peer merges them into its CollabDoc and re-renders
+ *                      the merged flow, so concurrent edits to steps,
+ *                      handoffs, node offsets and connectors all land
+ *   flow-sync-request  a peer that just joined asks for the session state
+ *   flow-sync          …and anyone who has edited answers with it
+ *   flow-cursor        pointer position on the canvas, in flow coordinates
+ *
+ * Every message carries `flow` (report id + surface). The presence channel
+ * is deal- or report-scoped, so people on different flows can share it;
+ * messages for another flow are ignored.
+ *
+ * Soft locks come from presence: whoever opened a step first holds it,
+ * and `lockHolder(stepId)` names them so the inspector can ask before
+ * editing. Nothing is enforced — the merge is what keeps edits safe.
+ *
+ * When a remote edit overwrites one of ours that its author hadn't seen,
+ * `onConflicts` gets the collisions (with step number / name and who won)
+ * so the workspace can tell the user and record them in `changes`.
+ *
+ * The flow stays in the workspace's own state: `snapshot` is read on every
+ * change and `onRemoteSnapshot(partial)` is called with whichever parts
+ * (steps, handoffs, flowNodePositions, flowCustomEdges, flowDeletedEdges)
+ * a merge changed. Steps need stable ids; missing ones are filled in
+ * through the same callback before the first sync.
+ */
+
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { useFlowPresence } from '@/lib/useFlowPresence';
+import {
+  createCollabDoc, commitLocal, applyRemote, materialise, exportState, adoptState, mergeState,
+  ensureStepIds, hasStepIds, legacyStepId, softLockHolder,
+} from '@/lib/flows/collab';
+
+const BROADCAST_EVENTS = ['flow-op', 'flow-sync-request', 'flow-sync', 'flow-cursor'];
+const SNAPSHOT_PARTS = ['steps', 'handoffs', 'flowNodePositions', 'flowCustomEdges', 'flowDeletedEdges'];
+const OP_FLUSH_MS = 120;
+const CURSOR_THROTTLE_MS = 50;
+const CURSOR_TTL_MS = 6_000;
+
+function randomId(prefix) {
+  try {
+    if (typeof crypto !== 'undefined' && crypto.randomUUID) return crypto.randomUUID();
+  } catch { /* fall through */ }
+  return `${prefix}-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+/** A fresh stable id for a step that has none. */
+export const newStepId = () => randomId('step');
+
+export function useFlowCollab({
+  user, dealId, participantId, reportId, flowKey, currentlyEditingStep = null, editingStepId = null,
+  snapshot, onRemoteSnapshot, onConflicts, enabled = true,
+}) {
+  const collabOn = !!(enabled && flowKey);
+  const siteRef = useRef(null);
+  if (!siteRef.current) siteRef.current = randomId('site');
+  const docRef = useRef(null);
+  const flushTimerRef = useRef(null);
+  const syncAskedRef = useRef(false);
+  const cursorRef = useRef({ timer: null, latest: undefined });
+  const [cursors, setCursors] = useState({}); // { [site]: { email, name, colour, x, y, at } }
+  const [seeded, setSeeded] = useState(false);
+
+  // Latest values for the broadcast handler, which is registered once.
+  const snapshotRef = useRef(snapshot);
+  snapshotRef.current = snapshot;
+  const flowKeyRef = useRef(flowKey);
+  flowKeyRef.current = collabOn ? flowKey : null;
+  const onRemoteRef = useRef(onRemoteSnapshot);
+  onRemoteRef.current = onRemoteSnapshot;
+  const onConflictsRef = useRef(onConflicts);
+  onConflictsRef.current = onConflicts;
+  const broadcastRef = useRef(null);
+  const selfRef = useRef(null);
+
+  const envelope = useCallback((extra) => ({
+    flow: flowKeyRef.current,
+    site: siteRef.current,
+    email: selfRef.current?.email || null,
+    name: selfRef.current?.name || null,
+    ...extra,
+  }), []);
+
+  // Commit whatever the local user has changed since the last flush.
+  const flushLocal = useCallback(() => {
+    clearTimeout(flushTimerRef.current);
+    flushTimerRef.current = null;
+    const doc = docRef.current;
+    const snap = snapshotRef.current;
+    if (!doc || !flowKeyRef.current || !hasStepIds(snap?.steps || [])) return;
+    const ops = commitLocal(doc, snap);
+    if (ops.length) broadcastRef.current?.('flow-op', envelope({ ops }));
+  }, [envelope]);
+
+  // Hand the merged flow back to the workspace — only the parts that differ.
+  const publish = useCallback(() => {
+    const doc = docRef.current;
+    if (!doc) return null;
+    const next = materialise(doc);
+    const cur = snapshotRef.current || {};
+    const partial = {};
+    for (const part of SNAPSHOT_PARTS) {
+      if (JSON.stringify(next[part]) !== JSON.stringify(cur[part] ?? (part === 'flowNodePositions' ? {} : []))) partial[part] = next[part];
+    }
+    if (Object.keys(partial).length) onRemoteRef.current?.(partial);
+    return next;
+  }, []);
+
+  const handleBroadcast = useCallback((event, payload) => {
+    if (!payload || !flowKeyRef.current || payload.flow !== flowKeyRef.current) return;
+    if (payload.site === siteRef.current) return;
+    const doc = docRef.current;
+
+    if (event === 'flow-cursor') {
+      setCursors((prev) => {
+        const next = { ...prev };
+        if (payload.x == null || payload.y == null) delete next[payload.site];
+        else next[payload.site] = { email: payload.email, name: payload.name, colour: payload.colour, x: payload.x, y: payload.y, at: Date.now() };
+        return next;
+      });
+      return;
+    }
+    if (!doc) return;
+
+    if (event === 'flow-sync-request') {
+      if (doc.clock > 0) broadcastRef.current?.('flow-sync', envelope({ to: payload.site, state: exportState(doc) }));
+      return;
+    }
+    // Local keystrokes not yet flushed would otherwise be overwritten by
+    // the re-render below.
+    flushLocal();
+    if (event === 'flow-sync') {
+      if (payload.to !== siteRef.current) return;
+      if (doc.localOps === 0) adoptState(doc, payload.state);
+      else mergeState(doc, payload.state);
+      publish();
+      return;
+    }
+    if (event === 'flow-op') {
+      const { changed, collisions } = applyRemote(doc, payload.ops);
+      if (!changed) return;
+      const merged = publish();
+      if (collisions.length && onConflictsRef.current) {
+        const byId = new Map((merged?.steps || []).map((s) => [s.id, s]));
+        const before = new Map((snapshotRef.current?.steps || []).map((s) => [s.id, s]));
+        onConflictsRef.current(collisions.map((c) => {
+          const step = c.step_id ? byId.get(c.step_id) || before.get(c.step_id) : null;
+          return {
+            ...c,
+            step_number: step?.number ?? null,
+            step_name: step?.name || null,
+            won_by: payload.email || null,
+            won_by_name: payload.name || null,
+          };
+        }));
+      }
+    }
+  }, [envelope, flushLocal, publish]);
+
+  const presence = useFlowPresence({
+    user, dealId, participantId, reportId, currentlyEditingStep, editingStepId,
+    broadcastEvents: BROADCAST_EVENTS,
+    onBroadcast: handleBroadcast,
+    enabled,
+  });
+  broadcastRef.current = presence.broadcast;
+  selfRef.current = {
+    email: (user?.email || '').toLowerCase().trim() || null,
+    name: user?.name || user?.email?.split('@')[0] || null,
+    colour: presence.selfColour,
+  };
+
+  // New flow (or collab switched off): start over.
+  useEffect(() => {
+    docRef.current = null;
+    syncAskedRef.current = false;
+    setSeeded(false);
+    setCursors({});
+    return () => clearTimeout(flushTimerRef.current);
+  }, [collabOn, flowKey]);
+
+  // Local changes: make sure every step has an id, seed the doc the first
+  // time, then commit (debounced) and broadcast.
+  useEffect(() => {
+    if (!collabOn || !snapshot) return;
+    const steps = snapshot.steps || [];
+    if (!hasStepIds(steps)) {
+      // Before the doc exists ids come from position, so everyone opening
+      // the same saved flow keys its steps the same way.
+      onRemoteRef.current?.({ steps: ensureStepIds(steps, docRef.current ? newStepId : legacyStepId) });
+      return;
+    }
+    if (!docRef.current) {
+      docRef.current = createCollabDoc(siteRef.current, snapshot);
+      setSeeded(true);
+      return;
+    }
+    clearTimeout(flushTimerRef.current);
+    flushTimerRef.current = setTimeout(flushLocal, OP_FLUSH_MS);
+  }, [collabOn, flowKey, snapshot, flushLocal]);
+
+  // Once both the doc and the channel are up, ask for the session state.
+  const { connected, broadcast } = presence;
+  useEffect(() => {
+    if (!collabOn || !connected || !seeded || syncAskedRef.current) return;
+    syncAskedRef.current = true;
+    broadcast('flow-sync-request', envelope({}));
+  }, [collabOn, connected, seeded, broadcast, envelope]);
+
+  // Drop cursors that have gone quiet.
+  const hasCursors = Object.keys(cursors).length > 0;
+  useEffect(() => {
+    if (!hasCursors) return undefined;
+    const t = setInterval(() => {
+      const cutoff = Date.now() - CURSOR_TTL_MS;
+      setCursors((prev) => {
+        const live = Object.fromEntries(Object.entries(prev).filter(([, c]) => c.at >= cutoff));
+        return Object.keys(live).length === Object.keys(prev).length ? prev : live;
+      });
+    }, 2_000);
+    return () => clearInterval(t);
+  }, [hasCursors]);
+
+  /** Share the local pointer (flow coordinates), or null when it leaves the canvas. */
+  const sendCursor = useCallback((pos) => {
+    if (!flowKeyRef.current) return;
+    const c = cursorRef.current;
+    const send = () => {
+      c.timer = null;
+      const p = c.latest;
+      broadcastRef.current?.('flow-cursor', envelope({ colour: selfRef.current?.colour, x: p ? p.x : null, y: p ? p.y : null }));
+    };
+    c.latest = pos || null;
+    if (!pos) {
+      clearTimeout(c.timer);
+      send();
+      return;
+    }
+    if (!c.timer) c.timer = setTimeout(send, CURSOR_THROTTLE_MS);
+  }, [envelope]);
+
+  useEffect(() => () => clearTimeout(cursorRef.current.timer), []);
+
+  const peers = presence.peers;
+  const selfEmail = selfRef.current.email;
+  const lockHolder = useCallback((stepId) => softLockHolder({
+    peers,
+    stepId,
+    self: editingStepId === stepId ? { email: selfEmail, since: presence.editingSince } : null,
+  }), [peers, editingStepId, selfEmail, presence.editingSince]);
+
+  const cursorList = useMemo(
+    () => Object.entries(cursors).map(([site, c]) => ({ key: site, ...c })),
+    [cursors],
+  );
+
+  return {
+    peers,
+    connected,
+    collaborating: collabOn && connected && peers.length > 0,
+    cursors: collabOn ? cursorList : [],
+    sendCursor,
+    lockHolder,
+    selfColour: presence.selfColour,
+  };
+}
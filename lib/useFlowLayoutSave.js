@@ -6,6 +6,8 @@ import { apiFetch } from '@/lib/api-fetch';
  * Manages flow canvas state (node positions, custom edges, deleted edges) with
  * debounced auto-save back to the database via /api/update-diagnostic.
  * Save is best-effort and silent - only fires when reportId and processIndex are provided.
+ * The save itself is last-write-wins; when several people edit a flow at once,
+ * useFlowCollab merges their layout edits first, so every editor saves the same state.
  */
 export function useFlowLayoutSave({ reportId, processIndex, accessToken, redesignId = null, initialPositions = {}, initialCustomEdges = [], initialDeletedEdges = [] }) {
   const [flowNodePositions, setFlowNodePositions] = useState(initialPositions);
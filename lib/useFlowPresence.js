@@ -8,9 +8,12 @@
  * flow; other users on the same channel see them appear in the
  * presence bar with a soft-presence "currently editing step N" cue.
  *
- * Soft, not hard: there's no lock. Two users can edit the same step;
- * the bar just makes the collision visible so they don't surprise
- * each other.
+ * Presence itself never blocks anyone: it carries which step each user
+ * has open (`editingStepId` / `editingSince`), from which useFlowCollab
+ * derives per-step soft locks. The same channel also carries broadcast
+ * messages — pass `broadcastEvents` + `onBroadcast` to listen and use the
+ * returned `broadcast(event, payload)` to send; useFlowCollab merges
+ * concurrent edits and relays cursors this way.
  *
  * Channel naming:
  *   flow-presence:deal:<dealId>:<participantId>   — deal-scoped, per participant
@@ -19,7 +22,7 @@
  *   (no channel)                                  — anonymous / no scope; hook is a no-op
  */
 
-import { useEffect, useRef, useState, useCallback } from 'react';
+import { useEffect, useMemo, useRef, useState, useCallback } from 'react';
 import { getSupabaseClient } from '@/lib/supabase';
 
 const HEARTBEAT_MS = 15_000;
@@ -50,13 +53,26 @@ function colourFor(email) {
   return PRESENCE_COLOURS[h % PRESENCE_COLOURS.length];
 }
 
-export function useFlowPresence({ user, dealId, participantId, reportId, currentlyEditingStep = null, enabled = true }) {
-  const [peers, setPeers] = useState([]); // [{ key, email, name, colour, currentlyEditingStep, lastSeen }]
+export function useFlowPresence({
+  user, dealId, participantId, reportId, currentlyEditingStep = null, editingStepId = null,
+  broadcastEvents = null, onBroadcast = null, enabled = true,
+}) {
+  const [peers, setPeers] = useState([]); // [{ key, email, name, colour, currentlyEditingStep, editingStepId, editingSince, lastSeen }]
+  const [connected, setConnected] = useState(false);
   const channelRef = useRef(null);
   const trackTimerRef = useRef(null);
+  const onBroadcastRef = useRef(onBroadcast);
+  onBroadcastRef.current = onBroadcast;
 
   const channelName = buildChannelName({ dealId, participantId, reportId });
   const userEmail = (user?.email || '').toLowerCase().trim();
+  const eventsKey = (broadcastEvents || []).join(',');
+  // When the local user opened the step they're on — the earliest
+  // claimant of a step holds its soft lock.
+  const editingSince = useMemo(
+    () => (editingStepId ? new Date().toISOString() : null),
+    [editingStepId],
+  );
 
   // Build the local presence payload from current state. Memoised by
   // the editor's email + edited step so we don't re-track on every
@@ -66,12 +82,15 @@ export function useFlowPresence({ user, dealId, participantId, reportId, current
     name: user?.name || user?.email?.split('@')[0] || 'Anonymous',
     colour: colourFor(userEmail),
     currentlyEditingStep: currentlyEditingStep != null ? Number(currentlyEditingStep) : null,
+    editingStepId: editingStepId || null,
+    editingSince,
     lastSeen: new Date().toISOString(),
-  }), [userEmail, user?.name, currentlyEditingStep]);
+  }), [userEmail, user?.name, currentlyEditingStep, editingStepId, editingSince]);
 
   useEffect(() => {
     if (!enabled || !channelName || !userEmail) {
       setPeers([]);
+      setConnected(false);
       return undefined;
     }
     const supabase = getSupabaseClient();
@@ -102,6 +121,8 @@ export function useFlowPresence({ user, dealId, participantId, reportId, current
             name: latest.name || (latest.email || key).split('@')[0],
             colour: latest.colour || colourFor(latest.email || key),
             currentlyEditingStep: latest.currentlyEditingStep ?? null,
+            editingStepId: latest.editingStepId ?? null,
+            editingSince: latest.editingSince ?? null,
             lastSeen: latest.lastSeen || null,
           });
         }
@@ -115,9 +136,17 @@ export function useFlowPresence({ user, dealId, participantId, reportId, current
     channel
       .on('presence', { event: 'sync' }, flushPeers)
       .on('presence', { event: 'join' }, flushPeers)
-      .on('presence', { event: 'leave' }, flushPeers)
+      .on('presence', { event: 'leave' }, flushPeers);
+    for (const event of eventsKey ? eventsKey.split(',') : []) {
+      channel.on('broadcast', { event }, (msg) => {
+        try { onBroadcastRef.current?.(event, msg?.payload); } catch { /* a bad message must not drop the channel */ }
+      });
+    }
+    channel
       .subscribe(async (status) => {
+        if (status === 'CHANNEL_ERROR' || status === 'TIMED_OUT' || status === 'CLOSED') setConnected(false);
         if (status !== 'SUBSCRIBED') return;
+        setConnected(true);
         await channel.track(buildLocalState());
         // Heartbeat re-track so peers see freshness; also keeps the
         // channel alive on idle browsers that throttle WebSocket
@@ -133,9 +162,10 @@ export function useFlowPresence({ user, dealId, participantId, reportId, current
       try { channel.untrack(); } catch {}
       try { supabase.removeChannel(channel); } catch {}
       channelRef.current = null;
+      setConnected(false);
     };
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [enabled, channelName, userEmail]);
+  }, [enabled, channelName, userEmail, eventsKey]);
 
   // Re-track on edited-step changes so the indicator updates without
   // dropping the channel.
@@ -145,5 +175,14 @@ export function useFlowPresence({ user, dealId, participantId, reportId, current
     try { channel.track(buildLocalState()); } catch {}
   }, [buildLocalState]);
 
-  return { peers, channelName, selfColour: colourFor(userEmail) };
+  // Fire-and-forget broadcast to everyone else on the channel.
+  const broadcast = useCallback((event, payload) => {
+    const channel = channelRef.current;
+    if (!channel) return;
+    try {
+      Promise.resolve(channel.send({ type: 'broadcast', event, payload })).catch(() => {});
+    } catch { /* channel closing */ }
+  }, []);
+
+  return { peers, channelName, connected, broadcast, editingSince, selfColour: colourFor(userEmail) };
 }
@@ -0,0 +1,92 @@
+'use client';
+
+/**
+ * Comment threads for the open process (/api/processes/[id]/comments).
+ * Loads threads and the people who can be @mentioned, refreshes when the
+ * window regains focus or every POLL_MS while visible, and wraps posting,
+ * resolve / reopen and mark-read so the list updates in place.
+ *
+ *   const { threads, people, me, post, setResolved, markRead } =
+ *     useProcessComments({ processId, accessToken });
+ *
+ * Threads are lib/flows/comments.js buildThreads output; pair them with
+ * commentMarkers(threads, steps) for the canvas badges.
+ */
+
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { apiFetch } from '@/lib/api-fetch';
+
+const POLL_MS = 60_000;
+const JSON_HEADERS = { 'Content-Type': 'application/json' };
+
+export function useProcessComments({ processId, accessToken, enabled = true }) {
+  const [data, setData] = useState({ threads: [], people: [], me: null });
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const base = enabled && processId && accessToken ? `/api/processes/${encodeURIComponent(processId)}/comments` : null;
+  const baseRef = useRef(base);
+  baseRef.current = base;
+
+  const reload = useCallback(async () => {
+    if (!base) return;
+    setLoading(true);
+    try {
+      const r = await apiFetch(base, { dedupe: false }, accessToken);
+      const j = await r.json().catch(() => null);
+      // The process may have changed while the request was out.
+      if (baseRef.current !== base) return;
+      if (r.ok) {
+        setData({ threads: j?.threads || [], people: j?.people || [], me: j?.me || null });
+        setError(null);
+      } else if (r.status !== 404) {
+        setError(j?.error || 'Could not load comments.');
+      }
+    } catch {
+      setError('Could not load comments.');
+    } finally { setLoading(false); }
+  }, [base, accessToken]);
+
+  useEffect(() => {
+    setData({ threads: [], people: [], me: null });
+    setError(null);
+    if (!base) return undefined;
+    reload();
+    const onFocus = () => reload();
+    const timer = setInterval(() => { if (document.visibilityState === 'visible') reload(); }, POLL_MS);
+    window.addEventListener('focus', onFocus);
+    return () => {
+      clearInterval(timer);
+      window.removeEventListener('focus', onFocus);
+    };
+  }, [base, reload]);
+
+  const send = useCallback(async (url, method, body) => {
+    const r = await apiFetch(url, { method, headers: JSON_HEADERS, body: JSON.stringify(body || {}) }, accessToken);
+    const j = await r.json().catch(() => null);
+    if (!r.ok) throw new Error(j?.error || 'Something went wrong — try again.');
+    return j;
+  }, [accessToken]);
+
+  /** Start a thread ({ body, anchor_type, anchor_id, anchor_label }) or reply ({ body, thread_id }). */
+  const post = useCallback(async (input) => {
+    if (!base) throw new Error('Save this process before commenting.');
+    const j = await send(base, 'POST', input);
+    await reload();
+    return j.comment;
+  }, [base, send, reload]);
+
+  const setResolved = useCallback(async (threadId, resolved) => {
+    if (!base) return;
+    await send(`${base}/${threadId}`, 'PATCH', { resolved });
+    await reload();
+  }, [base, send, reload]);
+
+  // Clear the unread count locally straight away; the server catches up.
+  const markRead = useCallback(async (threadId) => {
+    if (!base) return;
+    setData((d) => ({ ...d, threads: d.threads.map((t) => (t.id === threadId ? { ...t, unread: 0 } : t)) }));
+    await send(`${base}/${threadId}/read`, 'POST', {}).catch(() => {});
+  }, [base, send]);
+
+  return { ...data, loading, error, reload, post, setResolved, markRead };
+}
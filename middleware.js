@@ -1,6 +1,15 @@
 import { NextResponse } from 'next/server';
 
 const MAX_BODY_BYTES = 2 * 1024 * 1024; // 2MB
+// Routes that enforce their own, larger cap: raw email with attachments,
+// process-mining event logs (app/api/processes/[id]/event-log), BPMN
+// imports (app/api/processes/[id]/bpmn), Q&A spreadsheet imports and Q&A
+// answer attachments (app/api/deals/[id]/qa/...).
+const OWN_LIMIT_PATHS = ['/api/inbound-email'];
+const OWN_LIMIT_PATTERNS = [
+  /^\/api\/processes\/[^/]+\/(event-log|bpmn)$/,
+  /^\/api\/deals\/[^/]+\/qa\/(import|[^/]+\/attachments)$/,
+];
 
 function generateRequestId() {
   if (typeof crypto !== 'undefined' && crypto.randomUUID) return crypto.randomUUID();
@@ -11,7 +20,9 @@ function generateRequestId() {
 }
 
 export function middleware(request) {
-  if (request.method === 'POST' || request.method === 'PUT' || request.method === 'PATCH') {
+  const { pathname } = request.nextUrl;
+  const ownLimit = OWN_LIMIT_PATHS.includes(pathname) || OWN_LIMIT_PATTERNS.some((re) => re.test(pathname));
+  if (!ownLimit && (request.method === 'POST' || request.method === 'PUT' || request.method === 'PATCH')) {
     const contentLength = request.headers.get('content-length');
     if (contentLength && parseInt(contentLength, 10) > MAX_BODY_BYTES) {
       return NextResponse.json({ error: 'Request body too large.' }, { status: 413 });
@@ -7,6 +7,8 @@ const __dirname = dirname(fileURLToPath(import.meta.url));
 const nextConfig = {
   reactStrictMode: true,
   outputFileTracingRoot: __dirname,
+  // Loads its .wasm from node_modules at runtime; bundling would drop it.
+  serverExternalPackages: ['7z-wasm'],
   async redirects() {
     return [
       {
@@ -0,0 +1,69 @@
+#!/usr/bin/env node
+/**
+ * ingest-eml.mjs
+ *
+ * Replay saved `.eml` files into a deal's data room through the same
+ * webhook the mail provider calls (/api/inbound-email, raw MIME handler).
+ * Useful locally without an inbound mail domain, and for backfilling
+ * threads exported from a mail client.
+ *
+ * Usage:
+ *   node scripts/ingest-eml.mjs --to deal-<token>@in.example.com message.eml [more.eml …]
+ *   npm run inbound:eml -- --to deal-<token>@in.example.com ./exports/*.eml
+ *
+ * Options:
+ *   --to <address>   the deal's inbound address (required; the envelope
+ *                    recipient — the .eml's own To: is usually someone else)
+ *   --url <base>     app base URL (default NEXT_PUBLIC_APP_URL or http://localhost:3000)
+ *
+ * Sends INBOUND_EMAIL_SECRET as a Bearer token when set. Re-running is
+ * safe: messages are de-duplicated by Message-ID, files by content hash.
+ */
+
+import { readFileSync } from 'node:fs';
+import { basename } from 'node:path';
+
+function parseArgs(argv) {
+  const out = { files: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === '--to') out.to = argv[++i];
+    else if (a === '--url') out.url = argv[++i];
+    else out.files.push(a);
+  }
+  return out;
+}
+
+const args = parseArgs(process.argv.slice(2));
+if (!args.to || !args.files.length) {
+  console.error('Usage: node scripts/ingest-eml.mjs --to <deal inbound address> <file.eml> [...]');
+  process.exit(1);
+}
+
+const base = (args.url || process.env.NEXT_PUBLIC_APP_URL || 'http://localhost:3000').replace(/\/$/, '');
+const endpoint = `${base}/api/inbound-email?provider=mime&to=${encodeURIComponent(args.to)}`;
+const secret = process.env.INBOUND_EMAIL_SECRET;
+
+let failed = 0;
+for (const file of args.files) {
+  try {
+    const res = await fetch(endpoint, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'message/rfc822',
+        ...(secret ? { Authorization: `Bearer ${secret}` } : {}),
+      },
+      body: readFileSync(file),
+    });
+    const j = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(j.error || `HTTP ${res.status}`);
+    const detail = j.status === 'filed'
+      ? `${j.documents} filed, ${j.deduped} already present${j.skipped?.length ? `, ${j.skipped.length} skipped` : ''}${j.errors ? `, ${j.errors} failed` : ''}`
+      : j.status;
+    console.log(`${basename(file)}: ${detail}`);
+  } catch (e) {
+    failed += 1;
+    console.error(`${basename(file)}: ${e.message}`);
+  }
+}
+process.exit(failed ? 1 : 0);
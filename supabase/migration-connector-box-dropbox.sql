@@ -0,0 +1,53 @@
+-- migration-connector-box-dropbox.sql  (apply AFTER migration-deal-connectors-rpcs.sql)
+--
+-- Box and Dropbox providers (lib/connectors/providers/box.js, dropbox.js).
+--
+-- 1. Widen org_integrations.provider to accept 'dropbox' and 'fake'.
+--    'fake' is the in-memory dev provider (CONNECTOR_FAKE_PROVIDER=1);
+--    it never registers in production, so no production row can carry it.
+-- 2. rotate_org_integration_access_token gains an optional
+--    p_refresh_token. Box rotates the refresh token on every refresh and
+--    the old one stops working; without storing the new one the
+--    integration would die on the second refresh. NULL keeps the stored
+--    refresh token (Google / Microsoft path).
+--
+-- Idempotent.
+
+ALTER TABLE public.org_integrations
+  DROP CONSTRAINT IF EXISTS org_integrations_provider_check;
+ALTER TABLE public.org_integrations
+  ADD CONSTRAINT org_integrations_provider_check
+  CHECK (provider IN ('sharepoint','google_drive','datasite','box','dropbox','fake'));
+
+DROP FUNCTION IF EXISTS public.rotate_org_integration_access_token(uuid,text,timestamptz);
+
+CREATE OR REPLACE FUNCTION public.rotate_org_integration_access_token(
+  p_integration_id   uuid,
+  p_access_token     text,
+  p_token_expires_at timestamptz,
+  p_refresh_token    text DEFAULT NULL
+) RETURNS void
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, extensions, vault
+AS $$
+DECLARE
+  v_secret text;
+BEGIN
+  SELECT decrypted_secret INTO v_secret
+    FROM vault.decrypted_secrets
+   WHERE name = 'model_key_encryption_secret';
+  IF v_secret IS NULL THEN RAISE EXCEPTION 'Vault secret missing'; END IF;
+
+  UPDATE public.org_integrations
+     SET access_token_enc  = pgp_sym_encrypt(p_access_token, v_secret),
+         refresh_token_enc = CASE WHEN p_refresh_token IS NULL THEN refresh_token_enc
+                                  ELSE pgp_sym_encrypt(p_refresh_token, v_secret) END,
+         token_expires_at  = p_token_expires_at,
+         updated_at        = now()
+   WHERE id = p_integration_id;
+END
+$$;
+
+REVOKE ALL ON FUNCTION public.rotate_org_integration_access_token(uuid,text,timestamptz,text) FROM public;
+GRANT EXECUTE ON FUNCTION public.rotate_org_integration_access_token(uuid,text,timestamptz,text) TO service_role;
@@ -0,0 +1,37 @@
+-- migration-connector-delta-sync.sql  (apply AFTER migration-deal-connectors.sql)
+--
+-- Incremental connector sync (lib/connectors/syncPlan.js,
+-- lib/inngest/functions/syncConnectorBinding.js).
+--
+-- 1. deal_connector_bindings
+--      last_sync_stats    — counts from the latest run (mode, added,
+--                           updated, renamed, moved, archived, …) shown
+--                           on the binding card.
+--      delta_backlog      — change items already read past the delta
+--                           cursor but not yet applied because the run
+--                           hit its per-run cap. Replayed first next run,
+--                           so advancing the cursor never drops files.
+--      last_full_sync_at  — last time the whole folder was re-listed and
+--                           reconciled (first sync, expired cursor, or a
+--                           manual "full resync").
+-- 2. deal_documents
+--      source_path        — location inside the source, for move detection.
+--      source_version     — provider content hash / revision; equal
+--                           versions mean a rename or move only, so the
+--                           file isn't downloaded and re-chunked.
+--      source_deleted_at  — when the sync tombstoned the row
+--                           (status='archived') because the file was
+--                           deleted or moved out of the bound folder.
+--
+-- Idempotent.
+
+ALTER TABLE public.deal_connector_bindings
+  ADD COLUMN IF NOT EXISTS last_sync_stats   jsonb,
+  ADD COLUMN IF NOT EXISTS delta_backlog     jsonb,
+  ADD COLUMN IF NOT EXISTS last_full_sync_at timestamptz;
+
+ALTER TABLE public.deal_documents
+  ADD COLUMN IF NOT EXISTS source_path       text,
+  ADD COLUMN IF NOT EXISTS source_version    text,
+  ADD COLUMN IF NOT EXISTS source_deleted_at timestamptz;
+
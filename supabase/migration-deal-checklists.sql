@@ -0,0 +1,83 @@
+-- migration-deal-checklists.sql  (apply AFTER migration-org-rbac.sql and migration-deal-qa-portal.sql)
+--
+-- Configurable expected-documents checklists. The built-in lists in
+-- lib/dealDocumentChecklist.js stay as the starter; on top of them:
+--
+--   org_checklist_templates  an org's house checklists, edited in org
+--                            admin. `items` is the item array
+--                            ({ id, section, label, description, required,
+--                            categories, keywords }), validated by
+--                            normaliseChecklistItems. One template per
+--                            (org, deal_type) may be the default; the
+--                            owner's org default is what a new deal of that
+--                            type starts from.
+--   deal_checklists          a deal's own copy, cloned from a template (or
+--                            the built-in list) and then edited. No row =
+--                            the deal follows the org default.
+--   deal_checklist_marks     per-item state: satisfied / waived with a note,
+--                            documents linked by hand, and the AI matcher's
+--                            pending suggestions (lib/dealChecklistMatcher.js).
+--                            Keyed by item id, so marks survive edits to
+--                            the item's label or keywords.
+--
+-- Service-role only. Idempotent.
+
+CREATE TABLE IF NOT EXISTS public.org_checklist_templates (
+  id               uuid        PRIMARY KEY DEFAULT gen_random_uuid(),
+  organization_id  uuid        NOT NULL REFERENCES public.organizations(id) ON DELETE CASCADE,
+  name             text        NOT NULL,
+  description      text,
+  -- NULL = any deal type.
+  deal_type        text        CHECK (deal_type IS NULL OR deal_type IN ('ma','pe_rollup','scaling')),
+  sector           text,
+  items            jsonb       NOT NULL DEFAULT '[]'::jsonb,
+  is_default       boolean     NOT NULL DEFAULT false,
+  created_by_email text,
+  updated_by_email text,
+  created_at       timestamptz NOT NULL DEFAULT now(),
+  updated_at       timestamptz NOT NULL DEFAULT now()
+);
+CREATE INDEX IF NOT EXISTS idx_org_checklist_templates_org
+  ON public.org_checklist_templates (organization_id, deal_type);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_org_checklist_templates_default
+  ON public.org_checklist_templates (organization_id, coalesce(deal_type, ''))
+  WHERE is_default;
+
+CREATE TABLE IF NOT EXISTS public.deal_checklists (
+  deal_id            uuid        PRIMARY KEY REFERENCES public.deals(id) ON DELETE CASCADE,
+  source_template_id uuid        REFERENCES public.org_checklist_templates(id) ON DELETE SET NULL,
+  -- Template name at clone time ("Built-in: M&A" for the starter lists).
+  source_name        text,
+  items              jsonb       NOT NULL DEFAULT '[]'::jsonb,
+  updated_by_email   text,
+  created_at         timestamptz NOT NULL DEFAULT now(),
+  updated_at         timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS public.deal_checklist_marks (
+  id              uuid        PRIMARY KEY DEFAULT gen_random_uuid(),
+  deal_id         uuid        NOT NULL REFERENCES public.deals(id) ON DELETE CASCADE,
+  item_id         text        NOT NULL,
+  -- NULL = no manual status (links and suggestions only).
+  status          text        CHECK (status IS NULL OR status IN ('satisfied','waived')),
+  note            text,
+  document_ids    uuid[]      NOT NULL DEFAULT '{}',
+  -- [{ document_id, confidence, reason }] from the matcher, pending review.
+  suggestions     jsonb       NOT NULL DEFAULT '[]'::jsonb,
+  suggested_at    timestamptz,
+  marked_by_email text,
+  marked_at       timestamptz,
+  updated_at      timestamptz NOT NULL DEFAULT now(),
+  CONSTRAINT deal_checklist_marks_item_unique UNIQUE (deal_id, item_id)
+);
+
+COMMENT ON TABLE public.org_checklist_templates IS
+  'Org-level expected-documents checklist templates, edited in org admin and cloned onto deals.';
+COMMENT ON TABLE public.deal_checklists IS
+  'A deal''s own expected-documents checklist, overriding the org default / built-in list.';
+COMMENT ON TABLE public.deal_checklist_marks IS
+  'Per-deal checklist item state: satisfied / waived with a note, linked documents, AI match suggestions.';
+
+ALTER TABLE public.org_checklist_templates ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.deal_checklists ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.deal_checklist_marks ENABLE ROW LEVEL SECURITY;
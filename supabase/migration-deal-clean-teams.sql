@@ -0,0 +1,88 @@
+-- migration-deal-clean-teams.sql  (apply AFTER migration-deal-doc-visibility-and-hash.sql)
+--
+-- Clean teams: named groups that competition-sensitive documents can be
+-- ring-fenced to, on top of the per-party `visibility` column.
+--
+--   deal_clean_teams                 named groups per deal
+--   deal_clean_team_members          who is in them; `access_expires_at`
+--                                    ends a member's access on a date
+--   deal_documents.clean_team_id     ring-fence: besides passing the
+--                                    visibility rule, the viewer must be a
+--                                    current member (the deal owner, who
+--                                    administers the room, always passes)
+--   deal_documents.view_only         no signed download URL — the document
+--                                    is only shown as a watermarked preview
+--   deal_documents.access_expires_at nobody but the owner sees it after this
+--
+-- The app mirrors this in lib/dealDocumentVisibility.js (canSeeDocument,
+-- documentRestrictions). The read policy below is RESTRICTIVE, so it is
+-- AND-ed with deal_documents_read rather than widening it.
+--
+-- Service-role only for the new tables. Idempotent.
+
+CREATE TABLE IF NOT EXISTS public.deal_clean_teams (
+  id                uuid        PRIMARY KEY DEFAULT gen_random_uuid(),
+  deal_id           uuid        NOT NULL REFERENCES public.deals(id) ON DELETE CASCADE,
+  name              text        NOT NULL,
+  description       text,
+  created_by_email  text,
+  created_at        timestamptz NOT NULL DEFAULT now(),
+  updated_at        timestamptz NOT NULL DEFAULT now(),
+  UNIQUE (deal_id, name)
+);
+
+CREATE TABLE IF NOT EXISTS public.deal_clean_team_members (
+  id                 uuid        PRIMARY KEY DEFAULT gen_random_uuid(),
+  team_id            uuid        NOT NULL REFERENCES public.deal_clean_teams(id) ON DELETE CASCADE,
+  deal_id            uuid        NOT NULL REFERENCES public.deals(id) ON DELETE CASCADE,
+  email              text        NOT NULL,
+  access_expires_at  timestamptz,
+  added_by_email     text,
+  created_at         timestamptz NOT NULL DEFAULT now(),
+  updated_at         timestamptz NOT NULL DEFAULT now(),
+  UNIQUE (team_id, email)
+);
+CREATE INDEX IF NOT EXISTS idx_deal_clean_team_members_deal_email
+  ON public.deal_clean_team_members (deal_id, lower(email));
+
+COMMENT ON TABLE public.deal_clean_teams IS
+  'Named clean-team groups per deal; documents can be ring-fenced to one.';
+COMMENT ON TABLE public.deal_clean_team_members IS
+  'Clean-team membership, with an optional access expiry per member.';
+
+ALTER TABLE public.deal_documents
+  ADD COLUMN IF NOT EXISTS clean_team_id uuid REFERENCES public.deal_clean_teams(id) ON DELETE RESTRICT,
+  ADD COLUMN IF NOT EXISTS view_only boolean NOT NULL DEFAULT false,
+  ADD COLUMN IF NOT EXISTS access_expires_at timestamptz;
+
+CREATE INDEX IF NOT EXISTS idx_deal_documents_clean_team
+  ON public.deal_documents (clean_team_id) WHERE clean_team_id IS NOT NULL;
+
+ALTER TABLE public.deal_clean_teams ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.deal_clean_team_members ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS deal_documents_ring_fence ON public.deal_documents;
+CREATE POLICY deal_documents_ring_fence
+  ON public.deal_documents
+  AS RESTRICTIVE
+  FOR SELECT
+  TO authenticated
+  USING (
+    EXISTS (
+      SELECT 1 FROM public.deals d
+       WHERE d.id = deal_documents.deal_id
+         AND lower(d.owner_email) = lower(auth.jwt() ->> 'email')
+    )
+    OR (
+      (deal_documents.access_expires_at IS NULL OR deal_documents.access_expires_at > now())
+      AND (
+        deal_documents.clean_team_id IS NULL
+        OR EXISTS (
+          SELECT 1 FROM public.deal_clean_team_members m
+           WHERE m.team_id = deal_documents.clean_team_id
+             AND lower(m.email) = lower(auth.jwt() ->> 'email')
+             AND (m.access_expires_at IS NULL OR m.access_expires_at > now())
+        )
+      )
+    )
+  );
@@ -0,0 +1,45 @@
+-- migration-deal-contract-clauses.sql  (apply AFTER migration-living-workspace-1-schema.sql)
+--
+-- Contract red-flag scanning. The `scan-contract-clauses` step of
+-- processDealDocument tags change-of-control, exclusivity, MFN,
+-- limitation-of-liability and auto-renewal clauses in contract-like
+-- documents (lib/deal-analysis/contractClauses.js). Each tagged clause is
+-- a row here, citing the chunk it was read from; together they make the
+-- per-deal contract register (GET /api/deals/[id]/contracts). Risky
+-- clauses are also raised as deal_findings (section 'redFlags') keyed
+-- per document + clause type, so they join the normal review workflow.
+--
+-- Rows are replaced whenever the document is (re)processed. Service-role
+-- only: the API checks deal access and document visibility. Idempotent.
+
+CREATE TABLE IF NOT EXISTS public.deal_contract_clauses (
+  id            uuid        PRIMARY KEY DEFAULT gen_random_uuid(),
+  deal_id       uuid        NOT NULL REFERENCES public.deals(id) ON DELETE CASCADE,
+  document_id   uuid        NOT NULL REFERENCES public.deal_documents(id) ON DELETE CASCADE,
+  chunk_id      uuid        REFERENCES public.deal_document_chunks(id) ON DELETE SET NULL,
+  clause_type   text        NOT NULL
+                  CHECK (clause_type IN ('change_of_control','exclusivity','mfn','liability','auto_renewal')),
+  -- 'none' keeps a benign clause (e.g. a capped liability) in the register
+  -- without raising a finding.
+  risk          text        NOT NULL DEFAULT 'none'
+                  CHECK (risk IN ('none','low','medium','high')),
+  -- termination_right, consent_required, uncapped, notice_90_days, …
+  flags         text[]      NOT NULL DEFAULT '{}',
+  excerpt       text        NOT NULL,
+  page_number   int,
+  section_path  text,
+  created_at    timestamptz NOT NULL DEFAULT now()
+);
+CREATE INDEX IF NOT EXISTS idx_deal_contract_clauses_deal
+  ON public.deal_contract_clauses (deal_id, clause_type);
+CREATE INDEX IF NOT EXISTS idx_deal_contract_clauses_document
+  ON public.deal_contract_clauses (document_id);
+
+COMMENT ON TABLE public.deal_contract_clauses IS
+  'Clauses tagged in deal contracts by the red-flag scan, one row per clause type per chunk. Source of the contract register.';
+
+-- Contract findings are looked up by (deal_id, finding_key) on every rescan.
+CREATE INDEX IF NOT EXISTS idx_deal_findings_deal_key
+  ON public.deal_findings (deal_id, finding_key);
+
+ALTER TABLE public.deal_contract_clauses ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,39 @@
+-- migration-deal-doc-archives.sql  (apply AFTER migration-deal-doc-visibility-and-hash.sql)
+--
+-- Archive expansion in the data room. processDealDocument expands ZIP / 7z
+-- / TAR / gzip uploads and files every member as its own deal_documents
+-- row (lib/inngest/functions/archive.js). This adds the provenance:
+--
+--   1. parent_document_id — the archive a document was expanded from
+--   2. archive_path       — the member's sanitised path inside that archive
+--   3. archive_depth      — 0 for uploads, parent + 1 for members; archives
+--                           at ARCHIVE_LIMITS.maxNesting are stored, not
+--                           expanded
+--   4. archive_manifest   — on the archive row: counts + skipped members
+--
+-- Deleting an archive row leaves its members in place (ON DELETE SET NULL),
+-- same as connector bindings. Idempotent.
+
+ALTER TABLE public.deal_documents
+  ADD COLUMN IF NOT EXISTS parent_document_id uuid
+    REFERENCES public.deal_documents(id) ON DELETE SET NULL;
+
+ALTER TABLE public.deal_documents
+  ADD COLUMN IF NOT EXISTS archive_path text;
+
+ALTER TABLE public.deal_documents
+  ADD COLUMN IF NOT EXISTS archive_depth int NOT NULL DEFAULT 0;
+
+ALTER TABLE public.deal_documents
+  ADD COLUMN IF NOT EXISTS archive_manifest jsonb;
+
+CREATE INDEX IF NOT EXISTS idx_deal_documents_parent
+  ON public.deal_documents (parent_document_id)
+  WHERE parent_document_id IS NOT NULL;
+
+COMMENT ON COLUMN public.deal_documents.parent_document_id IS
+  'Set on documents expanded from an uploaded archive. NULL for direct uploads, connector syncs and email.';
+COMMENT ON COLUMN public.deal_documents.archive_path IS
+  'Sanitised member path inside the parent archive, e.g. "1. Financials/FY24 accounts.xlsx". The folder part is also written to label.';
+COMMENT ON COLUMN public.deal_documents.archive_manifest IS
+  'On an expanded archive: { format, members, added, duplicates, failed, skipped_count, skipped: [{ path, reason }] }.';
@@ -0,0 +1,83 @@
+-- migration-deal-doc-tables.sql  (apply AFTER migration-deal-diligence.sql)
+--
+-- Structured financial tables extracted from data-room documents. The
+-- text chunks flatten a spreadsheet into CSV; these tables keep the grid
+-- as typed rows (line item × period → value) so the chat agent's
+-- `query_deal_tables` tool answers "Q3 2024 revenue" by lookup and cites
+-- the exact cell. Written by the `extract-tables` step of
+-- processDealDocument (lib/deal-analysis/financialTables.js), which
+-- replaces a document's tables on every (re)process.
+--
+--   1. deal_document_tables — one row per detected table: sheet or page,
+--                             bounding cell range, title, currency, scale
+--   2. deal_table_rows      — one row per (line item, period) value, with
+--                             the cell ref it came from
+--
+-- Both tables are service-role only: the chat executor checks deal
+-- access before querying them. Idempotent.
+
+-- ──────────────────────────────────────────────────────────────────────
+-- 1. deal_document_tables
+-- ──────────────────────────────────────────────────────────────────────
+CREATE TABLE IF NOT EXISTS public.deal_document_tables (
+  id            uuid        PRIMARY KEY DEFAULT gen_random_uuid(),
+  deal_id       uuid        NOT NULL REFERENCES public.deals(id) ON DELETE CASCADE,
+  document_id   uuid        NOT NULL REFERENCES public.deal_documents(id) ON DELETE CASCADE,
+  table_index   int         NOT NULL,
+  sheet_name    text,
+  page_number   int,
+  -- A1 bounding box (header row to last data row). NULL for PDF tables.
+  cell_range    text,
+  title         text,
+  currency      text,
+  -- 1000 for £'000, 1000000 for £m. NULL when the table doesn't say.
+  scale         numeric,
+  periods       text[]      NOT NULL DEFAULT '{}',
+  row_count     int         NOT NULL DEFAULT 0,
+  created_at    timestamptz NOT NULL DEFAULT now()
+);
+CREATE INDEX IF NOT EXISTS idx_deal_document_tables_document
+  ON public.deal_document_tables (document_id, table_index);
+
+COMMENT ON TABLE public.deal_document_tables IS
+  'Financial tables detected in a deal document (spreadsheet sheet or PDF page). Rebuilt whenever the document is processed.';
+
+-- ──────────────────────────────────────────────────────────────────────
+-- 2. deal_table_rows
+-- ──────────────────────────────────────────────────────────────────────
+CREATE TABLE IF NOT EXISTS public.deal_table_rows (
+  id              uuid        PRIMARY KEY DEFAULT gen_random_uuid(),
+  table_id        uuid        NOT NULL REFERENCES public.deal_document_tables(id) ON DELETE CASCADE,
+  deal_id         uuid        NOT NULL REFERENCES public.deals(id) ON DELETE CASCADE,
+  document_id     uuid        NOT NULL REFERENCES public.deal_documents(id) ON DELETE CASCADE,
+  line_item       text        NOT NULL,
+  -- Lower-cased, numbering and footnotes stripped; what queries match on.
+  line_item_norm  text        NOT NULL,
+  section         text,
+  -- FY2024 | H1 2024 | Q3 2024 | 2024-03 | LTM 2024-09 | YTD 2024
+  period          text        NOT NULL,
+  period_type     text        NOT NULL
+                    CHECK (period_type IN ('year','half','quarter','month','ltm','ytd')),
+  period_year     int,
+  period_index    int,
+  basis           text        CHECK (basis IS NULL OR basis IN ('actual','forecast','budget')),
+  value           numeric     NOT NULL,
+  unit            text        NOT NULL DEFAULT 'number' CHECK (unit IN ('number','percent')),
+  currency        text,
+  scale           numeric,
+  sheet_name      text,
+  page_number     int,
+  cell_ref        text,
+  -- The PDF line a value was read from (no cell refs in PDF text).
+  source_text     text
+);
+CREATE INDEX IF NOT EXISTS idx_deal_table_rows_lookup
+  ON public.deal_table_rows (deal_id, line_item_norm, period_year);
+CREATE INDEX IF NOT EXISTS idx_deal_table_rows_table
+  ON public.deal_table_rows (table_id);
+
+COMMENT ON TABLE public.deal_table_rows IS
+  'Typed values from deal_document_tables: line item × period → value, with currency, scale and the source cell for citation.';
+
+ALTER TABLE public.deal_document_tables ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.deal_table_rows      ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,51 @@
+-- migration-deal-document-facts.sql  (apply AFTER migration-deal-contract-clauses.sql)
+--
+-- Cross-document contradiction detection. The `extract-key-facts` step of
+-- processDealDocument reads the headline facts out of each document —
+-- revenue, EBITDA, adjusted EBITDA, headcount, customer count, year
+-- founded, financial year end — from prose and from the typed table rows
+-- (lib/deal-analysis/keyFacts.js). Each fact is a row here, citing the
+-- chunk (and cell, for spreadsheets) it was read from.
+--
+-- The detectDealContradictions job compares the facts across the deal's
+-- documents and raises a deal_findings row (section 'redFlags',
+-- finding_key 'contradiction-…') per figure they disagree on, with one
+-- evidence entry per document. It relies on the (deal_id, finding_key)
+-- index added by migration-deal-contract-clauses.sql.
+--
+-- Rows are replaced whenever the document is (re)processed. Service-role
+-- only. Idempotent.
+
+CREATE TABLE IF NOT EXISTS public.deal_document_facts (
+  id            uuid        PRIMARY KEY DEFAULT gen_random_uuid(),
+  deal_id       uuid        NOT NULL REFERENCES public.deals(id) ON DELETE CASCADE,
+  document_id   uuid        NOT NULL REFERENCES public.deal_documents(id) ON DELETE CASCADE,
+  chunk_id      uuid        REFERENCES public.deal_document_chunks(id) ON DELETE SET NULL,
+  fact_type     text        NOT NULL
+                  CHECK (fact_type IN ('revenue','ebitda','adjusted_ebitda','headcount','customers','founded','year_end')),
+  -- Normalised period label (FY2024, Q3 2024, LTM 2024-09, …); NULL for
+  -- undated facts ("employs 140 people") and for dates themselves.
+  period        text,
+  -- Money in whole currency units; counts as-is; a year; a month 1-12.
+  value         numeric     NOT NULL,
+  currency      text,
+  -- false for money from a table that never said £'000 / £m.
+  scale_known   boolean     NOT NULL DEFAULT true,
+  -- "over 140", "c.£12m" — compared with a wider tolerance.
+  approximate   boolean     NOT NULL DEFAULT false,
+  source        text        NOT NULL CHECK (source IN ('text','table')),
+  excerpt       text        NOT NULL,
+  page_number   int,
+  sheet_name    text,
+  cell_ref      text,
+  created_at    timestamptz NOT NULL DEFAULT now()
+);
+CREATE INDEX IF NOT EXISTS idx_deal_document_facts_deal
+  ON public.deal_document_facts (deal_id, fact_type, period);
+CREATE INDEX IF NOT EXISTS idx_deal_document_facts_document
+  ON public.deal_document_facts (document_id);
+
+COMMENT ON TABLE public.deal_document_facts IS
+  'Headline facts (revenue, EBITDA, headcount, customers, key dates) read from each deal document with a citation. Compared across documents to find contradictions.';
+
+ALTER TABLE public.deal_document_facts ENABLE ROW LEVEL SECURITY;
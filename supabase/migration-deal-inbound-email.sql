@@ -0,0 +1,87 @@
+-- migration-deal-inbound-email.sql  (apply AFTER migration-deal-doc-visibility-and-hash.sql)
+--
+-- Email-in for the deal data room. Every deal can have one active
+-- inbound address (deal-<token>@<INBOUND_EMAIL_DOMAIN>); mail sent to it
+-- is parsed by /api/inbound-email, each attachment plus the email body is
+-- filed as a deal_documents row and handed to the normal
+-- `deal-document.uploaded` pipeline. See lib/inbound/.
+--
+--   1. deal_inbound_addresses — token per deal (rotating retires the old
+--                               row), default visibility and an optional
+--                               sender allow-list
+--   2. deal_inbound_messages  — one row per received message; unique
+--                               (address, Message-ID) so a provider retry
+--                               doesn't file the same email twice
+--   3. deal_documents.inbound_message_id — provenance for filed documents
+--
+-- Both tables are service-role only: the API layer checks deal editor
+-- access before reading them. Idempotent.
+
+-- ──────────────────────────────────────────────────────────────────────
+-- 1. deal_inbound_addresses
+-- ──────────────────────────────────────────────────────────────────────
+CREATE TABLE IF NOT EXISTS public.deal_inbound_addresses (
+  id                 uuid        PRIMARY KEY DEFAULT gen_random_uuid(),
+  deal_id            uuid        NOT NULL REFERENCES public.deals(id) ON DELETE CASCADE,
+  token              text        NOT NULL UNIQUE,
+  -- Applied to every document filed through this address.
+  visibility         text        NOT NULL DEFAULT 'all_editors'
+                       CHECK (visibility IN (
+                         'all_editors',
+                         'acquirer_only', 'target_only', 'seller_only', 'portfolio_only',
+                         'owner_only'
+                       )),
+  -- Addresses or domains; empty accepts anyone who has the address.
+  allowed_senders    text[]      NOT NULL DEFAULT '{}',
+  active             boolean     NOT NULL DEFAULT true,
+  created_by_email   text,
+  created_at         timestamptz NOT NULL DEFAULT now(),
+  last_received_at   timestamptz
+);
+CREATE UNIQUE INDEX IF NOT EXISTS uniq_deal_inbound_addresses_active
+  ON public.deal_inbound_addresses (deal_id)
+  WHERE active;
+
+COMMENT ON TABLE public.deal_inbound_addresses IS
+  'Per-deal inbound email address. The token is the capability; rotating deactivates the old row so mail to it is refused.';
+
+-- ──────────────────────────────────────────────────────────────────────
+-- 2. deal_inbound_messages
+-- ──────────────────────────────────────────────────────────────────────
+CREATE TABLE IF NOT EXISTS public.deal_inbound_messages (
+  id                 uuid        PRIMARY KEY DEFAULT gen_random_uuid(),
+  deal_id            uuid        NOT NULL REFERENCES public.deals(id) ON DELETE CASCADE,
+  address_id         uuid        NOT NULL REFERENCES public.deal_inbound_addresses(id) ON DELETE CASCADE,
+  -- Message-ID header, or a sha256 of sender/subject/date/body when absent.
+  message_id         text        NOT NULL,
+  from_email         text,
+  subject            text,
+  status             text        NOT NULL DEFAULT 'processing'
+                       CHECK (status IN ('processing','processed','partial','failed','rejected')),
+  attachment_count   int         NOT NULL DEFAULT 0,
+  document_ids       uuid[]      NOT NULL DEFAULT '{}',
+  deduped_count      int         NOT NULL DEFAULT 0,
+  -- [{ filename, reason: 'empty' | 'inline_image' | 'too_large' }]
+  skipped            jsonb       NOT NULL DEFAULT '[]'::jsonb,
+  error              text,
+  received_at        timestamptz NOT NULL DEFAULT now(),
+  UNIQUE (address_id, message_id)
+);
+CREATE INDEX IF NOT EXISTS idx_deal_inbound_messages_deal
+  ON public.deal_inbound_messages (deal_id, received_at DESC);
+
+COMMENT ON TABLE public.deal_inbound_messages IS
+  'Log of email received on a deal inbound address, including rejected senders. Unique per (address, Message-ID) for retry idempotency.';
+
+-- ──────────────────────────────────────────────────────────────────────
+-- 3. Provenance on deal_documents
+-- ──────────────────────────────────────────────────────────────────────
+ALTER TABLE public.deal_documents
+  ADD COLUMN IF NOT EXISTS inbound_message_id uuid
+    REFERENCES public.deal_inbound_messages(id) ON DELETE SET NULL;
+
+COMMENT ON COLUMN public.deal_documents.inbound_message_id IS
+  'Set when this document arrived by email (attachment or the email body itself). NULL for uploads and connector syncs.';
+
+ALTER TABLE public.deal_inbound_addresses ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.deal_inbound_messages  ENABLE ROW LEVEL SECURITY;
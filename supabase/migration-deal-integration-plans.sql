@@ -0,0 +1,70 @@
+-- migration-deal-integration-plans.sql  (apply AFTER migration-deal-milestones.sql)
+--
+-- 100-day integration plan for M&A and PE roll-up deals: one plan per
+-- deal, split into workstreams, with initiatives due by Day 1, 30, 60 or
+-- 100 after completion.
+--
+--   deal_integration_plans.workstreams   [{ key, name, owner_email }] —
+--                                        a plan has a handful, edited as
+--                                        one list
+--   deal_integration_plans.day_one_date  the Day 1 the deadlines count
+--                                        from; when empty the deal's
+--                                        day_1 milestone is used
+--   deal_integration_initiatives         the work itself. `change_ids`
+--                                        links it to `changes` rows, whose
+--                                        lifecycle and measured outcomes
+--                                        roll up into the plan burndown
+--                                        (lib/dealIntegrationPlan.js);
+--                                        `finding_keys` / `process_ids`
+--                                        record what it came from
+--
+-- Service-role only. Idempotent.
+
+CREATE TABLE IF NOT EXISTS public.deal_integration_plans (
+  id                uuid        PRIMARY KEY DEFAULT gen_random_uuid(),
+  deal_id           uuid        NOT NULL UNIQUE REFERENCES public.deals(id) ON DELETE CASCADE,
+  title             text        NOT NULL DEFAULT '100-day integration plan',
+  status            text        NOT NULL DEFAULT 'draft'
+                      CHECK (status IN ('draft','active','closed')),
+  day_one_date      date,
+  workstreams       jsonb       NOT NULL DEFAULT '[]'::jsonb,
+  created_by_email  text,
+  updated_by_email  text,
+  created_at        timestamptz NOT NULL DEFAULT now(),
+  updated_at        timestamptz NOT NULL DEFAULT now()
+);
+
+COMMENT ON TABLE public.deal_integration_plans IS
+  'One 100-day integration plan per M&A / PE roll-up deal: Day 1 date and workstreams.';
+
+CREATE TABLE IF NOT EXISTS public.deal_integration_initiatives (
+  id                uuid        PRIMARY KEY DEFAULT gen_random_uuid(),
+  plan_id           uuid        NOT NULL REFERENCES public.deal_integration_plans(id) ON DELETE CASCADE,
+  deal_id           uuid        NOT NULL REFERENCES public.deals(id) ON DELETE CASCADE,
+  workstream        text        NOT NULL,
+  title             text        NOT NULL,
+  description       text,
+  owner_email       text,
+  deadline          text        NOT NULL DEFAULT 'day_100'
+                      CHECK (deadline IN ('day_1','day_30','day_60','day_100')),
+  status            text        NOT NULL DEFAULT 'not_started'
+                      CHECK (status IN ('not_started','in_progress','done')),
+  change_ids        uuid[]      NOT NULL DEFAULT '{}',
+  finding_keys      text[]      NOT NULL DEFAULT '{}',
+  process_ids       uuid[]      NOT NULL DEFAULT '{}',
+  origin            text        NOT NULL DEFAULT 'user'
+                      CHECK (origin IN ('user','agent')),
+  order_index       integer     NOT NULL DEFAULT 0,
+  completed_at      timestamptz,
+  created_by_email  text,
+  created_at        timestamptz NOT NULL DEFAULT now(),
+  updated_at        timestamptz NOT NULL DEFAULT now()
+);
+CREATE INDEX IF NOT EXISTS idx_deal_integration_initiatives_deal
+  ON public.deal_integration_initiatives (deal_id, deadline, order_index);
+
+COMMENT ON TABLE public.deal_integration_initiatives IS
+  'Integration plan initiatives: workstream, owner, Day 1/30/60/100 deadline and the changes whose progress they track.';
+
+ALTER TABLE public.deal_integration_plans ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.deal_integration_initiatives ENABLE ROW LEVEL SECURITY;
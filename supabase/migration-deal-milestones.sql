@@ -0,0 +1,52 @@
+-- migration-deal-milestones.sql  (apply AFTER migration-deal-checklists.sql)
+--
+-- Deal timeline: the phases a deal moves through (NDA, IOI, LOI,
+-- confirmatory diligence, signing, completion, Day 1, Day 100 — or custom
+-- ones) as milestones with an owner, start / due dates and dependencies.
+--
+--   depends_on          milestones that must be done first
+--   qa_item_ids         deal_qa_items that must be answered first
+--   checklist_item_ids  expected-documents checklist item ids that must be
+--                       received, satisfied or waived first
+--   finding_keys        findings that must be rejected in review first
+--   gate_deal_breakers  block on every unresolved deal_breaker finding of
+--                       the latest analysis (default for signing)
+--
+-- The links are plain arrays rather than join tables: a milestone holds a
+-- handful of each, and a Q&A item or finding that goes away simply stops
+-- counting (lib/dealMilestones.js ignores ids it can't resolve).
+--
+-- Service-role only. Idempotent.
+
+CREATE TABLE IF NOT EXISTS public.deal_milestones (
+  id                  uuid        PRIMARY KEY DEFAULT gen_random_uuid(),
+  deal_id             uuid        NOT NULL REFERENCES public.deals(id) ON DELETE CASCADE,
+  phase               text        NOT NULL DEFAULT 'custom'
+                        CHECK (phase IN ('nda','ioi','loi','confirmatory_dd','signing','completion','day_1','day_100','custom')),
+  title               text        NOT NULL,
+  owner_email         text,
+  start_date          date,
+  due_date            date,
+  status              text        NOT NULL DEFAULT 'planned'
+                        CHECK (status IN ('planned','in_progress','done')),
+  note                text,
+  depends_on          uuid[]      NOT NULL DEFAULT '{}',
+  qa_item_ids         uuid[]      NOT NULL DEFAULT '{}',
+  checklist_item_ids  text[]      NOT NULL DEFAULT '{}',
+  finding_keys        text[]      NOT NULL DEFAULT '{}',
+  gate_deal_breakers  boolean     NOT NULL DEFAULT false,
+  order_index         integer     NOT NULL DEFAULT 0,
+  completed_at        timestamptz,
+  completed_by_email  text,
+  created_by_email    text,
+  created_at          timestamptz NOT NULL DEFAULT now(),
+  updated_at          timestamptz NOT NULL DEFAULT now(),
+  CONSTRAINT deal_milestones_dates CHECK (start_date IS NULL OR due_date IS NULL OR due_date >= start_date)
+);
+CREATE INDEX IF NOT EXISTS idx_deal_milestones_deal
+  ON public.deal_milestones (deal_id, start_date, order_index);
+
+COMMENT ON TABLE public.deal_milestones IS
+  'Deal phases / milestones with owners, dates, dependencies and links to Q&A, checklist items and findings that gate completion.';
+
+ALTER TABLE public.deal_milestones ENABLE ROW LEVEL SECURITY;
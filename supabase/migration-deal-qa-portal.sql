@@ -0,0 +1,55 @@
+-- migration-deal-qa-portal.sql  (apply AFTER migration-deal-workspace-collab.sql)
+--
+-- Seller-side Q&A portal. Real request lists arrive as a 200-row
+-- spreadsheet, so deal_qa_items gains the columns those sheets carry and
+-- the answer workflow needs:
+--
+--   reference       the list's own row number ("1.04", "FIN-12") — kept so
+--                   a re-imported or exported sheet lines up with the
+--                   seller's copy
+--   category        free-text workstream (Financial, Legal, HR, …)
+--   priority        low / medium / high / critical
+--   due_date        when the answer is owed; drives the overdue badge and
+--                   the daily /api/cron/qa-due-reminders job
+--   reminder_stage  the last reminder sent for the item ('due_soon' or
+--                   'overdue') so each stage is sent once; cleared when the
+--                   due date moves
+--   draft_*         a model-proposed answer (lib/dealQaDraft.js) with the
+--                   chunks it cites. Never shown as the answer until a
+--                   person accepts it into answer_text.
+--
+-- Attachments a participant uploads against a question land in
+-- deal_documents like any upload and are linked through the existing
+-- evidence_document_ids column. Idempotent.
+
+ALTER TABLE public.deal_qa_items ADD COLUMN IF NOT EXISTS reference          text;
+ALTER TABLE public.deal_qa_items ADD COLUMN IF NOT EXISTS category           text;
+ALTER TABLE public.deal_qa_items ADD COLUMN IF NOT EXISTS priority           text NOT NULL DEFAULT 'medium';
+ALTER TABLE public.deal_qa_items ADD COLUMN IF NOT EXISTS due_date           date;
+ALTER TABLE public.deal_qa_items ADD COLUMN IF NOT EXISTS reminder_stage     text;
+ALTER TABLE public.deal_qa_items ADD COLUMN IF NOT EXISTS reminder_sent_at   timestamptz;
+ALTER TABLE public.deal_qa_items ADD COLUMN IF NOT EXISTS draft_answer       text;
+ALTER TABLE public.deal_qa_items ADD COLUMN IF NOT EXISTS draft_citations    jsonb;
+ALTER TABLE public.deal_qa_items ADD COLUMN IF NOT EXISTS draft_generated_at timestamptz;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'deal_qa_items_priority_check') THEN
+    ALTER TABLE public.deal_qa_items
+      ADD CONSTRAINT deal_qa_items_priority_check CHECK (priority IN ('low', 'medium', 'high', 'critical'));
+  END IF;
+  IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'deal_qa_items_reminder_stage_check') THEN
+    ALTER TABLE public.deal_qa_items
+      ADD CONSTRAINT deal_qa_items_reminder_stage_check CHECK (reminder_stage IS NULL OR reminder_stage IN ('due_soon', 'overdue'));
+  END IF;
+END $$;
+
+-- Reminder cron: open items with a due date, across all deals.
+CREATE INDEX IF NOT EXISTS idx_deal_qa_open_due
+  ON public.deal_qa_items (due_date)
+  WHERE status = 'open' AND due_date IS NOT NULL;
+
+-- Re-import matches rows by the sheet's own reference.
+CREATE INDEX IF NOT EXISTS idx_deal_qa_reference
+  ON public.deal_qa_items (deal_id, reference)
+  WHERE reference IS NOT NULL;
@@ -0,0 +1,88 @@
+-- migration-multi-currency.sql  (apply AFTER migration-operating-model.sql
+--                                and migration-living-workspace-1-schema.sql)
+--
+-- Multi-currency roll-ups (lib/currency.js, lib/operatingModel/fxRates.js).
+--
+-- 1. processes.currency              — the process's native currency
+--                                      (ISO 4217). NULL = legacy rows:
+--                                      flow_data.costAnalysis.currency,
+--                                      then GBP.
+-- 2. operating_models.reporting_currency
+--                                    — the single currency a model's
+--                                      roll-up, heatmap and analysis are
+--                                      reported in.
+-- 3. fx_rates                        — per-organization FX table. A row
+--                                      reads "1 base_currency = rate
+--                                      quote_currency" from effective_date
+--                                      onwards; lookups take the latest
+--                                      row on or before the as-of date and
+--                                      work in either direction. One row
+--                                      per (org, pair, date).
+--
+-- RLS on fx_rates: any org member reads, org admins write — same shape
+-- as operating_models.
+--
+-- Idempotent.
+
+ALTER TABLE public.processes
+  ADD COLUMN IF NOT EXISTS currency text
+    CHECK (currency IS NULL OR currency ~ '^[A-Z]{3}$');
+
+ALTER TABLE public.operating_models
+  ADD COLUMN IF NOT EXISTS reporting_currency text NOT NULL DEFAULT 'GBP'
+    CHECK (reporting_currency ~ '^[A-Z]{3}$');
+
+CREATE TABLE IF NOT EXISTS public.fx_rates (
+  id                uuid          PRIMARY KEY DEFAULT gen_random_uuid(),
+  organization_id   uuid          NOT NULL REFERENCES public.organizations(id) ON DELETE CASCADE,
+  base_currency     text          NOT NULL CHECK (base_currency  ~ '^[A-Z]{3}$'),
+  quote_currency    text          NOT NULL CHECK (quote_currency ~ '^[A-Z]{3}$'),
+  rate              numeric(20,10) NOT NULL CHECK (rate > 0),
+  effective_date    date          NOT NULL,
+  created_by_email  text,
+  created_at        timestamptz   NOT NULL DEFAULT now(),
+  CHECK (base_currency <> quote_currency),
+  UNIQUE (organization_id, base_currency, quote_currency, effective_date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_fx_rates_org_date ON public.fx_rates (organization_id, effective_date DESC);
+
+COMMENT ON TABLE public.fx_rates IS
+  'Org-level FX rates with effective dates: 1 base_currency = rate quote_currency from effective_date. Used to convert each process''s native currency into the operating model''s reporting_currency.';
+
+ALTER TABLE public.fx_rates ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS fx_rates_member_read ON public.fx_rates;
+CREATE POLICY fx_rates_member_read
+  ON public.fx_rates
+  FOR SELECT
+  TO authenticated
+  USING (
+    EXISTS (
+      SELECT 1 FROM public.organization_members om
+       WHERE om.organization_id = fx_rates.organization_id
+         AND lower(om.email) = lower(auth.jwt() ->> 'email')
+    )
+  );
+
+DROP POLICY IF EXISTS fx_rates_admin_write ON public.fx_rates;
+CREATE POLICY fx_rates_admin_write
+  ON public.fx_rates
+  FOR ALL
+  TO authenticated
+  USING (
+    EXISTS (
+      SELECT 1 FROM public.organization_members om
+       WHERE om.organization_id = fx_rates.organization_id
+         AND lower(om.email) = lower(auth.jwt() ->> 'email')
+         AND om.is_org_admin = true
+    )
+  )
+  WITH CHECK (
+    EXISTS (
+      SELECT 1 FROM public.organization_members om
+       WHERE om.organization_id = fx_rates.organization_id
+         AND lower(om.email) = lower(auth.jwt() ->> 'email')
+         AND om.is_org_admin = true
+    )
+  );
@@ -0,0 +1,123 @@
+-- migration-process-comments.sql  (apply AFTER migration-process-versions.sql)
+--
+-- Comment threads on process steps and handoffs (lib/flows/comments.js,
+-- lib/processCommentStore.js), plus a notifications inbox.
+--
+-- 1. process_comments       — one row per comment. A thread is a root
+--                             comment (thread_id NULL) and its replies
+--                             (thread_id = root id).
+--      anchor_type           step    — anchor_id is the step's stable id
+--                            handoff — anchor_id is "<from id>><to id>"
+--                            Anchoring to ids, not step numbers, keeps a
+--                            thread on its step through reorders.
+--      anchor_label          "Step 3: Approve invoice" when posted, shown
+--                            when the step has since been removed
+--      mentions              lower-cased emails @mentioned in the body
+--      resolved_at / _by     on the root only; reopening clears them
+--
+-- 2. process_comment_reads  — per person, per thread: when they last
+--                             opened it. Comments by others after read_at
+--                             are unread.
+--
+-- 3. notifications          — a per-recipient inbox. kind is
+--                             comment_mention or comment_reply for now;
+--                             process_id / deal_id / comment_id /
+--                             thread_id say where clicking it goes.
+--
+-- Writes go through the server with the service role (access is the
+-- process owner or anyone with access to its deal). RLS lets authenticated
+-- users read comments on processes they own or share an org with, and
+-- their own reads and notifications.
+--
+-- Idempotent.
+
+CREATE TABLE IF NOT EXISTS public.process_comments (
+  id                 uuid        PRIMARY KEY DEFAULT gen_random_uuid(),
+  process_id         text        NOT NULL REFERENCES public.processes(id) ON DELETE CASCADE,
+  thread_id          uuid        REFERENCES public.process_comments(id) ON DELETE CASCADE,
+  anchor_type        text        NOT NULL CHECK (anchor_type IN ('step', 'handoff')),
+  anchor_id          text        NOT NULL,
+  anchor_label       text,
+  author_email       text        NOT NULL,
+  body               text        NOT NULL CHECK (char_length(body) BETWEEN 1 AND 4000),
+  mentions           text[]      NOT NULL DEFAULT '{}',
+  resolved_at        timestamptz,
+  resolved_by_email  text,
+  created_at         timestamptz NOT NULL DEFAULT now(),
+  updated_at         timestamptz NOT NULL DEFAULT now(),
+  CHECK (thread_id IS NULL OR resolved_at IS NULL)
+);
+
+CREATE INDEX IF NOT EXISTS idx_process_comments_process
+  ON public.process_comments (process_id, created_at ASC);
+CREATE INDEX IF NOT EXISTS idx_process_comments_thread
+  ON public.process_comments (thread_id, created_at ASC) WHERE thread_id IS NOT NULL;
+
+COMMENT ON TABLE public.process_comments IS
+  'Comment threads anchored to a process step or handoff by stable step id. Root rows carry the resolve state; replies point at the root via thread_id.';
+
+CREATE TABLE IF NOT EXISTS public.process_comment_reads (
+  thread_id   uuid        NOT NULL REFERENCES public.process_comments(id) ON DELETE CASCADE,
+  email       text        NOT NULL,
+  read_at     timestamptz NOT NULL DEFAULT now(),
+  PRIMARY KEY (thread_id, email)
+);
+
+CREATE TABLE IF NOT EXISTS public.notifications (
+  id               uuid        PRIMARY KEY DEFAULT gen_random_uuid(),
+  recipient_email  text        NOT NULL,
+  kind             text        NOT NULL CHECK (kind IN ('comment_mention', 'comment_reply')),
+  actor_email      text,
+  process_id       text        REFERENCES public.processes(id) ON DELETE CASCADE,
+  deal_id          uuid        REFERENCES public.deals(id) ON DELETE CASCADE,
+  comment_id       uuid        REFERENCES public.process_comments(id) ON DELETE CASCADE,
+  thread_id        uuid,
+  title            text        NOT NULL,
+  body             text,
+  read_at          timestamptz,
+  created_at       timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_notifications_recipient
+  ON public.notifications (lower(recipient_email), created_at DESC);
+
+COMMENT ON TABLE public.notifications IS
+  'Per-recipient inbox entries (comment mentions and replies). read_at NULL = unread.';
+
+ALTER TABLE public.process_comments ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.process_comment_reads ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.notifications ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS process_comments_read ON public.process_comments;
+CREATE POLICY process_comments_read
+  ON public.process_comments
+  FOR SELECT
+  TO authenticated
+  USING (
+    EXISTS (
+      SELECT 1 FROM public.processes p
+       WHERE p.id = process_comments.process_id
+         AND (
+           p.user_id = auth.uid()
+           OR lower(p.contact_email) = lower(coalesce(auth.jwt() ->> 'email', ''))
+           OR p.organization_id IN (
+             SELECT organization_id FROM public.organization_members
+              WHERE user_id = auth.uid()
+           )
+         )
+    )
+  );
+
+DROP POLICY IF EXISTS process_comment_reads_own ON public.process_comment_reads;
+CREATE POLICY process_comment_reads_own
+  ON public.process_comment_reads
+  FOR SELECT
+  TO authenticated
+  USING (lower(email) = lower(coalesce(auth.jwt() ->> 'email', '')));
+
+DROP POLICY IF EXISTS notifications_own ON public.notifications;
+CREATE POLICY notifications_own
+  ON public.notifications
+  FOR SELECT
+  TO authenticated
+  USING (lower(recipient_email) = lower(coalesce(auth.jwt() ->> 'email', '')));
@@ -0,0 +1,29 @@
+-- ============================================================
+-- Process instances: executed steps + conformance
+--
+-- process_instances only held a name, status and notes per run. Runs can
+-- now carry the steps that actually executed (with timestamps), and the
+-- POST route stores the conformance result of replaying that path over
+-- the mapped flow (lib/flows/instanceConformance.js) next to it, so the
+-- GET aggregate doesn't re-run the check on every read.
+--
+--   executed_steps  [{ stepNumber?, name?, startedAt?, completedAt? }]
+--   process_index   which rawProcesses[] entry the run was checked against
+--   conformance     { conformant, fitness, cycleMinutes, deviations[], measured[] }
+--
+-- Measured work / wait are also written to change_outcomes with source
+-- 'process_instance' (already allowed by migration-changes-and-discovery.sql).
+--
+-- Depends on migration-living-workspace-1-schema.sql (process_id rename).
+-- Idempotent.
+-- ============================================================
+
+ALTER TABLE public.process_instances
+  ADD COLUMN IF NOT EXISTS executed_steps jsonb,
+  ADD COLUMN IF NOT EXISTS process_index  integer,
+  ADD COLUMN IF NOT EXISTS conformance    jsonb;
+
+-- "Which runs left the map?" without unpacking the JSONB.
+CREATE INDEX IF NOT EXISTS idx_process_instances_nonconformant
+  ON public.process_instances (process_id, logged_at DESC)
+  WHERE (conformance ->> 'conformant') = 'false';
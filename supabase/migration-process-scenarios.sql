@@ -0,0 +1,93 @@
+-- migration-process-scenarios.sql  (apply AFTER migration-living-workspace-1-schema.sql
+--                                   and migration-changes-and-discovery.sql)
+--
+-- Named what-if scenarios per process (lib/flows/scenarios.js,
+-- lib/processScenarios.js).
+--
+-- 1. process_scenarios  — one row per scenario, forked from the live
+--                         process. flow_data holds the scenario's own
+--                         { rawProcesses, costAnalysis }; the live row
+--                         is untouched until the scenario is promoted.
+--      status            draft     — created by a user, being edited
+--                        proposed  — staged by the chat agent
+--                        promoted  — written into the live process; the
+--                                    `changes` rows it produced are in
+--                                    promoted_change_ids
+--                        archived  — kept for reference, out of the
+--                                    comparison
+--      base_updated_at   processes.updated_at when the scenario was
+--                        forked, so promotion can tell the live process
+--                        moved on since.
+--
+-- RLS mirrors processes: the process owner reads and writes, org members
+-- of the process's organization read.
+--
+-- Idempotent.
+
+CREATE TABLE IF NOT EXISTS public.process_scenarios (
+  id                   uuid        PRIMARY KEY DEFAULT gen_random_uuid(),
+  process_id           text        NOT NULL REFERENCES public.processes(id) ON DELETE CASCADE,
+  name                 text        NOT NULL CHECK (char_length(name) BETWEEN 1 AND 120),
+  description          text,
+  flow_data            jsonb       NOT NULL DEFAULT '{}'::jsonb,
+  status               text        NOT NULL DEFAULT 'draft'
+                                   CHECK (status IN ('draft', 'proposed', 'promoted', 'archived')),
+  created_by_kind      text        NOT NULL DEFAULT 'user' CHECK (created_by_kind IN ('user', 'agent')),
+  created_by_email     text,
+  base_updated_at      timestamptz,
+  promoted_at          timestamptz,
+  promoted_by_email    text,
+  promoted_change_ids  uuid[]      NOT NULL DEFAULT '{}',
+  created_at           timestamptz NOT NULL DEFAULT now(),
+  updated_at           timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_process_scenarios_process
+  ON public.process_scenarios (process_id, created_at);
+
+COMMENT ON TABLE public.process_scenarios IS
+  'What-if versions of a process forked from the live flow. Compared side by side and promotable into the live process as a batch of changes rows.';
+
+ALTER TABLE public.process_scenarios ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS process_scenarios_read ON public.process_scenarios;
+CREATE POLICY process_scenarios_read
+  ON public.process_scenarios
+  FOR SELECT
+  TO authenticated
+  USING (
+    EXISTS (
+      SELECT 1 FROM public.processes p
+       WHERE p.id = process_scenarios.process_id
+         AND (
+           p.user_id = auth.uid()
+           OR lower(p.contact_email) = lower(coalesce(auth.jwt() ->> 'email', ''))
+           OR p.organization_id IN (
+             SELECT organization_id FROM public.organization_members
+              WHERE user_id = auth.uid()
+           )
+         )
+    )
+  );
+
+DROP POLICY IF EXISTS process_scenarios_owner_write ON public.process_scenarios;
+CREATE POLICY process_scenarios_owner_write
+  ON public.process_scenarios
+  FOR ALL
+  TO authenticated
+  USING (
+    EXISTS (
+      SELECT 1 FROM public.processes p
+       WHERE p.id = process_scenarios.process_id
+         AND (p.user_id = auth.uid()
+              OR lower(p.contact_email) = lower(coalesce(auth.jwt() ->> 'email', '')))
+    )
+  )
+  WITH CHECK (
+    EXISTS (
+      SELECT 1 FROM public.processes p
+       WHERE p.id = process_scenarios.process_id
+         AND (p.user_id = auth.uid()
+              OR lower(p.contact_email) = lower(coalesce(auth.jwt() ->> 'email', '')))
+    )
+  );
@@ -0,0 +1,95 @@
+-- migration-process-versions.sql  (apply AFTER migration-process-scenarios.sql)
+--
+-- Immutable version history per process (lib/flows/versions.js,
+-- lib/processVersionStore.js). The live `processes` row is edited in
+-- place; this table keeps point-in-time copies of it so a process can be
+-- viewed, compared and restored as it was.
+--
+-- 1. process_versions  — one row per version. flow_data holds the
+--                        version's { rawProcesses, costAnalysis }, the
+--                        same shape as process_scenarios.flow_data.
+--      version_no        1, 2, 3 … per process, in creation order
+--      kind              auto       — taken on save, debounced
+--                        checkpoint — named by a user
+--                        restore    — the live process straight after a
+--                                     restore; restored_from_id is the
+--                                     version that was put back
+--      content_hash      sha256 of the snapshot, so saves that change
+--                        nothing don't take a version
+--      base_updated_at   processes.updated_at the snapshot was taken at
+--
+-- Rows are never changed: a BEFORE UPDATE trigger rejects updates, and
+-- there is no write policy for authenticated users — versions are only
+-- inserted by the server with the service role. They go when the process
+-- is deleted.
+--
+-- RLS read mirrors process_scenarios: the process owner and org members
+-- of the process's organization.
+--
+-- Idempotent.
+
+CREATE TABLE IF NOT EXISTS public.process_versions (
+  id                uuid        PRIMARY KEY DEFAULT gen_random_uuid(),
+  process_id        text        NOT NULL REFERENCES public.processes(id) ON DELETE CASCADE,
+  version_no        integer     NOT NULL CHECK (version_no > 0),
+  kind              text        NOT NULL DEFAULT 'auto' CHECK (kind IN ('auto', 'checkpoint', 'restore')),
+  name              text        CHECK (name IS NULL OR char_length(name) BETWEEN 1 AND 120),
+  note              text,
+  flow_data         jsonb       NOT NULL DEFAULT '{}'::jsonb,
+  step_count        integer     NOT NULL DEFAULT 0,
+  content_hash      text,
+  base_updated_at   timestamptz,
+  restored_from_id  uuid        REFERENCES public.process_versions(id) ON DELETE SET NULL,
+  created_by_email  text,
+  created_at        timestamptz NOT NULL DEFAULT now(),
+  UNIQUE (process_id, version_no),
+  CHECK (kind <> 'checkpoint' OR name IS NOT NULL)
+);
+
+CREATE INDEX IF NOT EXISTS idx_process_versions_process
+  ON public.process_versions (process_id, version_no DESC);
+
+COMMENT ON TABLE public.process_versions IS
+  'Immutable point-in-time copies of a process: debounced auto versions on save, named checkpoints, and the state after each restore.';
+
+CREATE OR REPLACE FUNCTION public.process_versions_immutable()
+RETURNS trigger
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  -- ON DELETE SET NULL on restored_from_id is the one update allowed:
+  -- it only fires while the whole process is being deleted.
+  IF NEW.restored_from_id IS NULL AND OLD.restored_from_id IS NOT NULL
+     AND (to_jsonb(NEW) - 'restored_from_id') = (to_jsonb(OLD) - 'restored_from_id') THEN
+    RETURN NEW;
+  END IF;
+  RAISE EXCEPTION 'process_versions rows are immutable';
+END;
+$$;
+
+DROP TRIGGER IF EXISTS process_versions_no_update ON public.process_versions;
+CREATE TRIGGER process_versions_no_update
+  BEFORE UPDATE ON public.process_versions
+  FOR EACH ROW EXECUTE FUNCTION public.process_versions_immutable();
+
+ALTER TABLE public.process_versions ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS process_versions_read ON public.process_versions;
+CREATE POLICY process_versions_read
+  ON public.process_versions
+  FOR SELECT
+  TO authenticated
+  USING (
+    EXISTS (
+      SELECT 1 FROM public.processes p
+       WHERE p.id = process_versions.process_id
+         AND (
+           p.user_id = auth.uid()
+           OR lower(p.contact_email) = lower(coalesce(auth.jwt() ->> 'email', ''))
+           OR p.organization_id IN (
+             SELECT organization_id FROM public.organization_members
+              WHERE user_id = auth.uid()
+           )
+         )
+    )
+  );
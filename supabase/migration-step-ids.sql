@@ -0,0 +1,150 @@
+-- migration-step-ids.sql  (apply AFTER migration-process-comments.sql)
+--
+-- Stable step ids on saved flows (lib/flows/stepIds.js). Decision branches
+-- and manual layout used to point at steps by position — "Step 5" targets
+-- and offsets stored under the step count — so an insert or a reorder
+-- moved them onto the wrong step. The app now keys both off a persistent
+-- per-step id; this backfills the flows saved before it did.
+--
+-- For every processes.flow_data->rawProcesses[*]:
+--
+--   steps[*].id                 a new uuid where missing or duplicated
+--   steps[*].branches[*]        targetId = the id of the step the target
+--                               resolves to ("Step N", "step-N" (0-based),
+--                               a bare number or an exact step name), and
+--                               target rewritten as "Step N". Targets that
+--                               resolve to nothing are left as they are.
+--   flowNodePositions."v3-steps" the offsets saved under the current step
+--                               count (keyed "step-<index>"), re-keyed by
+--                               step id. Other layout keys are kept.
+--
+-- Only the live processes table is touched: process_versions rows are
+-- immutable history, and process_scenarios match their steps to the
+-- baseline by id when both sides have one (lib/flows/scenarios.js
+-- matchSteps) — fresh ids on a scenario would unmatch every step.
+--
+-- Idempotent: steps that already have ids, branches that already have a
+-- targetId and processes that already have a v3 layout are left alone.
+
+CREATE OR REPLACE FUNCTION pg_temp.backfill_step_ids(p_proc jsonb)
+RETURNS jsonb
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_steps     jsonb := COALESCE(p_proc->'steps', '[]'::jsonb);
+  v_count     int;
+  v_ids       text[] := '{}';
+  v_names     text[] := '{}';
+  v_out       jsonb := '[]'::jsonb;
+  v_step      jsonb;
+  v_id        text;
+  v_branches  jsonb;
+  v_branch    jsonb;
+  v_ref       text;
+  v_idx       int;
+  v_layout    jsonb;
+  v_legacy    jsonb;
+  v_key       text;
+  v_offset    jsonb;
+  i           int;
+BEGIN
+  IF jsonb_typeof(v_steps) <> 'array' OR jsonb_array_length(v_steps) = 0 THEN
+    RETURN p_proc;
+  END IF;
+  v_count := jsonb_array_length(v_steps);
+
+  -- 1. Ids: keep the first use of each, mint one for the rest.
+  FOR i IN 0 .. v_count - 1 LOOP
+    v_step := v_steps->i;
+    v_id := NULLIF(v_step->>'id', '');
+    IF jsonb_typeof(v_step) = 'object' AND (v_id IS NULL OR v_id = ANY (v_ids)) THEN
+      v_id := gen_random_uuid()::text;
+      v_step := jsonb_set(v_step, '{id}', to_jsonb(v_id));
+    END IF;
+    v_ids := v_ids || v_id;
+    v_names := v_names || lower(trim(COALESCE(v_step->>'name', '')));
+    v_out := v_out || jsonb_build_array(v_step);
+  END LOOP;
+  v_steps := v_out;
+
+  -- 2. Branch targets → targetId, resolved the way resolveBranchTarget does.
+  v_out := '[]'::jsonb;
+  FOR i IN 0 .. v_count - 1 LOOP
+    v_step := v_steps->i;
+    IF jsonb_typeof(v_step->'branches') = 'array' AND jsonb_array_length(v_step->'branches') > 0 THEN
+      v_branches := '[]'::jsonb;
+      FOR v_branch IN SELECT value FROM jsonb_array_elements(v_step->'branches') LOOP
+        v_ref := trim(COALESCE(NULLIF(v_branch->>'target', ''), v_branch->>'targetStep', ''));
+        IF jsonb_typeof(v_branch) = 'object' AND NULLIF(v_branch->>'targetId', '') IS NULL AND v_ref <> '' THEN
+          v_idx := NULL;
+          IF v_ref ~* '^step-[0-9]+$' THEN
+            v_idx := substring(v_ref FROM '[0-9]+')::int;
+          ELSIF v_ref ~* '^(step[[:space:]-]*)?[0-9]+$' THEN
+            v_idx := substring(v_ref FROM '[0-9]+')::int - 1;
+          END IF;
+          IF v_idx IS NULL OR v_idx < 0 OR v_idx >= v_count THEN
+            v_idx := array_position(v_names, lower(v_ref)) - 1;
+          END IF;
+          IF v_idx IS NOT NULL AND v_idx >= 0 AND v_idx < v_count AND v_ids[v_idx + 1] IS NOT NULL THEN
+            v_branch := v_branch || jsonb_build_object('targetId', v_ids[v_idx + 1], 'target', 'Step ' || (v_idx + 1));
+          END IF;
+        END IF;
+        v_branches := v_branches || jsonb_build_array(v_branch);
+      END LOOP;
+      v_step := jsonb_set(v_step, '{branches}', v_branches);
+    END IF;
+    v_out := v_out || jsonb_build_array(v_step);
+  END LOOP;
+  p_proc := jsonb_set(p_proc, '{steps}', v_out);
+
+  -- 3. Layout: the step-count offsets the workspace wrote, keyed by id.
+  v_layout := p_proc->'flowNodePositions';
+  IF jsonb_typeof(v_layout) = 'object' AND NOT v_layout ? 'v3-steps'
+     AND jsonb_typeof(v_layout->(v_count::text)) = 'object' THEN
+    v_legacy := '{}'::jsonb;
+    FOR v_key, v_offset IN SELECT key, value FROM jsonb_each(v_layout->(v_count::text)) LOOP
+      IF v_key ~ '^step-[0-9]+$' THEN
+        v_idx := substring(v_key FROM '[0-9]+')::int;
+        IF v_idx < v_count AND v_ids[v_idx + 1] IS NOT NULL THEN
+          v_legacy := v_legacy || jsonb_build_object(v_ids[v_idx + 1], v_offset);
+        END IF;
+      END IF;
+    END LOOP;
+    p_proc := jsonb_set(p_proc, '{flowNodePositions}', v_layout || jsonb_build_object('v3-steps', v_legacy));
+  END IF;
+
+  RETURN p_proc;
+END;
+$$;
+
+UPDATE public.processes p
+   SET flow_data = jsonb_set(
+         p.flow_data,
+         '{rawProcesses}',
+         (SELECT jsonb_agg(pg_temp.backfill_step_ids(rp) ORDER BY ord)
+            FROM jsonb_array_elements(p.flow_data->'rawProcesses') WITH ORDINALITY AS t(rp, ord))
+       )
+ WHERE jsonb_typeof(p.flow_data->'rawProcesses') = 'array'
+   AND jsonb_array_length(p.flow_data->'rawProcesses') > 0
+   AND (
+     EXISTS (
+       SELECT 1
+         FROM jsonb_array_elements(p.flow_data->'rawProcesses') rp,
+              jsonb_array_elements(CASE WHEN jsonb_typeof(rp->'steps') = 'array' THEN rp->'steps' ELSE '[]'::jsonb END) s
+        WHERE NULLIF(s->>'id', '') IS NULL
+           OR EXISTS (
+                SELECT 1
+                  FROM jsonb_array_elements(CASE WHEN jsonb_typeof(s->'branches') = 'array' THEN s->'branches' ELSE '[]'::jsonb END) b
+                 WHERE NULLIF(b->>'targetId', '') IS NULL
+                   AND COALESCE(NULLIF(b->>'target', ''), b->>'targetStep', '') <> ''
+              )
+     )
+     OR EXISTS (
+       SELECT 1
+         FROM jsonb_array_elements(p.flow_data->'rawProcesses') rp
+        WHERE jsonb_typeof(rp->'flowNodePositions') = 'object'
+          AND NOT rp->'flowNodePositions' ? 'v3-steps'
+          AND jsonb_typeof(rp->'steps') = 'array'
+          AND jsonb_typeof(rp->'flowNodePositions'->(jsonb_array_length(rp->'steps')::text)) = 'object'
+     )
+   );
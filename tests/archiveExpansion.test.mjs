@@ -0,0 +1,192 @@
+/**
+ * Tests for lib/inngest/functions/archive.js — format detection, path
+ * sanitisation and the limits that make archive expansion safe on
+ * hostile uploads.
+ *
+ * Run: node --test tests/archiveExpansion.test.mjs
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { zipSync, gzipSync, strToU8 } from 'fflate';
+import {
+  archiveFormatOf, sanitiseArchivePath, isJunkPath, mimeTypeFor, expandArchive, ArchiveError,
+} from '../lib/inngest/functions/archive.js';
+
+/** Minimal ustar writer: [{ name, content?, type? }]. */
+function tarOf(entries) {
+  const blocks = [];
+  for (const e of entries) {
+    const body = Buffer.from(e.content || '');
+    const h = Buffer.alloc(512);
+    h.write(e.name, 0, 100, 'utf8');
+    h.write('0000644\0', 100);
+    h.write('0000000\0', 108);
+    h.write('0000000\0', 116);
+    h.write(`${body.length.toString(8).padStart(11, '0')}\0`, 124);
+    h.write('00000000000\0', 136);
+    h.write(e.type || '0', 156);
+    if (e.linkname) h.write(e.linkname, 157, 100, 'utf8');
+    h.write('ustar\0', 257);
+    h.write('00', 263);
+    h.fill(0x20, 148, 156);
+    let sum = 0;
+    for (const b of h) sum += b;
+    h.write(`${sum.toString(8).padStart(6, '0')}\0 `, 148);
+    blocks.push(h, body, Buffer.alloc((512 - (body.length % 512)) % 512));
+  }
+  blocks.push(Buffer.alloc(1024));
+  return Buffer.concat(blocks);
+}
+
+describe('archiveFormatOf', () => {
+  test('detects by extension first, then MIME type', () => {
+    assert.equal(archiveFormatOf({ filename: 'Data room export.ZIP' }), 'zip');
+    assert.equal(archiveFormatOf({ filename: 'a/b/dump.tar.gz' }), 'tgz');
+    assert.equal(archiveFormatOf({ filename: 'dump.tgz' }), 'tgz');
+    assert.equal(archiveFormatOf({ filename: 'x.7z' }), '7z');
+    assert.equal(archiveFormatOf({ filename: 'x.tar' }), 'tar');
+    assert.equal(archiveFormatOf({ filename: 'ledger.csv.gz' }), 'gz');
+    // A .docx is a zip container, not an archive to expand.
+    assert.equal(archiveFormatOf({ filename: 'SPA.docx', mimeType: 'application/zip' }), null);
+    assert.equal(archiveFormatOf({ filename: 'noext', mimeType: 'application/x-zip-compressed' }), 'zip');
+  });
+});
+
+describe('sanitiseArchivePath / isJunkPath', () => {
+  test('normalises separators and refuses escapes', () => {
+    assert.equal(sanitiseArchivePath('Finance\\FY24\\accounts.pdf'), 'Finance/FY24/accounts.pdf');
+    assert.equal(sanitiseArchivePath('/abs/./x//y.txt'), 'abs/x/y.txt');
+    assert.equal(sanitiseArchivePath('C:\\Users\\x.txt'), 'Users/x.txt');
+    assert.equal(sanitiseArchivePath('a/../b.txt'), 'b.txt');
+    assert.equal(sanitiseArchivePath('../../etc/passwd'), null);
+    assert.equal(sanitiseArchivePath('./'), null);
+  });
+
+  test('flags OS junk', () => {
+    assert.equal(isJunkPath('__MACOSX/Finance/._a.pdf'), true);
+    assert.equal(isJunkPath('Finance/.DS_Store'), true);
+    assert.equal(isJunkPath('Legal/~$SPA.docx'), true);
+    assert.equal(isJunkPath('Legal/SPA.docx'), false);
+  });
+
+  test('maps member extensions to MIME types', () => {
+    assert.equal(mimeTypeFor('a/b.PDF'), 'application/pdf');
+    assert.equal(mimeTypeFor('model.xlsx'), 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    assert.equal(mimeTypeFor('blob'), 'application/octet-stream');
+  });
+});
+
+describe('expandArchive — zip', () => {
+  test('returns members with folder paths, skipping junk and directories', async () => {
+    const zip = zipSync({
+      '1. Financials/': {},
+      '1. Financials/FY24 accounts.csv': strToU8('year,revenue\n2024,12.4'),
+      '2. Legal/SPA.txt': [strToU8('Share purchase agreement'), { level: 0 }],
+      '__MACOSX/2. Legal/._SPA.txt': strToU8('x'),
+      'readme.txt': strToU8('hello'),
+    });
+    const out = await expandArchive(Buffer.from(zip), { filename: 'export.zip' });
+    assert.deepEqual(out.files.map((f) => [f.folder, f.name]), [
+      ['1. Financials', 'FY24 accounts.csv'],
+      ['2. Legal', 'SPA.txt'],
+      ['', 'readme.txt'],
+    ]);
+    assert.equal(out.files[0].content.toString(), 'year,revenue\n2024,12.4');
+    assert.equal(out.files[1].content.toString(), 'Share purchase agreement');
+    assert.deepEqual(out.skipped, [{ path: '__MACOSX/2. Legal/._SPA.txt', reason: 'system_file' }]);
+  });
+
+  test('cuts off a high-ratio member without inflating it fully', async () => {
+    const zip = zipSync({ 'bomb.txt': new Uint8Array(5 * 1024 * 1024), 'ok.txt': strToU8('fine') });
+    const out = await expandArchive(Buffer.from(zip), { format: 'zip' });
+    assert.deepEqual(out.files.map((f) => f.name), ['ok.txt']);
+    assert.deepEqual(out.skipped, [{ path: 'bomb.txt', reason: 'suspicious_compression' }]);
+  });
+
+  test('enforces entry, per-entry and total limits', async () => {
+    const files = {};
+    for (let i = 0; i < 5; i++) files[`f${i}.txt`] = [strToU8(String(i).repeat(100)), { level: 0 }];
+    const zip = Buffer.from(zipSync(files));
+    const byCount = await expandArchive(zip, { format: 'zip', limits: { maxEntries: 2 } });
+    assert.equal(byCount.files.length, 2);
+    assert.equal(byCount.skippedCount, 3);
+    assert.ok(byCount.skipped.every((s) => s.reason === 'entry_limit'));
+
+    const bySize = await expandArchive(zip, { format: 'zip', limits: { maxEntryBytes: 50 } });
+    assert.ok(bySize.skipped.every((s) => s.reason === 'too_large'));
+
+    const byTotal = await expandArchive(zip, { format: 'zip', limits: { maxTotalBytes: 250 } });
+    assert.equal(byTotal.files.length, 2);
+    assert.equal(byTotal.skipped[0].reason, 'total_size_limit');
+  });
+
+  test('throws ArchiveError for a file that is not a zip', async () => {
+    await assert.rejects(expandArchive(Buffer.from('not a zip at all, just text'), { format: 'zip' }), ArchiveError);
+  });
+});
+
+describe('expandArchive — tar / gzip', () => {
+  const tar = tarOf([
+    { name: 'deal/', type: '5' },
+    { name: 'deal/model.csv', content: 'a,b\n1,2' },
+    { name: 'deal/link', type: '2', linkname: '/etc/passwd' },
+    { name: '../escape.txt', content: 'nope' },
+  ]);
+
+  test('reads tar members, skipping links and escaping paths', async () => {
+    const out = await expandArchive(tar, { filename: 'x.tar' });
+    assert.deepEqual(out.files.map((f) => f.path), ['deal/model.csv']);
+    assert.equal(out.files[0].content.toString(), 'a,b\n1,2');
+    assert.deepEqual(out.skipped, [
+      { path: 'deal/link', reason: 'link' },
+      { path: '../escape.txt', reason: 'unsafe_path' },
+    ]);
+  });
+
+  test('reads .tar.gz and single-file .gz', async () => {
+    const tgz = await expandArchive(Buffer.from(gzipSync(tar)), { filename: 'x.tgz' });
+    assert.deepEqual(tgz.files.map((f) => f.path), ['deal/model.csv']);
+
+    const gz = await expandArchive(Buffer.from(gzipSync(strToU8('ledger'))), { filename: 'exports/ledger.csv.gz' });
+    assert.deepEqual(gz.files.map((f) => [f.path, f.content.toString()]), [['ledger.csv', 'ledger']]);
+  });
+
+  test('refuses a .tar.gz that expands past the limits', async () => {
+    const bomb = Buffer.from(gzipSync(new Uint8Array(4 * 1024 * 1024)));
+    await assert.rejects(
+      expandArchive(bomb, { filename: 'x.tgz', limits: { maxTotalBytes: 1024 * 1024 } }),
+      /size limit/,
+    );
+  });
+});
+
+describe('expandArchive — 7z', () => {
+  test('lists then extracts members', async () => {
+    const { default: SevenZip } = await import('7z-wasm');
+    const sz = await SevenZip({ print: () => {}, printErr: () => {} });
+    sz.FS.mkdir('/src');
+    sz.FS.mkdir('/src/Finance');
+    sz.FS.writeFile('/src/Finance/budget.csv', 'month,spend\nJan,10');
+    sz.FS.writeFile('/src/notes.txt', 'notes');
+    sz.FS.chdir('/src');
+    assert.equal(sz.callMain(['a', '/out.7z', 'Finance', 'notes.txt']), 0);
+    const archive = Buffer.from(sz.FS.readFile('/out.7z'));
+
+    const out = await expandArchive(archive, { filename: 'pack.7z' });
+    assert.deepEqual(out.files.map((f) => [f.path, f.content.toString()]).sort(), [
+      ['Finance/budget.csv', 'month,spend\nJan,10'],
+      ['notes.txt', 'notes'],
+    ]);
+    assert.deepEqual(out.skipped, []);
+  });
+});
+
+describe('expandArchive — batches', () => {
+  test('`only` reads just the named members', async () => {
+    const zip = Buffer.from(zipSync({ 'a.txt': strToU8('a'), 'b/c.txt': strToU8('c'), 'd.txt': strToU8('d') }));
+    const out = await expandArchive(zip, { format: 'zip', only: new Set(['b/c.txt', 'd.txt']) });
+    assert.deepEqual(out.files.map((f) => f.path), ['b/c.txt', 'd.txt']);
+    assert.deepEqual(out.skipped, []);
+  });
+});
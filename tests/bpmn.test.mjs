@@ -0,0 +1,190 @@
+/**
+ * Tests for lib/flows/bpmn.js — BPMN 2.0 import / export.
+ *
+ * Run: node --test tests/bpmn.test.mjs
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  exportProcessToBpmn, importBpmn, parseXml, BpmnParseError,
+} from '../lib/flows/bpmn.js';
+import { deriveStepConnections } from '../lib/flows/connections.js';
+
+function makeSteps(defs) {
+  return defs.map((d, i) => ({
+    number: i + 1,
+    name: d.name ?? `Step ${i + 1}`,
+    department: d.dept ?? 'Operations',
+    isDecision: d.isDecision ?? false,
+    isMerge: d.isMerge ?? false,
+    parallel: d.parallel ?? false,
+    inclusive: d.inclusive ?? false,
+    branches: d.branches ?? [],
+    ...(d.workMinutes != null ? { workMinutes: d.workMinutes } : {}),
+    ...(d.waitMinutes != null ? { waitMinutes: d.waitMinutes } : {}),
+  }));
+}
+
+const APPROVAL = makeSteps([
+  { name: 'Receive invoice', dept: 'Finance', workMinutes: 10, waitMinutes: 60 },
+  { name: 'Over limit?', dept: 'Finance', isDecision: true, branches: [
+    { label: 'Yes', target: 'Step 3', probability: 20 },
+    { label: 'No', target: 'Step 4', probability: 80 },
+  ] },
+  { name: 'Director approval', dept: 'Leadership', workMinutes: 15 },
+  { name: 'Auto approve', dept: 'Finance', workMinutes: 1 },
+  { name: 'Pay supplier', dept: 'Finance', isMerge: true, workMinutes: 5 },
+]);
+
+describe('deriveStepConnections', () => {
+  test('mirrors canvas edges: sequential, branches, merge wiring, end', () => {
+    const edges = deriveStepConnections(APPROVAL).map((e) => `${e.from}>${e.to}`);
+    assert.deepEqual(edges.sort(), ['0>1', '1>2', '1>3', '2>4', '3>4', '4>end', 'start>0'].sort());
+  });
+
+  test('branch terminals with no merge flow to the end event', () => {
+    const steps = makeSteps([
+      { name: 'Check', isDecision: true, branches: [{ label: 'A', target: 'Step 2' }, { label: 'B', target: 'Step 3' }] },
+      { name: 'Reject' },
+      { name: 'Accept' },
+    ]);
+    const edges = deriveStepConnections(steps).map((e) => `${e.from}>${e.to}`);
+    assert.ok(edges.includes('1>end'));
+    assert.ok(edges.includes('2>end'));
+  });
+});
+
+describe('exportProcessToBpmn', () => {
+  test('emits lanes, gateways, named flows and DI', () => {
+    const xml = exportProcessToBpmn({ processName: 'Invoice approval', steps: APPROVAL });
+    assert.match(xml, /<bpmn:exclusiveGateway id="Gateway_2" name="Over limit\?"/);
+    assert.match(xml, /<bpmn:lane id="Lane_\d" name="Leadership">/);
+    assert.match(xml, /name="Yes" sourceRef="Gateway_2" targetRef="Activity_3" vesno:probability="20"/);
+    assert.match(xml, /Gateway_Join_5/);
+    assert.match(xml, /<bpmndi:BPMNEdge/);
+    // Well-formed: our own reader accepts it.
+    assert.ok(parseXml(xml));
+  });
+
+  test('escapes names', () => {
+    const xml = exportProcessToBpmn({ processName: 'R&D <intake>', steps: makeSteps([{ name: 'Check "spec"' }]) });
+    assert.match(xml, /name="R&amp;D &lt;intake&gt;"/);
+    assert.match(xml, /name="Check &quot;spec&quot;"/);
+  });
+});
+
+describe('importBpmn', () => {
+  test('round-trips the canvas model', () => {
+    const xml = exportProcessToBpmn({ processName: 'Invoice approval', steps: APPROVAL });
+    const { processes } = importBpmn(xml);
+    assert.equal(processes.length, 1);
+    const { process, issues } = processes[0];
+    assert.equal(process.processName, 'Invoice approval');
+    assert.deepEqual(process.steps.map((s) => s.name), APPROVAL.map((s) => s.name));
+    assert.deepEqual(process.steps.map((s) => s.department), APPROVAL.map((s) => s.department));
+    const dec = process.steps[1];
+    assert.equal(dec.isDecision, true);
+    assert.deepEqual(dec.branches, [
+      { label: 'Yes', target: 'Step 3', probability: 20 },
+      { label: 'No', target: 'Step 4', probability: 80 },
+    ]);
+    assert.equal(process.steps[4].isMerge, true);
+    assert.equal(process.steps[0].workMinutes, 10);
+    assert.equal(process.steps[0].waitMinutes, 60);
+    assert.deepEqual(process.flowCustomEdges, []);
+    assert.equal(issues.filter((i) => i.severity === 'error').length, 0);
+  });
+
+  test('maps parallel gateways and a converging join to isMerge', () => {
+    const xml = `<?xml version="1.0"?>
+      <definitions xmlns="http://www.omg.org/spec/BPMN/20100524/MODEL">
+        <process id="p1" name="Onboarding">
+          <laneSet><lane name="HR"><flowNodeRef>t1</flowNodeRef><flowNodeRef>t3</flowNodeRef></lane>
+                   <lane name="IT"><flowNodeRef>t2</flowNodeRef></lane></laneSet>
+          <startEvent id="s" />
+          <parallelGateway id="g1" name="Kick off" />
+          <userTask id="t1" name="Contract" />
+          <serviceTask id="t2" name="Laptop" />
+          <parallelGateway id="g2" />
+          <task id="t3" name="Day one" />
+          <endEvent id="e" />
+          <sequenceFlow id="f1" sourceRef="s" targetRef="g1" />
+          <sequenceFlow id="f2" sourceRef="g1" targetRef="t1" />
+          <sequenceFlow id="f3" sourceRef="g1" targetRef="t2" />
+          <sequenceFlow id="f4" sourceRef="t1" targetRef="g2" />
+          <sequenceFlow id="f5" sourceRef="t2" targetRef="g2" />
+          <sequenceFlow id="f6" sourceRef="g2" targetRef="t3" />
+          <sequenceFlow id="f7" sourceRef="t3" targetRef="e" />
+        </process>
+      </definitions>`;
+    const { process, issues } = importBpmn(xml).processes[0];
+    assert.deepEqual(process.steps.map((s) => s.name), ['Kick off', 'Contract', 'Laptop', 'Day one']);
+    assert.equal(process.steps[0].parallel, true);
+    assert.equal(process.steps[3].isMerge, true);
+    assert.equal(process.steps[2].department, 'IT');
+    assert.equal(issues.filter((i) => i.severity === 'error').length, 0);
+  });
+
+  test('loop-backs keep a branch to the earlier step', () => {
+    const xml = `<definitions><process id="p">
+      <startEvent id="s"/><task id="a" name="Draft"/><task id="b" name="Review"/>
+      <exclusiveGateway id="g" name="OK?"/><task id="c" name="Publish"/><endEvent id="e"/>
+      <sequenceFlow id="1" sourceRef="s" targetRef="a"/><sequenceFlow id="2" sourceRef="a" targetRef="b"/>
+      <sequenceFlow id="3" sourceRef="b" targetRef="g"/>
+      <sequenceFlow id="4" name="No" sourceRef="g" targetRef="a"/>
+      <sequenceFlow id="5" name="Yes" sourceRef="g" targetRef="c"/>
+      <sequenceFlow id="6" sourceRef="c" targetRef="e"/>
+    </process></definitions>`;
+    const { process } = importBpmn(xml).processes[0];
+    assert.deepEqual(process.steps.map((s) => s.name), ['Draft', 'Review', 'OK?', 'Publish']);
+    assert.deepEqual(process.steps[2].branches.map((b) => b.target), ['Step 1', 'Step 4']);
+  });
+
+  test('rejects non-BPMN, DOCTYPE and empty documents', () => {
+    assert.throws(() => importBpmn(''), BpmnParseError);
+    assert.throws(() => importBpmn('<foo/>'), /no <definitions>/);
+    assert.throws(() => importBpmn('<!DOCTYPE x [<!ENTITY a "b">]><definitions/>'), /DOCTYPE/);
+    assert.throws(() => importBpmn('<definitions><process id="p"></definitions>'), BpmnParseError);
+    assert.throws(() => importBpmn('<definitions><process id="p"/></definitions>'), /no activities/);
+  });
+
+  test('rejects out-of-range character references as a parse error', () => {
+    for (const ref of ['&#x110000;', '&#xD800;', '&#0;', '&#99999999999;']) {
+      assert.throws(
+        () => importBpmn(`<definitions><process id="p"><task id="a" name="A${ref}"/></process></definitions>`),
+        (e) => e instanceof BpmnParseError && /Invalid character reference/.test(e.message),
+      );
+    }
+    const { process } = importBpmn('<definitions><process id="p"><task id="a" name="Caf&#xE9; &#128512;"/></process></definitions>').processes[0];
+    assert.equal(process.steps[0].name, 'Café 😀');
+  });
+
+  test('long pass-through chains and deep nesting import without overflowing the stack', () => {
+    const hops = 1500;
+    const events = Array.from({ length: hops }, (_, i) => `<intermediateThrowEvent id="e${i}"/>`).join('');
+    const chain = Array.from({ length: hops - 1 }, (_, i) => `<sequenceFlow id="c${i}" sourceRef="e${i}" targetRef="e${i + 1}"/>`).join('');
+    const depth = 50000;
+    const xml = `<definitions>${'<x>'.repeat(depth)}${'</x>'.repeat(depth)}<process id="p">
+      <startEvent id="s"/><task id="a" name="Order"/><task id="b" name="Ship"/>${events}
+      <sequenceFlow id="1" sourceRef="s" targetRef="a"/><sequenceFlow id="2" sourceRef="a" targetRef="e0"/>
+      ${chain}<sequenceFlow id="3" sourceRef="e${hops - 1}" targetRef="b"/>
+    </process></definitions>`;
+    const { process } = importBpmn(xml).processes[0];
+    assert.deepEqual(process.steps.map((s) => s.name), ['Order', 'Ship']);
+    assert.equal(process.flowCustomEdges.length, 0);
+  });
+
+  test('rejects oversized diagrams before ordering them', () => {
+    const tasks = (n) => Array.from({ length: n }, (_, i) => `<task id="t${i}"/>`).join('');
+    assert.throws(
+      () => importBpmn(`<definitions><process id="p">${tasks(501)}</process></definitions>`),
+      (e) => e instanceof BpmnParseError && /501 activities; the limit is 500/.test(e.message),
+    );
+    const events = Array.from({ length: 2001 }, (_, i) => `<intermediateCatchEvent id="e${i}"/>`).join('');
+    assert.throws(
+      () => importBpmn(`<definitions><process id="p"><task id="a"/>${events}</process></definitions>`),
+      (e) => e instanceof BpmnParseError && /2002 elements/.test(e.message),
+    );
+  });
+});
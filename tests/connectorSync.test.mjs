@@ -0,0 +1,178 @@
+/**
+ * Tests for lib/connectors/syncPlan.js — how a listing is turned into
+ * add / update / rename / move / archive ops — driven end to end against
+ * the fake provider's change log.
+ *
+ * Run: node --test tests/connectorSync.test.mjs
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  planSync, splitForRun, requeueItem, dedupeItems, emptySyncStats, STAT_FOR_KIND,
+} from '../lib/connectors/syncPlan.js';
+import { CursorExpiredError } from '../lib/connectors/index.js';
+import { createFakeProvider } from '../lib/connectors/providers/fake.js';
+
+const row = (over) => ({
+  id: `doc-${over.source_external_id}`, filename: 'a.pdf', source_path: null,
+  source_version: 'v1', content_hash: 'h', status: 'ready', ...over,
+});
+const kinds = (ops) => ops.map((o) => `${o.kind}:${o.item?.externalId ?? o.existing.source_external_id}`);
+
+describe('planSync', () => {
+  test('classifies adds, content updates, renames and unchanged files by version', () => {
+    const ops = planSync([
+      { externalId: 'n', op: 'upsert', filename: 'new.pdf', version: 'v1' },
+      { externalId: 'u', op: 'upsert', filename: 'a.pdf', version: 'v2' },
+      { externalId: 'r', op: 'upsert', filename: 'Renamed.pdf', version: 'v1' },
+      { externalId: 's', op: 'upsert', filename: 'a.pdf', version: 'v1' },
+    ], [row({ source_external_id: 'u' }), row({ source_external_id: 'r' }), row({ source_external_id: 's' })]);
+    assert.deepEqual(kinds(ops), ['add:n', 'update:u', 'rename:r', 'unchanged:s']);
+    assert.deepEqual(ops.map((o) => o.download), [true, true, false, false]);
+  });
+
+  test('a new parent path with the same version is a move', () => {
+    const ops = planSync(
+      [{ externalId: 'm', op: 'upsert', filename: 'a.pdf', version: 'v1', path: '/drive/root:/Room/Legal/a.pdf' }],
+      [row({ source_external_id: 'm', source_path: '/drive/root:/Room/a.pdf' })],
+    );
+    assert.deepEqual(kinds(ops), ['move:m']);
+  });
+
+  test('deletes tombstone live rows once; a returning file is restored', () => {
+    const ops = planSync([
+      { externalId: 'd', op: 'delete' },
+      { externalId: 'gone', op: 'delete' },
+      { externalId: 'never', op: 'delete' },
+      { externalId: 'back', op: 'upsert', filename: 'a.pdf', version: 'v1' },
+    ], [
+      row({ source_external_id: 'd' }),
+      row({ source_external_id: 'gone', status: 'archived' }),
+      row({ source_external_id: 'back', status: 'archived' }),
+    ]);
+    assert.deepEqual(kinds(ops), ['archive:d', 'restore:back']);
+  });
+
+  test('no version on either side, or a failed row, needs the bytes', () => {
+    const ops = planSync([
+      { externalId: 'x', op: 'upsert', filename: 'a.pdf' },
+      { externalId: 'f', op: 'upsert', filename: 'a.pdf', version: 'v1' },
+    ], [row({ source_external_id: 'x' }), row({ source_external_id: 'f', status: 'failed' })]);
+    assert.deepEqual(kinds(ops), ['verify:x', 'update:f']);
+  });
+
+  test('a full listing archives rows it no longer contains', () => {
+    const ops = planSync(
+      [{ externalId: 'kept', op: 'upsert', filename: 'a.pdf', version: 'v1' }],
+      [row({ source_external_id: 'kept' }), row({ source_external_id: 'missing' }), row({ source_external_id: 'old', status: 'archived' })],
+      { full: true },
+    );
+    assert.deepEqual(kinds(ops), ['unchanged:kept', 'archive:missing']);
+    assert.equal(planSync([], [row({ source_external_id: 'missing' })]).length, 0, 'delta listings never reconcile');
+  });
+
+  test('the last change per file wins', () => {
+    const items = dedupeItems([
+      { externalId: 'a', op: 'upsert', filename: 'one' },
+      { externalId: 'b', op: 'upsert', filename: 'b' },
+      { externalId: 'a', op: 'delete' },
+    ]);
+    assert.deepEqual(items.map((i) => `${i.op}:${i.externalId}`), ['upsert:b', 'delete:a']);
+  });
+});
+
+describe('splitForRun', () => {
+  test('caps downloads and defers the rest as items; metadata ops always run', () => {
+    const ops = planSync([
+      { externalId: '1', op: 'upsert', filename: '1', version: 'v' },
+      { externalId: '2', op: 'upsert', filename: '2', version: 'v' },
+      { externalId: 'r', op: 'upsert', filename: 'renamed', version: 'v1' },
+      { externalId: '3', op: 'upsert', filename: '3', version: 'v' },
+    ], [row({ source_external_id: 'r' })]);
+    const { now, deferred } = splitForRun(ops, { maxDownloads: 1 });
+    assert.deepEqual(kinds(now), ['add:1', 'rename:r']);
+    assert.deepEqual(deferred.map((i) => i.externalId), ['2', '3']);
+    // Deferred items re-plan cleanly on the next run.
+    assert.deepEqual(kinds(planSync(deferred, [])), ['add:2', 'add:3']);
+  });
+});
+
+describe('requeueItem', () => {
+  test('failed ops go back as their provider item; full-listing tombstones as a delete', () => {
+    const existing = [row({ source_external_id: 'a' }), row({ source_external_id: 'gone' })];
+    const ops = planSync([{ externalId: 'a', op: 'upsert', filename: 'a.pdf', version: 'v2' }], existing, { full: true });
+    assert.deepEqual(kinds(ops), ['update:a', 'archive:gone']);
+    const retry = ops.map(requeueItem);
+    assert.deepEqual(retry, [
+      { externalId: 'a', op: 'upsert', filename: 'a.pdf', version: 'v2' },
+      { externalId: 'gone', op: 'delete' },
+    ]);
+    // Re-planned on the next (delta) run, both changes still apply.
+    assert.deepEqual(kinds(planSync(retry, existing)), ['update:a', 'archive:gone']);
+  });
+});
+
+describe('against the fake provider', () => {
+  /** Apply ops the way the sync worker does, against an in-memory table. */
+  function apply(rows, ops) {
+    const stats = emptySyncStats('delta');
+    for (const op of ops) {
+      const cur = op.existing && rows.find((r) => r.id === op.existing.id);
+      if (op.kind === 'archive') cur.status = 'archived';
+      else if (op.kind === 'add') rows.push(row({ id: `doc-${rows.length}`, source_external_id: op.item.externalId, filename: op.item.filename, source_version: op.item.version }));
+      else if (op.kind !== 'unchanged') Object.assign(cur, { filename: op.item.filename, source_version: op.item.version, status: 'ready' });
+      stats[STAT_FOR_KIND[op.kind]] += 1;
+    }
+    return stats;
+  }
+
+  test('renames skip the download; moves out and deletes tombstone', async () => {
+    const fake = createFakeProvider({
+      folders: [{ id: 'dr', name: 'Data room' }, { id: 'other', name: 'Other' }],
+      files: [{ id: 'im', folderId: 'dr', name: 'im.pdf', content: 'memo' }, { id: 'spa', folderId: 'dr', name: 'spa.pdf', content: 'spa' }],
+    });
+    const { access_token: t } = await fake.exchangeCode({ code: 'x' });
+    const rows = [];
+    const first = await fake.listChanges({ accessToken: t, sourceRef: { folder_id: 'dr' } });
+    assert.equal(apply(rows, planSync(first.items, rows, { full: true })).added, 2);
+
+    fake.store.renameFile('im', 'Information memo.pdf');
+    fake.store.moveFile('spa', 'other');
+    fake.store.putFile({ id: 'qa', folderId: 'dr', name: 'qa.xlsx', content: 'q' });
+    const delta = await fake.listChanges({ accessToken: t, sourceRef: { folder_id: 'dr' }, deltaCursor: first.nextCursor });
+    const ops = planSync(delta.items, rows);
+    assert.deepEqual(kinds(ops), ['rename:im', 'archive:spa', 'add:qa']);
+    const stats = apply(rows, ops);
+    assert.deepEqual([stats.renamed, stats.archived, stats.added], [1, 1, 1]);
+    assert.equal(rows.find((r) => r.source_external_id === 'im').filename, 'Information memo.pdf');
+
+    fake.store.putFile({ id: 'im', folderId: 'dr', name: 'Information memo.pdf', content: 'memo v2' });
+    const edit = await fake.listChanges({ accessToken: t, sourceRef: { folder_id: 'dr' }, deltaCursor: delta.nextCursor });
+    assert.deepEqual(kinds(planSync(edit.items, rows)), ['update:im']);
+  });
+
+  test('an expired cursor raises CursorExpiredError and a full re-list reconciles', async () => {
+    const fake = createFakeProvider({
+      folders: [{ id: 'dr', name: 'Data room' }],
+      files: [{ id: 'a', folderId: 'dr', name: 'a.pdf', content: 'a' }, { id: 'b', folderId: 'dr', name: 'b.pdf', content: 'b' }],
+    });
+    const { access_token: t } = await fake.exchangeCode({ code: 'x' });
+    const rows = [];
+    const first = await fake.listChanges({ accessToken: t, sourceRef: { folder_id: 'dr' } });
+    apply(rows, planSync(first.items, rows, { full: true }));
+
+    fake.store.removeFile('b');
+    fake.store.compactLog();
+    await assert.rejects(
+      fake.listChanges({ accessToken: t, sourceRef: { folder_id: 'dr' }, deltaCursor: first.nextCursor }),
+      (e) => e instanceof CursorExpiredError && e.provider === 'fake',
+    );
+    const relist = await fake.listChanges({ accessToken: t, sourceRef: { folder_id: 'dr' } });
+    assert.deepEqual(kinds(planSync(relist.items, rows, { full: true })), ['unchanged:a', 'archive:b']);
+    // The fresh cursor keeps working after compaction.
+    fake.store.putFile({ folderId: 'dr', name: 'c.pdf', content: 'c' });
+    const next = await fake.listChanges({ accessToken: t, sourceRef: { folder_id: 'dr' }, deltaCursor: relist.nextCursor });
+    assert.equal(next.items.length, 1);
+  });
+});
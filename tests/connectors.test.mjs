@@ -0,0 +1,231 @@
+/**
+ * Tests for lib/connectors — Box / Dropbox / Drive providers and the fake data room.
+ *
+ * Run: node --test tests/connectors.test.mjs
+ *
+ * Stubs global fetch to replay provider API responses without credentials.
+ */
+
+import { test, describe, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { getProvider, listProviders, CursorExpiredError } from '../lib/connectors/index.js';
+import { createFakeProvider } from '../lib/connectors/providers/fake.js';
+
+const realFetch = global.fetch;
+afterEach(() => { global.fetch = realFetch; });
+
+/** handler(url, body) → response JSON, or { status, body } for errors. Records calls. */
+function stubFetch(handler) {
+  const calls = [];
+  global.fetch = async (url, opts = {}) => {
+    const u = String(url);
+    const body = typeof opts.body === 'string' && opts.body.startsWith('{') ? JSON.parse(opts.body) : opts.body;
+    calls.push({ url: u, body, headers: opts.headers || {} });
+    const result = await handler(u, body, opts);
+    const status = result?.__status ?? 200;
+    return new Response(JSON.stringify(result?.__status ? result.body : result), {
+      status, headers: { 'Content-Type': 'application/json' },
+    });
+  };
+  return calls;
+}
+
+describe('registry', () => {
+  test('Box and Dropbox register alongside Drive and SharePoint; fake stays off by default', () => {
+    const ids = listProviders().map((p) => p.id).sort();
+    assert.deepEqual(ids, ['box', 'dropbox', 'google_drive', 'sharepoint']);
+    for (const id of ids) {
+      const def = getProvider(id);
+      for (const fn of ['buildAuthUrl', 'exchangeCode', 'refreshToken', 'listChanges', 'downloadFile', 'pickFolder']) {
+        assert.equal(typeof def[fn], 'function', `${id}.${fn}`);
+      }
+    }
+  });
+
+  test('auth URLs carry state and the provider callback', () => {
+    process.env.NEXT_PUBLIC_APP_URL = 'https://app.example.com/';
+    const box = new URL(getProvider('box').buildAuthUrl({ state: 's1' }));
+    assert.equal(box.searchParams.get('state'), 's1');
+    assert.equal(box.searchParams.get('redirect_uri'), 'https://app.example.com/api/integrations/box/oauth/callback');
+    const dbx = new URL(getProvider('dropbox').buildAuthUrl({ state: 's2' }));
+    assert.equal(dbx.searchParams.get('token_access_type'), 'offline');
+  });
+});
+
+describe('box', () => {
+  const box = () => getProvider('box');
+
+  test('first sync lists the folder and starts the event stream at now', async () => {
+    stubFetch((url) => {
+      if (url.includes('/folders/123/items') && !url.includes('marker=m2')) {
+        return { entries: [{ type: 'file', id: 1, name: 'a.pdf', size: 10 }, { type: 'folder', id: 9, name: 'sub' }], next_marker: 'm2' };
+      }
+      if (url.includes('marker=m2')) return { entries: [{ type: 'file', id: 2, name: 'b.xlsx', size: 20 }] };
+      if (url.includes('stream_position=now')) return { next_stream_position: 555 };
+      throw new Error(`unexpected ${url}`);
+    });
+    const { items, nextCursor } = await box().listChanges({ accessToken: 't', sourceRef: { folder_id: '123' } });
+    assert.deepEqual(items.map((i) => `${i.op}:${i.externalId}:${i.filename}`), ['upsert:1:a.pdf', 'upsert:2:b.xlsx']);
+    assert.equal(nextCursor, '555');
+  });
+
+  test('delta sync keeps files in the folder and deletes trashed / moved-out ones', async () => {
+    stubFetch((url) => {
+      if (url.includes('stream_position=555')) {
+        return {
+          chunk_size: 3, next_stream_position: 600,
+          entries: [
+            { event_type: 'ITEM_UPLOAD', source: { type: 'file', id: '7', name: 'new.pdf', size: 5, parent: { id: '123' }, item_status: 'active' } },
+            { event_type: 'ITEM_TRASH', source: { type: 'file', id: '1', name: 'a.pdf', parent: { id: '123' }, item_status: 'trashed' } },
+            { event_type: 'ITEM_MOVE', source: { type: 'file', id: '2', name: 'b.xlsx', parent: { id: '999' }, item_status: 'active' } },
+            { event_type: 'ITEM_CREATE', source: { type: 'folder', id: '8', parent: { id: '123' } } },
+          ],
+        };
+      }
+      return { chunk_size: 0, entries: [], next_stream_position: 600 };
+    });
+    const { items, nextCursor } = await box().listChanges({ accessToken: 't', sourceRef: { folder_id: '123' }, deltaCursor: '555' });
+    assert.deepEqual(items.map((i) => `${i.op}:${i.externalId}`), ['upsert:7', 'delete:1', 'delete:2']);
+    assert.equal(nextCursor, '600');
+  });
+
+  test('folder picker returns child folders of the root by default', async () => {
+    const calls = stubFetch(() => ({ entries: [{ type: 'folder', id: 5, name: 'Data room' }, { type: 'file', id: 6, name: 'x' }] }));
+    const out = await box().pickFolder({ accessToken: 't', query: { kind: 'folders' } });
+    assert.deepEqual(out, [{ id: '5', name: 'Data room', kind: 'folder' }]);
+    assert.match(calls[0].url, /\/folders\/0\/items/);
+  });
+});
+
+describe('dropbox', () => {
+  const dbx = () => getProvider('dropbox');
+
+  test('first sync pages list_folder to the end and returns its cursor', async () => {
+    const calls = stubFetch((url, body) => {
+      if (url.endsWith('/files/list_folder')) {
+        return { entries: [{ '.tag': 'file', id: 'id:a', name: 'a.pdf', size: 3 }, { '.tag': 'folder', id: 'id:f', name: 'f' }], cursor: 'c1', has_more: true };
+      }
+      if (url.endsWith('/list_folder/continue') && body.cursor === 'c1') {
+        return { entries: [{ '.tag': 'file', id: 'id:b', name: 'b.docx', size: 4 }], cursor: 'c2', has_more: false };
+      }
+      throw new Error(`unexpected ${url}`);
+    });
+    const { items, nextCursor } = await dbx().listChanges({ accessToken: 't', sourceRef: { folder_id: 'id:room' } });
+    assert.deepEqual(items.map((i) => i.externalId), ['id:a', 'id:b']);
+    assert.equal(nextCursor, 'c2');
+    assert.equal(calls[0].body.path, 'id:room');
+    assert.equal(calls[0].headers.Authorization, 'Bearer t');
+  });
+
+  test('deleted paths resolve to file ids; renames are not archived', async () => {
+    stubFetch((url, body) => {
+      if (url.endsWith('/list_folder/continue')) {
+        return {
+          cursor: 'c3', has_more: false,
+          entries: [
+            { '.tag': 'deleted', path_lower: '/room/old name.pdf' },
+            { '.tag': 'file', id: 'id:a', name: 'New name.pdf', path_lower: '/room/new name.pdf' },
+            { '.tag': 'deleted', path_lower: '/room/gone.xlsx' },
+            { '.tag': 'deleted', path_lower: '/room/subfolder' },
+          ],
+        };
+      }
+      if (url.endsWith('/files/list_revisions')) {
+        if (body.path === '/room/old name.pdf') return { entries: [{ id: 'id:a' }] };
+        if (body.path === '/room/gone.xlsx') return { is_deleted: true, entries: [{ id: 'id:g' }] };
+        return { __status: 409, body: { error_summary: 'path/not_file/' } };
+      }
+      throw new Error(`unexpected ${url}`);
+    });
+    const { items, nextCursor } = await dbx().listChanges({ accessToken: 't', sourceRef: { folder_id: 'id:room' }, deltaCursor: 'c2' });
+    assert.deepEqual(items.map((i) => `${i.op}:${i.externalId}`), ['upsert:id:a', 'delete:id:g']);
+    assert.equal(items[0].filename, 'New name.pdf');
+    assert.equal(nextCursor, 'c3');
+  });
+
+  test('a reset cursor surfaces as CursorExpiredError', async () => {
+    stubFetch(() => ({ __status: 409, body: { error_summary: 'reset/' } }));
+    await assert.rejects(
+      dbx().listChanges({ accessToken: 't', sourceRef: { folder_id: 'id:room' }, deltaCursor: 'old' }),
+      CursorExpiredError,
+    );
+  });
+});
+
+describe('google_drive', () => {
+  const drive = () => getProvider('google_drive');
+
+  test('delta sync walks change pages to the new start token', async () => {
+    stubFetch((url) => {
+      if (url.includes('pageToken=10&')) {
+        return { nextPageToken: '11', changes: [{ fileId: 'f1', file: { id: 'f1', name: 'a.pdf', parents: ['room'] } }] };
+      }
+      if (url.includes('pageToken=11&')) return { newStartPageToken: '20', changes: [{ fileId: 'f2', removed: true }] };
+      throw new Error(`unexpected ${url}`);
+    });
+    const { items, nextCursor } = await drive().listChanges({ accessToken: 't', sourceRef: { folder_id: 'room' }, deltaCursor: '10' });
+    assert.deepEqual(items.map((i) => `${i.op}:${i.externalId}`), ['upsert:f1', 'delete:f2']);
+    assert.equal(nextCursor, '20');
+  });
+
+  test('stopping at the page cap resumes from the unread page, not the old cursor', async () => {
+    const calls = stubFetch((url) => {
+      const n = Number(new URL(url).searchParams.get('pageToken'));
+      return { nextPageToken: String(n + 1), changes: [{ fileId: `f${n}`, file: { id: `f${n}`, name: `${n}.pdf`, parents: ['room'] } }] };
+    });
+    const { items, nextCursor } = await drive().listChanges({ accessToken: 't', sourceRef: { folder_id: 'room' }, deltaCursor: '0' });
+    assert.equal(calls.length, 50);
+    assert.equal(items.length, 50);
+    assert.equal(nextCursor, '50');
+  });
+});
+
+describe('fake provider', () => {
+  function room() {
+    return createFakeProvider({
+      folders: [{ id: 'dr', name: 'Data room' }, { id: 'other', name: 'Other' }],
+      files: [{ id: 'f1', folderId: 'dr', name: 'im.pdf', content: 'memo' }],
+    });
+  }
+
+  test('runs the OAuth, picker, bootstrap and download contract', async () => {
+    const fake = room();
+    const tokens = await fake.exchangeCode({ code: 'fake-code' });
+    assert.equal(tokens.account.email, 'dataroom@fake.local');
+    assert.deepEqual((await fake.pickFolder({ accessToken: tokens.access_token, query: {} })).map((f) => f.id), ['dr', 'other']);
+    const first = await fake.listChanges({ accessToken: tokens.access_token, sourceRef: { folder_id: 'dr' } });
+    assert.deepEqual(first.items.map((i) => i.externalId), ['f1']);
+    const buf = await fake.downloadFile({ accessToken: tokens.access_token, externalId: 'f1' });
+    assert.equal(buf.toString(), 'memo');
+  });
+
+  test('delta listing reports adds, renames, moves out and deletes once each', async () => {
+    const fake = room();
+    const { access_token: t } = await fake.exchangeCode({ code: 'x' });
+    const { nextCursor } = await fake.listChanges({ accessToken: t, sourceRef: { folder_id: 'dr' } });
+    const f2 = fake.store.putFile({ folderId: 'dr', name: 'spa.pdf', content: 'spa' });
+    fake.store.renameFile('f1', 'Information memo.pdf');
+    const f3 = fake.store.putFile({ folderId: 'dr', name: 'tmp.txt', content: '' });
+    fake.store.moveFile(f2, 'other');
+    fake.store.removeFile(f3);
+    fake.store.putFile({ folderId: 'other', name: 'elsewhere.pdf', content: '' });
+    const delta = await fake.listChanges({ accessToken: t, sourceRef: { folder_id: 'dr' }, deltaCursor: nextCursor });
+    assert.deepEqual(delta.items.map((i) => `${i.op}:${i.externalId}:${i.filename ?? ''}`), [
+      'upsert:f1:Information memo.pdf', `delete:${f2}:`, `delete:${f3}:`,
+    ]);
+    const again = await fake.listChanges({ accessToken: t, sourceRef: { folder_id: 'dr' }, deltaCursor: delta.nextCursor });
+    assert.deepEqual(again.items, []);
+  });
+
+  test('rejects stale access tokens until refreshed', async () => {
+    const fake = room();
+    const first = await fake.exchangeCode({ code: 'x' });
+    fake.store.expireToken();
+    await assert.rejects(fake.listChanges({ accessToken: first.access_token, sourceRef: { folder_id: 'dr' } }), /invalid access token/);
+    const refreshed = await fake.refreshToken({ refreshToken: first.refresh_token });
+    assert.notEqual(refreshed.refresh_token, first.refresh_token);
+    await assert.rejects(fake.refreshToken({ refreshToken: first.refresh_token }), /invalid_grant/);
+    const ok = await fake.listChanges({ accessToken: refreshed.access_token, sourceRef: { folder_id: 'dr' } });
+    assert.equal(ok.items.length, 1);
+  });
+});
@@ -0,0 +1,116 @@
+/**
+ * Tests for lib/deal-analysis/contractClauses.js — the contract gate,
+ * clause tagging and grading, red-flag finding rows and the per-deal
+ * contract register.
+ *
+ * Run: node --test tests/contractClauses.test.mjs
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  looksLikeContract, scanContractClauses, contractFindings, contractFindingKey,
+  buildContractRegister, CLAUSE_TYPE_KEYS,
+} from '../lib/deal-analysis/contractClauses.js';
+
+const chunk = (id, content, extra = {}) => ({ id, chunk_index: Number(id.slice(1)), page_number: 1, content, ...extra });
+const tagged = (chunks) => Object.fromEntries(scanContractClauses(chunks).map((c) => [c.clause_type, c]));
+
+describe('looksLikeContract', () => {
+  test('accepts legal categories, contract filenames and contract-like text', () => {
+    assert.equal(looksLikeContract({ filename: 'x.pdf', category: 'Legal' }), true);
+    assert.equal(looksLikeContract({ filename: 'Acme MSA v3.pdf' }), true);
+    assert.equal(looksLikeContract({ filename: 'scan.pdf', text: 'This Agreement is made between the Parties. Governing law: England.' }), true);
+  });
+
+  test('keeps financial documents out', () => {
+    assert.equal(looksLikeContract({ filename: 'FY24 P&L.xlsx', category: 'Financial', text: 'Revenue 12.4 EBITDA 2.6' }), false);
+  });
+});
+
+describe('scanContractClauses', () => {
+  test('change of control with a termination right is high risk', () => {
+    const c = tagged([chunk('c1', 'If the Customer undergoes a Change of Control, the Supplier may terminate this Agreement on written notice.')]).change_of_control;
+    assert.equal(c.risk, 'high');
+    assert.ok(c.flags.includes('termination_right'));
+    assert.equal(c.chunk_id, 'c1');
+  });
+
+  test('grades liability: capped, uncapped and the statutory carve-out', () => {
+    const capped = tagged([chunk('c1', "The Supplier's aggregate liability shall not exceed the fees paid in the preceding 12 months.")]).liability;
+    assert.deepEqual([capped.risk, capped.flags], ['none', ['capped']]);
+
+    const uncapped = tagged([chunk('c2', "The Supplier's liability under the indemnity in clause 9 shall be unlimited.")]).liability;
+    assert.equal(uncapped.risk, 'high');
+    assert.deepEqual(uncapped.flags, ['uncapped', 'uncapped_indemnity']);
+
+    const carveOut = tagged([chunk('c3', 'Limitation of liability. Nothing in this Agreement limits liability for death or personal injury caused by negligence, or for fraud, and such liability shall not be limited.')]).liability;
+    assert.equal(carveOut.risk, 'none');
+  });
+
+  test('auto-renewal with a long notice window is medium risk', () => {
+    const c = tagged([chunk('c1', 'This Agreement shall renew automatically for successive 12 month terms unless either party gives not less than ninety (90) days\' prior written notice.')]).auto_renewal;
+    assert.equal(c.risk, 'medium');
+    assert.deepEqual(c.flags, ['notice_90_days']);
+  });
+
+  test('tags each type once per chunk and ignores plain text', () => {
+    const out = scanContractClauses([
+      chunk('c1', 'Most favoured nation pricing applies. The Supplier is the exclusive supplier of widgets. MFN terms are reviewed annually.'),
+      chunk('c2', 'The weather in the region is mild.'),
+    ]);
+    assert.deepEqual(out.map((c) => c.clause_type).sort(), ['exclusivity', 'mfn']);
+  });
+});
+
+describe('contractFindings', () => {
+  const clauses = scanContractClauses([
+    chunk('c1', 'Upon a change of control of the Customer, the consent of the Supplier is required.', { page_number: 4 }),
+    chunk('c2', "The Supplier's total liability shall not exceed £1m."),
+  ]);
+
+  test('raises one redFlags finding per risky clause type, citing the chunk', () => {
+    const [f, ...rest] = contractFindings({ dealId: 'deal-1', documentId: 'doc-1', filename: 'supply.pdf' }, clauses);
+    assert.equal(rest.length, 0);
+    assert.equal(f.section, 'redFlags');
+    assert.equal(f.severity, 'high');
+    assert.equal(f.title, 'Change of control clause in supply.pdf');
+    assert.match(f.body, /^supply\.pdf \(p\.4\): "Upon a change of control/);
+    assert.deepEqual(f.evidence[0].ref, { chunk_id: 'c1', document_id: 'doc-1', page_number: 4 });
+    assert.equal(f.finding_key, contractFindingKey('doc-1', 'change_of_control'));
+  });
+
+  test('finding keys are stable per document and clause type', () => {
+    assert.equal(contractFindingKey('doc-1', 'mfn'), contractFindingKey('doc-1', 'mfn'));
+    const keys = new Set(CLAUSE_TYPE_KEYS.map((t) => contractFindingKey('doc-1', t)));
+    assert.equal(keys.size, CLAUSE_TYPE_KEYS.length);
+    assert.notEqual(contractFindingKey('doc-1', 'mfn'), contractFindingKey('doc-2', 'mfn'));
+  });
+});
+
+describe('buildContractRegister', () => {
+  const rows = [
+    { document_id: 'a', clause_type: 'liability', risk: 'none', flags: ['capped'], excerpt: 'capped', chunk_id: 'x1' },
+    { document_id: 'b', clause_type: 'change_of_control', risk: 'medium', flags: [], excerpt: 'coc', chunk_id: 'x2' },
+    { document_id: 'b', clause_type: 'change_of_control', risk: 'high', flags: ['termination_right'], excerpt: 'coc2', chunk_id: 'x3' },
+    { document_id: 'b', clause_type: 'auto_renewal', risk: 'low', flags: [], excerpt: 'renew', chunk_id: 'x4' },
+    { document_id: 'hidden', clause_type: 'mfn', risk: 'high', flags: [], excerpt: 'mfn', chunk_id: 'x5' },
+  ];
+  const docs = [{ id: 'a', filename: 'a-lease.pdf' }, { id: 'b', filename: 'b-supply.pdf', category: 'Commercial' }];
+
+  test('rolls clauses up per document, riskiest first, worst clause kept', () => {
+    const { contracts, summary } = buildContractRegister(rows, docs);
+    assert.deepEqual(contracts.map((c) => [c.document_id, c.worst_risk, c.red_flags]), [['b', 'high', 2], ['a', 'none', 0]]);
+    assert.equal(contracts[0].clauses.change_of_control.excerpt, 'coc2');
+    assert.deepEqual(summary, {
+      contracts: 2,
+      red_flags: 2,
+      by_type: { change_of_control: 1, exclusivity: 0, mfn: 0, liability: 1, auto_renewal: 1 },
+    });
+  });
+
+  test('leaves out documents the viewer cannot see', () => {
+    const { contracts } = buildContractRegister(rows, docs);
+    assert.ok(!contracts.some((c) => c.document_id === 'hidden'));
+  });
+});
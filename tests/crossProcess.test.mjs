@@ -180,6 +180,28 @@ describe('computeFunctionHeatmap', () => {
     assert.equal(unfiled.name, '(unfiled)');
   });
 
+  test('reports annualCost in the converter\'s reporting currency', async () => {
+    const { createConverter } = await import('../lib/currency.js');
+    const fx = createConverter({
+      rates: [{ base_currency: 'GBP', quote_currency: 'USD', rate: 1.25, effective_date: '2026-01-01' }],
+      to: 'USD', asOf: '2026-06-30',
+    });
+    const out = cp.computeFunctionHeatmap({
+      reports: [
+        { id: 'r1', function_id: 'cap_fin', currency: 'GBP', total_annual_cost: 100_000 },
+        { id: 'r2', function_id: 'cap_fin', currency: 'USD', total_annual_cost:  25_000 },
+        { id: 'r3', function_id: 'cap_fin', currency: 'PLN', total_annual_cost: 400_000 },
+      ],
+      processSystems: [],
+      functions: [{ id: 'cap_fin', name: 'Finance' }],
+      fx,
+    });
+    const fin = out.find((r) => r.function_id === 'cap_fin');
+    assert.equal(fin.processCount, 3);
+    assert.equal(fin.annualCost, 150_000);
+    assert.deepEqual(fx.summary().missingRates, ['PLN']);
+  });
+
   test('potentialSavings is computed from flow steps (cost-share × automation rate)', () => {
     // Two steps with workMinutes: at least one step ("Approve invoice")
     // matches the automation classifier (human-loop, 40%). Verify that
@@ -372,3 +394,50 @@ describe('computeChangeRoiSummary', () => {
     assert.equal(r.realised[2].metric, 'small');
   });
 });
+
+/* ── computeSlaBreaches (pure) ─────────────────────────────────── */
+
+describe('computeSlaBreaches', () => {
+  const report = {
+    id: 'r1', company: 'Acme',
+    flow_data: { rawProcesses: [{
+      processName: 'Onboarding',
+      sla: { targetCycleMinutes: 120, escalationOwner: 'Ops lead' },
+      steps: [
+        { name: 'Collect documents', workMinutes: 30, waitMinutes: 60, sla: { targetMinutes: 60 } },
+        { name: 'Verify identity', workMinutes: 15, waitMinutes: 0 },
+      ],
+    }] },
+  };
+  const at = (m) => new Date(Date.parse('2026-03-02T09:00:00Z') + m * 60000).toISOString();
+
+  test('reports predicted and measured breaches as hotspot rows', () => {
+    const instances = [
+      { process_id: 'r1', process_index: 0, status: 'completed', executed_steps: [
+        { name: 'Collect documents', startedAt: at(0), completedAt: at(200) },
+        { name: 'Verify identity', startedAt: at(200), completedAt: at(215) },
+      ] },
+      // Another process's run is ignored.
+      { process_id: 'r2', process_index: 0, status: 'completed', executed_steps: [{ name: 'x', completedAt: at(1) }] },
+    ];
+    const { summary, rows } = cp.computeSlaBreaches({ reports: [report], instances });
+    // Mapped path is 105 min, inside the 120 min target; the logged run took 215.
+    assert.deepEqual(summary, { processesWithSla: 1, runsChecked: 1, breaches: 3, high: 2 });
+    assert.equal(rows[0].basis, 'measured');
+    assert.deepEqual(rows.map((r) => `${r.basis}:${r.stepName}`).sort(), [
+      'measured:Collect documents', 'measured:Cycle time', 'predicted:Collect documents',
+    ]);
+    for (const r of rows) {
+      assert.equal(r.sourceReportId, 'r1');
+      assert.equal(r.processName, 'Onboarding');
+      assert.equal(r.escalationOwner, 'Ops lead');
+    }
+  });
+
+  test('processes without targets are skipped', () => {
+    const bare = { id: 'r3', flow_data: { rawProcesses: [{ steps: [{ name: 'A', workMinutes: 5 }] }] } };
+    assert.deepEqual(cp.computeSlaBreaches({ reports: [bare] }), {
+      summary: { processesWithSla: 0, runsChecked: 0, breaches: 0, high: 0 }, rows: [],
+    });
+  });
+});
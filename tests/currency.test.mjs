@@ -0,0 +1,107 @@
+/**
+ * Tests for lib/currency.js — FX lookup by effective date, triangulation,
+ * the reporting-currency converter and money formatting.
+ *
+ * Run: node --test tests/currency.test.mjs
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  rateFor, createConverter, normaliseFxRate, processCurrency, defaultHourlyRate,
+  formatMoney, formatMoneyCompact, isIsoDate,
+} from '../lib/currency.js';
+import { formatCurrency } from '../lib/diagnostic/utils.js';
+import { deriveProcessMetrics } from '../lib/processMetrics.js';
+
+const RATES = [
+  { base_currency: 'EUR', quote_currency: 'GBP', rate: 0.85, effective_date: '2026-01-01' },
+  { base_currency: 'EUR', quote_currency: 'GBP', rate: 0.86, effective_date: '2026-04-01' },
+  { base_currency: 'GBP', quote_currency: 'USD', rate: 1.25, effective_date: '2026-01-01' },
+];
+
+describe('rateFor', () => {
+  test('takes the latest rate on or before the as-of date', () => {
+    assert.equal(rateFor(RATES, 'EUR', 'GBP', '2026-03-31').rate, 0.85);
+    assert.deepEqual(rateFor(RATES, 'EUR', 'GBP', '2026-06-30'), { rate: 0.86, effectiveDate: '2026-04-01', via: null });
+    assert.equal(rateFor(RATES, 'EUR', 'GBP', '2025-12-31'), null);
+  });
+
+  test('answers the inverse pair and triangulates through a pivot', () => {
+    assert.equal(rateFor(RATES, 'usd', 'GBP', '2026-02-01').rate, 1 / 1.25);
+    const eurUsd = rateFor(RATES, 'EUR', 'USD', '2026-06-30');
+    assert.equal(eurUsd.via, 'GBP');
+    assert.ok(Math.abs(eurUsd.rate - 0.86 * 1.25) < 1e-12);
+    // The older leg dates the triangulated rate.
+    assert.equal(eurUsd.effectiveDate, '2026-01-01');
+    assert.equal(rateFor(RATES, 'SEK', 'GBP', '2026-06-30'), null);
+    assert.equal(rateFor(RATES, 'GBP', 'GBP').rate, 1);
+  });
+});
+
+describe('createConverter', () => {
+  test('converts into the reporting currency and records rates used and missing', () => {
+    const fx = createConverter({ rates: RATES, to: 'GBP', asOf: '2026-06-30' });
+    assert.equal(fx.convert(1000, 'EUR'), 860);
+    assert.equal(fx.convert(1000, 'GBP'), 1000);
+    assert.equal(fx.convert(1000, 'SEK'), null);
+    assert.deepEqual(fx.summary(), {
+      reportingCurrency: 'GBP',
+      asOf: '2026-06-30',
+      ratesUsed: [{ from: 'EUR', rate: 0.86, effectiveDate: '2026-04-01', via: null }],
+      missingRates: ['SEK'],
+    });
+  });
+
+  test('unknown reporting currencies fall back to GBP', () => {
+    assert.equal(createConverter({ to: 'XYZ' }).reportingCurrency, 'GBP');
+  });
+});
+
+describe('normaliseFxRate', () => {
+  test('cleans a valid row', () => {
+    assert.deepEqual(
+      normaliseFxRate({ base_currency: 'eur', quote_currency: 'gbp', rate: '0.86', effective_date: '2026-04-01' }),
+      { base_currency: 'EUR', quote_currency: 'GBP', rate: 0.86, effective_date: '2026-04-01' },
+    );
+  });
+
+  test('rejects unsupported codes, identical pairs, bad rates and dates', () => {
+    const ok = { base_currency: 'EUR', quote_currency: 'GBP', rate: 1, effective_date: '2026-04-01' };
+    assert.throws(() => normaliseFxRate({ ...ok, base_currency: 'XYZ' }), /must be one of/);
+    assert.throws(() => normaliseFxRate({ ...ok, quote_currency: 'EUR' }), /must differ/);
+    assert.throws(() => normaliseFxRate({ ...ok, rate: 0 }), /positive/);
+    assert.throws(() => normaliseFxRate({ ...ok, effective_date: '2026-02-30' }), /YYYY-MM-DD/);
+    assert.equal(isIsoDate('2026-02-28'), true);
+  });
+});
+
+describe('process currency', () => {
+  test('the column wins over costAnalysis; GBP when neither is set', () => {
+    assert.equal(processCurrency({ currency: 'usd', flow_data: { costAnalysis: { currency: 'EUR' } } }), 'USD');
+    assert.equal(processCurrency({ flow_data: { costAnalysis: { currency: 'EUR' } } }), 'EUR');
+    assert.equal(processCurrency({}), 'GBP');
+  });
+
+  test('the blended-rate fallback follows the process currency', () => {
+    assert.equal(defaultHourlyRate('GBP'), 50);
+    assert.equal(defaultHourlyRate('USD'), 63);
+    const flow = { rawProcesses: [{ steps: [{ name: 'Key invoice', workMinutes: 60 }], frequency: { type: 'daily' } }] };
+    const gbp = deriveProcessMetrics({ flow_data: flow });
+    const usd = deriveProcessMetrics({ currency: 'USD', flow_data: flow });
+    assert.equal(usd.currency, 'USD');
+    assert.ok(gbp.total_annual_cost > 0);
+    assert.ok(Math.abs(usd.total_annual_cost / gbp.total_annual_cost - 63 / 50) < 0.01);
+  });
+});
+
+describe('formatting', () => {
+  test('formats in the given currency', () => {
+    assert.equal(formatMoney(1234.5, 'EUR'), '€1,235');
+    assert.equal(formatMoney(null, 'EUR'), '-');
+    assert.equal(formatMoneyCompact(1_250_000, 'USD'), '$1.3M');
+    assert.equal(formatMoneyCompact(45_000, 'EUR'), '€45k');
+    assert.equal(formatCurrency(1000, 'EUR'), formatCurrency(1000, '€'));
+    assert.match(formatCurrency(1000), /^£/);
+  });
+});
@@ -0,0 +1,52 @@
+/**
+ * Tests for lib/dealChecklistMatcher.js — the matcher prompt and mapping
+ * the model's reply back to item and document ids.
+ *
+ * Run: node --test tests/dealChecklistMatcher.test.mjs
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildMatcherPrompt, parseMatcherReply } from '../lib/dealChecklistMatcher.js';
+
+const ITEMS = [
+  { id: 'audited_accounts', label: 'Audited accounts (last 3 years)', section: 'Financial', categories: ['Financial'] },
+  { id: 'org_chart', label: 'Org chart', categories: ['HR'] },
+];
+const DOCS = [
+  { id: 'doc-a', filename: 'FY24 Pack Final v3.pdf', category: 'Financial', excerpt: 'Independent auditor\'s report to the members of Falcon Ltd' },
+  { id: 'doc-b', filename: 'people.xlsx', label: 'Team structure', category: 'HR' },
+];
+
+describe('buildMatcherPrompt', () => {
+  test('lists items by id and numbers documents with their opening text', () => {
+    const { user } = buildMatcherPrompt({ items: ITEMS, documents: DOCS });
+    assert.match(user, /audited_accounts: Audited accounts \(last 3 years\) \(section: Financial; usually Financial\)/);
+    assert.match(user, /D1: FY24 Pack Final v3\.pdf, category Financial\nIndependent auditor's report/);
+    assert.match(user, /D2: people\.xlsx, label "Team structure", category HR/);
+  });
+});
+
+describe('parseMatcherReply', () => {
+  test('maps lines to ids and drops unknown items, documents and repeats', () => {
+    const raw = [
+      'audited_accounts | D1 | high | Auditor\'s report on FY24 statements',
+      '- org_chart | d2 | Medium | Team structure sheet',
+      'org_chart | D2 | high | duplicate',
+      'nonexistent | D1 | high | x',
+      'org_chart | D9 | high | x',
+      'Some commentary the model added',
+    ].join('\n');
+    assert.deepEqual(parseMatcherReply(raw, { items: ITEMS, documents: DOCS }), [
+      { item_id: 'audited_accounts', document_id: 'doc-a', confidence: 'high', reason: 'Auditor\'s report on FY24 statements' },
+      { item_id: 'org_chart', document_id: 'doc-b', confidence: 'medium', reason: 'Team structure sheet' },
+    ]);
+  });
+
+  test('NONE and unknown confidences', () => {
+    assert.deepEqual(parseMatcherReply('NONE', { items: ITEMS, documents: DOCS }), []);
+    const [s] = parseMatcherReply('org_chart | D2 | certain', { items: ITEMS, documents: DOCS });
+    assert.equal(s.confidence, 'low');
+    assert.equal(s.reason, '');
+  });
+});
@@ -1,13 +1,17 @@
 /**
  * Tests for lib/dealDocumentChecklist.js — matching algorithm precision,
- * the false-positive-on-empty-categories fix (#12).
+ * the false-positive-on-empty-categories fix (#12), custom item
+ * validation and resolution against marks.
  *
  * Run: node --test tests/dealDocumentChecklist.test.mjs
  */
 
 import { test, describe } from 'node:test';
 import assert from 'node:assert/strict';
-import { matchChecklist, getChecklistForDealType } from '../lib/dealDocumentChecklist.js';
+import {
+  matchChecklist, getChecklistForDealType, listBuiltinTemplates, getBuiltinTemplate,
+  normaliseChecklistItems, normaliseTemplateInput, resolveChecklist, summariseChecklist,
+} from '../lib/dealDocumentChecklist.js';
 
 describe('matchChecklist', () => {
   test('matches a doc when both keyword and category align', () => {
@@ -60,3 +64,108 @@ describe('matchChecklist', () => {
     assert.ok(!ids.has('cim'), 'M&A-only items should not appear in the fallback');
   });
 });
+
+describe('built-in templates', () => {
+  test('one per deal type, sectioned and required', () => {
+    const list = listBuiltinTemplates();
+    assert.deepEqual(list.map((t) => t.id), ['builtin:ma', 'builtin:pe_rollup', 'builtin:scaling']);
+    const ma = getBuiltinTemplate('builtin:ma');
+    assert.equal(ma.items.find((i) => i.id === 'audited_accounts').section, 'Financial');
+    assert.ok(ma.items.every((i) => i.required === true));
+    assert.equal(getBuiltinTemplate('builtin:nope'), null);
+  });
+});
+
+describe('normaliseChecklistItems', () => {
+  test('tidies fields, drops unknown categories and derives unique ids', () => {
+    const { items, errors } = normaliseChecklistItems([
+      { label: 'Environmental permits', section: ' Regulatory ', categories: ['legal', 'Bogus'], keywords: 'Permit, EPA ;permit' },
+      { label: 'Environmental permits', required: false },
+      { id: 'Keep Me', label: 'Kept id' },
+      { label: '  ' },
+    ]);
+    assert.deepEqual(errors, ['Item 4: label is required.']);
+    assert.deepEqual(items.map((i) => i.id), ['environmental_permits', 'environmental_permits_2', 'keep_me']);
+    assert.equal(items[0].section, 'Regulatory');
+    assert.deepEqual(items[0].categories, ['Legal']);
+    assert.deepEqual(items[0].keywords, ['permit', 'epa']);
+    assert.equal(items[0].required, true);
+    assert.equal(items[1].required, false);
+  });
+
+  test('rejects non-arrays and oversized lists', () => {
+    assert.equal(normaliseChecklistItems('x').errors.length, 1);
+    assert.equal(normaliseChecklistItems(Array.from({ length: 501 }, (_, i) => ({ label: `i${i}` }))).errors.length, 1);
+  });
+});
+
+describe('normaliseTemplateInput', () => {
+  test('requires a name on create; partial patches keep only what was sent', () => {
+    assert.throws(() => normaliseTemplateInput({ items: [] }), /name is required/);
+    assert.throws(() => normaliseTemplateInput({ name: 'X', deal_type: 'lbo' }), /deal_type/);
+    assert.throws(() => normaliseTemplateInput({ name: 'X', items: [{}] }), /label is required/);
+    assert.deepEqual(normaliseTemplateInput({ is_default: 1 }, { partial: true }), { is_default: true });
+  });
+});
+
+describe('resolveChecklist', () => {
+  const items = [
+    { id: 'accounts', label: 'Accounts', categories: ['Financial'], keywords: ['accounts'] },
+    { id: 'permits', label: 'Permits', categories: ['Legal'], keywords: ['permit'] },
+    { id: 'site_visit', label: 'Site visit notes', categories: [], keywords: [], required: false },
+    { id: 'pensions', label: 'Pension scheme', categories: ['HR'], keywords: ['pension'] },
+  ];
+  const docs = [
+    { id: 'd1', filename: 'accounts-2024.pdf', category: 'Financial' },
+    { id: 'd2', filename: 'Scan 0042.pdf', category: 'Legal' },
+    { id: 'd3', filename: 'misc.pdf', category: 'Other' },
+  ];
+
+  test('keyword match, manual link, waiver and suggestions', () => {
+    const resolved = resolveChecklist({
+      items,
+      documents: docs,
+      marks: [
+        { item_id: 'permits', document_ids: ['d2', 'hidden-doc'] },
+        { item_id: 'site_visit', status: 'waived', note: 'Not applicable — remote business' },
+        {
+          item_id: 'pensions',
+          suggestions: [
+            { document_id: 'd3', confidence: 'low' },
+            { document_id: 'd2', confidence: 'high' },
+            { document_id: 'gone', confidence: 'high' },
+          ],
+        },
+      ],
+    });
+    const by = Object.fromEntries(resolved.map((i) => [i.id, i]));
+    assert.equal(by.accounts.status, 'received');
+    assert.equal(by.permits.status, 'satisfied');
+    assert.deepEqual(by.permits.linked.map((d) => d.id), ['d2']);
+    assert.equal(by.permits.restrictedLinks, 1);
+    assert.equal(by.site_visit.status, 'waived');
+    assert.equal(by.site_visit.note, 'Not applicable — remote business');
+    assert.equal(by.pensions.status, 'missing');
+    assert.deepEqual(by.pensions.suggestions.map((s) => s.document_id), ['d2', 'd3']);
+
+    assert.deepEqual(summariseChecklist(resolved), {
+      total: 4, received: 1, satisfied: 1, waived: 1, missing: 1, requiredMissing: 1, pct: 67,
+    });
+  });
+
+  test('a linked suggestion is no longer offered', () => {
+    const [item] = resolveChecklist({
+      items: [items[3]],
+      documents: docs,
+      marks: [{ item_id: 'pensions', document_ids: ['d3'], suggestions: [{ document_id: 'd3', confidence: 'high' }] }],
+    });
+    assert.equal(item.status, 'satisfied');
+    assert.equal(item.suggestions.length, 0);
+  });
+
+  test('custom items replace the built-in list in matchChecklist', () => {
+    const result = matchChecklist(docs, 'ma', items);
+    assert.equal(result.length, 4);
+    assert.deepEqual(result[0].matched.map((d) => d.id), ['d1']);
+  });
+});
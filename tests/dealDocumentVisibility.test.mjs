@@ -16,6 +16,13 @@ import {
   validateVisibilityForDealType,
   visibilityLabel,
   VISIBILITY_VALUES,
+  activeCleanTeamIds,
+  documentRestrictions,
+  watermarkText,
+  normaliseDocumentAccess,
+  normaliseExpiry,
+  inheritedDocumentAccess,
+  isDealWideDocument,
 } from '../lib/dealDocumentVisibility.js';
 
 const DOC = (visibility) => ({ visibility });
@@ -128,3 +135,121 @@ describe('visibilityLabel + VISIBILITY_VALUES', () => {
     assert.equal(visibilityLabel('made_up'), 'made_up');
   });
 });
+
+const TEAM = '00000000-0000-4000-8000-0000000000c1';
+const OTHER_TEAM = '00000000-0000-4000-8000-0000000000c2';
+const NOW = '2026-06-01T12:00:00Z';
+
+describe('canSeeDocument — clean teams and expiry', () => {
+  const fenced = { visibility: 'all_editors', clean_team_id: TEAM };
+
+  test('a ring-fenced document needs membership on top of visibility', () => {
+    assert.equal(canSeeDocument({ document: fenced, isCollaborator: true, cleanTeamIds: [TEAM], now: NOW }), true);
+    assert.equal(canSeeDocument({ document: fenced, isCollaborator: true, cleanTeamIds: [OTHER_TEAM], now: NOW }), false);
+    assert.equal(canSeeDocument({ document: fenced, isCollaborator: true, now: NOW }), false);
+    // Membership doesn't widen visibility: a target member still can't see acquirer_only.
+    assert.equal(canSeeDocument({
+      document: { visibility: 'acquirer_only', clean_team_id: TEAM }, viewerRole: 'target', cleanTeamIds: [TEAM], now: NOW,
+    }), false);
+  });
+
+  test('the owner passes every ring-fence and expiry', () => {
+    assert.equal(canSeeDocument({ document: { ...fenced, access_expires_at: '2020-01-01T00:00:00Z' }, isOwner: true, now: NOW }), true);
+  });
+
+  test('nobody else sees a document after its access expires', () => {
+    const doc = { visibility: 'all_editors', access_expires_at: '2026-06-01T12:00:00Z' };
+    assert.equal(canSeeDocument({ document: doc, isCollaborator: true, now: '2026-06-01T11:59:59Z' }), true);
+    assert.equal(canSeeDocument({ document: doc, isCollaborator: true, now: NOW }), false);
+  });
+});
+
+describe('inheritedDocumentAccess — archive members', () => {
+  test('a file unpacked from a ring-fenced archive stays behind the same fence', () => {
+    const archive = {
+      visibility: 'acquirer_only', clean_team_id: TEAM, view_only: true, access_expires_at: '2026-07-01T00:00:00.000Z',
+    };
+    const member = { filename: 'Payroll.xlsx', ...inheritedDocumentAccess(archive) };
+    assert.deepEqual(member, { filename: 'Payroll.xlsx', ...archive });
+    assert.equal(canSeeDocument({ document: member, viewerRole: 'acquirer', now: NOW }), false);
+    assert.equal(canSeeDocument({ document: member, viewerRole: 'acquirer', cleanTeamIds: [TEAM], now: NOW }), true);
+    assert.equal(canSeeDocument({ document: member, viewerRole: 'acquirer', cleanTeamIds: [TEAM], now: '2026-07-02T00:00:00Z' }), false);
+    assert.equal(documentRestrictions({ document: member, isOwner: false }).canDownload, false);
+  });
+
+  test('an unrestricted archive gives open defaults', () => {
+    assert.deepEqual(inheritedDocumentAccess({ visibility: null }), {
+      visibility: 'all_editors', clean_team_id: null, view_only: false, access_expires_at: null,
+    });
+  });
+});
+
+describe('isDealWideDocument — what scan findings may quote', () => {
+  test('only documents the whole room can see', () => {
+    assert.equal(isDealWideDocument({ visibility: 'all_editors', clean_team_id: null }, NOW), true);
+    assert.equal(isDealWideDocument({}, NOW), true);
+    assert.equal(isDealWideDocument({ visibility: 'all_editors', clean_team_id: TEAM }, NOW), false);
+    assert.equal(isDealWideDocument({ visibility: 'acquirer_only' }, NOW), false);
+    assert.equal(isDealWideDocument({ visibility: 'owner_only' }, NOW), false);
+    assert.equal(isDealWideDocument({ visibility: 'all_editors', access_expires_at: '2026-05-01T00:00:00Z' }, NOW), false);
+    assert.equal(isDealWideDocument(null, NOW), false);
+  });
+
+  test('view-only documents still qualify — every editor may read them', () => {
+    assert.equal(isDealWideDocument({ visibility: 'all_editors', view_only: true }, NOW), true);
+  });
+});
+
+describe('activeCleanTeamIds', () => {
+  test('matches the email case-insensitively and drops expired memberships', () => {
+    const members = [
+      { team_id: TEAM, email: 'Analyst@Buyer.com', access_expires_at: null },
+      { team_id: OTHER_TEAM, email: 'analyst@buyer.com', access_expires_at: '2026-05-31T00:00:00Z' },
+      { team_id: OTHER_TEAM, email: 'someone@else.com', access_expires_at: null },
+    ];
+    assert.deepEqual(activeCleanTeamIds(members, 'analyst@BUYER.com', NOW), [TEAM]);
+    assert.deepEqual(activeCleanTeamIds(members, '', NOW), []);
+  });
+});
+
+describe('documentRestrictions / watermarkText', () => {
+  test('view-only blocks downloads for everyone but the owner', () => {
+    const doc = { view_only: true };
+    assert.deepEqual(documentRestrictions({ document: doc, isOwner: false }), {
+      ringFenced: false, viewOnly: true, canDownload: false, watermark: true,
+    });
+    assert.equal(documentRestrictions({ document: doc, isOwner: true }).canDownload, true);
+  });
+
+  test('ring-fenced documents are watermarked but downloadable', () => {
+    assert.deepEqual(documentRestrictions({ document: { clean_team_id: TEAM } }), {
+      ringFenced: true, viewOnly: false, canDownload: true, watermark: true,
+    });
+    assert.equal(documentRestrictions({ document: { visibility: 'all_editors' } }).watermark, false);
+  });
+
+  test('the watermark names the viewer and the minute of the view', () => {
+    assert.equal(watermarkText('Analyst@Buyer.com', '2026-06-01T12:34:56Z'), 'analyst@buyer.com · 2026-06-01 12:34 UTC');
+  });
+});
+
+describe('normaliseDocumentAccess / normaliseExpiry', () => {
+  test('only carries the fields sent', () => {
+    assert.deepEqual(normaliseDocumentAccess({ view_only: true }, []), { view_only: true });
+    assert.deepEqual(normaliseDocumentAccess({ clean_team_id: TEAM }, [TEAM]), { clean_team_id: TEAM });
+    assert.deepEqual(normaliseDocumentAccess({ clean_team_id: '' }, []), { clean_team_id: null });
+  });
+
+  test('refuses teams from other deals and non-boolean view_only', () => {
+    assert.throws(() => normaliseDocumentAccess({ clean_team_id: OTHER_TEAM }, [TEAM]), /not a clean team on this deal/);
+    assert.throws(() => normaliseDocumentAccess({ view_only: 'yes' }, []), /true or false/);
+  });
+
+  test('a bare date runs to the end of that day; bad dates are refused', () => {
+    assert.equal(normaliseExpiry('2026-06-30'), '2026-06-30T23:59:59.999Z');
+    assert.equal(normaliseExpiry('2026-06-30T09:00:00Z'), '2026-06-30T09:00:00.000Z');
+    assert.equal(normaliseExpiry(''), null);
+    assert.throws(() => normaliseExpiry('2026-02-30'), /YYYY-MM-DD/);
+    assert.throws(() => normaliseExpiry('soon'), /YYYY-MM-DD/);
+  });
+});
@@ -0,0 +1,135 @@
+/**
+ * Tests for lib/dealExportPack.js — the deal XLSX export pack.
+ *
+ * Run: node --test tests/dealExportPack.test.mjs
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import * as XLSX from 'xlsx';
+import { buildDealExportSheets, buildDealExportWorkbook } from '../lib/dealExportPack.js';
+
+const DOCS = [
+  { id: 'd-open', filename: 'audited accounts 2025.pdf', label: null, category: 'Financial', visibility: 'all_editors' },
+  { id: 'd-acq', filename: 'acquirer-model.xlsx', label: 'Acquirer model', category: 'Financial', visibility: 'acquirer_only' },
+  { id: 'd-owner', filename: 'board minutes.pdf', label: null, category: 'Legal', visibility: 'owner_only' },
+];
+
+const FINDINGS = [
+  {
+    finding_key: 'f1', section: 'redFlags', order_index: 0, title: 'Customer concentration', body: 'Top customer is 40% of revenue.',
+    category: 'commercial', severity: 'high', confidence: 0.8, tags: ['re_trade'], impact: ['day_one'],
+    evidence: [
+      { kind: 'document_chunk', ref: { chunk_id: 'c-open', page_number: 4 } },
+      { kind: 'document_chunk', ref: { chunk_id: 'c-owner' } },
+      { kind: 'metric', ref: {} },
+    ],
+    recommendations: ['Price in churn'],
+  },
+  { finding_key: 'f2', section: 'risks', order_index: 0, title: 'Pending one', body: '', severity: 'critical', evidence: [] },
+  { finding_key: 'f3', section: 'risks', order_index: 1, title: 'Rejected one', body: '', severity: 'low', evidence: [] },
+];
+const REVIEWS = [
+  { finding_key: 'f1', status: 'approved', edited_title: 'Customer concentration (40%)', reviewer_note: 'checked', decided_by_email: 'lead@fund.com' },
+  { finding_key: 'f3', status: 'rejected' },
+];
+const CHUNKS = { 'c-open': 'd-open', 'c-owner': 'd-owner', 'c-acq': 'd-acq' };
+const QA = [
+  { question: 'Share the model?', status: 'answered', answer_text: 'Attached', evidence_document_ids: ['d-acq'], evidence_chunk_ids: ['c-open'] },
+];
+const PARTICIPANTS = [{ role: 'acquirer', company_name: 'Buyer Co', participant_email: 'cfo@buyer.com', status: 'completed' }];
+
+function sheets(viewer) {
+  const out = buildDealExportSheets({
+    deal: { name: 'Project Falcon', type: 'ma', deal_code: 'FAL' },
+    viewer,
+    findings: FINDINGS, reviews: REVIEWS, qaItems: QA, documents: DOCS, chunkDocuments: CHUNKS,
+    participants: PARTICIPANTS,
+    changes: [{ created_at: '2026-05-01T10:00:00Z', subject_type: 'deal_finding', subject_ref: { title: 'Customer concentration' }, kind: 'added', state: 'applied', actor_email: 'lead@fund.com' }],
+    generatedAt: '2026-05-02T09:00:00Z',
+  });
+  return Object.fromEntries(out.map((s) => [s.name, s.rows]));
+}
+
+const OWNER = { email: 'lead@fund.com', isOwner: true, canEdit: true, canManage: true };
+const ACQUIRER = { email: 'cfo@buyer.com', viewerRole: 'acquirer', canEdit: false, canManage: false };
+
+describe('buildDealExportSheets', () => {
+  test('editors get every non-rejected finding, sorted by severity, with reviewer notes', () => {
+    const s = sheets(OWNER);
+    const header = s.Findings[0];
+    const rows = s.Findings.slice(1);
+    assert.deepEqual(rows.map((r) => r[1]), ['Pending one', 'Customer concentration (40%)']);
+    assert.ok(header.includes('Reviewer note'));
+    const f1 = rows[1];
+    assert.equal(f1[header.indexOf('Tags')], 're_trade');
+    assert.equal(f1[header.indexOf('Review status')], 'approved');
+    assert.equal(f1[header.indexOf('Evidence')], 'audited accounts 2025.pdf p.4; board minutes.pdf; metric');
+  });
+
+  test('participants see approved findings only and restricted documents stay unnamed', () => {
+    const s = sheets(ACQUIRER);
+    const header = s.Findings[0];
+    assert.equal(header.includes('Reviewer note'), false);
+    assert.deepEqual(s.Findings.slice(1).map((r) => r[1]), ['Customer concentration (40%)']);
+    assert.equal(s.Findings[1][header.indexOf('Evidence')], 'audited accounts 2025.pdf p.4; 1 restricted document; metric');
+    // Acquirer can see the acquirer-only model.
+    assert.equal(s['Q&A'][1][8], 'Acquirer model; audited accounts 2025.pdf');
+    assert.equal(s.Participants[1][3], '', 'emails hidden from non-managers');
+  });
+
+  test('a collaborator does not see role-scoped documents', () => {
+    const s = sheets({ email: 'analyst@fund.com', isCollaborator: true, canEdit: true, canManage: true });
+    assert.equal(s['Q&A'][1][8], 'audited accounts 2025.pdf; 1 restricted document');
+    assert.equal(s.Participants[1][3], 'cfo@buyer.com');
+  });
+
+  test('checklist matches only visible documents', () => {
+    const owner = sheets(OWNER).Checklist;
+    const acq = sheets(ACQUIRER).Checklist;
+    const row = (rows, label) => rows.find((r) => String(r[0]).startsWith(label));
+    assert.equal(row(owner, 'Audited accounts')[1], 'Received');
+    assert.equal(row(owner, 'Board minutes')[1], 'Received');
+    assert.equal(row(acq, 'Board minutes')[1], 'Missing');
+  });
+
+  test('a custom checklist carries marks, notes and hides restricted links', () => {
+    const rows = buildDealExportSheets({
+      deal: { name: 'X', type: 'ma' },
+      viewer: ACQUIRER,
+      documents: DOCS,
+      checklist: {
+        items: [
+          { id: 'permits', label: 'Permits', section: 'Regulatory', categories: [], keywords: [] },
+          { id: 'site', label: 'Site visit', section: 'Ops', categories: [], keywords: [], required: false },
+        ],
+        marks: [
+          { item_id: 'permits', document_ids: ['d-owner'] },
+          { item_id: 'site', status: 'waived', note: 'Remote business' },
+        ],
+      },
+    });
+    const sheet = Object.fromEntries(rows.map((r) => [r.name, r.rows]));
+    const [header, permits, site] = sheet.Checklist;
+    assert.deepEqual(header, ['Expected document', 'Status', 'Section', 'Required', 'Documents', 'Note', 'Categories']);
+    assert.deepEqual(permits.slice(0, 5), ['Permits', 'Satisfied', 'Regulatory', 'Yes', '1 restricted document']);
+    assert.deepEqual(site.slice(0, 6), ['Site visit', 'Waived', 'Ops', 'No', '', 'Remote business']);
+    assert.deepEqual(sheet.Summary.find((r) => r[0] === 'Checklist received'), ['Checklist received', '1 of 1']);
+  });
+});
+
+describe('buildDealExportWorkbook', () => {
+  test('writes a readable workbook with one sheet per table and no formulas', () => {
+    const buf = buildDealExportWorkbook({
+      deal: { name: 'X', type: 'ma' },
+      viewer: OWNER,
+      findings: [{ finding_key: 'k', title: '=HYPERLINK("http://evil")', severity: 'low', evidence: [] }],
+    });
+    const wb = XLSX.read(buf, { type: 'buffer' });
+    assert.deepEqual(wb.SheetNames, ['Summary', 'Findings', 'Q&A', 'Checklist', 'Participants', 'Change log']);
+    const cellB2 = wb.Sheets.Findings.B2;
+    assert.equal(cellB2.t, 's');
+    assert.equal(cellB2.f, undefined);
+    assert.equal(cellB2.v, '=HYPERLINK("http://evil")');
+  });
+});
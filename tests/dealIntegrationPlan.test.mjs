@@ -0,0 +1,169 @@
+/**
+ * Tests for lib/dealIntegrationPlan.js — plan / initiative validation,
+ * link checks, progress from linked changes, the burndown and the
+ * outcome rollup.
+ *
+ * Run: node --test tests/dealIntegrationPlan.test.mjs
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  normalisePlanInput, normaliseWorkstreams, normaliseInitiativeInput, checkInitiativeLinks, mergeWorkstreams,
+  initiativeProgress, resolveInitiatives, planBurndown, outcomeRollup, DEFAULT_WORKSTREAMS,
+} from '../lib/dealIntegrationPlan.js';
+
+const C1 = '00000000-0000-4000-8000-000000000001';
+const C2 = '00000000-0000-4000-8000-000000000002';
+const C3 = '00000000-0000-4000-8000-000000000003';
+const P1 = '00000000-0000-4000-8000-0000000000aa';
+
+describe('normalisePlanInput / normaliseWorkstreams', () => {
+  test('keys workstreams from their names and refuses duplicates', () => {
+    const out = normaliseWorkstreams([{ name: 'IT & Systems', owner_email: ' CIO@Example.com ' }, { key: 'people', name: 'People' }]);
+    assert.deepEqual(out, [
+      { key: 'it_systems', name: 'IT & Systems', owner_email: 'cio@example.com' },
+      { key: 'people', name: 'People', owner_email: null },
+    ]);
+    assert.throws(() => normaliseWorkstreams([{ name: 'People' }, { name: 'people' }]), /listed twice/);
+    assert.throws(() => normaliseWorkstreams([{ name: '' }]), /needs a name/);
+  });
+
+  test('only carries the fields sent and checks the Day 1 date', () => {
+    assert.deepEqual(normalisePlanInput({ day_one_date: '2026-07-01' }), { day_one_date: '2026-07-01' });
+    assert.deepEqual(normalisePlanInput({ day_one_date: '' }), { day_one_date: null });
+    assert.throws(() => normalisePlanInput({ day_one_date: '2026-02-30' }), /YYYY-MM-DD/);
+    assert.throws(() => normalisePlanInput({ status: 'live' }), /status must be one of/);
+  });
+});
+
+describe('normaliseInitiativeInput', () => {
+  test('defaults the deadline to Day 100 and accepts a workstream name', () => {
+    const out = normaliseInitiativeInput({ workstream: 'IT & systems', title: ' Move payroll ' });
+    assert.deepEqual(out, { workstream: 'it_systems', title: 'Move payroll', deadline: 'day_100' });
+  });
+
+  test('rejects bad deadlines, statuses, owners and ids', () => {
+    assert.throws(() => normaliseInitiativeInput({ workstream: 'x', title: 'X', deadline: 'day_90' }), /deadline must be one of/);
+    assert.throws(() => normaliseInitiativeInput({ workstream: 'x', title: 'X', status: 'blocked' }), /status must be one of/);
+    assert.throws(() => normaliseInitiativeInput({ workstream: 'x', title: 'X', owner_email: 'nobody' }), /email/);
+    assert.throws(() => normaliseInitiativeInput({ workstream: 'x', title: 'X', change_ids: ['nope'] }), /change_ids must hold ids/);
+    assert.throws(() => normaliseInitiativeInput({ title: 'X' }), /workstream is required/);
+  });
+
+  test('partial updates only carry the fields sent', () => {
+    assert.deepEqual(normaliseInitiativeInput({ status: 'done' }, { partial: true }), { status: 'done' });
+  });
+});
+
+describe('checkInitiativeLinks / mergeWorkstreams', () => {
+  const workstreams = DEFAULT_WORKSTREAMS.ma;
+  const options = { changes: [{ id: C1 }], findings: [{ key: 'k1' }], processes: [{ id: P1 }] };
+
+  test('only accepts workstreams on the plan and ids on this deal', () => {
+    const ok = { workstream: 'systems', change_ids: [C1], finding_keys: ['k1'], process_ids: [P1] };
+    assert.equal(checkInitiativeLinks(ok, workstreams, options), null);
+    assert.match(checkInitiativeLinks({ workstream: 'legal' }, workstreams, options), /no "legal" workstream/);
+    assert.match(checkInitiativeLinks({ change_ids: [C2] }, workstreams, options), /change_ids has ids/);
+  });
+
+  test('adds new workstreams and keeps existing owners', () => {
+    const existing = [{ key: 'people', name: 'People', owner_email: 'hr@example.com' }];
+    const merged = mergeWorkstreams(existing, [{ key: 'people', name: 'People & culture', owner_email: null }, { key: 'legal', name: 'Legal', owner_email: null }]);
+    assert.deepEqual(merged.map((w) => [w.key, w.owner_email]), [['people', 'hr@example.com'], ['legal', null]]);
+  });
+});
+
+const CHANGES = [
+  { id: C1, state: 'live', proposed_at: '2026-07-01T09:00:00Z', decided_at: '2026-07-03T09:00:00Z', applied_at: '2026-07-12T09:00:00Z', live_at: '2026-07-25T09:00:00Z' },
+  { id: C2, state: 'rejected', proposed_at: '2026-07-01T09:00:00Z', decided_at: '2026-07-02T09:00:00Z' },
+  {
+    id: C3, state: 'measured', proposed_at: '2026-07-01T09:00:00Z', decided_at: '2026-07-01T12:00:00Z',
+    applied_at: '2026-07-05T09:00:00Z', live_at: '2026-07-08T09:00:00Z', measured_at: '2026-08-01T09:00:00Z',
+    change_outcomes: [
+      { metric: 'cycle_time_minutes', unit: 'min', delta: -30, measured_at: '2026-07-20T00:00:00Z' },
+      { metric: 'cycle_time_minutes', unit: 'min', delta: -45, measured_at: '2026-08-01T00:00:00Z' },
+      { metric: 'annual_cost', unit: 'GBP', value_before: 100000, value_after: 80000 },
+    ],
+  },
+];
+const byId = new Map(CHANGES.map((c) => [c.id, c]));
+
+describe('initiativeProgress', () => {
+  test('averages the linked changes that still count; done is complete', () => {
+    assert.equal(initiativeProgress({ change_ids: [C1, C2] }, byId), 0.75);
+    assert.equal(initiativeProgress({ change_ids: [C1, C3] }, byId), 0.875);
+    assert.equal(initiativeProgress({ change_ids: [] }, byId), 0);
+    assert.equal(initiativeProgress({ status: 'done', change_ids: [C2] }, byId), 1);
+  });
+});
+
+describe('resolveInitiatives', () => {
+  test('dates deadlines from Day 1, flags overdue work and sorts by deadline', () => {
+    const out = resolveInitiatives({
+      initiatives: [
+        { id: 'a', title: 'Harmonise chart of accounts', deadline: 'day_60', status: 'not_started', change_ids: [C1] },
+        { id: 'b', title: 'Payroll continuity', deadline: 'day_1', status: 'in_progress', change_ids: [] },
+        { id: 'c', title: 'Comms plan', deadline: 'day_1', status: 'done', change_ids: [] },
+      ],
+      changes: CHANGES,
+      dayOne: '2026-07-01',
+      today: '2026-07-10',
+    });
+    assert.deepEqual(out.map((i) => [i.id, i.state, i.due_date]), [
+      ['b', 'overdue', '2026-07-02'],
+      ['c', 'done', '2026-07-02'],
+      ['a', 'in_progress', '2026-08-30'],
+    ]);
+    assert.deepEqual(out[2].changes.map((c) => c.state), ['live']);
+  });
+
+  test('without a Day 1 nothing is dated or overdue', () => {
+    const [i] = resolveInitiatives({ initiatives: [{ id: 'a', title: 'X', deadline: 'day_1', status: 'not_started' }], today: '2030-01-01' });
+    assert.equal(i.due_date, null);
+    assert.equal(i.state, 'not_started');
+  });
+});
+
+describe('planBurndown', () => {
+  const initiatives = [
+    { id: 'a', deadline: 'day_30', status: 'not_started', change_ids: [C1] },
+    { id: 'b', deadline: 'day_1', status: 'done', completed_at: '2026-07-02T10:00:00Z', change_ids: [] },
+  ];
+
+  test('plots the work left against an even run-down to each deadline', () => {
+    const b = planBurndown({ initiatives, changes: CHANGES, dayOne: '2026-07-01', today: '2026-07-21' });
+    assert.equal(b.total, 2);
+    assert.equal(b.today, 20);
+    const at = (day) => b.points.find((p) => p.day === day);
+    assert.deepEqual(at(0), { day: 0, ideal: 2, actual: 2 });
+    assert.deepEqual(at(1), { day: 1, ideal: 0.97, actual: 1 });
+    // C1 applied on day 11 → half of "a" is left at day 20.
+    assert.deepEqual(at(20), { day: 20, ideal: 0.33, actual: 0.5 });
+    assert.deepEqual(at(30), { day: 30, ideal: 0, actual: null });
+    assert.equal(b.remaining, 0.25);
+    assert.deepEqual(b.by_deadline.day_1, { total: 1, done: 1, overdue: 0 });
+  });
+
+  test('counts overdue initiatives per deadline', () => {
+    const b = planBurndown({ initiatives, changes: CHANGES, dayOne: '2026-07-01', today: '2026-08-15' });
+    assert.deepEqual(b.by_deadline.day_30, { total: 1, done: 0, overdue: 1 });
+  });
+
+  test('no Day 1, no chart', () => {
+    const b = planBurndown({ initiatives, changes: CHANGES });
+    assert.deepEqual(b.points, []);
+    assert.equal(b.day_one, null);
+  });
+});
+
+describe('outcomeRollup', () => {
+  test('sums the latest reading per metric over linked, live changes', () => {
+    const out = outcomeRollup([{ change_ids: [C3, C2] }], CHANGES);
+    assert.deepEqual(out, [
+      { metric: 'annual_cost', unit: 'GBP', delta: -20000, changes: 1 },
+      { metric: 'cycle_time_minutes', unit: 'min', delta: -45, changes: 1 },
+    ]);
+    assert.deepEqual(outcomeRollup([{ change_ids: [] }], CHANGES), []);
+  });
+});
@@ -0,0 +1,184 @@
+/**
+ * Tests for lib/dealMilestones.js — milestone validation, the default
+ * phase plan, dependency loops, blockers (incl. the deal-breaker gate on
+ * signing) and the Gantt layout.
+ *
+ * Run: node --test tests/dealMilestones.test.mjs
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  normaliseMilestoneInput, hasDependencyCycle, defaultMilestonePlan, checkMilestoneLinks,
+  openDealBreakers, resolveMilestones, ganttLayout, MILESTONE_PHASES,
+} from '../lib/dealMilestones.js';
+
+const A = '00000000-0000-4000-8000-00000000000a';
+const B = '00000000-0000-4000-8000-00000000000b';
+const C = '00000000-0000-4000-8000-00000000000c';
+const Q1 = '00000000-0000-4000-8000-000000000001';
+
+function ids() {
+  let n = 0;
+  return () => `00000000-0000-4000-8000-${String(++n).padStart(12, '0')}`;
+}
+
+describe('normaliseMilestoneInput', () => {
+  test('defaults the title from the phase and gates signing on deal breakers', () => {
+    const out = normaliseMilestoneInput({ phase: 'signing', due_date: '2026-03-01' });
+    assert.equal(out.title, 'Signing');
+    assert.equal(out.gate_deal_breakers, true);
+    assert.equal(normaliseMilestoneInput({ phase: 'loi' }).gate_deal_breakers, false);
+  });
+
+  test('rejects bad phases, dates, statuses and owners', () => {
+    assert.throws(() => normaliseMilestoneInput({ phase: 'closing' }), /phase must be one of/);
+    assert.throws(() => normaliseMilestoneInput({ title: 'X', due_date: '2026-02-30' }), /YYYY-MM-DD/);
+    assert.throws(() => normaliseMilestoneInput({ title: 'X', start_date: '2026-03-02', due_date: '2026-03-01' }), /before start_date/);
+    assert.throws(() => normaliseMilestoneInput({ title: 'X', status: 'blocked' }), /status must be one of/);
+    assert.throws(() => normaliseMilestoneInput({ title: 'X', owner_email: 'nobody' }), /email/);
+    assert.throws(() => normaliseMilestoneInput({ title: 'X', depends_on: ['nope'] }), /depends_on must hold ids/);
+    assert.throws(() => normaliseMilestoneInput({}), /title is required/);
+  });
+
+  test('partial updates only carry the fields sent', () => {
+    const out = normaliseMilestoneInput({ status: 'done', owner_email: ' Ann@Example.com ' }, { partial: true });
+    assert.deepEqual(out, { status: 'done', owner_email: 'ann@example.com' });
+  });
+});
+
+describe('hasDependencyCycle', () => {
+  const rows = [
+    { id: A, depends_on: [] },
+    { id: B, depends_on: [A] },
+    { id: C, depends_on: [B] },
+  ];
+  test('spots direct, indirect and self loops', () => {
+    assert.equal(hasDependencyCycle(rows, A, [C]), true);
+    assert.equal(hasDependencyCycle(rows, A, [A]), true);
+    assert.equal(hasDependencyCycle(rows, C, [A, B]), false);
+  });
+});
+
+describe('checkMilestoneLinks', () => {
+  test('only accepts ids on this deal', () => {
+    const options = { qa: [{ id: Q1 }], checklist: [{ id: 'cap_table' }], findings: [{ key: 'k1' }] };
+    const rows = [{ id: A }];
+    assert.equal(checkMilestoneLinks({ depends_on: [A], qa_item_ids: [Q1], checklist_item_ids: ['cap_table'], finding_keys: ['k1'] }, rows, options), null);
+    assert.match(checkMilestoneLinks({ depends_on: [B] }, rows, options), /depends_on has ids that aren't on this deal/);
+    assert.match(checkMilestoneLinks({ finding_keys: ['zz'] }, rows, options), /finding_keys/);
+  });
+});
+
+describe('defaultMilestonePlan', () => {
+  test('chains every phase end to end from the start date', () => {
+    const plan = defaultMilestonePlan({ start: '2026-01-01', newId: ids() });
+    assert.deepEqual(plan.map((m) => m.phase), MILESTONE_PHASES.map((p) => p.key));
+    assert.equal(plan[0].start_date, '2026-01-01');
+    assert.equal(plan[0].due_date, '2026-01-08');
+    assert.equal(plan[1].start_date, '2026-01-08');
+    assert.deepEqual(plan[1].depends_on, [plan[0].id]);
+    assert.equal(plan.find((m) => m.phase === 'signing').gate_deal_breakers, true);
+  });
+
+  test('skips phases the deal already has and depends on them instead', () => {
+    const existing = [{ id: A, phase: 'nda', due_date: '2026-02-01', order_index: 3 }];
+    const plan = defaultMilestonePlan({ start: '2026-01-01', existing, newId: ids() });
+    assert.equal(plan.some((m) => m.phase === 'nda'), false);
+    const ioi = plan.find((m) => m.phase === 'ioi');
+    assert.deepEqual(ioi.depends_on, [A]);
+    assert.equal(ioi.start_date, '2026-02-01');
+    assert.ok(ioi.order_index > 3);
+  });
+});
+
+const FINDINGS = [
+  { finding_key: 'old', analysis_id: 'an-1', title: 'Old breaker', tags: ['deal_breaker'], created_at: '2026-01-01T00:00:00Z' },
+  { finding_key: 'k1', analysis_id: 'an-2', title: 'Pending litigation', tags: ['deal_breaker'], created_at: '2026-02-01T00:00:00Z' },
+  { finding_key: 'k2', analysis_id: 'an-2', title: 'Customer concentration', tags: ['re_trade'], created_at: '2026-02-01T00:00:00Z' },
+  { finding_key: 'k3', analysis_id: 'an-2', title: 'Dismissed breaker', tags: ['deal_breaker'], created_at: '2026-02-01T00:00:00Z' },
+];
+const REVIEWS = [
+  { finding_key: 'k1', analysis_id: 'an-2', status: 'approved' },
+  { finding_key: 'k3', analysis_id: 'an-2', status: 'rejected' },
+];
+
+describe('openDealBreakers', () => {
+  test('latest analysis only; rejected ones drop out, approved ones still count', () => {
+    assert.deepEqual(openDealBreakers(FINDINGS, REVIEWS).map((f) => f.finding_key), ['k1']);
+  });
+});
+
+describe('resolveMilestones', () => {
+  const today = '2026-03-10';
+
+  test('unresolved deal breakers block a gated signing milestone', () => {
+    const [m] = resolveMilestones({
+      milestones: [{ id: A, title: 'Signing', phase: 'signing', status: 'planned', gate_deal_breakers: true, due_date: '2026-04-01' }],
+      findings: FINDINGS,
+      reviews: REVIEWS,
+      today,
+    });
+    assert.equal(m.state, 'blocked');
+    assert.deepEqual(m.blockers, [{ kind: 'finding', ref: 'k1', label: 'Deal breaker unresolved: Pending litigation' }]);
+  });
+
+  test('dependencies, open Q&A and missing documents block; done milestones never do', () => {
+    const milestones = [
+      { id: A, title: 'LOI', phase: 'loi', status: 'in_progress', due_date: '2026-03-20' },
+      {
+        id: B, title: 'Confirmatory DD', phase: 'confirmatory_dd', status: 'planned', due_date: '2026-03-30',
+        depends_on: [A], qa_item_ids: [Q1], checklist_item_ids: ['cap_table', 'org_chart'],
+      },
+      { id: C, title: 'NDA', phase: 'nda', status: 'done', due_date: '2026-01-01', qa_item_ids: [Q1] },
+    ];
+    const out = resolveMilestones({
+      milestones,
+      qaItems: [{ id: Q1, question: 'Provide the cap table', status: 'open', due_date: '2026-04-02' }],
+      checklist: [{ id: 'cap_table', label: 'Cap table', status: 'missing' }, { id: 'org_chart', label: 'Org chart', status: 'waived' }],
+      today,
+    });
+    const dd = out.find((m) => m.id === B);
+    assert.deepEqual(dd.blockers.map((b) => b.kind), ['dependency', 'qa', 'checklist']);
+    assert.equal(dd.state, 'blocked');
+    assert.match(dd.warnings[0].label, /due 2026-04-02, after this milestone/);
+    const nda = out.find((m) => m.id === C);
+    assert.equal(nda.state, 'done');
+    assert.deepEqual(nda.blockers, []);
+    assert.deepEqual(out.map((m) => m.id), [C, A, B]);
+  });
+
+  test('waiting on an earlier phase is not blocked; a past due date is overdue', () => {
+    const out = resolveMilestones({
+      milestones: [
+        { id: A, title: 'IOI', status: 'planned', due_date: '2026-03-01' },
+        { id: B, title: 'LOI', status: 'planned', start_date: '2026-03-01', due_date: '2026-04-01', depends_on: [A] },
+      ],
+      today,
+    });
+    assert.equal(out.find((m) => m.id === A).state, 'overdue');
+    assert.equal(out.find((m) => m.id === B).state, 'planned');
+  });
+});
+
+describe('ganttLayout', () => {
+  test('positions bars across the whole span, today included', () => {
+    const layout = ganttLayout([
+      { id: A, start_date: '2026-01-01', due_date: '2026-01-10' },
+      { id: B, due_date: '2026-01-20' },
+      { id: C },
+    ], '2026-01-05');
+    assert.equal(layout.start, '2026-01-01');
+    assert.equal(layout.end, '2026-01-20');
+    assert.equal(layout.days, 20);
+    assert.deepEqual(layout.bars[A], { left: 0, width: 50 });
+    assert.deepEqual(layout.bars[B], { left: 95, width: 5 });
+    assert.equal(C in layout.bars, false);
+    assert.equal(layout.today, 20);
+    assert.deepEqual(layout.months, [{ label: '2026-01', left: 0 }]);
+  });
+
+  test('no dated milestones, no chart', () => {
+    assert.equal(ganttLayout([{ id: A }]).days, 0);
+  });
+});
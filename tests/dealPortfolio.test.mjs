@@ -0,0 +1,159 @@
+/**
+ * Tests for lib/dealPortfolio.js — deal-to-deal benchmark rows and
+ * portfolio medians.
+ *
+ * Run: node --test tests/dealPortfolio.test.mjs
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  median, latestAnalysisFindings, findingMix, checklistProgress,
+  processBenchmark, qaTurnaround, buildPortfolioBenchmark,
+} from '../lib/dealPortfolio.js';
+
+const proc = (id, { currency = 'GBP', teamSize = 2, automated = 1, steps = 2 } = {}) => ({
+  id,
+  currency,
+  flow_data: {
+    rawProcesses: [{
+      costs: { hoursPerInstance: 1, teamSize, annual: 10 },
+      steps: Array.from({ length: steps }, (_, i) => ({ name: `S${i}`, workMinutes: 30, isAutomated: i < automated })),
+    }],
+  },
+});
+
+describe('median', () => {
+  test('odd, even, and ignores nulls', () => {
+    assert.equal(median([3, 1, 2]), 2);
+    assert.equal(median([4, 1, null, 2, 3]), 2.5);
+    assert.equal(median([null, undefined]), null);
+  });
+});
+
+describe('findings', () => {
+  test('latest analysis wins and summary sections are dropped', () => {
+    const findings = [
+      { analysis_id: 'old', section: 'risks', severity: 'critical', created_at: '2025-01-01' },
+      { analysis_id: 'new', section: 'risks', severity: 'high', category: 'Legal', created_at: '2025-02-01' },
+      { analysis_id: 'new', section: 'keyFindings', severity: 'critical', created_at: '2025-02-01' },
+      { analysis_id: 'new', section: 'redFlags', severity: 'low', category: 'legal', created_at: '2025-02-01' },
+      { analysis_id: 'new', section: 'opportunities', severity: 'medium', created_at: '2025-02-01' },
+    ];
+    assert.equal(latestAnalysisFindings(findings).length, 3);
+    const mix = findingMix(findings);
+    assert.equal(mix.total, 3);
+    assert.deepEqual(mix.bySeverity, { critical: 0, high: 1, medium: 1, low: 1 });
+    assert.deepEqual(mix.byCategory, { legal: 2, general: 1 });
+    assert.equal(mix.severePct, 33);
+  });
+
+  test('no findings → null severe share', () => {
+    assert.equal(findingMix([]).severePct, null);
+  });
+});
+
+describe('checklistProgress', () => {
+  test('counts received items and skips archived documents', () => {
+    const docs = [
+      { filename: 'Audited accounts 2024.pdf', category: 'Financial', status: 'ready' },
+      { filename: 'Org chart.pdf', category: 'HR', status: 'archived' },
+    ];
+    const p = checklistProgress(docs, 'ma');
+    assert.equal(p.received, 1);
+    assert.ok(p.total > 10);
+    assert.equal(p.pct, Math.round((1 / p.total) * 100));
+  });
+
+  test('uses the deal\'s own checklist and leaves waived items out', () => {
+    const checklist = {
+      items: [
+        { id: 'a', label: 'A', categories: ['Financial'], keywords: ['accounts'] },
+        { id: 'b', label: 'B', categories: [], keywords: [] },
+        { id: 'c', label: 'C', categories: [], keywords: [] },
+      ],
+      marks: [{ item_id: 'b', status: 'waived', note: 'n/a' }],
+    };
+    const p = checklistProgress([{ id: 'd1', filename: 'accounts.pdf', category: 'Financial' }], 'ma', checklist);
+    assert.deepEqual(p, { total: 2, received: 1, pct: 50 });
+  });
+});
+
+describe('processBenchmark', () => {
+  test('cost per FTE over team sizes; automation averaged and graded', () => {
+    const b = processBenchmark([proc('p1', { teamSize: 2, automated: 2 }), proc('p2', { teamSize: 3, automated: 0 }), proc('p1')]);
+    assert.equal(b.processCount, 2);
+    assert.equal(b.fte, 5);
+    assert.equal(b.costPerFte, Math.round(b.annualCost / 5));
+    assert.equal(b.automationPct, 50);
+    assert.equal(b.automationGrade, 'C');
+    assert.equal(b.mixedCurrency, false);
+  });
+
+  test('mixed currencies keep the majority currency for cost', () => {
+    const b = processBenchmark([proc('a'), proc('b'), proc('c', { currency: 'EUR', teamSize: 10 })]);
+    assert.equal(b.currency, 'GBP');
+    assert.equal(b.mixedCurrency, true);
+    assert.equal(b.fte, 4);
+  });
+
+  test('no processes', () => {
+    const b = processBenchmark([]);
+    assert.equal(b.costPerFte, null);
+    assert.equal(b.automationGrade, 'N/A');
+  });
+});
+
+describe('qaTurnaround', () => {
+  test('median days to close, open and overdue', () => {
+    const q = qaTurnaround([
+      { status: 'answered', asked_at: '2025-03-01T00:00:00Z', answered_at: '2025-03-03T00:00:00Z' },
+      { status: 'answered', asked_at: '2025-03-01T00:00:00Z', answered_at: '2025-03-08T00:00:00Z' },
+      { status: 'answered', asked_at: '2025-03-01T00:00:00Z', answered_at: '2025-03-04T12:00:00Z' },
+      { status: 'open', due_date: '2025-03-05' },
+      { status: 'open', due_date: '2025-03-20' },
+      { status: 'skipped' },
+    ], new Date('2025-03-10T09:00:00Z'));
+    assert.deepEqual(q, { total: 6, open: 2, overdue: 1, answered: 3, medianDaysToClose: 3.5 });
+  });
+});
+
+describe('buildPortfolioBenchmark', () => {
+  test('rows, medians and categories by frequency', () => {
+    const out = buildPortfolioBenchmark([
+      {
+        deal: { id: 'd1', name: 'Alpha', type: 'ma', status: 'analyzing' },
+        findings: [
+          { analysis_id: 'a', section: 'risks', severity: 'critical', category: 'legal' },
+          { analysis_id: 'a', section: 'risks', severity: 'low', category: 'tech' },
+        ],
+        documents: [],
+        processes: [proc('p1')],
+        qaItems: [{ status: 'answered', asked_at: '2025-01-01', answered_at: '2025-01-05' }],
+      },
+      {
+        deal: { id: 'd2', name: 'Beta', type: 'pe_rollup', status: 'collecting' },
+        findings: [{ analysis_id: 'b', section: 'risks', severity: 'medium', category: 'legal' }],
+        documents: [],
+        processes: [proc('p2', { teamSize: 4 })],
+        qaItems: [],
+      },
+    ]);
+    assert.equal(out.deals.length, 2);
+    assert.deepEqual(out.categories, ['legal', 'tech']);
+    assert.equal(out.benchmark.dealCount, 2);
+    assert.equal(out.benchmark.severePct, 25);
+    assert.equal(out.benchmark.currency, 'GBP');
+    assert.equal(out.benchmark.costPerFte, median(out.deals.map((d) => d.processes.costPerFte)));
+    assert.equal(out.benchmark.qaMedianDaysToClose, 4);
+  });
+
+  test('no cost-per-FTE median across currencies', () => {
+    const out = buildPortfolioBenchmark([
+      { deal: { id: 'd1', type: 'ma' }, processes: [proc('p1')] },
+      { deal: { id: 'd2', type: 'ma' }, processes: [proc('p2', { currency: 'USD' })] },
+    ]);
+    assert.equal(out.benchmark.costPerFte, null);
+    assert.equal(out.benchmark.currency, null);
+  });
+});
@@ -0,0 +1,47 @@
+/**
+ * Tests for lib/dealQaDraft.js — the prompt and citation parsing behind
+ * the Q&A "answer draft".
+ *
+ * Run: node --test tests/dealQaDraft.test.mjs
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildDraftPrompt, parseDraftAnswer } from '../lib/dealQaDraft.js';
+
+const chunks = [
+  { chunk_id: 'c1', document_id: 'd1', filename: 'CIM.pdf', page_number: 4, content: 'Revenue was £12.4m in FY24.' },
+  { chunk_id: 'c2', document_id: 'd2', filename: 'Accounts.xlsx', sheet_name: 'P&L', cell_range: 'A1:F30', content: 'Revenue,11800' },
+  { chunk_id: 'c3', document_id: 'd3', filename: 'Board minutes.docx', content: 'The board approved the FY25 budget.' },
+];
+
+describe('buildDraftPrompt', () => {
+  test('numbers the excerpts with where they came from', () => {
+    const { user } = buildDraftPrompt({ question: 'What was FY24 revenue?', chunks });
+    assert.match(user, /^Question:\nWhat was FY24 revenue\?/);
+    assert.match(user, /\[1\] CIM\.pdf, p\.4\nRevenue was £12\.4m in FY24\./);
+    assert.match(user, /\[2\] Accounts\.xlsx, sheet P&L A1:F30/);
+  });
+});
+
+describe('parseDraftAnswer', () => {
+  test('maps markers to chunks and renumbers in reading order', () => {
+    const out = parseDraftAnswer('FY24 revenue was £12.4m [3] in the CIM and £11.8m in the accounts [2, 3] .', [chunks[1], chunks[0], chunks[2]]);
+    assert.equal(out.found, true);
+    assert.equal(out.answer, 'FY24 revenue was £12.4m [1] in the CIM and £11.8m in the accounts [2, 1].');
+    assert.deepEqual(out.citations.map((c) => [c.n, c.chunk_id]), [[1, 'c3'], [2, 'c1']]);
+  });
+
+  test('drops markers that point at no excerpt', () => {
+    const out = parseDraftAnswer('The budget was approved [3]. Headcount is 140 [9].', chunks);
+    assert.equal(out.answer, 'The budget was approved [1]. Headcount is 140.');
+    assert.deepEqual(out.citations.map((c) => [c.n, c.chunk_id, c.filename]), [[1, 'c3', 'Board minutes.docx']]);
+    assert.equal(out.citations[0].snippet, 'The board approved the FY25 budget.');
+  });
+
+  test('reports when the excerpts do not answer the question', () => {
+    const out = parseDraftAnswer('NOT FOUND: No customer contracts are in the data room.', chunks);
+    assert.deepEqual(out, { answer: 'No customer contracts are in the data room.', citations: [], found: false });
+    assert.equal(parseDraftAnswer('Revenue was strong.', chunks).found, false);
+  });
+});
@@ -0,0 +1,190 @@
+/**
+ * Tests for lib/dealQaSheet.js — Q&A request-list import / export and the
+ * due-date helpers behind the overdue badge and reminder cron.
+ *
+ * Run: node --test tests/dealQaSheet.test.mjs
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import * as XLSX from 'xlsx';
+import {
+  parseQaSheet, parseDueDate, planQaImport, matchParticipant, qaDueState, qaDueSummary,
+  selectQaReminders, buildQaSheetRows, buildQaCsv, buildQaWorkbook,
+} from '../lib/dealQaSheet.js';
+
+function xlsx(rows, { sheets } = {}) {
+  const wb = XLSX.utils.book_new();
+  for (const [name, aoa] of sheets || [['Requests', rows]]) {
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(aoa), name);
+  }
+  return XLSX.write(wb, { type: 'buffer', bookType: 'xlsx' });
+}
+
+const participants = [
+  { id: 'p-seller', role: 'seller', company_name: 'Acme Holdings', participant_name: 'Sam Vendor', participant_email: 'sam@acme.test' },
+  { id: 'p-target', role: 'target', company_name: 'Acme Ops', participant_name: null, participant_email: null },
+];
+
+describe('parseQaSheet', () => {
+  test('finds the header below a title block and maps common headings', () => {
+    const { fields, rows, errors } = parseQaSheet(xlsx([
+      ['Project Falcon — information request list'],
+      [],
+      ['No.', 'Workstream', 'Information Request', 'Priority', 'Deadline', 'Responsible'],
+      ['1.01', 'Financial', 'Provide monthly management accounts for FY23 and FY24.', 'High', '14/03/2025', 'Acme Holdings'],
+      ['1.02', 'Legal', 'List all material contracts.', '', '2025-03-21', ''],
+      [],
+    ]), { filename: 'irl.xlsx' });
+    assert.deepEqual(errors, []);
+    assert.deepEqual(fields.sort(), ['assignee', 'category', 'due_date', 'priority', 'question', 'reference']);
+    assert.deepEqual(rows[0], {
+      line: 4, question: 'Provide monthly management accounts for FY23 and FY24.', reference: '1.01',
+      category: 'Financial', priority: 'high', due_date: '2025-03-14', assignee: 'Acme Holdings',
+    });
+    assert.equal(rows[1].priority, 'medium');
+    assert.equal(rows[1].assignee, null);
+  });
+
+  test('reads CSV without guessing US dates and strips formula guards', () => {
+    const csv = 'Ref,Question,Due date,Priority\r\nA1,"Explain the, comma",03/04/2025,P1\r\nA2,\'=SUM(A1),,low\r\n';
+    const { rows, errors } = parseQaSheet(Buffer.from(csv), { filename: 'list.csv' });
+    assert.deepEqual(errors, []);
+    assert.deepEqual(rows.map((r) => [r.reference, r.question, r.due_date, r.priority]), [
+      ['A1', 'Explain the, comma', '2025-04-03', 'critical'],
+      ['A2', '=SUM(A1)', null, 'low'],
+    ]);
+  });
+
+  test('reports bad rows and carries on', () => {
+    const { rows, errors } = parseQaSheet(xlsx([
+      ['Ref', 'Question', 'Priority', 'Due'],
+      ['1', '', 'High', ''],
+      ['2', 'Fine question', 'whenever', ''],
+      ['3', 'Another', 'low', '31/02/2025'],
+      ['4', 'Kept', 'low', ''],
+      ['4', 'Duplicate ref', 'low', ''],
+    ]));
+    assert.deepEqual(rows.map((r) => r.reference), ['4']);
+    assert.deepEqual(errors.map((e) => e.line), [2, 3, 4, 6]);
+    assert.match(errors[1].error, /Priority "whenever"/);
+    assert.match(errors[3].error, /also used on row 5/);
+  });
+
+  test('takes the first sheet with a question column and rejects files without one', () => {
+    const buf = xlsx(null, { sheets: [['Cover', [['Read me']]], ['IRL', [['Question'], ['Q one']]]] });
+    assert.deepEqual(parseQaSheet(buf).rows.map((r) => r.question), ['Q one']);
+    assert.throws(() => parseQaSheet(xlsx([['Name', 'Value']])), /No "Question" column/);
+  });
+
+  test('parses Excel serial and written-out due dates', () => {
+    assert.equal(parseDueDate({ t: 'n', v: 45730 }), '2025-03-14');
+    assert.equal(parseDueDate({ t: 's', v: '3rd March 2025' }), '2025-03-03');
+    assert.equal(parseDueDate({ t: 's', v: 'Mar 3, 2025' }), '2025-03-03');
+    assert.equal(parseDueDate({ t: 's', v: '' }), null);
+    assert.equal(parseDueDate({ t: 's', v: 'next week' }), undefined);
+  });
+});
+
+describe('planQaImport', () => {
+  const existing = [
+    { id: '11111111-1111-1111-1111-111111111111', reference: '1.01', question: 'Old wording', category: 'Financial',
+      priority: 'medium', due_date: '2025-03-10', assigned_participant_id: null, assigned_company: null },
+    { id: '22222222-2222-2222-2222-222222222222', reference: null, question: 'Same', category: null,
+      priority: 'low', due_date: null, assigned_participant_id: null, assigned_company: null },
+  ];
+
+  test('updates by reference or ID, inserts the rest, skips unchanged rows', () => {
+    const plan = planQaImport({
+      existing, participants,
+      rows: [
+        { line: 2, reference: '1.01', question: 'New wording', category: 'Financial', due_date: '2025-03-14', assignee: 'sam@acme.test' },
+        { line: 3, id: '22222222-2222-2222-2222-222222222222', question: 'Same', priority: 'low' },
+        { line: 4, reference: '9.9', question: 'Brand new', assignee: 'Unknown Co' },
+      ],
+    });
+    assert.equal(plan.unchanged, 1);
+    assert.deepEqual(plan.updates, [{
+      id: existing[0].id, line: 2,
+      patch: {
+        question: 'New wording', due_date: '2025-03-14', reminder_stage: null,
+        assigned_participant_id: 'p-seller', assigned_company: 'Acme Holdings',
+      },
+    }]);
+    assert.deepEqual(plan.inserts, [{
+      line: 4, priority: 'medium', question: 'Brand new', reference: '9.9',
+      assigned_participant_id: null, assigned_company: 'Unknown Co',
+    }]);
+    assert.equal(plan.unassigned, 1);
+  });
+
+  test('matches assignees by email, company, name or role', () => {
+    assert.equal(matchParticipant({ assignee: 'ACME OPS' }, participants).id, 'p-target');
+    assert.equal(matchParticipant({ assignee: 'Sam Vendor' }, participants).id, 'p-seller');
+    assert.equal(matchParticipant({ assignee: 'seller' }, participants).id, 'p-seller');
+    assert.equal(matchParticipant({ assignee: 'x', assignee_email: 'sam@acme.test' }, participants).id, 'p-seller');
+    assert.equal(matchParticipant({ assignee: 'nobody' }, participants), null);
+  });
+});
+
+describe('due dates and reminders', () => {
+  const today = '2025-03-12';
+  const item = (due_date, extra = {}) => ({ status: 'open', due_date, assigned_participant_id: 'p-seller', ...extra });
+
+  test('classifies open items by due date', () => {
+    assert.equal(qaDueState(item('2025-03-11'), today), 'overdue');
+    assert.equal(qaDueState(item('2025-03-12'), today), 'due_soon');
+    assert.equal(qaDueState(item('2025-03-14'), today), 'due_soon');
+    assert.equal(qaDueState(item('2025-03-15'), today), 'upcoming');
+    assert.equal(qaDueState(item('2025-03-01', { status: 'answered' }), today), null);
+    assert.deepEqual(qaDueSummary([item('2025-03-01'), item('2025-03-13'), item(null)], today), { overdue: 1, due_soon: 1 });
+  });
+
+  test('reminds each assignee once per stage', () => {
+    const groups = selectQaReminders([
+      item('2025-03-13', { id: 'a' }),
+      item('2025-03-01', { id: 'b', reminder_stage: 'due_soon' }),
+      item('2025-03-02', { id: 'c', reminder_stage: 'overdue' }),
+      item('2025-03-01', { id: 'd', assigned_participant_id: 'p-target' }),
+      item('2025-04-01', { id: 'e' }),
+    ], participants, today);
+    assert.equal(groups.length, 1);
+    assert.equal(groups[0].participant.id, 'p-seller');
+    assert.deepEqual(groups[0].items.map((q) => [q.id, q.stage]), [['b', 'overdue'], ['a', 'due_soon']]);
+  });
+});
+
+describe('export', () => {
+  const documents = [
+    { id: 'd1', filename: 'accounts.xlsx', visibility: 'all_editors' },
+    { id: 'd2', filename: 'secret.pdf', visibility: 'owner_only' },
+  ];
+  const items = [{
+    id: '11111111-1111-1111-1111-111111111111', reference: '1.01', category: 'Financial', priority: 'high',
+    due_date: '2025-03-14', question: '=Provide accounts', assigned_participant_id: 'p-seller', status: 'answered',
+    answer_text: 'Attached.', answered_by_email: 'sam@acme.test', answered_at: '2025-03-13T10:00:00Z',
+    evidence_document_ids: ['d1', 'd2'],
+  }];
+
+  test('names visible attachments only and hides emails from non-managers', () => {
+    const [header, row] = buildQaSheetRows({ items, participants, documents, viewer: { viewerRole: 'seller' } });
+    assert.ok(!header.includes('Assignee email'));
+    assert.equal(row[header.indexOf('Attachments')], 'accounts.xlsx; 1 restricted document');
+    assert.equal(row[header.indexOf('Assigned to')], 'Acme Holdings');
+    const [managerHeader] = buildQaSheetRows({ items, participants, documents, viewer: { isOwner: true, canManage: true } });
+    assert.ok(managerHeader.includes('Assignee email'));
+  });
+
+  test('round-trips through XLSX and CSV back into the importer', () => {
+    const viewer = { isOwner: true, canManage: true };
+    for (const [buf, filename] of [
+      [buildQaWorkbook({ items, participants, documents, viewer }), 'qa.xlsx'],
+      [Buffer.from(buildQaCsv({ items, participants, documents, viewer })), 'qa.csv'],
+    ]) {
+      const { rows, errors } = parseQaSheet(buf, { filename });
+      assert.deepEqual(errors, []);
+      const plan = planQaImport({ rows, existing: [{ ...items[0], assigned_company: 'Acme Holdings' }], participants });
+      assert.equal(plan.unchanged, 1, filename);
+    }
+  });
+});
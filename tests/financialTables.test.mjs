@@ -0,0 +1,232 @@
+/**
+ * Tests for lib/deal-analysis/financialTables.js — period / number / unit
+ * parsing, table detection in spreadsheet grids and PDF text, and the
+ * ranking behind the query_deal_tables chat tool.
+ *
+ * Run: node --test tests/financialTables.test.mjs
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import * as XLSX from 'xlsx';
+import {
+  parsePeriod, parseNumber, currencyFrom, scaleFrom, normaliseLineItem,
+  detectSheetTables, detectTextTables, lineItemVariants, parsePeriodQuery,
+  rankTableRows, tableRowFilters, formatTableValue,
+} from '../lib/deal-analysis/financialTables.js';
+import { extractTables } from '../lib/inngest/functions/extractText.js';
+import { __executeToolForTests as executeTool } from '../lib/agents/chat/graph.js';
+
+const label = (v) => parsePeriod(v)?.period ?? null;
+
+describe('parsePeriod', () => {
+  test('normalises year, quarter, half and month headers', () => {
+    assert.equal(label('FY24'), 'FY2024');
+    assert.equal(label('2023/24'), 'FY2024');
+    assert.equal(label('FY2023-24'), 'FY2024');
+    assert.equal(label('Q3 2024'), 'Q3 2024');
+    assert.equal(label('3Q24'), 'Q3 2024');
+    assert.equal(label('2024 Q1'), 'Q1 2024');
+    assert.equal(label('H1 FY25'), 'H1 2025');
+    assert.equal(label('Jan-24'), '2024-01');
+    assert.equal(label('31 March 2024'), '2024-03');
+    assert.equal(label('2024-03'), '2024-03');
+    assert.equal(label(new Date(Date.UTC(2024, 8, 30))), '2024-09');
+    assert.equal(label(2023), 'FY2023');
+    assert.equal(label('LTM Sep-24'), 'LTM 2024-09');
+  });
+
+  test('reads actual / forecast / budget markers', () => {
+    assert.equal(parsePeriod('FY24A').basis, 'actual');
+    assert.equal(parsePeriod('2025E').basis, 'forecast');
+    assert.equal(parsePeriod('Q3 24 (Budget)').basis, 'budget');
+    assert.equal(parsePeriod('Q3 2024').basis, null);
+  });
+
+  test('rejects labels that are not periods', () => {
+    assert.equal(parsePeriod('Revenue'), null);
+    assert.equal(parsePeriod('Marketing 2024'), null);
+    assert.equal(parsePeriod(12.5), null);
+    assert.equal(parsePeriod(1850), null);
+  });
+});
+
+describe('numbers and units', () => {
+  test('parses statement-style numbers', () => {
+    assert.deepEqual(parseNumber('(1,234)'), { value: -1234, percent: false, scale: null });
+    assert.deepEqual(parseNumber('-5.2%'), { value: -5.2, percent: true, scale: null });
+    assert.deepEqual(parseNumber('£12.4m'), { value: 12.4, percent: false, scale: 1e6 });
+    assert.equal(parseNumber('—'), null);
+    assert.equal(parseNumber('n/a'), null);
+    assert.equal(parseNumber('12.4.5'), null);
+  });
+
+  test('detects currency and scale from headers and number formats', () => {
+    assert.equal(currencyFrom("£'000"), 'GBP');
+    assert.equal(scaleFrom("£'000"), 1e3);
+    assert.equal(currencyFrom('USD m'), 'USD');
+    assert.equal(scaleFrom('USD m'), 1e6);
+    assert.equal(scaleFrom('(in thousands)'), 1e3);
+    assert.equal(currencyFrom('[$€-2] #,##0'), 'EUR');
+    assert.equal(currencyFrom('[$-409]#,##0'), null);
+    assert.equal(scaleFrom('Revenue'), null);
+  });
+
+  test('normalises line items', () => {
+    assert.equal(normaliseLineItem('1. Revenue (note 4)'), 'revenue');
+    assert.equal(normaliseLineItem('Sales & marketing*'), 'sales and marketing');
+  });
+});
+
+describe('detectSheetTables', () => {
+  const c = (v, z) => (v == null ? null : { v, z });
+  const grid = [
+    [c('Income statement'), null, null, null],
+    [c("£'000"), c('FY22A'), c('FY23A'), c('FY24E')],
+    [c('Revenue'), c(10100), c(11250), c(12400, '[$€-2] #,##0')],
+    [c('Cost of sales'), c(-4000), c(-4500), c(-5000)],
+    [null, null, null, null],
+    [c('Gross margin %'), c(0.6, '0.0%'), c(0.6, '0.0%'), c(0.597, '0.0%')],
+    [c('Overheads'), null, null, null],
+    [c('Staff costs'), c('(1,200)'), c('(1,300)'), c('-')],
+  ];
+
+  test('types each value with period, unit and cell ref', () => {
+    const [table, ...rest] = detectSheetTables(grid, { sheetName: 'P&L', origin: { r: 4, c: 1 } });
+    assert.equal(rest.length, 0);
+    assert.equal(table.title, 'Income statement');
+    assert.equal(table.cell_range, 'B6:E12');
+    assert.deepEqual(table.periods, ['FY2022', 'FY2023', 'FY2024']);
+    assert.equal(table.currency, 'GBP');
+    assert.equal(table.scale, 1e3);
+
+    const rev = table.rows.filter((r) => r.line_item === 'Revenue');
+    assert.deepEqual(rev.map((r) => [r.period, r.basis, r.value, r.cell_ref]), [
+      ['FY2022', 'actual', 10100, 'C7'],
+      ['FY2023', 'actual', 11250, 'D7'],
+      ['FY2024', 'forecast', 12400, 'E7'],
+    ]);
+    // The cell's own number format wins over the table heading.
+    assert.equal(rev[2].currency, 'EUR');
+
+    const margin = table.rows.find((r) => r.line_item === 'Gross margin %' && r.period === 'FY2024');
+    assert.equal(margin.value, 59.7);
+    assert.equal(margin.unit, 'percent');
+    assert.equal(margin.currency, null);
+
+    const staff = table.rows.filter((r) => r.line_item === 'Staff costs');
+    assert.deepEqual(staff.map((r) => [r.value, r.section]), [[-1200, 'Overheads'], [-1300, 'Overheads']]);
+  });
+
+  test('ignores rows of numbers that merely look like years', () => {
+    const data = [[c('Units'), c(2050), c(1998), c(2031)], [c('Stores'), c(12), c(13), c(14)]];
+    assert.deepEqual(detectSheetTables(data), []);
+  });
+
+  test('extractTables reads an xlsx workbook as cell grids', async () => {
+    const ws = XLSX.utils.aoa_to_sheet([
+      ['KPIs (USD m)', null, null],
+      [null, 'Q3 2024', 'Q4 2024'],
+      ['Net sales', 4.1, 4.6],
+    ]);
+    const wb = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(wb, ws, 'Quarterly');
+    const buf = XLSX.write(wb, { type: 'buffer', bookType: 'xlsx' });
+    const [table] = await extractTables({ buf, filename: 'kpis.xlsx' });
+    assert.equal(table.sheet_name, 'Quarterly');
+    assert.deepEqual(table.rows.map((r) => [r.period, r.value, r.currency, r.scale, r.cell_ref]), [
+      ['Q3 2024', 4.1, 'USD', 1e6, 'B3'],
+      ['Q4 2024', 4.6, 'USD', 1e6, 'C3'],
+    ]);
+  });
+});
+
+describe('detectTextTables', () => {
+  test('reads PDF statement lines right to left', () => {
+    const text = [
+      'Summary P&L',
+      '£m FY2022 FY2023 FY2024',
+      'Revenue 4 10.1 11.3 12.4',
+      'EBITDA (1.2) 2.0 2.6',
+      'EBITDA margin 11.9% 17.7% 21.0%',
+      'Partial row 3.0',
+    ].join('\n');
+    const [table] = detectTextTables(text, { pageNumber: 7 });
+    assert.equal(table.page_number, 7);
+    assert.equal(table.title, 'Summary P&L');
+    const rev = table.rows.filter((r) => r.line_item === 'Revenue');
+    // "4" is a note reference, not a value.
+    assert.deepEqual(rev.map((r) => [r.period, r.value, r.currency, r.scale]), [
+      ['FY2022', 10.1, 'GBP', 1e6], ['FY2023', 11.3, 'GBP', 1e6], ['FY2024', 12.4, 'GBP', 1e6],
+    ]);
+    assert.equal(rev[0].source_text, 'Revenue 4 10.1 11.3 12.4');
+    assert.equal(table.rows.find((r) => r.line_item === 'EBITDA').value, -1.2);
+    assert.equal(table.rows.find((r) => r.line_item === 'EBITDA margin').unit, 'percent');
+    assert.ok(!table.rows.some((r) => r.line_item === 'Partial row'));
+  });
+
+  test('accepts OCR markdown tables', () => {
+    const [table] = detectTextTables('| | Q1 2025 | Q2 2025 |\n|---|---|---|\n| Turnover | 1,200 | 1,350 |');
+    assert.deepEqual(table.rows.map((r) => [r.line_item, r.period, r.value]), [
+      ['Turnover', 'Q1 2025', 1200], ['Turnover', 'Q2 2025', 1350],
+    ]);
+  });
+});
+
+describe('querying', () => {
+  const row = (line_item, period, value, extra = {}) => {
+    const p = parsePeriod(period);
+    return {
+      line_item, line_item_norm: normaliseLineItem(line_item), period: p.period,
+      period_type: p.type, period_year: p.year, period_index: p.index, basis: p.basis, value, ...extra,
+    };
+  };
+  const rows = [
+    row('Revenue growth %', 'Q3 2024', 12, { unit: 'percent' }),
+    row('Turnover', 'Q3 2023', 9.8),
+    row('Revenue', 'Q3 2024', 11.0),
+    row('Revenue', 'Q2 2024', 10.5),
+    row('Headcount', 'Q3 2024', 140),
+  ];
+
+  test('expands line-item synonyms', () => {
+    assert.ok(lineItemVariants('Sales').includes('turnover'));
+    assert.deepEqual(lineItemVariants('Widgets shipped'), ['widgets shipped']);
+  });
+
+  test('interprets loose period queries', () => {
+    assert.deepEqual(parsePeriodQuery('2024'), { year: 2024 });
+    assert.deepEqual(parsePeriodQuery('Q3'), { type: 'quarter', index: 3 });
+    assert.deepEqual(parsePeriodQuery('FY24'), { period: 'FY2024', type: 'year', year: 2024, index: null });
+  });
+
+  test('ranks exact labels first, then the latest period', () => {
+    const out = rankTableRows(rows, { lineItem: 'revenue', period: 'Q3' });
+    assert.deepEqual(out.map((r) => `${r.line_item} ${r.period}`), [
+      'Revenue Q3 2024', 'Turnover Q3 2023', 'Revenue growth % Q3 2024',
+    ]);
+    const exact = rankTableRows(rows, { lineItem: 'sales', period: 'Q3 2024' });
+    assert.equal(exact[0].value, 11.0);
+    assert.deepEqual(rankTableRows(rows, { lineItem: 'EBITDA' }), []);
+  });
+
+  test('builds a PostgREST filter from the query', () => {
+    const q = decodeURIComponent(tableRowFilters({ lineItem: 'EBITDA', period: 'Q3 2024', documentId: 'd1' }));
+    assert.match(q, /^or=\(line_item_norm\.ilike\.\*ebitda\*,line_item_norm\.ilike\.\*adjusted ebitda\*/);
+    assert.match(q, /period=eq\.Q3 2024&period_year=eq\.2024&period_index=eq\.3&document_id=eq\.d1$/);
+  });
+
+  test('formats a value with its unit', () => {
+    assert.equal(
+      formatTableValue({ line_item: 'Revenue', period: 'Q3 2024', value: 12400, currency: 'GBP', scale: 1000, unit: 'number' }),
+      'Revenue · Q3 2024 = 12,400 (GBP thousands)',
+    );
+  });
+
+  test('query_deal_tables refuses without verified deal access', async () => {
+    const out = await executeTool('query_deal_tables', { line_item: 'revenue' }, {
+      dealId: '00000000-0000-0000-0000-000000000000', dealAccessVerified: false,
+    });
+    assert.match(out, /No deal context/);
+  });
+});
@@ -0,0 +1,282 @@
+/**
+ * Tests for lib/flows/collab.js — step ids, order keys, local diffs,
+ * convergence of concurrent edits, collision reporting, soft locks and
+ * the `changes` rows for conflicts, plus who may record those conflicts.
+ *
+ * Run: node --test tests/flowCollab.test.mjs
+ */
+
+import { test, describe, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  ensureStepIds, hasStepIds, legacyStepId, assignOrder, createCollabDoc, commitLocal, applyRemote,
+  materialise, exportState, adoptState, mergeState, softLockHolder, conflictChangeRows, stableJson,
+} from '../lib/flows/collab.js';
+import { loadCommentProcess } from '../lib/processCommentStore.js';
+
+function flow(names) {
+  const steps = names.map((name, i) => ({ id: `s${i + 1}`, number: i + 1, name, department: 'Ops' }));
+  return {
+    steps,
+    handoffs: steps.slice(0, -1).map(() => ({ method: '', clarity: '' })),
+    flowNodePositions: {},
+    flowCustomEdges: [],
+    flowDeletedEdges: [],
+  };
+}
+
+function edit(snapshot, fn) {
+  const next = structuredClone(snapshot);
+  fn(next);
+  next.steps = next.steps.map((s, i) => ({ ...s, number: i + 1 }));
+  return next;
+}
+
+describe('ensureStepIds', () => {
+  test('fills missing and duplicated ids, keeping the array when nothing changes', () => {
+    const steps = [{ name: 'A' }, { id: 'x', name: 'B' }, { id: 'x', name: 'B copy' }];
+    const out = ensureStepIds(steps, legacyStepId);
+    assert.deepEqual(out.map((s) => s.id), ['legacy-step-1', 'x', 'legacy-step-3']);
+    assert.equal(ensureStepIds(out, legacyStepId), out);
+    assert.equal(hasStepIds(out), true);
+    assert.equal(hasStepIds(steps), false);
+  });
+
+  test('never reuses an id already on the flow', () => {
+    const out = ensureStepIds([{ id: 'legacy-step-2' }, { name: 'B' }], legacyStepId);
+    assert.deepEqual(out.map((s) => s.id), ['legacy-step-2', 'legacy-step-2-2']);
+  });
+});
+
+describe('assignOrder', () => {
+  test('keeps the orders that are still in sequence and slots the rest between', () => {
+    const cur = { a: 1, b: 2, c: 3, d: 4 };
+    assert.deepEqual(assignOrder(['a', 'c', 'b', 'd'], (id) => cur[id]), [1, 3, 3.5, 4]);
+    assert.deepEqual(assignOrder(['n', 'a', 'b'], (id) => cur[id]), [0, 1, 2]);
+    assert.deepEqual(assignOrder(['a', 'b', 'n', 'm'], (id) => cur[id]), [1, 2, 3, 4]);
+    assert.deepEqual(assignOrder(['x', 'y'], () => undefined), [1, 2]);
+  });
+});
+
+describe('commitLocal / materialise', () => {
+  test('emits one op per changed field and round-trips the flow', () => {
+    const base = flow(['Receive', 'Check', 'Pay']);
+    const doc = createCollabDoc('A', base);
+    assert.deepEqual(commitLocal(doc, base), []);
+
+    const next = edit(base, (f) => { f.steps[1].name = 'Check invoice'; });
+    const ops = commitLocal(doc, next);
+    assert.equal(ops.length, 1);
+    assert.deepEqual(JSON.parse(ops[0].k), ['s', 's2', 'name']);
+    assert.deepEqual(ops[0].t, [1, 'A']);
+    assert.deepEqual(ops[0].b, [0, '']);
+    assert.deepEqual(materialise(doc).steps.map((s) => s.name), ['Receive', 'Check invoice', 'Pay']);
+  });
+
+  test('a move only rewrites the moved step; a removal sets a tombstone', () => {
+    const base = flow(['A', 'B', 'C', 'D']);
+    const doc = createCollabDoc('A', base);
+    const moved = edit(base, (f) => { f.steps = [f.steps[0], f.steps[2], f.steps[1], f.steps[3]]; });
+    const ops = commitLocal(doc, moved);
+    assert.equal(ops.filter((o) => JSON.parse(o.k)[2] === '@order').length, 1);
+    assert.deepEqual(materialise(doc).steps.map((s) => s.name), ['A', 'C', 'B', 'D']);
+
+    const removed = edit(moved, (f) => { f.steps.splice(1, 1); f.handoffs.pop(); });
+    commitLocal(doc, removed);
+    const out = materialise(doc);
+    assert.deepEqual(out.steps.map((s) => [s.number, s.name]), [[1, 'A'], [2, 'B'], [3, 'D']]);
+    assert.equal(out.handoffs.length, 2);
+  });
+
+  test('tracks layout offsets and canvas edges', () => {
+    const base = flow(['A', 'B']);
+    const doc = createCollabDoc('A', base);
+    commitLocal(doc, edit(base, (f) => {
+      f.flowNodePositions = { 2: { 'step-0': { dx: 20, dy: 0 } } };
+      f.flowCustomEdges = [{ id: 'c1', source: 'step-0', target: 'step-1' }];
+      f.flowDeletedEdges = ['e-seq-0-1'];
+    }));
+    const out = materialise(doc);
+    assert.deepEqual(out.flowNodePositions, { 2: { 'step-0': { dx: 20, dy: 0 } } });
+    assert.deepEqual(out.flowCustomEdges.map((e) => e.id), ['c1']);
+    assert.deepEqual(out.flowDeletedEdges, ['e-seq-0-1']);
+
+    commitLocal(doc, base);
+    assert.deepEqual(materialise(doc).flowCustomEdges, []);
+    assert.deepEqual(materialise(doc).flowDeletedEdges, []);
+  });
+});
+
+describe('concurrent edits', () => {
+  test('edits to different steps and fields both survive, in any delivery order', () => {
+    const base = flow(['Receive', 'Check', 'Pay']);
+    const a = createCollabDoc('A', base);
+    const b = createCollabDoc('B', base);
+    const opsA = commitLocal(a, edit(base, (f) => { f.steps[0].name = 'Receive invoice'; }));
+    const opsB = commitLocal(b, edit(base, (f) => {
+      f.steps[2].department = 'Finance';
+      f.steps.push({ id: 'n1', name: 'Archive', department: 'Ops' });
+      f.handoffs.push({ method: 'email', clarity: '' });
+    }));
+    applyRemote(a, opsB);
+    applyRemote(b, opsA);
+    assert.equal(stableJson(materialise(a)), stableJson(materialise(b)));
+    const steps = materialise(a).steps;
+    assert.deepEqual(steps.map((s) => s.name), ['Receive invoice', 'Check', 'Pay', 'Archive']);
+    assert.equal(steps[2].department, 'Finance');
+  });
+
+  test('concurrent writes to one field converge and only the losing side reports it', () => {
+    const base = flow(['Receive', 'Check']);
+    const a = createCollabDoc('A', base);
+    const b = createCollabDoc('B', base);
+    const opsA = commitLocal(a, edit(base, (f) => { f.steps[1].name = 'Check (A)'; }));
+    const opsB = commitLocal(b, edit(base, (f) => { f.steps[1].name = 'Check (B)'; }));
+    const onA = applyRemote(a, opsB);
+    const onB = applyRemote(b, opsA);
+    assert.equal(materialise(a).steps[1].name, 'Check (B)');
+    assert.equal(materialise(b).steps[1].name, 'Check (B)');
+    assert.deepEqual(onA.collisions, [{ step_id: 's2', field: 'name', lost: 'Check (A)', won: 'Check (B)', site: 'B' }]);
+    assert.deepEqual(onB.collisions, []);
+  });
+
+  test('an edit made after seeing the other is not a collision', () => {
+    const base = flow(['Receive']);
+    const a = createCollabDoc('A', base);
+    const b = createCollabDoc('B', base);
+    applyRemote(b, commitLocal(a, edit(base, (f) => { f.steps[0].name = 'One'; })));
+    const opsB = commitLocal(b, edit(materialise(b), (f) => { f.steps[0].name = 'Two'; }));
+    assert.deepEqual(applyRemote(a, opsB).collisions, []);
+    assert.equal(materialise(a).steps[0].name, 'Two');
+  });
+
+  test('remove wins over a concurrent edit, which is reported', () => {
+    const base = flow(['A', 'B', 'C']);
+    const a = createCollabDoc('A', base);
+    const b = createCollabDoc('B', base);
+    const opsA = commitLocal(a, edit(base, (f) => { f.steps[1].name = 'B renamed'; }));
+    const opsB = commitLocal(b, edit(base, (f) => { f.steps.splice(1, 1); f.handoffs.pop(); }));
+    const onA = applyRemote(a, opsB);
+    applyRemote(b, opsA);
+    assert.deepEqual(materialise(a).steps.map((s) => s.name), ['A', 'C']);
+    assert.equal(stableJson(materialise(a)), stableJson(materialise(b)));
+    assert.equal(onA.collisions.length, 1);
+    assert.equal(onA.collisions[0].removed, true);
+    assert.equal(onA.collisions[0].field, 'name');
+  });
+
+  test('duplicate and stale ops are ignored', () => {
+    const base = flow(['A']);
+    const a = createCollabDoc('A', base);
+    const b = createCollabDoc('B', base);
+    const ops = commitLocal(a, edit(base, (f) => { f.steps[0].name = 'X'; }));
+    assert.equal(applyRemote(b, ops).changed, true);
+    assert.equal(applyRemote(b, ops).changed, false);
+    assert.equal(applyRemote(b, [{ k: 'junk' }]).changed, false);
+  });
+});
+
+describe('joining a session', () => {
+  test('a joiner with no edits adopts the session state; one with edits merges', () => {
+    const base = flow(['A', 'B']);
+    const host = createCollabDoc('H', base);
+    commitLocal(host, edit(base, (f) => { f.steps[0].name = 'A (host)'; }));
+
+    const joiner = createCollabDoc('J', { ...base, steps: base.steps.map((s) => ({ ...s, id: `other-${s.id}` })) });
+    adoptState(joiner, exportState(host));
+    assert.deepEqual(materialise(joiner).steps.map((s) => s.name), ['A (host)', 'B']);
+    assert.ok(joiner.clock >= host.clock);
+
+    const editor = createCollabDoc('E', base);
+    commitLocal(editor, edit(base, (f) => { f.steps[1].name = 'B (editor)'; }));
+    mergeState(editor, exportState(host));
+    assert.deepEqual(materialise(editor).steps.map((s) => s.name), ['A (host)', 'B (editor)']);
+  });
+});
+
+describe('softLockHolder', () => {
+  const peers = [
+    { email: 'b@x.com', editingStepId: 's1', editingSince: '2026-10-01T10:00:05Z' },
+    { email: 'c@x.com', editingStepId: 's2', editingSince: '2026-10-01T09:00:00Z' },
+  ];
+
+  test('the first person onto a step holds it', () => {
+    assert.equal(softLockHolder({ peers, stepId: 's1' }).email, 'b@x.com');
+    assert.equal(softLockHolder({ peers, stepId: 's1', self: { email: 'a@x.com', since: '2026-10-01T10:00:00Z' } }), null);
+    assert.equal(softLockHolder({ peers, stepId: 's1', self: { email: 'a@x.com', since: '2026-10-01T10:01:00Z' } }).email, 'b@x.com');
+    assert.equal(softLockHolder({ peers, stepId: 's3' }), null);
+  });
+});
+
+describe('conflictChangeRows', () => {
+  test('maps collisions to merged changes rows', () => {
+    const [row] = conflictChangeRows([{
+      step_id: 's2', step_number: 2, step_name: 'Check', field: 'name', lost: 'Check (A)', won: 'Check (B)', won_by: 'B@x.com',
+    }], { processId: 'p1', actorEmail: 'A@x.com' });
+    assert.equal(row.process_id, 'p1');
+    assert.equal(row.subject_type, 'process_step');
+    assert.equal(row.kind, 'merged');
+    assert.equal(row.state, 'applied');
+    assert.equal(row.actor_kind, 'system');
+    assert.deepEqual(row.subject_ref, { stepId: 's2', stepNumber: 2, stepName: 'Check', field: 'name', conflict: 'concurrent_edit' });
+    assert.deepEqual(row.before_state, { value: 'Check (A)', actor_email: 'a@x.com' });
+    assert.deepEqual(row.after_state, { value: 'Check (B)', actor_email: 'b@x.com' });
+    assert.match(row.rationale, /b@x\.com's change to name on step 2 "Check" replaced a@x\.com's/);
+  });
+
+  test('drops malformed entries and truncates large values', () => {
+    const rows = conflictChangeRows([null, { field: '' }, { field: 'layout step-0', lost: 'x'.repeat(3000) }], { processId: 'p1' });
+    assert.equal(rows.length, 1);
+    assert.equal(rows[0].subject_type, 'process');
+    assert.ok(rows[0].before_state.value.length < 2100);
+    assert.deepEqual(conflictChangeRows([{ field: 'name' }], { processId: null }), []);
+  });
+});
+
+// POST /api/diagnostic-changes/[reportId] records conflicts only for
+// callers loadCommentProcess lets open the process.
+describe('conflict recording access', () => {
+  const DEAL = 'd1';
+  const PROCESSES = {
+    p1: { id: 'p1', contact_email: 'owner@acme.com', deal_id: DEAL },
+    p2: { id: 'p2', contact_email: 'seller@target.com', deal_id: DEAL },
+  };
+  const PARTICIPANTS = [
+    { id: 'pa1', role: 'seller', participant_email: 'cfo@target.com', company_name: 'Target', process_id: 'p2' },
+  ];
+  const realFetch = global.fetch;
+  afterEach(() => {
+    global.fetch = realFetch;
+    delete process.env.SUPABASE_URL;
+    delete process.env.SUPABASE_SERVICE_KEY;
+  });
+
+  function stubSupabase() {
+    process.env.SUPABASE_URL = 'https://sb.test';
+    process.env.SUPABASE_SERVICE_KEY = 'k';
+    global.fetch = async (url) => {
+      const u = new URL(String(url));
+      const eq = (k) => (/^eq\./.test(u.searchParams.get(k) || '') ? u.searchParams.get(k).slice(3) : '');
+      let body = [];
+      if (u.pathname.endsWith('/processes')) body = PROCESSES[eq('id')] ? [PROCESSES[eq('id')]] : [];
+      else if (u.pathname.endsWith('/deals')) body = [{ id: DEAL, owner_email: 'owner@acme.com', collaborator_emails: [] }];
+      else if (u.pathname.endsWith('/deal_participants')) {
+        const email = eq('participant_email');
+        body = PARTICIPANTS.filter((p) => !email || p.participant_email === email);
+      }
+      return new Response(JSON.stringify(body), { status: 200 });
+    };
+  }
+
+  test("a participant can't record conflicts on another party's process", async () => {
+    stubSupabase();
+    const out = await loadCommentProcess('p1', { email: 'cfo@target.com' });
+    assert.equal(out.status, 404);
+  });
+
+  test('their own process, and the deal team on any process, pass the gate', async () => {
+    stubSupabase();
+    assert.equal((await loadCommentProcess('p2', { email: 'cfo@target.com' })).process?.id, 'p2');
+    assert.equal((await loadCommentProcess('p2', { email: 'owner@acme.com' })).process?.deal_id, DEAL);
+  });
+});
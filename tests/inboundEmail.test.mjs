@@ -0,0 +1,259 @@
+/**
+ * Tests for lib/inbound/ — MIME parsing, inbound address resolution,
+ * sender allow-lists and which files a message becomes in the data room.
+ *
+ * Run: node --test tests/inboundEmail.test.mjs
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  parseMimeMessage, decodeHeaderValue, parseHeaderParams, parseAddressList,
+} from '../lib/inbound/mime.js';
+import {
+  inboundTokenFrom, isSenderAllowed, normaliseAllowedSenders, sourcePartyFor,
+  planInboundDocuments, emailBodyDocument, formatInboundAddress, generateInboundToken,
+} from '../lib/inbound/plan.js';
+import { getInboundHandler, isAuthorisedInbound } from '../lib/inbound/handlers.js';
+
+const TOKEN = 'a1b2c3d4e5f6a7b8c9d0e1f2a3b4c5';
+
+const pdfBytes = Buffer.from('%PDF-1.4 fake pdf body');
+
+function sampleEml() {
+  return [
+    'From: "Jane Seller" <Jane@Seller.com>',
+    `To: deal-${TOKEN}@in.example.com`,
+    'Cc: bob@advisor.com',
+    'Subject: =?UTF-8?B?UTMgbWFuYWdlbWVudCBhY2NvdW50cyDigJMgZmluYWw=?=',
+    'Date: Tue, 14 Apr 2026 09:30:00 +0100',
+    'Message-ID: <abc123@mail.seller.com>',
+    'MIME-Version: 1.0',
+    'Content-Type: multipart/mixed; boundary="outer"',
+    '',
+    '--outer',
+    'Content-Type: multipart/alternative; boundary="alt"',
+    '',
+    '--alt',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: quoted-printable',
+    '',
+    'Hi team, Q3 accounts attached =E2=80=94 revenue is =C2=A312.4m.',
+    '',
+    '--alt',
+    'Content-Type: text/html; charset=utf-8',
+    '',
+    '<p>Hi team</p>',
+    '--alt--',
+    '',
+    '--outer',
+    'Content-Type: application/pdf; name="q3.pdf"',
+    "Content-Disposition: attachment; filename*=UTF-8''Q3%20accounts%20%E2%80%93%20final.pdf",
+    'Content-Transfer-Encoding: base64',
+    '',
+    pdfBytes.toString('base64'),
+    '',
+    '--outer',
+    'Content-Type: image/png',
+    'Content-Disposition: inline; filename="logo.png"',
+    'Content-ID: <logo@seller>',
+    'Content-Transfer-Encoding: base64',
+    '',
+    Buffer.from('png').toString('base64'),
+    '',
+    '--outer--',
+    '',
+  ].join('\r\n');
+}
+
+describe('mime headers', () => {
+  test('decodes RFC 2047 encoded-words, joining adjacent ones', () => {
+    assert.equal(decodeHeaderValue('=?UTF-8?Q?Caf=C3=A9_menu?='), 'Café menu');
+    assert.equal(decodeHeaderValue('=?UTF-8?B?SGVs?= =?UTF-8?B?bG8=?= world'), 'Hello world');
+  });
+
+  test('reassembles RFC 2231 continuations', () => {
+    const { value, params } = parseHeaderParams(
+      "attachment; filename*0*=UTF-8''Data%20room%20; filename*1=index.xlsx",
+    );
+    assert.equal(value, 'attachment');
+    assert.equal(params.filename, 'Data room index.xlsx');
+  });
+
+  test('parses address lists with quoted commas', () => {
+    assert.deepEqual(parseAddressList('"Doe, Jane" <JANE@x.com>, bob@y.com, not-an-address'), [
+      { email: 'jane@x.com', name: 'Doe, Jane' },
+      { email: 'bob@y.com', name: null },
+    ]);
+  });
+});
+
+describe('parseMimeMessage', () => {
+  test('extracts sender, subject, bodies and attachments', () => {
+    const m = parseMimeMessage(Buffer.from(sampleEml(), 'utf8'));
+    assert.deepEqual(m.from, { email: 'jane@seller.com', name: 'Jane Seller' });
+    assert.equal(m.subject, 'Q3 management accounts – final');
+    assert.equal(m.messageId, 'abc123@mail.seller.com');
+    assert.equal(m.text.trim(), 'Hi team, Q3 accounts attached — revenue is £12.4m.');
+    assert.equal(m.html.trim(), '<p>Hi team</p>');
+    assert.equal(m.cc[0].email, 'bob@advisor.com');
+    assert.equal(m.attachments.length, 2);
+    const [pdf, logo] = m.attachments;
+    assert.equal(pdf.filename, 'Q3 accounts – final.pdf');
+    assert.equal(pdf.mimeType, 'application/pdf');
+    assert.ok(pdf.content.equals(pdfBytes));
+    assert.equal(logo.inline, true);
+    assert.equal(logo.contentId, 'logo@seller');
+  });
+
+  test('collects attachments from a forwarded message/rfc822 part', () => {
+    const inner = [
+      'From: cfo@target.com',
+      'Subject: Board pack',
+      'Content-Type: multipart/mixed; boundary="in"',
+      '',
+      '--in',
+      'Content-Type: text/plain',
+      '',
+      'Board pack attached.',
+      '--in',
+      'Content-Type: text/csv',
+      'Content-Disposition: attachment; filename="kpis.csv"',
+      '',
+      'month,revenue',
+      '--in--',
+    ].join('\r\n');
+    const outer = [
+      'From: jane@seller.com',
+      'Subject: Fwd: Board pack',
+      'Content-Type: multipart/mixed; boundary="out"',
+      '',
+      '--out',
+      'Content-Type: text/plain',
+      '',
+      'See below.',
+      '--out',
+      'Content-Type: message/rfc822',
+      '',
+      inner,
+      '--out--',
+    ].join('\r\n');
+    const m = parseMimeMessage(outer);
+    assert.deepEqual(m.attachments.map((a) => a.filename), ['kpis.csv']);
+    assert.match(m.text, /See below\./);
+    assert.match(m.text, /Attached message[\s\S]*cfo@target\.com[\s\S]*Board pack attached\./);
+  });
+
+  test('a bare non-MIME message becomes a text body', () => {
+    const m = parseMimeMessage('Subject: hi\n\nplain body');
+    assert.equal(m.text, 'plain body');
+    assert.deepEqual(m.attachments, []);
+    assert.equal(m.from, null);
+  });
+});
+
+describe('inbound addresses', () => {
+  test('resolves the deal token from deal- and plus addresses', () => {
+    assert.equal(inboundTokenFrom([{ email: 'someone@else.com' }, { email: `deal-${TOKEN}@in.example.com` }]), TOKEN);
+    assert.equal(inboundTokenFrom([`dataroom+${TOKEN}@example.com`]), TOKEN);
+    assert.equal(inboundTokenFrom(['deal-short@in.example.com', 'x+notatoken!@example.com']), null);
+  });
+
+  test('generates tokens the resolver accepts', () => {
+    const token = generateInboundToken();
+    assert.equal(inboundTokenFrom([formatInboundAddress(token, 'in.example.com')]), token);
+    assert.equal(formatInboundAddress(token, null), null);
+  });
+
+  test('allow-list matches addresses, domains and subdomains', () => {
+    assert.equal(isSenderAllowed('anyone@x.com', []), true);
+    const list = ['cfo@target.com', 'seller.com'];
+    assert.equal(isSenderAllowed('CFO@target.com', list), true);
+    assert.equal(isSenderAllowed('ceo@target.com', list), false);
+    assert.equal(isSenderAllowed('jane@mail.seller.com', list), true);
+    assert.equal(isSenderAllowed('jane@notseller.com', list), false);
+    assert.equal(isSenderAllowed(null, list), false);
+  });
+
+  test('normalises allow-list input', () => {
+    assert.deepEqual(normaliseAllowedSenders('Seller.com, cfo@target.com;seller.com'), ['seller.com', 'cfo@target.com']);
+    assert.throws(() => normaliseAllowedSenders(['not a domain']), /not an email address or domain/);
+  });
+
+  test('source party is the participant role, else the sender', () => {
+    const participants = [{ participant_email: 'Jane@Seller.com', role: 'seller' }];
+    assert.equal(sourcePartyFor('jane@seller.com', participants), 'seller');
+    assert.equal(sourcePartyFor('bob@advisor.com', participants), 'bob@advisor.com');
+  });
+});
+
+describe('planInboundDocuments', () => {
+  test('files attachments plus the email body, skipping inline logos', () => {
+    const m = parseMimeMessage(sampleEml());
+    const { files, skipped } = planInboundDocuments(m);
+    assert.deepEqual(files.map((f) => f.kind), ['attachment', 'body']);
+    assert.deepEqual(skipped, [{ filename: 'logo.png', reason: 'inline_image' }]);
+    const body = files[1];
+    assert.equal(body.filename, 'Email - Q3 management accounts – final (2026-04-14).txt');
+    assert.equal(body.mimeType, 'text/plain');
+    const text = body.content.toString('utf8');
+    assert.match(text, /^From: Jane Seller <jane@seller\.com>/);
+    assert.match(text, /Attachments: Q3 accounts – final\.pdf/);
+    assert.match(text, /revenue is £12\.4m/);
+  });
+
+  test('skips empty and oversized attachments and names unnamed ones', () => {
+    const { files, skipped } = planInboundDocuments({
+      subject: null,
+      attachments: [
+        { filename: 'empty.txt', mimeType: 'text/plain', content: Buffer.alloc(0) },
+        { filename: 'huge.zip', mimeType: 'application/zip', content: Buffer.alloc(20) },
+        { filename: null, mimeType: 'application/pdf', content: Buffer.alloc(5) },
+      ],
+    }, { maxBytes: 10 });
+    assert.deepEqual(skipped.map((s) => s.reason), ['empty', 'too_large']);
+    assert.deepEqual(files.map((f) => f.filename), ['attachment-3.pdf', 'Email - No subject.txt']);
+  });
+
+  test('falls back to the HTML body as text', () => {
+    const doc = emailBodyDocument({ subject: 'x', html: '<p>Hello&nbsp;<b>there</b></p><script>x()</script>' });
+    assert.match(doc.content.toString('utf8'), /Hello there$/);
+  });
+});
+
+describe('inbound handlers', () => {
+  test('mime handler takes recipients from ?to= and headers', async () => {
+    const { message, recipients } = await getInboundHandler('mime').parse({
+      body: Buffer.from(sampleEml()),
+      query: new URLSearchParams({ to: 'deal-override@in.example.com' }),
+    });
+    assert.equal(message.subject, 'Q3 management accounts – final');
+    assert.equal(recipients[0].email, 'deal-override@in.example.com');
+    assert.equal(inboundTokenFrom(recipients), TOKEN);
+  });
+
+  test('form handler reads the raw message and the envelope', async () => {
+    const form = new FormData();
+    form.set('email', new Blob([sampleEml()]));
+    form.set('envelope', JSON.stringify({ to: [`deal-${TOKEN}@in.example.com`], from: 'jane@seller.com' }));
+    const { message, recipients } = await getInboundHandler('form').parse({ form, query: new URLSearchParams() });
+    assert.equal(message.attachments.length, 2);
+    assert.equal(recipients[0].email, `deal-${TOKEN}@in.example.com`);
+    await assert.rejects(
+      getInboundHandler('form').parse({ form: new FormData(), query: new URLSearchParams() }),
+      /raw message/,
+    );
+  });
+
+  test('webhook auth accepts the secret as Bearer, Basic or ?key=', () => {
+    const req = (url, auth) => new Request(url, { method: 'POST', headers: auth ? { authorization: auth } : {} });
+    const opts = { secret: 's3cret', env: 'production' };
+    assert.equal(isAuthorisedInbound(req('https://x/api/inbound-email', 'Bearer s3cret'), opts), true);
+    const basic = `Basic ${Buffer.from('inbound:s3cret').toString('base64')}`;
+    assert.equal(isAuthorisedInbound(req('https://x/api/inbound-email', basic), opts), true);
+    assert.equal(isAuthorisedInbound(req('https://x/api/inbound-email?key=s3cret'), opts), true);
+    assert.equal(isAuthorisedInbound(req('https://x/api/inbound-email', 'Bearer wrong'), opts), false);
+    assert.equal(isAuthorisedInbound(req('https://x/api/inbound-email'), { secret: '', env: 'production' }), false);
+    assert.equal(isAuthorisedInbound(req('https://x/api/inbound-email'), { secret: '', env: 'development' }), true);
+  });
+});
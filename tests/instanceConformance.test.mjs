@@ -0,0 +1,150 @@
+/**
+ * Tests for lib/flows/instanceConformance.js — per-run conformance and
+ * the change_outcomes it feeds back.
+ *
+ * Run: node --test tests/instanceConformance.test.mjs
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  checkInstanceConformance, buildInstanceOutcomes, resolveExecutedStep,
+} from '../lib/flows/instanceConformance.js';
+
+/** Receive → Check → [Approved?] → Approve → Pay, or → Reject. */
+const AP = {
+  processName: 'Accounts payable',
+  steps: [
+    { number: 1, name: 'Receive invoice', workMinutes: 10 },
+    { number: 2, name: 'Check invoice', workMinutes: 20, waitMinutes: 60 },
+    {
+      number: 3, name: 'Approved?', isDecision: true,
+      branches: [{ label: 'Yes', target: 'Step 4' }, { label: 'No', target: 'Step 6' }],
+    },
+    { number: 4, name: 'Approve', workMinutes: 5, waitMinutes: 120, slaMinutes: 180 },
+    { number: 5, name: 'Pay supplier', workMinutes: 5, waitMinutes: 30 },
+    { number: 6, name: 'Reject', workMinutes: 5 },
+  ],
+};
+
+const T0 = Date.parse('2026-03-02T09:00:00Z');
+/** Build executed steps from [name, waitMin, workMin] triples, back to back. */
+function run(...hops) {
+  let t = T0;
+  return hops.map(([name, wait, work]) => {
+    t += wait * 60000;
+    const startedAt = new Date(t).toISOString();
+    t += work * 60000;
+    return { name, startedAt, completedAt: new Date(t).toISOString() };
+  });
+}
+
+describe('checkInstanceConformance', () => {
+  test('a run along the map conforms and measures work and wait', () => {
+    const r = checkInstanceConformance(AP, run(
+      ['Receive invoice', 0, 10], ['check invoice', 45, 25], ['Approve', 100, 5], ['Pay supplier', 30, 5],
+    ), { completed: true });
+    assert.equal(r.conformant, true);
+    assert.equal(r.fitness, 1);
+    assert.deepEqual(r.deviations, []);
+    assert.equal(r.cycleMinutes, 220);
+    const check = r.measured.find((m) => m.stepIndex === 1);
+    assert.deepEqual([check.workMinutes, check.waitMinutes, check.visits], [25, 45, 1]);
+  });
+
+  test('flags skipped steps, unexpected loops and SLA breaches', () => {
+    const r = checkInstanceConformance(AP, run(
+      ['Receive invoice', 0, 10], ['Check invoice', 60, 20], ['Receive invoice', 5, 5],
+      ['Check invoice', 0, 20], ['Approve', 300, 5],
+    ), { completed: true });
+    const kinds = r.deviations.map((d) => `${d.kind}:${d.stepIndex}`);
+    assert.deepEqual(kinds.sort(), ['loop:0', 'skipped-step:4', 'sla-breach:3'].sort());
+    assert.equal(r.conformant, false);
+    const sla = r.deviations.find((d) => d.kind === 'sla-breach');
+    assert.equal(sla.basis, 'sla');
+    assert.equal(sla.targetMinutes, 180);
+    assert.equal(sla.severity, 'medium');
+    assert.equal(r.measured.find((m) => m.stepIndex === 1).visits, 2);
+  });
+
+  test('jumping past a step mid-run flags it; unmapped steps are reported', () => {
+    const r = checkInstanceConformance(AP, [
+      { stepNumber: 1, completedAt: '2026-03-02T09:10:00Z' },
+      { name: 'Call supplier', completedAt: '2026-03-02T09:20:00Z' },
+      { stepNumber: 4, completedAt: '2026-03-02T09:30:00Z' },
+    ]);
+    const kinds = r.deviations.map((d) => d.kind);
+    assert.ok(kinds.includes('skipped-step'));
+    assert.equal(r.deviations.find((d) => d.kind === 'skipped-step').stepIndex, 1);
+    assert.ok(kinds.includes('unknown-step'));
+    // In-flight runs aren't expected to have reached the end.
+    assert.equal(r.deviations.filter((d) => d.stepIndex === 4).length, 0);
+    assert.equal(r.cycleMinutes, null);
+  });
+
+  test('estimate-based targets use the mapped work + wait', () => {
+    const r = checkInstanceConformance(AP, run(['Receive invoice', 0, 10], ['Check invoice', 200, 20]));
+    const breach = r.deviations.find((d) => d.kind === 'sla-breach');
+    assert.equal(breach.basis, 'estimate');
+    assert.equal(breach.targetMinutes, 160);
+    assert.equal(breach.actualMinutes, 220);
+  });
+
+  test('a completed run over the process cycle-time target is flagged but still conforms', () => {
+    const proc = { ...AP, sla: { targetCycleMinutes: 200, escalationOwner: 'Finance ops' } };
+    const r = checkInstanceConformance(proc, run(
+      ['Receive invoice', 0, 10], ['Check invoice', 45, 25], ['Approve', 100, 5], ['Pay supplier', 30, 5],
+    ), { completed: true });
+    const cycle = r.deviations.find((d) => d.kind === 'cycle-sla-breach');
+    assert.deepEqual([cycle.targetMinutes, cycle.actualMinutes, cycle.escalationOwner], [200, 220, 'Finance ops']);
+    assert.equal(r.conformant, true);
+  });
+
+  test('resolves steps by number, position or name', () => {
+    assert.equal(resolveExecutedStep({ stepNumber: 5 }, AP.steps), 4);
+    assert.equal(resolveExecutedStep({ name: '  pay SUPPLIER ' }, AP.steps), 4);
+    assert.equal(resolveExecutedStep({ stepNumber: 99, name: 'nope' }, AP.steps), -1);
+    assert.equal(checkInstanceConformance(AP, []), null);
+  });
+});
+
+describe('buildInstanceOutcomes', () => {
+  const result = checkInstanceConformance(AP, run(
+    ['Receive invoice', 0, 10], ['Check invoice', 45, 25], ['Approve', 100, 5], ['Pay supplier', 30, 5],
+  ), { completed: true });
+
+  test('attaches measured minutes to the newest applied change for each step', () => {
+    const changes = [
+      { id: 'c-new', subject_type: 'process_step', state: 'live', subject_ref: { stepNumber: 2, processIndex: 0 } },
+      { id: 'c-old', subject_type: 'process_step', state: 'applied', subject_ref: { stepNumber: 2, processIndex: 0 } },
+      { id: 'c-prop', subject_type: 'process_step', state: 'proposed', subject_ref: { stepName: 'Approve' } },
+      { id: 'c-other', subject_type: 'process_step', state: 'applied', subject_ref: { stepNumber: 2, processIndex: 1 } },
+    ];
+    const out = buildInstanceOutcomes({ changes, process: AP, processIndex: 0, result, instanceId: 'i-1' });
+    assert.deepEqual(out.map((o) => `${o.change_id}:${o.metric}:${o.value_before}>${o.value_after}`), [
+      'c-new:work_minutes:20>25',
+      'c-new:wait_minutes:60>45',
+    ]);
+    assert.ok(out.every((o) => o.source === 'process_instance' && o.source_ref.process_instance_id === 'i-1'));
+  });
+
+  test('cycle time goes to the newest process-level change, never a step change', () => {
+    const changes = [
+      { id: 's-reject', subject_type: 'process_step', state: 'live', subject_ref: { stepNumber: 6, processIndex: 0 } },
+      { id: 's-check', subject_type: 'process_step', state: 'applied', subject_ref: { stepNumber: 2, processIndex: 0 } },
+      { id: 'p-new', subject_type: 'process', state: 'applied', subject_ref: { processIndex: 0 } },
+      { id: 'p-old', subject_type: 'process', state: 'measured', subject_ref: { processIndex: 0 } },
+    ];
+    const out = buildInstanceOutcomes({ changes, process: AP, processIndex: 0, result, instanceId: 'i-1' });
+    assert.deepEqual(out.map((o) => `${o.change_id}:${o.metric}`), [
+      's-check:work_minutes',
+      's-check:wait_minutes',
+      'p-new:cycle_time_minutes',
+    ]);
+    assert.equal(out.find((o) => o.metric === 'cycle_time_minutes').value_after, 220);
+  });
+
+  test('nothing to attach without an applied change', () => {
+    assert.deepEqual(buildInstanceOutcomes({ changes: [], process: AP, processIndex: 0, result, instanceId: 'i-1' }), []);
+  });
+});
@@ -0,0 +1,142 @@
+/**
+ * Tests for lib/deal-analysis/keyFacts.js — key-fact extraction from
+ * prose and table rows, cross-document comparison and the contradiction
+ * findings raised from it.
+ *
+ * Run: node --test tests/keyFacts.test.mjs
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  extractDocumentFacts, findContradictions, contradictionFindings, contradictionFindingKey, formatFactValue,
+} from '../lib/deal-analysis/keyFacts.js';
+
+const facts = (content, extra = {}) => extractDocumentFacts({ chunks: [{ id: 'c1', page_number: 3, content, ...extra }] });
+const pick = (list, type) => list.filter((f) => f.fact_type === type).map((f) => [f.period, f.value, f.approximate]);
+
+const tableRow = (line_item, period, value, extra = {}) => ({
+  line_item, line_item_norm: line_item.toLowerCase(), period, value, unit: 'number', basis: null,
+  currency: null, scale: null, sheet_name: 'P&L', page_number: null, cell_ref: 'C2', ...extra,
+});
+
+describe('extractDocumentFacts', () => {
+  test('reads money facts with their period and scale', () => {
+    const out = facts('Founded in 2009, the Company generated revenue of £12.4m in FY24 and adjusted EBITDA of approximately £2.9m.');
+    assert.deepEqual(pick(out, 'revenue'), [['FY2024', 12400000, false]]);
+    assert.deepEqual(pick(out, 'adjusted_ebitda'), [['FY2024', 2900000, true]]);
+    assert.deepEqual(pick(out, 'founded'), [[null, 2009, false]]);
+    assert.equal(out[0].currency, 'GBP');
+    assert.equal(out[0].chunk_id, 'c1');
+  });
+
+  test('reads headcount, customers and the financial year end', () => {
+    const out = facts('The business employs over 140 people and serves c. 350 customers. The financial year ends on 31 March.');
+    assert.deepEqual(pick(out, 'headcount'), [[null, 140, true]]);
+    assert.deepEqual(pick(out, 'customers'), [[null, 350, true]]);
+    assert.deepEqual(pick(out, 'year_end'), [[null, 3, false]]);
+  });
+
+  test('skips forecasts, undated money and slices of the business', () => {
+    const out = facts([
+      'We expect revenue of £15m in FY25.',
+      'Revenue of £12m is typical.',
+      'Recurring revenue of £8m in FY24.',
+      'Our top 10 customers account for 40% of sales.',
+      'Revenue grew 20% to £12.4m in FY24.',
+    ].join(' '));
+    assert.deepEqual(out, []);
+  });
+
+  test('takes table rows as exact facts and cites the chunk they sit in', () => {
+    const out = extractDocumentFacts({
+      chunks: [
+        { id: 'k1', sheet_name: 'Cover', content: 'Management accounts' },
+        { id: 'k2', sheet_name: 'P&L', content: 'Revenue,11250,11800' },
+      ],
+      tableRows: [
+        tableRow('Revenue', 'FY2024', 11800, { currency: 'GBP', scale: 1000, basis: 'actual' }),
+        tableRow('Revenue', 'FY2025', 14000, { currency: 'GBP', scale: 1000, basis: 'forecast' }),
+        tableRow('Gross margin', 'FY2024', 40, { unit: 'percent' }),
+      ],
+    });
+    assert.equal(out.length, 1);
+    assert.deepEqual(
+      [out[0].fact_type, out[0].value, out[0].source, out[0].chunk_id, out[0].cell_ref],
+      ['revenue', 11800000, 'table', 'k2', 'C2'],
+    );
+  });
+});
+
+describe('findContradictions', () => {
+  const fact = (document_id, fact_type, period, value, extra = {}) => ({
+    document_id, fact_type, period, value, currency: null, scale_known: true, approximate: false,
+    source: 'text', excerpt: `${fact_type} ${value}`, chunk_id: `${document_id}-c`, ...extra,
+  });
+
+  test('flags figures for the same period that disagree beyond tolerance', () => {
+    const [c, ...rest] = findContradictions([
+      fact('cim', 'revenue', 'FY2024', 12.4e6, { currency: 'GBP' }),
+      fact('ma', 'revenue', 'FY2024', 11.2e6, { currency: 'GBP', source: 'table' }),
+      fact('deck', 'revenue', 'FY2024', 12.38e6, { currency: 'GBP' }),
+      fact('ma', 'revenue', 'FY2023', 9.8e6),
+    ]);
+    assert.equal(rest.length, 0);
+    assert.deepEqual([c.fact_type, c.period], ['revenue', 'FY2024']);
+    assert.deepEqual(c.sides.map((f) => f.document_id), ['cim', 'ma', 'deck']);
+    assert.ok(Math.abs(c.gap - 1.2 / 12.4) < 1e-9);
+  });
+
+  test('tolerates rounding, loose figures, other currencies and unlabelled scales', () => {
+    assert.deepEqual(findContradictions([
+      fact('a', 'revenue', 'FY2024', 12.4e6), fact('b', 'revenue', 'FY2024', 12437000),
+      fact('a', 'customers', null, 350, { approximate: true }), fact('b', 'customers', null, 320),
+      fact('a', 'ebitda', 'FY2024', 2e6, { currency: 'GBP' }), fact('b', 'ebitda', 'FY2024', 2.4e6, { currency: 'EUR' }),
+      fact('a', 'adjusted_ebitda', 'FY2024', 2.9e6), fact('b', 'adjusted_ebitda', 'FY2024', 2900, { scale_known: false }),
+    ]), []);
+  });
+
+  test('only compares figures from different documents', () => {
+    assert.deepEqual(findContradictions([fact('a', 'headcount', null, 140), fact('a', 'headcount', null, 120)]), []);
+    const [c] = findContradictions([fact('a', 'year_end', null, 3), fact('b', 'year_end', null, 12)]);
+    assert.equal(c.fact_type, 'year_end');
+  });
+});
+
+describe('contradictionFindings', () => {
+  const documents = [{ id: 'cim', filename: 'CIM.pdf' }, { id: 'ma', filename: 'Management accounts.xlsx' }];
+  const conflicts = findContradictions([
+    { document_id: 'cim', fact_type: 'revenue', period: 'FY2024', value: 12.4e6, currency: 'GBP', scale_known: true,
+      approximate: false, source: 'text', excerpt: 'Revenue of £12.4m in FY24.', chunk_id: 'c1', page_number: 3 },
+    { document_id: 'ma', fact_type: 'revenue', period: 'FY2024', value: 11.2e6, currency: 'GBP', scale_known: true,
+      approximate: false, source: 'table', excerpt: 'Revenue · FY2024 = 11,200 (GBP thousands)', chunk_id: 'm1',
+      sheet_name: 'P&L', cell_ref: 'C2' },
+  ]);
+
+  test('raises a redFlags finding citing both documents', () => {
+    const [f] = contradictionFindings({ dealId: 'deal-1', documents }, conflicts);
+    assert.equal(f.section, 'redFlags');
+    assert.equal(f.severity, 'medium'); // 9.7% apart
+    assert.equal(f.finding_key, contradictionFindingKey('revenue', 'FY2024'));
+    assert.equal(f.title, 'Revenue FY2024 differs across documents: £12.4m vs £11.2m');
+    assert.match(f.body, /CIM\.pdf \(p\.3\): £12\.4m/);
+    assert.match(f.body, /Management accounts\.xlsx \(sheet P&L, C2\): £11\.2m/);
+    assert.deepEqual(f.evidence.map((e) => [e.kind, e.ref.document_id, e.ref.chunk_id]), [
+      ['document_chunk', 'cim', 'c1'], ['document_chunk', 'ma', 'm1'],
+    ]);
+    assert.equal(f.evidence[1].ref.cell_range, 'C2');
+    assert.ok(!('tags' in f), 'tags are reviewer-owned');
+  });
+
+  test('finding keys are stable per fact and period', () => {
+    assert.equal(contradictionFindingKey('revenue', 'FY2024'), contradictionFindingKey('revenue', 'FY2024'));
+    assert.match(contradictionFindingKey('headcount', null), /^contradiction-[0-9a-f]{12}$/);
+    assert.notEqual(contradictionFindingKey('revenue', 'FY2024'), contradictionFindingKey('revenue', 'FY2023'));
+  });
+
+  test('formats values for titles', () => {
+    assert.equal(formatFactValue({ fact_type: 'revenue', value: 2.9e6, currency: 'GBP', scale_known: true, approximate: true }), 'c.£2.9m');
+    assert.equal(formatFactValue({ fact_type: 'headcount', value: 1400 }), '1,400');
+    assert.equal(formatFactValue({ fact_type: 'year_end', value: 12 }), 'December');
+  });
+});
@@ -102,6 +102,29 @@ describe('computeModelRollup', () => {
     assert.equal(r.unfiledProcesses, 1);
   });
 
+  test('converts each process into the reporting currency and flags missing rates', async () => {
+    const { createConverter } = await import('../lib/currency.js');
+    const fx = createConverter({
+      rates: [{ base_currency: 'EUR', quote_currency: 'GBP', rate: 0.8, effective_date: '2026-01-01' }],
+      to: 'GBP', asOf: '2026-06-30',
+    });
+    const caps = [{ id: 'cap1', name: 'Finance' }];
+    const reports = [
+      { id: 'r1', function_id: 'cap1', currency: 'GBP', total_annual_cost: 100_000, potential_savings: 10_000 },
+      { id: 'r2', function_id: 'cap1', currency: 'EUR', total_annual_cost: 100_000, potential_savings: 10_000 },
+      { id: 'r3', function_id: 'cap1', currency: 'SEK', total_annual_cost: 900_000, potential_savings: 90_000 },
+    ];
+    const r = repo.computeModelRollup({ reports, roles: [], caps, fx });
+    assert.equal(r.totals.processes, 3);
+    assert.equal(r.totals.annualCost, 180_000);
+    assert.equal(r.totals.potentialSavings, 18_000);
+    assert.equal(r.totals.unconvertedProcesses, 1);
+    assert.equal(r.byFunction.find((b) => b.functionId === 'cap1').annualCost, 180_000);
+    assert.equal(r.currency.reportingCurrency, 'GBP');
+    assert.deepEqual(r.currency.missingRates, ['SEK']);
+    assert.equal(r.currency.ratesUsed[0].from, 'EUR');
+  });
+
   test('distributes role headcount equally across the role\'s function_ids', () => {
     const caps = [
       { id: 'cap1', name: 'Finance' },
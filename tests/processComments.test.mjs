@@ -0,0 +1,182 @@
+/**
+ * Tests for lib/flows/comments.js — comment validation, @mention parsing,
+ * threads with unread counts, where a thread sits after steps move, the
+ * canvas badges, and who gets notified.
+ *
+ * Run: node --test tests/processComments.test.mjs
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  normaliseCommentInput, parseMentions, buildThreads, resolveAnchor, commentMarkers,
+  commentNotifications, handoffAnchorId, processAudience,
+} from '../lib/flows/comments.js';
+
+const steps = [
+  { id: 'a', name: 'Receive invoice' },
+  { id: 'b', name: 'Approve invoice' },
+  { id: 'c', name: 'Pay supplier' },
+];
+
+const people = [
+  { email: 'owner@example.com', name: 'Olivia Owner' },
+  { email: 'jane.doe@client.com', name: 'Jane Doe' },
+  { email: 'jane@advisor.com', name: 'Jane Smith' },
+];
+
+function row(id, over = {}) {
+  return {
+    id, thread_id: null, anchor_type: 'step', anchor_id: 'b', anchor_label: 'Step 2: Approve invoice',
+    author_email: 'owner@example.com', body: 'Hi', resolved_at: null, created_at: '2026-05-01T10:00:00Z', ...over,
+  };
+}
+
+describe('normaliseCommentInput', () => {
+  test('a new thread needs an anchor; a reply only a thread id', () => {
+    assert.deepEqual(
+      normaliseCommentInput({ body: '  Check this ', anchor_type: 'step', anchor_id: 'b', anchor_label: 'Step 2' }),
+      { body: 'Check this', anchor_type: 'step', anchor_id: 'b', anchor_label: 'Step 2' },
+    );
+    assert.deepEqual(normaliseCommentInput({ body: 'Agreed', thread_id: 't1' }), { body: 'Agreed', thread_id: 't1' });
+    assert.throws(() => normaliseCommentInput({ body: ' ', anchor_type: 'step', anchor_id: 'b' }), /text is required/);
+    assert.throws(() => normaliseCommentInput({ body: 'x', anchor_type: 'lane', anchor_id: 'b' }), /step or handoff/);
+    assert.throws(() => normaliseCommentInput({ body: 'x', anchor_type: 'step' }), /step id is required/);
+    assert.throws(() => normaliseCommentInput({ body: 'x', anchor_type: 'handoff', anchor_id: 'a' }), /handoff is anchored/);
+  });
+});
+
+describe('parseMentions', () => {
+  test('full emails always count, short names only when unambiguous', () => {
+    const m = parseMentions('@Olivia can you and @ext@counsel.co.uk check? cc @jane.doe, @jane', people);
+    assert.deepEqual(m, ['owner@example.com', 'ext@counsel.co.uk', 'jane.doe@client.com', 'jane@advisor.com']);
+    const twoSams = [{ email: 's.lee@a.com', name: 'Sam Lee' }, { email: 's.kay@b.com', name: 'Sam Kay' }];
+    assert.deepEqual(parseMentions('@Sam please look', twoSams), []);
+  });
+
+  test('ignores emails that are not mentions and duplicates', () => {
+    assert.deepEqual(parseMentions('mail me at owner@example.com', people), []);
+    assert.deepEqual(parseMentions('@owner @owner@example.com', people), ['owner@example.com']);
+  });
+});
+
+describe('buildThreads', () => {
+  const rows = [
+    row('t1'),
+    row('r1', { thread_id: 't1', author_email: 'jane.doe@client.com', created_at: '2026-05-01T11:00:00Z' }),
+    row('r2', { thread_id: 't1', author_email: 'owner@example.com', created_at: '2026-05-01T12:00:00Z' }),
+    row('t2', { anchor_id: 'c', author_email: 'jane.doe@client.com', created_at: '2026-04-01T09:00:00Z', resolved_at: '2026-04-02T09:00:00Z' }),
+  ];
+
+  test('groups replies under their root, newest activity first', () => {
+    const threads = buildThreads(rows, [], 'owner@example.com');
+    assert.deepEqual(threads.map((t) => t.id), ['t1', 't2']);
+    assert.deepEqual(threads[0].comments.map((c) => c.id), ['t1', 'r1', 'r2']);
+    assert.equal(threads[0].last_at, '2026-05-01T12:00:00Z');
+    assert.equal(threads[1].resolved_at, '2026-04-02T09:00:00Z');
+  });
+
+  test('unread counts other people\'s comments after the last read', () => {
+    const never = buildThreads(rows, [], 'owner@example.com');
+    assert.deepEqual(never.map((t) => t.unread), [1, 1]);
+    const read = buildThreads(rows, [{ thread_id: 't1', read_at: '2026-05-01T11:30:00Z' }], 'owner@example.com');
+    assert.equal(read[0].unread, 0);
+    const jane = buildThreads(rows, [{ thread_id: 't1', read_at: '2026-05-01T11:30:00Z' }], 'jane.doe@client.com');
+    assert.equal(jane[0].unread, 1);
+  });
+});
+
+describe('resolveAnchor', () => {
+  test('a step thread follows its step through a reorder', () => {
+    const thread = row('t1');
+    assert.deepEqual(resolveAnchor(thread, steps).nodeIds, ['step-1']);
+    const reordered = [steps[1], steps[2], steps[0]];
+    const where = resolveAnchor(thread, reordered);
+    assert.deepEqual(where.nodeIds, ['step-0']);
+    assert.equal(where.label, 'Step 1: Approve invoice');
+    assert.equal(resolveAnchor(thread, [steps[0], steps[2]]), null);
+  });
+
+  test('a handoff thread sits on its pair only while they are consecutive', () => {
+    const thread = row('t1', { anchor_type: 'handoff', anchor_id: handoffAnchorId('a', 'b') });
+    assert.deepEqual(resolveAnchor(thread, steps), { nodeIds: ['step-0', 'step-1'], stepIndex: 0, label: 'Handoff 1 → 2' });
+    const inserted = [steps[0], { id: 'x', name: 'Check' }, steps[1]];
+    assert.equal(resolveAnchor(thread, inserted), null);
+  });
+});
+
+describe('commentMarkers', () => {
+  test('one badge per anchor; resolved threads add no count', () => {
+    const threads = buildThreads([
+      row('t1'),
+      row('t2', { author_email: 'jane.doe@client.com' }),
+      row('t3', { anchor_id: 'c', resolved_at: '2026-05-02T00:00:00Z' }),
+      row('t4', { anchor_id: 'gone' }),
+    ], [], 'owner@example.com');
+    const markers = commentMarkers(threads, steps);
+    assert.equal(markers.length, 2);
+    const onB = markers.find((m) => m.anchor_id === 'b');
+    assert.deepEqual({ nodeIds: onB.nodeIds, count: onB.count, unread: onB.unread, resolved: onB.resolved },
+      { nodeIds: ['step-1'], count: 2, unread: 1, resolved: false });
+    const onC = markers.find((m) => m.anchor_id === 'c');
+    assert.deepEqual({ count: onC.count, resolved: onC.resolved }, { count: 0, resolved: true });
+  });
+});
+
+describe('commentNotifications', () => {
+  const process = { id: 'p1', deal_id: 'd1', name: 'Accounts payable' };
+  const recipients = people.map((p) => p.email);
+
+  test('mentions notify people with access, never the author', () => {
+    const comment = row('c1', { mentions: ['jane.doe@client.com', 'owner@example.com', 'stranger@x.com'] });
+    const rows = commentNotifications({ comment, recipients, process });
+    assert.equal(rows.length, 1);
+    assert.equal(rows[0].recipient_email, 'jane.doe@client.com');
+    assert.equal(rows[0].kind, 'comment_mention');
+    assert.equal(rows[0].thread_id, 'c1');
+    assert.equal(rows[0].deal_id, 'd1');
+    assert.match(rows[0].title, /mentioned you on Step 2: Approve invoice in Accounts payable/);
+  });
+
+  test('a reply notifies earlier participants once, mentions first', () => {
+    const thread = row('t1', { author_email: 'jane.doe@client.com' });
+    const earlier = [row('r1', { thread_id: 't1', author_email: 'jane@advisor.com' })];
+    const comment = row('r2', { thread_id: 't1', mentions: ['jane@advisor.com'] });
+    const rows = commentNotifications({ comment, thread, threadComments: earlier, recipients, process });
+    assert.deepEqual(rows.map((r) => [r.recipient_email, r.kind]), [
+      ['jane@advisor.com', 'comment_mention'],
+      ['jane.doe@client.com', 'comment_reply'],
+    ]);
+    assert.ok(rows.every((r) => r.thread_id === 't1' && r.comment_id === 'r2'));
+  });
+});
+
+describe('processAudience', () => {
+  const deal = { owner_email: 'Lead@Buyer.com', collaborator_emails: ['analyst@buyer.com'] };
+  const participants = [
+    { participant_email: 'cfo@target.com', participant_name: 'Tara', company_name: 'Target Ltd', process_id: 'p1' },
+    { participant_email: 'ops@portco.com', participant_name: 'Omar', company_name: 'PortCo', process_id: 'p2' },
+    { participant_email: 'legal@target.com', company_name: 'Target Ltd', process_id: null },
+  ];
+
+  test('a deal process is open to its owner, the deal team and its own participants', () => {
+    const out = processAudience({ process: { id: 'p1', contact_email: 'cfo@target.com', contact_name: 'Tara' }, deal, participants });
+    assert.deepEqual(out.map((p) => [p.email, p.role]), [
+      ['cfo@target.com', 'Process owner'],
+      ['lead@buyer.com', 'Deal owner'],
+      ['analyst@buyer.com', 'Collaborator'],
+    ]);
+  });
+
+  test("other participants — and their companies — aren't listed", () => {
+    const out = processAudience({ process: { id: 'p2', contact_email: 'owner@portco.com' }, deal, participants });
+    assert.deepEqual(out.map((p) => p.email), ['owner@portco.com', 'lead@buyer.com', 'analyst@buyer.com', 'ops@portco.com']);
+    assert.ok(!out.some((p) => p.email.endsWith('@target.com') || p.role === 'Target Ltd'));
+  });
+
+  test('a process outside a deal is its owner alone', () => {
+    assert.deepEqual(processAudience({ process: { id: 'p3', contact_email: 'me@example.com' }, participants }), [
+      { email: 'me@example.com', name: null, role: 'Process owner' },
+    ]);
+  });
+});
@@ -0,0 +1,161 @@
+/**
+ * Tests for lib/flows/processMining.js — event-log discovery and conformance.
+ *
+ * Run: node --test tests/processMining.test.mjs
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  parseCsv, parseEventLog, summariseEventLog, discoverProcess, checkConformance, EventLogParseError,
+} from '../lib/flows/processMining.js';
+import { buildMapObservations } from '../lib/diagnostic/buildMapObservations.js';
+import { deriveStepConnections } from '../lib/flows/connections.js';
+
+const T0 = Date.parse('2026-01-05T09:00:00Z');
+
+/** Invoice log: 8 of 10 cases approved and paid, 2 rejected. */
+function invoiceCsv() {
+  const rows = ['Case ID,Activity,Start Timestamp,Timestamp,Resource,Department'];
+  for (let c = 0; c < 10; c++) {
+    let t = T0 + c * 4 * 86400000;
+    const add = (activity, work, wait, res, dept) => {
+      t += wait * 60000;
+      const start = t;
+      t += work * 60000;
+      rows.push(`C${c},${activity},${new Date(start).toISOString()},${new Date(t).toISOString()},${res},${dept}`);
+    };
+    add('Receive invoice', 10, 0, 'ann', 'Finance');
+    add('Check invoice', 20, 60, c % 2 ? 'bob' : 'cat', 'Finance');
+    if (c < 8) {
+      add('Approve', 5, 120, 'dan', 'Leadership');
+      add('Pay supplier', 5, 30, 'ann', 'Finance');
+    } else {
+      add('Reject', 5, 10, 'bob', 'Finance');
+    }
+  }
+  return rows.join('\n');
+}
+
+describe('parseEventLog', () => {
+  test('reads quoted CSV fields and sniffs the delimiter', () => {
+    assert.deepEqual(parseCsv('a;b\n"x;1";"say ""hi"""\r\n'), [['a', 'b'], ['x;1', 'say "hi"']]);
+  });
+
+  test('detects columns by alias and skips unusable rows', () => {
+    const csv = `${invoiceCsv()}\nC99,,2026-01-01T00:00:00Z,2026-01-01T00:00:00Z,x,y`;
+    const { format, events, skipped } = parseEventLog(csv);
+    assert.equal(format, 'csv');
+    assert.equal(events.length, 38);
+    assert.equal(skipped, 1);
+    assert.equal(events[0].resource, 'ann');
+    assert.ok(events[0].start < events[0].time);
+  });
+
+  test('explicit column mapping wins over aliases', () => {
+    const csv = 'ticket,what,when\nT1,Open,2026-01-01 09:00\nT1,Close,2026-01-01 10:00';
+    const { events } = parseEventLog(csv, { columns: { caseId: 'ticket', activity: 'what', timestamp: 'when' } });
+    assert.deepEqual(events.map((e) => e.activity), ['Open', 'Close']);
+    assert.throws(() => parseEventLog('foo,bar\n1,2'), /caseId, activity, timestamp/);
+  });
+
+  test('reads XES traces and pairs lifecycle start/complete', () => {
+    const xml = `<?xml version="1.0"?>
+      <log xes.version="1.0">
+        <trace><string key="concept:name" value="A1"/>
+          <event><string key="concept:name" value="Draft"/><string key="lifecycle:transition" value="start"/><date key="time:timestamp" value="2026-03-01T09:00:00Z"/></event>
+          <event><string key="concept:name" value="Draft"/><string key="lifecycle:transition" value="complete"/><date key="time:timestamp" value="2026-03-01T09:45:00Z"/><string key="org:resource" value="Eve"/></event>
+          <event><string key="concept:name" value="Review"/><string key="lifecycle:transition" value="complete"/><date key="time:timestamp" value="2026-03-01T12:45:00Z"/></event>
+        </trace>
+      </log>`;
+    const { format, events } = parseEventLog(xml);
+    assert.equal(format, 'xes');
+    const summary = summariseEventLog(events);
+    const draft = summary.activities.find((a) => a.name === 'Draft');
+    const review = summary.activities.find((a) => a.name === 'Review');
+    assert.equal(draft.workMinutes, 45);
+    assert.equal(draft.resources, 1);
+    assert.equal(review.waitMinutes, 180);
+  });
+
+  test('rejects empty and malformed logs', () => {
+    assert.throws(() => parseEventLog(''), EventLogParseError);
+    assert.throws(() => parseEventLog('<foo/>'), /no <log> root/);
+    assert.throws(() => parseEventLog('<!DOCTYPE x><log/>'), /Invalid XES/);
+    assert.throws(() => parseEventLog('case,activity,timestamp\n'), /no event rows/);
+  });
+});
+
+describe('discoverProcess', () => {
+  test('builds a decision with observed probabilities, timings and capacity', () => {
+    const summary = summariseEventLog(parseEventLog(invoiceCsv()).events);
+    assert.equal(summary.cases, 10);
+    assert.equal(summary.variants, 2);
+    const { process, issues } = discoverProcess(summary, { processName: 'Accounts payable' });
+    assert.equal(process.processName, 'Accounts payable');
+    assert.deepEqual(process.steps.map((s) => s.name), ['Receive invoice', 'Check invoice', 'Approve', 'Pay supplier', 'Reject']);
+    const check = process.steps[1];
+    assert.equal(check.isDecision, true);
+    assert.deepEqual(check.branches, [
+      { label: 'Approve', target: 'Step 3', probability: 80 },
+      { label: 'Reject', target: 'Step 5', probability: 20 },
+    ]);
+    assert.equal(check.workMinutes, 20);
+    assert.equal(check.waitMinutes, 60);
+    assert.equal(check.capacity, 2);
+    assert.equal(process.steps[2].department, 'Leadership');
+    assert.ok(process.frequency.annual > 0);
+    assert.equal(process.eventLog, summary);
+    assert.equal(issues.filter((i) => i.severity === 'error').length, 0);
+  });
+
+  test('drops rare transitions and reconciles edges with the canvas', () => {
+    const rows = ['case,activity,timestamp'];
+    for (let c = 0; c < 40; c++) {
+      const seq = c === 0 ? ['A', 'C'] : ['A', 'B', 'C'];
+      seq.forEach((a, k) => rows.push(`c${c},${a},${new Date(T0 + c * 3600000 + k * 60000).toISOString()}`));
+    }
+    rows.push(`x,B,${new Date(T0).toISOString()}`, `x,A,${new Date(T0 + 60000).toISOString()}`);
+    const { process, warnings } = discoverProcess(summariseEventLog(parseEventLog(rows.join('\n')).events));
+    assert.deepEqual(process.steps.map((s) => s.name), ['A', 'B', 'C']);
+    assert.ok(process.steps.every((s) => !s.isDecision));
+    assert.ok(warnings.some((w) => /infrequent transition/.test(w)));
+    assert.ok(warnings.some((w) => /completion times only/.test(w)));
+    const edges = deriveStepConnections(process.steps, process.flowCustomEdges, process.flowDeletedEdges)
+      .map((e) => `${e.from}>${e.to}`);
+    assert.deepEqual(edges.sort(), ['0>1', '1>2', '2>end', 'start>0'].sort());
+  });
+});
+
+describe('checkConformance', () => {
+  const summary = summariseEventLog(parseEventLog(invoiceCsv()).events);
+  const drawn = {
+    processName: 'AP',
+    steps: [
+      { name: 'Receive invoice', department: 'Finance', workMinutes: 10 },
+      { name: 'check invoice', department: 'Finance', workMinutes: 20, waitMinutes: 5 },
+      { name: 'Approve', department: 'Leadership', workMinutes: 5, waitMinutes: 120 },
+      { name: 'Archive', department: 'Finance' },
+      { name: 'Pay supplier', department: 'Finance', workMinutes: 5, waitMinutes: 30 },
+    ],
+  };
+
+  test('reports unmapped activities, unseen steps, skipped paths and timing gaps', () => {
+    const kinds = checkConformance(drawn, summary).map((d) => `${d.kind}:${d.activity ?? d.stepIndex}`);
+    assert.deepEqual(kinds.sort(), [
+      'timing:1', 'unexpected-transition:2', 'unmapped-activity:Reject', 'unobserved-step:3',
+    ].sort());
+  });
+
+  test('the discovered flow conforms to its own log', () => {
+    const { process } = discoverProcess(summary);
+    assert.deepEqual(checkConformance(process, summary), []);
+  });
+
+  test('buildMapObservations surfaces deltas for processes with an event log', () => {
+    const obs = buildMapObservations([{ ...drawn, eventLog: summary }]).filter((o) => o.type === 'conformance');
+    assert.equal(obs.length, 4);
+    assert.match(obs[0].text, /"Reject" happens in 20% of logged cases/);
+    assert.equal(buildMapObservations([drawn]).filter((o) => o.type === 'conformance').length, 0);
+  });
+});
@@ -0,0 +1,283 @@
+/**
+ * Tests for lib/flows/versions.js — what a version stores, the save-time
+ * debounce, the canvas diff between two versions, and the `changes` row
+ * a restore records — plus lib/processVersionStore.js keeping the live
+ * flow restorable across whole-flow writes.
+ *
+ * Run: node --test tests/processVersions.test.mjs
+ */
+
+import { test, describe, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  versionSnapshot, versionStepCount, normaliseCheckpointInput, shouldAutoVersion, autoVersionSource,
+  diffProcessVersions, diffFlowVersions, restoreChangeRow, AUTO_VERSION_INTERVAL_MS,
+} from '../lib/flows/versions.js';
+import { versionBeforeWrite, listVersions, getVersion, restoreVersion } from '../lib/processVersionStore.js';
+import { promoteScenario } from '../lib/processScenarios.js';
+
+function flow(steps) {
+  return {
+    contact: { email: 'owner@example.com' },
+    costAnalysis: { blendedRate: 50 },
+    rawProcesses: [{
+      processName: 'Accounts payable',
+      steps,
+      flowNodePositions: { 'step-0': { dx: 40, dy: 0 } },
+      flowCustomEdges: [{ source: 'step-1', target: 'step-0' }],
+    }],
+  };
+}
+
+const receive = { id: 'a', name: 'Receive invoice', department: 'Finance', workMinutes: 10 };
+const approve = {
+  id: 'b', name: 'Approve invoice', department: 'Finance', workMinutes: 15, isDecision: true,
+  branches: [{ label: 'Yes', target: 'Step 3' }, { label: 'No', target: 'Step 1' }],
+};
+const pay = { id: 'c', name: 'Pay supplier', department: 'Finance', workMinutes: 20 };
+
+describe('versionSnapshot', () => {
+  test('keeps rawProcesses + costAnalysis as a deep copy, drops the rest', () => {
+    const live = flow([receive, approve, pay]);
+    const snap = versionSnapshot(live);
+    assert.deepEqual(Object.keys(snap).sort(), ['costAnalysis', 'rawProcesses']);
+    snap.rawProcesses[0].steps[0].name = 'changed';
+    assert.equal(live.rawProcesses[0].steps[0].name, 'Receive invoice');
+    assert.equal(versionStepCount(snap), 3);
+  });
+});
+
+describe('normaliseCheckpointInput', () => {
+  test('requires a name and trims it', () => {
+    assert.deepEqual(normaliseCheckpointInput({ name: '  Signed off  ' }), { name: 'Signed off', note: null });
+    assert.throws(() => normaliseCheckpointInput({ name: ' ' }), /name is required/);
+    assert.throws(() => normaliseCheckpointInput({ name: 'x'.repeat(121) }), /120 characters/);
+  });
+});
+
+describe('shouldAutoVersion', () => {
+  const now = Date.parse('2026-03-10T12:00:00Z');
+  const ago = (ms) => new Date(now - ms).toISOString();
+
+  test('first save always takes a version', () => {
+    assert.equal(shouldAutoVersion({ latest: null, hash: 'h1', now }), true);
+  });
+
+  test('unchanged content never takes a version', () => {
+    const latest = { kind: 'auto', content_hash: 'h1', created_at: ago(AUTO_VERSION_INTERVAL_MS * 10) };
+    assert.equal(shouldAutoVersion({ latest, hash: 'h1', now }), false);
+  });
+
+  test('a recent auto version absorbs further saves until the interval passes', () => {
+    const recent = { kind: 'auto', content_hash: 'h1', created_at: ago(60_000) };
+    assert.equal(shouldAutoVersion({ latest: recent, hash: 'h2', now }), false);
+    const old = { ...recent, created_at: ago(AUTO_VERSION_INTERVAL_MS) };
+    assert.equal(shouldAutoVersion({ latest: old, hash: 'h2', now }), true);
+  });
+
+  test('a checkpoint or restore does not hold the next auto version back', () => {
+    for (const kind of ['checkpoint', 'restore']) {
+      const latest = { kind, content_hash: 'h1', created_at: ago(1_000) };
+      assert.equal(shouldAutoVersion({ latest, hash: 'h2', now }), true);
+    }
+  });
+});
+
+describe('autoVersionSource', () => {
+  const now = Date.parse('2026-03-10T12:00:00Z');
+  const ago = (ms) => new Date(now - ms).toISOString();
+
+  test("a burst's final state is what gets versioned", () => {
+    // Replay saves the way recordAutoVersion does: each one sees the
+    // newest version and the live state it replaces.
+    const t0 = Date.parse('2026-03-10T09:00:00Z');
+    const min = 60_000;
+    const saves = [
+      [0, 'a'], [1 * min, 'b'], [2 * min, 'c'], [3 * min, 'd'], // burst 1 ends at d
+      [30 * min, 'e'], [31 * min, 'f'],                          // burst 2 ends at f
+      [60 * min, 'g'],
+    ];
+    const versions = [];
+    let live = null;
+    for (const [at, hash] of saves) {
+      const latest = versions.at(-1) || null;
+      const source = autoVersionSource({ latest, hash, previousHash: live, now: t0 + at });
+      if (source) versions.push({ kind: 'auto', content_hash: source === 'previous' ? live : hash, created_at: new Date(t0 + at).toISOString() });
+      live = hash;
+    }
+    assert.deepEqual(versions.map((v) => v.content_hash), ['a', 'd', 'f']);
+  });
+
+  test('takes the save itself when the state before it is already versioned or unknown', () => {
+    const latest = { kind: 'auto', content_hash: 'h1', created_at: ago(AUTO_VERSION_INTERVAL_MS) };
+    assert.equal(autoVersionSource({ latest, hash: 'h2', previousHash: 'h1', now }), 'current');
+    assert.equal(autoVersionSource({ latest, hash: 'h2', now }), 'current');
+    assert.equal(autoVersionSource({ latest: null, hash: 'h2', previousHash: 'h0', now }), 'current');
+    assert.equal(autoVersionSource({ latest, hash: 'h2', previousHash: 'h9', now }), 'previous');
+    assert.equal(autoVersionSource({ latest: { ...latest, created_at: ago(1_000) }, hash: 'h2', previousHash: 'h9', now }), null);
+  });
+});
+
+describe('diffProcessVersions', () => {
+  test('marks added, removed and edited steps and puts removed ones back in place', () => {
+    const from = { processName: 'AP', steps: [receive, approve, pay] };
+    const to = { processName: 'AP', steps: [{ ...receive, workMinutes: 5 }, pay, { id: 'd', name: 'File receipt' }] };
+    const { process, marks, counts } = diffProcessVersions(from, to);
+
+    assert.deepEqual(process.steps.map((s) => s.name), ['Receive invoice', 'Approve invoice', 'Pay supplier', 'File receipt']);
+    assert.deepEqual(process.steps.map((s) => s.number), [1, 2, 3, 4]);
+    assert.deepEqual(marks, {
+      'step-0': { status: 'modified', fields: ['workMinutes'] },
+      'step-1': { status: 'removed' },
+      'step-3': { status: 'added' },
+    });
+    assert.deepEqual(counts, { added: 1, removed: 1, modified: 1, unchanged: 1 });
+  });
+
+  test('renumbers branch targets to the merged list and drops stored layout', () => {
+    // Receive invoice was removed, so in `to` Pay supplier is Step 2; in
+    // the merged list the removed step is back in front and it's Step 3.
+    const from = flow([receive, approve, pay]).rawProcesses[0];
+    const to = { ...from, steps: [{ ...approve, branches: [{ label: 'Yes', target: 'Step 2' }] }, pay] };
+    const { process, marks } = diffProcessVersions(from, to);
+    assert.deepEqual(marks['step-0'], { status: 'removed' });
+    const merged = process.steps.find((s) => s.id === 'b');
+    assert.deepEqual(merged.branches.map((b) => b.target), ['Step 3']);
+    assert.equal(process.flowNodePositions, undefined);
+    assert.equal(process.flowCustomEdges, undefined);
+  });
+
+  test('identical versions produce no marks', () => {
+    const p = { steps: [receive, approve, pay] };
+    const { marks, counts } = diffProcessVersions(p, p);
+    assert.deepEqual(marks, {});
+    assert.equal(counts.unchanged, 3);
+  });
+});
+
+describe('diffFlowVersions', () => {
+  test('covers every process and totals the marks', () => {
+    const a = flow([receive, approve]);
+    const b = flow([receive, approve, pay]);
+    b.rawProcesses.push({ processName: 'Onboarding', steps: [{ name: 'Create account' }] });
+    const d = diffFlowVersions(a, b);
+    assert.equal(d.processes.length, 2);
+    assert.equal(d.processes[1].processName, 'Onboarding');
+    assert.deepEqual(d.totals, { added: 2, removed: 0, modified: 0, unchanged: 2 });
+  });
+});
+
+describe('restoreChangeRow', () => {
+  test('records a reverted, applied change naming the version', () => {
+    const row = restoreChangeRow({
+      processId: 'p1',
+      version: { id: 'v3', version_no: 3, name: 'Before pilot', created_at: '2026-03-03T09:00:00Z' },
+      previousVersionId: 'v7',
+      actorEmail: 'owner@example.com',
+      beforeSteps: 5,
+      afterSteps: 3,
+    });
+    assert.equal(row.kind, 'reverted');
+    assert.equal(row.state, 'applied');
+    assert.equal(row.subject_type, 'process');
+    assert.equal(row.process_id, 'p1');
+    assert.deepEqual(row.subject_ref, {
+      versionId: 'v3', versionNo: 3, versionName: 'Before pilot',
+      versionCreatedAt: '2026-03-03T09:00:00Z', previousVersionId: 'v7',
+    });
+    assert.match(row.rationale, /version 3 "Before pilot"/);
+    assert.deepEqual(row.before_state, { steps: 5 });
+    assert.deepEqual(row.after_state, { steps: 3 });
+  });
+
+  test('needs a process and a version', () => {
+    assert.equal(restoreChangeRow({ processId: 'p1' }), null);
+    assert.equal(restoreChangeRow({ version: { id: 'v1', version_no: 1 } }), null);
+  });
+});
+
+/**
+ * In-memory PostgREST for the tables the version store touches: eq
+ * filters, order=<col>.desc, limit, and POST / PATCH returning rows.
+ */
+function fakeSupabase(tables) {
+  let seq = 0;
+  global.fetch = async (url, opts = {}) => {
+    const u = new URL(String(url));
+    const table = u.pathname.split('/').pop();
+    const rows = (tables[table] ||= []);
+    const filters = [...u.searchParams].filter(([, v]) => v.startsWith('eq.'));
+    const match = (r) => filters.every(([k, v]) => String(r[k]) === decodeURIComponent(v.slice(3)));
+    const method = opts.method || 'GET';
+    let out;
+    if (method === 'POST') {
+      out = [].concat(JSON.parse(opts.body)).map((r) => ({ id: `${table}-${++seq}`, created_at: new Date().toISOString(), ...r }));
+      rows.push(...out);
+    } else if (method === 'PATCH') {
+      out = rows.filter(match);
+      out.forEach((r) => Object.assign(r, JSON.parse(opts.body)));
+    } else {
+      out = rows.filter(match);
+      const order = u.searchParams.get('order');
+      if (order) {
+        const [col, dir] = order.split('.');
+        out = [...out].sort((a, b) => (dir === 'desc' ? b[col] - a[col] : a[col] - b[col]));
+      }
+      const limit = Number(u.searchParams.get('limit'));
+      if (limit) out = out.slice(0, limit);
+    }
+    return new Response(JSON.stringify(out), { status: method === 'POST' ? 201 : 200 });
+  };
+}
+
+describe('versionBeforeWrite', () => {
+  const realFetch = global.fetch;
+  afterEach(() => {
+    global.fetch = realFetch;
+    delete process.env.SUPABASE_URL;
+    delete process.env.SUPABASE_SERVICE_KEY;
+  });
+
+  function setup() {
+    process.env.SUPABASE_URL = 'https://sb.test';
+    process.env.SUPABASE_SERVICE_KEY = 'k';
+    const live = flow([receive, approve]);
+    const tables = {
+      processes: [{ id: 'p1', contact_email: 'owner@example.com', flow_data: live, updated_at: '2026-05-01T10:00:00.000Z' }],
+      process_versions: [],
+    };
+    fakeSupabase(tables);
+    return { tables, live };
+  }
+
+  test('keeps the pre-write flow once; an unchanged flow reuses the newest version', async () => {
+    const { tables, live } = setup();
+    const first = await versionBeforeWrite({ processId: 'p1', flowData: live, updatedAt: tables.processes[0].updated_at });
+    assert.equal(first.version_no, 1);
+    assert.equal(first.kind, 'auto');
+    const again = await versionBeforeWrite({ processId: 'p1', flowData: live });
+    assert.equal(again.id, first.id);
+    assert.equal(tables.process_versions.length, 1);
+  });
+
+  test('a promoted scenario can be undone by restoring the version taken before it', async () => {
+    const { tables, live } = setup();
+    const before = versionSnapshot(live);
+    const scenario = {
+      id: 's1', name: 'Add payment', status: 'draft', base_updated_at: tables.processes[0].updated_at,
+      flow_data: flow([receive, approve, pay]),
+    };
+    const promoted = await promoteScenario({ process: { ...tables.processes[0] }, scenario, email: 'owner@example.com' });
+    assert.equal(promoted.ok, true);
+    assert.equal(versionStepCount(tables.processes[0].flow_data), 3);
+
+    const [kept] = await listVersions('p1');
+    assert.equal(kept.step_count, 2);
+    const version = await getVersion('p1', kept.id);
+    assert.deepEqual(version.flow_data, before);
+
+    const restored = await restoreVersion({ process: { ...tables.processes[0] }, version, email: 'owner@example.com' });
+    assert.equal(restored.ok, true);
+    assert.deepEqual(versionSnapshot(tables.processes[0].flow_data), before);
+  });
+});
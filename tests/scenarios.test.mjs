@@ -0,0 +1,163 @@
+/**
+ * Tests for lib/flows/scenarios.js — what-if edits on a forked flow,
+ * side-by-side comparison against live, and the `changes` rows a
+ * promotion records.
+ *
+ * Run: node --test tests/scenarios.test.mjs
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  forkFlow, applyScenarioEdits, mergeScenarioIntoLive, compareScenarios,
+  scenarioChangeRows, normaliseScenarioInput,
+} from '../lib/flows/scenarios.js';
+
+function liveFlow() {
+  return {
+    contact: { email: 'owner@example.com' },
+    costAnalysis: { blendedRate: 50 },
+    rawProcesses: [{
+      processName: 'Accounts payable',
+      costs: { hoursPerInstance: 2, teamSize: 1, annual: 1000 },
+      steps: [
+        { number: 1, name: 'Receive invoice', department: 'Finance', workMinutes: 10, waitMinutes: 0 },
+        { number: 2, name: 'Approve invoice', department: 'Finance', workMinutes: 15, waitMinutes: 240, isDecision: true,
+          branches: [{ label: 'Yes', target: 'Step 3' }, { label: 'No', target: 'Step 4' }] },
+        { number: 3, name: 'Pay supplier', department: 'Finance', workMinutes: 20, waitMinutes: 60 },
+        { number: 4, name: 'Query supplier', department: 'Finance', workMinutes: 30, waitMinutes: 0 },
+      ],
+      flowCustomEdges: [{ source: 'step-3', target: 'step-0' }],
+      flowNodePositions: { 'step-0': { x: 0, y: 0 } },
+    }],
+  };
+}
+
+describe('forkFlow / mergeScenarioIntoLive', () => {
+  test('fork is a deep copy of the numbers-driving keys only', () => {
+    const live = liveFlow();
+    const fork = forkFlow(live);
+    assert.deepEqual(Object.keys(fork).sort(), ['costAnalysis', 'rawProcesses']);
+    fork.rawProcesses[0].steps[0].name = 'Changed';
+    assert.equal(live.rawProcesses[0].steps[0].name, 'Receive invoice');
+  });
+
+  test('merge keeps the rest of the live flow', () => {
+    const merged = mergeScenarioIntoLive(liveFlow(), { rawProcesses: [{ steps: [] }], costAnalysis: { blendedRate: 30 } });
+    assert.equal(merged.contact.email, 'owner@example.com');
+    assert.equal(merged.costAnalysis.blendedRate, 30);
+    assert.equal(merged.rawProcesses[0].steps.length, 0);
+  });
+});
+
+describe('applyScenarioEdits', () => {
+  test('edits fields, removes and inserts steps, renumbers and remaps references', () => {
+    const out = applyScenarioEdits(liveFlow(), {
+      steps: [{ stepNumber: 2, isAutomated: true, waitMinutes: 5 }, { stepNumber: 3, remove: true }],
+      addSteps: [{ afterStep: 3, name: 'Schedule payment run', workMinutes: 2, isAutomated: true }],
+    });
+    const proc = out.rawProcesses[0];
+    assert.deepEqual(proc.steps.map((s) => s.name), ['Receive invoice', 'Approve invoice', 'Schedule payment run', 'Query supplier']);
+    assert.deepEqual(proc.steps.map((s) => s.number), [1, 2, 3, 4]);
+    assert.equal(proc.steps[1].isAutomated, true);
+    assert.equal(proc.steps[1].waitMinutes, 5);
+    // "Step 3" (removed) is dropped; "Step 4" follows Query supplier to its new slot.
+    assert.deepEqual(proc.steps[1].branches, [{ label: 'No', target: 'Step 4' }]);
+    assert.deepEqual(proc.flowCustomEdges, [{ source: 'step-3', target: 'step-0' }]);
+    assert.deepEqual(proc.flowNodePositions, {});
+  });
+
+  test('applies cost inputs and the blended rate', () => {
+    const out = applyScenarioEdits(liveFlow(), { costs: { hoursPerInstance: 1 }, blendedRate: 20 });
+    assert.deepEqual(out.rawProcesses[0].costs, { hoursPerInstance: 1, teamSize: 1, annual: 1000 });
+    assert.equal(out.costAnalysis.blendedRate, 20);
+  });
+
+  test('rejects unknown steps, nameless inserts and bad numbers', () => {
+    assert.throws(() => applyScenarioEdits(liveFlow(), { steps: [{ stepNumber: 9 }] }), /Step 9 does not exist/);
+    assert.throws(() => applyScenarioEdits(liveFlow(), { addSteps: [{ afterStep: 1 }] }), /need a name/);
+    assert.throws(() => applyScenarioEdits(liveFlow(), { steps: [{ stepNumber: 1, workMinutes: -5 }] }), /non-negative/);
+    assert.throws(() => applyScenarioEdits(liveFlow(), { processIndex: 3 }), /does not exist/);
+  });
+});
+
+describe('normaliseScenarioInput', () => {
+  test('requires a name unless partial', () => {
+    assert.throws(() => normaliseScenarioInput({ name: '  ' }), /name is required/);
+    assert.throws(() => normaliseScenarioInput({ name: 'x'.repeat(121) }), /120 characters/);
+    assert.deepEqual(normaliseScenarioInput({ description: null }, { partial: true }), { description: null });
+  });
+});
+
+describe('compareScenarios', () => {
+  test('reports deltas against the live baseline', () => {
+    const live = liveFlow();
+    const automate = applyScenarioEdits(live, {
+      // Decisions don't count towards automation %, so automate the payment step.
+      steps: [{ stepNumber: 2, waitMinutes: 0 }, { stepNumber: 3, isAutomated: true }],
+      costs: { hoursPerInstance: 1 },
+    });
+    const offshore = applyScenarioEdits(live, { blendedRate: 20 });
+    const cmp = compareScenarios({
+      live,
+      currency: 'GBP',
+      scenarios: [
+        { id: 'a', name: 'Automate approvals', status: 'proposed', flow_data: automate },
+        { id: 'b', name: 'Offshore AP', status: 'draft', flow_data: offshore },
+      ],
+    });
+    assert.equal(cmp.currency, 'GBP');
+    assert.equal(cmp.baseline.steps, 4);
+    assert.equal(cmp.baseline.cycleMinutes, cmp.baseline.workMinutes + cmp.baseline.waitMinutes);
+
+    const [a, b] = cmp.scenarios;
+    assert.equal(a.delta.cycleMinutes, -240);
+    assert.ok(a.delta.automationPct > 0);
+    assert.ok(a.delta.annualCost < 0);
+    assert.equal(a.annualSaving, -a.delta.annualCost);
+    assert.ok(b.annualSaving > 0);
+    assert.equal(b.delta.cycleMinutes, 0);
+    assert.equal(b.delta.steps, 0);
+  });
+});
+
+describe('scenarioChangeRows', () => {
+  const ctx = { processId: 'p1', scenarioId: 's1', scenarioName: 'Automate approvals', actorEmail: 'owner@example.com' };
+
+  test('records added, removed, automated and cost rows tagged with the scenario', () => {
+    const live = liveFlow();
+    const scenario = applyScenarioEdits(live, {
+      steps: [{ stepNumber: 2, isAutomated: true }, { stepNumber: 4, remove: true }],
+      addSteps: [{ afterStep: 3, name: 'Notify supplier' }],
+      costs: { teamSize: 2 },
+      blendedRate: 40,
+    });
+    const rows = scenarioChangeRows(live, scenario, ctx);
+    const summary = rows.map((r) => `${r.subject_type}:${r.kind}:${r.subject_ref.stepName || r.subject_ref.scope || r.subject_ref.fields?.join(',')}`);
+    assert.deepEqual(summary.sort(), [
+      'cost_input:modified:costAnalysis',
+      'cost_input:modified:costs.teamSize',
+      'process_step:added:Notify supplier',
+      'process_step:automated:Approve invoice',
+      'process_step:removed:Query supplier',
+    ]);
+    for (const r of rows) {
+      assert.equal(r.process_id, 'p1');
+      assert.equal(r.state, 'applied');
+      assert.equal(r.subject_ref.scenarioId, 's1');
+      assert.equal(r.rationale, 'Promoted scenario "Automate approvals".');
+    }
+    const automated = rows.find((r) => r.kind === 'automated');
+    assert.deepEqual(automated.subject_ref.fields, ['isAutomated']);
+  });
+
+  test('an unchanged fork records nothing; a reorder records one process row', () => {
+    const live = liveFlow();
+    assert.deepEqual(scenarioChangeRows(live, forkFlow(live), ctx), []);
+    const swapped = forkFlow(live);
+    const s = swapped.rawProcesses[0].steps;
+    [s[2], s[3]] = [s[3], s[2]];
+    const rows = scenarioChangeRows(live, swapped, ctx);
+    assert.deepEqual(rows.map((r) => `${r.subject_type}:${r.kind}`), ['process:reordered']);
+  });
+});
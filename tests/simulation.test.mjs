@@ -0,0 +1,164 @@
+/**
+ * Tests for lib/flows/simulation.js — Monte Carlo cycle-time simulation.
+ *
+ * Run: node --test tests/simulation.test.mjs
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  simulateProcess, stepDistribution, sampleTriangular, createRng, WORKING_MINUTES_PER_YEAR,
+} from '../lib/flows/simulation.js';
+import { __executeToolForTests as executeTool } from '../lib/agents/chat/graph.js';
+
+function makeSteps(defs) {
+  return defs.map((d, i) => ({
+    number: i + 1,
+    name: d.name ?? `Step ${i + 1}`,
+    isDecision: false,
+    isMerge: false,
+    branches: [],
+    ...d,
+  }));
+}
+
+describe('stepDistribution', () => {
+  test('range wins over point; missing bounds collapse onto the mode', () => {
+    assert.deepEqual(stepDistribution({ workMinutes: 10, workRange: { min: 5, max: 30 } }, 'work'), { min: 5, mode: 10, max: 30 });
+    assert.deepEqual(stepDistribution({ workRange: { mode: 8 } }, 'work'), { min: 8, mode: 8, max: 8 });
+    assert.deepEqual(stepDistribution({ waitMinutes: 60 }, 'wait'), { min: 60, mode: 60, max: 60 });
+    assert.deepEqual(stepDistribution({}, 'wait'), { min: 0, mode: 0, max: 0 });
+  });
+
+  test('triangular samples stay within bounds', () => {
+    const rng = createRng(7);
+    for (let k = 0; k < 500; k++) {
+      const v = sampleTriangular(rng, 2, 5, 20);
+      assert.ok(v >= 2 && v <= 20);
+    }
+  });
+});
+
+describe('simulateProcess', () => {
+  test('returns null for an empty process', () => {
+    assert.equal(simulateProcess({ steps: [] }), null);
+  });
+
+  test('deterministic linear flow: every instance takes work + wait', () => {
+    const steps = makeSteps([
+      { workMinutes: 10, waitMinutes: 30 },
+      { workMinutes: 20 },
+    ]);
+    const r = simulateProcess({ steps }, { runs: 50 });
+    assert.equal(r.mode, 'independent');
+    assert.equal(r.completed, 50);
+    assert.equal(r.cycleTime.p50, 60);
+    assert.equal(r.cycleTime.p90, 60);
+    assert.equal(r.steps[0].utilisation, null);
+  });
+
+  test('exclusive branches follow set_branch_probability weights', () => {
+    const steps = makeSteps([
+      { name: 'Check', isDecision: true, branches: [
+        { label: 'Slow', target: 'Step 2', probability: 20 },
+        { label: 'Fast', target: 'Step 3', probability: 80 },
+      ] },
+      { name: 'Slow path', workMinutes: 100 },
+      { name: 'Fast path', workMinutes: 10 },
+      { name: 'Done', isMerge: true, workMinutes: 0 },
+    ]);
+    const r = simulateProcess({ steps }, { runs: 2000, seed: 3 });
+    assert.equal(r.completed, 2000);
+    assert.equal(r.cycleTime.p50, 10);
+    assert.equal(r.cycleTime.p90, 100);
+    const slowShare = r.steps[1].visitsPerInstance;
+    assert.ok(slowShare > 0.15 && slowShare < 0.25, `slow share ${slowShare}`);
+  });
+
+  test('parallel branches join at the merge: cycle time is the longer branch', () => {
+    const steps = makeSteps([
+      { name: 'Split', isDecision: true, parallel: true, branches: [
+        { label: 'A', target: 'Step 2' },
+        { label: 'B', target: 'Step 3' },
+      ] },
+      { name: 'A', workMinutes: 15 },
+      { name: 'B', workMinutes: 40 },
+      { name: 'Join', isMerge: true, workMinutes: 5 },
+    ]);
+    const r = simulateProcess({ steps }, { runs: 20 });
+    assert.equal(r.completed, 20);
+    assert.equal(r.cycleTime.p50, 45);
+    assert.equal(r.steps[3].visitsPerInstance, 1);
+  });
+
+  test('capacity contention builds queues and utilisation', () => {
+    const steps = makeSteps([
+      { name: 'Intake', workMinutes: 5 },
+      { name: 'Review', workMinutes: 50, capacity: 1 },
+    ]);
+    // One arrival per ~60 working minutes against a 50-minute step → ~83% busy.
+    const perYear = WORKING_MINUTES_PER_YEAR / 60;
+    const r = simulateProcess({ steps }, { runs: 3000, instancesPerYear: perYear, seed: 11 });
+    assert.equal(r.mode, 'arrivals');
+    assert.ok(r.steps[1].utilisation > 0.7 && r.steps[1].utilisation < 0.95, `util ${r.steps[1].utilisation}`);
+    assert.ok(r.steps[1].meanQueueWait > r.steps[0].meanQueueWait);
+    assert.equal(r.bottleneckStepIndex, 1);
+    assert.ok(r.cycleTime.p90 > r.cycleTime.p50);
+  });
+
+  test('same seed gives the same answer', () => {
+    const steps = makeSteps([{ workRange: { min: 1, mode: 5, max: 30 } }, { waitRange: { min: 0, max: 120 } }]);
+    assert.deepEqual(simulateProcess({ steps }, { seed: 5, runs: 300 }), simulateProcess({ steps }, { seed: 5, runs: 300 }));
+  });
+
+  test('rework loops are bounded by the visit guard', () => {
+    const steps = makeSteps([
+      { name: 'Draft', workMinutes: 10 },
+      { name: 'OK?', isDecision: true, branches: [
+        { label: 'No', target: 'Step 1', probability: 100 },
+        { label: 'Yes', target: 'Step 3', probability: 0 },
+      ] },
+      { name: 'Publish', workMinutes: 1 },
+    ]);
+    const r = simulateProcess({ steps }, { runs: 10, maxVisitsPerInstance: 20 });
+    assert.equal(r.truncated, 10);
+    assert.equal(r.completed, 0);
+  });
+});
+
+describe('simulate_cycle_time chat tool', () => {
+  const REPORT_ID = '22222222-2222-2222-2222-222222222222';
+  const rawProcesses = [
+    { processName: 'Onboarding', frequency: { annual: 100 } },
+    { processName: 'Invoicing', frequency: { annual: 10000 } },
+  ];
+
+  async function simulate(ctx, input = {}) {
+    const saved = { fetch: globalThis.fetch, url: process.env.SUPABASE_URL, key: process.env.SUPABASE_SERVICE_KEY };
+    process.env.SUPABASE_URL = 'https://sb.test';
+    process.env.SUPABASE_SERVICE_KEY = 'k';
+    globalThis.fetch = async () => new Response(JSON.stringify([{ flow_data: { rawProcesses } }]), { status: 200 });
+    try {
+      return await executeTool('simulate_cycle_time', { runs: 50, ...input }, {
+        editingReportId: REPORT_ID,
+        steps: makeSteps([{ workMinutes: 10 }, { workMinutes: 5 }]),
+        ...ctx,
+      });
+    } finally {
+      globalThis.fetch = saved.fetch;
+      if (saved.url === undefined) delete process.env.SUPABASE_URL; else process.env.SUPABASE_URL = saved.url;
+      if (saved.key === undefined) delete process.env.SUPABASE_SERVICE_KEY; else process.env.SUPABASE_SERVICE_KEY = saved.key;
+    }
+  }
+  const every = (perYear) => `every ${Math.round((WORKING_MINUTES_PER_YEAR / perYear) * 10) / 10}m`;
+
+  test('uses the frequency of the process open on the canvas, not the first', async () => {
+    const out = await simulate({ processName: 'Invoicing' });
+    assert.ok(out.includes(every(10000)), out);
+  });
+
+  test('an explicit processIndex wins; unknown names fall back to the first', async () => {
+    assert.ok((await simulate({ processName: 'Invoicing' }, { processIndex: 0 })).includes(every(100)));
+    assert.ok((await simulate({ processName: 'Unknown' })).includes(every(100)));
+  });
+});
@@ -0,0 +1,153 @@
+/**
+ * Tests for lib/flows/sla.js — business-hours arithmetic and SLA
+ * evaluation against the map and logged runs.
+ *
+ * Run: node --test tests/sla.test.mjs
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  normaliseCalendar, normaliseStepSla, normaliseProcessSla, stepSlaTarget,
+  businessMinutesBetween, evaluateSla,
+} from '../lib/flows/sla.js';
+import { checkInstanceConformance } from '../lib/flows/instanceConformance.js';
+
+const NINE_TO_FIVE = normaliseCalendar({});
+
+describe('normaliseCalendar', () => {
+  test('fills Mon-Fri 09:00-17:00 UTC defaults; null means 24/7', () => {
+    assert.deepEqual(NINE_TO_FIVE, { timezone: 'UTC', workdays: [1, 2, 3, 4, 5], start: '09:00', end: '17:00', holidays: [] });
+    assert.equal(normaliseCalendar(null), null);
+    assert.deepEqual(normaliseCalendar({ workdays: [7, 1, 1, 9] }).workdays, [1, 7]);
+  });
+
+  test('rejects unknown timezones and inverted hours', () => {
+    assert.throws(() => normaliseCalendar({ timezone: 'Mars/Olympus' }), /Unknown timezone/);
+    assert.throws(() => normaliseCalendar({ start: '17:00', end: '09:00' }), /end must be after start/);
+    assert.throws(() => normaliseCalendar({ workdays: [] }), /workdays/);
+  });
+});
+
+describe('normalise SLA edits', () => {
+  test('merges with the previous value and clears on null', () => {
+    const a = normaliseStepSla({ targetMinutes: 240, escalationOwner: ' AP lead ' });
+    assert.deepEqual(a, { targetMinutes: 240, escalationOwner: 'AP lead' });
+    assert.deepEqual(normaliseStepSla({ escalationOwner: null }, a), { targetMinutes: 240 });
+    assert.equal(normaliseStepSla({ targetMinutes: null }, { targetMinutes: 240 }), null);
+    assert.deepEqual(normaliseProcessSla({ calendar: null }, { targetCycleMinutes: 600, calendar: NINE_TO_FIVE }), { targetCycleMinutes: 600 });
+  });
+
+  test('a step without its own owner inherits the process owner; slaMinutes still counts', () => {
+    const proc = { sla: { escalationOwner: 'Finance ops' } };
+    assert.deepEqual(stepSlaTarget({ sla: { targetMinutes: 60 } }, proc), { targetMinutes: 60, escalationOwner: 'Finance ops' });
+    assert.deepEqual(stepSlaTarget({ slaMinutes: 90 }, null), { targetMinutes: 90, escalationOwner: null });
+    assert.equal(stepSlaTarget({ workMinutes: 30 }, proc), null);
+  });
+});
+
+describe('businessMinutesBetween', () => {
+  test('without a calendar counts wall-clock minutes', () => {
+    assert.equal(businessMinutesBetween('2026-03-06T16:00:00Z', '2026-03-09T10:00:00Z', null), 66 * 60);
+  });
+
+  test('skips nights and weekends', () => {
+    // Friday 16:00 → Monday 10:00: one hour each side of the weekend.
+    assert.equal(businessMinutesBetween('2026-03-06T16:00:00Z', '2026-03-09T10:00:00Z', NINE_TO_FIVE), 120);
+    assert.equal(businessMinutesBetween('2026-03-02T18:00:00Z', '2026-03-03T08:00:00Z', NINE_TO_FIVE), 0);
+    assert.equal(businessMinutesBetween('2026-03-02T10:00:00Z', '2026-03-02T09:00:00Z', NINE_TO_FIVE), 0);
+  });
+
+  test('follows the calendar timezone across a DST change and skips holidays', () => {
+    const london = normaliseCalendar({ timezone: 'Europe/London', holidays: ['2026-04-03'] });
+    // BST from 29 March: 09:00-17:00 London is 08:00-16:00 UTC.
+    assert.equal(businessMinutesBetween('2026-03-30T08:00:00Z', '2026-03-30T16:00:00Z', london), 480);
+    assert.equal(businessMinutesBetween('2026-03-27T16:00:00Z', '2026-03-30T09:00:00Z', london), 60 + 60);
+    // Thursday 2 April 16:00 BST → Monday 6 April 09:00 BST over Good Friday.
+    assert.equal(businessMinutesBetween('2026-04-02T15:00:00Z', '2026-04-06T08:00:00Z', london), 60);
+  });
+});
+
+/** Receive → Check → [Approved?] → Approve → Pay, or → Reject. */
+function apProcess(sla) {
+  return {
+    processName: 'Accounts payable',
+    sla,
+    steps: [
+      { number: 1, name: 'Receive invoice', workMinutes: 10, waitMinutes: 0 },
+      { number: 2, name: 'Check invoice', workMinutes: 20, waitMinutes: 60, sla: { targetMinutes: 45 } },
+      {
+        number: 3, name: 'Approved?', isDecision: true, waitMinutes: 0,
+        branches: [{ label: 'Yes', target: 'Step 4' }, { label: 'No', target: 'Step 6' }],
+      },
+      { number: 4, name: 'Approve', workMinutes: 5, waitMinutes: 120, sla: { targetMinutes: 180, escalationOwner: 'AP lead' } },
+      { number: 5, name: 'Pay supplier', workMinutes: 5, waitMinutes: 30 },
+      { number: 6, name: 'Reject', workMinutes: 5, waitMinutes: 0 },
+    ],
+  };
+}
+
+const T0 = Date.parse('2026-03-02T09:00:00Z');
+function run(...hops) {
+  let t = T0;
+  return hops.map(([name, wait, work]) => {
+    t += wait * 60000;
+    const startedAt = new Date(t).toISOString();
+    t += work * 60000;
+    return { name, startedAt, completedAt: new Date(t).toISOString() };
+  });
+}
+
+describe('evaluateSla', () => {
+  test('returns null when nothing has a target', () => {
+    assert.equal(evaluateSla({ steps: [{ name: 'A', workMinutes: 5 }] }), null);
+  });
+
+  test('predicts step and cycle-time breaches from the map', () => {
+    const proc = apProcess({ targetCycleMinutes: 200, escalationOwner: 'Finance ops' });
+    const ev = evaluateSla(proc);
+    // Longest path: 10 + 80 + 0 + 125 + 35.
+    assert.equal(ev.process.predictedCycleMinutes, 250);
+    const predicted = ev.breaches.map((b) => `${b.scope}:${b.stepIndex}:${b.severity}`);
+    assert.deepEqual(predicted.sort(), ['process:null:medium', 'step:1:medium'].sort());
+    const check = ev.breaches.find((b) => b.stepIndex === 1);
+    assert.equal(check.escalationOwner, 'Finance ops');
+    assert.equal(ev.steps.find((s) => s.stepIndex === 3).predictedMinutes, 125);
+  });
+
+  test('rolls logged runs up into breach rates', () => {
+    const proc = apProcess({ targetCycleMinutes: 300 });
+    const runs = [
+      run(['Receive invoice', 0, 10], ['Check invoice', 20, 20], ['Approve', 300, 5], ['Pay supplier', 30, 5]),
+      run(['Receive invoice', 0, 10], ['Check invoice', 10, 20], ['Approve', 100, 5], ['Pay supplier', 30, 5]),
+    ].map((steps) => checkInstanceConformance(proc, steps, { completed: true }));
+    const ev = evaluateSla(proc, { runs });
+
+    const approve = ev.breaches.find((b) => b.basis === 'measured' && b.stepIndex === 3);
+    assert.equal(approve.runs, 2);
+    assert.equal(approve.breachRate, 0.5);
+    assert.equal(approve.severity, 'high');
+    assert.equal(approve.actualMinutes, 305);
+    assert.equal(approve.escalationOwner, 'AP lead');
+
+    assert.equal(ev.process.runs, 2);
+    assert.equal(ev.process.breaches, 1);
+    const cycle = ev.breaches.find((b) => b.scope === 'process' && b.basis === 'measured');
+    assert.equal(cycle.actualMinutes, 390);
+    // Measured breaches sort ahead of predicted ones at the same severity.
+    assert.equal(ev.breaches[0].basis, 'measured');
+  });
+
+  test('measures logged runs in business hours when the process has a calendar', () => {
+    const proc = apProcess({ calendar: {} });
+    // Approve finishes 16:55 Monday → next run step lands Tuesday 09:30.
+    const steps = [
+      { name: 'Approve', startedAt: '2026-03-02T16:50:00Z', completedAt: '2026-03-02T16:55:00Z' },
+      { name: 'Pay supplier', startedAt: '2026-03-03T09:20:00Z', completedAt: '2026-03-03T09:30:00Z' },
+    ];
+    const r = checkInstanceConformance(proc, steps);
+    assert.equal(r.deviations.some((d) => d.kind === 'sla-breach' && d.stepIndex === 4), false);
+    const ev = evaluateSla(proc, { runs: [r] });
+    assert.equal(ev.steps.find((s) => s.stepIndex === 3).breaches, 0);
+  });
+});
@@ -0,0 +1,113 @@
+/**
+ * Tests for lib/flows/stepIds.js and the id-keyed layout in
+ * lib/flows/layoutStorageKeys.js — step references that stay on their
+ * step through reorders, inserts and removals.
+ *
+ * Run: node --test tests/stepIds.test.mjs
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { stepIndexByRef, linkBranchTargets, retargetBranches } from '../lib/flows/stepIds.js';
+import { resolveBranchTarget } from '../lib/flows/shared.js';
+import {
+  STEP_LAYOUT_KEY, stepPositions, storeStepPositions, resolveStoredPositions,
+} from '../lib/flows/layoutStorageKeys.js';
+
+const flow = () => [
+  { id: 'a', name: 'Receive invoice' },
+  { id: 'b', name: 'Check amount', isDecision: true, branches: [{ label: 'Small', target: 'Step 3' }, { label: 'Large', target: 'Get approval' }] },
+  { id: 'c', name: 'Pay supplier' },
+  { id: 'd', name: 'Get approval' },
+];
+
+describe('stepIndexByRef', () => {
+  test('takes a step id, a 1-based number or "Step N"', () => {
+    const steps = flow();
+    assert.equal(stepIndexByRef(steps, 'c'), 2);
+    assert.equal(stepIndexByRef(steps, 3), 2);
+    assert.equal(stepIndexByRef(steps, '3'), 2);
+    assert.equal(stepIndexByRef(steps, 'Step 3'), 2);
+    assert.equal(stepIndexByRef(steps, ' step 4 '), 3);
+  });
+
+  test('anything else matches nothing', () => {
+    const steps = flow();
+    for (const ref of [0, 5, 1.5, 'Step 9', 'Pay supplier', 'zz', '', null, undefined]) {
+      assert.equal(stepIndexByRef(steps, ref), -1, String(ref));
+    }
+  });
+});
+
+describe('linkBranchTargets', () => {
+  test('remembers which step each target names', () => {
+    const linked = linkBranchTargets(flow());
+    assert.deepEqual(linked[1].branches, [
+      { label: 'Small', target: 'Step 3', targetId: 'c' },
+      { label: 'Large', target: 'Step 4', targetId: 'd' },
+    ]);
+    assert.equal(linkBranchTargets(linked), linked);
+  });
+
+  test('targets follow their step through a reorder and an insert', () => {
+    const [a, b, c, d] = linkBranchTargets(flow());
+    const moved = linkBranchTargets([a, b, d, c]);
+    assert.deepEqual(moved[1].branches.map((br) => br.target), ['Step 4', 'Step 3']);
+    const inserted = linkBranchTargets([a, { id: 'x', name: 'Log invoice' }, ...moved.slice(1)]);
+    assert.deepEqual(inserted[2].branches.map((br) => br.target), ['Step 5', 'Step 4']);
+    assert.deepEqual(inserted[2].branches.map((br) => br.targetId), ['c', 'd']);
+  });
+
+  test('a branch into a removed step is unlinked, not moved onto a neighbour', () => {
+    const [a, b, , d] = linkBranchTargets(flow());
+    const next = linkBranchTargets([a, b, d]);
+    assert.deepEqual(next[1].branches, [
+      { label: 'Small', target: '' },
+      { label: 'Large', target: 'Step 3', targetId: 'd' },
+    ]);
+  });
+
+  test('waits for ids and leaves unresolvable targets alone', () => {
+    const noIds = flow().map(({ id: _id, ...s }) => s);
+    assert.equal(linkBranchTargets(noIds), noIds);
+    const steps = [{ id: 'a', name: 'A', branches: [{ label: 'x', target: 'Nowhere' }] }];
+    assert.equal(linkBranchTargets(steps), steps);
+  });
+});
+
+describe('retargetBranches', () => {
+  test('moves every branch on one step to another', () => {
+    const linked = linkBranchTargets(flow());
+    const next = retargetBranches(linked, 'c', 'x');
+    assert.deepEqual(next[1].branches.map((b) => b.targetId), ['x', 'd']);
+    assert.equal(retargetBranches(linked, 'zz', 'x'), linked);
+  });
+});
+
+test('resolveBranchTarget accepts a step id', () => {
+  const steps = [{ id: 'legacy-step-2', name: 'A' }, { id: 'b', name: 'B' }];
+  assert.equal(resolveBranchTarget('b', steps), 1);
+  // The id wins over the number buried in it.
+  assert.equal(resolveBranchTarget('legacy-step-2', steps), 0);
+});
+
+describe('id-keyed layout', () => {
+  test('offsets round-trip by id and follow a reorder', () => {
+    const steps = flow();
+    const stored = storeStepPositions({ 4: { 'step-0': { dx: 1, dy: 0 } } }, {
+      'step-0': { dx: 10, dy: 5 }, 'step-2': { dx: -4, dy: 0 }, start: { dx: 1, dy: 1 },
+    }, steps);
+    assert.deepEqual(stored[STEP_LAYOUT_KEY], { a: { dx: 10, dy: 5 }, c: { dx: -4, dy: 0 } });
+    assert.deepEqual(stored[4], { 'step-0': { dx: 1, dy: 0 } });
+    const reordered = [steps[2], steps[0], steps[1], steps[3]];
+    assert.deepEqual(stepPositions(stored, reordered), { 'step-0': { dx: -4, dy: 0 }, 'step-1': { dx: 10, dy: 5 } });
+  });
+
+  test('steps without ids fall back to the step-count keys', () => {
+    const noIds = [{ name: 'A' }, { name: 'B' }];
+    assert.equal(storeStepPositions({}, { 'step-0': { dx: 1, dy: 1 } }, noIds), null);
+    const positions = { 'v2-2-grid': { 'step-1': { dx: 3, dy: 0 } }, [STEP_LAYOUT_KEY]: { a: { dx: 9, dy: 9 } } };
+    assert.deepEqual(resolveStoredPositions(positions, 2, 'grid', { steps: noIds }), { 'step-1': { dx: 3, dy: 0 } });
+    assert.deepEqual(resolveStoredPositions(positions, 2, 'grid', { steps: [{ id: 'a' }, { id: 'b' }] }), { 'step-0': { dx: 9, dy: 9 } });
+  });
+});